@@ -4,5 +4,6 @@ module.exports = {
   coverageDirectory: 'coverage',
   testPathIgnorePatterns: ['/node_modules/', '/dist/'],
   moduleFileExtensions: ['js', 'json', 'jsx', 'ts', 'tsx', 'node'],
-  testRegex: '(/__tests__/.*|(\\.|/))(test|spec)$',
-};
\ No newline at end of file
+  // tests/components hold React (JSX) tests for components that no longer exist; the frontend is vanilla JS
+  testMatch: ['<rootDir>/tests/server/**/*.test.js', '<rootDir>/tests/utils/**/*.test.js'],
+};
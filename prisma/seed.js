@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
+const { ensureDefaultTitheCategories } = require('../server/utils/titheCategories.js');
 
 const prisma = new PrismaClient();
 
@@ -23,18 +24,36 @@ async function main() {
   console.log('Cleaning database...');
   
   // Delete in an order that respects foreign key constraints
+  await safeDeleteMany(prisma.walletLedgerEntry, 'WalletLedgerEntries');
   await safeDeleteMany(prisma.withdrawalApproval, 'WithdrawalApprovals');
   await safeDeleteMany(prisma.withdrawalRequest, 'WithdrawalRequests');
+  await safeDeleteMany(prisma.conferenceRemittance, 'ConferenceRemittances');
+  await safeDeleteMany(prisma.withdrawalPolicy, 'WithdrawalPolicies');
   await safeDeleteMany(prisma.wallet, 'Wallets');
   await safeDeleteMany(prisma.kcbTransactionSync, 'KcbTransactionSyncs');
+  await safeDeleteMany(prisma.bankStatementImport, 'BankStatementImports');
   await safeDeleteMany(prisma.receipt, 'Receipts');
+  await safeDeleteMany(prisma.paymentReconciliationLog, 'PaymentReconciliationLogs');
+  await safeDeleteMany(prisma.paymentStatusHistory, 'PaymentStatusHistory');
+  await safeDeleteMany(prisma.paymentCallbackLog, 'PaymentCallbackLogs');
+  await safeDeleteMany(prisma.idempotencyKey, 'IdempotencyKeys');
+  await safeDeleteMany(prisma.paymentLine, 'PaymentLines');
+  await safeDeleteMany(prisma.c2bTransaction, 'C2bTransactions');
+  await safeDeleteMany(prisma.accountingPeriod, 'AccountingPeriods');
   await safeDeleteMany(prisma.payment, 'Payments');
+  await safeDeleteMany(prisma.feeRule, 'FeeRules');
+  await safeDeleteMany(prisma.exchangeRate, 'ExchangeRates');
+  await safeDeleteMany(prisma.cashCountSignoff, 'CashCountSignoffs');
+  await safeDeleteMany(prisma.cashCountEnvelope, 'CashCountEnvelopes');
+  await safeDeleteMany(prisma.cashCountSession, 'CashCountSessions');
   await safeDeleteMany(prisma.batchPayment, 'BatchPayments');
   await safeDeleteMany(prisma.specialOffering, 'SpecialOfferings');
   await safeDeleteMany(prisma.adminActionApproval, 'AdminActionApprovals');
   await safeDeleteMany(prisma.adminAction, 'AdminActions');
   await safeDeleteMany(prisma.notification, 'Notifications');
   await safeDeleteMany(prisma.contactInquiry, 'ContactInquiries');
+  await safeDeleteMany(prisma.totpCredential, 'TotpCredentials');
+  await safeDeleteMany(prisma.titheCategory, 'TitheCategories');
   await safeDeleteMany(prisma.user, 'Users');
   
   console.log('Database cleaning completed.');
@@ -104,6 +123,10 @@ async function main() {
   console.log(`✓ Created special offering: ${specialOffering.name}`);
 
   // 4. Create sample payments
+  // Default tithe distribution categories
+  await ensureDefaultTitheCategories(prisma);
+  console.log('✓ Seeded default tithe categories');
+
   console.log('Creating sample payments...');
   
   // Example: Create a Tithe payment for John Doe
@@ -8,6 +8,7 @@ const {
   generateEnvExample 
 } = require('../server/utils/envValidation.js');
 const { testKcbConnection } = require('../server/utils/kcbPaymentUtils.js');
+const { getTitheCategories } = require('../server/utils/titheCategories.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -185,12 +186,8 @@ async function initializeWallets() {
       { walletType: 'OFFERING', subType: null },
       { walletType: 'DONATION', subType: null },
       
-      // Tithe wallets with SDA categories
-      { walletType: 'TITHE', subType: 'campMeetingExpenses' },
-      { walletType: 'TITHE', subType: 'welfare' },
-      { walletType: 'TITHE', subType: 'thanksgiving' },
-      { walletType: 'TITHE', subType: 'stationFund' },
-      { walletType: 'TITHE', subType: 'mediaMinistry' },
+      // Tithe wallets for the configured tithe categories
+      ...(await getTitheCategories({}, prisma)).map(category => ({ walletType: 'TITHE', subType: category.code })),
       
       // Special offering wallet
       { walletType: 'SPECIAL_OFFERING', subType: 'general' },
@@ -0,0 +1,244 @@
+// server/controllers/accountingPeriodController.js - Month-end close and reopen of accounting periods
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { getPeriodKey, getPeriodBounds } = require('../utils/accountingPeriods.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+const periodInclude = {
+  closedBy: { select: { id: true, username: true, fullName: true } },
+  reopenedBy: { select: { id: true, username: true, fullName: true } }
+};
+
+// Counts of records dated inside a period, shown when it is closed
+const summarizePeriod = async (client, periodStart, periodEnd) => {
+  const dateRange = { gte: periodStart, lte: periodEnd };
+  const [income, expenses, pendingPayments, openWithdrawals] = await Promise.all([
+    client.payment.aggregate({
+      _sum: { amount: true },
+      _count: { id: true },
+      where: { paymentDate: dateRange, status: 'COMPLETED', isExpense: false, isTemplate: false }
+    }),
+    client.payment.aggregate({
+      _sum: { amount: true },
+      _count: { id: true },
+      where: { paymentDate: dateRange, status: 'COMPLETED', isExpense: true }
+    }),
+    client.payment.count({ where: { paymentDate: dateRange, status: 'PENDING' } }),
+    client.withdrawalRequest.count({ where: { createdAt: dateRange, status: { in: ['PENDING', 'APPROVED'] } } })
+  ]);
+
+  return {
+    incomeCount: income._count.id,
+    incomeTotal: parseFloat((income._sum.amount || new Prisma.Decimal(0)).toString()),
+    expenseCount: expenses._count.id,
+    expenseTotal: parseFloat((expenses._sum.amount || new Prisma.Decimal(0)).toString()),
+    pendingPayments,
+    openWithdrawals
+  };
+};
+
+/**
+ * List accounting periods that have been closed at least once, newest first.
+ * Months with no record here are open.
+ */
+exports.getAccountingPeriods = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { status } = req.query;
+    const where = status && status !== 'ALL' ? { status } : {};
+
+    const periods = await prisma.accountingPeriod.findMany({
+      where,
+      include: periodInclude,
+      orderBy: { periodStart: 'desc' }
+    });
+
+    return sendResponse(res, 200, true, {
+      periods,
+      currentPeriodKey: getPeriodKey(new Date())
+    }, 'Accounting periods retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting accounting periods', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving accounting periods.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Close a month. Only months that have fully ended can be closed.
+ */
+exports.closeAccountingPeriod = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { periodKey } = req.params;
+    const { notes } = req.body;
+    const bounds = getPeriodBounds(periodKey);
+    if (!bounds) {
+      return sendResponse(res, 400, false, null, 'Period must be in YYYY-MM format.', { code: 'INVALID_PERIOD' });
+    }
+    if (bounds.periodEnd >= new Date()) {
+      return sendResponse(res, 400, false, null, `Period ${periodKey} has not ended yet and cannot be closed.`, {
+        code: 'PERIOD_NOT_ENDED'
+      });
+    }
+
+    const { period, summary } = await prisma.$transaction(async (tx) => {
+      const existing = await tx.accountingPeriod.findUnique({ where: { periodKey } });
+      if (existing && existing.status === 'CLOSED') {
+        throw { statusCode: 409, message: `Period ${periodKey} is already closed.`, errorDetails: { code: 'PERIOD_ALREADY_CLOSED' } };
+      }
+
+      const now = new Date();
+      const closed = await tx.accountingPeriod.upsert({
+        where: { periodKey },
+        create: {
+          periodKey,
+          periodStart: bounds.periodStart,
+          periodEnd: bounds.periodEnd,
+          status: 'CLOSED',
+          closedAt: now,
+          closedById: req.user.id,
+          notes: notes || null
+        },
+        update: {
+          status: 'CLOSED',
+          closedAt: now,
+          closedById: req.user.id,
+          notes: notes || existing?.notes || null
+        },
+        include: periodInclude
+      });
+
+      return { period: closed, summary: await summarizePeriod(tx, bounds.periodStart, bounds.periodEnd) };
+    }, {
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    await logAdminActivity('CLOSE_ACCOUNTING_PERIOD', period.id, req.user.id, {
+      periodKey,
+      role: req.user.role,
+      notes: notes || null,
+      summary
+    });
+    logger.wallet(`Accounting period ${periodKey} closed by ${req.user.username}`);
+
+    const warnings = [];
+    if (summary.pendingPayments > 0) {
+      warnings.push(`${summary.pendingPayments} payment(s) dated in this period are still pending.`);
+    }
+    if (summary.openWithdrawals > 0) {
+      warnings.push(`${summary.openWithdrawals} withdrawal request(s) created in this period are still open.`);
+    }
+
+    return sendResponse(res, 200, true, { period, summary, warnings }, `Accounting period ${periodKey} closed successfully.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error closing accounting period', { error: error.message, periodKey: req.params.periodKey });
+    return sendResponse(res, 500, false, null, 'Server error closing accounting period.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Reopen a closed month. A reason is required and kept on the period and in the audit log.
+ */
+exports.reopenAccountingPeriod = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { periodKey } = req.params;
+    const { reason } = req.body;
+
+    const existing = await prisma.accountingPeriod.findUnique({ where: { periodKey } });
+    if (!existing || existing.status !== 'CLOSED') {
+      return sendResponse(res, 409, false, null, `Period ${periodKey} is not closed.`, { code: 'PERIOD_NOT_CLOSED' });
+    }
+
+    const period = await prisma.accountingPeriod.update({
+      where: { id: existing.id },
+      data: {
+        status: 'OPEN',
+        reopenedAt: new Date(),
+        reopenedById: req.user.id,
+        reopenReason: reason
+      },
+      include: periodInclude
+    });
+
+    await logAdminActivity('REOPEN_ACCOUNTING_PERIOD', period.id, req.user.id, {
+      periodKey,
+      role: req.user.role,
+      reason,
+      previouslyClosedAt: existing.closedAt,
+      previouslyClosedById: existing.closedById
+    });
+    logger.wallet(`Accounting period ${periodKey} reopened by ${req.user.username}: ${reason}`);
+
+    return sendResponse(res, 200, true, { period }, `Accounting period ${periodKey} reopened.`);
+
+  } catch (error) {
+    logger.error('Error reopening accounting period', { error: error.message, periodKey: req.params.periodKey });
+    return sendResponse(res, 500, false, null, 'Server error reopening accounting period.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,13 +1,17 @@
 // server/controllers/adminController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
-const PDFDocument = require('pdfkit');
 const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { executeAdminAction, expireStaleAdminActions } = require('../middlewares/multiAdmin.js');
+const { formatDateForPdf, createPdfTable, writePdfReport } = require('../utils/pdfReportUtils.js');
+const { giverDisplayName } = require('../utils/guestGiving.js');
+const { mergeGiftLineTotals } = require('./paymentController.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Centralized logging utility (non-blocking)
 const logActivity = async (message, data = null) => {
@@ -60,18 +64,6 @@ const logAdminActivity = async (actionType, targetId, initiatedBy, actionData =
   });
 };
 
-// Helper for formatting date in PDF
-const formatDateForPdf = (dateString) => {
-  if (!dateString) return 'N/A';
-  try {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric', month: 'long', day: 'numeric',
-    });
-  } catch (e) { 
-    return dateString.toString(); 
-  }
-};
-
 // Get recent admin activity
 exports.getRecentActivity = async (req, res) => {
   try {
@@ -250,7 +242,7 @@ exports.getDashboardStats = async (req, res) => {
         net: m.revenue - m.expenses
       }));
 
-    const [paymentsByType, expensesByDepartment, pendingInquiries] = await Promise.all([
+    const [paymentsByType, expensesByDepartment, pendingInquiries, giftLinesByType] = await Promise.all([
       prisma.payment.groupBy({
         by: ['paymentType'],
         _sum: { amount: true },
@@ -263,7 +255,13 @@ exports.getDashboardStats = async (req, res) => {
         where: { ...commonPaymentWhere, isExpense: true, department: { not: null } },
         orderBy: { _sum: { amount: 'desc' } },
       }),
-      prisma.contactInquiry.count({ where: { status: 'PENDING' } })
+      prisma.contactInquiry.count({ where: { status: 'PENDING' } }),
+      // Split gift lines, so their tithe and offering count under those types
+      prisma.paymentLine.groupBy({
+        by: ['paymentType'],
+        _sum: { amount: true },
+        where: { payment: { ...commonPaymentWhere, isExpense: false, deletedAt: null } },
+      })
     ]);
 
     const stats = {
@@ -279,10 +277,7 @@ exports.getDashboardStats = async (req, res) => {
         platformFees: parseFloat(totalPlatformFees.toString()) || 0,
       },
       monthlyFinancialSummary: monthlyData,
-      paymentsByType: paymentsByType.map(p => ({
-        type: p.paymentType,
-        total: parseFloat((p._sum.amount || 0).toString())
-      })),
+      paymentsByType: mergeGiftLineTotals(paymentsByType, giftLinesByType),
       expensesByDepartment: expensesByDepartment.map(d => ({
         department: d.department || "Uncategorized",
         total: parseFloat((d._sum.amount || 0).toString())
@@ -367,61 +362,357 @@ exports.generateReport = async (req, res) => {
   }
 };
 
-// Generate PDF report content
-async function generatePdfReport(filepath, reportType, startDate, endDate) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 40, size: 'A4' });
-      const writeStream = require('fs').createWriteStream(filepath);
-      doc.pipe(writeStream);
-
-      // Header
-      doc.fontSize(18).font('Helvetica-Bold').text('Tassia Central SDA Church', { align: 'center' });
-      doc.fontSize(14).font('Helvetica-Bold').text(`${reportType.toUpperCase()} Report`, { align: 'center' });
-      doc.fontSize(10).font('Helvetica').text(`Period: ${formatDateForPdf(startDate)} to ${formatDateForPdf(endDate)}`, { align: 'center' });
-      doc.moveDown(2);
-
-      const commonQueryOptions = {
-        where: { 
-          paymentDate: { gte: startDate, lte: endDate }, 
-          status: 'COMPLETED', 
-          isTemplate: false 
+// ================================================================================================
+// MULTI-ADMIN APPROVAL ACTIONS
+// ================================================================================================
+
+// List admin actions that go through the approval workflow
+exports.getAdminActions = async (req, res) => {
+  try {
+    await logActivity('Admin: Get Admin Actions attempt started');
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { status = 'PENDING', actionType, page = 1, limit = 20 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const whereConditions = { requiredApprovals: { gt: 0 } };
+    if (status && status !== 'ALL') {
+      whereConditions.status = status;
+    }
+    if (actionType) {
+      whereConditions.actionType = actionType;
+    }
+
+    const [actions, totalActions] = await Promise.all([
+      prisma.adminAction.findMany({
+        where: whereConditions,
+        include: {
+          initiator: { select: { id: true, username: true, fullName: true } },
+          approvals: {
+            include: { admin: { select: { id: true, username: true, fullName: true } } },
+            orderBy: { createdAt: 'asc' }
+          }
         },
-        orderBy: { paymentDate: 'asc' },
-        include: { 
-          user: { select: { fullName: true } },
-          specialOffering: { select: { name: true, offeringCode: true } }
-        }
+        orderBy: { createdAt: 'desc' },
+        take,
+        skip
+      }),
+      prisma.adminAction.count({ where: whereConditions })
+    ]);
+
+    const now = new Date();
+    const enhancedActions = actions.map(action => {
+      const currentApprovals = action.approvals.filter(a => a.approved).length;
+      const isExpired = action.status === 'PENDING' && action.expiresAt && action.expiresAt < now;
+      return {
+        ...action,
+        currentApprovals,
+        isExpired,
+        canApprove: action.status === 'PENDING' && !isExpired &&
+          action.initiatedById !== req.user.id &&
+          !action.approvals.some(a => a.adminId === req.user.id) &&
+          !isViewOnlyAdmin(req.user)
       };
+    });
+
+    return sendResponse(res, 200, true, {
+      actions: enhancedActions,
+      totalPages: Math.ceil(totalActions / take),
+      currentPage: parseInt(page),
+      totalActions
+    }, 'Admin actions retrieved successfully.');
+
+  } catch (error) {
+    await logActivity('Error fetching admin actions:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Server error fetching admin actions.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Approve a pending admin action; replays the original request once enough admins approve
+exports.approveAdminAction = async (req, res) => {
+  try {
+    await logActivity('Admin: Approve Admin Action attempt started');
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot approve admin actions.", {
+        code: 'FORBIDDEN_VIEW_ONLY'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const actionId = parseInt(req.params.actionId);
+    const { comment } = req.body;
 
-      switch (reportType.toUpperCase()) {
-        case 'REVENUE':
-          await generateRevenueReport(doc, commonQueryOptions);
-          break;
-        case 'EXPENSES':
-          await generateExpensesReport(doc, commonQueryOptions);
-          break;
-        case 'USERS':
-          await generateUsersReport(doc);
-          break;
-        case 'COMPREHENSIVE':
-          await generateComprehensiveReport(doc, commonQueryOptions);
-          break;
-        default:
-          doc.text('Invalid report type selected.');
+    const { action, currentApprovals, readyToExecute, expired } = await prisma.$transaction(async (tx) => {
+      const action = await tx.adminAction.findUnique({
+        where: { id: actionId },
+        include: { approvals: true }
+      });
+
+      assertActionIsPending(action);
+
+      if (action.expiresAt && action.expiresAt < new Date()) {
+        // Returned rather than thrown so the status change is committed
+        await tx.adminAction.update({ where: { id: action.id }, data: { status: 'EXPIRED' } });
+        return { action: { ...action, status: 'EXPIRED' }, expired: true };
       }
 
-      // Footer
-      doc.moveDown(2);
-      doc.fontSize(8).text(`Report Generated: ${new Date().toLocaleString()}`, 40, doc.page.height - 30, {lineBreak: false});
-      
-      doc.end();
+      if (action.initiatedById === req.user.id) {
+        throw { statusCode: 403, message: 'You cannot approve an action you initiated.', errorDetails: { code: 'CANNOT_APPROVE_OWN_ACTION' } };
+      }
 
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
+      if (action.approvals.some(a => a.adminId === req.user.id)) {
+        throw { statusCode: 409, message: 'You have already responded to this action.', errorDetails: { code: 'ALREADY_APPROVED' } };
+      }
 
-    } catch (error) {
-      reject(error);
+      await tx.adminActionApproval.create({
+        data: {
+          adminActionId: action.id,
+          adminId: req.user.id,
+          approved: true,
+          comment: comment || null
+        }
+      });
+
+      const currentApprovals = await tx.adminActionApproval.count({
+        where: { adminActionId: action.id, approved: true, adminId: { not: action.initiatedById } }
+      });
+
+      let readyToExecute = false;
+      if (currentApprovals >= action.requiredApprovals) {
+        // Claim the action so concurrent approvals cannot replay it twice
+        const claimed = await tx.adminAction.updateMany({
+          where: { id: action.id, status: 'PENDING' },
+          data: { status: 'APPROVED' }
+        });
+        readyToExecute = claimed.count === 1;
+      }
+
+      return { action: { ...action, status: readyToExecute ? 'APPROVED' : action.status }, currentApprovals, readyToExecute };
+    }, {
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    if (expired) {
+      return sendResponse(res, 410, false, null, 'This admin action has expired.', { code: 'ADMIN_ACTION_EXPIRED' });
+    }
+
+    if (!readyToExecute) {
+      await logActivity(`Admin action ${actionId} approved by ${req.user.username} (${currentApprovals}/${action.requiredApprovals})`);
+      return sendResponse(res, 200, true, {
+        actionId,
+        status: action.status,
+        currentApprovals,
+        requiredApprovals: action.requiredApprovals
+      }, `Approval recorded. ${action.requiredApprovals - currentApprovals} more approval(s) required.`);
+    }
+
+    let execution;
+    try {
+      execution = await executeAdminAction(action);
+    } catch (executionError) {
+      execution = { statusCode: 500, body: { success: false, message: executionError.message } };
+    }
+
+    const succeeded = execution.statusCode < 400;
+    const finalAction = await prisma.adminAction.update({
+      where: { id: actionId },
+      data: {
+        status: succeeded ? 'COMPLETED' : 'FAILED',
+        executedAt: new Date(),
+        executionResult: {
+          statusCode: execution.statusCode,
+          response: execution.body
+        }
+      }
+    });
+
+    await logActivity(`Admin action ${actionId} (${action.actionType}) executed with status ${execution.statusCode}`);
+
+    const result = {
+      actionId,
+      status: finalAction.status,
+      currentApprovals,
+      requiredApprovals: action.requiredApprovals,
+      execution
+    };
+
+    if (!succeeded) {
+      // The approval is recorded, but the approving admin sees the replay's own status and error
+      return sendResponse(res, execution.statusCode, false, result,
+        `Final approval recorded but the action failed: ${execution.body?.message || 'Unknown error'}`,
+        execution.body?.error || { code: 'ADMIN_ACTION_FAILED' });
+    }
+
+    return sendResponse(res, 200, true, result, 'Final approval recorded. Action executed successfully.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    await logActivity('Error approving admin action:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Server error approving admin action.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Reject a pending admin action (a single rejection vetoes it; the initiator may withdraw it)
+exports.rejectAdminAction = async (req, res) => {
+  try {
+    await logActivity('Admin: Reject Admin Action attempt started');
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot reject admin actions.", {
+        code: 'FORBIDDEN_VIEW_ONLY'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const actionId = parseInt(req.params.actionId);
+    const { reason } = req.body;
+
+    const rejectedAction = await prisma.$transaction(async (tx) => {
+      const action = await tx.adminAction.findUnique({
+        where: { id: actionId },
+        include: { approvals: true }
+      });
+
+      assertActionIsPending(action);
+
+      if (action.approvals.some(a => a.adminId === req.user.id)) {
+        throw { statusCode: 409, message: 'You have already responded to this action.', errorDetails: { code: 'ALREADY_APPROVED' } };
+      }
+
+      await tx.adminActionApproval.create({
+        data: {
+          adminActionId: action.id,
+          adminId: req.user.id,
+          approved: false,
+          comment: reason || null
+        }
+      });
+
+      return tx.adminAction.update({
+        where: { id: action.id },
+        data: { status: 'REJECTED' }
+      });
+    });
+
+    await logActivity(`Admin action ${actionId} rejected by ${req.user.username}`);
+    return sendResponse(res, 200, true, { action: rejectedAction }, 'Admin action rejected.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    await logActivity('Error rejecting admin action:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Server error rejecting admin action.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Expire pending admin actions that are past their approval window
+exports.expireAdminActions = async (req, res) => {
+  try {
+    await logActivity('Admin: Expire Admin Actions attempt started');
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot expire admin actions.", {
+        code: 'FORBIDDEN_VIEW_ONLY'
+      });
+    }
+
+    const expiredCount = await expireStaleAdminActions();
+
+    await logActivity(`Expired ${expiredCount} stale admin actions`);
+    return sendResponse(res, 200, true, { expiredCount }, `${expiredCount} pending admin action(s) expired.`);
+
+  } catch (error) {
+    await logActivity('Error expiring admin actions:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Server error expiring admin actions.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Shared guard for approve/reject
+function assertActionIsPending(action) {
+  if (!action) {
+    throw { statusCode: 404, message: 'Admin action not found.', errorDetails: { code: 'ADMIN_ACTION_NOT_FOUND' } };
+  }
+  if (action.requiredApprovals === 0) {
+    throw { statusCode: 400, message: 'This activity log entry does not require approval.', errorDetails: { code: 'NOT_AN_APPROVAL_ACTION' } };
+  }
+  if (action.status !== 'PENDING') {
+    throw { statusCode: 400, message: `Admin action is not pending. Current status: ${action.status}`, errorDetails: { code: 'ADMIN_ACTION_NOT_PENDING' } };
+  }
+}
+
+// Generate PDF report content
+async function generatePdfReport(filepath, reportType, startDate, endDate) {
+  const commonQueryOptions = {
+    where: { 
+      paymentDate: { gte: startDate, lte: endDate }, 
+      status: 'COMPLETED', 
+      isTemplate: false 
+    },
+    orderBy: { paymentDate: 'asc' },
+    include: { 
+      user: { select: { fullName: true } },
+      specialOffering: { select: { name: true, offeringCode: true } }
+    }
+  };
+
+  await writePdfReport(filepath, { title: `${reportType.toUpperCase()} Report`, startDate, endDate }, async (doc) => {
+    switch (reportType.toUpperCase()) {
+      case 'REVENUE':
+        await generateRevenueReport(doc, commonQueryOptions);
+        break;
+      case 'EXPENSES':
+        await generateExpensesReport(doc, commonQueryOptions);
+        break;
+      case 'USERS':
+        await generateUsersReport(doc);
+        break;
+      case 'COMPREHENSIVE':
+        await generateComprehensiveReport(doc, commonQueryOptions);
+        break;
+      default:
+        doc.text('Invalid report type selected.');
     }
   });
 }
@@ -433,16 +724,22 @@ async function generateRevenueReport(doc, queryOptions) {
   });
   
   const totalRevenue = revenue.reduce((sum, item) => sum + parseFloat(item.amount.toString()), 0);
+  const fees = summarizePlatformFees(revenue);
   
   doc.font('Helvetica-Bold').fontSize(12).text(`Total Revenue: KES ${totalRevenue.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Platform Fees: KES ${fees.total.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (absorbed by church: KES ${fees.absorbedByChurch.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}, paid by givers: KES ${fees.paidByGivers.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`);
   doc.moveDown();
   
-  createPdfTable(doc, ['Date', 'Type', 'Member', 'Amount (KES)', 'Receipt'],
+  createPdfTable(doc, ['Date', 'Type', 'Member', 'Amount (KES)', 'Fee (KES)', 'Receipt'],
     revenue.map(p => [
       formatDateForPdf(p.paymentDate),
       p.paymentType,
-      p.user?.fullName || 'N/A',
+      giverDisplayName(p),
       parseFloat(p.amount.toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      parseFloat(p.platformFee.toString()) > 0
+        ? `${parseFloat(p.platformFee.toString()).toFixed(2)}${p.feeBearer === 'GIVER' ? ' (giver)' : ''}`
+        : '-',
       p.receiptNumber || 'N/A'
     ])
   );
@@ -505,7 +802,7 @@ async function generateComprehensiveReport(doc, queryOptions) {
   doc.font('Helvetica-Bold').fontSize(14).text('Financial Summary', { underline: true });
   doc.moveDown(0.5);
   
-  const [revenueResult, expensesResult] = await Promise.all([
+  const [revenueResult, expensesResult, feePayments] = await Promise.all([
     prisma.payment.aggregate({
       _sum: { amount: true }, 
       where: { ...queryOptions.where, isExpense: false }
@@ -513,16 +810,22 @@ async function generateComprehensiveReport(doc, queryOptions) {
     prisma.payment.aggregate({
       _sum: { amount: true }, 
       where: { ...queryOptions.where, isExpense: true }
+    }),
+    prisma.payment.findMany({
+      where: { ...queryOptions.where, platformFee: { gt: 0 } },
+      select: { platformFee: true, feeBearer: true }
     })
   ]);
   
   const totalRev = revenueResult._sum.amount || new Prisma.Decimal(0);
   const totalExp = expensesResult._sum.amount || new Prisma.Decimal(0);
+  const fees = summarizePlatformFees(feePayments);
   
   doc.fontSize(10).font('Helvetica')
     .text(`Total Revenue: KES ${parseFloat(totalRev.toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)
     .text(`Total Expenses: KES ${parseFloat(totalExp.toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)
-    .text(`Net Balance: KES ${parseFloat(totalRev.minus(totalExp).toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+    .text(`Net Balance: KES ${parseFloat(totalRev.minus(totalExp).toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)
+    .text(`Platform Fees: KES ${fees.total.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (absorbed by church: KES ${fees.absorbedByChurch.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}, paid by givers: KES ${fees.paidByGivers.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`);
   
   doc.moveDown(1.5);
   
@@ -534,60 +837,18 @@ async function generateComprehensiveReport(doc, queryOptions) {
   await generateExpensesReport(doc, queryOptions);
 }
 
-function createPdfTable(doc, headers, dataRows) {
-  const tableTop = doc.y;
-  const rowHeight = 15;
-  const colWidths = headers.map(() => (doc.page.width - 80) / headers.length);
-
-  // Header
-  doc.font('Helvetica-Bold').fontSize(8);
-  headers.forEach((header, i) => {
-    doc.text(header, 40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), tableTop, { 
-      width: colWidths[i] - 5, 
-      align: 'left' 
-    });
-  });
-  doc.y += rowHeight;
-  doc.strokeColor('#cccccc').lineWidth(0.5)
-     .moveTo(40, doc.y - (rowHeight/2))
-     .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
-     .stroke();
-
-  // Rows
-  doc.font('Helvetica').fontSize(8);
-  dataRows.forEach(row => {
-    if (doc.y + rowHeight > doc.page.height - 50) {
-      doc.addPage();
-      doc.y = 40;
-      
-      // Re-draw header on new page
-      doc.font('Helvetica-Bold');
-      headers.forEach((header, i) => {
-        doc.text(header, 40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), doc.y, { 
-          width: colWidths[i] - 5, 
-          align: 'left'
-        });
-      });
-      doc.y += rowHeight;
-      doc.strokeColor('#cccccc').lineWidth(0.5)
-         .moveTo(40, doc.y - (rowHeight/2))
-         .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
-         .stroke();
-      doc.font('Helvetica');
+// Platform fee totals for report summaries, split by who bore the fee
+function summarizePlatformFees(payments) {
+  return payments.reduce((totals, p) => {
+    const fee = parseFloat((p.platformFee || 0).toString());
+    totals.total += fee;
+    if (p.feeBearer === 'GIVER') {
+      totals.paidByGivers += fee;
+    } else {
+      totals.absorbedByChurch += fee;
     }
-    
-    row.forEach((cell, i) => {
-      doc.text(String(cell === null || cell === undefined ? 'N/A' : cell), 
-               40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), 
-               doc.y, 
-               { width: colWidths[i] - 5, align: 'left' });
-    });
-    doc.y += rowHeight;
-    doc.strokeColor('#dddddd').lineWidth(0.25)
-       .moveTo(40, doc.y - (rowHeight/2))
-       .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
-       .stroke();
-  });
+    return totals;
+  }, { total: 0, absorbedByChurch: 0, paidByGivers: 0 });
 }
 
 // Generate CSV content
@@ -610,7 +871,7 @@ async function generateCsvContent(reportType, startDate, endDate) {
 
   switch (reportType.toUpperCase()) {
     case 'REVENUE':
-      csvHeaders = ['Date', 'Type', 'Member', 'Amount (KES)', 'Description', 'Receipt'];
+      csvHeaders = ['Date', 'Type', 'Member', 'Amount (KES)', 'Currency', 'Original Amount', 'Platform Fee (KES)', 'Fee Paid By', 'Description', 'Receipt'];
       const revenue = await prisma.payment.findMany({ 
         ...commonQueryOptions, 
         where: { ...commonQueryOptions.where, isExpense: false } 
@@ -618,8 +879,12 @@ async function generateCsvContent(reportType, startDate, endDate) {
       csvRows = revenue.map(p => [
         formatDateForPdf(p.paymentDate), 
         p.paymentType, 
-        p.user?.fullName || 'N/A',
+        giverDisplayName(p),
         parseFloat(p.amount.toString()), 
+        p.currency,
+        p.originalAmount !== null ? parseFloat(p.originalAmount.toString()) : parseFloat(p.amount.toString()),
+        parseFloat(p.platformFee.toString()),
+        parseFloat(p.platformFee.toString()) > 0 ? p.feeBearer : '',
         p.description || '', 
         p.receiptNumber || ''
       ]);
@@ -675,7 +940,7 @@ async function generateCsvContent(reportType, startDate, endDate) {
         p.description || '',
         parseFloat(p.amount.toString()),
         p.isExpense ? 'Expense' : 'Revenue',
-        p.user?.fullName || 'N/A'
+        giverDisplayName(p)
       ]);
       break;
       
@@ -1,12 +1,15 @@
 // server/controllers/authController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete, softDeleteData } = require('../utils/softDelete.js');
+const { phoneVariants } = require('../utils/paymentCallbacks.js');
+const { mergeGuestProfile } = require('../utils/guestGiving.js');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -106,7 +109,8 @@ exports.login = async (req, res) => {
       where: { username: normalizedUsername }, // Query with normalized username
     });
 
-    if (!user || !user.isActive) {
+    // Guest giving profiles have no usable login
+    if (!user || !user.isActive || user.isGuest) {
       debugLog(`Prisma: No active user found or user is inactive: ${normalizedUsername}`);
       return sendResponse(res, 401, false, null, 'Invalid username or password, or account inactive.', {
         code: 'AUTH_FAILED_INACTIVE',
@@ -180,16 +184,25 @@ exports.registerUser = async (req, res) => {
       });
     }
 
-    const { username, password, fullName, phone, email, isAdmin = false } = req.body;
+    const { username, password, fullName, phone, email, memberNumber, isAdmin = false } = req.body;
     const normalizedUsername = username.toLowerCase(); // Normalize username for storage
 
+    // A guest giving profile with this phone becomes the new account, keeping its giving history
+    const guestProfile = await prisma.user.findFirst({
+      where: { phone: { in: phoneVariants(phone) }, isGuest: true },
+      select: { id: true },
+    });
+
     const existingUser = await prisma.user.findFirst({
       where: {
+        ...(guestProfile ? { NOT: { id: guestProfile.id } } : {}),
         OR: [
           { username: normalizedUsername }, // Check normalized username
           { email: email ? email.toLowerCase() : undefined }, // Optionally normalize email too
-          { phone: phone } // Phone numbers might also need normalization/validation
+          { phone: phone }, // Phone numbers might also need normalization/validation
+          ...(memberNumber ? [{ memberNumber }] : [])
         ],
+        deletedAt: undefined, // Deleted users keep their username, email and phone until purged
       },
     });
 
@@ -198,6 +211,8 @@ exports.registerUser = async (req, res) => {
       if (existingUser.username === normalizedUsername) message = 'Username already exists.';
       else if (email && existingUser.email === email.toLowerCase()) message = 'Email already registered.';
       else if (existingUser.phone === phone) message = 'Phone number already registered.';
+      else if (memberNumber && existingUser.memberNumber === memberNumber) message = 'Member number already assigned.';
+      if (existingUser.deletedAt) message += ' It belongs to a deleted user; restore or purge that user from the trash first.';
       debugLog(`Registration failed: ${message}`, { username, email, phone });
       return sendResponse(res, 400, false, null, message, { code: 'USER_EXISTS' });
     }
@@ -212,22 +227,29 @@ exports.registerUser = async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const newUser = await prisma.user.create({
-      data: {
-        username: normalizedUsername, // Save normalized username
-        password: hashedPassword,
-        fullName,
-        phone,
-        email: email ? email.toLowerCase() : null, // Optionally normalize email
-        isAdmin,
-        isActive: true,
-      },
-    });
+    const userData = {
+      username: normalizedUsername, // Save normalized username
+      password: hashedPassword,
+      fullName,
+      phone,
+      email: email ? email.toLowerCase() : null, // Optionally normalize email
+      memberNumber: memberNumber || null,
+      isAdmin,
+      isActive: true,
+    };
+    const newUser = guestProfile
+      ? await prisma.user.update({ where: { id: guestProfile.id }, data: { ...userData, isGuest: false } })
+      : await prisma.user.create({ data: userData });
 
     const { password: _, ...userResponse } = newUser;
-    await logAdminActivity('ADMIN_CREATE_USER', newUser.id, req.user.id, { createdUsername: newUser.username, roleSet: isAdmin ? 'Admin' : 'User' });
+    await logAdminActivity('ADMIN_CREATE_USER', newUser.id, req.user.id, {
+      createdUsername: newUser.username,
+      roleSet: isAdmin ? 'Admin' : 'User',
+      fromGuestProfile: Boolean(guestProfile)
+    });
     debugLog('User registered successfully by admin:', req.user.username, 'New user:', userResponse.username);
-    return sendResponse(res, 201, true, { user: userResponse }, 'User registered successfully');
+    return sendResponse(res, 201, true, { user: userResponse, fromGuestProfile: Boolean(guestProfile) },
+      guestProfile ? 'User registered successfully. Their earlier guest gifts are now on this account.' : 'User registered successfully');
 
   } catch (error) {
     debugLog('CRITICAL ERROR in registration process:', error.message);
@@ -258,7 +280,7 @@ exports.getProfile = async (req, res) => {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
       select: { // Explicitly select fields to exclude password and sensitive tokens
-        id: true, username: true, fullName: true, email: true, phone: true,
+        id: true, username: true, fullName: true, email: true, phone: true, memberNumber: true,
         isAdmin: true, role: true, lastLogin: true, isActive: true, createdAt: true, updatedAt: true,
       },
     });
@@ -290,8 +312,8 @@ exports.getUsers = async (req, res) => {
     const users = await prisma.user.findMany({
       orderBy: { createdAt: 'desc' },
       select: { // Exclude password
-        id: true, username: true, fullName: true, email: true, phone: true,
-        isAdmin: true, role: true, lastLogin: true, isActive: true, createdAt: true, updatedAt: true,
+        id: true, username: true, fullName: true, email: true, phone: true, memberNumber: true,
+        isAdmin: true, role: true, lastLogin: true, isActive: true, isGuest: true, createdAt: true, updatedAt: true,
       },
     });
 
@@ -328,7 +350,7 @@ exports.updateUser = async (req, res) => {
       });
     }
     const { userId } = req.params;
-    const { fullName, phone, email, isAdmin, isActive, role } = req.body; // Added role
+    const { fullName, phone, email, memberNumber, isAdmin, isActive, role } = req.body; // Added role
     const numericUserId = parseInt(userId);
 
     if (isNaN(numericUserId)) {
@@ -379,6 +401,7 @@ exports.updateUser = async (req, res) => {
     if (fullName !== undefined) updateData.fullName = fullName;
     if (phone !== undefined) updateData.phone = phone;
     if (email !== undefined) updateData.email = email ? email.toLowerCase() : null; // Normalize email on update too
+    if (memberNumber !== undefined) updateData.memberNumber = memberNumber || null;
     if (typeof isAdmin === 'boolean') updateData.isAdmin = isAdmin;
     if (typeof isActive === 'boolean') updateData.isActive = isActive;
     if (role !== undefined) updateData.role = role; // Add role update
@@ -451,16 +474,18 @@ exports.deleteUser = async (req, res) => {
       }
     }
 
-    const mangledUsername = `<span class="math-inline">\{userToDelete\.username\}\_deleted\_</span>{Date.now()}`;
-    const mangledEmail = userToDelete.email ? `<span class="math-inline">\{userToDelete\.email\}\_deleted\_</span>{Date.now()}` : null;
-    const mangledPhone = `<span class="math-inline">\{userToDelete\.phone\}\_deleted\_</span>{Date.now()}`;
-
-    await prisma.user.delete({
+    // Soft delete: the user is deactivated and hidden, their payments and receipts stay on record,
+    // and an admin can restore them from the trash
+    const { reason } = req.body || {};
+    await prisma.user.update({
       where: { id: numericUserId },
+      data: { ...softDeleteData(req.user.id, reason), isActive: false },
     });
 
-    debugLog(`User HARD DELETED by admin ${req.user.username}: User ID ${numericUserId}, Username ${userToDelete.username}`);
-return sendResponse(res, 200, true, { userId: numericUserId, status: 'deleted_permanently' }, 'User permanently deleted.');
+    await logAdminActivity('ADMIN_DELETE_USER', numericUserId, req.user.id, { username: userToDelete.username, reason: reason || null });
+
+    debugLog(`User moved to trash by admin ${req.user.username}: User ID ${numericUserId}, Username ${userToDelete.username}`);
+    return sendResponse(res, 200, true, { userId: numericUserId, status: 'deleted' }, 'User moved to trash. Their payments and receipts are kept.');
   } catch (error) {
     debugLog('CRITICAL ERROR in deleteUser process:', error.message);
     console.error(error); // Log the full error for server-side debugging
@@ -480,6 +505,45 @@ return sendResponse(res, 200, true, { userId: numericUserId, status: 'deleted_pe
   }
 };
 
+// Merge a guest giving profile into a member account (admin only)
+exports.mergeGuestProfile = async (req, res) => {
+  debugLog('=== MERGE GUEST PROFILE ATTEMPT STARTED (ADMIN) ===');
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot merge guest profiles.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const userId = parseInt(req.params.userId);
+    const guestId = parseInt(req.body.guestId);
+
+    const moved = await prisma.$transaction(tx => mergeGuestProfile(tx, guestId, userId));
+
+    await logAdminActivity('ADMIN_MERGE_GUEST_PROFILE', userId, req.user.id, { guestId, moved });
+    debugLog(`Guest profile ${guestId} merged into user ${userId} by admin ${req.user.username}`, moved);
+    return sendResponse(res, 200, true, { userId, guestId, moved }, 'Guest profile merged. Its gifts and receipts now belong to this account.');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    debugLog('CRITICAL ERROR in mergeGuestProfile process:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Server error merging guest profile.', {
+      code: 'SERVER_ERROR',
+      details: process.env.NODE_ENV === 'production' ? 'An internal error occurred.' : error.message,
+    });
+  } finally {
+    debugLog('=== MERGE GUEST PROFILE ATTEMPT FINISHED (ADMIN) ===');
+  }
+};
+
 // Reset user password by Admin (sets a new password directly)
 // This function assumes the route calling it has validation that *only* requires newPassword from an admin.
 exports.resetUserPassword = async (req, res) => {
@@ -1,15 +1,20 @@
 // server/controllers/batchPaymentController.js - ENHANCED PRODUCTION VERSION
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete, softDeleteData } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { generateBatchReference, validateBatchPayments, createBatchPaymentItem, generateDepositSlip } = require('../utils/batchPaymentUtils.js');
 const { initiateKcbPayment } = require('../utils/kcbPaymentUtils.js');
 const { generateReceiptNumber } = require('../utils/receiptUtils.js');
 const { logger } = require('../config/logger');
 const WalletService = require('../utils/walletService.js');
+const { assertPeriodOpen } = require('../utils/accountingPeriods.js');
+const { readSpreadsheet } = require('../utils/spreadsheetReader.js');
+const { buildImportPreview } = require('../utils/batchImport.js');
+const { recordStatusChange } = require('../utils/paymentStatusMachine.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 const walletService = new WalletService();
 
 const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
@@ -29,6 +34,36 @@ const isViewOnlyAdmin = (user) => {
   return viewOnlyUsernames.includes(user.username);
 };
 
+// Regenerate a batch's deposit slip from its current data and store the path on the batch
+const writeDepositSlip = async (batchId) => {
+  const batchPayment = await prisma.batchPayment.findUnique({
+    where: { id: batchId },
+    include: {
+      creator: { select: { fullName: true } },
+      processor: { select: { fullName: true } },
+      payments: {
+        include: {
+          user: { select: { fullName: true } },
+          specialOffering: { select: { name: true, offeringCode: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+      cashCountSession: {
+        select: {
+          sessionReference: true,
+          signoffs: { include: { user: { select: { fullName: true } } }, orderBy: { signedAt: 'asc' } },
+        },
+      },
+    },
+  });
+
+  const depositSlipPath = await generateDepositSlip(batchPayment);
+  if (depositSlipPath !== batchPayment.depositSlipPath) {
+    await prisma.batchPayment.update({ where: { id: batchId }, data: { depositSlipPath } });
+  }
+  return depositSlipPath;
+};
+
 async function logAdminActivity(actionType, targetId, initiatedBy, actionData = {}) {
   try {
     await prisma.adminAction.create({
@@ -89,6 +124,8 @@ exports.createBatchPayment = async (req, res) => {
     const batchReference = generateBatchReference();
 
     const result = await prisma.$transaction(async (tx) => {
+      await assertPeriodOpen(tx, payments.map(payment => payment.paymentDate || new Date()), 'create batch items');
+
       // Calculate totals with enhanced precision
       const totalAmount = payments.reduce((sum, payment) => {
         return sum + parseFloat(payment.amount);
@@ -143,6 +180,9 @@ exports.createBatchPayment = async (req, res) => {
     }, `Batch payment created successfully with ${result.payments.length} payments. Ready for KCB deposit.`);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error creating batch payment', { error: error.message, userId: req.user.id });
     return sendResponse(res, 500, false, null, error.message || 'Server error creating batch payment.', {
       code: 'BATCH_PAYMENT_ERROR',
@@ -191,6 +231,8 @@ exports.addItemsToBatch = async (req, res) => {
         throw new Error(`Can only add items to PENDING batches. Current status: ${batch.status}`);
       }
 
+      await assertPeriodOpen(tx, payments.map(payment => payment.paymentDate || new Date()), 'add batch items');
+
       // Check batch size limits
       const currentCount = batch._count.payments;
       if (currentCount + payments.length > 500) {
@@ -276,6 +318,9 @@ exports.addItemsToBatch = async (req, res) => {
     }, `Successfully added ${result.newPayments.length} payments totaling KES ${result.addedAmount.toFixed(2)} to batch.`);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error adding items to batch', { 
       error: error.message, 
       batchId: req.params.batchId,
@@ -288,6 +333,59 @@ exports.addItemsToBatch = async (req, res) => {
   }
 };
 
+/**
+ * Preview a CSV/XLSX import of batch items. Nothing is saved: rows without errors are returned as
+ * `payments`, ready to send to createBatchPayment or addItemsToBatch.
+ */
+exports.previewBatchImport = async (req, res) => {
+  logger.info('Batch import preview started', { userId: req.user.id });
+
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot import batch payments.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    if (!req.file) {
+      return sendResponse(res, 400, false, null, 'A CSV or XLSX file is required.', { code: 'FILE_REQUIRED' });
+    }
+
+    const sheetRows = readSpreadsheet(req.file.buffer, req.file.originalname);
+    const preview = await buildImportPreview(sheetRows, {
+      defaultPaymentDate: req.body.paymentDate ? new Date(req.body.paymentDate) : new Date()
+    });
+
+    logger.info('Batch import preview built', {
+      userId: req.user.id,
+      fileName: req.file.originalname,
+      ...preview.summary
+    });
+
+    const { summary } = preview;
+    return sendResponse(res, 200, true, { fileName: req.file.originalname, ...preview },
+      summary.rowsWithErrors > 0
+        ? `${summary.importableRows} of ${summary.totalRows} rows can be imported; ${summary.rowsWithErrors} have errors.`
+        : `All ${summary.totalRows} rows can be imported.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error previewing batch import', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error reading the import file.', {
+      code: 'BATCH_IMPORT_ERROR',
+      details: error.message,
+    });
+  }
+};
+
 /**
  * Process batch payment deposit via KCB with enhanced error handling
  */
@@ -361,6 +459,14 @@ exports.processBatchDeposit = async (req, res) => {
         },
       });
 
+      // Slip generation failing should not undo the deposit; it can be regenerated on download
+      let depositSlipPath = null;
+      try {
+        depositSlipPath = await writeDepositSlip(updatedBatch.id);
+      } catch (slipError) {
+        logger.error('Error generating deposit slip', { error: slipError.message, batchId });
+      }
+
       await logAdminActivity('PROCESS_BATCH_DEPOSIT', batchPayment.id, req.user.id, { 
         batchReference: batchPayment.batchReference,
         totalAmount: amount,
@@ -377,7 +483,8 @@ exports.processBatchDeposit = async (req, res) => {
       return sendResponse(res, 200, true, {
         batchPayment: {
           ...updatedBatch,
-          totalAmount: parseFloat(updatedBatch.totalAmount.toString())
+          totalAmount: parseFloat(updatedBatch.totalAmount.toString()),
+          depositSlipPath
         },
         kcbResponse: {
           reference: kcbResponse.reference,
@@ -445,6 +552,8 @@ exports.completeBatchPayment = async (req, res) => {
         throw new Error(`Batch payment is not in deposited status: ${batchPayment.status}`);
       }
 
+      await assertPeriodOpen(tx, batchPayment.payments.map(payment => payment.paymentDate), 'complete batch items');
+
       // Update all individual payments to completed status with receipts
       const completedPayments = [];
       const walletUpdateErrors = [];
@@ -466,6 +575,15 @@ exports.completeBatchPayment = async (req, res) => {
             },
           });
 
+          await recordStatusChange(tx, {
+            paymentId: payment.id,
+            fromStatus: payment.status,
+            toStatus: 'COMPLETED',
+            source: 'BATCH',
+            changedById: req.user.id,
+            details: { batchReference: batchPayment.batchReference }
+          });
+
           // Create receipt
           await tx.receipt.create({
             data: {
@@ -562,6 +680,9 @@ exports.completeBatchPayment = async (req, res) => {
     }, message);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error completing batch payment', { 
       error: error.message, 
       batchId: req.params.batchId,
@@ -740,6 +861,54 @@ exports.getBatchPaymentDetails = async (req, res) => {
   }
 };
 
+/**
+ * Download the bank deposit slip and batch summary PDF (regenerated so it reflects the current status)
+ */
+exports.downloadDepositSlip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const batchId = parseInt(req.params.batchId);
+    const batchPayment = await prisma.batchPayment.findUnique({
+      where: { id: batchId },
+      select: { id: true, status: true },
+    });
+
+    if (!batchPayment) {
+      return sendResponse(res, 404, false, null, 'Batch payment not found.', { code: 'BATCH_NOT_FOUND' });
+    }
+
+    if (!['DEPOSITED', 'COMPLETED'].includes(batchPayment.status)) {
+      return sendResponse(res, 400, false, null, `A deposit slip is only available once the batch has been deposited. Current status: ${batchPayment.status}`, { code: 'INVALID_BATCH_STATUS' });
+    }
+
+    const depositSlipPath = await writeDepositSlip(batchId);
+    const filepath = path.join(__dirname, '..', 'public', depositSlipPath);
+    if (!fs.existsSync(filepath)) {
+      return sendResponse(res, 404, false, null, 'Deposit slip not found.', { code: 'DEPOSIT_SLIP_NOT_FOUND' });
+    }
+
+    return res.download(filepath, path.basename(filepath));
+
+  } catch (error) {
+    logger.error('Error downloading deposit slip', { 
+      error: error.message, 
+      batchId: req.params.batchId,
+      userId: req.user.id 
+    });
+    return sendResponse(res, 500, false, null, 'Server error generating deposit slip.', { 
+      code: 'SERVER_ERROR', 
+      details: error.message 
+    });
+  }
+};
+
 /**
  * Cancel batch payment with enhanced validation
  */
@@ -751,6 +920,14 @@ exports.cancelBatchPayment = async (req, res) => {
       return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot cancel batch payments.", { code: 'FORBIDDEN_VIEW_ONLY' });
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
     const { batchId } = req.params;
     const { reason } = req.body;
 
@@ -768,6 +945,8 @@ exports.cancelBatchPayment = async (req, res) => {
         throw new Error(`Cannot cancel batch with status: ${batchPayment.status}`);
       }
 
+      await assertPeriodOpen(tx, batchPayment.payments.map(payment => payment.paymentDate), 'cancel batch items');
+
       // Cancel all associated payments
       const updatePromises = batchPayment.payments.map(payment => {
         const newDescription = `${payment.description || ''} - CANCELLED: ${reason || 'Batch cancelled by admin'}`.substring(0, 191);
@@ -783,6 +962,16 @@ exports.cancelBatchPayment = async (req, res) => {
 
       await Promise.all(updatePromises);
 
+      await recordStatusChange(tx, batchPayment.payments.map(payment => ({
+        paymentId: payment.id,
+        fromStatus: payment.status,
+        toStatus: 'CANCELLED',
+        source: 'BATCH',
+        reason: reason || 'Batch cancelled by admin',
+        changedById: req.user.id,
+        details: { batchReference: batchPayment.batchReference }
+      })));
+
       // Update batch payment status
       const cancelledBatch = await tx.batchPayment.update({
         where: { id: parseInt(batchId) },
@@ -819,6 +1008,9 @@ exports.cancelBatchPayment = async (req, res) => {
     }, `Batch payment cancelled successfully. ${result.cancelledPayments} payments cancelled.`);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error cancelling batch payment', { 
       error: error.message, 
       batchId: req.params.batchId,
@@ -834,169 +1026,81 @@ exports.cancelBatchPayment = async (req, res) => {
 // ===== HELPER FUNCTIONS =====
 
 /**
- * Generate unique batch reference
- */
-function generateBatchReference() {
-  const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 14);
-  const randomPart = crypto.randomBytes(4).toString('hex').toUpperCase();
-  return `BATCH-${timestamp}-${randomPart}`;
-}
-
-/**
- * Validate batch payments array
+ * Move a cancelled batch and its cancelled payments to the trash
  */
-async function validateBatchPayments(payments) {
-  const errors = [];
-  
-  for (let i = 0; i < payments.length; i++) {
-    const payment = payments[i];
-    const position = i + 1;
-    
-    // Required fields validation
-    if (!payment.userId || !payment.amount || !payment.paymentType) {
-      errors.push({
-        position,
-        field: 'required',
-        message: `Missing required fields (userId, amount, paymentType)`
-      });
-      continue;
+exports.trashBatchPayment = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot delete batch payments.", { code: 'FORBIDDEN_VIEW_ONLY' });
     }
 
-    // Amount validation
-    const amount = parseFloat(payment.amount);
-    if (isNaN(amount) || amount <= 0) {
-      errors.push({
-        position,
-        field: 'amount',
-        message: `Amount must be a positive number`
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
       });
     }
 
-    // User validation
-    try {
-      const user = await prisma.user.findUnique({ 
-        where: { id: parseInt(payment.userId) },
-        select: { id: true, isActive: true }
+    const batchId = parseInt(req.params.batchId);
+    const { reason } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const batchPayment = await tx.batchPayment.findUnique({
+        where: { id: batchId },
+        include: { payments: { select: { id: true, status: true } } },
       });
-      
-      if (!user) {
-        errors.push({
-          position,
-          field: 'userId',
-          message: `User with ID ${payment.userId} not found`
-        });
-      } else if (!user.isActive) {
-        errors.push({
-          position,
-          field: 'userId',
-          message: `User with ID ${payment.userId} is inactive`
-        });
+
+      if (!batchPayment) {
+        throw { statusCode: 404, message: 'Batch payment not found.', errorDetails: { code: 'BATCH_NOT_FOUND' } };
       }
-    } catch (dbError) {
-      errors.push({
-        position,
-        field: 'userId',
-        message: `Error validating user: ${dbError.message}`
-      });
-    }
 
-    // Special offering validation
-    if (payment.paymentType === 'SPECIAL_OFFERING_CONTRIBUTION' && payment.specialOfferingId) {
-      try {
-        const offering = await prisma.specialOffering.findUnique({ 
-          where: { id: parseInt(payment.specialOfferingId) },
-          select: { id: true, isActive: true, endDate: true }
-        });
-        
-        if (!offering) {
-          errors.push({
-            position,
-            field: 'specialOfferingId',
-            message: `Special offering with ID ${payment.specialOfferingId} not found`
-          });
-        } else if (!offering.isActive) {
-          errors.push({
-            position,
-            field: 'specialOfferingId',
-            message: `Special offering with ID ${payment.specialOfferingId} is not active`
-          });
-        } else if (offering.endDate && new Date(offering.endDate) < new Date()) {
-          errors.push({
-            position,
-            field: 'specialOfferingId',
-            message: `Special offering with ID ${payment.specialOfferingId} has ended`
-          });
-        }
-      } catch (dbError) {
-        errors.push({
-          position,
-          field: 'specialOfferingId',
-          message: `Error validating special offering: ${dbError.message}`
-        });
+      // Deposited and completed batches are financial records; only cancelled ones can be binned
+      if (batchPayment.status !== 'CANCELLED') {
+        throw {
+          statusCode: 400,
+          message: `Only cancelled batches can be deleted. Current status: ${batchPayment.status}`,
+          errorDetails: { code: 'INVALID_BATCH_STATUS' }
+        };
       }
-    }
-  }
-  
-  return errors;
-}
 
-/**
- * Create individual batch payment item
- */
-async function createBatchPaymentItem(paymentData, batchId, processedById, tx, position) {
-  // Handle special offering validation and conversion
-  let processedPaymentType = paymentData.paymentType;
-  let processedSpecialOfferingId = paymentData.specialOfferingId;
-  
-  if (!['TITHE', 'OFFERING', 'DONATION', 'EXPENSE'].includes(paymentData.paymentType)) {
-    if (/^\d+$/.test(paymentData.paymentType)) {
-      processedSpecialOfferingId = parseInt(paymentData.paymentType);
-      processedPaymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
-    }
-  }
+      // One timestamp for the batch and its payments so they are restored together
+      const deletion = softDeleteData(req.user.id, reason);
+      const paymentIds = batchPayment.payments.map(payment => payment.id);
+      await tx.payment.updateMany({ where: { id: { in: paymentIds }, deletedAt: null }, data: deletion });
+      await tx.receipt.updateMany({ where: { paymentId: { in: paymentIds }, deletedAt: null }, data: deletion });
+      await tx.batchPayment.update({ where: { id: batchId }, data: deletion });
 
-  // Validate tithe distribution if provided
-  let validatedTitheDistribution = null;
-  if (processedPaymentType === 'TITHE' && paymentData.titheDistributionSDA) {
-    const validation = walletService.validateTitheDistribution(
-      paymentData.titheDistributionSDA, 
-      parseFloat(paymentData.amount)
-    );
-    
-    if (!validation.valid) {
-      throw new Error(`Invalid tithe distribution: ${validation.errors.join(', ')}`);
-    }
-    
-    validatedTitheDistribution = paymentData.titheDistributionSDA;
-  }
+      return { batchPayment, paymentsDeleted: paymentIds.length };
+    });
 
-  // Create payment record
-  const paymentRecord = await tx.payment.create({
-    data: {
-      userId: parseInt(paymentData.userId),
-      amount: Math.round(parseFloat(paymentData.amount) * 100) / 100, // Ensure 2 decimal places
-      paymentType: processedPaymentType,
-      paymentMethod: 'BATCH_KCB',
-      description: paymentData.description || `${processedPaymentType} payment (Batch)`,
-      status: 'PENDING',
-      paymentDate: paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date(),
-      processedById: processedById,
-      isExpense: !!paymentData.isExpense,
-      department: paymentData.department || null,
-      specialOfferingId: processedSpecialOfferingId || null,
-      titheDistributionSDA: validatedTitheDistribution,
-      batchPaymentId: batchId,
-      isBatchProcessed: false,
-      bankDepositStatus: 'PENDING',
-    },
-    include: {
-      user: { select: { fullName: true, phone: true, email: true } },
-      specialOffering: { select: { name: true, offeringCode: true } },
-    },
-  });
+    await logAdminActivity('DELETE_BATCH_PAYMENT', batchId, req.user.id, {
+      batchReference: result.batchPayment.batchReference,
+      paymentsDeleted: result.paymentsDeleted,
+      reason: reason || null
+    });
 
-  return paymentRecord;
-}
+    return sendResponse(res, 200, true, {
+      batchId,
+      batchReference: result.batchPayment.batchReference,
+      paymentsDeleted: result.paymentsDeleted
+    }, `Batch ${result.batchPayment.batchReference} moved to trash.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error deleting batch payment', { 
+      error: error.message, 
+      batchId: req.params.batchId,
+      userId: req.user.id 
+    });
+    return sendResponse(res, 500, false, null, 'Server error deleting batch payment.', { 
+      code: 'SERVER_ERROR', 
+      details: error.message 
+    });
+  }
+};
 
 /**
  * Get status color for UI
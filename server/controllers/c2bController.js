@@ -0,0 +1,325 @@
+// server/controllers/c2bController.js - M-Pesa Paybill (C2B) validation, confirmation and review queue
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { completeCallbackLog } = require('../utils/paymentCallbacks.js');
+const { registerMpesaC2bUrls } = require('../utils/paymentUtils.js');
+const { validateC2bPayment, processC2bConfirmation, createC2bPayment, sendC2bReceiptSms } = require('../utils/c2bPayments.js');
+const WalletService = require('../utils/walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+const c2bInclude = {
+  user: { select: { id: true, username: true, fullName: true, phone: true } },
+  specialOffering: { select: { id: true, name: true, offeringCode: true } },
+  payment: { select: { id: true, status: true, receiptNumber: true, paymentType: true } },
+  resolvedBy: { select: { id: true, username: true, fullName: true } }
+};
+
+const formatC2bTransaction = (c2b) => ({
+  ...c2b,
+  amount: parseFloat(c2b.amount.toString())
+});
+
+// POST M-Pesa C2B validation (public, verified). Safaricom expects ResultCode "0" to accept.
+exports.c2bValidation = async (req, res) => {
+  try {
+    const decision = await validateC2bPayment(req.body);
+    if (!decision.accepted) {
+      logger.warn(`Paybill payment ${req.body?.TransID || ''} rejected at validation: ${decision.reason}`);
+      return res.status(200).json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+    }
+  } catch (error) {
+    // Accept on error; the confirmation will queue the payment for review if needed
+    logger.error('Error validating Paybill payment', { error: error.message });
+  }
+  return res.status(200).json({ ResultCode: '0', ResultDesc: 'Accepted' });
+};
+
+// POST M-Pesa C2B confirmation (public, verified, de-duplicated on TransID)
+exports.c2bConfirmation = async (req, res) => {
+  logger.info('M-Pesa C2B confirmation received', { transId: req.body?.TransID, billRefNumber: req.body?.BillRefNumber });
+
+  try {
+    const result = await processC2bConfirmation(req.body);
+    await completeCallbackLog(req.callbackLog?.id, result);
+  } catch (error) {
+    logger.error('Critical error in M-Pesa C2B confirmation processing', { error: error.message });
+    await completeCallbackLog(req.callbackLog?.id, { error: error.message });
+  }
+
+  return res.status(200).json({ ResultCode: 0, ResultDesc: 'Confirmation received successfully.' });
+};
+
+// GET Paybill transactions, by default the review queue (admin only)
+exports.getC2bTransactions = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { status = 'PENDING_REVIEW', search, page = 1, limit = 50 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const where = {};
+    if (status !== 'ALL') where.status = status;
+    if (search) {
+      where.OR = [
+        { transId: { contains: search, mode: 'insensitive' } },
+        { billRefNumber: { contains: search, mode: 'insensitive' } },
+        { msisdn: { contains: search } },
+        { payerName: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [transactions, total, pendingReview] = await Promise.all([
+      prisma.c2bTransaction.findMany({
+        where,
+        include: c2bInclude,
+        orderBy: { transTime: 'desc' },
+        skip,
+        take
+      }),
+      prisma.c2bTransaction.count({ where }),
+      prisma.c2bTransaction.aggregate({
+        where: { status: 'PENDING_REVIEW' },
+        _count: { id: true },
+        _sum: { amount: true }
+      })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      transactions: transactions.map(formatC2bTransaction),
+      pendingReview: {
+        count: pendingReview._count.id,
+        amount: parseFloat((pendingReview._sum.amount || new Prisma.Decimal(0)).toString())
+      },
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalTransactions: total
+    }, 'Paybill transactions retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting Paybill transactions', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving Paybill transactions.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// POST assign a queued Paybill transaction to a member and fund, completing its payment (admin only)
+exports.resolveC2bTransaction = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot resolve Paybill transactions.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const c2bId = parseInt(req.params.c2bId);
+    const { userId, paymentType, specialOfferingId, titheDistributionSDA, notes } = req.body;
+
+    const { resolved: result, receiptSms } = await prisma.$transaction(async (tx) => {
+      const c2b = await tx.c2bTransaction.findUnique({ where: { id: c2bId } });
+      if (!c2b) {
+        throw { statusCode: 404, message: 'Paybill transaction not found.', errorDetails: { code: 'C2B_TRANSACTION_NOT_FOUND' } };
+      }
+      if (c2b.status !== 'PENDING_REVIEW') {
+        throw { statusCode: 409, message: `Paybill transaction is already ${c2b.status}.`, errorDetails: { code: 'C2B_TRANSACTION_NOT_PENDING' } };
+      }
+
+      const user = await tx.user.findFirst({
+        where: { id: parseInt(userId), isActive: true },
+        select: { id: true, fullName: true, phone: true, username: true }
+      });
+      if (!user) {
+        throw { statusCode: 404, message: 'Active member not found.', errorDetails: { code: 'USER_NOT_FOUND' } };
+      }
+
+      let specialOffering = null;
+      let resolvedType = paymentType;
+      if (paymentType === 'SPECIAL') {
+        specialOffering = await tx.specialOffering.findUnique({
+          where: { id: parseInt(specialOfferingId) },
+          select: { id: true, name: true, offeringCode: true }
+        });
+        if (!specialOffering) {
+          throw { statusCode: 404, message: 'Special offering not found.', errorDetails: { code: 'OFFERING_NOT_FOUND' } };
+        }
+        resolvedType = 'SPECIAL_OFFERING_CONTRIBUTION';
+      }
+
+      if (resolvedType === 'TITHE' && titheDistributionSDA) {
+        const validation = await walletService.validateTitheDistribution(titheDistributionSDA, parseFloat(c2b.amount.toString()));
+        if (!validation.valid) {
+          throw { statusCode: 400, message: 'Invalid tithe distribution', errorDetails: { code: 'INVALID_TITHE_DISTRIBUTION', details: validation.errors } };
+        }
+      }
+
+      // Conditional claim so two admins cannot resolve the same transaction
+      const claimed = await tx.c2bTransaction.updateMany({
+        where: { id: c2b.id, status: 'PENDING_REVIEW' },
+        data: { status: 'RESOLVED', resolvedById: req.user.id, resolvedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        throw { statusCode: 409, message: 'Paybill transaction was resolved by another admin.', errorDetails: { code: 'C2B_TRANSACTION_NOT_PENDING' } };
+      }
+
+      const { payment, receiptSms } = await createC2bPayment(tx, c2b, {
+        user,
+        paymentType: resolvedType,
+        specialOffering,
+        titheDistributionSDA,
+        processedById: req.user.id
+      });
+
+      const resolved = await tx.c2bTransaction.update({
+        where: { id: c2b.id },
+        data: {
+          paymentId: payment.id,
+          userId: user.id,
+          paymentType: resolvedType,
+          specialOfferingId: specialOffering ? specialOffering.id : null,
+          resolutionNotes: notes || null
+        },
+        include: c2bInclude
+      });
+      return { resolved, receiptSms };
+    }, {
+      maxWait: 15000,
+      timeout: 45000,
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    sendC2bReceiptSms(receiptSms);
+
+    await logAdminActivity('RESOLVE_C2B_TRANSACTION', result.id, req.user.id, {
+      transId: result.transId,
+      userId: result.userId,
+      paymentType: result.paymentType,
+      paymentId: result.paymentId,
+      amount: parseFloat(result.amount.toString())
+    });
+
+    return sendResponse(res, 200, true, { transaction: formatC2bTransaction(result) }, 'Paybill transaction resolved and payment recorded.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    if (error.code === 'P2002') {
+      return sendResponse(res, 409, false, null, 'This M-Pesa receipt is already recorded on a payment.', { code: 'DUPLICATE_TRANSACTION' });
+    }
+    logger.error('Error resolving Paybill transaction', { error: error.message, c2bId: req.params.c2bId });
+    return sendResponse(res, 500, false, null, 'Server error resolving Paybill transaction.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// POST set aside a queued Paybill transaction that is not a member contribution (admin only)
+exports.dismissC2bTransaction = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot dismiss Paybill transactions.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const c2bId = parseInt(req.params.c2bId);
+    const dismissed = await prisma.c2bTransaction.updateMany({
+      where: { id: c2bId, status: 'PENDING_REVIEW' },
+      data: { status: 'DISMISSED', resolvedById: req.user.id, resolvedAt: new Date(), resolutionNotes: req.body.reason }
+    });
+
+    if (dismissed.count === 0) {
+      const existing = await prisma.c2bTransaction.findUnique({ where: { id: c2bId }, select: { status: true } });
+      return existing
+        ? sendResponse(res, 409, false, null, `Paybill transaction is already ${existing.status}.`, { code: 'C2B_TRANSACTION_NOT_PENDING' })
+        : sendResponse(res, 404, false, null, 'Paybill transaction not found.', { code: 'C2B_TRANSACTION_NOT_FOUND' });
+    }
+
+    const transaction = await prisma.c2bTransaction.findUnique({ where: { id: c2bId }, include: c2bInclude });
+    await logAdminActivity('DISMISS_C2B_TRANSACTION', c2bId, req.user.id, {
+      transId: transaction.transId,
+      amount: parseFloat(transaction.amount.toString()),
+      reason: req.body.reason
+    });
+
+    return sendResponse(res, 200, true, { transaction: formatC2bTransaction(transaction) }, 'Paybill transaction dismissed.');
+
+  } catch (error) {
+    logger.error('Error dismissing Paybill transaction', { error: error.message, c2bId: req.params.c2bId });
+    return sendResponse(res, 500, false, null, 'Server error dismissing Paybill transaction.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// POST register the validation and confirmation URLs with Safaricom (admin only)
+exports.registerC2bUrls = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot register Paybill URLs.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const result = await registerMpesaC2bUrls();
+    await logAdminActivity('REGISTER_C2B_URLS', result.shortCode, req.user.id, { response: result.response });
+
+    return sendResponse(res, 200, true, result, 'Paybill URLs registered with M-Pesa.');
+  } catch (error) {
+    logger.error('Error registering Paybill URLs', { error: error.message });
+    return sendResponse(res, 502, false, null, 'Could not register Paybill URLs with M-Pesa.', {
+      code: 'C2B_REGISTRATION_FAILED',
+      details: error.message
+    });
+  }
+};
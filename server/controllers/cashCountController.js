@@ -0,0 +1,823 @@
+// server/controllers/cashCountController.js - Sabbath cash count sessions
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { assertPeriodOpen } = require('../utils/accountingPeriods.js');
+const { generateBatchReference, createBatchPaymentItem } = require('../utils/batchPaymentUtils.js');
+const {
+  REQUIRED_SIGNOFFS,
+  generateSessionReference,
+  summarizeDenominations,
+  getEnvelopeTotal,
+  getSessionTotals,
+  isSignoffCurrent,
+  buildBatchItems,
+  generateCountSheet
+} = require('../utils/cashCountUtils.js');
+const WalletService = require('../utils/walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+const viewOnlyForbidden = (req, res) => {
+  if (isViewOnlyAdmin(req.user)) {
+    sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot record cash counts.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    return true;
+  }
+  return false;
+};
+
+const userSelect = { select: { id: true, username: true, fullName: true } };
+
+const sessionInclude = {
+  creator: userSelect,
+  closer: userSelect,
+  looseCashMember: userSelect,
+  envelopes: {
+    include: { member: userSelect, recorder: userSelect },
+    orderBy: { createdAt: 'asc' }
+  },
+  signoffs: {
+    include: { user: userSelect },
+    orderBy: { signedAt: 'asc' }
+  },
+  batchPayment: { select: { id: true, batchReference: true, status: true, totalAmount: true, totalCount: true } }
+};
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+const serializeEnvelope = (envelope) => ({
+  ...envelope,
+  titheAmount: toNumber(envelope.titheAmount),
+  offeringAmount: toNumber(envelope.offeringAmount),
+  totalAmount: toNumber(envelope.totalAmount)
+});
+
+const serializeSession = (session) => {
+  const totals = getSessionTotals(session);
+  const signoffs = (session.signoffs || []).map(signoff => ({
+    ...signoff,
+    cashTotal: toNumber(signoff.cashTotal),
+    envelopeTotal: toNumber(signoff.envelopeTotal)
+  }));
+
+  return {
+    ...session,
+    denominations: summarizeDenominations(session.denominations).lines,
+    cashTotal: totals.cashTotal,
+    envelopeTotal: totals.envelopeTotal,
+    looseCash: totals.looseCash,
+    isBalanced: totals.isBalanced,
+    envelopes: (session.envelopes || []).map(serializeEnvelope),
+    signoffs,
+    signoffsRequired: REQUIRED_SIGNOFFS,
+    canClose: session.status === 'OPEN' && totals.cashTotal > 0 && totals.isBalanced &&
+      signoffs.length >= REQUIRED_SIGNOFFS && signoffs.every(signoff => isSignoffCurrent(signoff, totals)),
+    batchPayment: session.batchPayment
+      ? { ...session.batchPayment, totalAmount: toNumber(session.batchPayment.totalAmount) }
+      : session.batchPayment
+  };
+};
+
+// Load a session that can still be edited, signed or closed. Inside a transaction, pass lock so
+// edits, sign-offs and the close of one session run one after another and never see stale figures.
+const getOpenSession = async (client, sessionId, { lock = false } = {}) => {
+  if (lock) {
+    await client.$executeRaw`SELECT pg_advisory_xact_lock(${walletService.generateLockId(`CASH_COUNT_SESSION_${sessionId}`)})`;
+  }
+  const session = await client.cashCountSession.findUnique({
+    where: { id: sessionId },
+    include: { envelopes: true, signoffs: true }
+  });
+  if (!session) {
+    throw { statusCode: 404, message: 'Cash count session not found.', errorDetails: { code: 'CASH_COUNT_NOT_FOUND' } };
+  }
+  if (session.status !== 'OPEN') {
+    throw {
+      statusCode: 409,
+      message: `Cash count session is ${session.status.toLowerCase()} and can no longer be changed.`,
+      errorDetails: { code: 'CASH_COUNT_NOT_OPEN', status: session.status }
+    };
+  }
+  return session;
+};
+
+// Recompute stored totals after the count changes. Existing sign-offs were for the old figures,
+// so they are cleared and the count has to be signed again.
+const refreshSessionTotals = async (tx, sessionId) => {
+  const session = await tx.cashCountSession.findUnique({
+    where: { id: sessionId },
+    include: { envelopes: true }
+  });
+  const totals = getSessionTotals(session);
+  const { count: signoffsCleared } = await tx.cashCountSignoff.deleteMany({ where: { sessionId } });
+  await tx.cashCountSession.update({
+    where: { id: sessionId },
+    data: { cashTotal: totals.cashTotal, envelopeTotal: totals.envelopeTotal }
+  });
+  return signoffsCleared;
+};
+
+const fetchSession = (sessionId) => prisma.cashCountSession.findUnique({
+  where: { id: sessionId },
+  include: sessionInclude
+});
+
+// Check the member, special offerings and tithe split of an envelope line
+const validateEnvelope = async ({ userId, titheAmount = 0, offeringAmount = 0, specialOfferings, titheDistributionSDA }) => {
+  specialOfferings = specialOfferings || [];
+  const member = await prisma.user.findUnique({ where: { id: parseInt(userId) }, select: { id: true, isActive: true } });
+  if (!member || !member.isActive) {
+    throw { statusCode: 400, message: `Member with ID ${userId} not found or inactive.`, errorDetails: { code: 'MEMBER_NOT_FOUND' } };
+  }
+
+  const offeringIds = [...new Set(specialOfferings.map(split => parseInt(split.specialOfferingId)))];
+  if (offeringIds.length !== specialOfferings.length) {
+    throw { statusCode: 400, message: 'Each special offering can only appear once per envelope.', errorDetails: { code: 'DUPLICATE_SPECIAL_OFFERING' } };
+  }
+  if (offeringIds.length > 0) {
+    const offerings = await prisma.specialOffering.findMany({
+      where: { id: { in: offeringIds } },
+      select: { id: true, name: true, isActive: true, endDate: true }
+    });
+    for (const offeringId of offeringIds) {
+      const offering = offerings.find(o => o.id === offeringId);
+      if (!offering || !offering.isActive || (offering.endDate && new Date(offering.endDate) < new Date())) {
+        throw {
+          statusCode: 400,
+          message: `Special offering with ID ${offeringId} not found, inactive or ended.`,
+          errorDetails: { code: 'SPECIAL_OFFERING_UNAVAILABLE', specialOfferingId: offeringId }
+        };
+      }
+    }
+  }
+
+  if (titheDistributionSDA) {
+    const validation = await walletService.validateTitheDistribution(titheDistributionSDA, parseFloat(titheAmount));
+    if (!validation.valid) {
+      throw { statusCode: 400, message: `Invalid tithe distribution: ${validation.errors.join(', ')}`, errorDetails: { code: 'INVALID_TITHE_DISTRIBUTION' } };
+    }
+  }
+
+  const envelope = {
+    titheAmount: parseFloat(titheAmount) || 0,
+    offeringAmount: parseFloat(offeringAmount) || 0,
+    specialOfferings: specialOfferings.map(split => ({ specialOfferingId: parseInt(split.specialOfferingId), amount: parseFloat(split.amount) }))
+  };
+  const totalAmount = getEnvelopeTotal(envelope);
+  if (totalAmount <= 0) {
+    throw { statusCode: 400, message: 'An envelope must contain a tithe, offering or special offering amount.', errorDetails: { code: 'EMPTY_ENVELOPE' } };
+  }
+
+  return {
+    userId: member.id,
+    ...envelope,
+    titheDistributionSDA: titheDistributionSDA && envelope.titheAmount > 0 ? titheDistributionSDA : null,
+    totalAmount
+  };
+};
+
+/**
+ * List cash count sessions, newest service first
+ */
+exports.getCashCountSessions = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+    const where = status ? { status } : {};
+
+    const [sessions, total] = await Promise.all([
+      prisma.cashCountSession.findMany({
+        where,
+        include: {
+          creator: userSelect,
+          batchPayment: { select: { id: true, batchReference: true, status: true } },
+          _count: { select: { envelopes: true, signoffs: true } }
+        },
+        orderBy: [{ serviceDate: 'desc' }, { createdAt: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.cashCountSession.count({ where })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      sessions: sessions.map(session => ({
+        ...session,
+        cashTotal: toNumber(session.cashTotal),
+        envelopeTotal: toNumber(session.envelopeTotal),
+        looseCash: Math.round((toNumber(session.cashTotal) - toNumber(session.envelopeTotal)) * 100) / 100
+      })),
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalSessions: total
+    }, 'Cash count sessions retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting cash count sessions', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving cash count sessions.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get a session with its denominations, envelopes and sign-offs
+ */
+exports.getCashCountSession = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const session = await fetchSession(parseInt(req.params.sessionId));
+    if (!session) {
+      return sendResponse(res, 404, false, null, 'Cash count session not found.', { code: 'CASH_COUNT_NOT_FOUND' });
+    }
+
+    return sendResponse(res, 200, true, { session: serializeSession(session) }, 'Cash count session retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting cash count session', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error retrieving cash count session.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Open a counting session for a service
+ */
+exports.createCashCountSession = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const { serviceDate, description, looseCashUserId, notes } = req.body;
+    const date = serviceDate ? new Date(serviceDate) : new Date();
+
+    await assertPeriodOpen(prisma, date, 'open a cash count');
+
+    if (looseCashUserId) {
+      const member = await prisma.user.findUnique({ where: { id: parseInt(looseCashUserId) }, select: { id: true } });
+      if (!member) {
+        return sendResponse(res, 400, false, null, `Member with ID ${looseCashUserId} not found.`, { code: 'MEMBER_NOT_FOUND' });
+      }
+    }
+
+    const session = await prisma.cashCountSession.create({
+      data: {
+        sessionReference: generateSessionReference(),
+        serviceDate: date,
+        description: description || null,
+        looseCashUserId: looseCashUserId ? parseInt(looseCashUserId) : null,
+        notes: notes || null,
+        denominations: [],
+        createdById: req.user.id
+      },
+      include: sessionInclude
+    });
+
+    await logAdminActivity('CREATE_CASH_COUNT', session.id, req.user.id, {
+      sessionReference: session.sessionReference,
+      serviceDate: date.toISOString()
+    });
+
+    return sendResponse(res, 201, true, { session: serializeSession(session) }, `Cash count ${session.sessionReference} opened.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error creating cash count session', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error opening cash count session.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Update session details (description, notes, loose cash member). Does not affect sign-offs.
+ */
+exports.updateCashCountSession = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    const { description, looseCashUserId, notes } = req.body;
+    const data = {};
+    if (description !== undefined) data.description = description || null;
+    if (notes !== undefined) data.notes = notes || null;
+    if (looseCashUserId !== undefined) {
+      if (looseCashUserId) {
+        const member = await prisma.user.findUnique({ where: { id: parseInt(looseCashUserId) }, select: { id: true } });
+        if (!member) {
+          return sendResponse(res, 400, false, null, `Member with ID ${looseCashUserId} not found.`, { code: 'MEMBER_NOT_FOUND' });
+        }
+      }
+      data.looseCashUserId = looseCashUserId ? parseInt(looseCashUserId) : null;
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      await getOpenSession(tx, sessionId, { lock: true });
+      return tx.cashCountSession.update({
+        where: { id: sessionId },
+        data,
+        include: sessionInclude
+      });
+    });
+
+    return sendResponse(res, 200, true, { session: serializeSession(session) }, 'Cash count session updated.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error updating cash count session', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error updating cash count session.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Replace the denomination breakdown of all cash counted
+ */
+exports.setDenominations = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+    const { lines } = summarizeDenominations(req.body.denominations);
+
+    const signoffsCleared = await prisma.$transaction(async (tx) => {
+      await getOpenSession(tx, sessionId, { lock: true });
+      await tx.cashCountSession.update({
+        where: { id: sessionId },
+        data: { denominations: lines.map(({ denomination, count }) => ({ denomination, count })) }
+      });
+      return refreshSessionTotals(tx, sessionId);
+    });
+
+    const session = await fetchSession(sessionId);
+    return sendResponse(res, 200, true, { session: serializeSession(session), signoffsCleared },
+      signoffsCleared > 0 ? 'Denominations saved. Previous sign-offs were cleared and the count must be signed again.' : 'Denominations saved.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error saving cash count denominations', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error saving denominations.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Record an envelope: the member and how their gift splits across tithe, offering and special offerings
+ */
+exports.addEnvelope = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+    await getOpenSession(prisma, sessionId);
+    const envelopeData = await validateEnvelope(req.body);
+
+    const { envelope, signoffsCleared } = await prisma.$transaction(async (tx) => {
+      await getOpenSession(tx, sessionId, { lock: true });
+      const created = await tx.cashCountEnvelope.create({
+        data: {
+          sessionId,
+          ...envelopeData,
+          envelopeNumber: req.body.envelopeNumber || null,
+          notes: req.body.notes || null,
+          recordedById: req.user.id
+        },
+        include: { member: userSelect }
+      });
+      return { envelope: created, signoffsCleared: await refreshSessionTotals(tx, sessionId) };
+    });
+
+    const session = await fetchSession(sessionId);
+    return sendResponse(res, 201, true, {
+      envelope: serializeEnvelope(envelope),
+      session: serializeSession(session),
+      signoffsCleared
+    }, `Envelope recorded for ${envelope.member.fullName}.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error adding cash count envelope', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error recording envelope.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Correct an envelope line. The full line is replaced.
+ */
+exports.updateEnvelope = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+    const envelopeId = parseInt(req.params.envelopeId);
+    const session = await getOpenSession(prisma, sessionId);
+    if (!session.envelopes.some(envelope => envelope.id === envelopeId)) {
+      return sendResponse(res, 404, false, null, 'Envelope not found in this cash count.', { code: 'ENVELOPE_NOT_FOUND' });
+    }
+    const envelopeData = await validateEnvelope(req.body);
+
+    const { envelope, signoffsCleared } = await prisma.$transaction(async (tx) => {
+      await getOpenSession(tx, sessionId, { lock: true });
+      const updated = await tx.cashCountEnvelope.update({
+        where: { id: envelopeId },
+        data: {
+          ...envelopeData,
+          envelopeNumber: req.body.envelopeNumber || null,
+          notes: req.body.notes || null,
+          recordedById: req.user.id
+        },
+        include: { member: userSelect }
+      });
+      return { envelope: updated, signoffsCleared: await refreshSessionTotals(tx, sessionId) };
+    });
+
+    const updatedSession = await fetchSession(sessionId);
+    return sendResponse(res, 200, true, {
+      envelope: serializeEnvelope(envelope),
+      session: serializeSession(updatedSession),
+      signoffsCleared
+    }, 'Envelope updated.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error updating cash count envelope', { error: error.message, envelopeId: req.params.envelopeId });
+    return sendResponse(res, 500, false, null, 'Server error updating envelope.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Remove an envelope line recorded by mistake
+ */
+exports.deleteEnvelope = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+    const envelopeId = parseInt(req.params.envelopeId);
+
+    const signoffsCleared = await prisma.$transaction(async (tx) => {
+      const session = await getOpenSession(tx, sessionId, { lock: true });
+      if (!session.envelopes.some(envelope => envelope.id === envelopeId)) {
+        throw { statusCode: 404, message: 'Envelope not found in this cash count.', errorDetails: { code: 'ENVELOPE_NOT_FOUND' } };
+      }
+      await tx.cashCountEnvelope.delete({ where: { id: envelopeId } });
+      return refreshSessionTotals(tx, sessionId);
+    });
+
+    const session = await fetchSession(sessionId);
+    return sendResponse(res, 200, true, { session: serializeSession(session), signoffsCleared }, 'Envelope removed.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error deleting cash count envelope', { error: error.message, envelopeId: req.params.envelopeId });
+    return sendResponse(res, 500, false, null, 'Server error removing envelope.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Sign off the count as it stands. Each user signs once; editing the count clears sign-offs.
+ */
+exports.signOffCashCount = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    const signoff = await prisma.$transaction(async (tx) => {
+      const session = await getOpenSession(tx, sessionId, { lock: true });
+      const totals = getSessionTotals(session);
+
+      if (totals.cashTotal <= 0) {
+        throw { statusCode: 400, message: 'Record the denomination breakdown before signing off.', errorDetails: { code: 'NOTHING_COUNTED' } };
+      }
+      if (!totals.isBalanced) {
+        throw {
+          statusCode: 400,
+          message: `Envelopes total KES ${totals.envelopeTotal.toFixed(2)} but only KES ${totals.cashTotal.toFixed(2)} was counted. Recount before signing off.`,
+          errorDetails: { code: 'COUNT_NOT_BALANCED', cashTotal: totals.cashTotal, envelopeTotal: totals.envelopeTotal }
+        };
+      }
+      const previous = session.signoffs.find(existing => existing.userId === req.user.id);
+      if (previous && isSignoffCurrent(previous, totals)) {
+        throw { statusCode: 409, message: 'You have already signed off this count.', errorDetails: { code: 'ALREADY_SIGNED' } };
+      }
+      if (previous) {
+        // Signed for earlier figures: replaced by a sign-off for the count as it is now
+        await tx.cashCountSignoff.delete({ where: { id: previous.id } });
+      }
+
+      return tx.cashCountSignoff.create({
+        data: {
+          sessionId,
+          userId: req.user.id,
+          cashTotal: totals.cashTotal,
+          envelopeTotal: totals.envelopeTotal,
+          notes: req.body.notes || null
+        }
+      });
+    });
+
+    await logAdminActivity('SIGN_OFF_CASH_COUNT', sessionId, req.user.id, {
+      cashTotal: toNumber(signoff.cashTotal),
+      envelopeTotal: toNumber(signoff.envelopeTotal)
+    });
+
+    const session = await fetchSession(sessionId);
+    const remaining = Math.max(0, REQUIRED_SIGNOFFS - session.signoffs.length);
+    return sendResponse(res, 201, true, { session: serializeSession(session) },
+      remaining > 0 ? `Signed off. ${remaining} more sign-off(s) from a different user required before closing.` : 'Signed off. The count is ready to close.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error signing off cash count', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error signing off cash count.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Close a signed-off count: creates a PENDING batch payment ready for processBatchDeposit and the count sheet
+ */
+exports.closeCashCount = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    const { session, batchPayment } = await prisma.$transaction(async (tx) => {
+      const openSession = await getOpenSession(tx, sessionId, { lock: true });
+      const totals = getSessionTotals(openSession);
+
+      if (openSession.signoffs.length < REQUIRED_SIGNOFFS) {
+        throw {
+          statusCode: 409,
+          message: `${REQUIRED_SIGNOFFS} sign-offs from different users are required before closing; ${openSession.signoffs.length} recorded.`,
+          errorDetails: { code: 'SIGNOFFS_REQUIRED', required: REQUIRED_SIGNOFFS, recorded: openSession.signoffs.length }
+        };
+      }
+      // Every sign-off must be for the figures being closed, not an earlier version of the count
+      const staleSignoffs = openSession.signoffs.filter(signoff => !isSignoffCurrent(signoff, totals));
+      if (staleSignoffs.length > 0) {
+        throw {
+          statusCode: 409,
+          message: 'The count changed after it was signed off. Each signer must sign off the current figures again.',
+          errorDetails: { code: 'SIGNOFFS_OUTDATED', signoffIds: staleSignoffs.map(signoff => signoff.id) }
+        };
+      }
+      if (totals.cashTotal <= 0 || !totals.isBalanced) {
+        throw { statusCode: 400, message: 'The count is empty or not balanced and cannot be closed.', errorDetails: { code: 'COUNT_NOT_BALANCED' } };
+      }
+      if (totals.looseCash > 0 && !openSession.looseCashUserId) {
+        throw {
+          statusCode: 400,
+          message: `KES ${totals.looseCash.toFixed(2)} of loose offering needs a member to be recorded under. Set the loose cash member first.`,
+          errorDetails: { code: 'LOOSE_CASH_MEMBER_REQUIRED', looseCash: totals.looseCash }
+        };
+      }
+
+      await assertPeriodOpen(tx, openSession.serviceDate, 'close cash count');
+
+      const items = buildBatchItems(openSession);
+      const batch = await tx.batchPayment.create({
+        data: {
+          batchReference: generateBatchReference(),
+          totalAmount: totals.cashTotal,
+          totalCount: items.length,
+          description: `Cash count ${openSession.sessionReference}${openSession.description ? ` - ${openSession.description}` : ''}`,
+          createdById: req.user.id,
+          status: 'PENDING'
+        }
+      });
+
+      for (let i = 0; i < items.length; i++) {
+        try {
+          await createBatchPaymentItem(items[i], batch.id, req.user.id, tx, i + 1);
+        } catch (itemError) {
+          throw { statusCode: 400, message: `Payment ${i + 1}: ${itemError.message}`, errorDetails: { code: 'BATCH_ITEM_ERROR' } };
+        }
+      }
+
+      // Matching on status makes a concurrent close of the same session fail instead of creating a second batch
+      const closed = await tx.cashCountSession.update({
+        where: { id: sessionId, status: 'OPEN' },
+        data: {
+          status: 'CLOSED',
+          closedById: req.user.id,
+          closedAt: new Date(),
+          batchPaymentId: batch.id,
+          cashTotal: totals.cashTotal,
+          envelopeTotal: totals.envelopeTotal
+        },
+        include: sessionInclude
+      });
+
+      return { session: closed, batchPayment: batch };
+    }, {
+      maxWait: 30000,
+      timeout: 120000,
+    });
+
+    // Count sheet generation failing should not undo the close; it can be regenerated on download
+    let countSheetPath = null;
+    try {
+      countSheetPath = await generateCountSheet(session);
+      await prisma.cashCountSession.update({ where: { id: sessionId }, data: { countSheetPath } });
+    } catch (sheetError) {
+      logger.error('Error generating cash count sheet', { error: sheetError.message, sessionId });
+    }
+
+    await logAdminActivity('CLOSE_CASH_COUNT', sessionId, req.user.id, {
+      sessionReference: session.sessionReference,
+      batchPaymentId: batchPayment.id,
+      batchReference: batchPayment.batchReference,
+      cashTotal: toNumber(session.cashTotal),
+      signedBy: session.signoffs.map(signoff => signoff.userId)
+    });
+
+    return sendResponse(res, 200, true, {
+      session: serializeSession({ ...session, countSheetPath }),
+      batchPayment: { ...batchPayment, totalAmount: toNumber(batchPayment.totalAmount) },
+      countSheetPath
+    }, `Cash count closed. Batch ${batchPayment.batchReference} is ready for KCB deposit.`);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error closing cash count', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error closing cash count.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Cancel an open count (e.g. opened by mistake). Closed counts are handled through their batch payment.
+ */
+exports.cancelCashCount = async (req, res) => {
+  try {
+    if (viewOnlyForbidden(req, res)) return;
+    if (validationFailed(req, res)) return;
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    const session = await prisma.$transaction(async (tx) => {
+      const openSession = await getOpenSession(tx, sessionId, { lock: true });
+      return tx.cashCountSession.update({
+        where: { id: sessionId },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date(),
+          notes: req.body.reason ? [openSession.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n') : undefined
+        },
+        include: sessionInclude
+      });
+    });
+
+    await logAdminActivity('CANCEL_CASH_COUNT', sessionId, req.user.id, {
+      sessionReference: session.sessionReference,
+      reason: req.body.reason || null
+    });
+
+    return sendResponse(res, 200, true, { session: serializeSession(session) }, 'Cash count cancelled.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error cancelling cash count', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error cancelling cash count.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Download the count sheet PDF (regenerated with the current count and sign-offs)
+ */
+exports.downloadCountSheet = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const session = await fetchSession(parseInt(req.params.sessionId));
+    if (!session) {
+      return sendResponse(res, 404, false, null, 'Cash count session not found.', { code: 'CASH_COUNT_NOT_FOUND' });
+    }
+
+    const countSheetPath = await generateCountSheet(session);
+    if (countSheetPath !== session.countSheetPath) {
+      await prisma.cashCountSession.update({ where: { id: session.id }, data: { countSheetPath } });
+    }
+
+    const filepath = path.join(__dirname, '..', 'public', countSheetPath);
+    if (!fs.existsSync(filepath)) {
+      return sendResponse(res, 404, false, null, 'Count sheet not found.', { code: 'COUNT_SHEET_NOT_FOUND' });
+    }
+
+    return res.download(filepath, path.basename(filepath));
+
+  } catch (error) {
+    logger.error('Error downloading count sheet', { error: error.message, sessionId: req.params.sessionId });
+    return sendResponse(res, 500, false, null, 'Server error generating count sheet.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+module.exports = exports;
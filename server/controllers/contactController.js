@@ -1,11 +1,12 @@
 // server/controllers/contactController.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
 // const { sendEmailNotification } = require('../utils/notificationUtils.js'); // Keep if you still want email notifications
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -0,0 +1,268 @@
+// server/controllers/exchangeRateController.js - Admin-maintained exchange rates to KES
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { BASE_CURRENCY, normalizeCurrency, startOfDay, convertToKes } = require('../utils/exchangeRates.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+const serializeRate = (rate) => ({
+  ...rate,
+  rateToKes: parseFloat(rate.rateToKes.toString())
+});
+
+const recorderSelect = { select: { id: true, username: true, fullName: true } };
+
+/**
+ * Get exchange rates, newest first, optionally for one currency
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const { currency, page = 1, limit = 50 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+    const where = currency ? { currency: normalizeCurrency(currency) } : {};
+
+    const [rates, total, currencies] = await Promise.all([
+      prisma.exchangeRate.findMany({
+        where,
+        include: { createdBy: recorderSelect, _count: { select: { payments: true } } },
+        orderBy: [{ effectiveDate: 'desc' }, { currency: 'asc' }],
+        skip,
+        take
+      }),
+      prisma.exchangeRate.count({ where }),
+      prisma.exchangeRate.findMany({ distinct: ['currency'], select: { currency: true }, orderBy: { currency: 'asc' } })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      baseCurrency: BASE_CURRENCY,
+      currencies: currencies.map(c => c.currency),
+      rates: rates.map(serializeRate),
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalRates: total
+    }, 'Exchange rates retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting exchange rates', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving exchange rates.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Record the rate for a currency from a given day
+ */
+exports.createExchangeRate = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage exchange rates.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const currency = normalizeCurrency(req.body.currency);
+    const effectiveDate = startOfDay(req.body.effectiveDate || new Date());
+    const { rateToKes, source, notes } = req.body;
+
+    const existing = await prisma.exchangeRate.findUnique({
+      where: { currency_effectiveDate: { currency, effectiveDate } }
+    });
+    if (existing) {
+      return sendResponse(res, 409, false, null, `A ${currency} rate is already recorded for ${effectiveDate.toISOString().slice(0, 10)}. Update it instead.`, {
+        code: 'EXCHANGE_RATE_EXISTS',
+        rateId: existing.id
+      });
+    }
+
+    const rate = await prisma.exchangeRate.create({
+      data: {
+        currency,
+        rateToKes: parseFloat(rateToKes),
+        effectiveDate,
+        source: source || null,
+        notes: notes || null,
+        createdById: req.user.id
+      },
+      include: { createdBy: recorderSelect }
+    });
+
+    await logAdminActivity('CREATE_EXCHANGE_RATE', rate.id, req.user.id, {
+      currency,
+      rateToKes: parseFloat(rateToKes),
+      effectiveDate: effectiveDate.toISOString()
+    });
+
+    return sendResponse(res, 201, true, { rate: serializeRate(rate) }, `${currency} rate recorded successfully.`);
+
+  } catch (error) {
+    logger.error('Error creating exchange rate', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error recording exchange rate.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Correct a recorded rate. Payments already converted keep the rate stored on them.
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage exchange rates.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const rateId = parseInt(req.params.rateId);
+    const existing = await prisma.exchangeRate.findUnique({ where: { id: rateId } });
+    if (!existing) {
+      return sendResponse(res, 404, false, null, 'Exchange rate not found.', { code: 'EXCHANGE_RATE_NOT_FOUND' });
+    }
+
+    const { rateToKes, source, notes } = req.body;
+    const data = {};
+    if (rateToKes !== undefined) data.rateToKes = parseFloat(rateToKes);
+    if (source !== undefined) data.source = source || null;
+    if (notes !== undefined) data.notes = notes || null;
+
+    const rate = await prisma.exchangeRate.update({
+      where: { id: rateId },
+      data,
+      include: { createdBy: recorderSelect, _count: { select: { payments: true } } }
+    });
+
+    await logAdminActivity('UPDATE_EXCHANGE_RATE', rate.id, req.user.id, {
+      currency: rate.currency,
+      previousRate: parseFloat(existing.rateToKes.toString()),
+      rateToKes: parseFloat(rate.rateToKes.toString())
+    });
+
+    return sendResponse(res, 200, true, { rate: serializeRate(rate) }, `${rate.currency} rate updated. Payments already recorded keep the rate they were converted at.`);
+
+  } catch (error) {
+    logger.error('Error updating exchange rate', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error updating exchange rate.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Delete a rate that no payment was converted with
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage exchange rates.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const rateId = parseInt(req.params.rateId);
+    const existing = await prisma.exchangeRate.findUnique({
+      where: { id: rateId },
+      include: { _count: { select: { payments: true } } }
+    });
+    if (!existing) {
+      return sendResponse(res, 404, false, null, 'Exchange rate not found.', { code: 'EXCHANGE_RATE_NOT_FOUND' });
+    }
+    if (existing._count.payments > 0) {
+      return sendResponse(res, 409, false, null, `This rate was used for ${existing._count.payments} payment(s) and cannot be deleted. Record a new rate instead.`, {
+        code: 'EXCHANGE_RATE_IN_USE'
+      });
+    }
+
+    await prisma.exchangeRate.delete({ where: { id: rateId } });
+
+    await logAdminActivity('DELETE_EXCHANGE_RATE', rateId, req.user.id, {
+      currency: existing.currency,
+      rateToKes: parseFloat(existing.rateToKes.toString()),
+      effectiveDate: existing.effectiveDate.toISOString()
+    });
+
+    return sendResponse(res, 200, true, { rateId }, `${existing.currency} rate deleted.`);
+
+  } catch (error) {
+    logger.error('Error deleting exchange rate', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error deleting exchange rate.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Preview the KES equivalent of an amount at a date, as addManualPayment would compute it
+ */
+exports.convertAmount = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { amount, currency, date } = req.query;
+    const conversion = await convertToKes({ amount, currency, date: date ? new Date(date) : new Date() });
+
+    return sendResponse(res, 200, true, {
+      ...conversion,
+      originalAmount: conversion.originalAmount !== null ? conversion.originalAmount : parseFloat(amount),
+      baseCurrency: BASE_CURRENCY
+    }, 'Amount converted successfully.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error converting amount', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error converting amount.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
@@ -1,5 +1,6 @@
 // server/controllers/kcbSyncController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
@@ -7,10 +8,13 @@ const {
   getKcbAccountBalance, 
   getKcbTransactionHistory, 
   syncKcbTransactions,
+  importStatementTransactions,
   tryLinkTransaction 
 } = require('../utils/kcbPaymentUtils.js');
+const { parseBankStatement, getCsvLayouts } = require('../utils/bankStatementParsers.js');
+const { getLinkSuggestions, getMatcherSettings } = require('../utils/reconciliationMatcher.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -182,18 +186,140 @@ exports.syncTransactions = async (req, res) => {
   }
 };
 
-// Get unlinked KCB transactions
+// Import a bank statement file (CSV, MT940 or camt.053) into the sync table
+exports.importStatement = async (req, res) => {
+  debugLog('Import Bank Statement attempt started');
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot import statements.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      debugLog('Validation errors on statement import:', errors.array());
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    if (!req.file) {
+      return sendResponse(res, 400, false, null, 'A statement file is required.', { code: 'STATEMENT_FILE_REQUIRED' });
+    }
+
+    const { format, layout, columns, dateFormat, delimiter, decimalSeparator, bankAccount } = req.body;
+
+    let statement;
+    try {
+      statement = parseBankStatement(req.file.buffer, {
+        fileName: req.file.originalname,
+        format,
+        layout,
+        columns: columns ? JSON.parse(columns) : undefined,
+        dateFormat,
+        delimiter: delimiter === '\\t' ? '\t' : delimiter,
+        decimalSeparator
+      });
+    } catch (parseError) {
+      debugLog('Statement could not be parsed:', parseError.message);
+      return sendResponse(res, 422, false, null, `Statement could not be read: ${parseError.message}`, { code: 'STATEMENT_PARSE_ERROR' });
+    }
+
+    if (statement.transactions.length === 0) {
+      return sendResponse(res, 422, false, { errors: statement.errors.slice(0, 50) }, 'No transactions found in the statement.', { code: 'STATEMENT_EMPTY' });
+    }
+
+    const summary = await importStatementTransactions(statement, {
+      fileName: req.file.originalname,
+      csvLayout: statement.format === 'CSV' ? (layout || 'GENERIC').toUpperCase() : null,
+      bankAccount: bankAccount || null,
+      importedById: req.user.id
+    });
+
+    await logAdminActivity('IMPORT_BANK_STATEMENT', summary.id, req.user.id, {
+      fileName: summary.fileName,
+      format: summary.format,
+      bankAccount: summary.bankAccount,
+      imported: summary.importedCount,
+      duplicates: summary.duplicateCount,
+      linked: summary.linkedCount,
+      errors: summary.errorCount
+    });
+
+    return sendResponse(res, 201, true, {
+      statementImport: {
+        ...summary,
+        openingBalance: summary.openingBalance !== null ? parseFloat(summary.openingBalance.toString()) : null,
+        closingBalance: summary.closingBalance !== null ? parseFloat(summary.closingBalance.toString()) : null
+      }
+    }, `Statement imported. ${summary.importedCount} new transactions, ${summary.linkedCount} automatically linked, ${summary.duplicateCount} already loaded.`);
+
+  } catch (error) {
+    debugLog('Error importing bank statement:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Failed to import bank statement.', {
+      code: 'STATEMENT_IMPORT_ERROR',
+      details: error.message,
+    });
+  }
+};
+
+// List statement imports and the available CSV layouts
+exports.getStatementImports = async (req, res) => {
+  debugLog('Get Statement Imports attempt started');
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const [imports, total] = await Promise.all([
+      prisma.bankStatementImport.findMany({
+        include: { importedBy: { select: { id: true, username: true, fullName: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.bankStatementImport.count(),
+    ]);
+
+    return sendResponse(res, 200, true, {
+      imports: imports.map(item => ({
+        ...item,
+        openingBalance: item.openingBalance !== null ? parseFloat(item.openingBalance.toString()) : null,
+        closingBalance: item.closingBalance !== null ? parseFloat(item.closingBalance.toString()) : null,
+      })),
+      csvLayouts: getCsvLayouts(),
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalImports: total,
+    }, 'Statement imports retrieved successfully.');
+
+  } catch (error) {
+    debugLog('Error getting statement imports:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Failed to retrieve statement imports.', {
+      code: 'STATEMENT_IMPORTS_ERROR',
+      details: error.message,
+    });
+  }
+};
+
+// Get unlinked KCB transactions, each with its best-scoring link suggestions
 exports.getUnlinkedTransactions = async (req, res) => {
   debugLog('Get Unlinked KCB Transactions attempt started');
   try {
-    const { page = 1, limit = 20, transactionType } = req.query;
+    const { page = 1, limit = 20, transactionType, source, bankAccount, importId, suggestions = true } = req.query;
     const take = parseInt(limit);
     const skip = (parseInt(page) - 1) * take;
+    const includeSuggestions = suggestions !== false && suggestions !== 'false';
 
     const whereConditions = { syncStatus: 'UNLINKED' };
     if (transactionType && transactionType !== 'ALL') {
       whereConditions.transactionType = transactionType;
     }
+    if (source) whereConditions.source = source;
+    if (bankAccount) whereConditions.bankAccount = bankAccount;
+    if (importId) whereConditions.importId = parseInt(importId);
 
     const unlinkedTransactions = await prisma.kcbTransactionSync.findMany({
       where: whereConditions,
@@ -204,12 +330,19 @@ exports.getUnlinkedTransactions = async (req, res) => {
 
     const totalUnlinked = await prisma.kcbTransactionSync.count({ where: whereConditions });
 
+    // Sequential on purpose: each lookup is two queries and a page is at most 100 rows
+    const transactions = [];
+    for (const tx of unlinkedTransactions) {
+      const entry = { ...tx, amount: parseFloat(tx.amount.toString()) };
+      if (includeSuggestions) {
+        entry.suggestions = await getLinkSuggestions(tx, { limit: 3 });
+      }
+      transactions.push(entry);
+    }
+
     debugLog(`Retrieved ${unlinkedTransactions.length} unlinked KCB transactions`);
     return sendResponse(res, 200, true, {
-      transactions: unlinkedTransactions.map(tx => ({
-        ...tx,
-        amount: parseFloat(tx.amount.toString()),
-      })),
+      transactions,
       totalPages: Math.ceil(totalUnlinked / take),
       currentPage: parseInt(page),
       totalUnlinked,
@@ -225,7 +358,44 @@ exports.getUnlinkedTransactions = async (req, res) => {
   }
 };
 
-// Manually link KCB transaction to payment
+// Get the full ranked suggestion list for one unlinked KCB transaction
+exports.getTransactionSuggestions = async (req, res) => {
+  debugLog('Get KCB Link Suggestions attempt started');
+  try {
+    const { kcbSyncId } = req.params;
+
+    const kcbSync = await prisma.kcbTransactionSync.findUnique({
+      where: { id: parseInt(kcbSyncId) }
+    });
+
+    if (!kcbSync) {
+      return sendResponse(res, 404, false, null, 'KCB transaction sync record not found.', { code: 'KCB_SYNC_NOT_FOUND' });
+    }
+
+    if (kcbSync.syncStatus !== 'UNLINKED') {
+      return sendResponse(res, 400, false, null, 'Suggestions are only available for unlinked KCB transactions.', { code: 'INVALID_SYNC_STATUS' });
+    }
+
+    const suggestions = await getLinkSuggestions(kcbSync, { limit: 10 });
+
+    debugLog(`Built ${suggestions.length} link suggestions for KCB sync ${kcbSync.id}`);
+    return sendResponse(res, 200, true, {
+      transaction: { ...kcbSync, amount: parseFloat(kcbSync.amount.toString()) },
+      suggestions,
+      settings: getMatcherSettings(),
+    }, 'Link suggestions retrieved successfully.');
+
+  } catch (error) {
+    debugLog('Error getting KCB link suggestions:', error.message);
+    console.error(error);
+    return sendResponse(res, 500, false, null, 'Failed to retrieve link suggestions.', {
+      code: 'LINK_SUGGESTIONS_ERROR',
+      details: error.message,
+    });
+  }
+};
+
+// Manually link a KCB transaction to one payment, several payments, or a whole batch
 exports.linkTransaction = async (req, res) => {
   debugLog('Manual Link KCB Transaction attempt started');
   try {
@@ -242,7 +412,8 @@ exports.linkTransaction = async (req, res) => {
       });
     }
 
-    const { kcbSyncId, paymentId } = req.body;
+    const { kcbSyncId, paymentId, paymentIds, batchPaymentId } = req.body;
+    const { amountTolerance } = getMatcherSettings();
 
     const result = await prisma.$transaction(async (tx) => {
       // Get KCB sync record
@@ -251,41 +422,82 @@ exports.linkTransaction = async (req, res) => {
       });
 
       if (!kcbSync) {
-        throw new Error('KCB transaction sync record not found');
+        throw { statusCode: 404, message: 'KCB transaction sync record not found', errorDetails: { code: 'KCB_SYNC_NOT_FOUND' } };
       }
 
       if (kcbSync.syncStatus === 'LINKED') {
-        throw new Error('KCB transaction is already linked');
+        throw { statusCode: 400, message: 'KCB transaction is already linked', errorDetails: { code: 'ALREADY_LINKED' } };
+      }
+
+      // Resolve the payments being linked
+      let batch = null;
+      let targetIds;
+      if (batchPaymentId) {
+        batch = await tx.batchPayment.findUnique({
+          where: { id: parseInt(batchPaymentId) },
+          include: { payments: { where: { status: 'COMPLETED', isExpense: false }, select: { id: true } } }
+        });
+        if (!batch) {
+          throw { statusCode: 404, message: 'Batch payment not found', errorDetails: { code: 'BATCH_NOT_FOUND' } };
+        }
+        const alreadyLinked = await tx.kcbTransactionSync.count({ where: { linkedBatchPaymentId: batch.id } });
+        if (alreadyLinked > 0) {
+          throw { statusCode: 400, message: `Batch ${batch.batchReference} is already linked to a bank transaction`, errorDetails: { code: 'BATCH_ALREADY_LINKED' } };
+        }
+        targetIds = batch.payments.map(p => p.id);
+        if (targetIds.length === 0) {
+          throw { statusCode: 400, message: `Batch ${batch.batchReference} has no completed payments to link`, errorDetails: { code: 'BATCH_EMPTY' } };
+        }
+      } else {
+        targetIds = [...new Set((paymentIds || [paymentId]).map(id => parseInt(id)))];
       }
 
-      // Get payment record
-      const payment = await tx.payment.findUnique({
-        where: { id: parseInt(paymentId) }
+      const payments = await tx.payment.findMany({
+        where: { id: { in: targetIds } },
+        include: { kcbSync: { select: { id: true } } }
       });
 
-      if (!payment) {
-        throw new Error('Payment record not found');
+      if (payments.length !== targetIds.length) {
+        const found = new Set(payments.map(p => p.id));
+        const missing = targetIds.filter(id => !found.has(id));
+        throw { statusCode: 404, message: `Payment record(s) not found: ${missing.join(', ')}`, errorDetails: { code: 'PAYMENT_NOT_FOUND' } };
+      }
+
+      const notCompleted = payments.filter(p => p.status !== 'COMPLETED');
+      if (notCompleted.length > 0) {
+        throw { statusCode: 400, message: `Only completed payments can be linked (payment(s) ${notCompleted.map(p => p.id).join(', ')})`, errorDetails: { code: 'PAYMENT_NOT_COMPLETED' } };
       }
 
-      // Validate amounts match (within reasonable tolerance)
-      const amountDifference = Math.abs(parseFloat(kcbSync.amount.toString()) - parseFloat(payment.amount.toString()));
-      if (amountDifference > 1.0) { // Allow 1 KES tolerance
-        throw new Error(`Amount mismatch: KCB transaction (${kcbSync.amount}) vs Payment (${payment.amount})`);
+      const alreadyLinked = payments.filter(p => p.kcbSync || p.kcbTransactionId);
+      if (alreadyLinked.length > 0) {
+        throw { statusCode: 400, message: `Payment(s) ${alreadyLinked.map(p => p.id).join(', ')} are already linked to a bank transaction`, errorDetails: { code: 'PAYMENT_ALREADY_LINKED' } };
       }
 
-      // Update KCB sync record
+      // Validate amounts match (within the configured tolerance, never less than 1 KES)
+      const bankAmount = Math.abs(parseFloat(kcbSync.amount.toString()));
+      const paymentsTotal = payments.reduce((sum, p) => sum + parseFloat(p.amount.toString()), 0);
+      if (Math.abs(bankAmount - paymentsTotal) > Math.max(1, amountTolerance)) {
+        throw {
+          statusCode: 400,
+          message: `Amount mismatch: KCB transaction (${bankAmount.toFixed(2)}) vs payment total (${paymentsTotal.toFixed(2)})`,
+          errorDetails: { code: 'AMOUNT_MISMATCH' }
+        };
+      }
+
+      // Update KCB sync record; linkedPaymentId is one-to-one, so only a single-payment link sets it
       const updatedKcbSync = await tx.kcbTransactionSync.update({
-        where: { id: parseInt(kcbSyncId) },
+        where: { id: kcbSync.id },
         data: {
           syncStatus: 'LINKED',
-          linkedPaymentId: parseInt(paymentId),
+          linkedPaymentId: targetIds.length === 1 && !batch ? targetIds[0] : null,
+          linkedBatchPaymentId: batch ? batch.id : null,
           updatedAt: new Date(),
         },
       });
 
-      // Update payment record
-      const updatedPayment = await tx.payment.update({
-        where: { id: parseInt(paymentId) },
+      // Update payment records
+      await tx.payment.updateMany({
+        where: { id: { in: targetIds } },
         data: {
           kcbTransactionId: kcbSync.kcbTransactionId,
           kcbReference: kcbSync.kcbReference,
@@ -293,27 +505,41 @@ exports.linkTransaction = async (req, res) => {
         },
       });
 
-      return { kcbSync: updatedKcbSync, payment: updatedPayment };
+      const updatedPayments = await tx.payment.findMany({
+        where: { id: { in: targetIds } },
+        orderBy: { id: 'asc' }
+      });
+
+      return { kcbSync: updatedKcbSync, payments: updatedPayments, batch };
     });
 
     await logAdminActivity('MANUAL_LINK_KCB_TRANSACTION', result.kcbSync.id, req.user.id, {
       kcbTransactionId: result.kcbSync.kcbTransactionId,
-      paymentId: result.payment.id,
+      paymentIds: result.payments.map(p => p.id),
+      batchPaymentId: result.batch ? result.batch.id : null,
       amount: result.kcbSync.amount
     });
 
     debugLog('KCB transaction manually linked successfully', {
       kcbSyncId: result.kcbSync.id,
-      paymentId: result.payment.id
+      paymentIds: result.payments.map(p => p.id),
+      batchPaymentId: result.batch ? result.batch.id : null
     });
 
     return sendResponse(res, 200, true, {
       linkedTransaction: result.kcbSync,
-      linkedPayment: result.payment,
-    }, 'KCB transaction linked to payment successfully.');
+      linkedPayment: result.payments[0],
+      linkedPayments: result.payments,
+      linkedBatchPaymentId: result.batch ? result.batch.id : null,
+    }, result.payments.length === 1
+      ? 'KCB transaction linked to payment successfully.'
+      : `KCB transaction linked to ${result.payments.length} payments successfully.`);
 
   } catch (error) {
     debugLog('Error linking KCB transaction:', error.message);
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     console.error(error);
     return sendResponse(res, 500, false, null, error.message || 'Failed to link KCB transaction.', {
       code: 'LINK_TRANSACTION_ERROR',
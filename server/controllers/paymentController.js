@@ -1,5 +1,6 @@
 // server/controllers/paymentController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete, softDeleteData } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const { promisify } = require('util');
 const fs = require('fs').promises;
@@ -7,12 +8,21 @@ const path = require('path');
 const { generateReceiptNumber } = require('../utils/receiptUtils.js');
 const { sendSmsNotification } = require('../utils/notificationUtils.js');
 const { initiateMpesaPayment } = require('../utils/paymentUtils.js');
-const { initiateKcbMpesaStkPush } = require('../utils/kcbPaymentUtils.js');
+const { initiateKcbMpesaStkPush, initiateKcbWithdrawal } = require('../utils/kcbPaymentUtils.js');
 const { isViewOnlyAdmin } = require('../middlewares/auth.js');
 const WalletService = require('../utils/walletService.js');
+const { assertPeriodOpen } = require('../utils/accountingPeriods.js');
+const { reconcileStalePayments } = require('../utils/paymentReconciler.js');
+const { toMsisdn, completeCallbackLog } = require('../utils/paymentCallbacks.js');
+const { processC2bConfirmation } = require('../utils/c2bPayments.js');
+const { computePlatformFee, getChargedAmount } = require('../utils/feeRules.js');
+const { convertToKes, convertDistributionToKes } = require('../utils/exchangeRates.js');
+const { STATUS_EFFECTS, assertTransitionAllowed, getAllowedTransitions, recordStatusChange } = require('../utils/paymentStatusMachine.js');
+const { findGiverByPhone, findOrCreateGuestGiver } = require('../utils/guestGiving.js');
 const { logger } = require('../config/logger');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
 
 // Centralized logging utility (non-blocking)
 const logActivity = async (message, data = null) => {
@@ -65,6 +75,154 @@ const logAdminActivity = async (actionType, targetId, initiatedBy, actionData =
   });
 };
 
+const GIFT_LINE_TYPES = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL_OFFERING_CONTRIBUTION'];
+
+const giftLineInclude = {
+  include: { specialOffering: { select: { id: true, name: true, offeringCode: true } } },
+  orderBy: { lineNumber: 'asc' }
+};
+
+/**
+ * Validate and normalize the lines of a split gift. Each line is checked the way a single payment
+ * of its type would be, and the line amounts must add up to the gift total.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<Object>} lines - [{ paymentType, amount, specialOfferingId, titheDistributionSDA, description }]
+ * @param {number} totalAmount - Gift total
+ * @returns {Promise<Array<Object>>} PaymentLine create inputs
+ * @throws {{statusCode: number, message: string, errorDetails: Object}}
+ */
+const prepareGiftLines = async (client, lines, totalAmount) => {
+  const invalid = (message, details = undefined) => ({
+    statusCode: 400,
+    message,
+    errorDetails: { code: 'INVALID_GIFT_LINES', details }
+  });
+
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw invalid('A split gift needs at least two lines.');
+  }
+
+  const seenFunds = new Set();
+  const prepared = [];
+  let linesTotal = new Prisma.Decimal(0);
+
+  for (const [index, line] of lines.entries()) {
+    const lineNumber = index + 1;
+    const lineAmount = Math.round(parseFloat(line.amount) * 100) / 100;
+    if (isNaN(lineAmount) || lineAmount <= 0) {
+      throw invalid(`Line ${lineNumber}: amount must be a positive number.`);
+    }
+
+    const paymentType = line.paymentType === 'SPECIAL' ? 'SPECIAL_OFFERING_CONTRIBUTION' : line.paymentType;
+    if (!GIFT_LINE_TYPES.includes(paymentType)) {
+      throw invalid(`Line ${lineNumber}: invalid payment type ${line.paymentType}.`);
+    }
+
+    let specialOfferingId = null;
+    if (paymentType === 'SPECIAL_OFFERING_CONTRIBUTION') {
+      specialOfferingId = parseInt(line.specialOfferingId);
+      if (isNaN(specialOfferingId)) {
+        throw invalid(`Line ${lineNumber}: special offering ID is required.`);
+      }
+      const offering = await client.specialOffering.findUnique({
+        where: { id: specialOfferingId },
+        select: { id: true, name: true, isActive: true, endDate: true }
+      });
+      if (!offering || !offering.isActive || (offering.endDate && new Date(offering.endDate) < new Date())) {
+        throw {
+          statusCode: 400,
+          message: `Line ${lineNumber}: special offering ${offering ? `"${offering.name}"` : specialOfferingId} is not available.`,
+          errorDetails: { code: 'OFFERING_NOT_AVAILABLE' }
+        };
+      }
+    }
+
+    const fundKey = `${paymentType}:${specialOfferingId || ''}`;
+    if (seenFunds.has(fundKey)) {
+      throw invalid(`Line ${lineNumber}: each fund can appear only once in a gift.`);
+    }
+    seenFunds.add(fundKey);
+
+    let titheDistributionSDA;
+    if (paymentType === 'TITHE' && line.titheDistributionSDA) {
+      const validation = await walletService.validateTitheDistribution(line.titheDistributionSDA, lineAmount);
+      if (!validation.valid) {
+        throw {
+          statusCode: 400,
+          message: `Line ${lineNumber}: invalid tithe distribution`,
+          errorDetails: { code: 'INVALID_TITHE_DISTRIBUTION', details: validation.errors }
+        };
+      }
+      titheDistributionSDA = line.titheDistributionSDA;
+    }
+
+    linesTotal = linesTotal.plus(lineAmount);
+    prepared.push({
+      lineNumber,
+      paymentType,
+      amount: lineAmount,
+      specialOfferingId,
+      titheDistributionSDA,
+      description: line.description ? String(line.description).substring(0, 191) : null
+    });
+  }
+
+  if (!linesTotal.equals(new Prisma.Decimal(totalAmount.toFixed(2)))) {
+    throw invalid(`Line amounts (${linesTotal.toFixed(2)}) must add up to the gift amount (${totalAmount.toFixed(2)}).`);
+  }
+
+  return prepared;
+};
+
+// Payment totals by type, with split gifts counted under their line types. Whatever the lines do
+// not explain (adjustments of split gifts) stays under SPLIT_GIFT.
+const mergeGiftLineTotals = (paymentsByType, giftLinesByType) => {
+  const totals = new Map();
+  const add = (type, amount) => totals.set(type, (totals.get(type) || 0) + parseFloat((amount || 0).toString()));
+
+  paymentsByType.forEach(p => add(p.paymentType, p._sum.amount));
+  giftLinesByType.forEach(line => {
+    add(line.paymentType, line._sum.amount);
+    add('SPLIT_GIFT', -parseFloat((line._sum.amount || 0).toString()));
+  });
+  if (Math.abs(totals.get('SPLIT_GIFT') || 0) < 0.01) {
+    totals.delete('SPLIT_GIFT');
+  }
+
+  return Array.from(totals, ([type, total]) => ({ type, total }))
+    .sort((a, b) => b.total - a.total);
+};
+exports.mergeGiftLineTotals = mergeGiftLineTotals;
+
+// Platform fee total for one fee bearer from a groupBy on feeBearer
+const sumFeesFor = (feesByBearer, feeBearer) => {
+  const group = feesByBearer.find(g => g.feeBearer === feeBearer);
+  return group ? parseFloat((group._sum.platformFee || 0).toString()) : 0;
+};
+
+// Short purpose text for SMS: the payment type, or the line types of a split gift
+const describePaymentPurpose = (payment) => {
+  if (payment.lines && payment.lines.length > 0) {
+    return payment.lines
+      .map(line => line.specialOffering ? line.specialOffering.name : line.paymentType)
+      .join(', ');
+  }
+  return payment.paymentType;
+};
+
+// Itemised lines kept in a split gift's receipt data
+const receiptLinesFor = (payment) => {
+  if (!payment.lines || payment.lines.length === 0) return undefined;
+  return payment.lines.map(line => ({
+    lineNumber: line.lineNumber,
+    paymentType: line.paymentType,
+    amount: parseFloat(line.amount.toString()),
+    description: line.description,
+    specialOffering: line.specialOffering ? { name: line.specialOffering.name, offeringCode: line.specialOffering.offeringCode } : null,
+    titheDesignations: line.paymentType === 'TITHE' ? line.titheDistributionSDA : null
+  }));
+};
+
 exports.getAllPayments = async (req, res) => {
   try {
     logger.info('Admin: Get All Payments attempt started', { userId: req.user.id });
@@ -203,7 +361,8 @@ exports.getAllPayments = async (req, res) => {
               receiptNumber: true,
               receiptDate: true
             }
-          }
+          },
+          lines: giftLineInclude
         },
         orderBy,
         skip,
@@ -298,7 +457,10 @@ exports.getUserPayments = async (req, res) => {
       prisma.payment.findMany({
         where: whereConditions,
         orderBy: { paymentDate: 'desc' },
-        include: { specialOffering: { select: { id: true, name: true, offeringCode: true } } },
+        include: {
+          specialOffering: { select: { id: true, name: true, offeringCode: true } },
+          lines: giftLineInclude
+        },
         skip,
         take,
       }),
@@ -331,10 +493,12 @@ exports.getPaymentStats = async (req, res) => {
     
     const commonWhere = { status: 'COMPLETED', isTemplate: false };
 
-    const [totalRevenueResult, totalExpensesResult, platformFeesResult] = await Promise.all([
+    const [totalRevenueResult, totalExpensesResult, platformFeesResult, feesByBearer, feesByMethod] = await Promise.all([
       prisma.payment.aggregate({ _sum: { amount: true }, where: { ...commonWhere, isExpense: false } }),
       prisma.payment.aggregate({ _sum: { amount: true }, where: { ...commonWhere, isExpense: true } }),
-      prisma.payment.aggregate({ _sum: { platformFee: true }, where: { ...commonWhere } })
+      prisma.payment.aggregate({ _sum: { platformFee: true }, where: { ...commonWhere } }),
+      prisma.payment.groupBy({ by: ['feeBearer'], _sum: { platformFee: true }, where: { ...commonWhere, platformFee: { gt: 0 } } }),
+      prisma.payment.groupBy({ by: ['paymentMethod'], _sum: { platformFee: true }, _count: { id: true }, where: { ...commonWhere, platformFee: { gt: 0 } } })
     ]);
 
     const totalRevenue = totalRevenueResult._sum.amount || new Prisma.Decimal(0);
@@ -387,7 +551,7 @@ exports.getPaymentStats = async (req, res) => {
         net: m.revenue - m.expenses
       }));
     
-    const [paymentsByType, expensesByDepartment, pendingInquiries] = await Promise.all([
+    const [paymentsByType, expensesByDepartment, pendingInquiries, giftLinesByType] = await Promise.all([
       prisma.payment.groupBy({
         by: ['paymentType'],
         _sum: { amount: true },
@@ -400,7 +564,13 @@ exports.getPaymentStats = async (req, res) => {
         where: { ...commonWhere, isExpense: true, department: { not: null } },
         orderBy: { _sum: { amount: 'desc' } },
       }),
-      prisma.contactInquiry.count({ where: { status: 'PENDING' } })
+      prisma.contactInquiry.count({ where: { status: 'PENDING' } }),
+      prisma.paymentLine.groupBy({
+        by: ['paymentType'],
+        _sum: { amount: true },
+        // Relation filters are not soft-delete filtered
+        where: { payment: { ...commonWhere, isExpense: false, deletedAt: null } },
+      })
     ]);
 
     const stats = {
@@ -408,11 +578,17 @@ exports.getPaymentStats = async (req, res) => {
       expenses: parseFloat(totalExpenses.toString()),
       netBalance: parseFloat(netBalanceDecimal.toString()),
       platformFees: parseFloat(totalPlatformFees.toString()),
+      platformFeeBreakdown: {
+        absorbedByChurch: sumFeesFor(feesByBearer, 'CHURCH'),
+        paidByGivers: sumFeesFor(feesByBearer, 'GIVER'),
+        byPaymentMethod: feesByMethod.map(m => ({
+          paymentMethod: m.paymentMethod,
+          total: parseFloat((m._sum.platformFee || 0).toString()),
+          count: m._count.id
+        }))
+      },
       monthlyData,
-      paymentsByType: paymentsByType.map(p => ({ 
-        type: p.paymentType, 
-        total: parseFloat((p._sum.amount || 0).toString()) 
-      })),
+      paymentsByType: mergeGiftLineTotals(paymentsByType, giftLinesByType),
       expensesByDepartment: expensesByDepartment.map(d => ({ 
         department: d.department || "Uncategorized", 
         total: parseFloat((d._sum.amount || 0).toString()) 
@@ -431,8 +607,11 @@ exports.getPaymentStats = async (req, res) => {
 };
 
 exports.initiatePayment = async (req, res) => {
+  // Members give as themselves. A guest's profile (set up by initiateGuestPayment) is looked up or
+  // created in the payment transaction before the STK push, and rolled back if the gateway refuses it.
+  const guest = req.guestGiver || null;
   try {
-    logger.info('Initiate Payment attempt started', { userId: req.user.id });
+    logger.info('Initiate Payment attempt started', guest ? { guestPhone: guest.phone } : { userId: req.user.id });
     
     const validationErrors = validationResult(req);
     if (!validationErrors.isEmpty()) {
@@ -450,11 +629,13 @@ exports.initiatePayment = async (req, res) => {
       titheDistributionSDA, 
       specialOfferingId, 
       phoneNumber,
+      lines,
+      isAnonymous = false,
       paymentMethod = 'KCB' // Default to KCB as preferred method
     } = req.body;
+    const isSplitGift = paymentType === 'SPLIT_GIFT';
     
-    const userId = req.user.id;
-    const userPhoneForPayment = phoneNumber || req.user.phone;
+    const userPhoneForPayment = phoneNumber || (guest ? guest.phone : req.user.phone);
 
     if (!userPhoneForPayment) {
       return sendResponse(res, 400, false, null, 'Phone number is required for mobile payment.', {code: 'PHONE_REQUIRED'});
@@ -477,18 +658,17 @@ exports.initiatePayment = async (req, res) => {
       return sendResponse(res, 400, false, null, 'Unsupported payment method. Supported methods: KCB (recommended), MPESA', { code: 'INVALID_PAYMENT_METHOD' });
     }
 
-    // Calculate platform fee for MPESA
-    let platformFee = 0;
-    if (paymentMethod.toUpperCase() === 'MPESA') {
-      platformFee = 5.00; 
-      if (paymentAmount > 500) { 
-        platformFee = Math.max(5.00, parseFloat((paymentAmount * 0.01).toFixed(2)));
-      }
-    }
+    // Platform fee from the fee rules; a giver-paid fee is added to the STK push amount
+    const fee = await computePlatformFee({
+      amount: paymentAmount,
+      paymentMethod,
+      paymentType: paymentType === 'SPECIAL' && specialOfferingId ? 'SPECIAL_OFFERING_CONTRIBUTION' : paymentType
+    });
+    const platformFee = fee.platformFee;
 
     // Enhanced tithe distribution validation
     if (paymentType === 'TITHE' && titheDistributionSDA) {
-      const validation = walletService.validateTitheDistribution(titheDistributionSDA, paymentAmount);
+      const validation = await walletService.validateTitheDistribution(titheDistributionSDA, paymentAmount);
       if (!validation.valid) {
         return sendResponse(res, 400, false, null, 'Invalid tithe distribution', {
           code: 'INVALID_TITHE_DISTRIBUTION',
@@ -497,6 +677,9 @@ exports.initiatePayment = async (req, res) => {
       }
     }
 
+    // Split gift: one STK push for the total, one line per fund
+    const giftLines = isSplitGift ? await prepareGiftLines(prisma, lines, paymentAmount) : null;
+
     // ATOMIC TRANSACTION: Gateway first, then database
     const result = await prisma.$transaction(async (tx) => {
       // Process special offering validation
@@ -532,6 +715,9 @@ exports.initiatePayment = async (req, res) => {
         }
       }
 
+      // Resolve the giver before charging the phone: a number that cannot be used must fail before the push
+      const userId = guest ? (await findOrCreateGuestGiver(tx, guest)).id : req.user.id;
+
       // Generate payment reference with enhanced format
       const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 14);
       const randomPart = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -539,13 +725,15 @@ exports.initiatePayment = async (req, res) => {
       
       // CRITICAL: Initiate payment gateway FIRST
       let gatewayResponse;
-      const paymentDescription = description || `${processedPaymentType} payment via ${paymentMethod}`;
+      const paymentDescription = description || (giftLines
+        ? `Gift (${giftLines.map(line => line.paymentType).join(', ')}) via ${paymentMethod}`
+        : `${processedPaymentType} payment via ${paymentMethod}`);
       
       try {
         if (paymentMethod.toUpperCase() === 'KCB') {
           gatewayResponse = await initiateKcbMpesaStkPush(
             tempReference,
-            paymentAmount,
+            fee.chargeAmount,
             userPhoneForPayment,
             paymentDescription
           );
@@ -553,7 +741,7 @@ exports.initiatePayment = async (req, res) => {
         } else if (paymentMethod.toUpperCase() === 'MPESA') {
           gatewayResponse = await initiateMpesaPayment(
             tempReference,
-            paymentAmount,
+            fee.chargeAmount,
             userPhoneForPayment,
             paymentDescription
           );
@@ -576,13 +764,18 @@ exports.initiatePayment = async (req, res) => {
         processedById: null,
         isExpense: false,
         platformFee: Math.round(platformFee * 100) / 100,
+        feeBearer: fee.feeBearer,
+        feeRuleId: fee.feeRuleId,
         isTemplate: false,
         reference: gatewayResponse.reference,
         transactionId: gatewayResponse.transactionId,
         kcbReference: paymentMethod.toUpperCase() === 'KCB' ? gatewayResponse.reference : null,
         bankDepositStatus: 'PENDING',
         specialOfferingId: processedSpecialOfferingId || null,
-        titheDistributionSDA: titheDistributionSDA || null
+        titheDistributionSDA: titheDistributionSDA || null,
+        payerPhone: toMsisdn(userPhoneForPayment),
+        isAnonymous: isAnonymous === true,
+        ...(giftLines ? { lines: { create: giftLines } } : {})
       };
 
       const payment = await tx.payment.create({ data: paymentData });
@@ -595,11 +788,12 @@ exports.initiatePayment = async (req, res) => {
       isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted
     });
 
-    await logAdminActivity('INITIATE_PAYMENT', result.payment.id, userId, {
+    await logAdminActivity('INITIATE_PAYMENT', result.payment.id, result.payment.userId, {
       amount: paymentAmount,
       method: paymentMethod,
       type: result.payment.paymentType,
-      reference: result.gatewayResponse.reference
+      reference: result.gatewayResponse.reference,
+      guest: Boolean(guest)
     });
 
     return sendResponse(res, 200, true,
@@ -608,13 +802,18 @@ exports.initiatePayment = async (req, res) => {
         checkoutRequestId: result.gatewayResponse.reference,
         paymentMethod: paymentMethod.toUpperCase(),
         amount: paymentAmount,
-        platformFee: platformFee
+        platformFee: platformFee,
+        feeBearer: fee.feeBearer,
+        chargeAmount: fee.chargeAmount
       },
       result.gatewayResponse.message || `${paymentMethod} payment initiated. Check your phone.`
     );
     
   } catch (error) {
-    logger.error('Error in initiatePayment controller', { error: error.message, userId: req.user.id });
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error in initiatePayment controller', { error: error.message, ...(guest ? { guestPhone: guest.phone } : { userId: req.user.id }) });
     
     if (error.message.includes('Special offering') && error.message.includes('not available')) {
       return sendResponse(res, 400, false, null, error.message, { code: 'OFFERING_NOT_AVAILABLE' });
@@ -630,6 +829,76 @@ exports.initiatePayment = async (req, res) => {
 // Legacy method for backward compatibility
 exports.initiateMpesaPayment = exports.initiatePayment;
 
+/**
+ * Give without an account (public)
+ * The gift is recorded against the guest profile for the paying phone number, or the member
+ * registered with it, then initiated like a member's payment. The profile is created in the payment
+ * transaction before the STK push and rolled back with it, so failed or abusive requests leave no rows behind.
+ */
+exports.initiateGuestPayment = async (req, res) => {
+  try {
+    const validationErrors = validationResult(req);
+    if (!validationErrors.isEmpty()) {
+      logger.warn('Guest payment validation errors', { errors: validationErrors.array() });
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: validationErrors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { phoneNumber, name } = req.body;
+    if (!/^(\+254|0)?[17]\d{8}$/.test(phoneNumber)) {
+      return sendResponse(res, 400, false, null, 'Invalid Kenyan phone number format.', { code: 'INVALID_PHONE' });
+    }
+
+    // Refuse an unusable number before anything is sent to the phone
+    await findGiverByPhone(prisma, phoneNumber);
+    req.guestGiver = { phone: toMsisdn(phoneNumber), name };
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error resolving guest giver', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Failed to start guest payment.', { code: 'PAYMENT_INIT_ERROR', details: error.message });
+  }
+
+  return exports.initiatePayment(req, res);
+};
+
+/**
+ * Status of a guest payment by its checkout request ID (public)
+ * The checkout request ID is only known to whoever started the payment; no giver details are returned.
+ */
+exports.getGuestPaymentStatus = async (req, res) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: { reference: req.params.checkoutRequestId, isExpense: false },
+      select: {
+        id: true,
+        status: true,
+        amount: true,
+        paymentType: true,
+        paymentMethod: true,
+        paymentDate: true,
+        receiptNumber: true,
+        specialOffering: { select: { name: true } }
+      }
+    });
+
+    if (!payment) {
+      return sendResponse(res, 404, false, null, 'Payment not found.', { code: 'PAYMENT_NOT_FOUND' });
+    }
+
+    return sendResponse(res, 200, true, {
+      ...payment,
+      amount: parseFloat(payment.amount.toString())
+    }, 'Payment status retrieved successfully.');
+  } catch (error) {
+    logger.error('Error getting guest payment status', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error fetching payment status.', { code: 'SERVER_ERROR', details: error.message });
+  }
+};
+
 // Get payment status
 exports.getPaymentStatus = async (req, res) => {
   try {
@@ -706,6 +975,7 @@ exports.addManualPayment = async (req, res) => {
       userId, amount, paymentType, description, paymentDate,
       department, isExpense = false, titheDistributionSDA, specialOfferingId,
       paymentMethod = 'MANUAL', expenseReceiptUrl, reference,
+      currency = 'KES', exchangeRate,
     } = req.body;
     
     // Enhanced payment type processing
@@ -732,7 +1002,7 @@ exports.addManualPayment = async (req, res) => {
 
     // Validate tithe distribution with enhanced logic
     if (processedPaymentType === 'TITHE' && titheDistributionSDA) {
-      const validation = walletService.validateTitheDistribution(titheDistributionSDA, paymentAmount);
+      const validation = await walletService.validateTitheDistribution(titheDistributionSDA, paymentAmount);
       if (!validation.valid) {
         return sendResponse(res, 400, false, null, 'Invalid tithe distribution', {
           code: 'INVALID_TITHE_DISTRIBUTION',
@@ -741,7 +1011,11 @@ exports.addManualPayment = async (req, res) => {
       }
     }
 
+    const recordDate = paymentDate ? new Date(paymentDate) : new Date();
+
     const result = await prisma.$transaction(async (tx) => {
+      await assertPeriodOpen(tx, recordDate, isExpense ? 'record expenses' : 'record payments');
+
       // Validate user exists and is active
       const user = await tx.user.findUnique({ 
         where: { id: parseInt(userId) },
@@ -756,15 +1030,28 @@ exports.addManualPayment = async (req, res) => {
         throw new Error('Cannot create payment for inactive user.');
       }
 
+      // Amount is entered in the gift's currency; the payment stores its KES equivalent
+      const conversion = await convertToKes({
+        amount: paymentAmount,
+        currency,
+        date: recordDate,
+        rate: exchangeRate,
+        client: tx
+      });
+
       // Prepare payment data with enhanced structure
       let paymentData = {
         userId: parseInt(userId),
-        amount: Math.round(paymentAmount * 100) / 100, // Ensure 2 decimal places
+        amount: conversion.amount,
+        currency: conversion.currency,
+        originalAmount: conversion.originalAmount,
+        exchangeRate: conversion.exchangeRate,
+        exchangeRateId: conversion.exchangeRateId,
         paymentType: processedPaymentType,
         paymentMethod,
         description: description || `${processedPaymentType} (${paymentMethod})`,
         status: 'COMPLETED',
-        paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+        paymentDate: recordDate,
         processedById: processedByAdminId,
         isExpense: !!isExpense,
         platformFee: 0,
@@ -797,7 +1084,9 @@ exports.addManualPayment = async (req, res) => {
 
       // Store tithe distribution with validation
       if (processedPaymentType === 'TITHE' && titheDistributionSDA) {
-        paymentData.titheDistributionSDA = titheDistributionSDA;
+        paymentData.titheDistributionSDA = conversion.exchangeRate
+          ? convertDistributionToKes(titheDistributionSDA, conversion.exchangeRate, conversion.amount)
+          : titheDistributionSDA;
       }
 
       // Handle expense-specific fields
@@ -845,6 +1134,9 @@ exports.addManualPayment = async (req, res) => {
             receiptData: {
               paymentId: createdPayment.id, 
               amount: parseFloat(createdPayment.amount.toString()), 
+              currency: createdPayment.currency,
+              originalAmount: conversion.originalAmount,
+              exchangeRate: conversion.exchangeRate,
               paymentType: createdPayment.paymentType,
               userName: user.fullName, 
               paymentDate: createdPayment.paymentDate,
@@ -873,6 +1165,9 @@ exports.addManualPayment = async (req, res) => {
 
     await logAdminActivity(isExpense ? 'ADMIN_ADD_EXPENSE' : 'ADMIN_ADD_MANUAL_PAYMENT', result.id, req.user.id, { 
       amount: parseFloat(result.amount.toString()), 
+      currency: result.currency,
+      originalAmount: result.originalAmount !== null ? parseFloat(result.originalAmount.toString()) : null,
+      exchangeRate: result.exchangeRate !== null ? parseFloat(result.exchangeRate.toString()) : null,
       type: result.paymentType, 
       userId: result.userId,
       hasWalletUpdate: !result.isExpense
@@ -888,11 +1183,16 @@ exports.addManualPayment = async (req, res) => {
     return sendResponse(res, 201, true, { 
       payment: {
         ...result,
-        amount: parseFloat(result.amount.toString())
+        amount: parseFloat(result.amount.toString()),
+        originalAmount: result.originalAmount !== null ? parseFloat(result.originalAmount.toString()) : null,
+        exchangeRate: result.exchangeRate !== null ? parseFloat(result.exchangeRate.toString()) : null
       }
     }, `Manual payment added successfully${!result.isExpense ? ' and wallets updated' : ''}.`);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error adding manual payment', { error: error.message, userId: req.user.id });
     return sendResponse(res, 500, false, null, error.message || 'Failed to add manual payment.', {
       code: 'MANUAL_PAYMENT_ERROR',
@@ -901,293 +1201,408 @@ exports.addManualPayment = async (req, res) => {
   }
 };
 
-exports.kcbCallback = async (req, res) => {
-  logger.info('KCB Callback received', { body: JSON.stringify(req.body, null, 2) });
-  
-  const callbackData = req.body;
-
-  if (!callbackData || !callbackData.transactionReference) {
-    logger.warn('Invalid KCB callback structure.');
-    return res.status(400).json({ status: 'error', message: 'Invalid callback data' });
+// Compare the amount and phone a provider reports against the PENDING payment (amount plus any giver-paid fee).
+// STK pushes charge whole shillings, so amounts are compared rounded. A callback must report the amount;
+// only the reconciler, which asked the provider itself, completes a payment without one. A missing phone is not checked.
+const findCallbackMismatch = (payment, { amount, phone }, source) => {
+  if (amount === undefined || amount === null || amount === '') {
+    if (source !== 'RECONCILER') {
+      return 'Callback does not report the amount paid';
+    }
+  } else {
+    const expected = Math.round(getChargedAmount(payment));
+    if (Math.round(parseFloat(amount)) !== expected) {
+      return `Callback amount ${amount} does not match payment amount ${expected}`;
+    }
+  }
+  if (phone && payment.payerPhone && toMsisdn(phone) !== payment.payerPhone) {
+    return `Callback phone ${phone} does not match the number the payment was requested from`;
   }
+  return null;
+};
+
+// Send a completed payment's SMS receipt { phone, message, paymentId } once its transaction has committed (non-blocking)
+const sendPaymentReceiptSms = (receiptSms) => {
+  if (!receiptSms) return;
+  setImmediate(async () => {
+    try {
+      await sendSmsNotification(receiptSms.phone, receiptSms.message);
+      logger.info(`SMS notification sent for payment ${receiptSms.paymentId}`);
+    } catch (smsError) {
+      logger.warn(`SMS notification failed for payment ${receiptSms.paymentId}`, { error: smsError.message });
+    }
+  });
+};
 
+/**
+ * Apply a KCB payment result to its PENDING payment: complete it (wallets, receipt, SMS) or fail it.
+ * Shared by the KCB callback and the stale payment reconciler so both produce the same outcome.
+ * A successful callback whose amount is missing or whose amount or phone disagrees with the payment is
+ * not applied; the payment stays PENDING for the reconciler to confirm with KCB. The SMS receipt is sent after commit.
+ * @param {Object} callbackData - { transactionReference, resultCode, resultDescription, transactionId, transactionDate, amount, phoneNumber }
+ * @param {Object} [options] - { source } recorded in the payment's status history (default KCB_CALLBACK)
+ * @returns {Promise<Object>} { success, paymentId }, { mismatch: true, reason, paymentId } or { alreadyProcessedOrNotFound: true }
+ */
+const processKcbResult = async (callbackData, { source = 'KCB_CALLBACK' } = {}) => {
   const { transactionReference, resultCode, resultDescription, transactionId, transactionDate } = callbackData;
 
-  try {
-    const result = await prisma.$transaction(async (tx) => {
-      const payment = await tx.payment.findFirst({
-        where: {
-          OR: [
-            { reference: transactionReference },
-            { transactionId: transactionId }
-          ],
-          status: 'PENDING',
-          paymentMethod: 'KCB'
-        },
-        include: { 
-          user: { select: { fullName: true, phone: true } },
-          specialOffering: { select: { name: true, offeringCode: true } }
-        }
-      });
+  // Only match on identifiers actually present; an empty one would match unrelated payments
+  const identifiers = [
+    transactionReference && { reference: transactionReference },
+    transactionId && { transactionId }
+  ].filter(Boolean);
 
-      if (!payment) {
-        logger.warn(`No matching PENDING KCB payment found for reference: ${transactionReference} or transactionId: ${transactionId}.`);
-        return { alreadyProcessedOrNotFound: true };
+  const { receiptSms, ...result } = await prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findFirst({
+      where: {
+        OR: identifiers,
+        status: 'PENDING',
+        paymentMethod: 'KCB'
+      },
+      include: { 
+        user: { select: { fullName: true, phone: true } },
+        specialOffering: { select: { name: true, offeringCode: true } },
+        lines: giftLineInclude
       }
+    });
 
-      logger.info(`Processing KCB callback for payment ID: ${payment.id}`);
+    if (!payment) {
+      logger.warn(`No matching PENDING KCB payment found for reference: ${transactionReference} or transactionId: ${transactionId}.`);
+      return { alreadyProcessedOrNotFound: true };
+    }
 
-      if (String(resultCode) === "0" || String(resultCode) === "00") {
-        // Successful payment
-        const internalReceiptNumber = generateReceiptNumber(payment.paymentType);
-        const parsedTransactionDate = transactionDate ? new Date(transactionDate) : payment.paymentDate;
-        
-        // ATOMIC UPDATE: Update payment status
-        const updatedPayment = await tx.payment.update({ 
-          where: { id: payment.id }, 
-          data: {
-            status: 'COMPLETED',
-            transactionId: transactionId || payment.transactionId,
-            receiptNumber: internalReceiptNumber,
-            paymentDate: parsedTransactionDate,
-            kcbTransactionId: transactionId,
-            kcbReference: transactionReference,
-            bankDepositStatus: 'DEPOSITED',
-          }
-        });
+    logger.info(`Processing KCB callback for payment ID: ${payment.id}`);
 
-        // 🚀 AUTOMATICALLY UPDATE WALLETS
-        try {
-          await walletService.updateWalletsForPayment(payment.id, tx);
-          logger.info(`✅ Wallets updated for completed KCB payment ${payment.id}`);
-        } catch (walletError) {
-          logger.error('Wallet update failed for KCB payment', { 
-            error: walletError.message, 
-            paymentId: payment.id 
-          });
-          // Don't fail the entire transaction, but log the error
-        }
+    if (String(resultCode) === "0" || String(resultCode) === "00") {
+      const mismatch = findCallbackMismatch(payment, {
+        amount: callbackData.amount,
+        phone: callbackData.phoneNumber || callbackData.msisdn
+      }, source);
+      if (mismatch) {
+        logger.error(`KCB callback for payment ${payment.id} not applied: ${mismatch}`);
+        return { mismatch: true, reason: mismatch, paymentId: payment.id };
+      }
 
-        // Create receipt atomically
-        if (payment.user) {
-          await tx.receipt.create({
-            data: {
-              receiptNumber: internalReceiptNumber,
-              paymentId: payment.id,
-              userId: payment.userId,
-              generatedById: null,
-              receiptDate: new Date(),
-              receiptData: {
-                paymentId: payment.id, 
-                amount: parseFloat(payment.amount.toString()), 
-                paymentType: payment.paymentType,
-                userName: payment.user.fullName, 
-                paymentDate: parsedTransactionDate,
-                description: payment.description, 
-                kcbTransactionId: transactionId,
-                titheDesignations: payment.paymentType === 'TITHE' ? payment.titheDistributionSDA : null,
-                specialOffering: payment.specialOffering
-              },
-            },
-          });
-          
-          logger.info(`Payment ${payment.id} COMPLETED. KCB Transaction: ${transactionId}. Internal Receipt: ${internalReceiptNumber}`);
-
-          // Send SMS notification (non-blocking)
-          if (payment.user.phone) {
-            setImmediate(async () => {
-              try {
-                await sendSmsNotification(
-                  payment.user.phone,
-                  `Dear ${payment.user.fullName}, your KCB payment of KES ${parseFloat(payment.amount.toString()).toFixed(2)} for ${payment.paymentType} was successful. Receipt No: ${internalReceiptNumber}. Thank you.`
-                );
-                logger.info(`SMS notification sent for payment ${payment.id}`);
-              } catch (smsError) {
-                logger.warn(`SMS notification failed for payment ${payment.id}`, { error: smsError.message });
-              }
-            });
-          }
+      // Successful payment
+      const internalReceiptNumber = generateReceiptNumber(payment.paymentType);
+      const parsedTransactionDate = transactionDate ? new Date(transactionDate) : payment.paymentDate;
+      
+      // ATOMIC UPDATE: Update payment status
+      const updatedPayment = await tx.payment.update({ 
+        where: { id: payment.id }, 
+        data: {
+          status: 'COMPLETED',
+          transactionId: transactionId || payment.transactionId,
+          receiptNumber: internalReceiptNumber,
+          paymentDate: parsedTransactionDate,
+          kcbTransactionId: transactionId,
+          kcbReference: transactionReference,
+          bankDepositStatus: 'DEPOSITED',
         }
-        
-        return { success: true, paymentId: payment.id };
-      } else {
-        // Failed payment
-        await tx.payment.update({ 
-          where: { id: payment.id }, 
+      });
+
+      await recordStatusChange(tx, {
+        paymentId: payment.id,
+        fromStatus: payment.status,
+        toStatus: 'COMPLETED',
+        source,
+        details: { kcbTransactionId: transactionId || null, kcbReference: transactionReference || null }
+      });
+
+      // 🚀 AUTOMATICALLY UPDATE WALLETS
+      // Not caught: a payment must not complete without its ledger posting. The completion rolls back,
+      // the payment stays PENDING and the reconciler or a reprocessed callback retries it.
+      await walletService.updateWalletsForPayment(payment.id, tx);
+      logger.info(`✅ Wallets updated for completed KCB payment ${payment.id}`);
+
+      // Create receipt atomically
+      if (payment.user) {
+        await tx.receipt.create({
           data: {
-            status: 'FAILED',
-            description: `${payment.description || ''} (KCB Callback Failed: ${resultDescription})`.substring(0, 191),
-            kcbTransactionId: transactionId,
-            kcbReference: transactionReference,
-          }
+            receiptNumber: internalReceiptNumber,
+            paymentId: payment.id,
+            userId: payment.userId,
+            generatedById: null,
+            receiptDate: new Date(),
+            receiptData: {
+              paymentId: payment.id, 
+              amount: parseFloat(payment.amount.toString()), 
+              paymentType: payment.paymentType,
+              userName: payment.user.fullName, 
+              paymentDate: parsedTransactionDate,
+              description: payment.description, 
+              kcbTransactionId: transactionId,
+              platformFee: parseFloat(payment.platformFee.toString()),
+              feeBearer: payment.feeBearer,
+              titheDesignations: payment.paymentType === 'TITHE' ? payment.titheDistributionSDA : null,
+              specialOffering: payment.specialOffering,
+              lines: receiptLinesFor(payment)
+            },
+          },
         });
         
-        logger.info(`Payment ${payment.id} FAILED. Reason: ${resultDescription}`);
-        return { success: false, reason: resultDescription, paymentId: payment.id };
+        logger.info(`Payment ${payment.id} COMPLETED. KCB Transaction: ${transactionId}. Internal Receipt: ${internalReceiptNumber}`);
       }
-    }, {
-      maxWait: 15000,
-      timeout: 45000,
-      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
-    });
-    
+
+      // Sent after commit, so nobody is told about a payment that was rolled back
+      const receiptSms = payment.user && payment.user.phone ? {
+        phone: payment.user.phone,
+        message: `Dear ${payment.user.fullName}, your KCB payment of KES ${parseFloat(payment.amount.toString()).toFixed(2)} for ${describePaymentPurpose(payment)} was successful. Receipt No: ${internalReceiptNumber}. Thank you.`,
+        paymentId: payment.id
+      } : null;
+
+      return { success: true, paymentId: payment.id, receiptSms };
+    } else {
+      // Failed payment
+      await tx.payment.update({ 
+        where: { id: payment.id }, 
+        data: {
+          status: 'FAILED',
+          description: `${payment.description || ''} (KCB Callback Failed: ${resultDescription})`.substring(0, 191),
+          kcbTransactionId: transactionId,
+          kcbReference: transactionReference,
+        }
+      });
+
+      await recordStatusChange(tx, {
+        paymentId: payment.id,
+        fromStatus: payment.status,
+        toStatus: 'FAILED',
+        source,
+        reason: resultDescription,
+        details: { resultCode: resultCode !== undefined ? String(resultCode) : null }
+      });
+      
+      logger.info(`Payment ${payment.id} FAILED. Reason: ${resultDescription}`);
+      return { success: false, reason: resultDescription, paymentId: payment.id };
+    }
+  }, {
+    maxWait: 15000,
+    timeout: 45000,
+    isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+  });
+
+  sendPaymentReceiptSms(receiptSms);
+  return result;
+};
+
+exports.processKcbResult = processKcbResult;
+
+exports.kcbCallback = async (req, res) => {
+  logger.info('KCB Callback received', { body: JSON.stringify(req.body, null, 2) });
+  
+  const callbackData = req.body;
+
+  if (!callbackData || !callbackData.transactionReference) {
+    logger.warn('Invalid KCB callback structure.');
+    await completeCallbackLog(req.callbackLog?.id, { error: 'Invalid callback structure' });
+    return res.status(400).json({ status: 'error', message: 'Invalid callback data' });
+  }
+
+  try {
+    const result = await processKcbResult(callbackData);
+    await completeCallbackLog(req.callbackLog?.id, result);
   } catch (error) {
     logger.error('Critical error in KCB callback processing', { error: error.message });
+    await completeCallbackLog(req.callbackLog?.id, { error: error.message });
   }
   
   return res.status(200).json({ status: 'success', message: 'Callback received and processed.' });
 };
 
 /**
- * Enhanced M-Pesa callback with automatic wallet updates
+ * Apply an M-Pesa STK result to its PENDING payment: complete it (wallets, receipt, SMS) or fail it.
+ * Shared by the M-Pesa callback and the stale payment reconciler so both produce the same outcome.
+ * A successful callback without an Amount, or whose Amount or PhoneNumber disagrees with the payment, is
+ * not applied; the payment stays PENDING for the reconciler to confirm with Safaricom. The SMS receipt is sent after commit.
+ * @param {Object} callbackData - stkCallback body { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata }
+ * @param {Object} [options] - { source } recorded in the payment's status history (default MPESA_CALLBACK)
+ * @returns {Promise<Object>} { success, paymentId }, { mismatch: true, reason, paymentId } or { alreadyProcessedOrNotFound: true }
  */
-exports.mpesaCallback = async (req, res) => {
-  logger.info('M-Pesa Callback received', { body: JSON.stringify(req.body, null, 2) });
-  
-  const callbackData = req.body.Body?.stkCallback;
+const processMpesaResult = async (callbackData, { source = 'MPESA_CALLBACK' } = {}) => {
+  const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = callbackData;
 
-  if (!callbackData) {
-    logger.warn('Invalid M-Pesa callback structure.');
-    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback data' });
+  // Only match on identifiers actually present; an empty one would match unrelated payments
+  const identifiers = [
+    CheckoutRequestID && { reference: CheckoutRequestID },
+    MerchantRequestID && { transactionId: MerchantRequestID }
+  ].filter(Boolean);
+
+  if (identifiers.length === 0) {
+    logger.warn('M-Pesa result without CheckoutRequestID or MerchantRequestID ignored.');
+    return { alreadyProcessedOrNotFound: true };
   }
 
-  const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = callbackData;
+  const { receiptSms, ...result } = await prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findFirst({
+      where: {
+        OR: identifiers,
+        status: 'PENDING',
+        paymentMethod: 'MPESA'
+      },
+      include: { 
+        user: { select: { fullName: true, phone: true } },
+        specialOffering: { select: { name: true, offeringCode: true } },
+        lines: giftLineInclude
+      }
+    });
 
-  try {
-    const result = await prisma.$transaction(async (tx) => {
-      const payment = await tx.payment.findFirst({
-        where: {
-          OR: [
-            { reference: CheckoutRequestID },
-            { transactionId: MerchantRequestID }
-          ],
-          status: 'PENDING',
-          paymentMethod: 'MPESA'
-        },
-        include: { 
-          user: { select: { fullName: true, phone: true } },
-          specialOffering: { select: { name: true, offeringCode: true } }
-        }
-      });
+    if (!payment) {
+      logger.warn(`No matching PENDING M-Pesa payment found for CheckoutRequestID: ${CheckoutRequestID} or MerchantRequestID: ${MerchantRequestID}.`);
+      return { alreadyProcessedOrNotFound: true };
+    }
 
-      if (!payment) {
-        logger.warn(`No matching PENDING M-Pesa payment found for CheckoutRequestID: ${CheckoutRequestID} or MerchantRequestID: ${MerchantRequestID}.`);
-        return { alreadyProcessedOrNotFound: true };
+    logger.info(`Processing M-Pesa callback for payment ID: ${payment.id}`);
+
+    if (String(ResultCode) === "0") {
+      // Successful payment
+      const metadataItems = Array.isArray(CallbackMetadata?.Item) ? CallbackMetadata.Item : [];
+      let mpesaReceiptNumber = null;
+      let transactionDate = payment.paymentDate; 
+
+      const mismatch = findCallbackMismatch(payment, {
+        amount: metadataItems.find(item => item.Name === 'Amount')?.Value,
+        phone: metadataItems.find(item => item.Name === 'PhoneNumber')?.Value
+      }, source);
+      if (mismatch) {
+        logger.error(`M-Pesa callback for payment ${payment.id} not applied: ${mismatch}`);
+        return { mismatch: true, reason: mismatch, paymentId: payment.id };
       }
 
-      logger.info(`Processing M-Pesa callback for payment ID: ${payment.id}`);
-
-      if (String(ResultCode) === "0") {
-        // Successful payment
-        const metadataItems = CallbackMetadata?.Item;
-        let mpesaReceiptNumber = null;
-        let transactionDate = payment.paymentDate; 
-
-        if (metadataItems && Array.isArray(metadataItems)) {
-          mpesaReceiptNumber = metadataItems.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-          const mpesaTransactionDateStr = metadataItems.find(item => item.Name === 'TransactionDate')?.Value;
-          if (mpesaTransactionDateStr) {
-            try { 
-              const year = mpesaTransactionDateStr.substring(0, 4);
-              const month = mpesaTransactionDateStr.substring(4, 6);
-              const day = mpesaTransactionDateStr.substring(6, 8);
-              const hour = mpesaTransactionDateStr.substring(8, 10);
-              const minute = mpesaTransactionDateStr.substring(10, 12);
-              const second = mpesaTransactionDateStr.substring(12, 14);
-              transactionDate = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}`);
-            } catch (e) { 
-              logger.warn("Error parsing M-Pesa transaction date from callback", { error: e.message }); 
-            }
+      if (metadataItems.length > 0) {
+        mpesaReceiptNumber = metadataItems.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+        const mpesaTransactionDateStr = metadataItems.find(item => item.Name === 'TransactionDate')?.Value;
+        if (mpesaTransactionDateStr) {
+          try { 
+            const year = mpesaTransactionDateStr.substring(0, 4);
+            const month = mpesaTransactionDateStr.substring(4, 6);
+            const day = mpesaTransactionDateStr.substring(6, 8);
+            const hour = mpesaTransactionDateStr.substring(8, 10);
+            const minute = mpesaTransactionDateStr.substring(10, 12);
+            const second = mpesaTransactionDateStr.substring(12, 14);
+            transactionDate = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}`);
+          } catch (e) { 
+            logger.warn("Error parsing M-Pesa transaction date from callback", { error: e.message }); 
           }
         }
+      }
 
-        const internalReceiptNumber = generateReceiptNumber(payment.paymentType);
-        
-        // ATOMIC UPDATE: Update payment status
-        const updatedPayment = await tx.payment.update({ 
-          where: { id: payment.id }, 
-          data: {
-            status: 'COMPLETED',
-            transactionId: mpesaReceiptNumber || payment.transactionId,
-            receiptNumber: internalReceiptNumber,
-            paymentDate: transactionDate,
-          }
-        });
-
-        // 🚀 AUTOMATICALLY UPDATE WALLETS
-        try {
-          await walletService.updateWalletsForPayment(payment.id, tx);
-          logger.info(`✅ Wallets updated for completed M-Pesa payment ${payment.id}`);
-        } catch (walletError) {
-          logger.error('Wallet update failed for M-Pesa payment', {
-            error: walletError.message,
-            paymentId: payment.id
-          });
+      const internalReceiptNumber = generateReceiptNumber(payment.paymentType);
+      
+      // ATOMIC UPDATE: Update payment status
+      const updatedPayment = await tx.payment.update({ 
+        where: { id: payment.id }, 
+        data: {
+          status: 'COMPLETED',
+          transactionId: mpesaReceiptNumber || payment.transactionId,
+          receiptNumber: internalReceiptNumber,
+          paymentDate: transactionDate,
         }
+      });
 
-        // Create receipt atomically
-        if (payment.user) {
-          await tx.receipt.create({
-            data: {
-              receiptNumber: internalReceiptNumber,
-              paymentId: payment.id,
-              userId: payment.userId,
-              generatedById: null,
-              receiptDate: new Date(),
-              receiptData: {
-                paymentId: payment.id, 
-                amount: parseFloat(payment.amount.toString()), 
-                paymentType: payment.paymentType,
-                userName: payment.user.fullName, 
-                paymentDate: transactionDate,
-                description: payment.description, 
-                mpesaReceipt: mpesaReceiptNumber,
-                titheDesignations: payment.paymentType === 'TITHE' ? payment.titheDistributionSDA : null,
-                specialOffering: payment.specialOffering
-              },
-            },
-          });
-          
-          logger.info(`Payment ${payment.id} COMPLETED. M-Pesa Receipt: ${mpesaReceiptNumber}. Internal Receipt: ${internalReceiptNumber}`);
-
-          // Send SMS notification (non-blocking)
-          if (payment.user.phone) {
-            setImmediate(async () => {
-              try {
-                await sendSmsNotification(
-                  payment.user.phone,
-                  `Dear ${payment.user.fullName}, your M-Pesa payment of KES ${parseFloat(payment.amount.toString()).toFixed(2)} for ${payment.paymentType} was successful. Receipt No: ${internalReceiptNumber}. Thank you.`
-                );
-                logger.info(`SMS notification sent for payment ${payment.id}`);
-              } catch (smsError) {
-                logger.warn(`SMS notification failed for payment ${payment.id}`, { error: smsError.message });
-              }
-            });
-          }
-        }
-        
-        return { success: true, paymentId: payment.id };
-      } else {
-        // Failed payment
-        await tx.payment.update({ 
-          where: { id: payment.id }, 
+      await recordStatusChange(tx, {
+        paymentId: payment.id,
+        fromStatus: payment.status,
+        toStatus: 'COMPLETED',
+        source,
+        details: { mpesaReceiptNumber: mpesaReceiptNumber || null }
+      });
+
+      // 🚀 AUTOMATICALLY UPDATE WALLETS (not caught, as for KCB above)
+      await walletService.updateWalletsForPayment(payment.id, tx);
+      logger.info(`✅ Wallets updated for completed M-Pesa payment ${payment.id}`);
+
+      // Create receipt atomically
+      if (payment.user) {
+        await tx.receipt.create({
           data: {
-            status: 'FAILED',
-            description: `${payment.description || ''} (M-Pesa Callback Failed: ${ResultDesc})`.substring(0, 191),
-          }
+            receiptNumber: internalReceiptNumber,
+            paymentId: payment.id,
+            userId: payment.userId,
+            generatedById: null,
+            receiptDate: new Date(),
+            receiptData: {
+              paymentId: payment.id, 
+              amount: parseFloat(payment.amount.toString()), 
+              paymentType: payment.paymentType,
+              userName: payment.user.fullName, 
+              paymentDate: transactionDate,
+              description: payment.description, 
+              mpesaReceipt: mpesaReceiptNumber,
+              platformFee: parseFloat(payment.platformFee.toString()),
+              feeBearer: payment.feeBearer,
+              titheDesignations: payment.paymentType === 'TITHE' ? payment.titheDistributionSDA : null,
+              specialOffering: payment.specialOffering,
+              lines: receiptLinesFor(payment)
+            },
+          },
         });
         
-        logger.info(`Payment ${payment.id} FAILED. Reason: ${ResultDesc}`);
-        return { success: false, reason: ResultDesc, paymentId: payment.id };
+        logger.info(`Payment ${payment.id} COMPLETED. M-Pesa Receipt: ${mpesaReceiptNumber}. Internal Receipt: ${internalReceiptNumber}`);
       }
-    }, {
-      maxWait: 15000,
-      timeout: 45000,
-      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
-    });
-    
+
+      // Sent after commit, so nobody is told about a payment that was rolled back
+      const receiptSms = payment.user && payment.user.phone ? {
+        phone: payment.user.phone,
+        message: `Dear ${payment.user.fullName}, your M-Pesa payment of KES ${parseFloat(payment.amount.toString()).toFixed(2)} for ${describePaymentPurpose(payment)} was successful. Receipt No: ${internalReceiptNumber}. Thank you.`,
+        paymentId: payment.id
+      } : null;
+
+      return { success: true, paymentId: payment.id, receiptSms };
+    } else {
+      // Failed payment
+      await tx.payment.update({ 
+        where: { id: payment.id }, 
+        data: {
+          status: 'FAILED',
+          description: `${payment.description || ''} (M-Pesa Callback Failed: ${ResultDesc})`.substring(0, 191),
+        }
+      });
+
+      await recordStatusChange(tx, {
+        paymentId: payment.id,
+        fromStatus: payment.status,
+        toStatus: 'FAILED',
+        source,
+        reason: ResultDesc,
+        details: { resultCode: ResultCode !== undefined ? String(ResultCode) : null }
+      });
+      
+      logger.info(`Payment ${payment.id} FAILED. Reason: ${ResultDesc}`);
+      return { success: false, reason: ResultDesc, paymentId: payment.id };
+    }
+  }, {
+    maxWait: 15000,
+    timeout: 45000,
+    isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+  });
+
+  sendPaymentReceiptSms(receiptSms);
+  return result;
+};
+
+exports.processMpesaResult = processMpesaResult;
+
+/**
+ * Enhanced M-Pesa callback with automatic wallet updates
+ */
+exports.mpesaCallback = async (req, res) => {
+  logger.info('M-Pesa Callback received', { body: JSON.stringify(req.body, null, 2) });
+  
+  const callbackData = req.body.Body?.stkCallback;
+
+  if (!callbackData) {
+    logger.warn('Invalid M-Pesa callback structure.');
+    await completeCallbackLog(req.callbackLog?.id, { error: 'Invalid callback structure' });
+    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback data' });
+  }
+
+  try {
+    const result = await processMpesaResult(callbackData);
+    await completeCallbackLog(req.callbackLog?.id, result);
   } catch (error) {
     logger.error('Critical error in M-Pesa callback processing', { error: error.message });
+    await completeCallbackLog(req.callbackLog?.id, { error: error.message });
   }
   
   return res.status(200).json({ ResultCode: 0, ResultDesc: 'Callback received and processed.' });
@@ -1225,6 +1640,8 @@ exports.addItemsToBatch = async (req, res) => {
     }
 
     const result = await prisma.$transaction(async (tx) => {
+      await assertPeriodOpen(tx, payments.map(item => item.paymentDate || new Date()), 'add batch items');
+
       const createdPayments = [];
       let totalNewAmount = 0;
 
@@ -1289,6 +1706,9 @@ exports.addItemsToBatch = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     console.error('Error adding items to batch:', error);
     res.status(500).json({
       success: false,
@@ -1298,7 +1718,82 @@ exports.addItemsToBatch = async (req, res) => {
   }
 };
 
-// Update payment status (admin only)
+// Status the original payment and its linked negative entry take for each kind of undo
+const REVERSAL_STATUSES = { REFUND: 'REFUNDED', REVERSAL: 'REVERSED' };
+
+// Undo a completed payment inside the caller's transaction: create the linked negative entry,
+// mark the original REFUNDED or REVERSED, reverse its wallet credits and void its receipt.
+const reverseCompletedPayment = async (tx, payment, { reversalType, reason, adminId }) => {
+  if (payment.status !== 'COMPLETED') {
+    throw { statusCode: 400, message: `Only completed payments can be refunded or reversed. Current status: ${payment.status}`, errorDetails: { code: 'PAYMENT_NOT_REVERSIBLE' } };
+  }
+  if (payment.isAdjustment || payment.reversalOfId) {
+    throw { statusCode: 400, message: 'Adjustment, refund and reversal entries cannot themselves be refunded.', errorDetails: { code: 'PAYMENT_NOT_REVERSIBLE' } };
+  }
+
+  const existingReversal = await tx.payment.findUnique({ where: { reversalOfId: payment.id }, select: { id: true } });
+  if (existingReversal) {
+    throw { statusCode: 409, message: 'This payment has already been refunded or reversed.', errorDetails: { code: 'PAYMENT_ALREADY_REVERSED', reversalId: existingReversal.id } };
+  }
+
+  await assertPeriodOpen(tx, payment.paymentDate, 'refund or reverse payments');
+
+  const status = REVERSAL_STATUSES[reversalType];
+  const now = new Date();
+
+  const entry = await tx.payment.create({
+    data: {
+      userId: payment.userId,
+      amount: new Prisma.Decimal(payment.amount.toString()).negated(),
+      paymentType: payment.paymentType,
+      paymentMethod: reversalType,
+      description: `${reversalType === 'REFUND' ? 'Refund' : 'Reversal'} of payment #${payment.id}: ${reason}`.substring(0, 191),
+      reference: payment.receiptNumber || payment.reference || null,
+      status,
+      paymentDate: now,
+      processedAt: now,
+      processedById: adminId,
+      isExpense: payment.isExpense,
+      department: payment.department,
+      specialOfferingId: payment.specialOfferingId,
+      platformFee: 0,
+      isTemplate: false,
+      reversalOfId: payment.id
+    }
+  });
+
+  const reversedWallets = await walletService.reversePaymentPostings(payment.id, entry.id, tx);
+
+  const original = await tx.payment.update({
+    where: { id: payment.id },
+    data: { status }
+  });
+
+  await recordStatusChange(tx, {
+    paymentId: payment.id,
+    fromStatus: payment.status,
+    toStatus: status,
+    source: reversalType,
+    reason,
+    changedById: adminId,
+    details: { entryId: entry.id }
+  });
+
+  const voidedReceipts = await tx.receipt.updateMany({
+    where: { paymentId: payment.id, isVoid: false },
+    data: { isVoid: true, voidedAt: now, voidReason: reason.substring(0, 191) }
+  });
+
+  return {
+    original,
+    entry,
+    walletsReversed: reversedWallets ? reversedWallets.length : 0,
+    receiptVoided: voidedReceipts.count > 0
+  };
+};
+
+// Update payment status (admin only). Only transitions allowed by the payment status machine are
+// accepted; each one brings its wallet, receipt and notification effects and is kept in the history.
 exports.updatePaymentStatus = async (req, res) => {
   try {
     logger.info('Admin: Update Payment Status attempt started', { userId: req.user.id });
@@ -1308,38 +1803,64 @@ exports.updatePaymentStatus = async (req, res) => {
       return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot update payment statuses.", { code: 'FORBIDDEN_VIEW_ONLY' });
     }
 
+    const validationErrors = validationResult(req);
+    if (!validationErrors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: validationErrors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
     const { paymentId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const numericPaymentId = parseInt(paymentId);
 
     if (isNaN(numericPaymentId)) {
       return sendResponse(res, 400, false, null, 'Invalid Payment ID format.', { code: 'INVALID_PAYMENT_ID' });
     }
 
-    const validStatuses = ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'REFUNDED'];
-    if (!status || !validStatuses.includes(status.toUpperCase())) {
-      return sendResponse(res, 400, false, null, `Invalid status. Must be one of: ${validStatuses.join(', ')}.`, { code: 'INVALID_STATUS' });
+    if (!status || typeof status !== 'string') {
+      return sendResponse(res, 400, false, null, 'Status is required.', { code: 'INVALID_STATUS' });
     }
+    const newStatus = status.toUpperCase();
 
     const result = await prisma.$transaction(async (tx) => {
       const payment = await tx.payment.findUnique({ 
         where: { id: numericPaymentId },
         include: { 
           specialOffering: { select: { name: true, offeringCode: true } },
-          user: { select: { fullName: true } }
+          user: { select: { fullName: true, phone: true } },
+          batchPayment: { select: { batchReference: true, status: true } },
+          lines: giftLineInclude
         }
       });
       
       if (!payment) {
-        throw new Error('Payment not found.');
+        throw { statusCode: 404, message: 'Payment not found.', errorDetails: { code: 'PAYMENT_NOT_FOUND' } };
       }
 
       const oldStatus = payment.status;
-      const newStatus = status.toUpperCase();
+      const effects = assertTransitionAllowed(oldStatus, newStatus);
+
+      // Items of an unfinished batch move with their batch; completing one on its own would credit it twice
+      if (payment.batchPayment && !['COMPLETED', 'CANCELLED'].includes(payment.batchPayment.status)) {
+        throw {
+          statusCode: 409,
+          message: `Payment belongs to batch ${payment.batchPayment.batchReference} (${payment.batchPayment.status}). Complete or cancel the batch instead.`,
+          errorDetails: { code: 'PAYMENT_IN_OPEN_BATCH', batchStatus: payment.batchPayment.status }
+        };
+      }
+
+      await assertPeriodOpen(tx, payment.paymentDate, 'change the status of payments');
 
-      // Prevent certain status transitions
-      if (oldStatus === 'COMPLETED' && ['PENDING', 'FAILED'].includes(newStatus)) {
-        throw new Error('Cannot change status from COMPLETED to PENDING or FAILED. Use REFUNDED if needed.');
+      // Refunding a completed payment reverses its wallet credits and voids its receipt
+      if (effects.includes(STATUS_EFFECTS.REVERSE_WALLETS)) {
+        const reversal = await reverseCompletedPayment(tx, payment, {
+          reversalType: newStatus === 'REFUNDED' ? 'REFUND' : 'REVERSAL',
+          reason: reason || `Status changed to ${newStatus}`,
+          adminId: req.user.id
+        });
+        return { payment, updatedPayment: reversal.original, effects };
       }
 
       const updatedPayment = await tx.payment.update({
@@ -1350,19 +1871,26 @@ exports.updatePaymentStatus = async (req, res) => {
         },
       });
 
-      // Handle wallet updates when status changes to COMPLETED
-      if (oldStatus !== 'COMPLETED' && newStatus === 'COMPLETED' && !payment.isExpense) {
+      await recordStatusChange(tx, {
+        paymentId: numericPaymentId,
+        fromStatus: oldStatus,
+        toStatus: newStatus,
+        source: 'ADMIN',
+        reason,
+        changedById: req.user.id
+      });
+
+      if (effects.includes(STATUS_EFFECTS.CREDIT_WALLETS) && !payment.isExpense) {
         try {
           await walletService.updateWalletsForPayment(numericPaymentId, tx);
-          logger.info(`✅ Wallets updated for payment ${numericPaymentId} status change to COMPLETED`);
+          logger.info(`✅ Wallets updated for payment ${numericPaymentId} status change to ${newStatus}`);
         } catch (walletError) {
           logger.error('Wallet update failed', { error: walletError.message, paymentId: numericPaymentId });
           throw new Error(`Status updated but wallet update failed: ${walletError.message}`);
         }
       }
 
-      // Generate receipt if payment is now completed and doesn't have one
-      if (newStatus === 'COMPLETED' && !payment.receiptNumber && !payment.isExpense) {
+      if (effects.includes(STATUS_EFFECTS.ISSUE_RECEIPT) && !payment.receiptNumber && !payment.isExpense) {
         const receiptNumber = generateReceiptNumber(payment.paymentType);
         
         await tx.receipt.create({
@@ -1380,7 +1908,8 @@ exports.updatePaymentStatus = async (req, res) => {
               paymentDate: payment.paymentDate,
               description: payment.description,
               titheDesignations: payment.paymentType === 'TITHE' ? payment.titheDistributionSDA : null,
-              specialOffering: payment.specialOffering
+              specialOffering: payment.specialOffering,
+              lines: receiptLinesFor(payment)
             },
           }
         });
@@ -1393,24 +1922,46 @@ exports.updatePaymentStatus = async (req, res) => {
         updatedPayment.receiptNumber = receiptNumber;
       }
 
-      return { payment, updatedPayment };
+      return { payment, updatedPayment, effects };
     });
 
-    await logAdminActivity('ADMIN_UPDATE_PAYMENT_STATUS', result.updatedPayment.id, req.user.id, { 
-      oldStatus: result.payment.status, 
-      newStatus: result.updatedPayment.status 
+    // Tell the member once the change is committed (non-blocking)
+    const { payment, updatedPayment, effects } = result;
+    if (effects.includes(STATUS_EFFECTS.NOTIFY_MEMBER) && !payment.isExpense && payment.user.phone) {
+      const amountText = `KES ${parseFloat(payment.amount.toString()).toFixed(2)}`;
+      const message = updatedPayment.status === 'COMPLETED'
+        ? `Dear ${payment.user.fullName}, your payment of ${amountText} for ${describePaymentPurpose(payment)} has been confirmed.${updatedPayment.receiptNumber ? ` Receipt No: ${updatedPayment.receiptNumber}.` : ''} Thank you.`
+        : `Dear ${payment.user.fullName}, your payment of ${amountText} for ${describePaymentPurpose(payment)} has been ${updatedPayment.status.toLowerCase()}.`;
+      setImmediate(async () => {
+        try {
+          await sendSmsNotification(payment.user.phone, message);
+        } catch (smsError) {
+          logger.warn(`SMS notification failed for payment ${payment.id} status change`, { error: smsError.message });
+        }
+      });
+    }
+
+    await logAdminActivity('ADMIN_UPDATE_PAYMENT_STATUS', updatedPayment.id, req.user.id, { 
+      oldStatus: payment.status, 
+      newStatus: updatedPayment.status,
+      reason: reason || null,
+      effects
     });
     
-    logger.info(`Payment ${numericPaymentId} status updated to ${status.toUpperCase()} by admin ${req.user.username}`);
+    logger.info(`Payment ${numericPaymentId} status updated from ${payment.status} to ${updatedPayment.status} by admin ${req.user.username}`);
     
     return sendResponse(res, 200, true, { 
       payment: {
-        ...result.updatedPayment,
-        amount: parseFloat(result.updatedPayment.amount.toString())
-      }
+        ...updatedPayment,
+        amount: parseFloat(updatedPayment.amount.toString())
+      },
+      transition: { from: payment.status, to: updatedPayment.status, effects }
     }, 'Payment status updated successfully.');
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error updating payment status', { 
       error: error.message, 
       paymentId: req.params.paymentId,
@@ -1422,6 +1973,618 @@ exports.updatePaymentStatus = async (req, res) => {
     });
   }
 };
+
+// Get a payment's status changes, oldest first, and the statuses it can move to next (admin only)
+exports.getPaymentStatusHistory = async (req, res) => {
+  try {
+    const paymentId = parseInt(req.params.paymentId);
+    if (isNaN(paymentId)) {
+      return sendResponse(res, 400, false, null, 'Invalid Payment ID format.', { code: 'INVALID_PAYMENT_ID' });
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      select: {
+        id: true,
+        status: true,
+        statusHistory: {
+          include: { changedBy: { select: { id: true, username: true, fullName: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!payment) {
+      return sendResponse(res, 404, false, null, 'Payment not found.', { code: 'PAYMENT_NOT_FOUND' });
+    }
+
+    return sendResponse(res, 200, true, {
+      paymentId: payment.id,
+      status: payment.status,
+      allowedTransitions: getAllowedTransitions(payment.status),
+      history: payment.statusHistory
+    }, 'Payment status history retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting payment status history', { error: error.message, paymentId: req.params.paymentId });
+    return sendResponse(res, 500, false, null, 'Server error retrieving payment status history.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Run the stale PENDING payment reconciler now (admin only)
+exports.reconcilePendingPayments = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot run payment reconciliation.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const decisions = await reconcileStalePayments();
+
+    await logAdminActivity('ADMIN_RECONCILE_PENDING_PAYMENTS', 'N/A', req.user.id, {
+      checked: decisions.length,
+      decisions: decisions.map(decision => ({ paymentId: decision.paymentId, decision: decision.decision }))
+    });
+
+    return sendResponse(res, 200, true, { checked: decisions.length, decisions }, `Reconciled ${decisions.length} pending payment(s).`);
+
+  } catch (error) {
+    logger.error('Error reconciling pending payments', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error reconciling pending payments.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Get recorded reconciliation decisions, newest first (admin only)
+exports.getReconciliationLogs = async (req, res) => {
+  try {
+    const { paymentId, decision, page = 1, limit = 50 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const where = {};
+    if (paymentId) where.paymentId = parseInt(paymentId);
+    if (decision) where.decision = decision;
+
+    const [logs, total] = await Promise.all([
+      prisma.paymentReconciliationLog.findMany({
+        where,
+        include: { payment: { select: { id: true, amount: true, paymentType: true, paymentMethod: true, status: true, reference: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.paymentReconciliationLog.count({ where })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      logs: logs.map(log => ({
+        ...log,
+        payment: log.payment ? { ...log.payment, amount: parseFloat(log.payment.amount.toString()) } : null
+      })),
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalLogs: total
+    }, 'Reconciliation log retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting reconciliation log', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving reconciliation log.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Get stored M-Pesa/KCB callbacks, newest first (admin only)
+exports.getPaymentCallbackLogs = async (req, res) => {
+  try {
+    const { provider, status, paymentId, callbackKey, page = 1, limit = 50 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const where = {};
+    if (provider) where.provider = provider;
+    if (status) where.status = status;
+    if (paymentId) where.paymentId = parseInt(paymentId);
+    if (callbackKey) where.callbackKey = callbackKey;
+
+    const [logs, total] = await Promise.all([
+      prisma.paymentCallbackLog.findMany({
+        where,
+        include: { payment: { select: { id: true, amount: true, paymentType: true, paymentMethod: true, status: true, reference: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.paymentCallbackLog.count({ where })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      logs: logs.map(log => ({
+        ...log,
+        payment: log.payment ? { ...log.payment, amount: parseFloat(log.payment.amount.toString()) } : null
+      })),
+      totalPages: Math.ceil(total / take),
+      currentPage: parseInt(page),
+      totalLogs: total
+    }, 'Payment callback log retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting payment callback log', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving payment callback log.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Replay a stored callback through the normal processing path (admin only).
+// Callbacks rejected as unauthentic are never replayed.
+exports.reprocessPaymentCallback = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot re-process callbacks.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const logId = parseInt(req.params.logId);
+    const callbackLog = await prisma.paymentCallbackLog.findUnique({ where: { id: logId } });
+    if (!callbackLog) {
+      return sendResponse(res, 404, false, null, 'Callback log entry not found.', { code: 'CALLBACK_LOG_NOT_FOUND' });
+    }
+    if (callbackLog.status === 'REJECTED') {
+      return sendResponse(res, 409, false, null, 'Rejected callbacks failed verification and cannot be re-processed.', {
+        code: 'CALLBACK_REJECTED',
+        reason: callbackLog.rejectionReason
+      });
+    }
+
+    const callbackData = callbackLog.provider === 'MPESA'
+      ? callbackLog.rawBody?.Body?.stkCallback
+      : callbackLog.rawBody;
+    if (!callbackData) {
+      return sendResponse(res, 422, false, null, 'Stored callback body has no usable result.', { code: 'INVALID_CALLBACK_DATA' });
+    }
+
+    let result;
+    try {
+      if (callbackLog.provider === 'MPESA') result = await processMpesaResult(callbackData);
+      else if (callbackLog.provider === 'MPESA_C2B') result = await processC2bConfirmation(callbackData);
+      else result = await processKcbResult(callbackData);
+    } catch (processingError) {
+      result = { error: processingError.message };
+    }
+    await completeCallbackLog(callbackLog.id, result, { reprocessed: true });
+
+    await logAdminActivity('REPROCESS_PAYMENT_CALLBACK', callbackLog.id, req.user.id, {
+      provider: callbackLog.provider,
+      callbackKey: callbackLog.callbackKey,
+      previousStatus: callbackLog.status,
+      result
+    });
+
+    if (result.error) {
+      return sendResponse(res, 500, false, { result }, 'Callback re-processing failed.', {
+        code: 'CALLBACK_REPROCESS_FAILED',
+        details: result.error
+      });
+    }
+
+    return sendResponse(res, 200, true, { result }, result.alreadyProcessedOrNotFound
+      ? 'No pending payment matched this callback; nothing changed.'
+      : 'Callback re-processed successfully.');
+
+  } catch (error) {
+    logger.error('Error re-processing payment callback', { error: error.message, logId: req.params.logId });
+    return sendResponse(res, 500, false, null, 'Server error re-processing payment callback.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Record an adjustment entry for a completed payment (admin only).
+// Adjustments are dated now, so payments in closed periods are corrected from the open period.
+exports.createPaymentAdjustment = async (req, res) => {
+  try {
+    logger.info('Admin: Payment adjustment attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot record adjustments.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const validationErrors = validationResult(req);
+    if (!validationErrors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: validationErrors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const numericPaymentId = parseInt(req.params.paymentId);
+    const { reason } = req.body;
+    const adjustmentAmount = new Prisma.Decimal(req.body.amount).toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+    if (adjustmentAmount.isZero()) {
+      return sendResponse(res, 400, false, null, 'Adjustment amount cannot be zero.', { code: 'INVALID_ADJUSTMENT_AMOUNT' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const original = await tx.payment.findUnique({
+        where: { id: numericPaymentId },
+        include: { adjustments: { select: { amount: true } } }
+      });
+
+      if (!original) {
+        throw { statusCode: 404, message: 'Payment not found.', errorDetails: { code: 'PAYMENT_NOT_FOUND' } };
+      }
+      if (original.isAdjustment) {
+        throw { statusCode: 400, message: 'Adjust the original payment, not an adjustment entry.', errorDetails: { code: 'ADJUSTMENT_OF_ADJUSTMENT' } };
+      }
+      if (original.status !== 'COMPLETED' || original.isTemplate) {
+        throw { statusCode: 400, message: 'Only completed payments can be adjusted.', errorDetails: { code: 'PAYMENT_NOT_ADJUSTABLE' } };
+      }
+
+      const adjustedTotal = original.adjustments.reduce(
+        (sum, adjustment) => sum.plus(adjustment.amount.toString()),
+        new Prisma.Decimal(original.amount.toString())
+      ).plus(adjustmentAmount);
+      if (adjustedTotal.isNegative()) {
+        throw {
+          statusCode: 400,
+          message: `Adjustment would take the payment below zero (net after adjustment: ${adjustedTotal.toFixed(2)}).`,
+          errorDetails: { code: 'ADJUSTMENT_EXCEEDS_PAYMENT' }
+        };
+      }
+
+      const adjustmentDate = new Date();
+      await assertPeriodOpen(tx, adjustmentDate, 'record adjustments');
+
+      const adjustment = await tx.payment.create({
+        data: {
+          userId: original.userId,
+          amount: adjustmentAmount,
+          paymentType: original.paymentType,
+          paymentMethod: 'ADJUSTMENT',
+          description: `Adjustment of payment #${original.id}: ${reason}`.substring(0, 191),
+          reference: original.receiptNumber || original.reference || null,
+          status: 'COMPLETED',
+          paymentDate: adjustmentDate,
+          processedById: req.user.id,
+          isExpense: original.isExpense,
+          department: original.department,
+          specialOfferingId: original.specialOfferingId,
+          platformFee: 0,
+          isTemplate: false,
+          isAdjustment: true,
+          adjustmentOfId: original.id
+        }
+      });
+
+      await walletService.postPaymentAdjustment(adjustment.id, tx);
+
+      return { original, adjustment, adjustedTotal };
+    }, {
+      maxWait: 15000,
+      timeout: 45000,
+    });
+
+    await logAdminActivity('ADMIN_PAYMENT_ADJUSTMENT', result.adjustment.id, req.user.id, {
+      adjustmentOfId: result.original.id,
+      amount: parseFloat(result.adjustment.amount.toString()),
+      netAmount: parseFloat(result.adjustedTotal.toString()),
+      reason
+    });
+
+    logger.info(`Adjustment ${result.adjustment.id} of KES ${result.adjustment.amount} recorded for payment ${result.original.id} by admin ${req.user.username}`);
+
+    return sendResponse(res, 201, true, {
+      adjustment: {
+        ...result.adjustment,
+        amount: parseFloat(result.adjustment.amount.toString())
+      },
+      netAmount: parseFloat(result.adjustedTotal.toString())
+    }, 'Adjustment recorded successfully.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error recording payment adjustment', { error: error.message, paymentId: req.params.paymentId, userId: req.user.id });
+    return sendResponse(res, 500, false, null, error.message || 'Server error recording adjustment.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Refund or reverse a completed payment (admin only, multi-admin approved).
+// A REFUND can also pay the money back to the member through a KCB B2C transfer.
+exports.refundPayment = async (req, res) => {
+  try {
+    logger.info('Admin: Refund/reversal attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot refund or reverse payments.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const validationErrors = validationResult(req);
+    if (!validationErrors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: validationErrors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const numericPaymentId = parseInt(req.params.paymentId);
+    const { type = 'REFUND', reason, payout = false, payoutPhone } = req.body;
+
+    if (payout && type !== 'REFUND') {
+      return sendResponse(res, 400, false, null, 'Only refunds can be paid out.', { code: 'PAYOUT_NOT_ALLOWED' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const payment = await tx.payment.findUnique({
+        where: { id: numericPaymentId },
+        include: { user: { select: { fullName: true, phone: true } } }
+      });
+
+      if (!payment) {
+        throw { statusCode: 404, message: 'Payment not found.', errorDetails: { code: 'PAYMENT_NOT_FOUND' } };
+      }
+      if (payout && payment.isExpense) {
+        throw { statusCode: 400, message: 'Expenses cannot be paid out as refunds.', errorDetails: { code: 'PAYOUT_NOT_ALLOWED' } };
+      }
+
+      const reversal = await reverseCompletedPayment(tx, payment, { reversalType: type, reason, adminId: req.user.id });
+      return { ...reversal, payoutDestination: payoutPhone || payment.user.phone };
+    }, {
+      maxWait: 15000,
+      timeout: 45000,
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    // The refund stands even if the payout fails; the payout can then be made by hand
+    let payoutResult = null;
+    if (payout) {
+      const refundAmount = parseFloat(result.original.amount.toString());
+      try {
+        const kcbResponse = await initiateKcbWithdrawal(
+          `RF-${result.entry.id}-${Date.now()}`,
+          refundAmount,
+          result.payoutDestination,
+          `Refund of payment #${result.original.id}`
+        );
+        await prisma.payment.update({
+          where: { id: result.entry.id },
+          data: { kcbTransactionId: kcbResponse.transactionId, kcbReference: kcbResponse.reference }
+        });
+        payoutResult = { success: true, transactionId: kcbResponse.transactionId, reference: kcbResponse.reference };
+      } catch (payoutError) {
+        logger.error(`Refund payout failed for payment ${result.original.id}`, { error: payoutError.message });
+        payoutResult = { success: false, error: payoutError.message };
+      }
+    }
+
+    await logAdminActivity(type === 'REFUND' ? 'ADMIN_REFUND_PAYMENT' : 'ADMIN_REVERSE_PAYMENT', result.original.id, req.user.id, {
+      reversalEntryId: result.entry.id,
+      amount: parseFloat(result.original.amount.toString()),
+      reason,
+      walletsReversed: result.walletsReversed,
+      receiptVoided: result.receiptVoided,
+      payout: payoutResult
+    });
+
+    logger.info(`Payment ${result.original.id} ${result.original.status.toLowerCase()} by admin ${req.user.username}`);
+
+    let message = `Payment ${type === 'REFUND' ? 'refunded' : 'reversed'} successfully.`;
+    if (payoutResult && !payoutResult.success) {
+      message += ' The KCB payout could not be initiated and must be made manually.';
+    }
+
+    return sendResponse(res, 200, true, {
+      payment: {
+        ...result.original,
+        amount: parseFloat(result.original.amount.toString())
+      },
+      reversalEntry: {
+        ...result.entry,
+        amount: parseFloat(result.entry.amount.toString())
+      },
+      walletsReversed: result.walletsReversed,
+      receiptVoided: result.receiptVoided,
+      payout: payoutResult
+    }, message);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error refunding payment', { error: error.message, paymentId: req.params.paymentId, userId: req.user.id });
+    return sendResponse(res, 500, false, null, error.message || 'Server error refunding payment.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Serialize Decimal fields on a fee rule
+const serializeFeeRule = (rule) => ({
+  ...rule,
+  flatAmount: rule.flatAmount !== null ? parseFloat(rule.flatAmount.toString()) : null,
+  percentage: rule.percentage !== null ? parseFloat(rule.percentage.toString()) : null,
+  minFee: rule.minFee !== null ? parseFloat(rule.minFee.toString()) : null,
+  maxFee: rule.maxFee !== null ? parseFloat(rule.maxFee.toString()) : null
+});
+
+// Get platform fee rules (admin only)
+exports.getFeeRules = async (req, res) => {
+  try {
+    const rules = await prisma.feeRule.findMany({
+      include: { updatedBy: { select: { id: true, username: true, fullName: true } } },
+      orderBy: [{ paymentMethod: 'asc' }, { paymentType: 'asc' }]
+    });
+
+    return sendResponse(res, 200, true, { rules: rules.map(serializeFeeRule) }, 'Fee rules retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting fee rules', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving fee rules.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Create or replace the fee rule for a payment method and type (admin only)
+exports.upsertFeeRule = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot change fee rules.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { paymentMethod, paymentType } = req.params;
+    const { name, feeType, flatAmount, percentage, minFee, maxFee, tiers, feeBearer, isActive } = req.body;
+    const optionalNumber = (value) => (value !== undefined && value !== null && value !== '' ? parseFloat(value) : null);
+
+    const ruleData = {
+      name: name.trim(),
+      feeType,
+      flatAmount: optionalNumber(flatAmount),
+      percentage: optionalNumber(percentage),
+      minFee: optionalNumber(minFee),
+      maxFee: optionalNumber(maxFee),
+      tiers: feeType === 'TIERED'
+        ? tiers
+            .map(tier => ({
+              minAmount: parseFloat(tier.minAmount),
+              flatAmount: optionalNumber(tier.flatAmount) || 0,
+              percentage: optionalNumber(tier.percentage) || 0
+            }))
+            .sort((a, b) => a.minAmount - b.minAmount)
+        : Prisma.DbNull,
+      feeBearer: feeBearer || 'CHURCH',
+      isActive: isActive !== undefined ? isActive : true,
+      updatedById: req.user.id
+    };
+
+    const rule = await prisma.feeRule.upsert({
+      where: { paymentMethod_paymentType: { paymentMethod, paymentType } },
+      update: ruleData,
+      create: { paymentMethod, paymentType, ...ruleData },
+      include: { updatedBy: { select: { id: true, username: true, fullName: true } } }
+    });
+
+    await logAdminActivity('UPSERT_FEE_RULE', `${paymentMethod}:${paymentType}`, req.user.id, {
+      feeRuleId: rule.id,
+      feeType: ruleData.feeType,
+      flatAmount: ruleData.flatAmount,
+      percentage: ruleData.percentage,
+      minFee: ruleData.minFee,
+      maxFee: ruleData.maxFee,
+      tiers: feeType === 'TIERED' ? ruleData.tiers : null,
+      feeBearer: ruleData.feeBearer,
+      isActive: ruleData.isActive
+    });
+
+    return sendResponse(res, 200, true, { rule: serializeFeeRule(rule) }, `Fee rule for ${paymentMethod} / ${paymentType} saved successfully.`);
+
+  } catch (error) {
+    logger.error('Error saving fee rule', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error saving fee rule.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Delete the fee rule for a payment method and type; a broader rule (or the default fee) then applies
+exports.deleteFeeRule = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot change fee rules.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const { paymentMethod, paymentType } = req.params;
+    const where = { paymentMethod_paymentType: { paymentMethod, paymentType } };
+
+    const existingRule = await prisma.feeRule.findUnique({ where });
+    if (!existingRule) {
+      return sendResponse(res, 404, false, null, `No fee rule found for ${paymentMethod} / ${paymentType}.`, { code: 'FEE_RULE_NOT_FOUND' });
+    }
+
+    await prisma.feeRule.delete({ where });
+
+    await logAdminActivity('DELETE_FEE_RULE', `${paymentMethod}:${paymentType}`, req.user.id, {
+      feeRuleId: existingRule.id,
+      name: existingRule.name
+    });
+
+    return sendResponse(res, 200, true, { paymentMethod, paymentType }, `Fee rule for ${paymentMethod} / ${paymentType} deleted.`);
+
+  } catch (error) {
+    logger.error('Error deleting fee rule', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error deleting fee rule.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Quote the platform fee for a payment before it is initiated, so givers see what they will be charged
+exports.getFeeQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { amount, paymentMethod, paymentType } = req.query;
+    const fee = await computePlatformFee({
+      amount: parseFloat(amount),
+      paymentMethod,
+      paymentType: paymentType === 'SPECIAL' ? 'SPECIAL_OFFERING_CONTRIBUTION' : paymentType
+    });
+
+    return sendResponse(res, 200, true, {
+      amount: parseFloat(amount),
+      platformFee: fee.platformFee,
+      feeBearer: fee.feeBearer,
+      chargeAmount: fee.chargeAmount,
+      feeRuleName: fee.feeRuleName
+    }, 'Fee quote calculated successfully.');
+
+  } catch (error) {
+    logger.error('Error calculating fee quote', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error calculating fee quote.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
 // Delete payment (admin only)
 exports.deletePayment = async (req, res) => {
   try {
@@ -1438,28 +2601,46 @@ exports.deletePayment = async (req, res) => {
       await logActivity(`View-only admin ${req.user.username} attempted to delete payment.`);
       return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot delete payments.", { code: 'FORBIDDEN_VIEW_ONLY' });
     }
+
+    const validationErrors = validationResult(req);
+    if (!validationErrors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: validationErrors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
     
+    const { reason } = req.body || {};
+
+    // Soft delete: the payment and its receipt move to the trash together and can be restored
     const result = await prisma.$transaction(async (tx) => {
       const payment = await tx.payment.findUnique({ where: { id: numericPaymentId } });
       if (!payment) {
         throw new Error('Payment not found.');
       }
 
-      await tx.receipt.deleteMany({ where: { paymentId: numericPaymentId } });
-      await tx.payment.delete({ where: { id: numericPaymentId } });
+      await assertPeriodOpen(tx, payment.paymentDate, 'delete payments');
+
+      const deletion = softDeleteData(req.user.id, reason);
+      await tx.receipt.updateMany({ where: { paymentId: numericPaymentId, deletedAt: null }, data: deletion });
+      await tx.payment.update({ where: { id: numericPaymentId }, data: deletion });
       
       return payment;
     });
 
     await logAdminActivity('ADMIN_DELETE_PAYMENT', numericPaymentId, req.user.id, { 
       amount: parseFloat(result.amount.toString()), 
-      type: result.paymentType 
+      type: result.paymentType,
+      reason: reason || null
     });
 
-    await logActivity(`Payment ${numericPaymentId} and associated receipts deleted.`);
-    return sendResponse(res, 200, true, { paymentId: numericPaymentId }, 'Payment and associated receipts deleted successfully.');
+    await logActivity(`Payment ${numericPaymentId} and associated receipts moved to trash.`);
+    return sendResponse(res, 200, true, { paymentId: numericPaymentId }, 'Payment and associated receipts moved to trash.');
     
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     await logActivity('Error deleting payment:', error.message);
     console.error(error);
     
@@ -1,11 +1,14 @@
 // server/controllers/receiptController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
 const { validationResult } = require('express-validator');
+const { getTitheCategoryLabels } = require('../utils/titheCategories.js');
+const { BASE_CURRENCY } = require('../utils/exchangeRates.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -83,7 +86,7 @@ exports.getAllReceipts = async (req, res) => {
       where: whereConditions,
       include: {
         user: { select: { id: true, username: true, fullName: true, phone: true } },
-        payment: { select: { id: true, amount: true, paymentType: true, paymentMethod: true, description: true, status: true, isExpense: true } },
+        payment: { select: { id: true, amount: true, currency: true, originalAmount: true, paymentType: true, paymentMethod: true, description: true, status: true, isExpense: true } },
         generator: { select: { id: true, username: true, fullName: true } },
       },
       orderBy: { receiptDate: 'desc' },
@@ -142,7 +145,7 @@ exports.getUserReceipts = async (req, res) => {
     const receipts = await prisma.receipt.findMany({
       where: whereConditions,
       include: {
-        payment: { select: { id: true, amount: true, paymentType: true, paymentMethod: true, description: true, status: true, paymentDate: true } },
+        payment: { select: { id: true, amount: true, currency: true, originalAmount: true, paymentType: true, paymentMethod: true, description: true, status: true, paymentDate: true } },
       },
       orderBy: { receiptDate: 'desc' },
       skip,
@@ -184,6 +187,8 @@ exports.getReceiptById = async (req, res) => {
           select: {
             id: true, amount: true, paymentType: true, paymentMethod: true,
             description: true, status: true, paymentDate: true, isExpense: true,
+            platformFee: true, feeBearer: true,
+            currency: true, originalAmount: true, exchangeRate: true,
             titheDistributionSDA: true, // Included for PDF generation
             specialOffering: { select: { name: true, offeringCode: true } }
           }
@@ -230,8 +235,18 @@ exports.generatePdfReceipt = async (req, res) => {
           select: {
             amount: true, paymentType: true, paymentMethod: true,
             description: true, paymentDate: true, isExpense: true,
+            platformFee: true, feeBearer: true,
+            currency: true, originalAmount: true, exchangeRate: true,
             titheDistributionSDA: true, // This will now be { category: boolean }
-            specialOffering: { select: { name: true, offeringCode: true } }
+            specialOffering: { select: { name: true, offeringCode: true } },
+            lines: {
+              select: {
+                lineNumber: true, paymentType: true, amount: true, description: true,
+                titheDistributionSDA: true,
+                specialOffering: { select: { name: true, offeringCode: true } }
+              },
+              orderBy: { lineNumber: 'asc' }
+            }
           }
         },
       },
@@ -266,6 +281,11 @@ exports.generatePdfReceipt = async (req, res) => {
     doc.moveDown(1.5);
 
     doc.fontSize(16).font('Helvetica-Bold').text('OFFICIAL RECEIPT', { align: 'center' });
+    if (receipt.isVoid) {
+      doc.fontSize(14).fillColor('#cc0000')
+         .text(`VOID - ${receipt.voidReason || 'Payment refunded'} (${formatDateForPdf(receipt.voidedAt)})`, { align: 'center' });
+      doc.fillColor('#000000');
+    }
     doc.moveDown(1);
 
     const receiptInfoTop = doc.y;
@@ -300,6 +320,8 @@ exports.generatePdfReceipt = async (req, res) => {
         paymentTypeDisplay = `Special Offering: ${receipt.payment.specialOffering.name} (${receipt.payment.specialOffering.offeringCode})`;
     } else if (paymentTypeDisplay === 'TITHE') {
         paymentTypeDisplay = 'Tithe';
+    } else if (paymentTypeDisplay === 'SPLIT_GIFT') {
+        paymentTypeDisplay = 'Gift (itemised below)';
     } // Add other types as needed
 
     const particulars = [
@@ -309,6 +331,27 @@ exports.generatePdfReceipt = async (req, res) => {
       { label: 'Amount', value: `KES ${paymentAmount.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
     ];
 
+    // Gifts in another currency show the amount given and the rate used for the KES figure
+    if (receipt.payment.currency && receipt.payment.currency !== BASE_CURRENCY && receipt.payment.originalAmount !== null) {
+      const originalAmount = parseFloat(receipt.payment.originalAmount.toString());
+      particulars.splice(particulars.length - 1, 0,
+        { label: 'Amount Given', value: `${receipt.payment.currency} ${originalAmount.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
+        { label: 'Exchange Rate', value: `1 ${receipt.payment.currency} = KES ${parseFloat(receipt.payment.exchangeRate.toString()).toLocaleString('en-KE', { maximumFractionDigits: 6 })}` }
+      );
+    }
+
+    // Platform fee: either absorbed by the church or paid by the giver on top of the amount
+    const platformFee = receipt.payment.platformFee ? parseFloat(receipt.payment.platformFee.toString()) : 0;
+    if (platformFee > 0) {
+      const feeText = `KES ${platformFee.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      particulars.splice(particulars.length - 1, 0, {
+        label: 'Platform Fee',
+        value: receipt.payment.feeBearer === 'GIVER'
+          ? `${feeText} (paid by giver in addition to the amount)`
+          : `${feeText} (absorbed by the church)`
+      });
+    }
+
     const itemX = 40;
     const amountX = 450;
 
@@ -327,25 +370,22 @@ exports.generatePdfReceipt = async (req, res) => {
     if (receipt.payment.paymentType === 'TITHE' && receipt.payment.titheDistributionSDA) {
       doc.font('Helvetica-Bold').fontSize(11).text('TITHE DESIGNATIONS:');
       doc.moveDown(0.5);
-      const sdaTitheDesignations = receipt.payment.titheDistributionSDA; // This is now { category: boolean }
+      const sdaTitheDesignations = receipt.payment.titheDistributionSDA; // { category: amount } (older payments: { category: boolean })
       
-      // Define SDA categories (must match frontend and what's stored)
-      const sdaCategories = [
-        { key: 'campMeetingExpenses', label: 'Camp Meeting Expenses' },
-        { key: 'welfare', label: 'Welfare' },
-        { key: 'thanksgiving', label: 'Thanksgiving' },
-        { key: 'stationFund', label: 'Station Fund' },
-        { key: 'mediaMinistry', label: 'Media Ministry' },
-      ];
+      // Labels come from the configured tithe categories, retired ones included
+      const categoryLabels = await getTitheCategoryLabels();
       let listedDesignations = 0;
-      sdaCategories.forEach(cat => {
-        // Check if the key exists and is true in the sdaTitheDesignations object
-        if (sdaTitheDesignations && typeof sdaTitheDesignations === 'object' && sdaTitheDesignations[cat.key] === true) {
-          doc.font('Helvetica').fontSize(10).text(`- ${cat.label}`, itemX + 10, doc.y);
+      if (sdaTitheDesignations && typeof sdaTitheDesignations === 'object') {
+        Object.entries(sdaTitheDesignations).forEach(([key, value]) => {
+          const isDesignated = value === true || (typeof value === 'number' && value > 0);
+          if (!isDesignated) return;
+          const label = categoryLabels[key] || key;
+          const line = typeof value === 'number' ? `- ${label}: KES ${value.toFixed(2)}` : `- ${label}`;
+          doc.font('Helvetica').fontSize(10).text(line, itemX + 10, doc.y);
           doc.moveDown(0.3);
           listedDesignations++;
-        }
-      });
+        });
+      }
       if(listedDesignations === 0) {
         doc.font('Helvetica-Oblique').fontSize(10).text('No specific designations made for this tithe.', itemX + 10, doc.y);
         doc.moveDown(0.3);
@@ -353,6 +393,34 @@ exports.generatePdfReceipt = async (req, res) => {
       doc.moveDown(0.5);
     }
     
+    // Split gift: one line per fund, with tithe designations under the tithe line
+    if (receipt.payment.lines && receipt.payment.lines.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(11).text('GIFT ITEMS:', itemX, doc.y);
+      doc.moveDown(0.5);
+      const categoryLabels = await getTitheCategoryLabels();
+      const lineTypeLabels = { TITHE: 'Tithe', OFFERING: 'Offering', DONATION: 'Donation' };
+
+      receipt.payment.lines.forEach(line => {
+        const lineAmount = parseFloat(line.amount.toString());
+        const label = line.specialOffering
+          ? `Special Offering: ${line.specialOffering.name} (${line.specialOffering.offeringCode})`
+          : (lineTypeLabels[line.paymentType] || line.paymentType);
+        const lineY = doc.y;
+        doc.font('Helvetica').fontSize(10).text(`${line.lineNumber}. ${label}${line.description ? ` - ${line.description}` : ''}`, itemX + 10, lineY, { width: 380 });
+        doc.text(`KES ${lineAmount.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, amountX, lineY, { width: 100, align: 'right' });
+        doc.moveDown(0.3);
+
+        if (line.paymentType === 'TITHE' && line.titheDistributionSDA && typeof line.titheDistributionSDA === 'object') {
+          Object.entries(line.titheDistributionSDA).forEach(([key, value]) => {
+            if (typeof value !== 'number' || value <= 0) return;
+            doc.font('Helvetica').fontSize(9).text(`- ${categoryLabels[key] || key}: KES ${value.toFixed(2)}`, itemX + 25, doc.y);
+            doc.moveDown(0.2);
+          });
+        }
+      });
+      doc.moveDown(0.5);
+    }
+    
     const totalY = doc.y + 5;
     doc.strokeColor('#aaaaaa').lineWidth(0.5).moveTo(40, totalY).lineTo(555, totalY).stroke();
     doc.moveDown(0.5);
@@ -0,0 +1,400 @@
+// server/controllers/remittanceController.js - Conference tithe and offering remittances
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const {
+  calculateRemittance,
+  findOverlappingRemittance,
+  generateRemittanceStatement
+} = require('../utils/remittanceUtils.js');
+const WalletService = require('../utils/walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+// Whole days: the end date covers the full day, as in generated reports
+const parsePeriod = (startDate, endDate) => ({
+  periodStart: new Date(new Date(startDate).setHours(0, 0, 0, 0)),
+  periodEnd: new Date(new Date(endDate).setHours(23, 59, 59, 999))
+});
+
+// Decimal fields as numbers for API responses
+const formatRemittance = (remittance) => ({
+  ...remittance,
+  tithePercentage: parseFloat(remittance.tithePercentage.toString()),
+  offeringPercentage: parseFloat(remittance.offeringPercentage.toString()),
+  titheCollected: parseFloat(remittance.titheCollected.toString()),
+  offeringCollected: parseFloat(remittance.offeringCollected.toString()),
+  titheShare: parseFloat(remittance.titheShare.toString()),
+  offeringShare: parseFloat(remittance.offeringShare.toString()),
+  totalAmount: parseFloat(remittance.totalAmount.toString()),
+  withdrawalRequests: remittance.withdrawalRequests?.map(request => ({
+    ...request,
+    amount: parseFloat(request.amount.toString())
+  }))
+});
+
+const remittanceInclude = {
+  requester: { select: { id: true, username: true, fullName: true } },
+  withdrawalRequests: {
+    include: { wallet: { select: { id: true, walletType: true, subType: true } } },
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Preview the remittable tithe and offering shares for a period
+ */
+exports.calculateRemittance = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { periodStart, periodEnd } = parsePeriod(req.query.startDate, req.query.endDate);
+    const [figures, overlapping] = await Promise.all([
+      calculateRemittance(prisma, periodStart, periodEnd),
+      findOverlappingRemittance(prisma, periodStart, periodEnd)
+    ]);
+
+    return sendResponse(res, 200, true, {
+      ...figures,
+      titheCollected: parseFloat(figures.titheCollected.toString()),
+      offeringCollected: parseFloat(figures.offeringCollected.toString()),
+      titheShare: parseFloat(figures.titheShare.toString()),
+      offeringShare: parseFloat(figures.offeringShare.toString()),
+      totalAmount: parseFloat(figures.totalAmount.toString()),
+      alreadyRemitted: !!overlapping,
+      overlappingRemittance: overlapping ? {
+        id: overlapping.id,
+        remittanceReference: overlapping.remittanceReference,
+        status: overlapping.status,
+        periodStart: overlapping.periodStart,
+        periodEnd: overlapping.periodEnd
+      } : null
+    }, 'Remittance figures calculated successfully.');
+
+  } catch (error) {
+    logger.error('Error calculating remittance', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error calculating remittance.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Create a remittance for a period: records the figures, raises a withdrawal request per share
+ * (tithe from the general tithe wallet, offering from the offering wallet) and writes the statement PDF.
+ */
+exports.createRemittance = async (req, res) => {
+  try {
+    logger.wallet('Create Remittance attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot create remittances.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const { startDate, endDate, notes } = req.body;
+    const destinationAccount = (req.body.destinationAccount || process.env.CONFERENCE_REMITTANCE_ACCOUNT || '').trim();
+    const { periodStart, periodEnd } = parsePeriod(startDate, endDate);
+
+    if (!destinationAccount) {
+      return sendResponse(res, 400, false, null, 'Conference account is required (set CONFERENCE_REMITTANCE_ACCOUNT or provide destinationAccount).', {
+        code: 'MISSING_REMITTANCE_ACCOUNT'
+      });
+    }
+
+    const remittanceId = await prisma.$transaction(async (tx) => {
+      const WalletValidationService = require('../utils/walletValidation.js');
+
+      // Serialize remittance creation so two admins cannot remit the same period concurrently
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${walletService.generateLockId('CONFERENCE_REMITTANCE')})`;
+
+      const overlapping = await findOverlappingRemittance(tx, periodStart, periodEnd);
+      if (overlapping) {
+        throw {
+          statusCode: 409,
+          message: `This period overlaps remittance ${overlapping.remittanceReference} (${overlapping.status}).`,
+          errorDetails: { code: 'REMITTANCE_PERIOD_OVERLAP', remittanceId: overlapping.id }
+        };
+      }
+
+      const figures = await calculateRemittance(tx, periodStart, periodEnd);
+      if (figures.totalAmount.lessThanOrEqualTo(0)) {
+        throw {
+          statusCode: 400,
+          message: 'Nothing to remit for this period.',
+          errorDetails: { code: 'NOTHING_TO_REMIT' }
+        };
+      }
+
+      const currentDate = new Date();
+      const dateStr = currentDate.toISOString().slice(0, 10).replace(/-/g, '');
+      const randomStr = crypto.randomBytes(4).toString('hex').toUpperCase();
+      const remittanceReference = `REM-${dateStr}-${randomStr}`;
+
+      const remittance = await tx.conferenceRemittance.create({
+        data: {
+          remittanceReference,
+          periodStart,
+          periodEnd,
+          status: 'PENDING',
+          tithePercentage: figures.tithePercentage,
+          offeringPercentage: figures.offeringPercentage,
+          titheCollected: figures.titheCollected,
+          offeringCollected: figures.offeringCollected,
+          titheShare: figures.titheShare,
+          offeringShare: figures.offeringShare,
+          totalAmount: figures.totalAmount,
+          figures: {
+            titheCount: figures.titheCount,
+            offeringCount: figures.offeringCount
+          },
+          notes: notes ? notes.trim() : null,
+          requestedById: req.user.id
+        }
+      });
+
+      const periodLabel = `${periodStart.toISOString().slice(0, 10)} to ${periodEnd.toISOString().slice(0, 10)}`;
+      const shares = [
+        { fund: 'tithe', walletType: 'TITHE', amount: figures.titheShare, collected: figures.titheCollected, percentage: figures.tithePercentage },
+        { fund: 'offering', walletType: 'OFFERING', amount: figures.offeringShare, collected: figures.offeringCollected, percentage: figures.offeringPercentage }
+      ].filter(share => share.amount.greaterThan(0));
+
+      for (const share of shares) {
+        const wallet = await tx.wallet.findUnique({
+          where: { uniqueKey: walletService.generateUniqueKey(share.walletType, null) }
+        });
+
+        if (!wallet || !wallet.isActive) {
+          throw new Error(`The general ${share.walletType} wallet is not available for the ${share.fund} remittance.`);
+        }
+
+        const amount = parseFloat(share.amount.toString());
+        WalletValidationService.validateWithdrawalAmount(wallet, amount);
+        WalletValidationService.validateWithdrawalDestination('BANK_TRANSFER', destinationAccount, null);
+        const policyEvaluation = await WalletValidationService.evaluateWithdrawalPolicy(tx, wallet, amount);
+
+        const timeStr = currentDate.toTimeString().slice(0, 8).replace(/:/g, '');
+        const withdrawalReference = `WD-${dateStr}-${timeStr}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+        await tx.withdrawalRequest.create({
+          data: {
+            withdrawalReference,
+            walletId: wallet.id,
+            amount,
+            purpose: `Conference ${share.fund} remittance ${periodLabel}`,
+            description: `${remittanceReference}: ${share.percentage}% of KES ${parseFloat(share.collected.toString()).toFixed(2)} ${share.fund} collected`,
+            requestedById: req.user.id,
+            withdrawalMethod: 'BANK_TRANSFER',
+            destinationAccount,
+            requiredApprovals: policyEvaluation.requiredApprovals,
+            currentApprovals: 0,
+            policySnapshot: policyEvaluation.policySnapshot,
+            status: 'PENDING',
+            remittanceId: remittance.id
+          }
+        });
+      }
+
+      return remittance.id;
+    }, {
+      maxWait: 10000,
+      timeout: 30000,
+      isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted
+    });
+
+    let remittance = await prisma.conferenceRemittance.findUnique({
+      where: { id: remittanceId },
+      include: remittanceInclude
+    });
+
+    // Statement generation failing should not undo the remittance; it can be regenerated on download
+    try {
+      const statementPath = await generateRemittanceStatement(remittance);
+      remittance = await prisma.conferenceRemittance.update({
+        where: { id: remittanceId },
+        data: { statementPath },
+        include: remittanceInclude
+      });
+    } catch (statementError) {
+      logger.error(`Failed to generate remittance statement for ${remittance.remittanceReference}: ${statementError.message}`);
+    }
+
+    await logAdminActivity('CREATE_REMITTANCE', remittance.id, req.user.id, {
+      reference: remittance.remittanceReference,
+      periodStart,
+      periodEnd,
+      totalAmount: parseFloat(remittance.totalAmount.toString()),
+      withdrawalReferences: remittance.withdrawalRequests.map(request => request.withdrawalReference)
+    });
+
+    logger.wallet(`Remittance ${remittance.remittanceReference} created for KES ${remittance.totalAmount}`);
+
+    return sendResponse(res, 201, true, { remittance: formatRemittance(remittance) },
+      'Remittance created. The withdrawal requests are awaiting approval.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error creating remittance', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, error.message || 'Server error creating remittance.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * List remittances, newest period first
+ */
+exports.getRemittances = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const where = status && status !== 'ALL' ? { status } : {};
+
+    const [remittances, total] = await Promise.all([
+      prisma.conferenceRemittance.findMany({
+        where,
+        include: remittanceInclude,
+        orderBy: { periodStart: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.conferenceRemittance.count({ where })
+    ]);
+
+    return sendResponse(res, 200, true, {
+      remittances: remittances.map(formatRemittance),
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      totalRemittances: total
+    }, 'Remittances retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting remittances', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving remittances.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get a remittance with its withdrawal requests
+ */
+exports.getRemittanceById = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const remittance = await prisma.conferenceRemittance.findUnique({
+      where: { id: parseInt(req.params.remittanceId) },
+      include: remittanceInclude
+    });
+
+    if (!remittance) {
+      return sendResponse(res, 404, false, null, 'Remittance not found.', { code: 'REMITTANCE_NOT_FOUND' });
+    }
+
+    return sendResponse(res, 200, true, { remittance: formatRemittance(remittance) }, 'Remittance retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting remittance', { error: error.message, remittanceId: req.params.remittanceId });
+    return sendResponse(res, 500, false, null, 'Server error retrieving remittance.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Download the remittance statement PDF (regenerated with current statuses)
+ */
+exports.downloadRemittanceStatement = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const remittance = await prisma.conferenceRemittance.findUnique({
+      where: { id: parseInt(req.params.remittanceId) },
+      include: remittanceInclude
+    });
+
+    if (!remittance) {
+      return sendResponse(res, 404, false, null, 'Remittance not found.', { code: 'REMITTANCE_NOT_FOUND' });
+    }
+
+    const statementPath = await generateRemittanceStatement(remittance);
+    if (statementPath !== remittance.statementPath) {
+      await prisma.conferenceRemittance.update({ where: { id: remittance.id }, data: { statementPath } });
+    }
+
+    const filepath = path.join(__dirname, '..', 'public', statementPath);
+    if (!fs.existsSync(filepath)) {
+      return sendResponse(res, 404, false, null, 'Remittance statement not found.', { code: 'STATEMENT_NOT_FOUND' });
+    }
+
+    return res.download(filepath, path.basename(filepath));
+
+  } catch (error) {
+    logger.error('Error downloading remittance statement', { error: error.message, remittanceId: req.params.remittanceId });
+    return sendResponse(res, 500, false, null, 'Server error generating remittance statement.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+module.exports = exports;
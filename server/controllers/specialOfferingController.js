@@ -1,12 +1,14 @@
 // server/controllers/specialOfferingController.js
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete, softDeleteData } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
 const { initiateMpesaPayment } = require('../utils/paymentUtils.js'); 
 const { generateReceiptNumber } = require('../utils/receiptUtils.js');
+const { computePlatformFee } = require('../utils/feeRules.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -89,6 +91,27 @@ const formatOfferingOutput = (offering) => {
   };
 };
 
+// Completed contributions to an offering: direct contributions plus split gift lines
+const getOfferingContributionTotal = async (offeringId) => {
+  const [contributions, giftLines] = await Promise.all([
+    prisma.payment.aggregate({
+      _sum: { amount: true },
+      where: { 
+        specialOfferingId: offeringId, 
+        status: 'COMPLETED', 
+        paymentType: 'SPECIAL_OFFERING_CONTRIBUTION'
+      },
+    }),
+    prisma.paymentLine.aggregate({
+      _sum: { amount: true },
+      where: { specialOfferingId: offeringId, payment: { status: 'COMPLETED' } },
+    })
+  ]);
+
+  return parseFloat((contributions._sum.amount || new Prisma.Decimal(0)).toString())
+    + parseFloat((giftLines._sum.amount || new Prisma.Decimal(0)).toString());
+};
+
 // Create a new special offering (Admin only)
 exports.createSpecialOffering = async (req, res) => {
   debugLog('Attempting to create special offering');
@@ -137,7 +160,7 @@ exports.createSpecialOffering = async (req, res) => {
       const randomPart = Math.random().toString(36).slice(2, 6).toUpperCase();
       offeringCode = `SO-${year}-${randomPart}`;
       
-      const existingByCode = await prisma.specialOffering.findUnique({ where: { offeringCode } });
+      const existingByCode = await prisma.specialOffering.findUnique({ where: { offeringCode, deletedAt: undefined } });
       if (!existingByCode) {
         isCodeUnique = true;
       }
@@ -224,17 +247,10 @@ exports.getAllSpecialOfferings = async (req, res) => {
 
     const offeringsWithProgress = await Promise.all(
       offerings.map(async (offering) => {
-        const contributions = await prisma.payment.aggregate({
-          _sum: { amount: true },
-          where: { 
-            specialOfferingId: offering.id, 
-            status: 'COMPLETED', 
-            paymentType: 'SPECIAL_OFFERING_CONTRIBUTION'
-          },
-        });
+        const contributedAmount = await getOfferingContributionTotal(offering.id);
         return {
           ...formatOfferingOutput(offering),
-          currentAmount: contributions._sum.amount ? parseFloat(contributions._sum.amount.toString()) : 0,
+          currentAmount: contributedAmount,
         };
       })
     );
@@ -271,18 +287,11 @@ exports.getSpecialOffering = async (req, res) => {
       return sendResponse(res, 404, false, null, 'Special offering not found.', { code: 'NOT_FOUND' });
     }
 
-    const contributions = await prisma.payment.aggregate({
-      _sum: { amount: true },
-      where: { 
-        specialOfferingId: offering.id, 
-        status: 'COMPLETED', 
-        paymentType: 'SPECIAL_OFFERING_CONTRIBUTION' 
-      },
-    });
+    const contributedAmount = await getOfferingContributionTotal(offering.id);
 
     const offeringWithProgress = {
       ...formatOfferingOutput(offering),
-      currentAmount: contributions._sum.amount ? parseFloat(contributions._sum.amount.toString()) : 0,
+      currentAmount: contributedAmount,
     };
 
     debugLog('Special offering retrieved successfully:', offering.name);
@@ -324,7 +333,7 @@ exports.updateSpecialOffering = async (req, res) => {
 
     // If offeringCode is being updated, check for its uniqueness
     if (offeringCode && offeringCode !== existingOffering.offeringCode) {
-      const checkCode = await prisma.specialOffering.findUnique({ where: { offeringCode } });
+      const checkCode = await prisma.specialOffering.findUnique({ where: { offeringCode, deletedAt: undefined } });
       if (checkCode && checkCode.id !== existingOffering.id) {
         return sendResponse(res, 400, false, null, `Offering code '${offeringCode}' is already in use.`, { code: 'DUPLICATE_OFFERING_CODE' });
       }
@@ -374,7 +383,10 @@ exports.deleteSpecialOffering = async (req, res) => {
 
     const offering = await prisma.specialOffering.findUnique({
       where: whereUnique,
-      include: { _count: { select: { contributions: { where: { status: 'COMPLETED' } } } } }
+      include: { _count: { select: {
+        contributions: { where: { status: 'COMPLETED' } },
+        giftLines: { where: { payment: { status: 'COMPLETED' } } }
+      } } }
     });
 
     if (!offering) {
@@ -382,7 +394,7 @@ exports.deleteSpecialOffering = async (req, res) => {
       return sendResponse(res, 404, false, null, 'Special offering not found.', { code: 'NOT_FOUND' });
     }
 
-    if (offering._count.contributions > 0) {
+    if (offering._count.contributions > 0 || offering._count.giftLines > 0) {
       debugLog(`Offering ${offering.name} has contributions, marking as inactive instead of deleting.`);
       const deactivatedOffering = await prisma.specialOffering.update({
         where: whereUnique,
@@ -393,11 +405,12 @@ exports.deleteSpecialOffering = async (req, res) => {
       return sendResponse(res, 200, true, { specialOffering: formatOfferingOutput(deactivatedOffering), statusMessage: 'deactivated' }, 'Special offering has contributions and has been marked as inactive.');
     }
 
-    // If no contributions, proceed with deletion
-    await prisma.specialOffering.delete({ where: whereUnique });
-    await logAdminActivity('DELETE_SPECIAL_OFFERING', offering.id, req.user.id, { name: offering.name });
-    debugLog('Special offering deleted successfully:', offering.name);
-    return sendResponse(res, 200, true, { id: offering.id, offeringCode: offering.offeringCode, statusMessage: 'deleted' }, 'Special offering deleted successfully.');
+    // If no contributions, move it to the trash (restorable until purged)
+    const { reason } = req.body || {};
+    await prisma.specialOffering.update({ where: { id: offering.id }, data: softDeleteData(req.user.id, reason) });
+    await logAdminActivity('DELETE_SPECIAL_OFFERING', offering.id, req.user.id, { name: offering.name, reason: reason || null });
+    debugLog('Special offering moved to trash:', offering.name);
+    return sendResponse(res, 200, true, { id: offering.id, offeringCode: offering.offeringCode, statusMessage: 'deleted' }, 'Special offering moved to trash.');
 
   } catch (error) {
     debugLog('Error deleting special offering:', error.message);
@@ -430,7 +443,7 @@ exports.makePaymentToOffering = async (req, res) => {
         };
       }
 
-      const { amount, description, paymentMethod = 'MPESA' } = req.body;
+      const { amount, description, paymentMethod = 'MPESA', isAnonymous = false } = req.body;
       const userId = req.user.id;
 
       if (!amount || parseFloat(amount) <= 0) {
@@ -473,6 +486,7 @@ exports.makePaymentToOffering = async (req, res) => {
       const paymentAmount = parseFloat(amount);
       let mpesaResponseDetails = null;
       let paymentStatus = 'PENDING';
+      let fee = null;
 
       if (paymentMethod === 'MPESA') {
         const userPhone = req.body.phoneNumber || req.user.phone;
@@ -486,16 +500,18 @@ exports.makePaymentToOffering = async (req, res) => {
           };
         }
         
-        let platformFee = 5;
-        if (paymentAmount > 500) {
-          platformFee = Math.max(5, parseFloat((paymentAmount * 0.01).toFixed(2)));
-        }
+        fee = await computePlatformFee({
+          amount: paymentAmount,
+          paymentMethod,
+          paymentType: 'SPECIAL_OFFERING_CONTRIBUTION',
+          client: tx
+        });
 
         const tempPaymentId = `SO_CONTRIB_${Date.now()}`;
         
         mpesaResponseDetails = await initiateMpesaPayment(
           tempPaymentId,
-          paymentAmount, 
+          fee.chargeAmount, 
           userPhone,
           description || `SO: ${specialOffering.name}`.substring(0, 13)
         );
@@ -524,7 +540,10 @@ exports.makePaymentToOffering = async (req, res) => {
         processedById: req.user.isAdmin && paymentMethod === 'MANUAL' ? req.user.id : null,
         reference: paymentMethod === 'MPESA' ? mpesaResponseDetails?.reference : null,
         transactionId: paymentMethod === 'MPESA' ? mpesaResponseDetails?.transactionId : null,
-        platformFee: paymentMethod === 'MPESA' ? (mpesaResponseDetails?.platformFee || 0) : 0,
+        platformFee: fee ? fee.platformFee : 0,
+        feeBearer: fee ? fee.feeBearer : 'CHURCH',
+        feeRuleId: fee ? fee.feeRuleId : null,
+        isAnonymous: isAnonymous === true,
         isTemplate: false
       };
 
@@ -566,7 +585,9 @@ exports.makePaymentToOffering = async (req, res) => {
     // Success outside transaction
     return sendResponse(res, 201, true, { 
       paymentId: transactionResult.payment.id, 
-      mpesaCheckoutID: transactionResult.mpesaCheckoutID 
+      mpesaCheckoutID: transactionResult.mpesaCheckoutID,
+      platformFee: parseFloat(transactionResult.payment.platformFee.toString()),
+      feeBearer: transactionResult.payment.feeBearer
     }, transactionResult.message);
 
   } catch (error) {
@@ -594,16 +615,7 @@ exports.getSpecialOfferingProgress = async (req, res) => {
       return sendResponse(res, 404, false, null, 'Special offering not found.', { code: 'NOT_FOUND' });
     }
 
-    const contributions = await prisma.payment.aggregate({
-      _sum: { amount: true },
-      where: { 
-        specialOfferingId: offering.id, 
-        status: 'COMPLETED', 
-        paymentType: 'SPECIAL_OFFERING_CONTRIBUTION' 
-      },
-    });
-
-    const totalContributed = contributions._sum.amount ? parseFloat(contributions._sum.amount.toString()) : 0;
+    const totalContributed = await getOfferingContributionTotal(offering.id);
     const targetGoal = offering.targetAmount ? parseFloat(offering.targetAmount.toString()) : 0;
     
     let percentage = 0;
@@ -615,6 +627,15 @@ exports.getSpecialOfferingProgress = async (req, res) => {
     
     const remainingAmount = targetGoal > 0 ? Math.max(0, targetGoal - totalContributed) : 0;
 
+    // Latest gifts for the public progress page. This route needs no login and givers never agreed
+    // to be named on it, so gifts are listed by amount and date only.
+    const recentPayments = await prisma.payment.findMany({
+      where: { specialOfferingId: offering.id, status: 'COMPLETED', isExpense: false, isTemplate: false },
+      orderBy: { paymentDate: 'desc' },
+      take: 10,
+      select: { amount: true, paymentDate: true }
+    });
+
     const progressData = {
       offeringId: offering.id,
       offeringCode: offering.offeringCode,
@@ -622,7 +643,11 @@ exports.getSpecialOfferingProgress = async (req, res) => {
       targetGoal: targetGoal,
       totalContributed: totalContributed,
       percentage: parseFloat(percentage.toFixed(2)),
-      remainingAmount: parseFloat(remainingAmount.toFixed(2))
+      remainingAmount: parseFloat(remainingAmount.toFixed(2)),
+      recentContributions: recentPayments.map(payment => ({
+        amount: parseFloat(payment.amount.toString()),
+        date: payment.paymentDate
+      }))
     };
     
     debugLog('Special offering progress retrieved:', progressData);
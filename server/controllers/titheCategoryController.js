@@ -0,0 +1,233 @@
+// server/controllers/titheCategoryController.js - Tithe distribution categories managed by admins
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { getTitheCategories, invalidateTitheCategoryCache } = require('../utils/titheCategories.js');
+const WalletService = require('../utils/walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+// Make sure a TITHE wallet exists for the category (wallets are never removed, so history is kept)
+const ensureCategoryWallet = async (tx, code) => {
+  const uniqueKey = walletService.generateUniqueKey('TITHE', code);
+  await tx.wallet.upsert({
+    where: { uniqueKey },
+    update: { isActive: true },
+    create: {
+      walletType: 'TITHE',
+      subType: code,
+      uniqueKey,
+      balance: new Prisma.Decimal(0),
+      totalDeposits: new Prisma.Decimal(0),
+      totalWithdrawals: new Prisma.Decimal(0),
+      isActive: true,
+      lastUpdated: new Date()
+    }
+  });
+};
+
+/**
+ * Get tithe categories in display order.
+ * Retired categories are only included for admins who ask for them.
+ */
+exports.getTitheCategories = async (req, res) => {
+  try {
+    const includeInactive = req.user?.isAdmin && req.query.includeInactive === 'true';
+    const categories = await getTitheCategories({ includeInactive });
+
+    return sendResponse(res, 200, true, { categories }, 'Tithe categories retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting tithe categories', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error retrieving tithe categories.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Create a tithe category and its TITHE wallet
+ */
+exports.createTitheCategory = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage tithe categories.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const { code, displayName, description, sortOrder } = req.body;
+
+    const existing = await prisma.titheCategory.findUnique({ where: { code } });
+    if (existing) {
+      return sendResponse(res, 409, false, null, `A tithe category with code '${code}' already exists.`, {
+        code: 'TITHE_CATEGORY_EXISTS'
+      });
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const created = await tx.titheCategory.create({
+        data: {
+          code,
+          displayName,
+          description: description || null,
+          sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : 0,
+          updatedById: req.user.id
+        }
+      });
+      await ensureCategoryWallet(tx, code);
+      return created;
+    });
+
+    invalidateTitheCategoryCache();
+    await logAdminActivity('CREATE_TITHE_CATEGORY', category.id, req.user.id, { code, displayName });
+    logger.wallet(`Tithe category ${code} created by ${req.user.username}`);
+
+    return sendResponse(res, 201, true, { category }, 'Tithe category created successfully.');
+
+  } catch (error) {
+    logger.error('Error creating tithe category', { error: error.message });
+    return sendResponse(res, 500, false, null, 'Server error creating tithe category.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Update a tithe category's display name, description, order or active flag.
+ * The code is immutable because stored distributions and wallets are keyed by it.
+ */
+exports.updateTitheCategory = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage tithe categories.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const categoryId = parseInt(req.params.categoryId);
+    const { displayName, description, sortOrder, isActive } = req.body;
+
+    const existing = await prisma.titheCategory.findUnique({ where: { id: categoryId } });
+    if (!existing) {
+      return sendResponse(res, 404, false, null, 'Tithe category not found.', { code: 'TITHE_CATEGORY_NOT_FOUND' });
+    }
+
+    const data = { updatedById: req.user.id };
+    if (displayName !== undefined) data.displayName = displayName;
+    if (description !== undefined) data.description = description || null;
+    if (sortOrder !== undefined) data.sortOrder = parseInt(sortOrder);
+    if (isActive !== undefined) {
+      data.isActive = isActive;
+      data.retiredAt = isActive ? null : (existing.retiredAt || new Date());
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const updated = await tx.titheCategory.update({ where: { id: categoryId }, data });
+      if (updated.isActive) {
+        await ensureCategoryWallet(tx, updated.code);
+      }
+      return updated;
+    });
+
+    invalidateTitheCategoryCache();
+    await logAdminActivity('UPDATE_TITHE_CATEGORY', categoryId, req.user.id, { code: existing.code, changes: req.body });
+
+    return sendResponse(res, 200, true, { category }, 'Tithe category updated successfully.');
+
+  } catch (error) {
+    logger.error('Error updating tithe category', { error: error.message, categoryId: req.params.categoryId });
+    return sendResponse(res, 500, false, null, 'Server error updating tithe category.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Retire a tithe category. It stops accepting new distributions but is never deleted,
+ * so past payments, receipts and its wallet keep their history.
+ */
+exports.retireTitheCategory = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot manage tithe categories.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const categoryId = parseInt(req.params.categoryId);
+    const existing = await prisma.titheCategory.findUnique({ where: { id: categoryId } });
+    if (!existing) {
+      return sendResponse(res, 404, false, null, 'Tithe category not found.', { code: 'TITHE_CATEGORY_NOT_FOUND' });
+    }
+    if (!existing.isActive) {
+      return sendResponse(res, 400, false, null, 'Tithe category is already retired.', { code: 'TITHE_CATEGORY_RETIRED' });
+    }
+
+    const category = await prisma.titheCategory.update({
+      where: { id: categoryId },
+      data: { isActive: false, retiredAt: new Date(), updatedById: req.user.id }
+    });
+
+    invalidateTitheCategoryCache();
+    await logAdminActivity('RETIRE_TITHE_CATEGORY', categoryId, req.user.id, { code: existing.code });
+    logger.wallet(`Tithe category ${existing.code} retired by ${req.user.username}`);
+
+    return sendResponse(res, 200, true, { category }, 'Tithe category retired. Existing payments and its wallet are kept.');
+
+  } catch (error) {
+    logger.error('Error retiring tithe category', { error: error.message, categoryId: req.params.categoryId });
+    return sendResponse(res, 500, false, null, 'Server error retiring tithe category.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,250 @@
+// server/controllers/totpController.js - Approver authenticator (TOTP) enrollment
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyApproverCode
+} = require('../utils/totpUtils.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Get the current admin's authenticator enrollment status
+ */
+exports.getTotpStatus = async (req, res) => {
+  try {
+    const credential = await prisma.totpCredential.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    return sendResponse(res, 200, true, {
+      enrolled: !!credential?.isVerified,
+      pendingEnrollment: !!credential && !credential.isVerified,
+      verifiedAt: credential?.verifiedAt || null,
+      recoveryCodesRemaining: Array.isArray(credential?.recoveryCodes) ? credential.recoveryCodes.length : 0
+    }, 'Authenticator status retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting TOTP status', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error retrieving authenticator status.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Start authenticator enrollment: issue a new secret with an otpauth URI and QR code
+ */
+exports.startTotpEnrollment = async (req, res) => {
+  try {
+    logger.wallet('TOTP enrollment attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot approve withdrawals.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const existing = await prisma.totpCredential.findUnique({ where: { userId: req.user.id } });
+    if (existing?.isVerified) {
+      return sendResponse(res, 409, false, null, 'An authenticator is already enrolled. Disable it before enrolling a new one.', {
+        code: 'TOTP_ALREADY_ENROLLED'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUri = buildOtpauthUri(secret, req.user.username);
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri);
+
+    await prisma.totpCredential.upsert({
+      where: { userId: req.user.id },
+      update: {
+        secret: encryptSecret(secret),
+        isVerified: false,
+        verifiedAt: null,
+        lastUsedStep: null,
+        recoveryCodes: null
+      },
+      create: {
+        userId: req.user.id,
+        secret: encryptSecret(secret),
+        isVerified: false
+      }
+    });
+
+    return sendResponse(res, 200, true, {
+      secret,
+      otpauthUri,
+      qrCodeDataUrl
+    }, 'Scan the QR code with your authenticator app, then confirm with a code to finish enrollment.');
+
+  } catch (error) {
+    logger.error('Error starting TOTP enrollment', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error starting authenticator enrollment.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a first valid code; returns one-time recovery codes
+ */
+exports.confirmTotpEnrollment = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const credential = await prisma.totpCredential.findUnique({ where: { userId: req.user.id } });
+    if (!credential) {
+      return sendResponse(res, 404, false, null, 'No authenticator enrollment in progress.', { code: 'TOTP_NOT_STARTED' });
+    }
+    if (credential.isVerified) {
+      return sendResponse(res, 409, false, null, 'Authenticator is already enrolled.', { code: 'TOTP_ALREADY_ENROLLED' });
+    }
+
+    const matchedStep = verifyTotp(decryptSecret(credential.secret), req.body.code);
+    if (matchedStep === null) {
+      return sendResponse(res, 400, false, null, 'Invalid authenticator code.', { code: 'INVALID_TOTP_CODE' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.totpCredential.update({
+      where: { id: credential.id },
+      data: {
+        isVerified: true,
+        verifiedAt: new Date(),
+        lastUsedStep: matchedStep,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+      }
+    });
+
+    await logAdminActivity('TOTP_ENROLLED', req.user.id, req.user.id, { username: req.user.username });
+    logger.wallet(`Authenticator enrolled for user ${req.user.username}`);
+
+    return sendResponse(res, 200, true, { recoveryCodes },
+      'Authenticator enrolled. Store these recovery codes somewhere safe; they will not be shown again.');
+
+  } catch (error) {
+    logger.error('Error confirming TOTP enrollment', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error confirming authenticator enrollment.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Regenerate recovery codes (requires a current authenticator code)
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await verifyApproverCode(tx, req.user.id, { totpCode: req.body.code });
+
+      const codes = generateRecoveryCodes();
+      await tx.totpCredential.update({
+        where: { userId: req.user.id },
+        data: { recoveryCodes: codes.map(hashRecoveryCode) }
+      });
+      return codes;
+    });
+
+    await logAdminActivity('TOTP_RECOVERY_CODES_REGENERATED', req.user.id, req.user.id, {});
+
+    return sendResponse(res, 200, true, { recoveryCodes },
+      'Recovery codes regenerated. Previous codes no longer work.');
+
+  } catch (error) {
+    logger.error('Error regenerating recovery codes', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 400, false, null, error.message || 'Could not regenerate recovery codes.', {
+      code: 'TOTP_VERIFICATION_FAILED',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Remove the current admin's authenticator (requires a code or recovery code)
+ */
+exports.disableTotp = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    await prisma.$transaction(async (tx) => {
+      await verifyApproverCode(tx, req.user.id, {
+        totpCode: req.body.code,
+        recoveryCode: req.body.recoveryCode
+      });
+      await tx.totpCredential.delete({ where: { userId: req.user.id } });
+    });
+
+    await logAdminActivity('TOTP_DISABLED', req.user.id, req.user.id, { username: req.user.username });
+    logger.wallet(`Authenticator removed for user ${req.user.username}`);
+
+    return sendResponse(res, 200, true, null, 'Authenticator removed. You cannot approve withdrawals until you enroll again.');
+
+  } catch (error) {
+    logger.error('Error disabling TOTP', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 400, false, null, error.message || 'Could not remove authenticator.', {
+      code: 'TOTP_VERIFICATION_FAILED',
+      details: error.message
+    });
+  }
+};
+
+module.exports = exports;
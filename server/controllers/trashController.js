@@ -0,0 +1,379 @@
+// server/controllers/trashController.js - Admin trash: soft-deleted records, restore and purge
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete, RESTORE_DATA } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { assertPeriodOpen } = require('../utils/accountingPeriods.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Standardized response helper
+const sendResponse = (res, statusCode, success, data, message, errorDetails = null) => {
+  const responsePayload = { success, message };
+  if (data !== null && data !== undefined) {
+    responsePayload.data = data;
+  }
+  if (errorDetails) {
+    responsePayload.error = errorDetails;
+  }
+  return res.status(statusCode).json(responsePayload);
+};
+
+// Log Admin Activity (non-blocking)
+const logAdminActivity = async (actionType, targetId, initiatedBy, actionData = {}) => {
+  setImmediate(async () => {
+    try {
+      await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId: String(targetId),
+          initiatedById: initiatedBy,
+          actionData,
+          status: 'COMPLETED',
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to log admin activity ${actionType}: ${error.message}`);
+    }
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    sendResponse(res, 400, false, null, 'Validation failed', {
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+    });
+    return true;
+  }
+  return false;
+};
+
+const deletedBySelect = { select: { id: true, username: true, fullName: true } };
+
+// Trash types: URL segment -> Prisma model and the fields listed for each deleted row
+const TRASH_TYPES = {
+  users: {
+    model: 'user',
+    label: 'User',
+    select: { id: true, username: true, fullName: true, phone: true, email: true, memberNumber: true }
+  },
+  payments: {
+    model: 'payment',
+    label: 'Payment',
+    select: {
+      id: true, amount: true, paymentType: true, paymentMethod: true, status: true, paymentDate: true,
+      receiptNumber: true, batchPaymentId: true, user: { select: { id: true, username: true, fullName: true } }
+    }
+  },
+  receipts: {
+    model: 'receipt',
+    label: 'Receipt',
+    select: {
+      id: true, receiptNumber: true, receiptDate: true, paymentId: true, isVoid: true,
+      user: { select: { id: true, username: true, fullName: true } }
+    }
+  },
+  specialOfferings: {
+    model: 'specialOffering',
+    label: 'Special offering',
+    select: { id: true, offeringCode: true, name: true, startDate: true, endDate: true, targetAmount: true }
+  },
+  batchPayments: {
+    model: 'batchPayment',
+    label: 'Batch payment',
+    select: { id: true, batchReference: true, status: true, totalAmount: true, totalCount: true, description: true }
+  }
+};
+
+const notInTrash = (label) => ({
+  statusCode: 404,
+  message: `${label} not found in the trash.`,
+  errorDetails: { code: 'NOT_IN_TRASH' }
+});
+
+// Load a soft-deleted row of a trash type, or throw NOT_IN_TRASH
+const findDeleted = async (client, trashType, id) => {
+  const record = await client[trashType.model].findFirst({ where: { id, deletedAt: { not: null } } });
+  if (!record) {
+    throw notInTrash(trashType.label);
+  }
+  return record;
+};
+
+/**
+ * Get trash contents
+ * Without a type, returns the number of deleted rows per type.
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { type } = req.query;
+
+    if (!type) {
+      const counts = {};
+      for (const [key, trashType] of Object.entries(TRASH_TYPES)) {
+        counts[key] = await prisma[trashType.model].count({ where: { deletedAt: { not: null } } });
+      }
+      return sendResponse(res, 200, true, { counts }, 'Trash summary retrieved successfully.');
+    }
+
+    const trashType = TRASH_TYPES[type];
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const where = { deletedAt: { not: null } };
+
+    const [items, total] = await Promise.all([
+      prisma[trashType.model].findMany({
+        where,
+        select: { ...trashType.select, deletedAt: true, deleteReason: true, deletedBy: deletedBySelect },
+        orderBy: { deletedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma[trashType.model].count({ where }),
+    ]);
+
+    return sendResponse(res, 200, true, {
+      type,
+      items,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      totalItems: total,
+    }, 'Trash retrieved successfully.');
+  } catch (error) {
+    logger.error('Error fetching trash', { error: error.message, type: req.query.type });
+    return sendResponse(res, 500, false, null, 'Server error fetching trash.', { code: 'SERVER_ERROR', details: error.message });
+  }
+};
+
+/**
+ * Restore a soft-deleted record
+ * Rows deleted together with it (a payment's receipt, a batch's payments) are restored with it.
+ */
+exports.restoreRecord = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot restore records.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const { type } = req.params;
+    const id = parseInt(req.params.id);
+    const trashType = TRASH_TYPES[type];
+
+    const restored = await prisma.$transaction(async (tx) => {
+      const record = await findDeleted(tx, trashType, id);
+      const related = {};
+
+      switch (type) {
+        case 'users':
+          await tx.user.update({ where: { id }, data: { ...RESTORE_DATA, isActive: true } });
+          break;
+
+        case 'payments': {
+          if (record.batchPaymentId) {
+            const batch = await tx.batchPayment.findFirst({
+              where: { id: record.batchPaymentId, deletedAt: { not: null } },
+              select: { batchReference: true }
+            });
+            if (batch) {
+              throw {
+                statusCode: 409,
+                message: `Payment belongs to deleted batch ${batch.batchReference}; restore the batch instead.`,
+                errorDetails: { code: 'PARENT_DELETED', batchPaymentId: record.batchPaymentId }
+              };
+            }
+          }
+          await assertPeriodOpen(tx, record.paymentDate, 'restore payments');
+          const receipts = await tx.receipt.updateMany({
+            where: { paymentId: id, deletedAt: record.deletedAt },
+            data: RESTORE_DATA
+          });
+          await tx.payment.update({ where: { id }, data: RESTORE_DATA });
+          related.receipts = receipts.count;
+          break;
+        }
+
+        case 'receipts': {
+          const payment = await tx.payment.findFirst({
+            where: { id: record.paymentId, deletedAt: { not: null } },
+            select: { id: true }
+          });
+          if (payment) {
+            throw {
+              statusCode: 409,
+              message: `Receipt belongs to deleted payment ${record.paymentId}; restore the payment instead.`,
+              errorDetails: { code: 'PARENT_DELETED', paymentId: record.paymentId }
+            };
+          }
+          await tx.receipt.update({ where: { id }, data: RESTORE_DATA });
+          break;
+        }
+
+        case 'specialOfferings':
+          await tx.specialOffering.update({ where: { id }, data: RESTORE_DATA });
+          break;
+
+        case 'batchPayments': {
+          const payments = await tx.payment.findMany({
+            where: { batchPaymentId: id, deletedAt: record.deletedAt },
+            select: { id: true }
+          });
+          const paymentIds = payments.map(payment => payment.id);
+          const receipts = await tx.receipt.updateMany({
+            where: { paymentId: { in: paymentIds }, deletedAt: record.deletedAt },
+            data: RESTORE_DATA
+          });
+          await tx.payment.updateMany({ where: { id: { in: paymentIds } }, data: RESTORE_DATA });
+          await tx.batchPayment.update({ where: { id }, data: RESTORE_DATA });
+          related.payments = paymentIds.length;
+          related.receipts = receipts.count;
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      return related;
+    });
+
+    await logAdminActivity('RESTORE_RECORD', `${type}:${id}`, req.user.id, { type, id, related: restored });
+
+    return sendResponse(res, 200, true, { type, id, related: restored }, `${trashType.label} restored from trash.`);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error restoring record', { error: error.message, type: req.params.type, id: req.params.id });
+    return sendResponse(res, 500, false, null, 'Server error restoring record.', { code: 'SERVER_ERROR', details: error.message });
+  }
+};
+
+/**
+ * Permanently delete a record that is already in the trash (replayed after multi-admin approval)
+ * Refuses records that other financial data still depends on.
+ */
+exports.purgeRecord = async (req, res) => {
+  try {
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot purge records.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+    if (validationFailed(req, res)) return;
+
+    const { type } = req.params;
+    const id = parseInt(req.params.id);
+    const trashType = TRASH_TYPES[type];
+
+    const purged = await prisma.$transaction(async (tx) => {
+      const record = await findDeleted(tx, trashType, id);
+
+      switch (type) {
+        case 'users': {
+          // deletedAt: undefined counts trashed records too; those must be purged first.
+          // Withdrawals and admin actions are the audit trail and are never purged.
+          const [payments, receipts, withdrawalRequests, withdrawalApprovals, adminActions, adminActionApprovals] = await Promise.all([
+            tx.payment.count({ where: { userId: id, deletedAt: undefined } }),
+            tx.receipt.count({ where: { userId: id, deletedAt: undefined } }),
+            tx.withdrawalRequest.count({ where: { requestedById: id } }),
+            tx.withdrawalApproval.count({ where: { approvedById: id } }),
+            tx.adminAction.count({ where: { initiatedById: id } }),
+            tx.adminActionApproval.count({ where: { adminId: id } }),
+          ]);
+          if (payments > 0 || receipts > 0) {
+            throw {
+              statusCode: 409,
+              message: `User has ${payments} payment(s) and ${receipts} receipt(s) and cannot be purged. Keep the user in the trash instead.`,
+              errorDetails: { code: 'USER_HAS_FINANCIAL_RECORDS', payments, receipts }
+            };
+          }
+          if (withdrawalRequests + withdrawalApprovals + adminActions + adminActionApprovals > 0) {
+            throw {
+              statusCode: 409,
+              message: 'User has requested or approved withdrawals or admin actions and cannot be purged. Keep the user in the trash instead.',
+              errorDetails: { code: 'USER_HAS_AUDIT_RECORDS', withdrawalRequests, withdrawalApprovals, adminActions, adminActionApprovals }
+            };
+          }
+          await tx.user.delete({ where: { id } });
+          break;
+        }
+
+        case 'payments': {
+          const ledgerEntries = await tx.walletLedgerEntry.count({ where: { paymentId: id } });
+          if (ledgerEntries > 0) {
+            throw {
+              statusCode: 409,
+              message: 'Payment has been posted to wallets and cannot be purged.',
+              errorDetails: { code: 'PAYMENT_POSTED_TO_WALLETS', ledgerEntries }
+            };
+          }
+          await assertPeriodOpen(tx, record.paymentDate, 'purge payments');
+          await tx.receipt.deleteMany({ where: { paymentId: id } });
+          await tx.payment.delete({ where: { id } });
+          break;
+        }
+
+        case 'receipts':
+          await tx.receipt.delete({ where: { id } });
+          break;
+
+        case 'specialOfferings': {
+          const contributions = await tx.payment.count({ where: { specialOfferingId: id, deletedAt: undefined } });
+          if (contributions > 0) {
+            throw {
+              statusCode: 409,
+              message: `Special offering has ${contributions} contribution(s) and cannot be purged.`,
+              errorDetails: { code: 'OFFERING_HAS_CONTRIBUTIONS', contributions }
+            };
+          }
+          await tx.specialOffering.delete({ where: { id } });
+          break;
+        }
+
+        case 'batchPayments': {
+          // Cancelled batches never reach the wallets, so their payments go with them
+          const payments = await tx.payment.findMany({
+            where: { batchPaymentId: id, deletedAt: { not: null } },
+            select: { id: true }
+          });
+          const paymentIds = payments.map(payment => payment.id);
+          await tx.receipt.deleteMany({ where: { paymentId: { in: paymentIds } } });
+          await tx.payment.deleteMany({ where: { id: { in: paymentIds } } });
+          await tx.batchPayment.delete({ where: { id } });
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      return record;
+    });
+
+    await logAdminActivity('PURGE_RECORD_COMPLETED', `${type}:${id}`, req.user.id, {
+      type,
+      id,
+      deletedAt: purged.deletedAt,
+      deleteReason: purged.deleteReason,
+      adminActionId: req.adminAction ? req.adminAction.id : null
+    });
+
+    return sendResponse(res, 200, true, { type, id }, `${trashType.label} permanently deleted.`);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2003') {
+      return sendResponse(res, 409, false, null, 'Record is still referenced by other records and cannot be purged.', {
+        code: 'RECORD_IN_USE',
+        details: error.meta
+      });
+    }
+    logger.error('Error purging record', { error: error.message, type: req.params.type, id: req.params.id });
+    return sendResponse(res, 500, false, null, 'Server error purging record.', { code: 'SERVER_ERROR', details: error.message });
+  }
+};
@@ -1,14 +1,19 @@
 // server/controllers/walletController.js - ENHANCED PRODUCTION VERSION
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 const { validationResult } = require('express-validator');
 const { logger } = require('../config/logger');
 const path = require('path');
 const crypto = require('crypto');
 const { initiateKcbWithdrawal } = require('../utils/kcbPaymentUtils.js');
-const { isViewOnlyAdmin } = require('../middlewares/auth.js');
+const { isViewOnlyAdmin, hasAnyRole } = require('../middlewares/auth.js');
+const { verifyApproverCode } = require('../utils/totpUtils.js');
+const { notifyWithdrawalParticipants } = require('../utils/notificationUtils.js');
+const { syncRemittanceStatus } = require('../utils/remittanceUtils.js');
+const { assertPeriodOpen } = require('../utils/accountingPeriods.js');
 const WalletService = require('../utils/walletService.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 const walletService = new WalletService();
 
 // Standardized response helper
@@ -94,7 +99,7 @@ exports.initializeWallets = async (req, res) => {
 };
 
 /**
- * Recalculate wallet balances from all completed payments
+ * Recalculate wallet balances from the wallet ledger
  */
 exports.recalculateWalletBalances = async (req, res) => {
   try {
@@ -307,13 +312,11 @@ exports.createWithdrawalRequest = async (req, res) => {
       WalletValidationService.validateWithdrawalAmount(wallet, withdrawalAmount);
       WalletValidationService.validateWithdrawalDestination(withdrawalMethod, destinationAccount, destinationPhone);
       
-      // Business hours validation (if enforced)
-      if (process.env.ENFORCE_BUSINESS_HOURS === 'true') {
-        WalletValidationService.validateBusinessHours();
-      }
+      // Withdrawal policy: allowed hours, daily/monthly caps and approval tier for this wallet type
+      const policyEvaluation = await WalletValidationService.evaluateWithdrawalPolicy(tx, wallet, withdrawalAmount);
       
-      // Daily withdrawal limit validation (if enforced)
-      if (process.env.ENFORCE_DAILY_LIMITS === 'true') {
+      // Legacy per-requester daily limit (only when no policy is configured)
+      if (policyEvaluation.enforceLegacyDailyLimit) {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const tomorrow = new Date(today);
@@ -322,6 +325,7 @@ exports.createWithdrawalRequest = async (req, res) => {
         const todaysWithdrawals = await tx.withdrawalRequest.findMany({
           where: {
             requestedById: req.user.id,
+            requestType: 'WITHDRAWAL',
             createdAt: {
               gte: today,
               lt: tomorrow
@@ -354,8 +358,9 @@ exports.createWithdrawalRequest = async (req, res) => {
           withdrawalMethod,
           destinationAccount: destinationAccount ? destinationAccount.trim() : null,
           destinationPhone: destinationPhone ? destinationPhone.trim() : null,
-          requiredApprovals: parseInt(process.env.REQUIRED_WITHDRAWAL_APPROVALS || '3'),
+          requiredApprovals: policyEvaluation.requiredApprovals,
           currentApprovals: 0,
+          policySnapshot: policyEvaluation.policySnapshot,
           status: 'PENDING'
         },
         include: {
@@ -376,7 +381,9 @@ exports.createWithdrawalRequest = async (req, res) => {
       walletType: result.wallet.walletType,
       walletSubType: result.wallet.subType,
       reference: result.withdrawalReference,
-      method: result.withdrawalMethod
+      method: result.withdrawalMethod,
+      requiredApprovals: result.requiredApprovals,
+      policySource: result.policySnapshot?.source
     });
 
     logger.wallet(`Withdrawal request created: ${result.withdrawalReference} for amount ${result.amount}`);
@@ -401,6 +408,122 @@ exports.createWithdrawalRequest = async (req, res) => {
   }
 };
 
+/**
+ * Create an inter-wallet transfer request (approved through the withdrawal approval flow)
+ */
+exports.createTransferRequest = async (req, res) => {
+  try {
+    logger.wallet('Create Transfer Request attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot create transfer requests.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { sourceWalletId, destinationWalletId, amount, purpose, description } = req.body;
+
+    if (parseInt(sourceWalletId) === parseInt(destinationWalletId)) {
+      return sendResponse(res, 400, false, null, 'Source and destination wallets must be different.', { code: 'SAME_WALLET_TRANSFER' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const WalletValidationService = require('../utils/walletValidation.js');
+
+      const [sourceWallet, destinationWallet] = await Promise.all([
+        tx.wallet.findUnique({ where: { id: parseInt(sourceWalletId) } }),
+        tx.wallet.findUnique({ where: { id: parseInt(destinationWalletId) } })
+      ]);
+
+      if (!sourceWallet || !destinationWallet) {
+        throw new Error('Source or destination wallet not found.');
+      }
+
+      if (!sourceWallet.isActive || !destinationWallet.isActive) {
+        throw new Error('Cannot transfer to or from an inactive wallet.');
+      }
+
+      const transferAmount = parseFloat(amount);
+      WalletValidationService.validateWithdrawalAmount(sourceWallet, transferAmount);
+
+      // Approval tier, hours and approver roles come from the source wallet's withdrawal policy
+      const policyEvaluation = await WalletValidationService.evaluateWithdrawalPolicy(tx, sourceWallet, transferAmount, new Date(), 'TRANSFER');
+
+      const currentDate = new Date();
+      const dateStr = currentDate.toISOString().slice(0, 10).replace(/-/g, '');
+      const timeStr = currentDate.toTimeString().slice(0, 8).replace(/:/g, '');
+      const randomStr = crypto.randomBytes(4).toString('hex').toUpperCase();
+      const withdrawalReference = `TR-${dateStr}-${timeStr}-${randomStr}`;
+
+      return await tx.withdrawalRequest.create({
+        data: {
+          withdrawalReference,
+          requestType: 'TRANSFER',
+          walletId: sourceWallet.id,
+          destinationWalletId: destinationWallet.id,
+          amount: transferAmount,
+          purpose: purpose.trim(),
+          description: description ? description.trim() : null,
+          requestedById: req.user.id,
+          withdrawalMethod: 'INTERNAL_TRANSFER',
+          requiredApprovals: policyEvaluation.requiredApprovals,
+          currentApprovals: 0,
+          policySnapshot: policyEvaluation.policySnapshot,
+          status: 'PENDING'
+        },
+        include: {
+          wallet: true,
+          destinationWallet: true,
+          requester: { select: { id: true, username: true, fullName: true } },
+        },
+      });
+    }, {
+      maxWait: 10000,
+      timeout: 30000,
+      isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted
+    });
+
+    await logAdminActivity('CREATE_TRANSFER_REQUEST', result.id, req.user.id, {
+      amount: result.amount,
+      from: result.wallet.uniqueKey,
+      to: result.destinationWallet.uniqueKey,
+      reference: result.withdrawalReference,
+      requiredApprovals: result.requiredApprovals,
+      policySource: result.policySnapshot?.source
+    });
+
+    logger.wallet(`Transfer request created: ${result.withdrawalReference} for amount ${result.amount}`);
+
+    return sendResponse(res, 201, true, {
+      withdrawalRequest: {
+        ...result,
+        amount: parseFloat(result.amount.toString()),
+        wallet: {
+          ...result.wallet,
+          balance: parseFloat(result.wallet.balance.toString()),
+        },
+        destinationWallet: {
+          ...result.destinationWallet,
+          balance: parseFloat(result.destinationWallet.balance.toString()),
+        }
+      }
+    }, 'Transfer request created successfully. Awaiting approvals.');
+
+  } catch (error) {
+    logger.error('Error creating transfer request', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, error.message || 'Server error creating transfer request.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Approve withdrawal request with enhanced security
  */
@@ -408,8 +531,21 @@ exports.approveWithdrawalRequest = async (req, res) => {
   try {
     logger.wallet('Approve Withdrawal Request attempt started', { userId: req.user.id });
     
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot approve withdrawals.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
     const { withdrawalId } = req.params;
-    const { password, approvalMethod = 'PASSWORD', comment } = req.body;
+    const { totpCode, recoveryCode, comment } = req.body;
+    let approvalMethod = 'TOTP';
 
     const result = await prisma.$transaction(async (tx) => {
       const withdrawalRequest = await tx.withdrawalRequest.findUnique({
@@ -429,32 +565,31 @@ exports.approveWithdrawalRequest = async (req, res) => {
         throw new Error(`Withdrawal request is not pending approval: ${withdrawalRequest.status}`);
       }
 
+      await assertPeriodOpen(tx, withdrawalRequest.createdAt, 'approve withdrawal requests');
+
       // Check if user has already approved
       const existingApproval = withdrawalRequest.approvals.find(approval => approval.approvedById === req.user.id);
       if (existingApproval) {
         throw new Error('You have already approved this withdrawal request.');
       }
 
-      // Enhanced password validation
-      if (approvalMethod === 'PASSWORD') {
-        const requiredPasswords = [
-          process.env.WITHDRAWAL_PASSWORD_1,
-          process.env.WITHDRAWAL_PASSWORD_2,
-          process.env.WITHDRAWAL_PASSWORD_3,
-        ].filter(Boolean);
-
-        if (requiredPasswords.length === 0) {
-          throw new Error('Withdrawal approval passwords not configured.');
-        }
+      // Approver role restriction from the policy applied when the request was created
+      const approverRoles = withdrawalRequest.policySnapshot?.approverRoles;
+      if (Array.isArray(approverRoles) && approverRoles.length > 0 && !hasAnyRole(req.user, approverRoles)) {
+        throw new Error(`Only approvers with one of these roles can approve this withdrawal: ${approverRoles.join(', ')}`);
+      }
 
-        if (!requiredPasswords.includes(password)) {
-          logger.warn('Invalid withdrawal approval password attempt', { 
-            userId: req.user.id,
-            withdrawalId,
-            ipAddress: req.ip 
-          });
-          throw new Error('Invalid withdrawal approval password.');
-        }
+      // Per-approver authenticator verification (RFC 6238 TOTP or a single-use recovery code)
+      try {
+        ({ approvalMethod } = await verifyApproverCode(tx, req.user.id, { totpCode, recoveryCode }));
+      } catch (verificationError) {
+        logger.warn('Withdrawal approval authenticator check failed', {
+          userId: req.user.id,
+          withdrawalId,
+          ipAddress: req.ip,
+          reason: verificationError.message
+        });
+        throw verificationError;
       }
 
       // Create approval record
@@ -463,7 +598,7 @@ exports.approveWithdrawalRequest = async (req, res) => {
           withdrawalRequestId: parseInt(withdrawalId),
           approvedById: req.user.id,
           approved: true,
-          password: password ? 'VERIFIED' : null,
+          password: null,
           approvalMethod,
           comment: comment || null,
         },
@@ -515,6 +650,7 @@ exports.approveWithdrawalRequest = async (req, res) => {
           processed: true,
           withdrawal: processingResult.withdrawal,
           wallet: processingResult.wallet,
+          destinationWallet: processingResult.destinationWallet,
           kcbResponse: processingResult.kcbResponse
         };
       }
@@ -539,13 +675,18 @@ exports.approveWithdrawalRequest = async (req, res) => {
 
     const message = result.requiresMoreApprovals 
       ? `Approval recorded. ${result.requiredApprovals - result.currentApprovals} more approvals needed.`
-      : 'Withdrawal request fully approved and processed.';
+      : result.withdrawal?.requestType === 'TRANSFER'
+        ? 'Transfer request fully approved and processed.'
+        : 'Withdrawal request fully approved and processed.';
 
     logger.wallet(`Withdrawal approval processed: ${message}`, { withdrawalId });
     
     return sendResponse(res, 200, true, result, message);
 
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
     logger.error('Error approving withdrawal request', { 
       error: error.message, 
       userId: req.user.id,
@@ -558,6 +699,254 @@ exports.approveWithdrawalRequest = async (req, res) => {
   }
 };
 
+/**
+ * Reject (veto) a pending withdrawal request - a single approver's rejection is final
+ */
+exports.rejectWithdrawalRequest = async (req, res) => {
+  try {
+    logger.wallet('Reject Withdrawal Request attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot reject withdrawals.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { withdrawalId } = req.params;
+    const { reason } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const withdrawalRequest = await tx.withdrawalRequest.findUnique({
+        where: { id: parseInt(withdrawalId) }
+      });
+
+      if (!withdrawalRequest) {
+        throw new Error('Withdrawal request not found.');
+      }
+
+      if (withdrawalRequest.status !== 'PENDING') {
+        throw new Error(`Withdrawal request is not pending approval: ${withdrawalRequest.status}`);
+      }
+
+      if (withdrawalRequest.requestedById === req.user.id) {
+        throw new Error('You cannot reject your own withdrawal request. Cancel it instead.');
+      }
+
+      await assertPeriodOpen(tx, withdrawalRequest.createdAt, 'reject withdrawal requests');
+
+      const approverRoles = withdrawalRequest.policySnapshot?.approverRoles;
+      if (Array.isArray(approverRoles) && approverRoles.length > 0 && !hasAnyRole(req.user, approverRoles)) {
+        throw new Error(`Only approvers with one of these roles can reject this withdrawal: ${approverRoles.join(', ')}`);
+      }
+
+      const rejected = await tx.withdrawalRequest.update({
+        where: { id: withdrawalRequest.id },
+        data: {
+          status: 'REJECTED',
+          rejectedAt: new Date(),
+          rejectedById: req.user.id,
+          rejectionReason: reason.trim()
+        },
+        include: {
+          wallet: true,
+          requester: { select: { id: true, username: true, fullName: true } },
+          rejectedBy: { select: { id: true, username: true, fullName: true } }
+        }
+      });
+
+      if (rejected.remittanceId) {
+        await syncRemittanceStatus(tx, rejected.remittanceId);
+      }
+
+      return rejected;
+    }, {
+      maxWait: 10000,
+      timeout: 30000,
+      isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+    });
+
+    await logAdminActivity('REJECT_WITHDRAWAL_REQUEST', result.id, req.user.id, {
+      reference: result.withdrawalReference,
+      amount: parseFloat(result.amount.toString()),
+      reason: result.rejectionReason
+    });
+
+    setImmediate(() => notifyWithdrawalParticipants(
+      result.id,
+      'WITHDRAWAL_REJECTED',
+      `Withdrawal ${result.withdrawalReference} of KES ${parseFloat(result.amount.toString()).toFixed(2)} was rejected by ${req.user.fullName}. Reason: ${result.rejectionReason}`
+    ));
+
+    logger.wallet(`Withdrawal request rejected: ${result.withdrawalReference}`, { rejectedBy: req.user.id });
+
+    return sendResponse(res, 200, true, {
+      withdrawalRequest: {
+        ...result,
+        amount: parseFloat(result.amount.toString()),
+        wallet: {
+          ...result.wallet,
+          balance: parseFloat(result.wallet.balance.toString()),
+        }
+      }
+    }, 'Withdrawal request rejected.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error rejecting withdrawal request', {
+      error: error.message,
+      userId: req.user.id,
+      withdrawalId: req.params.withdrawalId
+    });
+    return sendResponse(res, 500, false, null, error.message || 'Server error rejecting withdrawal request.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a pending withdrawal request (requester only)
+ */
+exports.cancelWithdrawalRequest = async (req, res) => {
+  try {
+    logger.wallet('Cancel Withdrawal Request attempt started', { userId: req.user.id });
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { withdrawalId } = req.params;
+    const { reason } = req.body;
+
+    const withdrawalRequest = await prisma.withdrawalRequest.findUnique({
+      where: { id: parseInt(withdrawalId) }
+    });
+
+    if (!withdrawalRequest) {
+      return sendResponse(res, 404, false, null, 'Withdrawal request not found.', { code: 'WITHDRAWAL_NOT_FOUND' });
+    }
+
+    if (withdrawalRequest.requestedById !== req.user.id) {
+      return sendResponse(res, 403, false, null, 'Only the requester can cancel a withdrawal request.', { code: 'NOT_REQUESTER' });
+    }
+
+    await assertPeriodOpen(prisma, withdrawalRequest.createdAt, 'cancel withdrawal requests');
+
+    // Conditional update guards against a concurrent final approval
+    const cancelled = await prisma.withdrawalRequest.updateMany({
+      where: { id: withdrawalRequest.id, status: 'PENDING' },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date(),
+        rejectionReason: reason ? `Cancelled by requester: ${reason.trim()}` : 'Cancelled by requester'
+      }
+    });
+
+    if (cancelled.count === 0) {
+      return sendResponse(res, 400, false, null, `Withdrawal request is not pending approval: ${withdrawalRequest.status}`, { code: 'INVALID_WITHDRAWAL_STATUS' });
+    }
+
+    if (withdrawalRequest.remittanceId) {
+      await syncRemittanceStatus(prisma, withdrawalRequest.remittanceId);
+    }
+
+    await logAdminActivity('CANCEL_WITHDRAWAL_REQUEST', withdrawalRequest.id, req.user.id, {
+      reference: withdrawalRequest.withdrawalReference,
+      reason: reason || null
+    });
+
+    setImmediate(() => notifyWithdrawalParticipants(
+      withdrawalRequest.id,
+      'WITHDRAWAL_CANCELLED',
+      `Withdrawal ${withdrawalRequest.withdrawalReference} of KES ${parseFloat(withdrawalRequest.amount.toString()).toFixed(2)} was cancelled by the requester.`
+    ));
+
+    logger.wallet(`Withdrawal request cancelled: ${withdrawalRequest.withdrawalReference}`);
+
+    return sendResponse(res, 200, true, {
+      withdrawalId: withdrawalRequest.id,
+      status: 'CANCELLED'
+    }, 'Withdrawal request cancelled.');
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, null, error.message, error.errorDetails);
+    }
+    logger.error('Error cancelling withdrawal request', {
+      error: error.message,
+      userId: req.user.id,
+      withdrawalId: req.params.withdrawalId
+    });
+    return sendResponse(res, 500, false, null, 'Server error cancelling withdrawal request.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Expire pending withdrawal requests older than WITHDRAWAL_EXPIRY_HOURS (also runs on a schedule)
+ */
+exports.expireWithdrawalRequests = async (req, res) => {
+  try {
+    logger.wallet('Expire Withdrawal Requests attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot expire withdrawals.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const expired = await expireAndNotifyWithdrawals();
+
+    await logAdminActivity('EXPIRE_WITHDRAWAL_REQUESTS', 'SYSTEM', req.user.id, {
+      expiredCount: expired.length,
+      references: expired.map(r => r.withdrawalReference)
+    });
+
+    return sendResponse(res, 200, true, {
+      expiredCount: expired.length,
+      expired: expired.map(r => ({ ...r, amount: parseFloat(r.amount.toString()) }))
+    }, `${expired.length} pending withdrawal request(s) expired.`);
+
+  } catch (error) {
+    logger.error('Error expiring withdrawal requests', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error expiring withdrawal requests.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Expire stale withdrawals and notify requesters and approvers (shared with the scheduler)
+ */
+const expireAndNotifyWithdrawals = async () => {
+  const maxAgeHours = parseInt(process.env.WITHDRAWAL_EXPIRY_HOURS || '72');
+  const expired = await walletService.expireStaleWithdrawalRequests(maxAgeHours);
+
+  for (const request of expired) {
+    await notifyWithdrawalParticipants(
+      request.id,
+      'WITHDRAWAL_EXPIRED',
+      `Withdrawal ${request.withdrawalReference} of KES ${parseFloat(request.amount.toString()).toFixed(2)} expired after ${maxAgeHours} hours without full approval.`
+    );
+  }
+
+  return expired;
+};
+exports.expireAndNotifyWithdrawals = expireAndNotifyWithdrawals;
+
 /**
  * Get withdrawal requests with enhanced filtering
  */
@@ -565,7 +954,7 @@ exports.getWithdrawalRequests = async (req, res) => {
   try {
     logger.wallet('Get Withdrawal Requests attempt started', { userId: req.user.id });
     
-    const { status, page = 1, limit = 20, walletType, startDate, endDate } = req.query;
+    const { status, page = 1, limit = 20, walletType, requestType, startDate, endDate } = req.query;
     const take = parseInt(limit);
     const skip = (parseInt(page) - 1) * take;
 
@@ -579,6 +968,10 @@ exports.getWithdrawalRequests = async (req, res) => {
         walletType: walletType
       };
     }
+
+    if (requestType && requestType !== 'ALL') {
+      whereConditions.requestType = requestType;
+    }
     
     if (startDate || endDate) {
       whereConditions.createdAt = {};
@@ -591,6 +984,7 @@ exports.getWithdrawalRequests = async (req, res) => {
         where: whereConditions,
         include: {
           wallet: true,
+          destinationWallet: { select: { id: true, walletType: true, subType: true, uniqueKey: true } },
           requester: { select: { id: true, username: true, fullName: true } },
           approvals: {
             include: {
@@ -645,64 +1039,37 @@ exports.getWithdrawalRequests = async (req, res) => {
 };
 
 /**
- * Get wallet transactions with proper error handling and pagination
+ * Get wallet transactions from the ledger with pagination
  */
 exports.getWalletTransactions = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
     const { walletId } = req.params;
-    const { page = 1, limit = 50, include = [] } = req.query;
-    
-    // Validate wallet exists
-    const wallet = await prisma.wallet.findUnique({
-      where: { id: parseInt(walletId) }
+    const { page = 1, limit = 20, startDate, endDate, transactionType } = req.query;
+
+    const history = await walletService.getWalletTransactionHistory(parseInt(walletId), {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      startDate,
+      endDate,
+      transactionType
     });
+
+    return sendResponse(res, 200, true, history, 'Wallet transactions retrieved successfully');
     
-    if (!wallet) {
+  } catch (error) {
+    if (error.message === 'Wallet not found') {
       return sendResponse(res, 404, false, null, 'Wallet not found', {
         code: 'WALLET_NOT_FOUND'
       });
     }
-    
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Build include object based on requested relations
-    const includeObj = {};
-    if (include.includes('specialOffering')) {
-      includeObj.specialOffering = true;
-    }
-    if (include.includes('payment')) {
-      includeObj.payment = true;
-    }
-    if (include.includes('withdrawal')) {
-      includeObj.withdrawal = true;
-    }
-    
-    // Get transactions with proper error handling
-    const [transactions, total] = await Promise.all([
-      prisma.walletTransaction.findMany({
-        where: { walletId: parseInt(walletId) },
-        include: includeObj,
-        orderBy: { createdAt: 'desc' },
-        skip,
-        take: parseInt(limit)
-      }),
-      prisma.walletTransaction.count({
-        where: { walletId: parseInt(walletId) }
-      })
-    ]);
-    
-    return sendResponse(res, 200, true, {
-      transactions,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      }
-    }, 'Wallet transactions retrieved successfully');
-    
-  } catch (error) {
     logger.error('Error getting wallet transactions', { 
       error: error.message, 
       walletId: req.params.walletId 
@@ -714,6 +1081,70 @@ exports.getWalletTransactions = async (req, res) => {
   }
 };
 
+/**
+ * Get a wallet statement (opening balance, ledger entries, closing balance) for a period
+ */
+exports.getWalletStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const statement = await walletService.getWalletStatement(parseInt(req.params.walletId), {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    return sendResponse(res, 200, true, statement, 'Wallet statement generated successfully');
+
+  } catch (error) {
+    if (error.message === 'Wallet not found') {
+      return sendResponse(res, 404, false, null, 'Wallet not found', {
+        code: 'WALLET_NOT_FOUND'
+      });
+    }
+    logger.error('Error generating wallet statement', {
+      error: error.message,
+      walletId: req.params.walletId
+    });
+    return sendResponse(res, 500, false, null, 'Server error generating wallet statement', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Check stored wallet balances against the ledger and verify every journal balances
+ */
+exports.checkWalletIntegrity = async (req, res) => {
+  try {
+    logger.wallet('Wallet integrity check started', { userId: req.user.id });
+
+    const result = await walletService.validateWalletIntegrity(prisma);
+
+    if (!result.isValid) {
+      logger.warn(`Wallet integrity check found ${result.issues.length} issue(s)`);
+    }
+
+    return sendResponse(res, 200, true, result,
+      result.isValid
+        ? `All ${result.walletsChecked} wallets match the ledger.`
+        : `Found ${result.issues.length} wallet integrity issue(s).`);
+
+  } catch (error) {
+    logger.error('Error checking wallet integrity', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error checking wallet integrity', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Validate tithe distribution amounts
  */
@@ -725,7 +1156,7 @@ exports.validateTitheDistribution = async (req, res) => {
       return sendResponse(res, 400, false, null, 'Distribution and totalAmount are required.', { code: 'MISSING_PARAMETERS' });
     }
 
-    const validation = walletService.validateTitheDistribution(distribution, parseFloat(totalAmount));
+    const validation = await walletService.validateTitheDistribution(distribution, parseFloat(totalAmount));
     
     return sendResponse(res, 200, true, validation, 'Tithe distribution validation completed.');
 
@@ -738,4 +1169,148 @@ exports.validateTitheDistribution = async (req, res) => {
   }
 };
 
+/**
+ * Get withdrawal policies
+ */
+exports.getWithdrawalPolicies = async (req, res) => {
+  try {
+    logger.wallet('Get Withdrawal Policies attempt started', { userId: req.user.id });
+
+    const policies = await prisma.withdrawalPolicy.findMany({
+      include: { updatedBy: { select: { id: true, username: true, fullName: true } } },
+      orderBy: { walletType: 'asc' }
+    });
+
+    return sendResponse(res, 200, true, {
+      policies: policies.map(serializeWithdrawalPolicy)
+    }, 'Withdrawal policies retrieved successfully.');
+
+  } catch (error) {
+    logger.error('Error getting withdrawal policies', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error retrieving withdrawal policies.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace the withdrawal policy for a wallet type
+ */
+exports.upsertWithdrawalPolicy = async (req, res) => {
+  try {
+    logger.wallet('Upsert Withdrawal Policy attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot change withdrawal policies.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, null, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: errors.array().map(err => ({ field: err.path, message: err.msg })),
+      });
+    }
+
+    const { walletType } = req.params;
+    const { name, approvalTiers, allowedWindows, dailyLimit, monthlyLimit, approverRoles, isActive } = req.body;
+
+    const policyData = {
+      name: name.trim(),
+      approvalTiers: approvalTiers
+        .map(tier => ({ minAmount: parseFloat(tier.minAmount), requiredApprovals: parseInt(tier.requiredApprovals) }))
+        .sort((a, b) => a.minAmount - b.minAmount),
+      allowedWindows: allowedWindows && allowedWindows.length > 0
+        ? allowedWindows.map(window => ({
+            days: window.days.map(day => parseInt(day)),
+            startHour: parseInt(window.startHour),
+            endHour: parseInt(window.endHour)
+          }))
+        : Prisma.DbNull,
+      dailyLimit: dailyLimit !== undefined && dailyLimit !== null ? parseFloat(dailyLimit) : null,
+      monthlyLimit: monthlyLimit !== undefined && monthlyLimit !== null ? parseFloat(monthlyLimit) : null,
+      // Stored upper-case, the way requireRole compares roles
+      approverRoles: approverRoles && approverRoles.length > 0
+        ? [...new Set(approverRoles.map(role => role.trim().toUpperCase()))]
+        : Prisma.DbNull,
+      isActive: isActive !== undefined ? isActive : true,
+      updatedById: req.user.id
+    };
+
+    const policy = await prisma.withdrawalPolicy.upsert({
+      where: { walletType },
+      update: policyData,
+      create: { walletType, ...policyData },
+      include: { updatedBy: { select: { id: true, username: true, fullName: true } } }
+    });
+
+    await logAdminActivity('UPSERT_WITHDRAWAL_POLICY', walletType, req.user.id, {
+      policyId: policy.id,
+      approvalTiers: policyData.approvalTiers,
+      dailyLimit: policyData.dailyLimit,
+      monthlyLimit: policyData.monthlyLimit,
+      isActive: policyData.isActive
+    });
+
+    logger.wallet(`Withdrawal policy saved for ${walletType}`, { policyId: policy.id });
+
+    return sendResponse(res, 200, true, {
+      policy: serializeWithdrawalPolicy(policy)
+    }, `Withdrawal policy for ${walletType} saved successfully.`);
+
+  } catch (error) {
+    logger.error('Error saving withdrawal policy', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error saving withdrawal policy.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Delete the withdrawal policy for a wallet type (falls back to DEFAULT or environment settings)
+ */
+exports.deleteWithdrawalPolicy = async (req, res) => {
+  try {
+    logger.wallet('Delete Withdrawal Policy attempt started', { userId: req.user.id });
+
+    if (isViewOnlyAdmin(req.user)) {
+      return sendResponse(res, 403, false, null, "Forbidden: View-only admins cannot change withdrawal policies.", { code: 'FORBIDDEN_VIEW_ONLY' });
+    }
+
+    const { walletType } = req.params;
+
+    const existingPolicy = await prisma.withdrawalPolicy.findUnique({ where: { walletType } });
+    if (!existingPolicy) {
+      return sendResponse(res, 404, false, null, `No withdrawal policy found for ${walletType}.`, { code: 'POLICY_NOT_FOUND' });
+    }
+
+    await prisma.withdrawalPolicy.delete({ where: { walletType } });
+
+    await logAdminActivity('DELETE_WITHDRAWAL_POLICY', walletType, req.user.id, {
+      policyId: existingPolicy.id,
+      name: existingPolicy.name
+    });
+
+    return sendResponse(res, 200, true, { walletType }, `Withdrawal policy for ${walletType} deleted.`);
+
+  } catch (error) {
+    logger.error('Error deleting withdrawal policy', { error: error.message, userId: req.user.id });
+    return sendResponse(res, 500, false, null, 'Server error deleting withdrawal policy.', {
+      code: 'SERVER_ERROR',
+      details: error.message
+    });
+  }
+};
+
+// Serialize Decimal fields on a withdrawal policy
+function serializeWithdrawalPolicy(policy) {
+  return {
+    ...policy,
+    dailyLimit: policy.dailyLimit !== null ? parseFloat(policy.dailyLimit.toString()) : null,
+    monthlyLimit: policy.monthlyLimit !== null ? parseFloat(policy.monthlyLimit.toString()) : null
+  };
+}
+
 module.exports = exports;
\ No newline at end of file
@@ -1,8 +1,9 @@
 // server/middlewares/auth.js
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validate required environment variables on startup
 const requiredSecrets = {
@@ -302,6 +303,61 @@ const requireWriteAccess = (req, res, next) => {
   }
 };
 
+/**
+ * Whether a user holds one of the given roles, compared case-insensitively as requireRole does
+ * @param {Object} user - User with a role
+ * @param {string[]} roles
+ * @returns {boolean}
+ */
+const hasAnyRole = (user, roles) => {
+  const userRole = ((user && user.role) || '').trim().toUpperCase();
+  return Boolean(userRole) && roles.some(role => String(role).trim().toUpperCase() === userRole);
+};
+
+/**
+ * Middleware factory restricting a route to admins holding one of the given roles
+ * Must be used after authenticateJWT and isAdmin; view-only admins are always refused
+ * 
+ * @param {string[]} roles - Allowed values of user.role (compared case-insensitively)
+ * @returns {Function} Express middleware
+ */
+const requireRole = (roles) => {
+  const allowedRoles = roles.map(role => role.trim().toUpperCase()).filter(Boolean);
+
+  return (req, res, next) => {
+    try {
+      if (!req.user || !req.user.isAdmin) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'Admin access required',
+          error: { code: 'ADMIN_ACCESS_REQUIRED' }
+        });
+      }
+
+      const userRole = (req.user.role || '').toUpperCase();
+      if (isViewOnlyAdmin(req.user) || !allowedRoles.includes(userRole)) {
+        return res.status(403).json({ 
+          success: false,
+          message: `This action requires one of the roles: ${allowedRoles.join(', ')}`,
+          error: { code: 'ROLE_REQUIRED' }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Role check error:', error.message);
+      return res.status(500).json({ 
+        success: false,
+        message: 'Server error during role check',
+        error: { 
+          code: 'SERVER_ERROR',
+          details: process.env.NODE_ENV === 'production' ? undefined : error.message
+        }
+      });
+    }
+  };
+};
+
 /**
  * Generate secure JWT token for user
  * 
@@ -345,6 +401,8 @@ module.exports = {
   isAdmin,
   isOwnResource,
   requireWriteAccess,
+  requireRole,
+  hasAnyRole,
   isViewOnlyAdmin,
   generateToken,
   verifyToken
@@ -0,0 +1,49 @@
+// server/middlewares/callbackVerification.js
+const { logger } = require('../config/logger');
+const { verifyCallbackRequest, recordCallback } = require('../utils/paymentCallbacks.js');
+
+// Each provider expects its own acknowledgement shape
+const acknowledge = (provider, res, statusCode, accepted, message) => {
+  if (provider === 'MPESA' || provider === 'MPESA_C2B') {
+    return res.status(statusCode).json({ ResultCode: accepted ? 0 : 1, ResultDesc: message });
+  }
+  return res.status(statusCode).json({ status: accepted ? 'success' : 'error', message });
+};
+
+/**
+ * Verify, store and de-duplicate a payment callback before it reaches the controller.
+ * Rejected callbacks get 403; duplicates are acknowledged without being processed again.
+ * The stored log is available to the controller as req.callbackLog.
+ * With { store: false } the request is only verified; used where a second request for the same
+ * reference is expected (M-Pesa C2B validation precedes its confirmation).
+ * @param {string} provider - MPESA, MPESA_C2B or KCB
+ * @param {Object} [options] - { store }
+ */
+const verifyPaymentCallback = (provider, { store = true } = {}) => {
+  return async (req, res, next) => {
+    const verification = verifyCallbackRequest(provider, req);
+
+    if (!verification.valid) {
+      await recordCallback({ provider, req, status: 'REJECTED', rejectionReason: verification.reason });
+      logger.warn(`${provider} callback rejected: ${verification.reason}`);
+      return acknowledge(provider, res, 403, false, 'Callback rejected');
+    }
+
+    if (!store) {
+      req.callbackLog = null;
+      return next();
+    }
+
+    const callbackLog = await recordCallback({ provider, req });
+
+    if (callbackLog && callbackLog.status === 'DUPLICATE') {
+      logger.warn(`Duplicate ${provider} callback for ${callbackLog.callbackKey} ignored (log ${callbackLog.id}).`);
+      return acknowledge(provider, res, 200, true, 'Duplicate callback ignored.');
+    }
+
+    req.callbackLog = callbackLog;
+    next();
+  };
+};
+
+module.exports = { verifyPaymentCallback };
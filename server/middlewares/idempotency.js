@@ -0,0 +1,178 @@
+// server/middlewares/idempotency.js
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { logger } = require('../config/logger');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const MAX_KEY_LENGTH = 255;
+// An IN_PROGRESS key older than this belongs to a request that died; a retry may take it over
+const ABANDONED_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Hours a stored response is replayed for (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+ * @returns {number}
+ */
+const getIdempotencyTtlHours = () => {
+  const hours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+  return isNaN(hours) || hours < 1 ? 24 : hours;
+};
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => {
+  const file = req.file ? { name: req.file.originalname, size: req.file.size, type: req.file.mimetype } : null;
+  return crypto.createHash('sha256')
+    .update(stableStringify({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body || {}, file }))
+    .digest('hex');
+};
+
+const sendError = (res, statusCode, message, code) => {
+  return res.status(statusCode).json({ success: false, message, error: { code } });
+};
+
+// Claim the key for this request, or return the existing record
+const claimKey = async (key, req, requestHash) => {
+  const data = {
+    key,
+    userId: req.user.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    requestHash,
+    status: 'IN_PROGRESS',
+    expiresAt: new Date(Date.now() + getIdempotencyTtlHours() * 60 * 60 * 1000)
+  };
+
+  try {
+    return { claimed: true, record: await prisma.idempotencyKey.create({ data }) };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { userId_key: { userId: req.user.id, key } }
+  });
+  if (!existing) {
+    // Released between our insert and read; try once more
+    return { claimed: true, record: await prisma.idempotencyKey.create({ data }) };
+  }
+
+  const expired = existing.expiresAt < new Date();
+  const abandoned = existing.status === 'IN_PROGRESS' && Date.now() - existing.updatedAt.getTime() > ABANDONED_AFTER_MS;
+  if (expired || (abandoned && existing.requestHash === requestHash)) {
+    // Conditional takeover so two retries cannot both claim the key
+    const takeover = await prisma.idempotencyKey.updateMany({
+      where: { id: existing.id, updatedAt: existing.updatedAt },
+      data: { ...data, responseStatus: null, responseBody: null }
+    });
+    if (takeover.count > 0) {
+      return { claimed: true, record: { ...existing, ...data } };
+    }
+    return { claimed: false, record: { ...existing, status: 'IN_PROGRESS' } };
+  }
+
+  return { claimed: false, record: existing };
+};
+
+/**
+ * Honour an optional Idempotency-Key header on a creating endpoint. The first request with a key
+ * runs normally and its response is stored; repeats with the same key and body get the stored
+ * response (marked with an Idempotent-Replayed header) until the key expires. Server errors (5xx)
+ * are not stored, so the request can be retried with the same key.
+ * Mount after authentication and any body/file parsing.
+ */
+const idempotent = () => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`, 'INVALID_IDEMPOTENCY_KEY');
+    }
+    if (!req.user) {
+      return sendError(res, 401, 'Authentication required', 'AUTH_REQUIRED');
+    }
+
+    const requestHash = hashRequest(req);
+    let claim;
+    try {
+      claim = await claimKey(key, req, requestHash);
+    } catch (error) {
+      logger.error(`Idempotency key lookup failed: ${error.message}`);
+      return sendError(res, 500, 'Could not process Idempotency-Key.', 'IDEMPOTENCY_ERROR');
+    }
+
+    if (!claim.claimed) {
+      const existing = claim.record;
+      if (existing.requestHash !== requestHash) {
+        return sendError(res, 422, 'Idempotency-Key was already used for a different request.', 'IDEMPOTENCY_KEY_REUSED');
+      }
+      if (existing.status !== 'COMPLETED') {
+        return sendError(res, 409, 'A request with this Idempotency-Key is still being processed.', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    const recordId = claim.record.id;
+    const originalJson = res.json.bind(res);
+    let settled = false;
+
+    res.json = (body) => {
+      if (settled) return originalJson(body);
+      settled = true;
+
+      const store = res.statusCode >= 500
+        ? prisma.idempotencyKey.delete({ where: { id: recordId } })
+        : prisma.idempotencyKey.update({
+            where: { id: recordId },
+            data: { status: 'COMPLETED', responseStatus: res.statusCode, responseBody: body }
+          });
+
+      // Store before sending, so a retry that arrives right after the response is replayed
+      store
+        .catch(error => logger.error(`Failed to store idempotent response for key ${key}: ${error.message}`))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    // Release the key if the request ends without a JSON response
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        prisma.idempotencyKey.delete({ where: { id: recordId } })
+          .catch(error => logger.error(`Failed to release idempotency key ${key}: ${error.message}`));
+      }
+    });
+
+    next();
+  };
+};
+
+/**
+ * Delete idempotency records past their window
+ * @returns {Promise<number>} Number of records removed
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+  const result = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+  return result.count;
+};
+
+module.exports = {
+  idempotent,
+  purgeExpiredIdempotencyKeys,
+  getIdempotencyTtlHours
+};
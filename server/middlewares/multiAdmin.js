@@ -1,34 +1,304 @@
 // server/middlewares/multiAdmin.js
-const bcrypt = require('bcrypt');
-const User = require('../models/User');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../utils/softDelete.js');
+const { validationResult } = require('express-validator');
+const { isViewOnlyAdmin } = require('./auth.js');
 
-// Create a new admin action that requires multiple approvals (simplified for now)
-const createAdminAction = async (req, res, next) => {
-  try {
-    // For now, just pass through without requiring multiple approvals
-    // This is a simplified version for getting the system working
-    console.log('Admin action initiated by:', req.user.id);
-    req.adminActionId = Date.now(); // Just use timestamp as placeholder
-    next();
-  } catch (error) {
-    console.error('Error creating admin action:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+const prisma = withSoftDelete(new PrismaClient());
+
+/**
+ * Controller handlers that can be replayed once an action is approved.
+ * Resolved lazily to avoid circular requires between routes, controllers and this middleware.
+ */
+const ACTION_HANDLERS = {
+  DELETE_USER: () => require('../controllers/authController.js').deleteUser,
+  DELETE_PAYMENT: () => require('../controllers/paymentController.js').deletePayment,
+  REFUND_PAYMENT: () => require('../controllers/paymentController.js').updatePaymentStatus,
+  REVERSE_PAYMENT: () => require('../controllers/paymentController.js').refundPayment,
+  CANCEL_BATCH_PAYMENT: () => require('../controllers/batchPaymentController.js').cancelBatchPayment,
+  PURGE_RECORD: () => require('../controllers/trashController.js').purgeRecord,
+};
+
+/**
+ * Number of distinct admins (other than the initiator) that must approve a sensitive action
+ * @returns {number}
+ */
+const getRequiredAdminApprovals = () => {
+  const required = parseInt(process.env.REQUIRED_ADMIN_APPROVALS || '2');
+  return isNaN(required) || required < 1 ? 1 : required;
+};
+
+/**
+ * Hours a pending action stays open before it can no longer be approved
+ * @returns {number}
+ */
+const getAdminActionExpiryHours = () => {
+  const hours = parseInt(process.env.ADMIN_ACTION_EXPIRY_HOURS || '48');
+  return isNaN(hours) || hours < 1 ? 48 : hours;
+};
+
+/**
+ * Middleware factory that queues a sensitive request as a pending AdminAction
+ * instead of executing it. The stored payload is replayed against the original
+ * controller handler once enough admins have approved it.
+ *
+ * @param {string} actionType - Registered action type (see ACTION_HANDLERS)
+ * @param {Object} [options]
+ * @param {Function} [options.when] - Predicate (req) => boolean; when false the request runs immediately
+ * @param {Function} [options.targetId] - Resolver (req) => target identifier, defaults to the first route param
+ * @returns {Function} Express middleware
+ */
+const createAdminAction = (actionType, options = {}) => {
+  if (!ACTION_HANDLERS[actionType]) {
+    throw new Error(`No replay handler registered for admin action type: ${actionType}`);
   }
+
+  return async (req, res, next) => {
+    try {
+      // Replayed requests already carry their approved action
+      if (req.adminAction) {
+        return next();
+      }
+
+      // A request that fails validation is refused here: it is neither queued nor passed on ungated
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          error: {
+            code: 'VALIDATION_ERROR',
+            details: errors.array().map(err => ({ field: err.path, message: err.msg }))
+          }
+        });
+      }
+
+      if (options.when && !options.when(req)) {
+        return next();
+      }
+
+      if (isViewOnlyAdmin(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: View-only admins cannot initiate sensitive actions.',
+          error: { code: 'FORBIDDEN_VIEW_ONLY' }
+        });
+      }
+
+      const targetId = String(
+        options.targetId ? options.targetId(req) : Object.values(req.params)[0] || 'N/A'
+      );
+
+      const existingAction = await prisma.adminAction.findFirst({
+        where: { actionType, targetId, status: 'PENDING', requiredApprovals: { gt: 0 } },
+        select: { id: true, createdAt: true, expiresAt: true }
+      });
+
+      if (existingAction) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${actionType} request for this record is already awaiting approval.`,
+          error: { code: 'ADMIN_ACTION_ALREADY_PENDING', adminActionId: existingAction.id }
+        });
+      }
+
+      const requiredApprovals = getRequiredAdminApprovals();
+      const expiresAt = new Date(Date.now() + getAdminActionExpiryHours() * 60 * 60 * 1000);
+
+      const adminAction = await prisma.adminAction.create({
+        data: {
+          actionType,
+          targetId,
+          initiatedById: req.user.id,
+          status: 'PENDING',
+          requiredApprovals,
+          expiresAt,
+          actionData: {
+            method: req.method,
+            path: req.originalUrl,
+            params: { ...req.params },
+            query: { ...req.query },
+            body: req.body || {},
+          },
+        },
+        include: {
+          initiator: { select: { id: true, username: true, fullName: true } }
+        }
+      });
+
+      console.log(`Admin action ${adminAction.id} (${actionType}) queued by user ${req.user.id}, awaiting ${requiredApprovals} approval(s)`);
+
+      return res.status(202).json({
+        success: true,
+        message: `This action requires approval from ${requiredApprovals} other admin(s) before it is carried out.`,
+        data: {
+          adminAction,
+          requiredApprovals,
+          currentApprovals: 0,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Error creating admin action:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error creating admin action',
+        error: {
+          code: 'SERVER_ERROR',
+          details: process.env.NODE_ENV === 'production' ? undefined : error.message
+        }
+      });
+    }
+  };
 };
 
-// Verify admin approvals (simplified for now)
+/**
+ * Middleware guarding replayed requests: the attached AdminAction must be approved
+ * and carry at least `requiredApprovals` approvals from distinct admins other than the initiator.
+ *
+ * @param {Object} req - Request carrying `adminAction`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
 const verifyAdminApprovals = async (req, res, next) => {
   try {
-    // For now, just pass through without requiring multiple approvals
-    console.log('Admin action approved (simplified)');
-    next();
+    if (!req.adminAction) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin action approval required',
+        error: { code: 'ADMIN_APPROVAL_REQUIRED' }
+      });
+    }
+
+    const action = await prisma.adminAction.findUnique({
+      where: { id: req.adminAction.id },
+      include: { approvals: true }
+    });
+
+    const distinctApprovers = new Set(
+      (action ? action.approvals : [])
+        .filter(approval => approval.approved && approval.adminId !== action.initiatedById)
+        .map(approval => approval.adminId)
+    );
+
+    if (!action || action.status !== 'APPROVED' || distinctApprovers.size < action.requiredApprovals) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin action has not been fully approved',
+        error: {
+          code: 'INSUFFICIENT_APPROVALS',
+          currentApprovals: distinctApprovers.size,
+          requiredApprovals: action ? action.requiredApprovals : null
+        }
+      });
+    }
+
+    return next();
   } catch (error) {
-    console.error('Error verifying admin approvals:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    console.error('Error verifying admin approvals:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error verifying admin approvals',
+      error: {
+        code: 'SERVER_ERROR',
+        details: process.env.NODE_ENV === 'production' ? undefined : error.message
+      }
+    });
+  }
+};
+
+/**
+ * Replay an approved admin action against its original controller handler.
+ * The request runs as the initiating admin with the stored params, query and body.
+ *
+ * @param {Object} action - AdminAction record with status APPROVED
+ * @returns {Promise<{statusCode: number, body: Object}>} Captured controller response
+ */
+const executeAdminAction = async (action) => {
+  const resolveHandler = ACTION_HANDLERS[action.actionType];
+  if (!resolveHandler) {
+    return {
+      statusCode: 400,
+      body: { success: false, message: `Unsupported admin action type: ${action.actionType}` }
+    };
+  }
+
+  const initiator = await prisma.user.findUnique({
+    where: { id: action.initiatedById },
+    select: {
+      id: true,
+      username: true,
+      fullName: true,
+      email: true,
+      phone: true,
+      isAdmin: true,
+      isActive: true,
+      role: true
+    }
+  });
+
+  if (!initiator || !initiator.isAdmin || !initiator.isActive) {
+    return {
+      statusCode: 403,
+      body: { success: false, message: 'Initiating admin is no longer an active admin.' }
+    };
   }
+
+  const payload = action.actionData || {};
+  const req = {
+    method: payload.method,
+    originalUrl: payload.path,
+    params: payload.params || {},
+    query: payload.query || {},
+    body: payload.body || {},
+    headers: {},
+    user: { ...initiator, isViewOnlyAdmin: false },
+    adminAction: action,
+  };
+
+  const captured = { statusCode: 200, body: null };
+  const res = {
+    headersSent: false,
+    status(code) {
+      captured.statusCode = code;
+      return this;
+    },
+    json(data) {
+      captured.body = data;
+      this.headersSent = true;
+      return this;
+    },
+    send(data) {
+      return this.json(data);
+    },
+  };
+
+  await verifyAdminApprovals(req, res, () => resolveHandler()(req, res));
+
+  return captured;
+};
+
+/**
+ * Mark pending approval actions past their expiry as EXPIRED
+ * @returns {Promise<number>} Number of actions expired
+ */
+const expireStaleAdminActions = async () => {
+  const result = await prisma.adminAction.updateMany({
+    where: {
+      status: 'PENDING',
+      requiredApprovals: { gt: 0 },
+      expiresAt: { lt: new Date() }
+    },
+    data: { status: 'EXPIRED' }
+  });
+  return result.count;
 };
 
 module.exports = {
   createAdminAction,
-  verifyAdminApprovals
-};
\ No newline at end of file
+  verifyAdminApprovals,
+  executeAdminAction,
+  expireStaleAdminActions,
+  getRequiredAdminApprovals,
+  ACTION_HANDLERS
+};
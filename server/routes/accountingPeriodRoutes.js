@@ -0,0 +1,50 @@
+// server/routes/accountingPeriodRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateJWT, isAdmin, requireRole } = require('../middlewares/auth.js');
+const { getPeriodCloseRoles } = require('../utils/accountingPeriods.js');
+const accountingPeriodController = require('../controllers/accountingPeriodController.js');
+
+const router = express.Router();
+
+// All accounting period routes are admin only
+router.use(authenticateJWT);
+router.use(isAdmin);
+
+const validPeriodKey = param('periodKey')
+  .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format.');
+
+// List closed and reopened periods
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['OPEN', 'CLOSED', 'ALL']).withMessage('Invalid status filter.'),
+  ],
+  accountingPeriodController.getAccountingPeriods
+);
+
+// Close a month (privileged role only)
+router.post(
+  '/:periodKey/close',
+  requireRole(getPeriodCloseRoles()),
+  [
+    validPeriodKey,
+    body('notes').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Notes must be 500 characters or less.'),
+  ],
+  accountingPeriodController.closeAccountingPeriod
+);
+
+// Reopen a closed month (privileged role only, reason required)
+router.post(
+  '/:periodKey/reopen',
+  requireRole(getPeriodCloseRoles()),
+  [
+    validPeriodKey,
+    body('reason').isString().trim().isLength({ min: 10, max: 500 })
+      .withMessage('A reason of 10 to 500 characters is required to reopen a period.'),
+  ],
+  accountingPeriodController.reopenAccountingPeriod
+);
+
+module.exports = router;
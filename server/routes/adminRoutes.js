@@ -1,6 +1,6 @@
 // server/routes/adminRoutes.js
 const express = require('express');
-const { query, body } = require('express-validator');
+const { query, body, param } = require('express-validator');
 const adminController = require('../controllers/adminController.js');
 const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
 
@@ -58,4 +58,47 @@ router.post(
   adminController.generateReport // Assumes view-only admin check for sensitive report generation is in the controller if needed
 );
 
+// --- Multi-Admin Approval Actions ---
+
+// GET admin actions awaiting (or past) multi-admin approval
+router.get(
+  '/actions',
+  [
+    query('status').optional().isIn(['PENDING', 'APPROVED', 'COMPLETED', 'FAILED', 'REJECTED', 'EXPIRED', 'ALL'])
+      .withMessage('Invalid status filter.'),
+    query('actionType').optional().isString().trim(),
+    query('page').optional().isInt({ min: 1 }).toInt().default(1),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().default(20),
+  ],
+  adminController.getAdminActions
+);
+
+// POST expire pending actions past their approval window
+router.post(
+  '/actions/expire',
+  adminController.expireAdminActions
+);
+
+// POST approve a pending admin action (executes it once enough admins approve)
+router.post(
+  '/actions/:actionId/approve',
+  [
+    param('actionId').isInt().withMessage('Valid action ID is required.'),
+    body('comment').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Comment must be 500 characters or less.'),
+  ],
+  adminController.approveAdminAction
+);
+
+// POST reject a pending admin action
+router.post(
+  '/actions/:actionId/reject',
+  [
+    param('actionId').isInt().withMessage('Valid action ID is required.'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Rejection reason must be 500 characters or less.'),
+  ],
+  adminController.rejectAdminAction
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,9 @@
 // server/routes/authRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticateJWT, isAdmin, isOwnResource } = require('../middlewares/auth');
+const { createAdminAction } = require('../middlewares/multiAdmin');
 
 const router = express.Router();
 
@@ -49,6 +50,12 @@ router.post(
       .isEmail()
       .withMessage('Valid email is required'),
     
+    body('memberNumber')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Member number must be 30 characters or less'),
+    
     body('isAdmin')
       .optional()
       .isBoolean()
@@ -108,6 +115,12 @@ router.put(
       .isEmail()
       .withMessage('Valid email is required'),
     
+    body('memberNumber')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Member number must be 30 characters or less'),
+    
     body('isAdmin')
       .optional()
       .isBoolean()
@@ -121,9 +134,22 @@ router.delete(
   '/users/:userId',
   authenticateJWT,
   isAdmin,
+  createAdminAction('DELETE_USER'),
   authController.deleteUser
 );
 
+// Merge a guest giving profile into a member account (admin only)
+router.post(
+  '/users/:userId/merge-guest',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    body('guestId').isInt({ min: 1 }).withMessage('Valid guest profile ID is required')
+  ],
+  authController.mergeGuestProfile
+);
+
 router.get('/logout', authController.logout); // Or POST if you prefer
 
 // Reset user password (with old and new password)
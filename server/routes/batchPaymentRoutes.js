@@ -1,8 +1,14 @@
 // server/routes/batchPaymentRoutes.js
 const express = require('express');
 const { body, param, query } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
 const batchPaymentController = require('../controllers/batchPaymentController.js');
 const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const { createAdminAction } = require('../middlewares/multiAdmin.js');
+const { idempotent } = require('../middlewares/idempotency.js');
+const { getTitheCategoryCodes } = require('../utils/titheCategories.js');
+const { SPREADSHEET_EXTENSIONS } = require('../utils/spreadsheetReader.js');
 
 const router = express.Router();
 
@@ -10,9 +16,22 @@ const router = express.Router();
 router.use(authenticateJWT);
 router.use(isAdmin);
 
+// Import spreadsheets are parsed in memory and not kept on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Import file must be a CSV or XLSX spreadsheet.'));
+  }
+});
+
 // POST create a new batch payment
 router.post(
   '/',
+  idempotent(),
   [
     body('payments').isArray({ min: 1 }).withMessage('Payments array is required and must not be empty.'),
     body('payments.*.userId').isInt().withMessage('Valid user ID is required for each payment.'),
@@ -40,12 +59,12 @@ router.post(
       }),
     body('payments.*.specialOfferingId').optional().isInt(),
     body('payments.*.titheDistributionSDA').optional().isObject()
-      .custom((value, { req, path }) => {
+      .custom(async (value, { req, path }) => {
         if (value) {
-          const requiredKeys = ['campMeetingExpenses', 'welfare', 'thanksgiving', 'stationFund', 'mediaMinistry'];
-          for (const key of requiredKeys) {
-            if (value.hasOwnProperty(key) && typeof value[key] !== 'boolean') {
-              throw new Error(`Invalid tithe category: ${key}. Must be a boolean value.`);
+          const validCategories = await getTitheCategoryCodes();
+          for (const key of Object.keys(value)) {
+            if (!validCategories.includes(key)) {
+              throw new Error(`Invalid tithe category: ${key}.`);
             }
           }
         }
@@ -69,6 +88,16 @@ router.get(
   batchPaymentController.getAllBatchPayments
 );
 
+// POST preview a CSV/XLSX import of batch items (nothing is saved)
+router.post(
+  '/import/preview',
+  importUpload.single('importFile'),
+  [
+    body('paymentDate').optional().isISO8601().withMessage('Default payment date must be a valid date.'),
+  ],
+  batchPaymentController.previewBatchImport
+);
+
 
 // ====================================================================
 // == THIS IS THE CRUCIAL ROUTE THAT NEEDS TO BE ADDED ==
@@ -92,6 +121,15 @@ router.get(
   batchPaymentController.getBatchPaymentDetails
 );
 
+// GET bank deposit slip and batch summary PDF (deposited and completed batches)
+router.get(
+  '/:batchId/slip',
+  [
+    param('batchId').isInt().withMessage('Valid batch ID is required.'),
+  ],
+  batchPaymentController.downloadDepositSlip
+);
+
 // POST process batch deposit via KCB
 router.post(
   '/:batchId/deposit',
@@ -116,6 +154,17 @@ router.post(
   batchPaymentController.completeBatchPayment
 );
 
+// POST move a cancelled batch and its payments to the trash
+router.post(
+  '/:batchId/trash',
+  [
+    param('batchId').isInt().withMessage('Valid batch ID is required.'),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+      .withMessage('Reason must be 500 characters or less.'),
+  ],
+  batchPaymentController.trashBatchPayment
+);
+
 // DELETE cancel batch payment (only if not yet deposited)
 router.delete(
   '/:batchId',
@@ -124,6 +173,7 @@ router.delete(
     body('reason').optional().isString().trim().isLength({ max: 200 })
       .withMessage('Cancellation reason must be 200 characters or less.'),
   ],
+  createAdminAction('CANCEL_BATCH_PAYMENT'),
   batchPaymentController.cancelBatchPayment
 );
 
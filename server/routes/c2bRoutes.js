@@ -0,0 +1,79 @@
+// server/routes/c2bRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const c2bController = require('../controllers/c2bController.js');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const { verifyPaymentCallback } = require('../middlewares/callbackVerification.js');
+
+const router = express.Router();
+
+// --- Public Routes (M-Pesa Paybill callbacks) ---
+
+// POST validation: verified only; the confirmation for the same TransID follows
+router.post(
+  '/validation',
+  verifyPaymentCallback('MPESA_C2B', { store: false }),
+  c2bController.c2bValidation
+);
+
+// POST confirmation: verified, stored and de-duplicated on TransID
+router.post(
+  '/confirmation',
+  verifyPaymentCallback('MPESA_C2B'),
+  c2bController.c2bConfirmation
+);
+
+// --- Admin Routes ---
+
+// GET Paybill transactions (review queue by default)
+router.get(
+  '/transactions',
+  authenticateJWT,
+  isAdmin,
+  [
+    query('status').optional().isIn(['PENDING_REVIEW', 'MATCHED', 'RESOLVED', 'DISMISSED', 'ALL']).withMessage('Invalid status filter.'),
+    query('search').optional().isString().trim(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  c2bController.getC2bTransactions
+);
+
+// POST assign a queued transaction to a member and fund
+router.post(
+  '/transactions/:c2bId/resolve',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('c2bId').isInt({ min: 1 }).withMessage('Valid Paybill transaction ID is required.'),
+    body('userId').isInt({ min: 1 }).withMessage('Valid User ID is required.'),
+    body('paymentType').isIn(['TITHE', 'OFFERING', 'DONATION', 'SPECIAL']).withMessage('Payment type must be TITHE, OFFERING, DONATION or SPECIAL.'),
+    body('specialOfferingId').if(body('paymentType').equals('SPECIAL')).isInt({ min: 1 }).withMessage('Special Offering ID is required for special offerings.'),
+    body('titheDistributionSDA').optional().isObject().withMessage('Tithe distribution must be an object.'),
+    body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be 500 characters or less.'),
+  ],
+  c2bController.resolveC2bTransaction
+);
+
+// POST set aside a queued transaction
+router.post(
+  '/transactions/:c2bId/dismiss',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('c2bId').isInt({ min: 1 }).withMessage('Valid Paybill transaction ID is required.'),
+    body('reason').isString().trim().isLength({ min: 5, max: 500 })
+      .withMessage('A reason of 5 to 500 characters is required.'),
+  ],
+  c2bController.dismissC2bTransaction
+);
+
+// POST register the callback URLs with Safaricom
+router.post(
+  '/register-urls',
+  authenticateJWT,
+  isAdmin,
+  c2bController.registerC2bUrls
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+// server/routes/cashCountRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const { idempotent } = require('../middlewares/idempotency.js');
+const cashCountController = require('../controllers/cashCountController.js');
+const { KES_DENOMINATIONS } = require('../utils/cashCountUtils.js');
+
+const router = express.Router();
+
+// Apply admin authentication to all cash count routes
+router.use(authenticateJWT);
+router.use(isAdmin);
+
+const sessionIdValidator = param('sessionId').isInt({ min: 1 }).withMessage('Valid cash count session ID is required.');
+
+const looseCashUserValidator = body('looseCashUserId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Loose cash member must be a valid user ID.');
+
+const envelopeValidators = [
+  body('userId').isInt({ min: 1 }).withMessage('Member is required for an envelope.'),
+  body('envelopeNumber').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('titheAmount').optional().isFloat({ min: 0 }).withMessage('Tithe amount cannot be negative.'),
+  body('offeringAmount').optional().isFloat({ min: 0 }).withMessage('Offering amount cannot be negative.'),
+  body('specialOfferings').optional({ nullable: true }).isArray({ max: 20 }).withMessage('Special offerings must be a list of splits.'),
+  body('specialOfferings.*.specialOfferingId').isInt({ min: 1 }).withMessage('Each split needs a valid special offering ID.'),
+  body('specialOfferings.*.amount').isFloat({ gt: 0 }).withMessage('Each special offering split must be a positive amount.'),
+  body('titheDistributionSDA').optional({ nullable: true }).isObject().withMessage('Tithe distribution must be an object.'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+];
+
+// GET cash count sessions (newest service first)
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['OPEN', 'CLOSED', 'CANCELLED']).withMessage('Invalid status.'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  cashCountController.getCashCountSessions
+);
+
+// POST open a counting session for a service
+router.post(
+  '/',
+  [
+    body('serviceDate').optional().isISO8601().withMessage('Service date must be a valid date.'),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+    looseCashUserValidator,
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  ],
+  cashCountController.createCashCountSession
+);
+
+// GET a session with denominations, envelopes and sign-offs
+router.get('/:sessionId', [sessionIdValidator], cashCountController.getCashCountSession);
+
+// PUT session details
+router.put(
+  '/:sessionId',
+  [
+    sessionIdValidator,
+    body('serviceDate').not().exists().withMessage('Service date cannot be changed; cancel and open a new count instead.'),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+    looseCashUserValidator,
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  ],
+  cashCountController.updateCashCountSession
+);
+
+// PUT the denomination breakdown of all cash counted (replaces the previous breakdown)
+router.put(
+  '/:sessionId/denominations',
+  [
+    sessionIdValidator,
+    body('denominations').isArray({ max: 50 }).withMessage('Denominations must be a list.'),
+    body('denominations.*.denomination').isFloat().toFloat()
+      .isIn(KES_DENOMINATIONS).withMessage(`Denomination must be one of: ${KES_DENOMINATIONS.join(', ')}.`),
+    body('denominations.*.count').isInt({ min: 0 }).withMessage('Count must be zero or more.'),
+  ],
+  cashCountController.setDenominations
+);
+
+// POST record an envelope
+router.post(
+  '/:sessionId/envelopes',
+  [sessionIdValidator, ...envelopeValidators],
+  cashCountController.addEnvelope
+);
+
+// PUT correct an envelope
+router.put(
+  '/:sessionId/envelopes/:envelopeId',
+  [
+    sessionIdValidator,
+    param('envelopeId').isInt({ min: 1 }).withMessage('Valid envelope ID is required.'),
+    ...envelopeValidators
+  ],
+  cashCountController.updateEnvelope
+);
+
+// DELETE an envelope recorded by mistake
+router.delete(
+  '/:sessionId/envelopes/:envelopeId',
+  [
+    sessionIdValidator,
+    param('envelopeId').isInt({ min: 1 }).withMessage('Valid envelope ID is required.'),
+  ],
+  cashCountController.deleteEnvelope
+);
+
+// POST sign off the count as it stands
+router.post(
+  '/:sessionId/signoff',
+  [
+    sessionIdValidator,
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  cashCountController.signOffCashCount
+);
+
+// POST close a signed-off count into a batch payment
+router.post('/:sessionId/close', idempotent(), [sessionIdValidator], cashCountController.closeCashCount);
+
+// POST cancel an open count
+router.post(
+  '/:sessionId/cancel',
+  [
+    sessionIdValidator,
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  cashCountController.cancelCashCount
+);
+
+// GET the count sheet PDF
+router.get('/:sessionId/count-sheet', [sessionIdValidator], cashCountController.downloadCountSheet);
+
+module.exports = router;
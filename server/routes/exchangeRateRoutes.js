@@ -0,0 +1,76 @@
+// server/routes/exchangeRateRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const exchangeRateController = require('../controllers/exchangeRateController.js');
+
+const router = express.Router();
+
+// Apply admin authentication to all exchange rate routes
+router.use(authenticateJWT);
+router.use(isAdmin);
+
+const currencyValidator = (field) => field
+  .isString().trim().toUpperCase()
+  .matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code such as USD or GBP.')
+  .not().equals('KES').withMessage('KES is the base currency and needs no rate.');
+
+// GET exchange rates (newest first)
+router.get(
+  '/',
+  [
+    query('currency').optional().isString().trim(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  exchangeRateController.getExchangeRates
+);
+
+// GET the KES equivalent of an amount at a date
+router.get(
+  '/convert',
+  [
+    query('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
+    query('currency').isString().trim().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code.'),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date.'),
+  ],
+  exchangeRateController.convertAmount
+);
+
+// POST record a rate effective from a day
+router.post(
+  '/',
+  [
+    currencyValidator(body('currency')),
+    body('rateToKes').isFloat({ gt: 0 }).withMessage('Rate must be a positive number of KES per unit.'),
+    body('effectiveDate').optional().isISO8601().toDate().withMessage('Effective date must be a valid date.'),
+    body('source').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  exchangeRateController.createExchangeRate
+);
+
+// PUT correct a recorded rate (currency and date cannot change)
+router.put(
+  '/:rateId',
+  [
+    param('rateId').isInt({ min: 1 }).withMessage('Valid exchange rate ID is required.'),
+    body('currency').not().exists().withMessage('Currency cannot be changed; record a new rate instead.'),
+    body('effectiveDate').not().exists().withMessage('Effective date cannot be changed; record a new rate instead.'),
+    body('rateToKes').optional().isFloat({ gt: 0 }).withMessage('Rate must be a positive number of KES per unit.'),
+    body('source').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  exchangeRateController.updateExchangeRate
+);
+
+// DELETE a rate no payment was converted with
+router.delete(
+  '/:rateId',
+  [
+    param('rateId').isInt({ min: 1 }).withMessage('Valid exchange rate ID is required.'),
+  ],
+  exchangeRateController.deleteExchangeRate
+);
+
+module.exports = router;
@@ -9,6 +9,13 @@ const contactRoutes = require('./contactRoutes');
 const adminRoutes = require('./adminRoutes');
 const walletRoutes = require('./walletRoutes');
 const batchPaymentRoutes = require('./batchPaymentRoutes'); // <-- ADD THIS LINE
+const titheCategoryRoutes = require('./titheCategoryRoutes');
+const remittanceRoutes = require('./remittanceRoutes');
+const accountingPeriodRoutes = require('./accountingPeriodRoutes');
+const c2bRoutes = require('./c2bRoutes');
+const exchangeRateRoutes = require('./exchangeRateRoutes');
+const cashCountRoutes = require('./cashCountRoutes');
+const trashRoutes = require('./trashRoutes');
 
 const router = express.Router();
 
@@ -21,6 +28,13 @@ router.use('/contact', contactRoutes);
 router.use('/admin', adminRoutes);
 router.use('/wallets', walletRoutes);
 router.use('/batch-payments', batchPaymentRoutes); // <-- AND ADD THIS LINE
+router.use('/tithe-categories', titheCategoryRoutes);
+router.use('/remittances', remittanceRoutes);
+router.use('/accounting-periods', accountingPeriodRoutes);
+router.use('/c2b', c2bRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/cash-counts', cashCountRoutes);
+router.use('/trash', trashRoutes);
 
 // Base API route
 router.get('/', (req, res) => {
@@ -44,7 +58,13 @@ router.get('/', (req, res) => {
       admin: '/api/admin',
       wallets: '/api/wallets',
       batchPayments: '/api/batch-payments',
-      kcbSync: '/api/kcb-sync'
+      cashCounts: '/api/cash-counts',
+      titheCategories: '/api/tithe-categories',
+      remittances: '/api/remittances',
+      accountingPeriods: '/api/accounting-periods',
+      c2b: '/api/c2b',
+      kcbSync: '/api/kcb-sync',
+      trash: '/api/trash'
     }
   });
 });
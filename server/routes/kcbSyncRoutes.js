@@ -1,6 +1,8 @@
 // server/routes/kcbSyncRoutes.js
 const express = require('express');
 const { body, param, query } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
 const kcbSyncController = require('../controllers/kcbSyncController.js');
 const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
 
@@ -10,6 +12,19 @@ const router = express.Router();
 router.use(authenticateJWT);
 router.use(isAdmin);
 
+// Statement files are parsed in memory and not kept on disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.txt', '.sta', '.mt940', '.940', '.xml'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Statement must be a CSV, MT940 (.sta, .940, .txt) or camt.053 (.xml) file.'));
+  }
+});
+
 // GET KCB account balance
 router.get(
   '/balance',
@@ -51,6 +66,32 @@ router.post(
   kcbSyncController.syncTransactions
 );
 
+// POST import a bank statement file
+router.post(
+  '/statements/import',
+  statementUpload.single('statementFile'),
+  [
+    body('format').optional().isIn(['CSV', 'MT940', 'CAMT053']).withMessage('Format must be CSV, MT940 or CAMT053.'),
+    body('layout').optional().isString().trim().isLength({ max: 50 }),
+    body('columns').optional().isJSON().withMessage('Columns must be a JSON object of field to column.'),
+    body('dateFormat').optional().isString().trim().isLength({ max: 30 }),
+    body('delimiter').optional().isString().isLength({ min: 1, max: 2 }),
+    body('decimalSeparator').optional().isIn(['.', ',']),
+    body('bankAccount').optional().isString().trim().isLength({ max: 50 }),
+  ],
+  kcbSyncController.importStatement
+);
+
+// GET statement import history
+router.get(
+  '/statements/imports',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt().default(1),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().default(20),
+  ],
+  kcbSyncController.getStatementImports
+);
+
 // GET unlinked KCB transactions
 router.get(
   '/unlinked',
@@ -58,16 +99,39 @@ router.get(
     query('page').optional().isInt({ min: 1 }).toInt().default(1),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt().default(20),
     query('transactionType').optional().isIn(['CREDIT', 'DEBIT', 'ALL']).withMessage('Invalid transaction type filter.'),
+    query('source').optional().isIn(['KCB_API', 'CSV', 'MT940', 'CAMT053']).withMessage('Invalid source filter.'),
+    query('bankAccount').optional().isString().trim(),
+    query('importId').optional().isInt({ min: 1 }).toInt(),
+    query('suggestions').optional().isBoolean().withMessage('Suggestions flag must be true or false.').toBoolean(),
   ],
   kcbSyncController.getUnlinkedTransactions
 );
 
-// POST manually link KCB transaction to payment
+// GET ranked link suggestions for one unlinked KCB transaction
+router.get(
+  '/unlinked/:kcbSyncId/suggestions',
+  [
+    param('kcbSyncId').isInt().withMessage('Valid KCB sync ID is required.'),
+  ],
+  kcbSyncController.getTransactionSuggestions
+);
+
+// POST manually link KCB transaction to a payment, several payments, or a batch
 router.post(
   '/link',
   [
     body('kcbSyncId').isInt().withMessage('Valid KCB sync ID is required.'),
-    body('paymentId').isInt().withMessage('Valid payment ID is required.'),
+    body('paymentId').optional().isInt().withMessage('Valid payment ID is required.'),
+    body('paymentIds').optional().isArray({ min: 1, max: 200 }).withMessage('Payment IDs must be a list of 1 to 200 IDs.'),
+    body('paymentIds.*').isInt().withMessage('Each payment ID must be an integer.'),
+    body('batchPaymentId').optional().isInt().withMessage('Valid batch payment ID is required.'),
+    body().custom(value => {
+      const targets = ['paymentId', 'paymentIds', 'batchPaymentId'].filter(field => value[field] !== undefined && value[field] !== null);
+      if (targets.length !== 1) {
+        throw new Error('Provide exactly one of paymentId, paymentIds or batchPaymentId.');
+      }
+      return true;
+    }),
   ],
   kcbSyncController.linkTransaction
 );
@@ -7,6 +7,13 @@ const fs = require('fs');
 
 const paymentController = require('../controllers/paymentController.js');
 const { authenticateJWT, isAdmin, isOwnResource } = require('../middlewares/auth.js');
+const { createAdminAction } = require('../middlewares/multiAdmin.js');
+const { verifyPaymentCallback } = require('../middlewares/callbackVerification.js');
+const { idempotent } = require('../middlewares/idempotency.js');
+const { getTitheCategoryCodes } = require('../utils/titheCategories.js');
+const { toMsisdn } = require('../utils/paymentCallbacks.js');
+const { PAYMENT_STATUSES, reversesWallets } = require('../utils/paymentStatusMachine.js');
+const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
@@ -39,32 +46,108 @@ const expenseUpload = multer({
   }
 });
 
+// Split gift (paymentType SPLIT_GIFT): one STK push for the total, divided across funds
+const splitGiftValidators = [
+  body('lines').if(body('paymentType').equals('SPLIT_GIFT'))
+    .isArray({ min: 2, max: 10 }).withMessage('A split gift needs between 2 and 10 lines.'),
+  body('lines.*.paymentType').if(body('paymentType').equals('SPLIT_GIFT'))
+    .isIn(['TITHE', 'OFFERING', 'DONATION', 'SPECIAL']).withMessage('Each line must be TITHE, OFFERING, DONATION or SPECIAL.'),
+  body('lines.*.amount').if(body('paymentType').equals('SPLIT_GIFT'))
+    .isFloat({ gt: 0 }).withMessage('Each line amount must be a positive number.'),
+  body('lines.*.specialOfferingId').optional().isInt().withMessage('Special Offering ID must be an integer.'),
+  body('lines.*.titheDistributionSDA').optional().isObject().withMessage('Tithe distribution must be an object.'),
+  body('lines.*.description').optional().isString().trim().isLength({ max: 191 }),
+];
+
 // --- Public Routes (Payment Callbacks) ---
+// Verified against the optional IP allowlist and shared secret, stored, and de-duplicated first
 
 // POST M-Pesa callback
 router.post(
   '/mpesa/callback',
+  verifyPaymentCallback('MPESA'),
   paymentController.mpesaCallback
 );
 
 // POST KCB callback
 router.post(
   '/kcb/callback',
+  verifyPaymentCallback('KCB'),
   paymentController.kcbCallback
 );
 
 // Legacy M-Pesa callback route for backward compatibility
 router.post(
   '/mpesa-callback',
+  verifyPaymentCallback('MPESA'),
   paymentController.mpesaCallback
 );
 
 // Legacy KCB callback route for backward compatibility
 router.post(
   '/kcb-callback',
+  verifyPaymentCallback('KCB'),
   paymentController.kcbCallback
 );
 
+// --- Public Routes (Guest Giving) ---
+// No account needed: the gift is linked to a guest profile for the phone number
+
+// Anyone can trigger an STK push here, so requests are limited per client and per phone number
+const GUEST_GIVING_WINDOW_MS = 15 * 60 * 1000;
+const guestGivingLimitResponse = {
+  success: false,
+  message: 'Too many giving requests. Please wait a few minutes and try again.',
+  error: { code: 'RATE_LIMIT_EXCEEDED' }
+};
+const guestGivingIpLimiter = rateLimit({
+  windowMs: GUEST_GIVING_WINDOW_MS,
+  limit: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: guestGivingLimitResponse
+});
+const guestGivingPhoneLimiter = rateLimit({
+  windowMs: GUEST_GIVING_WINDOW_MS,
+  limit: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `phone:${toMsisdn(req.body.phoneNumber)}`,
+  // Requests without a number fail validation anyway
+  skip: (req) => !req.body || !req.body.phoneNumber,
+  message: guestGivingLimitResponse
+});
+
+// POST give as a guest
+router.post(
+  '/guest/initiate',
+  guestGivingIpLimiter,
+  guestGivingPhoneLimiter,
+  [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
+    body('paymentType').isIn(['TITHE', 'OFFERING', 'DONATION', 'SPECIAL'])
+      .withMessage('Payment type must be TITHE, OFFERING, DONATION or SPECIAL.'),
+    body('specialOfferingId').if(body('paymentType').equals('SPECIAL')).isInt().withMessage('Special Offering ID is required for special offerings.'),
+    body('phoneNumber').isMobilePhone('any', { strictMode: false }).withMessage('Valid phone number is required.'),
+    body('name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Name must be 100 characters or less.'),
+    body('isAnonymous').optional().isBoolean().toBoolean(),
+    body('description').optional().isString().trim().isLength({ max: 191 }),
+    body('paymentMethod').optional().isIn(['MPESA', 'KCB']).withMessage('Invalid payment method. Must be MPESA or KCB.'),
+    body('titheDistributionSDA').not().exists().withMessage('Tithe distribution is only available to members.'),
+    body('lines').not().exists().withMessage('Split gifts are only available to members.'),
+  ],
+  paymentController.initiateGuestPayment
+);
+
+// GET status of a guest payment by its checkout request ID
+router.get(
+  '/guest/status/:checkoutRequestId',
+  [
+    param('checkoutRequestId').isString().trim().notEmpty().isLength({ max: 191 }),
+  ],
+  paymentController.getGuestPaymentStatus
+);
+
 // --- Admin Routes ---
 
 // GET all payments (admin only) - with pagination and filtering
@@ -96,12 +179,118 @@ router.get(
     paymentController.getPaymentStats
 );
 
+// POST run the stale PENDING payment reconciler now (admin only)
+router.post(
+    '/reconcile-pending',
+    authenticateJWT,
+    isAdmin,
+    paymentController.reconcilePendingPayments
+);
+
+// GET reconciliation decisions (admin only)
+router.get(
+    '/reconciliation-logs',
+    authenticateJWT,
+    isAdmin,
+    [
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+        query('paymentId').optional().isInt().toInt(),
+        query('decision').optional().isIn(['COMPLETED', 'FAILED', 'EXPIRED', 'UNRESOLVED', 'ALREADY_PROCESSED', 'ERROR']),
+    ],
+    paymentController.getReconciliationLogs
+);
+
+// GET stored payment callbacks (admin only)
+router.get(
+    '/callback-logs',
+    authenticateJWT,
+    isAdmin,
+    [
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+        query('paymentId').optional().isInt().toInt(),
+        query('provider').optional().isIn(['MPESA', 'MPESA_C2B', 'KCB']),
+        query('status').optional().isIn(['RECEIVED', 'PROCESSED', 'IGNORED', 'MISMATCH', 'FAILED', 'REJECTED', 'DUPLICATE']),
+        query('callbackKey').optional().isString().trim(),
+    ],
+    paymentController.getPaymentCallbackLogs
+);
+
+// POST re-process a stored callback (admin only)
+router.post(
+    '/callback-logs/:logId/reprocess',
+    authenticateJWT,
+    isAdmin,
+    [
+        param('logId').isInt({ min: 1 }).withMessage('Valid callback log ID is required.'),
+    ],
+    paymentController.reprocessPaymentCallback
+);
+
+const FEE_RULE_METHODS = ['KCB', 'MPESA', 'ALL'];
+const FEE_RULE_PAYMENT_TYPES = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL_OFFERING_CONTRIBUTION', 'SPLIT_GIFT', 'ALL'];
+
+const feeRuleParams = [
+    param('paymentMethod').isIn(FEE_RULE_METHODS).withMessage(`Payment method must be one of ${FEE_RULE_METHODS.join(', ')}.`),
+    param('paymentType').isIn(FEE_RULE_PAYMENT_TYPES).withMessage(`Payment type must be one of ${FEE_RULE_PAYMENT_TYPES.join(', ')}.`),
+];
+
+// GET platform fee rules (admin only)
+router.get(
+    '/fee-rules',
+    authenticateJWT,
+    isAdmin,
+    paymentController.getFeeRules
+);
+
+// PUT create or replace the fee rule for a payment method and type (admin only)
+router.put(
+    '/fee-rules/:paymentMethod/:paymentType',
+    authenticateJWT,
+    isAdmin,
+    [
+        ...feeRuleParams,
+        body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Rule name must be 3-100 characters.'),
+        body('feeType').isIn(['FLAT', 'PERCENTAGE', 'TIERED']).withMessage('Fee type must be FLAT, PERCENTAGE or TIERED.'),
+        body('flatAmount').if(body('feeType').equals('FLAT')).isFloat({ min: 0 }).withMessage('A flat amount of 0 or more is required for FLAT fees.'),
+        body('flatAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Flat amount must be 0 or more.'),
+        body('percentage').if(body('feeType').equals('PERCENTAGE')).isFloat({ min: 0, max: 100 }).withMessage('A percentage between 0 and 100 is required for PERCENTAGE fees.'),
+        body('percentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100.'),
+        body('minFee').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum fee must be 0 or more.'),
+        body('maxFee').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum fee must be 0 or more.')
+            .custom((value, { req }) => {
+                if (req.body.minFee !== undefined && req.body.minFee !== null && parseFloat(value) < parseFloat(req.body.minFee)) {
+                    throw new Error('Maximum fee cannot be less than the minimum fee.');
+                }
+                return true;
+            }),
+        body('tiers').if(body('feeType').equals('TIERED')).isArray({ min: 1, max: 20 }).withMessage('TIERED fees need 1 to 20 tiers.'),
+        body('tiers.*.minAmount').isFloat({ min: 0 }).withMessage('Tier minimum amount must be 0 or more.'),
+        body('tiers.*.flatAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Tier flat amount must be 0 or more.'),
+        body('tiers.*.percentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Tier percentage must be between 0 and 100.'),
+        body('feeBearer').optional().isIn(['CHURCH', 'GIVER']).withMessage('Fee bearer must be CHURCH or GIVER.'),
+        body('isActive').optional().isBoolean().toBoolean(),
+    ],
+    paymentController.upsertFeeRule
+);
+
+// DELETE the fee rule for a payment method and type (admin only)
+router.delete(
+    '/fee-rules/:paymentMethod/:paymentType',
+    authenticateJWT,
+    isAdmin,
+    feeRuleParams,
+    paymentController.deleteFeeRule
+);
+
 // POST add manual payment or expense (admin only)
 router.post(
   '/manual',
   authenticateJWT,
   isAdmin,
   expenseUpload.single('expenseReceiptImage'),
+  idempotent(),
   [
     body('userId').isInt().withMessage('Valid User ID is required.'),
     body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
@@ -126,10 +315,10 @@ router.post(
 
     // Updated tithe distribution validation for amounts instead of booleans
     body('titheDistributionSDA').if(body('paymentType').equals('TITHE')).optional().isObject().withMessage('Tithe distribution data must be an object.')
-      .custom((value, { req }) => {
+      .custom(async (value, { req }) => {
         if (req.body.paymentType === 'TITHE' && value) {
           const totalAmount = parseFloat(req.body.amount);
-          const validCategories = ['campMeetingExpenses', 'welfare', 'thanksgiving', 'stationFund', 'mediaMinistry'];
+          const validCategories = await getTitheCategoryCodes();
           let totalDistributed = 0;
           
           // Validate each category amount
@@ -156,6 +345,12 @@ router.post(
     // Conditional validation for special offering contributions
     body('specialOfferingId').optional().isInt().withMessage('Special Offering ID must be an integer.'),
     body('reference').optional().isString().trim(),
+
+    // Gifts in other currencies: amount (and any tithe distribution) is in this currency
+    body('currency').optional().isString().trim().toUpperCase()
+      .matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code such as KES, USD or GBP.'),
+    body('exchangeRate').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 })
+      .withMessage('Exchange rate must be a positive number of KES per unit.'),
   ],
   paymentController.addManualPayment
 );
@@ -168,20 +363,71 @@ router.put(
   isAdmin,
   [
     param('paymentId').isInt().withMessage('Valid Payment ID is required.'),
-    body('status').isString().notEmpty().isIn(['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'REFUNDED'])
+    body('status').isString().notEmpty().isIn(PAYMENT_STATUSES)
       .withMessage('Invalid status value.'),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+      .withMessage('Reason must be 500 characters or less.'),
   ],
+  // Refunds and reversals take wallet credits back, so they need approval like POST /:paymentId/refund
+  createAdminAction('REFUND_PAYMENT', { when: (req) => reversesWallets(req.body.status) }),
   paymentController.updatePaymentStatus
 );
 
-// DELETE payment (admin only)
+// GET a payment's status history and the statuses it can move to (admin only)
+router.get(
+  '/:paymentId/status-history',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('paymentId').isInt().withMessage('Valid Payment ID is required.'),
+  ],
+  paymentController.getPaymentStatusHistory
+);
+
+// POST adjustment entry correcting a completed payment, recorded in the current open period (admin only)
+router.post(
+  '/:paymentId/adjustments',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('paymentId').isInt().withMessage('Valid Payment ID is required.'),
+    body('amount').isFloat().withMessage('Adjustment amount must be a number.').toFloat()
+      .custom(value => value !== 0).withMessage('Adjustment amount cannot be zero.'),
+    body('reason').isString().trim().isLength({ min: 5, max: 500 })
+      .withMessage('A reason of 5 to 500 characters is required.'),
+  ],
+  paymentController.createPaymentAdjustment
+);
+
+// POST refund or reversal of a completed payment (admin only, requires multi-admin approval)
+router.post(
+  '/:paymentId/refund',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('paymentId').isInt().withMessage('Valid Payment ID is required.'),
+    body('type').optional().isIn(['REFUND', 'REVERSAL']).withMessage('Type must be REFUND or REVERSAL.'),
+    body('reason').isString().trim().isLength({ min: 5, max: 500 })
+      .withMessage('A reason of 5 to 500 characters is required.'),
+    body('payout').optional().isBoolean().toBoolean(),
+    body('payoutPhone').optional().matches(/^(\+254|0)?[17]\d{8}$/)
+      .withMessage('Payout phone must be a valid Kenyan phone number.'),
+  ],
+  createAdminAction('REVERSE_PAYMENT'),
+  paymentController.refundPayment
+);
+
+// DELETE payment: moves it and its receipt to the trash (admin only)
 router.delete(
   '/:paymentId',
   authenticateJWT,
   isAdmin,
   [
     param('paymentId').isInt().withMessage('Valid Payment ID is required.'),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+      .withMessage('Reason must be 500 characters or less.'),
   ],
+  createAdminAction('DELETE_PAYMENT'),
   paymentController.deletePayment
 );
 
@@ -204,6 +450,18 @@ router.get(
   paymentController.getUserPayments
 );
 
+// GET the platform fee a payment would carry, before initiating it
+router.get(
+  '/fee-quote',
+  authenticateJWT,
+  [
+    query('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
+    query('paymentMethod').isIn(['KCB', 'MPESA']).withMessage('Payment method must be KCB or MPESA.'),
+    query('paymentType').isString().trim().notEmpty().withMessage('Payment type is required.'),
+  ],
+  paymentController.getFeeQuote
+);
+
 // GET payment status (user can check their own, admin can check any)
 router.get(
   '/status/:paymentId',
@@ -218,11 +476,12 @@ router.get(
 router.post(
   '/initiate',
   authenticateJWT,
+  idempotent(),
   [
     body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
     body('paymentType').isString().notEmpty().withMessage('Payment type is required.')
      .custom(value => {
-        const validTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL'];
+        const validTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL', 'SPLIT_GIFT'];
         if (!validTypes.includes(value)) {
           throw new Error(`Invalid payment type. Must be one of: ${validTypes.join(', ')}`);
         }
@@ -234,10 +493,10 @@ router.post(
     
     // Updated tithe distribution validation for amounts
     body('titheDistributionSDA').if(body('paymentType').equals('TITHE')).optional().isObject()
-      .custom((value, { req }) => {
+      .custom(async (value, { req }) => {
         if (req.body.paymentType === 'TITHE' && value) {
           const totalAmount = parseFloat(req.body.amount);
-          const validCategories = ['campMeetingExpenses', 'welfare', 'thanksgiving', 'stationFund', 'mediaMinistry'];
+          const validCategories = await getTitheCategoryCodes();
           let totalDistributed = 0;
           
           // Validate each category amount
@@ -263,6 +522,8 @@ router.post(
     
     // Conditional validation for special offerings
     body('specialOfferingId').if(body('paymentType').equals('SPECIAL')).isInt().withMessage('Special Offering ID is required for special offerings.'),
+    body('isAnonymous').optional().isBoolean().toBoolean(),
+    ...splitGiftValidators,
   ],
   paymentController.initiatePayment
 );
@@ -270,6 +531,7 @@ router.post(
 router.post(
   '/initiate-mpesa',
   authenticateJWT,
+  idempotent(),
   [
     body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
     body('paymentType').isString().notEmpty().withMessage('Payment type is required.')
@@ -285,10 +547,10 @@ router.post(
     
     // Updated tithe distribution validation
     body('titheDistributionSDA').if(body('paymentType').equals('TITHE')).optional().isObject()
-      .custom((value, { req }) => {
+      .custom(async (value, { req }) => {
         if (req.body.paymentType === 'TITHE' && value) {
           const totalAmount = parseFloat(req.body.amount);
-          const validCategories = ['campMeetingExpenses', 'welfare', 'thanksgiving', 'stationFund', 'mediaMinistry'];
+          const validCategories = await getTitheCategoryCodes();
           let totalDistributed = 0;
           
           for (const [category, amount] of Object.entries(value)) {
@@ -319,11 +581,12 @@ router.post(
 router.post(
   '/initiate-kcb',
   authenticateJWT,
+  idempotent(),
   [
     body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
     body('paymentType').isString().notEmpty().withMessage('Payment type is required.')
      .custom(value => {
-        const validTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL'];
+        const validTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL', 'SPLIT_GIFT'];
         if (!validTypes.includes(value)) {
           throw new Error(`Invalid payment type. Must be one of: ${validTypes.join(', ')}`);
         }
@@ -334,10 +597,10 @@ router.post(
     
     // Updated tithe distribution validation
     body('titheDistributionSDA').if(body('paymentType').equals('TITHE')).optional().isObject()
-      .custom((value, { req }) => {
+      .custom(async (value, { req }) => {
         if (req.body.paymentType === 'TITHE' && value) {
           const totalAmount = parseFloat(req.body.amount);
-          const validCategories = ['campMeetingExpenses', 'welfare', 'thanksgiving', 'stationFund', 'mediaMinistry'];
+          const validCategories = await getTitheCategoryCodes();
           let totalDistributed = 0;
           
           for (const [category, amount] of Object.entries(value)) {
@@ -360,6 +623,7 @@ router.post(
       }),
     
     body('specialOfferingId').if(body('paymentType').equals('SPECIAL')).optional().isInt(),
+    ...splitGiftValidators,
   ],
   (req, res, next) => {
     // Set payment method to KCB for this endpoint
@@ -0,0 +1,75 @@
+// server/routes/remittanceRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const remittanceController = require('../controllers/remittanceController.js');
+
+const router = express.Router();
+
+// All remittance routes are admin only
+router.use(authenticateJWT);
+router.use(isAdmin);
+
+const periodEndAfterStart = (value, { req }) => {
+  const startDate = req.body.startDate || req.query.startDate;
+  if (startDate && new Date(value) < new Date(startDate)) {
+    throw new Error('End date must be on or after start date.');
+  }
+  return true;
+};
+
+// Preview remittable tithe and offering shares for a period
+router.get(
+  '/calculate',
+  [
+    query('startDate').isISO8601().withMessage('Valid start date is required.'),
+    query('endDate').isISO8601().withMessage('Valid end date is required.').custom(periodEndAfterStart),
+  ],
+  remittanceController.calculateRemittance
+);
+
+// Create a remittance and its withdrawal requests for a period
+router.post(
+  '/',
+  [
+    body('startDate').isISO8601().withMessage('Valid start date is required.'),
+    body('endDate').isISO8601().withMessage('Valid end date is required.').custom(periodEndAfterStart),
+    body('destinationAccount').optional().isString().trim().isLength({ min: 8, max: 50 })
+      .withMessage('Destination account must be between 8 and 50 characters.'),
+    body('notes').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Notes must be 500 characters or less.'),
+  ],
+  remittanceController.createRemittance
+);
+
+// List remittances
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['PENDING', 'REMITTED', 'PARTIALLY_REMITTED', 'VOID', 'ALL'])
+      .withMessage('Invalid status filter.'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  remittanceController.getRemittances
+);
+
+// Get a remittance
+router.get(
+  '/:remittanceId',
+  [
+    param('remittanceId').isInt({ min: 1 }).withMessage('Valid remittance ID is required.'),
+  ],
+  remittanceController.getRemittanceById
+);
+
+// Download the remittance statement PDF
+router.get(
+  '/:remittanceId/statement',
+  [
+    param('remittanceId').isInt({ min: 1 }).withMessage('Valid remittance ID is required.'),
+  ],
+  remittanceController.downloadRemittanceStatement
+);
+
+module.exports = router;
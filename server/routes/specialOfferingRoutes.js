@@ -2,6 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const { idempotent } = require('../middlewares/idempotency.js');
 const specialOfferingController = require('../controllers/specialOfferingController.js');
 
 const router = express.Router();
@@ -86,7 +87,8 @@ router.delete(
   authenticateJWT,
   isAdmin,
   [
-    param('identifier').notEmpty().withMessage('Offering identifier (ID or Code) is required.').trim()
+    param('identifier').notEmpty().withMessage('Offering identifier (ID or Code) is required.').trim(),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
   ],
   specialOfferingController.deleteSpecialOffering
 );
@@ -104,6 +106,7 @@ router.get(
 router.post(
   '/:identifier/contribution', // Changed from /payment to avoid conflict with main payment routes if base changes
   authenticateJWT,
+  idempotent(),
   [
     param('identifier').notEmpty().withMessage('Offering identifier (ID or Code) is required.').trim(),
     body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number.'),
@@ -111,7 +114,8 @@ router.post(
     body('paymentMethod').optional().isIn(['MPESA', 'MANUAL']).withMessage('Invalid payment method for this context. Admins use "MANUAL", users initiate "MPESA".')
       .default('MPESA'), // Default to MPESA for user contributions
     body('phoneNumber').optional().if(body('paymentMethod').equals('MPESA'))
-      .isMobilePhone('any', { strictMode: false }).withMessage('Valid phone number required for M-Pesa.')
+      .isMobilePhone('any', { strictMode: false }).withMessage('Valid phone number required for M-Pesa.'),
+    body('isAnonymous').optional().isBoolean().toBoolean()
   ],
   specialOfferingController.makePaymentToOffering
 );
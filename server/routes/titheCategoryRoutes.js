@@ -0,0 +1,63 @@
+// server/routes/titheCategoryRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const titheCategoryController = require('../controllers/titheCategoryController.js');
+
+const router = express.Router();
+
+// Get tithe categories (any logged-in user; admins may include retired ones)
+router.get(
+  '/',
+  authenticateJWT,
+  [
+    query('includeInactive').optional().isIn(['true', 'false']).withMessage('includeInactive must be true or false.'),
+  ],
+  titheCategoryController.getTitheCategories
+);
+
+// Create a tithe category (Admin only, excluding view-only admins)
+router.post(
+  '/',
+  authenticateJWT,
+  isAdmin,
+  [
+    body('code').isString().trim().notEmpty().withMessage('Category code is required.')
+      .matches(/^[a-zA-Z][a-zA-Z0-9]{1,49}$/).withMessage('Category code must start with a letter and contain only letters and numbers (2-50 characters).'),
+    body('displayName').isString().trim().notEmpty().withMessage('Display name is required.')
+      .isLength({ max: 100 }).withMessage('Display name must be 100 characters or less.'),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+    body('sortOrder').optional().isInt({ min: 0 }).toInt().withMessage('Sort order must be a non-negative integer.'),
+  ],
+  titheCategoryController.createTitheCategory
+);
+
+// Update a tithe category (code cannot change)
+router.put(
+  '/:categoryId',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('categoryId').isInt({ min: 1 }).withMessage('Valid category ID is required.'),
+    body('code').not().exists().withMessage('Category code cannot be changed.'),
+    body('displayName').optional().isString().trim().notEmpty().withMessage('Display name cannot be empty.')
+      .isLength({ max: 100 }).withMessage('Display name must be 100 characters or less.'),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+    body('sortOrder').optional().isInt({ min: 0 }).toInt().withMessage('Sort order must be a non-negative integer.'),
+    body('isActive').optional().isBoolean().toBoolean(),
+  ],
+  titheCategoryController.updateTitheCategory
+);
+
+// Retire a tithe category (kept for history, never hard-deleted)
+router.delete(
+  '/:categoryId',
+  authenticateJWT,
+  isAdmin,
+  [
+    param('categoryId').isInt({ min: 1 }).withMessage('Valid category ID is required.'),
+  ],
+  titheCategoryController.retireTitheCategory
+);
+
+module.exports = router;
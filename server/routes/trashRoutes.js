@@ -0,0 +1,43 @@
+// server/routes/trashRoutes.js
+const express = require('express');
+const { param, query } = require('express-validator');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth.js');
+const { createAdminAction } = require('../middlewares/multiAdmin.js');
+const trashController = require('../controllers/trashController.js');
+
+const router = express.Router();
+
+// Apply admin authentication to all trash routes
+router.use(authenticateJWT);
+router.use(isAdmin);
+
+const TRASH_TYPES = ['users', 'payments', 'receipts', 'specialOfferings', 'batchPayments'];
+
+const recordValidators = [
+  param('type').isIn(TRASH_TYPES).withMessage(`Type must be one of: ${TRASH_TYPES.join(', ')}.`),
+  param('id').isInt({ min: 1 }).withMessage('Valid record ID is required.'),
+];
+
+// GET deleted records of a type, or counts per type when no type is given
+router.get(
+  '/',
+  [
+    query('type').optional().isIn(TRASH_TYPES).withMessage(`Type must be one of: ${TRASH_TYPES.join(', ')}.`),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  trashController.getTrash
+);
+
+// POST restore a deleted record (and the rows deleted with it)
+router.post('/:type/:id/restore', recordValidators, trashController.restoreRecord);
+
+// DELETE permanently remove a record from the trash (requires multi-admin approval)
+router.delete(
+  '/:type/:id',
+  recordValidators,
+  createAdminAction('PURGE_RECORD', { targetId: (req) => `${req.params.type}:${req.params.id}` }),
+  trashController.purgeRecord
+);
+
+module.exports = router;
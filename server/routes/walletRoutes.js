@@ -3,13 +3,31 @@
 const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/walletController');
+const totpController = require('../controllers/totpController');
 const { authenticateJWT, isAdmin } = require('../middlewares/auth');
 const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 
 // Apply admin authentication to all wallet routes
 router.use(authenticateJWT);
 router.use(isAdmin);
 
+// Authenticator and recovery codes are short, so each admin gets a few failed attempts per window;
+// successful requests are not counted
+const approverCodeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `user:${req.user.id}`,
+    skipSuccessfulRequests: true,
+    message: {
+        success: false,
+        message: 'Too many failed authenticator attempts. Please wait 15 minutes and try again.',
+        error: { code: 'RATE_LIMIT_EXCEEDED' }
+    }
+});
+
 // Validation rules
 const withdrawalValidation = [
     body('walletId').isInt().withMessage('Valid wallet ID is required'),
@@ -21,13 +39,66 @@ const withdrawalValidation = [
     body('destinationPhone').optional().matches(/^(\+254|0)?[17]\d{8}$/).withMessage('Valid Kenyan phone number required')
 ];
 
+const transferValidation = [
+    body('sourceWalletId').isInt().withMessage('Valid source wallet ID is required'),
+    body('destinationWalletId').isInt().withMessage('Valid destination wallet ID is required'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('purpose').trim().isLength({ min: 3, max: 100 }).withMessage('Purpose must be 3-100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be 500 characters or less')
+];
+
 const approveWithdrawalValidation = [
     param('withdrawalId').isInt().withMessage('Valid withdrawal ID required'),
-    body('password').notEmpty().withMessage('Approval password required'),
-    body('approvalMethod').optional().isIn(['PASSWORD', 'BIOMETRIC']).withMessage('Invalid approval method'),
+    body('totpCode').optional().matches(/^\d{6}$/).withMessage('Authenticator code must be 6 digits'),
+    body('recoveryCode').optional().isString().trim().isLength({ min: 10, max: 20 }).withMessage('Invalid recovery code format'),
+    body().custom(value => {
+        if (!value.totpCode && !value.recoveryCode) {
+            throw new Error('Authenticator code or recovery code required');
+        }
+        return true;
+    }),
     body('comment').optional().isString().trim().isLength({ max: 200 }).withMessage('Comment must be 200 characters or less')
 ];
 
+const rejectWithdrawalValidation = [
+    param('withdrawalId').isInt().withMessage('Valid withdrawal ID required'),
+    body('reason').isString().trim().isLength({ min: 3, max: 200 }).withMessage('Rejection reason must be 3-200 characters')
+];
+
+const cancelWithdrawalValidation = [
+    param('withdrawalId').isInt().withMessage('Valid withdrawal ID required'),
+    body('reason').optional().isString().trim().isLength({ max: 200 }).withMessage('Reason must be 200 characters or less')
+];
+
+const totpCodeValidation = [
+    body('code').matches(/^\d{6}$/).withMessage('Authenticator code must be 6 digits')
+];
+
+const withdrawalPolicyValidation = [
+    param('walletType').isIn(['TITHE', 'OFFERING', 'DONATION', 'SPECIAL_OFFERING', 'DEFAULT']).withMessage('Invalid wallet type'),
+    body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Policy name must be 3-100 characters'),
+    body('approvalTiers').isArray({ min: 1 }).withMessage('At least one approval tier is required'),
+    body('approvalTiers.*.minAmount').isFloat({ min: 0 }).withMessage('Tier minimum amount must be 0 or more'),
+    body('approvalTiers.*.requiredApprovals').isInt({ min: 1, max: 10 }).withMessage('Tier approvals must be between 1 and 10'),
+    body('allowedWindows').optional({ nullable: true }).isArray().withMessage('Allowed windows must be an array'),
+    body('allowedWindows.*.days').isArray({ min: 1 }).withMessage('Each window needs at least one day'),
+    body('allowedWindows.*.days.*').isInt({ min: 0, max: 6 }).withMessage('Days must be 0 (Sunday) to 6 (Saturday)'),
+    body('allowedWindows.*.startHour').isInt({ min: 0, max: 23 }).withMessage('Start hour must be 0-23'),
+    body('allowedWindows.*.endHour').isInt({ min: 1, max: 24 }).withMessage('End hour must be 1-24')
+        .custom((value, { req, path }) => {
+            const index = path.split('[')[1].split(']')[0];
+            if (parseInt(value) <= parseInt(req.body.allowedWindows[index].startHour)) {
+                throw new Error('End hour must be after start hour');
+            }
+            return true;
+        }),
+    body('dailyLimit').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Daily limit must be greater than 0'),
+    body('monthlyLimit').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Monthly limit must be greater than 0'),
+    body('approverRoles').optional({ nullable: true }).isArray().withMessage('Approver roles must be an array'),
+    body('approverRoles.*').isString().trim().notEmpty().withMessage('Approver roles must be non-empty strings'),
+    body('isActive').optional().isBoolean().toBoolean()
+];
+
 const titheDistributionValidation = [
     body('distribution').isObject().withMessage('Valid distribution object required'),
     body('totalAmount').isFloat({ min: 0.01 }).withMessage('Valid total amount required')
@@ -50,6 +121,16 @@ router.get('/:walletId/transactions', [
     query('transactionType').optional().isIn(['DEPOSIT', 'WITHDRAWAL', 'ALL']).withMessage('Invalid transaction type')
 ], walletController.getWalletTransactions);
 
+// GET wallet statement (opening balance, ledger entries, closing balance) for a period
+router.get('/:walletId/statement', [
+    param('walletId').isInt().withMessage('Valid wallet ID is required'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+], walletController.getWalletStatement);
+
+// GET check stored balances against the ledger
+router.get('/integrity', walletController.checkWalletIntegrity);
+
 // ====================
 // WALLET MANAGEMENT ROUTES
 // ====================
@@ -72,10 +153,11 @@ router.post('/update-balances', [
 
 // GET all withdrawal requests with filtering
 router.get('/withdrawals', [
-    query('status').optional().isIn(['PENDING', 'APPROVED', 'COMPLETED', 'REJECTED', 'ALL']).withMessage('Invalid status filter'),
+    query('status').optional().isIn(['PENDING', 'APPROVED', 'COMPLETED', 'REJECTED', 'CANCELLED', 'EXPIRED', 'ALL']).withMessage('Invalid status filter'),
     query('page').optional().isInt({ min: 1 }).toInt().default(1),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt().default(20),
     query('walletType').optional().isString().trim(),
+    query('requestType').optional().isIn(['WITHDRAWAL', 'TRANSFER', 'ALL']).withMessage('Invalid request type'),
     query('startDate').optional().isISO8601().toDate(),
     query('endDate').optional().isISO8601().toDate()
 ], walletController.getWithdrawalRequests);
@@ -83,12 +165,58 @@ router.get('/withdrawals', [
 // POST create new withdrawal request
 router.post('/withdrawals', withdrawalValidation, walletController.createWithdrawalRequest);
 
+// POST create inter-wallet transfer request (approved like a withdrawal)
+router.post('/transfers', transferValidation, walletController.createTransferRequest);
+
 // POST approve withdrawal request
-router.post('/withdrawals/:withdrawalId/approve', 
-    approveWithdrawalValidation, 
+router.post('/withdrawals/:withdrawalId/approve',
+    approverCodeLimiter,
+    approveWithdrawalValidation,
     walletController.approveWithdrawalRequest
 );
 
+// POST reject withdrawal request (a single approver's veto is final)
+router.post('/withdrawals/:withdrawalId/reject', rejectWithdrawalValidation, walletController.rejectWithdrawalRequest);
+
+// POST cancel own pending withdrawal request
+router.post('/withdrawals/:withdrawalId/cancel', cancelWithdrawalValidation, walletController.cancelWithdrawalRequest);
+
+// POST expire stale pending withdrawal requests now (also runs on a schedule)
+router.post('/withdrawals/expire', walletController.expireWithdrawalRequests);
+
+// GET withdrawal policies
+router.get('/policies', walletController.getWithdrawalPolicies);
+
+// PUT create or replace the withdrawal policy for a wallet type
+router.put('/policies/:walletType', withdrawalPolicyValidation, walletController.upsertWithdrawalPolicy);
+
+// DELETE withdrawal policy for a wallet type
+router.delete('/policies/:walletType', [
+    param('walletType').isIn(['TITHE', 'OFFERING', 'DONATION', 'SPECIAL_OFFERING', 'DEFAULT']).withMessage('Invalid wallet type')
+], walletController.deleteWithdrawalPolicy);
+
+// ====================
+// APPROVER AUTHENTICATOR (TOTP) ROUTES
+// ====================
+
+// GET current admin's authenticator enrollment status
+router.get('/approver-totp', totpController.getTotpStatus);
+
+// POST start enrollment (returns otpauth URI and QR code)
+router.post('/approver-totp/enroll', totpController.startTotpEnrollment);
+
+// POST confirm enrollment with first code (returns recovery codes)
+router.post('/approver-totp/verify', approverCodeLimiter, totpCodeValidation, totpController.confirmTotpEnrollment);
+
+// POST regenerate recovery codes
+router.post('/approver-totp/recovery-codes', approverCodeLimiter, totpCodeValidation, totpController.regenerateRecoveryCodes);
+
+// DELETE remove authenticator
+router.delete('/approver-totp', approverCodeLimiter, [
+    body('code').optional().matches(/^\d{6}$/).withMessage('Authenticator code must be 6 digits'),
+    body('recoveryCode').optional().isString().trim()
+], totpController.disableTotp);
+
 // ====================
 // UTILITY ROUTES
 // ====================
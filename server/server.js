@@ -17,10 +17,12 @@ const {
 
 // Import PrismaClient
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withSoftDelete } = require('./utils/softDelete.js');
+const prisma = withSoftDelete(new PrismaClient());
 
 // Import routes using CommonJS
 const mainApiRoutes = require('./routes/index.js');
+const { startScheduledJobs } = require('./utils/scheduler.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -38,6 +40,12 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For (rate limiting, callback IP allowlists)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // --- Debug Logging ---
 let fs;
 const LOG_DIR = path.join(__dirname, 'logs');
@@ -104,7 +112,8 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-ID', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 200 // For legacy browser support
 };
@@ -163,6 +172,8 @@ app.use(bodyParser.json({
   limit: '10mb',
   verify: (req, res, buf, encoding) => {
     if (buf && buf.length) {
+      // Kept for payment callback signature checks
+      req.rawBody = buf;
       try {
         JSON.parse(buf.toString());
       } catch (e) {
@@ -423,6 +434,8 @@ const startServer = () => {
       validateMpesaConfiguration();
     }
 
+    startScheduledJobs();
+
     debugLog('Server startup complete with all validations passed.');
     console.log('\n✅ Server started successfully!\n');
   }).on('error', (error) => {
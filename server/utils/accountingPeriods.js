@@ -0,0 +1,92 @@
+// server/utils/accountingPeriods.js
+// Month-end close: monthly accounting periods keyed YYYY-MM. Records dated inside a CLOSED period
+// cannot be created, edited or deleted; corrections go through adjustment entries in an open period.
+
+const PERIOD_KEY_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Roles allowed to close and reopen periods (PERIOD_CLOSE_ROLES, default SUPER_ADMIN)
+ * @returns {string[]}
+ */
+const getPeriodCloseRoles = () => {
+  return (process.env.PERIOD_CLOSE_ROLES || 'SUPER_ADMIN')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Period key (YYYY-MM) of a date, in server local time
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const getPeriodKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * First and last instant of the month a period key names
+ * @param {string} periodKey - YYYY-MM
+ * @returns {{periodStart: Date, periodEnd: Date}|null} null when the key is malformed
+ */
+const getPeriodBounds = (periodKey) => {
+  const match = PERIOD_KEY_PATTERN.exec(periodKey || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1]);
+  const monthIndex = parseInt(match[2]) - 1;
+  return {
+    periodStart: new Date(year, monthIndex, 1, 0, 0, 0, 0),
+    periodEnd: new Date(year, monthIndex + 1, 0, 23, 59, 59, 999)
+  };
+};
+
+/**
+ * Find the closed period containing any of the given dates
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<Date|string>|Date|string} dates - Record dates to check (falsy entries are ignored)
+ * @returns {Promise<Object|null>} The closed AccountingPeriod, or null when all dates are open
+ */
+const findClosedPeriod = async (client, dates) => {
+  const periodKeys = [...new Set(
+    [].concat(dates)
+      .filter(Boolean)
+      .map(date => new Date(date))
+      .filter(date => !isNaN(date.getTime()))
+      .map(getPeriodKey)
+  )];
+
+  if (periodKeys.length === 0) return null;
+
+  return client.accountingPeriod.findFirst({
+    where: { periodKey: { in: periodKeys }, status: 'CLOSED' },
+    orderBy: { periodStart: 'asc' }
+  });
+};
+
+/**
+ * Throw a 409 error object when any of the dates falls inside a closed period
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<Date|string>|Date|string} dates - Record dates to check
+ * @param {string} action - What was attempted, for the message (e.g. 'delete payments')
+ * @throws {{statusCode: number, message: string, errorDetails: Object}}
+ */
+const assertPeriodOpen = async (client, dates, action) => {
+  const closedPeriod = await findClosedPeriod(client, dates);
+  if (closedPeriod) {
+    throw {
+      statusCode: 409,
+      message: `Cannot ${action}: accounting period ${closedPeriod.periodKey} is closed. Record an adjustment in the current period instead.`,
+      errorDetails: { code: 'PERIOD_CLOSED', periodKey: closedPeriod.periodKey }
+    };
+  }
+};
+
+module.exports = {
+  getPeriodCloseRoles,
+  getPeriodKey,
+  getPeriodBounds,
+  findClosedPeriod,
+  assertPeriodOpen
+};
@@ -0,0 +1,446 @@
+// server/utils/bankStatementParsers.js
+// Parsers for bank statement files: CSV in configurable column layouts, SWIFT MT940 and
+// ISO 20022 camt.053. Every parser returns the same shape, with signed amounts (credits
+// positive) like the rows the live KCB sync stores.
+const crypto = require('crypto');
+
+const STATEMENT_FORMATS = ['CSV', 'MT940', 'CAMT053'];
+
+// Built-in CSV layouts. Columns are header names (matched case-insensitively) or 0-based indexes;
+// use either a signed `amount` column or separate `credit` and `debit` columns.
+const BUILT_IN_CSV_LAYOUTS = {
+  GENERIC: {
+    columns: { date: 'Date', transactionId: 'Transaction ID', reference: 'Reference', description: 'Description', amount: 'Amount' },
+    dateFormat: 'YYYY-MM-DD'
+  },
+  KCB: {
+    columns: { date: 'Transaction Date', transactionId: 'Bank Reference', description: 'Narrative', credit: 'Money In', debit: 'Money Out' },
+    dateFormat: 'DD/MM/YYYY'
+  },
+  MPESA: {
+    columns: { date: 'Completion Time', transactionId: 'Receipt No.', reference: 'Other Party Info', description: 'Details', credit: 'Paid In', debit: 'Withdrawn' },
+    dateFormat: 'YYYY-MM-DD'
+  }
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * CSV layouts: the built-in ones plus any named layouts in BANK_STATEMENT_CSV_LAYOUTS (JSON)
+ * @returns {Object<string, Object>}
+ */
+const getCsvLayouts = () => {
+  let custom = {};
+  if (process.env.BANK_STATEMENT_CSV_LAYOUTS) {
+    try {
+      custom = JSON.parse(process.env.BANK_STATEMENT_CSV_LAYOUTS);
+    } catch (error) {
+      custom = {};
+    }
+  }
+  const layouts = { ...BUILT_IN_CSV_LAYOUTS };
+  Object.entries(custom).forEach(([name, layout]) => {
+    layouts[name.toUpperCase()] = layout;
+  });
+  return layouts;
+};
+
+/**
+ * Parse a date in the given field order (e.g. DD/MM/YYYY, YYYY-MM-DD, DD-MMM-YYYY); separators
+ * are ignored, month names are accepted and a trailing time is kept
+ * @param {string} value
+ * @param {string} format
+ * @returns {Date|null}
+ */
+const parseStatementDate = (value, format = 'YYYY-MM-DD') => {
+  const tokens = String(value || '').trim().split(/[\s/\-.,T:]+/).filter(Boolean);
+  const order = (format.toUpperCase().match(/Y+|M+|D+/g) || []).map(part => part[0]);
+  if (tokens.length < 3 || order.length !== 3) return null;
+
+  const parts = {};
+  order.forEach((part, index) => { parts[part] = tokens[index]; });
+
+  const monthName = MONTHS.indexOf(String(parts.M).substring(0, 3).toUpperCase());
+  const month = monthName >= 0 ? monthName + 1 : parseInt(parts.M);
+  let year = parseInt(parts.Y);
+  if (year < 100) year += 2000;
+  const day = parseInt(parts.D);
+  const [hours = 0, minutes = 0, seconds = 0] = tokens.slice(3, 6).map(token => parseInt(token) || 0);
+
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+/**
+ * Parse a statement amount: currency text, thousands separators, (123.00), trailing CR/DR and
+ * a decimal comma (when decimalSeparator is ',') are handled
+ * @param {string|number} value
+ * @param {string} [decimalSeparator]
+ * @returns {number|null} null for an empty cell
+ */
+const parseStatementAmount = (value, decimalSeparator = '.') => {
+  let text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+  if (!text || text === '-') return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1); }
+  if (/DR$/.test(text)) { sign = -1; text = text.slice(0, -2); }
+  if (/CR$/.test(text)) { text = text.slice(0, -2); }
+  if (text.includes('-')) { sign = -sign; }
+
+  text = decimalSeparator === ','
+    ? text.replace(/[^\d,]/g, '').replace(',', '.')
+    : text.replace(/[^\d.]/g, '');
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : sign * Math.round(amount * 100) / 100;
+};
+
+// Split CSV text into rows of cells (quoted cells may contain delimiters, quotes and newlines)
+const splitCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell); cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const detectDelimiter = (text) => {
+  const firstLines = text.split(/\r?\n/).slice(0, 20).join('\n');
+  return [',', ';', '\t', '|'].reduce((best, candidate) => (
+    firstLines.split(candidate).length > firstLines.split(best).length ? candidate : best
+  ), ',');
+};
+
+/**
+ * Parse a CSV statement
+ * @param {string} text
+ * @param {Object} layout - { columns, dateFormat, delimiter, decimalSeparator }
+ * @returns {Object} Parsed statement
+ */
+const parseCsvStatement = (text, layout) => {
+  const { dateFormat = 'YYYY-MM-DD', decimalSeparator = '.' } = layout;
+  // A column set to null or '' in a custom mapping switches off the layout's column
+  const columns = Object.fromEntries(Object.entries(layout.columns || {}).filter(([, column]) => column !== null && column !== undefined && column !== ''));
+  if (columns.date === undefined || (columns.amount === undefined && columns.credit === undefined && columns.debit === undefined)) {
+    throw new Error('CSV layout needs a date column and an amount column (or credit and debit columns).');
+  }
+
+  const rows = splitCsv(text.replace(/^\uFEFF/, ''), layout.delimiter || detectDelimiter(text));
+  const usesNames = Object.values(columns).some(column => typeof column === 'string' && !/^\d+$/.test(column));
+  const normalize = (value) => String(value).trim().toLowerCase();
+
+  // Bank exports often start with account details; the header is the first row naming the date column
+  let headerIndex = -1;
+  if (usesNames) {
+    headerIndex = rows.findIndex(cells => cells.map(normalize).includes(normalize(columns.date)));
+    if (headerIndex === -1) {
+      throw new Error(`No header row with a "${columns.date}" column was found.`);
+    }
+  }
+  const header = headerIndex >= 0 ? rows[headerIndex].map(normalize) : [];
+  const indexOf = (column) => {
+    if (column === undefined || column === null) return -1;
+    if (typeof column === 'number' || /^\d+$/.test(String(column))) return parseInt(column);
+    return header.indexOf(normalize(column));
+  };
+  const index = Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, indexOf(column)]));
+  const missing = Object.entries(index).filter(([, position]) => position === -1).map(([field]) => columns[field]);
+  if (missing.length > 0) {
+    throw new Error(`Columns not found in CSV header: ${missing.join(', ')}.`);
+  }
+
+  const cell = (cells, field) => (index[field] !== undefined ? (cells[index[field]] || '').trim() : '');
+  const transactions = [];
+  const errors = [];
+
+  rows.slice(headerIndex + 1).forEach((cells, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    const transactionDate = parseStatementDate(cell(cells, 'date'), dateFormat);
+    let amount = index.amount !== undefined ? parseStatementAmount(cell(cells, 'amount'), decimalSeparator) : null;
+    if (index.amount === undefined) {
+      const credit = parseStatementAmount(cell(cells, 'credit'), decimalSeparator);
+      const debit = parseStatementAmount(cell(cells, 'debit'), decimalSeparator);
+      amount = credit ? Math.abs(credit) : (debit ? -Math.abs(debit) : null);
+    }
+
+    if (!transactionDate || !amount) {
+      // Totals and balance lines have no date or amount; only report rows that look like entries
+      if (transactionDate || amount) {
+        errors.push({ row: rowNumber, message: !transactionDate ? 'Unreadable date' : 'Missing amount' });
+      }
+      return;
+    }
+
+    transactions.push({
+      transactionId: cell(cells, 'transactionId') || null,
+      reference: cell(cells, 'reference') || null,
+      description: cell(cells, 'description') || null,
+      amount,
+      transactionDate,
+      raw: { row: rowNumber, cells }
+    });
+  });
+
+  return { format: 'CSV', accountId: null, currency: null, openingBalance: null, closingBalance: null, transactions, errors };
+};
+
+// MT940 balance field (:60F:, :62F:): C/D mark, YYMMDD date, currency, amount with decimal comma
+const parseMt940Balance = (value) => {
+  const match = /^([CD])(\d{6})([A-Z]{3})([\d,]+)/.exec(value || '');
+  if (!match) return null;
+  const amount = parseFloat(match[4].replace(',', '.'));
+  return { amount: match[1] === 'D' ? -amount : amount, currency: match[3] };
+};
+
+const mt940Date = (yymmdd) => new Date(2000 + parseInt(yymmdd.substring(0, 2)), parseInt(yymmdd.substring(2, 4)) - 1, parseInt(yymmdd.substring(4, 6)));
+
+/**
+ * Parse a SWIFT MT940 statement (one or more messages)
+ * @param {string} text
+ * @returns {Object} Parsed statement
+ */
+const parseMt940Statement = (text) => {
+  // Collect tags; lines that do not start a tag continue the previous one
+  const fields = [];
+  text.replace(/\r/g, '').split('\n').forEach(line => {
+    const tag = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line.trim() && !/^-}?$|^\{/.test(line.trim())) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+  if (!fields.some(field => field.tag === '61')) {
+    throw new Error('No :61: statement lines found; is this an MT940 file?');
+  }
+
+  const statement = { format: 'MT940', accountId: null, currency: null, openingBalance: null, closingBalance: null, transactions: [], errors: [] };
+  let current = null;
+
+  fields.forEach(({ tag, value }, position) => {
+    if (tag === '25' && !statement.accountId) {
+      statement.accountId = value.trim();
+    } else if ((tag === '60F' || tag === '60M') && statement.openingBalance === null) {
+      const balance = parseMt940Balance(value);
+      if (balance) { statement.openingBalance = balance.amount; statement.currency = balance.currency; }
+    } else if (tag === '62F' || tag === '62M') {
+      const balance = parseMt940Balance(value);
+      if (balance) statement.closingBalance = balance.amount;
+    } else if (tag === '61') {
+      // YYMMDD [MMDD] (R)C|D [fund code] amount type-code customer-ref [//bank-ref] [\n details]
+      const match = /^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([NFS][A-Z0-9]{3})([^\n/]*(?:\/(?!\/)[^\n/]*)*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/.exec(value);
+      if (!match) {
+        statement.errors.push({ row: position + 1, message: `Unreadable :61: line "${value.split('\n')[0]}"` });
+        current = null;
+        return;
+      }
+      const amount = parseFloat(match[5].replace(',', '.'));
+      const isDebit = match[3] === 'D' || match[3] === 'RC';
+      const customerRef = match[7].trim();
+      const bankRef = (match[8] || '').trim();
+      current = {
+        transactionId: bankRef || null,
+        reference: customerRef && customerRef !== 'NONREF' ? customerRef : null,
+        description: (match[9] || '').trim() || null,
+        amount: isDebit ? -amount : amount,
+        transactionDate: mt940Date(match[1]),
+        raw: { line: value }
+      };
+      statement.transactions.push(current);
+    } else if (tag === '86' && current) {
+      current.description = [current.description, value.replace(/\n/g, ' ').trim()].filter(Boolean).join(' ').substring(0, 500);
+      current.raw.information = value;
+    }
+  });
+
+  return statement;
+};
+
+const decodeXml = (value) => String(value)
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+  .trim();
+
+// Inner XML of each outermost element with the given local name (namespace prefixes are
+// ignored; nested elements of the same name, like Acct/Id/Othr/Id, are kept inside their parent)
+const xmlElements = (xml, name) => {
+  const pattern = new RegExp(`<(/?)(?:[\\w-]+:)?${name}(?:\\s[^>]*)?(/?)>`, 'g');
+  const elements = [];
+  let depth = 0;
+  let start = 0;
+  for (const match of xml.matchAll(pattern)) {
+    const [tag, closing, selfClosing] = match;
+    if (selfClosing) {
+      if (depth === 0) elements.push('');
+    } else if (!closing) {
+      if (depth === 0) start = match.index + tag.length;
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+      if (depth === 0) elements.push(xml.substring(start, match.index));
+    }
+  }
+  return elements;
+};
+
+// Text of the first element reached by following a path of local names
+const xmlText = (xml, path) => {
+  let fragment = xml;
+  for (const name of path) {
+    const [inner] = xmlElements(fragment, name);
+    if (inner === undefined) return null;
+    fragment = inner;
+  }
+  return fragment.includes('<') ? null : decodeXml(fragment);
+};
+
+/**
+ * Parse an ISO 20022 camt.053 bank-to-customer statement
+ * @param {string} xml
+ * @returns {Object} Parsed statement
+ */
+const parseCamt053Statement = (xml) => {
+  const [stmt] = xmlElements(xml, 'Stmt');
+  if (stmt === undefined) {
+    throw new Error('No <Stmt> element found; is this a camt.053 file?');
+  }
+
+  const statement = {
+    format: 'CAMT053',
+    accountId: xmlText(stmt, ['Acct', 'Id', 'IBAN']) || xmlText(stmt, ['Acct', 'Id', 'Othr', 'Id']),
+    currency: xmlText(stmt, ['Acct', 'Ccy']),
+    openingBalance: null,
+    closingBalance: null,
+    transactions: [],
+    errors: []
+  };
+
+  xmlElements(stmt, 'Bal').forEach(balance => {
+    const code = xmlText(balance, ['Tp', 'CdOrPrtry', 'Cd']);
+    const amount = parseFloat(xmlText(balance, ['Amt']));
+    const signed = xmlText(balance, ['CdtDbtInd']) === 'DBIT' ? -amount : amount;
+    if (code === 'OPBD' || code === 'PRCD') statement.openingBalance = signed;
+    if (code === 'CLBD') statement.closingBalance = signed;
+  });
+
+  xmlElements(stmt, 'Ntry').forEach((entry, index) => {
+    const amount = parseFloat(xmlText(entry, ['Amt']));
+    const dateText = xmlText(entry, ['BookgDt', 'Dt']) || xmlText(entry, ['BookgDt', 'DtTm']) || xmlText(entry, ['ValDt', 'Dt']);
+    const transactionDate = dateText ? new Date(dateText.length === 10 ? `${dateText}T00:00:00` : dateText) : null;
+    if (isNaN(amount) || !transactionDate || isNaN(transactionDate.getTime())) {
+      statement.errors.push({ row: index + 1, message: 'Entry without a readable amount or booking date' });
+      return;
+    }
+
+    const details = xmlElements(entry, 'TxDtls')[0] || '';
+    const reference = xmlText(details, ['Refs', 'EndToEndId']) || xmlText(entry, ['NtryRef']);
+    statement.transactions.push({
+      transactionId: xmlText(entry, ['AcctSvcrRef']) || xmlText(details, ['Refs', 'AcctSvcrRef']) || xmlText(details, ['Refs', 'TxId']),
+      reference: reference && reference !== 'NOTPROVIDED' ? reference : null,
+      description: [xmlText(details, ['RmtInf', 'Ustrd']), xmlText(entry, ['AddtlNtryInf'])].filter(Boolean).join(' ').substring(0, 500) || null,
+      amount: xmlText(entry, ['CdtDbtInd']) === 'DBIT' ? -amount : amount,
+      transactionDate,
+      raw: { entry: index + 1 }
+    });
+  });
+
+  return statement;
+};
+
+/**
+ * Guess a statement's format from its name and content
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string} CSV, MT940 or CAMT053
+ */
+const detectStatementFormat = (fileName, text) => {
+  const head = text.substring(0, 2000);
+  if (/<(?:[\w-]+:)?BkToCstmrStmt|camt\.053/i.test(head)) return 'CAMT053';
+  if (/^:20:|\n:20:|\{4:/.test(head) || /\.(sta|mt940|940)$/i.test(fileName || '')) return 'MT940';
+  return 'CSV';
+};
+
+// Stable ID for rows the bank did not give one: the same file always yields the same IDs, and
+// identical rows on the same day are told apart by their order
+const assignSyntheticIds = (transactions) => {
+  const occurrences = {};
+  transactions.forEach(transaction => {
+    if (transaction.transactionId) return;
+    const base = [transaction.transactionDate.toISOString().substring(0, 10), transaction.amount.toFixed(2), transaction.reference || '', transaction.description || ''].join('|');
+    occurrences[base] = (occurrences[base] || 0) + 1;
+    const digest = crypto.createHash('sha256').update(`${base}|${occurrences[base]}`).digest('hex').substring(0, 20).toUpperCase();
+    transaction.transactionId = `STMT-${digest}`;
+    transaction.syntheticId = true;
+  });
+  return transactions;
+};
+
+/**
+ * Parse an uploaded statement file
+ * @param {Buffer|string} content
+ * @param {Object} options - { fileName, format, layout (CSV layout name), columns, dateFormat, delimiter, decimalSeparator }
+ * @returns {Object} { format, accountId, currency, openingBalance, closingBalance, transactions, errors }
+ */
+const parseBankStatement = (content, options = {}) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  const format = (options.format || detectStatementFormat(options.fileName, text)).toUpperCase();
+
+  let statement;
+  if (format === 'MT940') {
+    statement = parseMt940Statement(text);
+  } else if (format === 'CAMT053') {
+    statement = parseCamt053Statement(text);
+  } else if (format === 'CSV') {
+    const layouts = getCsvLayouts();
+    const layoutName = (options.layout || 'GENERIC').toUpperCase();
+    if (!layouts[layoutName]) {
+      throw new Error(`Unknown CSV layout ${layoutName}. Available: ${Object.keys(layouts).join(', ')}.`);
+    }
+    const base = layouts[layoutName];
+    statement = parseCsvStatement(text, {
+      ...base,
+      columns: { ...base.columns, ...(options.columns || {}) },
+      dateFormat: options.dateFormat || base.dateFormat,
+      delimiter: options.delimiter || base.delimiter,
+      decimalSeparator: options.decimalSeparator || base.decimalSeparator
+    });
+  } else {
+    throw new Error(`Unsupported statement format ${format}. Supported: ${STATEMENT_FORMATS.join(', ')}.`);
+  }
+
+  assignSyntheticIds(statement.transactions);
+  return statement;
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  getCsvLayouts,
+  parseStatementDate,
+  parseStatementAmount,
+  splitCsv,
+  detectDelimiter,
+  parseCsvStatement,
+  parseMt940Statement,
+  parseCamt053Statement,
+  detectStatementFormat,
+  parseBankStatement
+};
@@ -0,0 +1,392 @@
+// server/utils/batchImport.js
+// Turns rows read from an uploaded spreadsheet into batch payment items, with a per-row preview
+// of errors (the row cannot be imported) and warnings (imported, but worth a second look)
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { excelSerialToDate } = require('./spreadsheetReader.js');
+const { parseStatementDate, parseStatementAmount } = require('./bankStatementParsers.js');
+const { findClosedPeriod, getPeriodKey } = require('./accountingPeriods.js');
+const { getTitheCategories } = require('./titheCategories.js');
+const WalletService = require('./walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_PAYMENT_TYPES = ['TITHE', 'OFFERING', 'DONATION'];
+
+// Accepted header names per field, compared lower-cased with spaces and punctuation removed
+const COLUMN_ALIASES = {
+  member: ['member'],
+  phone: ['phone', 'phonenumber', 'mobile', 'tel', 'telephone'],
+  username: ['username', 'user'],
+  memberNumber: ['membernumber', 'memberno', 'membernum', 'memberref'],
+  amount: ['amount', 'amountkes', 'kes'],
+  paymentType: ['paymenttype', 'type', 'fund'],
+  specialOffering: ['specialoffering', 'specialofferingid', 'specialofferingcode', 'offeringcode'],
+  description: ['description', 'narration', 'notes'],
+  paymentDate: ['paymentdate', 'date']
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const cellText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Last 9 digits identify a Kenyan mobile number however it was written (07.., 2547.., +254 7..)
+const phoneKey = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+
+/**
+ * Map header cells to import fields. Headers matching a tithe category code or display name
+ * become tithe split columns.
+ * @param {Array} headerCells
+ * @param {Array<Object>} titheCategories - TitheCategory rows (including retired ones)
+ * @returns {{fields: Object<string, number>, titheColumns: Object<string, number>, unrecognized: string[]}}
+ */
+const mapColumns = (headerCells, titheCategories) => {
+  const fields = {};
+  const titheColumns = {};
+  const unrecognized = [];
+
+  headerCells.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (!key) return;
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+    const category = titheCategories.find(c => normalizeHeader(c.code) === key || normalizeHeader(c.displayName) === key);
+    if (field && fields[field] === undefined) {
+      fields[field] = index;
+    } else if (category && titheColumns[category.code] === undefined) {
+      titheColumns[category.code] = index;
+    } else {
+      unrecognized.push(cellText(header));
+    }
+  });
+
+  return { fields, titheColumns, unrecognized };
+};
+
+// Date cell: an Excel serial number, YYYY-MM-DD or DD/MM/YYYY
+const parseImportDate = (value) => {
+  if (typeof value === 'number') {
+    return value > 0 && value < 2958466 ? excelSerialToDate(value) : null;
+  }
+  const text = cellText(value);
+  if (/^\d{4}[-/.]/.test(text)) return parseStatementDate(text, 'YYYY-MM-DD');
+  return parseStatementDate(text, 'DD/MM/YYYY');
+};
+
+/**
+ * Find members for every identifier used in the file in a few queries
+ * @returns {Promise<Object>} Lookup maps by phone key, lower-cased username and member number
+ */
+const loadMembers = async (client, identifiers) => {
+  const phones = [...new Set(identifiers.phones.map(phoneKey).filter(Boolean))];
+  const usernames = [...new Set(identifiers.usernames.map(value => value.toLowerCase()))];
+  const memberNumbers = [...new Set(identifiers.memberNumbers)];
+
+  const or = [
+    ...phones.map(key => ({ phone: { endsWith: key } })),
+    ...(usernames.length > 0 ? [{ username: { in: usernames, mode: 'insensitive' } }] : []),
+    ...(memberNumbers.length > 0 ? [{ memberNumber: { in: memberNumbers } }] : [])
+  ];
+  const users = or.length > 0
+    ? await client.user.findMany({
+        where: { OR: or },
+        select: { id: true, username: true, fullName: true, phone: true, memberNumber: true, isActive: true }
+      })
+    : [];
+
+  const lookup = { byPhone: new Map(), byUsername: new Map(), byMemberNumber: new Map() };
+  users.forEach(user => {
+    const key = phoneKey(user.phone);
+    if (key) lookup.byPhone.set(key, [...(lookup.byPhone.get(key) || []), user]);
+    lookup.byUsername.set(user.username.toLowerCase(), user);
+    if (user.memberNumber) lookup.byMemberNumber.set(user.memberNumber, user);
+  });
+  return lookup;
+};
+
+// Resolve the row's member from whichever identifier columns are filled in
+const resolveMember = (identifiers, lookup) => {
+  const matches = [];
+  const unmatched = [];
+  const match = (label, value, user) => (user ? matches.push({ label, user }) : unmatched.push(`${label} "${value}"`));
+
+  if (identifiers.memberNumber) match('member number', identifiers.memberNumber, lookup.byMemberNumber.get(identifiers.memberNumber));
+  if (identifiers.username) match('username', identifiers.username, lookup.byUsername.get(identifiers.username.toLowerCase()));
+  if (identifiers.phone) {
+    const candidates = lookup.byPhone.get(phoneKey(identifiers.phone)) || [];
+    if (candidates.length > 1) {
+      return { error: `Phone ${identifiers.phone} matches more than one member.` };
+    }
+    match('phone', identifiers.phone, candidates[0]);
+  }
+  if (identifiers.member) {
+    // Generic member column: try member number, then username, then phone
+    const user = lookup.byMemberNumber.get(identifiers.member)
+      || lookup.byUsername.get(identifiers.member.toLowerCase())
+      || ((lookup.byPhone.get(phoneKey(identifiers.member)) || []).length === 1 ? lookup.byPhone.get(phoneKey(identifiers.member))[0] : null);
+    match('member', identifiers.member, user);
+  }
+
+  if (matches.length === 0) {
+    return { error: unmatched.length > 0 ? `Unknown member: no match for ${unmatched.join(', ')}.` : 'No member given (phone, username or member number).' };
+  }
+  const distinct = [...new Set(matches.map(m => m.user.id))];
+  if (distinct.length > 1) {
+    return { error: `Identifiers point to different members: ${matches.map(m => `${m.label} → ${m.user.fullName}`).join(', ')}.` };
+  }
+  return {
+    user: matches[0].user,
+    matchedBy: matches.map(m => m.label),
+    warning: unmatched.length > 0 ? `Matched by ${matches.map(m => m.label).join(', ')} but not by ${unmatched.join(', ')}.` : null
+  };
+};
+
+/**
+ * Build the import preview for spreadsheet rows
+ * @param {Array<{rowNumber: number, cells: Array}>} sheetRows - From readSpreadsheet; the first row is the header
+ * @param {Object} [options] - { defaultPaymentDate, client }
+ * @returns {Promise<Object>} { columns, rows, payments, summary }. payments holds the items of every row without
+ *   errors, in the shape createBatchPayment and addItemsToBatch accept.
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} When the file cannot be imported at all
+ */
+const buildImportPreview = async (sheetRows, { defaultPaymentDate = new Date(), client = prisma } = {}) => {
+  if (sheetRows.length < 2) {
+    throw { statusCode: 400, message: 'The file has no rows below the header.', errorDetails: { code: 'EMPTY_IMPORT' } };
+  }
+  if (sheetRows.length - 1 > MAX_IMPORT_ROWS) {
+    throw {
+      statusCode: 400,
+      message: `A batch import is limited to ${MAX_IMPORT_ROWS} rows; the file has ${sheetRows.length - 1}. Split it into smaller files.`,
+      errorDetails: { code: 'IMPORT_TOO_LARGE', maxRows: MAX_IMPORT_ROWS }
+    };
+  }
+
+  const titheCategories = await getTitheCategories({ includeInactive: true });
+  const [header, ...dataRows] = sheetRows;
+  const { fields, titheColumns, unrecognized } = mapColumns(header.cells, titheCategories);
+
+  if (fields.amount === undefined) {
+    throw { statusCode: 400, message: 'The file needs an Amount column.', errorDetails: { code: 'MISSING_COLUMNS', missing: ['amount'] } };
+  }
+  if (['member', 'phone', 'username', 'memberNumber'].every(field => fields[field] === undefined)) {
+    throw {
+      statusCode: 400,
+      message: 'The file needs a member column: Phone, Username, Member Number or Member.',
+      errorDetails: { code: 'MISSING_COLUMNS', missing: ['member'] }
+    };
+  }
+
+  const cell = (row, field) => (fields[field] === undefined ? '' : row.cells[fields[field]]);
+
+  // Gather identifiers and offering references so members and offerings are looked up once
+  const identifiers = { phones: [], usernames: [], memberNumbers: [] };
+  const offeringRefs = new Set();
+  dataRows.forEach(row => {
+    const member = cellText(cell(row, 'member'));
+    if (cellText(cell(row, 'phone'))) identifiers.phones.push(cellText(cell(row, 'phone')));
+    if (cellText(cell(row, 'username'))) identifiers.usernames.push(cellText(cell(row, 'username')));
+    if (cellText(cell(row, 'memberNumber'))) identifiers.memberNumbers.push(cellText(cell(row, 'memberNumber')));
+    if (member) {
+      identifiers.phones.push(member);
+      identifiers.usernames.push(member);
+      identifiers.memberNumbers.push(member);
+    }
+    const offering = cellText(cell(row, 'specialOffering'));
+    const type = cellText(cell(row, 'paymentType'));
+    if (offering) offeringRefs.add(offering);
+    if (/^\d+$/.test(type)) offeringRefs.add(type);
+  });
+
+  const lookup = await loadMembers(client, identifiers);
+  const refs = [...offeringRefs];
+  const offerings = refs.length > 0
+    ? await client.specialOffering.findMany({
+        where: {
+          OR: [
+            { id: { in: refs.filter(ref => /^\d+$/.test(ref)).map(ref => parseInt(ref)) } },
+            { offeringCode: { in: refs } }
+          ]
+        },
+        select: { id: true, name: true, offeringCode: true, isActive: true, endDate: true }
+      })
+    : [];
+  const findOffering = (ref) => offerings.find(o => String(o.id) === ref || o.offeringCode === ref);
+
+  const rows = [];
+  const seen = new Map();
+
+  for (const row of dataRows) {
+    const errors = [];
+    const warnings = [];
+    let member = null;
+    let payment = null;
+
+    // Member
+    const resolved = resolveMember({
+      member: cellText(cell(row, 'member')),
+      phone: cellText(cell(row, 'phone')),
+      username: cellText(cell(row, 'username')),
+      memberNumber: cellText(cell(row, 'memberNumber'))
+    }, lookup);
+    if (resolved.error) {
+      errors.push(resolved.error);
+    } else {
+      member = { id: resolved.user.id, fullName: resolved.user.fullName, username: resolved.user.username, matchedBy: resolved.matchedBy };
+      if (!resolved.user.isActive) errors.push(`Member ${resolved.user.fullName} is inactive.`);
+      if (resolved.warning) warnings.push(resolved.warning);
+    }
+
+    // Amount
+    const amountCell = cell(row, 'amount');
+    const amount = typeof amountCell === 'number' ? roundCents(amountCell) : parseStatementAmount(amountCell);
+    if (amount === null || isNaN(amount)) {
+      errors.push('Amount is missing or not a number.');
+    } else if (amount <= 0) {
+      errors.push('Amount must be greater than zero.');
+    }
+
+    // Payment type and special offering
+    let paymentType = cellText(cell(row, 'paymentType')).toUpperCase().replace(/[\s-]+/g, '_');
+    const offeringRef = cellText(cell(row, 'specialOffering')) || (/^\d+$/.test(paymentType) ? paymentType : '');
+    let specialOffering = null;
+    if (offeringRef) {
+      if (paymentType && !/^\d+$/.test(paymentType) && !paymentType.startsWith('SPECIAL')) {
+        errors.push(`Payment type ${paymentType} cannot have a special offering.`);
+      }
+      paymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
+      specialOffering = findOffering(offeringRef);
+      if (!specialOffering) {
+        errors.push(`Special offering "${offeringRef}" not found.`);
+      } else if (!specialOffering.isActive) {
+        errors.push(`Special offering ${specialOffering.name} is not active.`);
+      } else if (specialOffering.endDate && new Date(specialOffering.endDate) < new Date()) {
+        errors.push(`Special offering ${specialOffering.name} has ended.`);
+      }
+    } else if (paymentType.startsWith('SPECIAL')) {
+      errors.push('Special offering rows need a Special Offering (ID or code) column.');
+    } else if (!paymentType) {
+      errors.push('Payment type is missing.');
+    } else if (!IMPORT_PAYMENT_TYPES.includes(paymentType)) {
+      errors.push(`Unknown payment type "${paymentType}". Use ${IMPORT_PAYMENT_TYPES.join(', ')} or a special offering.`);
+    }
+
+    // Date
+    let paymentDate = defaultPaymentDate;
+    const dateCell = cell(row, 'paymentDate');
+    if (cellText(dateCell)) {
+      paymentDate = parseImportDate(dateCell);
+      if (!paymentDate) {
+        errors.push(`Date "${cellText(dateCell)}" is not a valid date (use YYYY-MM-DD or DD/MM/YYYY).`);
+      } else if (paymentDate > new Date()) {
+        warnings.push('Payment date is in the future.');
+      }
+    }
+
+    // Tithe split
+    let titheDistributionSDA = null;
+    const split = {};
+    Object.entries(titheColumns).forEach(([code, index]) => {
+      const value = row.cells[index];
+      const splitAmount = typeof value === 'number' ? value : parseStatementAmount(value);
+      if (splitAmount !== null && !isNaN(splitAmount) && splitAmount !== 0) split[code] = roundCents(splitAmount);
+    });
+    if (Object.keys(split).length > 0) {
+      if (paymentType !== 'TITHE') {
+        warnings.push('Tithe split columns are ignored for non-tithe rows.');
+      } else if (amount > 0) {
+        const validation = await walletService.validateTitheDistribution(split, amount);
+        if (!validation.valid) {
+          errors.push(`Bad tithe split: ${validation.errors.join(', ')}`);
+        } else {
+          titheDistributionSDA = split;
+          if (validation.remaining > 0.01) {
+            warnings.push(`KES ${roundCents(validation.remaining).toFixed(2)} of the tithe is not split and goes to general tithe.`);
+          }
+        }
+      }
+    }
+
+    if (errors.length === 0) {
+      const description = cellText(cell(row, 'description'));
+      payment = {
+        userId: member.id,
+        amount,
+        paymentType,
+        paymentDate: paymentDate.toISOString(),
+        description: description || (specialOffering ? specialOffering.name : `${paymentType.charAt(0)}${paymentType.slice(1).toLowerCase()} (imported)`),
+        ...(specialOffering ? { specialOfferingId: specialOffering.id } : {}),
+        ...(titheDistributionSDA ? { titheDistributionSDA } : {})
+      };
+
+      const duplicateKey = [member.id, amount, paymentType, specialOffering ? specialOffering.id : '', paymentDate.toISOString().slice(0, 10)].join('|');
+      if (seen.has(duplicateKey)) {
+        warnings.push(`Same member, amount, type and date as row ${seen.get(duplicateKey)}.`);
+      } else {
+        seen.set(duplicateKey, row.rowNumber);
+      }
+    }
+
+    rows.push({
+      row: row.rowNumber,
+      status: errors.length > 0 ? 'ERROR' : warnings.length > 0 ? 'WARNING' : 'VALID',
+      member,
+      amount: amount !== null && !isNaN(amount) ? amount : null,
+      paymentType: paymentType || null,
+      specialOffering: specialOffering ? { id: specialOffering.id, name: specialOffering.name, offeringCode: specialOffering.offeringCode } : null,
+      payment,
+      errors,
+      warnings
+    });
+  }
+
+  // Closed accounting periods, checked once per month in the file
+  const rowsByPeriod = new Map();
+  rows.filter(row => row.payment).forEach(row => {
+    const periodKey = getPeriodKey(new Date(row.payment.paymentDate));
+    rowsByPeriod.set(periodKey, [...(rowsByPeriod.get(periodKey) || []), row]);
+  });
+  for (const periodRows of rowsByPeriod.values()) {
+    const closed = await findClosedPeriod(client, periodRows[0].payment.paymentDate);
+    if (closed) {
+      periodRows.forEach(row => {
+        row.errors.push(`Accounting period ${closed.periodKey} is closed.`);
+        row.status = 'ERROR';
+        row.payment = null;
+      });
+    }
+  }
+
+  const payments = rows.filter(row => row.payment).map(row => row.payment);
+  const byType = {};
+  payments.forEach(item => {
+    byType[item.paymentType] = roundCents((byType[item.paymentType] || 0) + item.amount);
+  });
+
+  return {
+    columns: {
+      recognized: Object.keys(fields),
+      titheSplit: Object.keys(titheColumns),
+      unrecognized
+    },
+    rows,
+    payments,
+    summary: {
+      totalRows: rows.length,
+      importableRows: payments.length,
+      rowsWithWarnings: rows.filter(row => row.status === 'WARNING').length,
+      rowsWithErrors: rows.filter(row => row.status === 'ERROR').length,
+      totalAmount: roundCents(payments.reduce((sum, item) => sum + item.amount, 0)),
+      byType
+    }
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_PAYMENT_TYPES,
+  buildImportPreview
+};
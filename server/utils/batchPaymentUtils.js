@@ -0,0 +1,315 @@
+// server/utils/batchPaymentUtils.js
+// Building blocks for batch payments, shared by manual batches and cash count sessions
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const WalletService = require('./walletService.js');
+const { formatDateForPdf, formatKesForPdf, createPdfTable, writePdfReport } = require('./pdfReportUtils.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+/**
+ * Generate unique batch reference
+ */
+function generateBatchReference() {
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 14);
+  const randomPart = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `BATCH-${timestamp}-${randomPart}`;
+}
+
+/**
+ * Validate batch payments array
+ */
+async function validateBatchPayments(payments) {
+  const errors = [];
+  
+  for (let i = 0; i < payments.length; i++) {
+    const payment = payments[i];
+    const position = i + 1;
+    
+    // Required fields validation
+    if (!payment.userId || !payment.amount || !payment.paymentType) {
+      errors.push({
+        position,
+        field: 'required',
+        message: `Missing required fields (userId, amount, paymentType)`
+      });
+      continue;
+    }
+
+    // Amount validation
+    const amount = parseFloat(payment.amount);
+    if (isNaN(amount) || amount <= 0) {
+      errors.push({
+        position,
+        field: 'amount',
+        message: `Amount must be a positive number`
+      });
+    }
+
+    // User validation
+    try {
+      const user = await prisma.user.findUnique({ 
+        where: { id: parseInt(payment.userId) },
+        select: { id: true, isActive: true }
+      });
+      
+      if (!user) {
+        errors.push({
+          position,
+          field: 'userId',
+          message: `User with ID ${payment.userId} not found`
+        });
+      } else if (!user.isActive) {
+        errors.push({
+          position,
+          field: 'userId',
+          message: `User with ID ${payment.userId} is inactive`
+        });
+      }
+    } catch (dbError) {
+      errors.push({
+        position,
+        field: 'userId',
+        message: `Error validating user: ${dbError.message}`
+      });
+    }
+
+    // Special offering validation
+    if (payment.paymentType === 'SPECIAL_OFFERING_CONTRIBUTION' && payment.specialOfferingId) {
+      try {
+        const offering = await prisma.specialOffering.findUnique({ 
+          where: { id: parseInt(payment.specialOfferingId) },
+          select: { id: true, isActive: true, endDate: true }
+        });
+        
+        if (!offering) {
+          errors.push({
+            position,
+            field: 'specialOfferingId',
+            message: `Special offering with ID ${payment.specialOfferingId} not found`
+          });
+        } else if (!offering.isActive) {
+          errors.push({
+            position,
+            field: 'specialOfferingId',
+            message: `Special offering with ID ${payment.specialOfferingId} is not active`
+          });
+        } else if (offering.endDate && new Date(offering.endDate) < new Date()) {
+          errors.push({
+            position,
+            field: 'specialOfferingId',
+            message: `Special offering with ID ${payment.specialOfferingId} has ended`
+          });
+        }
+      } catch (dbError) {
+        errors.push({
+          position,
+          field: 'specialOfferingId',
+          message: `Error validating special offering: ${dbError.message}`
+        });
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Create individual batch payment item
+ */
+async function createBatchPaymentItem(paymentData, batchId, processedById, tx, position) {
+  // Handle special offering validation and conversion
+  let processedPaymentType = paymentData.paymentType;
+  let processedSpecialOfferingId = paymentData.specialOfferingId;
+  
+  if (!['TITHE', 'OFFERING', 'DONATION', 'EXPENSE'].includes(paymentData.paymentType)) {
+    if (/^\d+$/.test(paymentData.paymentType)) {
+      processedSpecialOfferingId = parseInt(paymentData.paymentType);
+      processedPaymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
+    }
+  }
+
+  // Validate tithe distribution if provided
+  let validatedTitheDistribution = null;
+  if (processedPaymentType === 'TITHE' && paymentData.titheDistributionSDA) {
+    const validation = await walletService.validateTitheDistribution(
+      paymentData.titheDistributionSDA, 
+      parseFloat(paymentData.amount)
+    );
+    
+    if (!validation.valid) {
+      throw new Error(`Invalid tithe distribution: ${validation.errors.join(', ')}`);
+    }
+    
+    validatedTitheDistribution = paymentData.titheDistributionSDA;
+  }
+
+  // Create payment record
+  const paymentRecord = await tx.payment.create({
+    data: {
+      userId: parseInt(paymentData.userId),
+      amount: Math.round(parseFloat(paymentData.amount) * 100) / 100, // Ensure 2 decimal places
+      paymentType: processedPaymentType,
+      paymentMethod: 'BATCH_KCB',
+      description: paymentData.description || `${processedPaymentType} payment (Batch)`,
+      status: 'PENDING',
+      paymentDate: paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date(),
+      processedById: processedById,
+      isExpense: !!paymentData.isExpense,
+      department: paymentData.department || null,
+      specialOfferingId: processedSpecialOfferingId || null,
+      titheDistributionSDA: validatedTitheDistribution,
+      batchPaymentId: batchId,
+      isBatchProcessed: false,
+      bankDepositStatus: 'PENDING',
+    },
+    include: {
+      user: { select: { fullName: true, phone: true, email: true } },
+      specialOffering: { select: { name: true, offeringCode: true } },
+    },
+  });
+
+  return paymentRecord;
+}
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Totals of a batch by payment type and by special offering
+ * @param {Array<Object>} payments - Batch payments, with specialOffering included
+ * @returns {{byType: Array<{paymentType: string, count: number, amount: number}>,
+ *   bySpecialOffering: Array<{name: string, offeringCode: string, count: number, amount: number}>}}
+ */
+function summarizeBatchTotals(payments) {
+  const byType = new Map();
+  const bySpecialOffering = new Map();
+
+  payments.forEach(payment => {
+    const amount = toNumber(payment.amount);
+    const typeTotal = byType.get(payment.paymentType) || { paymentType: payment.paymentType, count: 0, amount: 0 };
+    typeTotal.count++;
+    typeTotal.amount += amount;
+    byType.set(payment.paymentType, typeTotal);
+
+    if (payment.specialOfferingId) {
+      const offeringTotal = bySpecialOffering.get(payment.specialOfferingId) || {
+        name: payment.specialOffering?.name || `Special offering ${payment.specialOfferingId}`,
+        offeringCode: payment.specialOffering?.offeringCode || '-',
+        count: 0,
+        amount: 0
+      };
+      offeringTotal.count++;
+      offeringTotal.amount += amount;
+      bySpecialOffering.set(payment.specialOfferingId, offeringTotal);
+    }
+  });
+
+  const rounded = (totals) => [...totals.values()]
+    .map(total => ({ ...total, amount: roundCents(total.amount) }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return { byType: rounded(byType), bySpecialOffering: rounded(bySpecialOffering) };
+}
+
+/**
+ * Write the bank deposit slip and batch summary PDF into public/reports
+ * @param {Object} batchPayment - BatchPayment with payments (user, specialOffering), creator, processor
+ *   and cashCountSession (signoffs with user) included
+ * @returns {Promise<string>} Public path of the deposit slip
+ */
+async function generateDepositSlip(batchPayment) {
+  const reportDir = path.join(__dirname, '..', 'public', 'reports');
+  await fs.mkdir(reportDir, { recursive: true });
+
+  const filename = `deposit_slip_${batchPayment.batchReference}.pdf`;
+  const filepath = path.join(reportDir, filename);
+  const payments = batchPayment.payments || [];
+  const totals = summarizeBatchTotals(payments);
+  const slipDate = batchPayment.depositedAt || batchPayment.createdAt;
+
+  // Batches from a Sabbath cash count were counted by the users who signed the count off
+  const signoffs = batchPayment.cashCountSession?.signoffs || [];
+  const counters = signoffs.length > 0
+    ? signoffs.map(signoff => signoff.user?.fullName || `User ${signoff.userId}`).join(', ')
+    : batchPayment.creator?.fullName || 'N/A';
+
+  await writePdfReport(filepath, {
+    title: 'Bank Deposit Slip',
+    startDate: slipDate,
+    endDate: slipDate
+  }, async (doc) => {
+    doc.font('Helvetica').fontSize(10)
+      .text(`Batch reference: ${batchPayment.batchReference}`)
+      .text(`Status: ${batchPayment.status}`)
+      .text(`Deposited: ${batchPayment.depositedAt ? new Date(batchPayment.depositedAt).toLocaleString() : 'Not yet deposited'}`)
+      .text(`KCB reference: ${batchPayment.kcbReference || 'N/A'}`)
+      .text(`Counted by: ${counters}`)
+      .text(`Processed by: ${batchPayment.processor?.fullName || 'N/A'}`);
+    if (batchPayment.cashCountSession) {
+      doc.text(`Cash count: ${batchPayment.cashCountSession.sessionReference}`);
+    }
+    if (batchPayment.description) {
+      doc.text(batchPayment.description);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(14).text(`Total deposited: KES ${formatKesForPdf(batchPayment.totalAmount)}`, 40);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Totals by Payment Type', 40);
+    doc.moveDown(0.5);
+    createPdfTable(doc, ['Payment Type', 'Payments', 'Amount (KES)'], [
+      ...totals.byType.map(total => [total.paymentType.replace(/_/g, ' '), total.count, formatKesForPdf(total.amount)]),
+      ['Total', payments.length, formatKesForPdf(batchPayment.totalAmount)]
+    ]);
+    doc.moveDown();
+
+    if (totals.bySpecialOffering.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Totals by Special Offering', 40);
+      doc.moveDown(0.5);
+      createPdfTable(doc, ['Special Offering', 'Code', 'Payments', 'Amount (KES)'],
+        totals.bySpecialOffering.map(total => [total.name, total.offeringCode, total.count, formatKesForPdf(total.amount)])
+      );
+      doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Items', 40);
+    doc.moveDown(0.5);
+    createPdfTable(doc, ['#', 'Date', 'Member', 'Type', 'Description', 'Amount (KES)'],
+      payments.map((payment, index) => [
+        index + 1,
+        formatDateForPdf(payment.paymentDate),
+        payment.user?.fullName || `User ${payment.userId}`,
+        payment.specialOffering ? payment.specialOffering.name : payment.paymentType.replace(/_/g, ' '),
+        payment.description || '-',
+        formatKesForPdf(payment.amount)
+      ])
+    );
+    doc.moveDown(2);
+
+    // Signature lines
+    if (doc.y + 120 > doc.page.height - 50) {
+      doc.addPage();
+    }
+    ['Counted by', 'Deposited by', 'Verified by (Treasurer)'].forEach(role => {
+      doc.font('Helvetica').fontSize(10)
+        .text(`${role}: ______________________________   Signature: ____________________   Date: ____________`, 40);
+      doc.moveDown(1.5);
+    });
+  });
+
+  return `/reports/${filename}`;
+}
+
+module.exports = {
+  generateBatchReference,
+  validateBatchPayments,
+  createBatchPaymentItem,
+  summarizeBatchTotals,
+  generateDepositSlip
+};
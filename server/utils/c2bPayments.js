@@ -0,0 +1,353 @@
+// server/utils/c2bPayments.js
+// M-Pesa Paybill (C2B) payments made outside the app. The account reference the payer types is
+// parsed into a purpose and a member; a match becomes a COMPLETED payment with wallet credits and
+// a receipt straight away, anything else waits in the C2bTransactions review queue.
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { logger } = require('../config/logger');
+const { generateReceiptNumber } = require('./receiptUtils.js');
+const { sendSmsNotification } = require('./notificationUtils.js');
+const { assertPeriodOpen } = require('./accountingPeriods.js');
+const { toMsisdn, phoneVariants } = require('./paymentCallbacks.js');
+const WalletService = require('./walletService.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+const walletService = new WalletService();
+
+// Account reference purpose tokens; anything else is looked up as a special offering code
+const PURPOSE_TOKENS = {
+  T: 'TITHE',
+  TITHE: 'TITHE',
+  O: 'OFFERING',
+  OFFERING: 'OFFERING',
+  D: 'DONATION',
+  DONATION: 'DONATION'
+};
+const C2B_PAYMENT_TYPES = ['TITHE', 'OFFERING', 'DONATION'];
+const PHONE_PATTERN = /^(\+?254|0)?[17]\d{8}$/;
+
+/**
+ * C2B settings: MPESA_C2B_DEFAULT_PAYMENT_TYPE is used when the reference names only a member
+ * (unset sends those to review); MPESA_C2B_REJECT_UNMATCHED=true makes validation refuse
+ * payments that would otherwise land in the review queue.
+ * @returns {{defaultPaymentType: string|null, rejectUnmatched: boolean}}
+ */
+const getC2bSettings = () => {
+  const defaultPaymentType = (process.env.MPESA_C2B_DEFAULT_PAYMENT_TYPE || '').toUpperCase();
+  return {
+    defaultPaymentType: C2B_PAYMENT_TYPES.includes(defaultPaymentType) ? defaultPaymentType : null,
+    rejectUnmatched: process.env.MPESA_C2B_REJECT_UNMATCHED === 'true'
+  };
+};
+
+/**
+ * Split an account reference into a purpose and a member identifier.
+ * Accepted forms: "T", "T 0712345678", "T#jdoe", "T0712345678", "SO-2025-AB12 jdoe", "0712345678".
+ * @param {string} billRefNumber
+ * @returns {{purpose: string|null, memberRef: string|null}}
+ */
+const parseAccountReference = (billRefNumber) => {
+  const tokens = String(billRefNumber || '').trim().split(/[\s#*/]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return { purpose: null, memberRef: null };
+  }
+
+  if (tokens.length > 1) {
+    return { purpose: tokens[0].toUpperCase(), memberRef: tokens.slice(1).join('') };
+  }
+
+  const [token] = tokens;
+  const compact = /^([TOD])((\+?254|0)?[17]\d{8})$/i.exec(token);
+  if (compact) {
+    return { purpose: compact[1].toUpperCase(), memberRef: compact[2] };
+  }
+  if (PHONE_PATTERN.test(token)) {
+    return { purpose: null, memberRef: token };
+  }
+  return { purpose: token.toUpperCase(), memberRef: null };
+};
+
+// Find the member a payment belongs to: the reference's member part first, then the paying number
+const findMember = async (client, { memberRef, msisdn }) => {
+  const select = { id: true, fullName: true, phone: true, username: true };
+
+  if (memberRef) {
+    if (PHONE_PATTERN.test(memberRef)) {
+      return client.user.findFirst({ where: { phone: { in: phoneVariants(memberRef) }, isActive: true }, select });
+    }
+    return client.user.findFirst({
+      where: { username: { equals: memberRef, mode: 'insensitive' }, isActive: true },
+      select
+    });
+  }
+
+  // Safaricom may send a masked or hashed MSISDN; only a real number can be matched
+  if (msisdn && PHONE_PATTERN.test(msisdn)) {
+    return client.user.findFirst({ where: { phone: { in: phoneVariants(msisdn) }, isActive: true }, select });
+  }
+  return null;
+};
+
+/**
+ * Work out what a Paybill payment is for and who made it
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} details - { billRefNumber, msisdn }
+ * @returns {Promise<Object>} { paymentType, specialOffering, user, reviewReason } - reviewReason is
+ *   set when the payment cannot be completed automatically
+ */
+const matchC2bPayment = async (client, { billRefNumber, msisdn }) => {
+  const { purpose, memberRef } = parseAccountReference(billRefNumber);
+  const match = { paymentType: null, specialOffering: null, user: null, reviewReason: null };
+
+  if (purpose && PURPOSE_TOKENS[purpose]) {
+    match.paymentType = PURPOSE_TOKENS[purpose];
+  } else if (purpose) {
+    const offering = await client.specialOffering.findFirst({
+      where: { offeringCode: { equals: purpose, mode: 'insensitive' } },
+      select: { id: true, name: true, offeringCode: true, isActive: true, endDate: true }
+    });
+    if (!offering) {
+      match.reviewReason = `Unknown account reference "${billRefNumber}"`;
+      return match;
+    }
+    if (!offering.isActive || (offering.endDate && new Date(offering.endDate) < new Date())) {
+      match.reviewReason = `Special offering "${offering.name}" is not accepting contributions`;
+      return match;
+    }
+    match.paymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
+    match.specialOffering = offering;
+  } else {
+    match.paymentType = getC2bSettings().defaultPaymentType;
+  }
+
+  match.user = await findMember(client, { memberRef, msisdn });
+
+  if (!match.paymentType) {
+    match.reviewReason = `Account reference "${billRefNumber || ''}" does not say what the payment is for`;
+  } else if (!match.user) {
+    match.reviewReason = memberRef
+      ? `No active member matches "${memberRef}"`
+      : 'No active member is registered with the paying phone number';
+  }
+  return match;
+};
+
+// M-Pesa timestamps are YYYYMMDDHHmmss in Kenyan local time (EAT, UTC+3, no daylight saving);
+// the offset is explicit so the result does not depend on the server's time zone
+const parseTransTime = (transTime) => {
+  const value = String(transTime || '');
+  if (!/^\d{14}$/.test(value)) return new Date();
+  const parsed = new Date(`${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}T${value.substring(8, 10)}:${value.substring(10, 12)}:${value.substring(12, 14)}+03:00`);
+  return isNaN(parsed.getTime()) ? new Date() : parsed;
+};
+
+/**
+ * Create the COMPLETED payment for a C2B transaction, credit its wallets and issue the receipt
+ * The member's SMS receipt is returned rather than sent: pass it to sendC2bReceiptSms once the
+ * transaction has committed, so nobody is told about a payment that was rolled back.
+ * @param {Object} tx - Transaction client
+ * @param {Object} c2b - C2bTransaction row
+ * @param {Object} assignment - { user, paymentType, specialOffering, titheDistributionSDA, processedById }
+ * @returns {Promise<{payment: Object, receiptSms: Object|null}>} The created payment and its SMS { phone, message, paymentId }
+ */
+const createC2bPayment = async (tx, c2b, { user, paymentType, specialOffering = null, titheDistributionSDA = null, processedById = null }) => {
+  await assertPeriodOpen(tx, c2b.transTime, 'record payments');
+
+  const receiptNumber = generateReceiptNumber(paymentType);
+  const purpose = specialOffering ? `Special Offering: ${specialOffering.name}` : paymentType;
+  const payerPhone = c2b.msisdn && PHONE_PATTERN.test(c2b.msisdn) ? toMsisdn(c2b.msisdn) : null;
+
+  const payment = await tx.payment.create({
+    data: {
+      userId: user.id,
+      amount: c2b.amount,
+      paymentType,
+      paymentMethod: 'MPESA',
+      description: `Paybill ${purpose} (account ${c2b.billRefNumber || 'none'})`.substring(0, 191),
+      reference: c2b.billRefNumber,
+      transactionId: c2b.transId,
+      status: 'COMPLETED',
+      receiptNumber,
+      paymentDate: c2b.transTime,
+      processedAt: new Date(),
+      processedById,
+      titheDistributionSDA: paymentType === 'TITHE' && titheDistributionSDA ? titheDistributionSDA : undefined,
+      specialOfferingId: specialOffering ? specialOffering.id : null,
+      payerPhone
+    }
+  });
+
+  await walletService.updateWalletsForPayment(payment.id, tx);
+
+  await tx.receipt.create({
+    data: {
+      receiptNumber,
+      paymentId: payment.id,
+      userId: user.id,
+      generatedById: processedById,
+      receiptDate: new Date(),
+      receiptData: {
+        paymentId: payment.id,
+        amount: parseFloat(c2b.amount.toString()),
+        paymentType,
+        userName: user.fullName,
+        paymentDate: c2b.transTime,
+        description: payment.description,
+        mpesaReceipt: c2b.transId,
+        titheDesignations: paymentType === 'TITHE' ? titheDistributionSDA : null,
+        specialOffering: specialOffering ? { name: specialOffering.name, offeringCode: specialOffering.offeringCode } : null
+      }
+    }
+  });
+
+  const receiptSms = user.phone
+    ? {
+        phone: user.phone,
+        message: `Dear ${user.fullName}, your Paybill payment of KES ${parseFloat(c2b.amount.toString()).toFixed(2)} for ${purpose} has been received. Receipt No: ${receiptNumber}. Thank you.`,
+        paymentId: payment.id
+      }
+    : null;
+
+  return { payment, receiptSms };
+};
+
+/**
+ * Send the SMS receipt returned by createC2bPayment (non-blocking)
+ * @param {Object|null} receiptSms - { phone, message, paymentId }
+ */
+const sendC2bReceiptSms = (receiptSms) => {
+  if (!receiptSms) return;
+  setImmediate(async () => {
+    try {
+      await sendSmsNotification(receiptSms.phone, receiptSms.message);
+    } catch (smsError) {
+      logger.warn(`SMS notification failed for Paybill payment ${receiptSms.paymentId}`, { error: smsError.message });
+    }
+  });
+};
+
+/**
+ * Decide whether to accept a Paybill payment before M-Pesa completes it
+ * @param {Object} body - C2B validation request body
+ * @returns {Promise<{accepted: boolean, reason?: string}>}
+ */
+const validateC2bPayment = async (body = {}) => {
+  const amount = parseFloat(body.TransAmount);
+  if (isNaN(amount) || amount <= 0) {
+    return { accepted: false, reason: 'Invalid amount' };
+  }
+
+  if (getC2bSettings().rejectUnmatched) {
+    const match = await matchC2bPayment(prisma, { billRefNumber: body.BillRefNumber, msisdn: body.MSISDN });
+    if (match.reviewReason) {
+      return { accepted: false, reason: match.reviewReason };
+    }
+  }
+  return { accepted: true };
+};
+
+/**
+ * Record a confirmed Paybill payment: complete it when the reference and member match,
+ * otherwise queue it for review. Each M-Pesa TransID is recorded once.
+ * @param {Object} body - C2B confirmation request body
+ * @returns {Promise<Object>} Processing result, stored on the callback log
+ */
+const processC2bConfirmation = async (body = {}) => {
+  const transId = body.TransID ? String(body.TransID) : null;
+  if (!transId) {
+    return { error: 'Confirmation without TransID' };
+  }
+
+  const existing = await prisma.c2bTransaction.findUnique({ where: { transId } });
+  if (existing) {
+    logger.warn(`Paybill transaction ${transId} already recorded (C2B ${existing.id}); confirmation ignored.`);
+    return { alreadyProcessedOrNotFound: true, c2bTransactionId: existing.id, paymentId: existing.paymentId };
+  }
+
+  const data = {
+    transId,
+    transactionType: body.TransactionType || null,
+    transTime: parseTransTime(body.TransTime),
+    amount: new Prisma.Decimal(parseFloat(body.TransAmount || 0).toFixed(2)),
+    shortCode: body.BusinessShortCode ? String(body.BusinessShortCode) : null,
+    billRefNumber: body.BillRefNumber ? String(body.BillRefNumber).trim() : null,
+    msisdn: body.MSISDN ? String(body.MSISDN) : null,
+    payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ') || null,
+    rawData: body
+  };
+
+  // The same receipt may already be on a payment, e.g. one recorded manually
+  const recordedPayment = await prisma.payment.findUnique({ where: { transactionId: transId }, select: { id: true } });
+  if (recordedPayment) {
+    const c2b = await prisma.c2bTransaction.create({
+      data: { ...data, status: 'MATCHED', paymentId: recordedPayment.id, reviewReason: 'Receipt already recorded on an existing payment' }
+    });
+    return { alreadyProcessedOrNotFound: true, c2bTransactionId: c2b.id, paymentId: recordedPayment.id };
+  }
+
+  const match = await matchC2bPayment(prisma, data);
+
+  if (!match.reviewReason) {
+    try {
+      const { c2b, payment, receiptSms } = await prisma.$transaction(async (tx) => {
+        const c2b = await tx.c2bTransaction.create({
+          data: {
+            ...data,
+            status: 'MATCHED',
+            paymentType: match.paymentType,
+            specialOfferingId: match.specialOffering?.id || null,
+            userId: match.user.id
+          }
+        });
+        const { payment, receiptSms } = await createC2bPayment(tx, c2b, match);
+        await tx.c2bTransaction.update({ where: { id: c2b.id }, data: { paymentId: payment.id } });
+        return { c2b, payment, receiptSms };
+      }, {
+        maxWait: 15000,
+        timeout: 45000,
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+      });
+
+      sendC2bReceiptSms(receiptSms);
+      logger.info(`Paybill transaction ${transId} completed as payment ${payment.id} for user ${match.user.id}.`);
+      return { success: true, c2bTransactionId: c2b.id, paymentId: payment.id };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { alreadyProcessedOrNotFound: true };
+      }
+      match.reviewReason = `Could not complete automatically: ${error.message}`;
+      logger.error(`Paybill transaction ${transId} sent to review: ${error.message}`);
+    }
+  }
+
+  try {
+    const c2b = await prisma.c2bTransaction.create({
+      data: {
+        ...data,
+        status: 'PENDING_REVIEW',
+        reviewReason: match.reviewReason.substring(0, 191),
+        paymentType: match.paymentType,
+        specialOfferingId: match.specialOffering?.id || null,
+        userId: match.user?.id || null
+      }
+    });
+    logger.warn(`Paybill transaction ${transId} queued for review (C2B ${c2b.id}): ${match.reviewReason}`);
+    return { success: true, queued: true, c2bTransactionId: c2b.id, reason: match.reviewReason };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { alreadyProcessedOrNotFound: true };
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  C2B_PAYMENT_TYPES,
+  getC2bSettings,
+  parseAccountReference,
+  matchC2bPayment,
+  createC2bPayment,
+  sendC2bReceiptSms,
+  validateC2bPayment,
+  processC2bConfirmation
+};
@@ -0,0 +1,242 @@
+// server/utils/cashCountUtils.js
+// Sabbath cash count sessions: denomination totals, envelope lines, the batch payment a closed
+// count becomes, and the count sheet PDF
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { formatDateForPdf, formatKesForPdf, createPdfTable, writePdfReport } = require('./pdfReportUtils.js');
+
+// Kenyan notes and coins in circulation
+const KES_DENOMINATIONS = [1000, 500, 200, 100, 50, 40, 20, 10, 5, 1];
+
+// Sign-offs needed from different users before a session can close
+const REQUIRED_SIGNOFFS = 2;
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Generate a unique cash count session reference
+ * @returns {string}
+ */
+const generateSessionReference = () => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `CC-${datePart}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Normalize a denomination breakdown: merges repeated denominations, drops zero counts, sorts high to low
+ * @param {Array<{denomination: number, count: number}>} denominations
+ * @returns {{lines: Array<{denomination: number, count: number, amount: number}>, total: number}}
+ */
+const summarizeDenominations = (denominations) => {
+  const counts = new Map();
+  (denominations || []).forEach(({ denomination, count }) => {
+    const value = parseFloat(denomination);
+    counts.set(value, (counts.get(value) || 0) + parseInt(count));
+  });
+
+  const lines = [...counts.entries()]
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[0] - a[0])
+    .map(([denomination, count]) => ({ denomination, count, amount: roundCents(denomination * count) }));
+
+  return { lines, total: roundCents(lines.reduce((sum, line) => sum + line.amount, 0)) };
+};
+
+/**
+ * Total of one envelope: tithe + offering + every special offering split
+ * @param {Object} envelope - { titheAmount, offeringAmount, specialOfferings }
+ * @returns {number}
+ */
+const getEnvelopeTotal = (envelope) => roundCents(
+  toNumber(envelope.titheAmount) +
+  toNumber(envelope.offeringAmount) +
+  (envelope.specialOfferings || []).reduce((sum, split) => sum + toNumber(split.amount), 0)
+);
+
+/**
+ * Cash, envelope and loose offering totals for a session
+ * @param {Object} session - CashCountSession with envelopes
+ * @returns {{cashTotal: number, envelopeTotal: number, looseCash: number, isBalanced: boolean}}
+ *   isBalanced is false when the envelopes claim more than the cash counted
+ */
+const getSessionTotals = (session) => {
+  const cashTotal = summarizeDenominations(session.denominations).total;
+  const envelopeTotal = roundCents((session.envelopes || []).reduce((sum, envelope) => sum + getEnvelopeTotal(envelope), 0));
+  const looseCash = roundCents(cashTotal - envelopeTotal);
+  return { cashTotal, envelopeTotal, looseCash, isBalanced: looseCash >= 0 };
+};
+
+/**
+ * Whether a sign-off was given for the figures the session has now
+ * @param {Object} signoff - CashCountSignoff with the cashTotal and envelopeTotal signed for
+ * @param {Object} totals - From getSessionTotals()
+ * @returns {boolean}
+ */
+const isSignoffCurrent = (signoff, totals) => (
+  roundCents(toNumber(signoff.cashTotal)) === totals.cashTotal &&
+  roundCents(toNumber(signoff.envelopeTotal)) === totals.envelopeTotal
+);
+
+/**
+ * Batch payment items for a closed count, in the shape createBatchPaymentItem takes: one payment per
+ * envelope split, plus the loose cash as an offering under the session's loose cash member
+ * @param {Object} session - CashCountSession with envelopes
+ * @returns {Array<Object>}
+ */
+const buildBatchItems = (session) => {
+  const { looseCash } = getSessionTotals(session);
+  const paymentDate = session.serviceDate;
+  const items = [];
+
+  (session.envelopes || []).forEach(envelope => {
+    const label = envelope.envelopeNumber ? `envelope ${envelope.envelopeNumber}` : `envelope line ${envelope.id}`;
+    const source = `Cash count ${session.sessionReference}, ${label}`;
+
+    if (toNumber(envelope.titheAmount) > 0) {
+      items.push({
+        userId: envelope.userId,
+        amount: toNumber(envelope.titheAmount),
+        paymentType: 'TITHE',
+        titheDistributionSDA: envelope.titheDistributionSDA || null,
+        paymentDate,
+        description: `Tithe - ${source}`
+      });
+    }
+    if (toNumber(envelope.offeringAmount) > 0) {
+      items.push({
+        userId: envelope.userId,
+        amount: toNumber(envelope.offeringAmount),
+        paymentType: 'OFFERING',
+        paymentDate,
+        description: `Offering - ${source}`
+      });
+    }
+    (envelope.specialOfferings || []).forEach(split => {
+      if (toNumber(split.amount) > 0) {
+        items.push({
+          userId: envelope.userId,
+          amount: toNumber(split.amount),
+          paymentType: 'SPECIAL_OFFERING_CONTRIBUTION',
+          specialOfferingId: split.specialOfferingId,
+          paymentDate,
+          description: `Special offering - ${source}`
+        });
+      }
+    });
+  });
+
+  if (looseCash > 0) {
+    items.push({
+      userId: session.looseCashUserId,
+      amount: looseCash,
+      paymentType: 'OFFERING',
+      paymentDate,
+      description: `Loose offering - Cash count ${session.sessionReference}`
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Write the count sheet PDF into public/reports
+ * @param {Object} session - CashCountSession with envelopes (member), signoffs (user), creator,
+ *   closer, looseCashMember and batchPayment included
+ * @returns {Promise<string>} Public path of the count sheet
+ */
+const generateCountSheet = async (session) => {
+  const reportDir = path.join(__dirname, '..', 'public', 'reports');
+  await fs.mkdir(reportDir, { recursive: true });
+
+  const filename = `cash_count_${session.sessionReference}.pdf`;
+  const filepath = path.join(reportDir, filename);
+  const denominations = summarizeDenominations(session.denominations);
+  const totals = getSessionTotals(session);
+
+  await writePdfReport(filepath, {
+    title: 'Cash Count Sheet',
+    startDate: session.serviceDate,
+    endDate: session.serviceDate
+  }, async (doc) => {
+    doc.font('Helvetica').fontSize(10)
+      .text(`Reference: ${session.sessionReference}`)
+      .text(`Opened by: ${session.creator?.fullName || 'N/A'} on ${formatDateForPdf(session.createdAt)}`)
+      .text(`Status: ${session.status}${session.closedAt ? ` (closed by ${session.closer?.fullName || 'N/A'} on ${formatDateForPdf(session.closedAt)})` : ''}`);
+    if (session.batchPayment) {
+      doc.text(`Batch payment: ${session.batchPayment.batchReference} (${session.batchPayment.status})`);
+    }
+    if (session.description) {
+      doc.text(session.description);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Denominations', 40);
+    doc.moveDown(0.5);
+    createPdfTable(doc, ['Denomination (KES)', 'Count', 'Amount (KES)'], [
+      ...denominations.lines.map(line => [formatKesForPdf(line.denomination), line.count, formatKesForPdf(line.amount)]),
+      ['Total', denominations.lines.reduce((sum, line) => sum + line.count, 0), formatKesForPdf(denominations.total)]
+    ]);
+    doc.moveDown();
+
+    if (session.envelopes && session.envelopes.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Envelopes', 40);
+      doc.moveDown(0.5);
+      createPdfTable(doc, ['Envelope', 'Member', 'Tithe', 'Offering', 'Special', 'Total (KES)'],
+        session.envelopes.map(envelope => [
+          envelope.envelopeNumber || '-',
+          envelope.member?.fullName || `User ${envelope.userId}`,
+          formatKesForPdf(envelope.titheAmount),
+          formatKesForPdf(envelope.offeringAmount),
+          formatKesForPdf((envelope.specialOfferings || []).reduce((sum, split) => sum + toNumber(split.amount), 0)),
+          formatKesForPdf(getEnvelopeTotal(envelope))
+        ])
+      );
+      doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Summary', 40);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Cash counted: KES ${formatKesForPdf(totals.cashTotal)}`, 40)
+      .text(`Envelopes (${(session.envelopes || []).length}): KES ${formatKesForPdf(totals.envelopeTotal)}`, 40)
+      .text(`Loose offering: KES ${formatKesForPdf(totals.looseCash)}${session.looseCashMember ? ` (recorded under ${session.looseCashMember.fullName})` : ''}`, 40);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Sign-offs', 40);
+    doc.moveDown(0.5);
+    if (session.signoffs && session.signoffs.length > 0) {
+      createPdfTable(doc, ['Counter', 'Signed At', 'Cash (KES)', 'Envelopes (KES)', 'Notes'],
+        session.signoffs.map(signoff => [
+          signoff.user?.fullName || `User ${signoff.userId}`,
+          new Date(signoff.signedAt).toLocaleString(),
+          formatKesForPdf(signoff.cashTotal),
+          formatKesForPdf(signoff.envelopeTotal),
+          signoff.notes || '-'
+        ])
+      );
+    } else {
+      doc.font('Helvetica').fontSize(10).text('Not yet signed off.', 40);
+    }
+
+    if (session.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', 40);
+      doc.font('Helvetica').fontSize(10).text(session.notes, 40);
+    }
+  });
+
+  return `/reports/${filename}`;
+};
+
+module.exports = {
+  KES_DENOMINATIONS,
+  REQUIRED_SIGNOFFS,
+  generateSessionReference,
+  summarizeDenominations,
+  getEnvelopeTotal,
+  getSessionTotals,
+  isSignoffCurrent,
+  buildBatchItems,
+  generateCountSheet
+};
@@ -76,23 +76,6 @@ const ENV_CONFIG = {
     MPESA_LIVE_CALLBACK_URL: {
       description: 'M-Pesa callback URL',
       example: 'https://your-backend-domain.com/api/payment/mpesa/callback'
-    },
-    
-    // Withdrawal passwords
-    WITHDRAWAL_PASSWORD_1: {
-      description: 'First withdrawal approval password',
-      minLength: 12,
-      example: 'secure-withdrawal-password-1'
-    },
-    WITHDRAWAL_PASSWORD_2: {
-      description: 'Second withdrawal approval password',
-      minLength: 12,
-      example: 'secure-withdrawal-password-2'
-    },
-    WITHDRAWAL_PASSWORD_3: {
-      description: 'Third withdrawal approval password',
-      minLength: 12,
-      example: 'secure-withdrawal-password-3'
     }
   },
   
@@ -139,6 +122,132 @@ const ENV_CONFIG = {
       default: '5',
       example: '10'
     },
+    TOTP_ENCRYPTION_KEY: {
+      description: 'Key used to encrypt approver authenticator secrets at rest (defaults to JWT_SECRET)',
+      example: 'a-long-random-string-used-only-for-totp'
+    },
+    TOTP_ISSUER: {
+      description: 'Issuer name shown in authenticator apps for withdrawal approvers',
+      default: 'Tassia Central SDA Church',
+      example: 'Your Church Name'
+    },
+    REQUIRED_ADMIN_APPROVALS: {
+      description: 'Number of other admins that must approve sensitive actions (user/payment deletion, refunds, batch cancellation)',
+      default: '2',
+      example: '3'
+    },
+    ADMIN_ACTION_EXPIRY_HOURS: {
+      description: 'Hours a pending admin action can be approved before it expires',
+      default: '48',
+      example: '24'
+    },
+    WITHDRAWAL_EXPIRY_HOURS: {
+      description: 'Hours a pending withdrawal request can wait for approval before it expires',
+      default: '72',
+      example: '48'
+    },
+    SCHEDULER_INTERVAL_MINUTES: {
+      description: 'Minutes between background maintenance runs (withdrawal and admin action expiry, payment reconciliation)',
+      default: '15',
+      example: '5'
+    },
+    PAYMENT_RECONCILE_AFTER_MINUTES: {
+      description: 'Minutes a PENDING M-Pesa or KCB payment waits for its callback before the provider is queried',
+      default: '10',
+      example: '15'
+    },
+    PAYMENT_EXPIRE_AFTER_HOURS: {
+      description: 'Hours after which a PENDING payment the provider cannot resolve is marked EXPIRED',
+      default: '24',
+      example: '48'
+    },
+    IDEMPOTENCY_KEY_TTL_HOURS: {
+      description: 'Hours a response stored under an Idempotency-Key is replayed for repeat requests',
+      default: '24',
+      example: '48'
+    },
+    MPESA_CALLBACK_SECRET: {
+      description: 'Shared secret M-Pesa callbacks must carry as ?token= or X-Callback-Token (or sign with X-Callback-Signature); unset disables the check',
+      example: 'a-long-random-string'
+    },
+    KCB_CALLBACK_SECRET: {
+      description: 'Shared secret KCB callbacks must carry as ?token= or X-Callback-Token (or sign with X-Callback-Signature); unset disables the check',
+      example: 'a-long-random-string'
+    },
+    MPESA_CALLBACK_ALLOWED_IPS: {
+      description: 'Comma-separated source IPs allowed to post M-Pesa callbacks; unset allows any',
+      example: '196.201.214.200,196.201.214.206'
+    },
+    KCB_CALLBACK_ALLOWED_IPS: {
+      description: 'Comma-separated source IPs allowed to post KCB callbacks; unset allows any',
+      example: '10.0.0.5'
+    },
+    MPESA_C2B_SHORTCODE: {
+      description: 'Paybill number whose C2B URLs are registered (defaults to MPESA_LIVE_SHORTCODE)',
+      example: '123456'
+    },
+    MPESA_C2B_CONFIRMATION_URL: {
+      description: 'Public URL M-Pesa posts Paybill confirmations to',
+      example: 'https://api.yourdomain.com/api/c2b/confirmation'
+    },
+    MPESA_C2B_VALIDATION_URL: {
+      description: 'Public URL M-Pesa posts Paybill validation requests to',
+      example: 'https://api.yourdomain.com/api/c2b/validation'
+    },
+    MPESA_C2B_CALLBACK_SECRET: {
+      description: 'Shared secret appended to the registered Paybill URLs and required on C2B callbacks; unset disables the check',
+      example: 'a-long-random-string'
+    },
+    MPESA_C2B_CALLBACK_ALLOWED_IPS: {
+      description: 'Comma-separated source IPs allowed to post Paybill callbacks; unset allows any',
+      example: '196.201.214.200,196.201.214.206'
+    },
+    MPESA_C2B_DEFAULT_PAYMENT_TYPE: {
+      description: 'TITHE, OFFERING or DONATION for Paybill payments whose reference names only a member; unset sends them to review',
+      example: 'OFFERING'
+    },
+    BANK_STATEMENT_CSV_LAYOUTS: {
+      description: 'JSON object of extra named CSV statement layouts ({ columns, dateFormat, delimiter, decimalSeparator })',
+      example: '{"EQUITY":{"columns":{"date":"Date","amount":"Amount"},"dateFormat":"DD-MM-YYYY"}}'
+    },
+    RECONCILE_AMOUNT_TOLERANCE: {
+      description: 'KES difference still treated as the same amount when suggesting and linking bank transactions',
+      default: '1',
+      example: '5'
+    },
+    RECONCILE_DATE_WINDOW_DAYS: {
+      description: 'Days either side of a bank transaction searched for amount-only match suggestions',
+      default: '7',
+      example: '14'
+    },
+    MPESA_C2B_REJECT_UNMATCHED: {
+      description: 'Set to true to refuse Paybill payments at validation that would otherwise need review',
+      default: 'false',
+      example: 'true'
+    },
+    TRUST_PROXY: {
+      description: "Express 'trust proxy' setting, needed for correct client IPs behind a reverse proxy",
+      example: '1'
+    },
+    REMITTANCE_TITHE_PERCENTAGE: {
+      description: 'Percentage of tithe collected that is remitted to the conference',
+      default: '100',
+      example: '100'
+    },
+    REMITTANCE_OFFERING_PERCENTAGE: {
+      description: 'Percentage of offerings collected that is remitted to the conference',
+      default: '0',
+      example: '50'
+    },
+    CONFERENCE_REMITTANCE_ACCOUNT: {
+      description: 'Conference bank account that remittance withdrawals are paid to',
+      example: '1234567890'
+    },
+    PERIOD_CLOSE_ROLES: {
+      description: 'Comma-separated user roles allowed to close and reopen accounting periods',
+      default: 'SUPER_ADMIN',
+      example: 'SUPER_ADMIN,TREASURER'
+    },
     
     // Church Information
     CHURCH_CONTACT_EMAIL: {
@@ -0,0 +1,135 @@
+// server/utils/exchangeRates.js
+// KES is the base currency: Payment.amount, wallets and reports are always in KES. A payment given
+// in another currency keeps its original amount and the rate used to convert it.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const BASE_CURRENCY = 'KES';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const normalizeCurrency = (currency) => String(currency || BASE_CURRENCY).trim().toUpperCase();
+
+// Exchange rates are effective for a whole day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Latest stored rate for a currency effective on or before a date
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} currency - ISO 4217 code
+ * @param {Date} date - Payment date
+ * @returns {Promise<Object|null>} ExchangeRate row
+ */
+const getRateForDate = async (client, currency, date) => {
+  const endOfDay = startOfDay(date);
+  endOfDay.setDate(endOfDay.getDate() + 1);
+  return client.exchangeRate.findFirst({
+    where: { currency: normalizeCurrency(currency), effectiveDate: { lt: endOfDay } },
+    orderBy: { effectiveDate: 'desc' }
+  });
+};
+
+/**
+ * Convert an amount to KES at the payment date
+ * A KES amount passes through unchanged. Otherwise the stored rate for the date is used, unless an
+ * explicit rate is given (e.g. the rate the bank applied to the transfer).
+ * @param {Object} params - { amount, currency, date, rate, client }
+ * @returns {Promise<{amount: number, currency: string, originalAmount: number|null, exchangeRate: number|null, exchangeRateId: number|null}>}
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} When no rate is available
+ */
+const convertToKes = async ({ amount, currency, date = new Date(), rate, client = prisma }) => {
+  const code = normalizeCurrency(currency);
+  const originalAmount = roundCents(parseFloat(amount));
+
+  if (code === BASE_CURRENCY) {
+    return { amount: originalAmount, currency: BASE_CURRENCY, originalAmount: null, exchangeRate: null, exchangeRateId: null };
+  }
+
+  let exchangeRate = rate !== undefined && rate !== null && rate !== '' ? parseFloat(rate) : null;
+  let exchangeRateId = null;
+
+  if (exchangeRate === null) {
+    const storedRate = await getRateForDate(client, code, date);
+    if (!storedRate) {
+      throw {
+        statusCode: 400,
+        message: `No ${code} exchange rate is recorded on or before ${startOfDay(date).toISOString().slice(0, 10)}. Add one under exchange rates or enter the rate used.`,
+        errorDetails: { code: 'EXCHANGE_RATE_NOT_FOUND', currency: code }
+      };
+    }
+    exchangeRate = parseFloat(storedRate.rateToKes.toString());
+    exchangeRateId = storedRate.id;
+  }
+
+  if (!(exchangeRate > 0)) {
+    throw { statusCode: 400, message: 'Exchange rate must be greater than zero.', errorDetails: { code: 'INVALID_EXCHANGE_RATE' } };
+  }
+
+  return {
+    amount: roundCents(originalAmount * exchangeRate),
+    currency: code,
+    originalAmount,
+    exchangeRate,
+    exchangeRateId
+  };
+};
+
+/**
+ * Convert a tithe distribution given in the payment currency to KES. Rounding never lets the
+ * designated total exceed the converted payment amount.
+ * @param {Object} distribution - { categoryCode: amount }
+ * @param {number} exchangeRate - KES per unit of the payment currency
+ * @param {number} kesTotal - Converted payment amount
+ * @returns {Object} Distribution in KES
+ */
+const convertDistributionToKes = (distribution, exchangeRate, kesTotal) => {
+  const converted = {};
+  let total = 0;
+  Object.entries(distribution || {}).forEach(([category, value]) => {
+    if (typeof value === 'number') {
+      converted[category] = roundCents(value * exchangeRate);
+      total += converted[category];
+    } else {
+      converted[category] = value;
+    }
+  });
+
+  const overshoot = roundCents(total - kesTotal);
+  if (overshoot > 0) {
+    const largest = Object.keys(converted)
+      .filter(category => typeof converted[category] === 'number')
+      .sort((a, b) => converted[b] - converted[a])[0];
+    converted[largest] = roundCents(converted[largest] - overshoot);
+  }
+  return converted;
+};
+
+/**
+ * "USD 100.00 (KES 12,950.00)" style text for receipts and messages; KES payments show one figure
+ * @param {Object} payment - Payment with amount, currency, originalAmount
+ * @returns {string}
+ */
+const formatPaymentAmount = (payment) => {
+  const format = (value) => parseFloat(value.toString()).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const kesText = `KES ${format(payment.amount)}`;
+  if (!payment.currency || payment.currency === BASE_CURRENCY || payment.originalAmount === null || payment.originalAmount === undefined) {
+    return kesText;
+  }
+  return `${payment.currency} ${format(payment.originalAmount)} (${kesText})`;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  startOfDay,
+  getRateForDate,
+  convertToKes,
+  convertDistributionToKes,
+  formatPaymentAmount
+};
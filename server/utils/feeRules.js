@@ -0,0 +1,136 @@
+// server/utils/feeRules.js
+// Platform fee rules. A rule is chosen per payment method and payment type (most specific first,
+// 'ALL' matching anything), and either the church absorbs the fee or the giver pays it on top.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const FEE_TYPES = ['FLAT', 'PERCENTAGE', 'TIERED'];
+const FEE_BEARERS = ['CHURCH', 'GIVER'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value.toString()));
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Pick the tier for an amount: the highest tier whose minAmount the amount reaches
+const resolveFeeTier = (tiers, amount) => {
+  const sorted = [...(tiers || [])].sort((a, b) => a.minAmount - b.minAmount);
+  let matched = null;
+  for (const tier of sorted) {
+    if (amount >= tier.minAmount) {
+      matched = tier;
+    }
+  }
+  return matched;
+};
+
+/**
+ * Fee a rule charges on an amount, before deciding who pays it
+ * FLAT charges flatAmount; PERCENTAGE charges percentage of the amount plus any flatAmount;
+ * TIERED applies the flatAmount/percentage of the matching tier. minFee and maxFee clamp the result.
+ * @param {Object} rule - FeeRule row (or plain object with the same fields)
+ * @param {number} amount - Payment amount
+ * @returns {number} Fee in KES, rounded to cents
+ */
+const calculateFee = (rule, amount) => {
+  let fee = 0;
+  if (rule.feeType === 'FLAT') {
+    fee = toNumber(rule.flatAmount) || 0;
+  } else if (rule.feeType === 'PERCENTAGE') {
+    fee = amount * (toNumber(rule.percentage) || 0) / 100 + (toNumber(rule.flatAmount) || 0);
+  } else if (rule.feeType === 'TIERED') {
+    const tier = resolveFeeTier(rule.tiers, amount);
+    if (tier) {
+      fee = amount * (parseFloat(tier.percentage) || 0) / 100 + (parseFloat(tier.flatAmount) || 0);
+    }
+  }
+
+  const minFee = toNumber(rule.minFee);
+  const maxFee = toNumber(rule.maxFee);
+  if (minFee !== null) fee = Math.max(fee, minFee);
+  if (maxFee !== null) fee = Math.min(fee, maxFee);
+  return roundCents(Math.max(0, fee));
+};
+
+// Fee charged before fee rules existed: M-Pesa STK pushes only, absorbed by the church
+const legacyFee = (paymentMethod, amount) => {
+  if (paymentMethod !== 'MPESA') return 0;
+  return amount > 500 ? Math.max(5, roundCents(amount * 0.01)) : 5;
+};
+
+/**
+ * Find the active rule for a payment method and type: exact match, then method with ALL types,
+ * then ALL methods with the type, then ALL/ALL
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} paymentMethod
+ * @param {string} paymentType
+ * @returns {Promise<Object|null>}
+ */
+const resolveFeeRule = async (client, paymentMethod, paymentType) => {
+  const rules = await client.feeRule.findMany({
+    where: {
+      isActive: true,
+      paymentMethod: { in: [paymentMethod, 'ALL'] },
+      paymentType: { in: [paymentType, 'ALL'] }
+    }
+  });
+  const precedence = [
+    [paymentMethod, paymentType],
+    [paymentMethod, 'ALL'],
+    ['ALL', paymentType],
+    ['ALL', 'ALL']
+  ];
+  for (const [method, type] of precedence) {
+    const rule = rules.find(r => r.paymentMethod === method && r.paymentType === type);
+    if (rule) return rule;
+  }
+  return null;
+};
+
+/**
+ * Work out the platform fee for a payment about to be initiated
+ * A fee the giver pays is rounded up to whole shillings, since STK pushes charge whole amounts.
+ * @param {Object} params - { amount, paymentMethod, paymentType, client }
+ * @returns {Promise<{platformFee: number, feeBearer: string, feeRuleId: number|null, chargeAmount: number, feeRuleName: string|null}>}
+ *   chargeAmount is what the giver is asked for; the payment amount credited to funds is unchanged
+ */
+const computePlatformFee = async ({ amount, paymentMethod, paymentType, client = prisma }) => {
+  const method = String(paymentMethod || '').toUpperCase();
+  const rule = await resolveFeeRule(client, method, paymentType);
+
+  if (!rule) {
+    return { platformFee: legacyFee(method, amount), feeBearer: 'CHURCH', feeRuleId: null, feeRuleName: null, chargeAmount: amount };
+  }
+
+  let platformFee = calculateFee(rule, amount);
+  if (rule.feeBearer === 'GIVER' && platformFee > 0) {
+    platformFee = Math.ceil(platformFee);
+  }
+
+  return {
+    platformFee,
+    feeBearer: rule.feeBearer,
+    feeRuleId: rule.id,
+    feeRuleName: rule.name,
+    chargeAmount: rule.feeBearer === 'GIVER' ? roundCents(amount + platformFee) : amount
+  };
+};
+
+/**
+ * Amount the provider should have collected for a payment (the fee is added when the giver paid it)
+ * @param {Object} payment - Payment with amount, platformFee, feeBearer
+ * @returns {number}
+ */
+const getChargedAmount = (payment) => {
+  const amount = toNumber(payment.amount) || 0;
+  return payment.feeBearer === 'GIVER' ? roundCents(amount + (toNumber(payment.platformFee) || 0)) : amount;
+};
+
+module.exports = {
+  FEE_TYPES,
+  FEE_BEARERS,
+  calculateFee,
+  resolveFeeRule,
+  computePlatformFee,
+  getChargedAmount
+};
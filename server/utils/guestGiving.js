@@ -0,0 +1,159 @@
+// server/utils/guestGiving.js
+// Giving without an account. A guest's payments belong to a placeholder User (isGuest) keyed by the
+// paying phone number, so receipts, statements and wallets work as for members; the profile cannot
+// log in and is later merged into a real account, either when one is registered with the same phone
+// or by an admin.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { logger } = require('../config/logger');
+const { toMsisdn, phoneVariants } = require('./paymentCallbacks.js');
+
+const GUEST_PLACEHOLDER_NAME = 'Guest Giver';
+const ANONYMOUS_NAME = 'Anonymous';
+
+const GIVER_SELECT = { id: true, fullName: true, phone: true, isGuest: true, deletedAt: true };
+
+/**
+ * Find the member or guest profile a phone number's gifts belong to
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} phone
+ * @returns {Promise<Object|null>} { id, fullName, phone, isGuest }, or null when nobody has the number yet
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} When the number belongs to a deleted user
+ */
+const findGiverByPhone = async (client, phone) => {
+  // Deleted users still hold their phone number, so they are looked up too
+  const giver = await client.user.findFirst({
+    where: { phone: { in: phoneVariants(toMsisdn(phone)) }, deletedAt: undefined },
+    select: GIVER_SELECT
+  });
+
+  if (giver && giver.deletedAt) {
+    throw {
+      statusCode: 409,
+      message: 'This phone number cannot be used for online giving. Please contact the church office.',
+      errorDetails: { code: 'GIVER_UNAVAILABLE' }
+    };
+  }
+  return giver;
+};
+
+/**
+ * Find the profile guest gifts from a phone number belong to, creating a guest profile if none exists
+ * A member registered with the number gets the gift, since the phone's owner approves the STK push.
+ * Safe inside a transaction: a profile created concurrently is skipped rather than failing the insert.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} giver - { phone, name? }
+ * @returns {Promise<Object>} { id, fullName, phone, isGuest }
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} When the number cannot be used
+ */
+const findOrCreateGuestGiver = async (client, { phone, name }) => {
+  const msisdn = toMsisdn(phone);
+  const displayName = name ? String(name).trim().substring(0, 100) : '';
+
+  let giver = await findGiverByPhone(client, msisdn);
+
+  if (!giver) {
+    // ON CONFLICT DO NOTHING: a unique violation would abort the caller's transaction
+    const { count } = await client.user.createMany({
+      data: [{
+        username: `guest_${msisdn}`,
+        // Random password nobody knows; login is refused for guest profiles regardless
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        fullName: displayName || GUEST_PLACEHOLDER_NAME,
+        phone: msisdn,
+        isGuest: true,
+        isAdmin: false,
+        isActive: true
+      }],
+      skipDuplicates: true
+    });
+
+    giver = await findGiverByPhone(client, msisdn);
+    if (!giver) {
+      // The guest username is taken by an account that no longer has this number
+      throw {
+        statusCode: 409,
+        message: 'This phone number cannot be used for online giving. Please contact the church office.',
+        errorDetails: { code: 'GIVER_UNAVAILABLE' }
+      };
+    }
+    if (count > 0) {
+      logger.info(`Guest giving profile ${giver.id} created for ${msisdn}`);
+    }
+  } else if (giver.isGuest && displayName && giver.fullName === GUEST_PLACEHOLDER_NAME) {
+    giver = await client.user.update({ where: { id: giver.id }, data: { fullName: displayName }, select: GIVER_SELECT });
+  }
+
+  return giver;
+};
+
+/**
+ * Move a guest profile's giving history to a member account and remove the guest profile
+ * Its admin action log and idempotency keys move too, so deleting the profile cascades nothing away.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} guestId
+ * @param {number} userId - Member account receiving the history
+ * @returns {Promise<Object>} Number of rows moved per record type
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} When the guest or account is not usable
+ */
+const mergeGuestProfile = async (tx, guestId, userId) => {
+  if (guestId === userId) {
+    throw { statusCode: 400, message: 'A guest profile cannot be merged into itself.', errorDetails: { code: 'INVALID_MERGE' } };
+  }
+
+  const [guest, user] = await Promise.all([
+    tx.user.findUnique({ where: { id: guestId }, select: { id: true, isGuest: true, phone: true } }),
+    tx.user.findUnique({ where: { id: userId }, select: { id: true, isGuest: true } })
+  ]);
+  if (!guest || !guest.isGuest) {
+    throw { statusCode: 404, message: 'Guest profile not found.', errorDetails: { code: 'GUEST_NOT_FOUND' } };
+  }
+  if (!user) {
+    throw { statusCode: 404, message: 'User not found.', errorDetails: { code: 'USER_NOT_FOUND' } };
+  }
+  if (user.isGuest) {
+    throw { statusCode: 400, message: 'Guest profiles can only be merged into a member account.', errorDetails: { code: 'INVALID_MERGE' } };
+  }
+
+  // updateMany is not soft-delete filtered, so trashed payments and receipts move as well
+  const moved = {
+    payments: (await tx.payment.updateMany({ where: { userId: guestId }, data: { userId } })).count,
+    receipts: (await tx.receipt.updateMany({ where: { userId: guestId }, data: { userId } })).count,
+    c2bTransactions: (await tx.c2bTransaction.updateMany({ where: { userId: guestId }, data: { userId } })).count,
+    cashCountEnvelopes: (await tx.cashCountEnvelope.updateMany({ where: { userId: guestId }, data: { userId } })).count,
+    notifications: (await tx.notification.updateMany({ where: { userId: guestId }, data: { userId } })).count
+  };
+  await tx.cashCountSession.updateMany({ where: { looseCashUserId: guestId }, data: { looseCashUserId: userId } });
+  moved.adminActions = (await tx.adminAction.updateMany({ where: { initiatedById: guestId }, data: { initiatedById: userId } })).count;
+  // Keys are unique per user: where the member already used a key, theirs is kept and the guest's copy dropped
+  const memberKeys = await tx.idempotencyKey.findMany({ where: { userId }, select: { key: true } });
+  moved.idempotencyKeys = (await tx.idempotencyKey.updateMany({
+    where: { userId: guestId, key: { notIn: memberKeys.map(row => row.key) } },
+    data: { userId }
+  })).count;
+  await tx.idempotencyKey.deleteMany({ where: { userId: guestId } });
+  await tx.user.delete({ where: { id: guestId } });
+
+  logger.info(`Guest profile ${guestId} (${guest.phone}) merged into user ${userId}`, moved);
+  return moved;
+};
+
+/**
+ * Name to show for a gift's giver in public views and reports
+ * @param {Object} payment - Payment with isAnonymous and optionally user.fullName
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+const giverDisplayName = (payment, fallback = 'N/A') => {
+  if (payment.isAnonymous) return ANONYMOUS_NAME;
+  return (payment.user && payment.user.fullName) || fallback;
+};
+
+module.exports = {
+  GUEST_PLACEHOLDER_NAME,
+  ANONYMOUS_NAME,
+  findGiverByPhone,
+  findOrCreateGuestGiver,
+  mergeGuestProfile,
+  giverDisplayName
+};
@@ -3,8 +3,10 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { withCallbackToken } = require('./paymentCallbacks.js');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Setup debug log file
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -256,6 +258,89 @@ async function syncKcbTransactions(startDate, endDate) {
   }
 }
 
+// Load a parsed bank statement into KcbTransactionSyncs, so imported rows go through the same
+// unlinked / link / ignore workflow as synced ones. Rows already loaded (by bank transaction ID,
+// from the API or an earlier import) are counted as duplicates.
+async function importStatementTransactions(statement, { fileName, csvLayout = null, bankAccount = null, importedById = null }) {
+  const account = bankAccount || statement.accountId || null;
+  // The KCB account's rows must dedupe against the live sync, so only other accounts get a prefix
+  const isKcbAccount = !account || account === KCB_CONFIG.accountNumber;
+  const dates = statement.transactions.map(transaction => transaction.transactionDate.getTime());
+
+  const statementImport = await prisma.bankStatementImport.create({
+    data: {
+      fileName,
+      format: statement.format,
+      csvLayout,
+      bankAccount: account,
+      statementFrom: dates.length ? new Date(Math.min(...dates)) : null,
+      statementTo: dates.length ? new Date(Math.max(...dates)) : null,
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      rowCount: statement.transactions.length + statement.errors.length,
+      importedById
+    }
+  });
+
+  let imported = 0;
+  let linked = 0;
+  let duplicates = 0;
+  const errors = [...statement.errors];
+
+  for (const transaction of statement.transactions) {
+    const kcbTransactionId = isKcbAccount ? transaction.transactionId : `${account}:${transaction.transactionId}`;
+    try {
+      const existingSync = await prisma.kcbTransactionSync.findUnique({ where: { kcbTransactionId } });
+      if (existingSync) {
+        duplicates++;
+        continue;
+      }
+
+      const syncRecord = await prisma.kcbTransactionSync.create({
+        data: {
+          kcbTransactionId,
+          kcbReference: transaction.reference,
+          amount: transaction.amount,
+          transactionDate: transaction.transactionDate,
+          description: transaction.description,
+          transactionType: transaction.amount > 0 ? 'CREDIT' : 'DEBIT',
+          syncStatus: 'UNLINKED',
+          rawData: { ...transaction.raw, syntheticId: transaction.syntheticId || false, currency: statement.currency },
+          source: statement.format,
+          bankAccount: isKcbAccount ? null : account,
+          importId: statementImport.id
+        }
+      });
+      imported++;
+
+      if (syncRecord.transactionType === 'CREDIT' && await tryLinkTransaction(syncRecord)) {
+        linked++;
+      }
+    } catch (txError) {
+      if (txError.code === 'P2002') {
+        duplicates++;
+        continue;
+      }
+      debugLog(`Error importing statement transaction ${kcbTransactionId}:`, txError.message);
+      errors.push({ transactionId: transaction.transactionId, message: txError.message });
+    }
+  }
+
+  const summary = await prisma.bankStatementImport.update({
+    where: { id: statementImport.id },
+    data: {
+      importedCount: imported,
+      duplicateCount: duplicates,
+      linkedCount: linked,
+      errorCount: errors.length,
+      errors: errors.length ? errors.slice(0, 200) : undefined
+    }
+  });
+
+  debugLog(`Statement ${fileName} imported: ${imported} new, ${linked} linked, ${duplicates} duplicates, ${errors.length} errors`);
+  return summary;
+}
+
 // Try to automatically link KCB transaction to payment
 async function tryLinkTransaction(kcbSync) {
   try {
@@ -328,7 +413,7 @@ async function initiateKcbMpesaStkPush(reference, amount, phoneNumber, descripti
       amount: Math.round(amount),
       phoneNumber: formattedPhone,
       description: description || 'Payment to Tassia Central SDA Church',
-      callbackUrl: process.env.KCB_CALLBACK_URL || `${process.env.BACKEND_URL}/api/payment/kcb/callback`
+      callbackUrl: withCallbackToken(process.env.KCB_CALLBACK_URL || `${process.env.BACKEND_URL}/api/payment/kcb/callback`, 'KCB')
     };
     
     const response = await axios({
@@ -469,6 +554,7 @@ module.exports = {
   getKcbAccountBalance,
   getKcbTransactionHistory,
   syncKcbTransactions,
+  importStatementTransactions,
   tryLinkTransaction,
   initiateKcbMpesaStkPush,
   initiateKcbPayment,
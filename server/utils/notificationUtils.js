@@ -1,5 +1,10 @@
 // server/utils/notificationUtils.js
 const AfricasTalking = require('africastalking');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { isViewOnlyAdmin, hasAnyRole } = require('../middlewares/auth.js');
+
+const prisma = withSoftDelete(new PrismaClient());
 
 // Initialize Africa's Talking
 const initializeAfricasTalking = () => {
@@ -64,7 +69,81 @@ const sendEmailNotification = async (email, subject, message) => {
   }
 };
 
+// Record an in-app notification for each user and deliver it by SMS where a phone is available.
+// Never throws: delivery failures are stored on the notification record.
+const notifyUsers = async (users, notificationType, message, reference = null) => {
+  const uniqueUsers = [...new Map(users.filter(Boolean).map(user => [user.id, user])).values()];
+  
+  for (const user of uniqueUsers) {
+    try {
+      const notification = await prisma.notification.create({
+        data: {
+          userId: user.id,
+          notificationType,
+          message,
+          reference,
+          status: 'PENDING'
+        }
+      });
+      
+      if (!user.phone) {
+        continue;
+      }
+      
+      try {
+        const response = await sendSmsNotification(user.phone, message);
+        await prisma.notification.update({
+          where: { id: notification.id },
+          data: { status: 'SENT', responseData: JSON.parse(JSON.stringify(response || {})) }
+        });
+      } catch (smsError) {
+        await prisma.notification.update({
+          where: { id: notification.id },
+          data: { status: 'FAILED', responseData: { error: smsError.message } }
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to notify user ${user.id}:`, error.message);
+    }
+  }
+};
+
+// Notify the requester, every admin who could approve a withdrawal request (active, not view-only and,
+// when the policy names approver roles, holding one of them) and anyone who already approved it
+const notifyWithdrawalParticipants = async (withdrawalRequestId, notificationType, message) => {
+  try {
+    const withdrawal = await prisma.withdrawalRequest.findUnique({
+      where: { id: withdrawalRequestId },
+      include: {
+        requester: { select: { id: true, phone: true } },
+        approvals: { include: { approver: { select: { id: true, phone: true } } } }
+      }
+    });
+    
+    if (!withdrawal) return;
+
+    const approverRoles = withdrawal.policySnapshot?.approverRoles;
+    const admins = await prisma.user.findMany({
+      where: { isAdmin: true, isActive: true },
+      select: { id: true, username: true, isAdmin: true, role: true, phone: true }
+    });
+    const eligibleApprovers = admins.filter(admin => !isViewOnlyAdmin(admin) &&
+      (!Array.isArray(approverRoles) || approverRoles.length === 0 || hasAnyRole(admin, approverRoles)));
+
+    const recipients = [
+      withdrawal.requester,
+      ...eligibleApprovers,
+      ...withdrawal.approvals.map(approval => approval.approver)
+    ];
+    await notifyUsers(recipients, notificationType, message, withdrawal.withdrawalReference);
+  } catch (error) {
+    console.error(`Failed to notify withdrawal participants for ${withdrawalRequestId}:`, error.message);
+  }
+};
+
 module.exports = {
   sendSmsNotification,
-  sendEmailNotification
+  sendEmailNotification,
+  notifyUsers,
+  notifyWithdrawalParticipants
 };
\ No newline at end of file
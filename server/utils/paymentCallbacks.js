@@ -0,0 +1,208 @@
+// server/utils/paymentCallbacks.js
+// Authenticity, replay protection and forensic logging for M-Pesa and KCB payment callbacks.
+// Every check is opt-in through the environment so existing deployments keep working unchanged.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { logger } = require('../config/logger');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Headers worth keeping with a stored callback; anything else (cookies, auth) is dropped
+const STORED_HEADERS = ['content-type', 'user-agent', 'x-forwarded-for', 'x-real-ip', 'x-callback-signature'];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Callback verification settings for a provider
+ * @param {string} provider - MPESA, MPESA_C2B or KCB
+ * @returns {{secret: string|null, allowedIps: string[]}}
+ */
+const getCallbackSecurity = (provider) => ({
+  secret: process.env[`${provider}_CALLBACK_SECRET`] || null,
+  allowedIps: parseList(process.env[`${provider}_CALLBACK_ALLOWED_IPS`])
+});
+
+/**
+ * Append the provider's callback token to a callback URL, when a secret is configured.
+ * M-Pesa cannot send custom headers, so the token travels in the URL it calls back.
+ * @param {string} url
+ * @param {string} provider - MPESA, MPESA_C2B or KCB
+ * @returns {string}
+ */
+const withCallbackToken = (url, provider) => {
+  const { secret } = getCallbackSecurity(provider);
+  if (!url || !secret) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(secret)}`;
+};
+
+/**
+ * Normalize a Kenyan phone number to the 2547XXXXXXXX form providers report
+ * @param {string|number} phone
+ * @returns {string|null}
+ */
+const toMsisdn = (phone) => {
+  if (phone === null || phone === undefined || phone === '') return null;
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('254')) return digits;
+  if (digits.startsWith('0')) return `254${digits.substring(1)}`;
+  return `254${digits}`;
+};
+
+/**
+ * Stored phone formats a number may have been registered under
+ * @param {string|number} phone
+ * @returns {Array<string>} 2547XXXXXXXX, +2547XXXXXXXX, 07XXXXXXXX and 7XXXXXXXX
+ */
+const phoneVariants = (phone) => {
+  const msisdn = toMsisdn(phone);
+  const local = msisdn.substring(3);
+  return [msisdn, `+${msisdn}`, `0${local}`, local];
+};
+
+/**
+ * The provider reference a callback is about: CheckoutRequestID for M-Pesa, TransID for M-Pesa
+ * Paybill (C2B), the transaction reference (or id) for KCB
+ * @param {string} provider - MPESA, MPESA_C2B or KCB
+ * @param {Object} body - Parsed callback body
+ * @returns {string|null}
+ */
+const getCallbackKey = (provider, body = {}) => {
+  let key;
+  if (provider === 'MPESA') key = body?.Body?.stkCallback?.CheckoutRequestID;
+  else if (provider === 'MPESA_C2B') key = body?.TransID;
+  else key = body?.transactionReference || body?.transactionId;
+  return key ? String(key) : null;
+};
+
+// Source address without the IPv4-mapped IPv6 prefix
+const getSourceIp = (req) => String(req.ip || req.connection?.remoteAddress || '').replace(/^::ffff:/, '') || null;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Check a callback request against the provider's IP allowlist and shared secret.
+ * The secret may be presented as ?token=, an X-Callback-Token header, or an
+ * X-Callback-Signature header holding the hex HMAC-SHA256 of the raw body.
+ * @param {string} provider - MPESA, MPESA_C2B or KCB
+ * @param {Object} req - Express request (req.rawBody is set by the JSON body parser)
+ * @returns {{valid: boolean, reason?: string}}
+ */
+const verifyCallbackRequest = (provider, req) => {
+  const { secret, allowedIps } = getCallbackSecurity(provider);
+
+  if (allowedIps.length > 0 && !allowedIps.includes(getSourceIp(req))) {
+    return { valid: false, reason: `Source IP ${getSourceIp(req)} is not allowed` };
+  }
+
+  if (secret) {
+    const token = req.query?.token || req.get('X-Callback-Token');
+    const signature = req.get('X-Callback-Signature');
+
+    if (token && safeEqual(token, secret)) {
+      return { valid: true };
+    }
+    if (signature && req.rawBody) {
+      const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+      if (safeEqual(signature.toLowerCase(), expected)) {
+        return { valid: true };
+      }
+    }
+    return { valid: false, reason: token || signature ? 'Invalid callback token or signature' : 'Missing callback token or signature' };
+  }
+
+  return { valid: true };
+};
+
+const pickHeaders = (headers = {}) => STORED_HEADERS.reduce((kept, name) => {
+  if (headers[name] !== undefined) kept[name] = headers[name];
+  return kept;
+}, {});
+
+/**
+ * Store a received callback. Accepted callbacks claim the provider reference; a second accepted
+ * callback for the same reference is stored as DUPLICATE instead.
+ * @param {Object} entry - { provider, req, status, rejectionReason }
+ * @returns {Promise<Object|null>} The PaymentCallbackLog row, or null when it could not be stored
+ */
+const recordCallback = async ({ provider, req, status = 'RECEIVED', rejectionReason = null }) => {
+  const callbackKey = getCallbackKey(provider, req.body);
+  const data = {
+    provider,
+    callbackKey,
+    status,
+    rejectionReason,
+    sourceIp: getSourceIp(req),
+    headers: pickHeaders(req.headers),
+    rawBody: req.body || null
+  };
+
+  try {
+    if (status === 'RECEIVED' && callbackKey) {
+      try {
+        return await prisma.paymentCallbackLog.create({
+          data: { ...data, dedupeKey: `${provider}:${callbackKey}` }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+        return await prisma.paymentCallbackLog.create({
+          data: { ...data, status: 'DUPLICATE', rejectionReason: `Callback for ${callbackKey} already received` }
+        });
+      }
+    }
+    return await prisma.paymentCallbackLog.create({ data });
+  } catch (error) {
+    logger.error(`Failed to store ${provider} callback ${callbackKey || '(no reference)'}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Record how a stored callback was processed.
+ * A processing error releases the reference so the provider's retry is accepted.
+ * @param {number} logId
+ * @param {Object} result - From processMpesaResult/processKcbResult, or { error } when it threw
+ * @param {Object} [options] - { reprocessed: true } when an admin replayed the callback
+ */
+const completeCallbackLog = async (logId, result = {}, { reprocessed = false } = {}) => {
+  if (!logId) return;
+
+  let status = 'PROCESSED';
+  if (result.error) status = 'FAILED';
+  else if (result.mismatch) status = 'MISMATCH';
+  else if (result.alreadyProcessedOrNotFound) status = 'IGNORED';
+
+  try {
+    await prisma.paymentCallbackLog.update({
+      where: { id: logId },
+      data: {
+        status,
+        paymentId: result.paymentId || undefined,
+        processingResult: result,
+        processedAt: new Date(),
+        ...(reprocessed ? { reprocessCount: { increment: 1 } } : {}),
+        ...(status === 'FAILED' ? { dedupeKey: null } : {})
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to update payment callback log ${logId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getCallbackSecurity,
+  withCallbackToken,
+  toMsisdn,
+  phoneVariants,
+  getCallbackKey,
+  verifyCallbackRequest,
+  recordCallback,
+  completeCallbackLog
+};
@@ -0,0 +1,215 @@
+// server/utils/paymentReconciler.js
+// Resolves M-Pesa and KCB payments left PENDING because their callback never arrived: asks the
+// provider for the result and applies it through the same code path as the callback, expires
+// payments that stay unresolved too long, and records every decision.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+const { logger } = require('../config/logger');
+const { queryMpesaStkStatus } = require('./paymentUtils.js');
+const { queryKcbPaymentStatus } = require('./kcbPaymentUtils.js');
+const { recordStatusChange } = require('./paymentStatusMachine.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const RECONCILABLE_METHODS = ['MPESA', 'KCB'];
+const KCB_SUCCESS_STATUSES = ['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID'];
+const KCB_FAILURE_STATUSES = ['FAILED', 'CANCELLED', 'DECLINED', 'REVERSED', 'EXPIRED', 'TIMEOUT'];
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+/**
+ * Reconciler thresholds: payments are queried once older than PAYMENT_RECONCILE_AFTER_MINUTES
+ * (default 10) and expired once older than PAYMENT_EXPIRE_AFTER_HOURS (default 24)
+ * @returns {{minAgeMinutes: number, maxAgeHours: number, batchSize: number}}
+ */
+const getReconcilerSettings = () => ({
+  minAgeMinutes: parsePositiveInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10),
+  maxAgeHours: parsePositiveInt(process.env.PAYMENT_EXPIRE_AFTER_HOURS, 24),
+  batchSize: 50
+});
+
+// Normalize a KCB status query response; an unknown or in-progress status stays unresolved
+const interpretKcbStatus = (data = {}) => {
+  const status = String(data.status || data.transactionStatus || '').toUpperCase();
+  const resultCode = data.resultCode ?? data.ResultCode;
+  const base = {
+    providerStatus: status || (resultCode !== undefined ? String(resultCode) : null),
+    resultDesc: data.resultDescription || data.message || status,
+    transactionId: data.transactionId,
+    transactionDate: data.transactionDate,
+    raw: data
+  };
+
+  if (KCB_SUCCESS_STATUSES.includes(status)) {
+    return { ...base, resolved: true, success: true, resultCode: '0' };
+  }
+  if (KCB_FAILURE_STATUSES.includes(status)) {
+    return { ...base, resolved: true, success: false, resultCode: resultCode !== undefined && !['0', '00'].includes(String(resultCode)) ? String(resultCode) : '1' };
+  }
+  if (!status && resultCode !== undefined && resultCode !== null) {
+    const success = ['0', '00'].includes(String(resultCode));
+    return { ...base, resolved: true, success, resultCode: String(resultCode) };
+  }
+  return { ...base, resolved: false };
+};
+
+// Ask the payment's provider for its result
+const queryProvider = async (payment) => {
+  if (payment.paymentMethod === 'MPESA') {
+    if (!payment.reference) {
+      return { resolved: false, providerStatus: null, error: 'No CheckoutRequestID stored for payment' };
+    }
+    const result = await queryMpesaStkStatus(payment.reference);
+    return { ...result, providerStatus: result.resultCode || null };
+  }
+
+  const kcbId = payment.transactionId || payment.kcbReference || payment.reference;
+  if (!kcbId) {
+    return { resolved: false, providerStatus: null, error: 'No KCB transaction identifier stored for payment' };
+  }
+  return interpretKcbStatus(await queryKcbPaymentStatus(kcbId));
+};
+
+// Log a decision and keep it in PaymentReconciliationLogs
+const recordDecision = async (payment, decision, providerStatus = null, details = null) => {
+  logger.info(`Payment reconciliation: payment ${payment.id} (${payment.paymentMethod}) -> ${decision}${providerStatus ? ` [provider status ${providerStatus}]` : ''}`);
+
+  try {
+    await prisma.paymentReconciliationLog.create({
+      data: {
+        paymentId: payment.id,
+        provider: payment.paymentMethod,
+        decision,
+        providerStatus: providerStatus !== null && providerStatus !== undefined ? String(providerStatus) : null,
+        details
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to record reconciliation decision for payment ${payment.id}: ${error.message}`);
+  }
+
+  return { paymentId: payment.id, provider: payment.paymentMethod, decision, providerStatus };
+};
+
+/**
+ * Reconcile one stale PENDING payment
+ * @param {Object} payment - Payment row
+ * @param {Object} settings - From getReconcilerSettings()
+ * @returns {Promise<Object>} The recorded decision
+ */
+const reconcilePayment = async (payment, { maxAgeHours }) => {
+  // Required lazily: the controller is loaded after the scheduler
+  const { processKcbResult, processMpesaResult } = require('../controllers/paymentController.js');
+
+  let outcome;
+  try {
+    outcome = await queryProvider(payment);
+  } catch (error) {
+    outcome = { resolved: false, providerStatus: null, error: error.message };
+  }
+
+  if (outcome.resolved) {
+    try {
+      const result = payment.paymentMethod === 'MPESA'
+        ? await processMpesaResult({
+            MerchantRequestID: outcome.merchantRequestId || payment.transactionId,
+            CheckoutRequestID: payment.reference,
+            ResultCode: outcome.resultCode,
+            ResultDesc: outcome.resultDesc
+          }, { source: 'RECONCILER' })
+        : await processKcbResult({
+            transactionReference: payment.reference,
+            transactionId: outcome.transactionId || payment.transactionId,
+            resultCode: outcome.resultCode,
+            resultDescription: outcome.resultDesc,
+            transactionDate: outcome.transactionDate
+          }, { source: 'RECONCILER' });
+
+      if (result.alreadyProcessedOrNotFound) {
+        return recordDecision(payment, 'ALREADY_PROCESSED', outcome.providerStatus);
+      }
+      return recordDecision(payment, result.success ? 'COMPLETED' : 'FAILED', outcome.providerStatus, {
+        resultDesc: outcome.resultDesc || null
+      });
+    } catch (error) {
+      return recordDecision(payment, 'ERROR', outcome.providerStatus, { error: error.message });
+    }
+  }
+
+  const ageHours = (Date.now() - new Date(payment.createdAt).getTime()) / (60 * 60 * 1000);
+  if (ageHours >= maxAgeHours) {
+    // Conditional update so a callback arriving meanwhile wins
+    const failureReason = `No ${payment.paymentMethod} confirmation received within ${maxAgeHours} hours`;
+    const expired = await prisma.$transaction(async (tx) => {
+      const updated = await tx.payment.updateMany({
+        where: { id: payment.id, status: 'PENDING' },
+        data: { status: 'EXPIRED', failureReason }
+      });
+      if (updated.count > 0) {
+        await recordStatusChange(tx, {
+          paymentId: payment.id,
+          fromStatus: 'PENDING',
+          toStatus: 'EXPIRED',
+          source: 'RECONCILER',
+          reason: failureReason
+        });
+      }
+      return updated;
+    });
+    return recordDecision(payment, expired.count > 0 ? 'EXPIRED' : 'ALREADY_PROCESSED', outcome.providerStatus, {
+      ageHours: Math.round(ageHours * 10) / 10,
+      error: outcome.error || null
+    });
+  }
+
+  // A payment stays unresolved for many runs; only a change in what the provider says is logged again
+  const providerStatus = outcome.providerStatus !== null && outcome.providerStatus !== undefined ? String(outcome.providerStatus) : null;
+  const previous = await prisma.paymentReconciliationLog.findFirst({
+    where: { paymentId: payment.id },
+    orderBy: { id: 'desc' },
+    select: { decision: true, providerStatus: true }
+  });
+  if (previous && previous.decision === 'UNRESOLVED' && previous.providerStatus === providerStatus) {
+    return { paymentId: payment.id, provider: payment.paymentMethod, decision: 'UNRESOLVED', providerStatus, unchanged: true };
+  }
+
+  return recordDecision(payment, 'UNRESOLVED', outcome.providerStatus, { error: outcome.error || null });
+};
+
+/**
+ * Reconcile PENDING M-Pesa and KCB payments older than the reconcile threshold. Payments never
+ * queried come first, then those queried longest ago, so a backlog larger than one batch rotates.
+ * @returns {Promise<Array<Object>>} Decisions made in this run
+ */
+const reconcileStalePayments = async () => {
+  const settings = getReconcilerSettings();
+  const cutoff = new Date(Date.now() - settings.minAgeMinutes * 60 * 1000);
+
+  const stalePayments = await prisma.payment.findMany({
+    where: {
+      status: 'PENDING',
+      paymentMethod: { in: RECONCILABLE_METHODS },
+      isTemplate: false,
+      batchPaymentId: null,
+      createdAt: { lte: cutoff }
+    },
+    orderBy: [{ lastReconciledAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }],
+    take: settings.batchSize
+  });
+
+  const decisions = [];
+  for (const payment of stalePayments) {
+    await prisma.payment.updateMany({ where: { id: payment.id }, data: { lastReconciledAt: new Date() } });
+    decisions.push(await reconcilePayment(payment, settings));
+  }
+
+  return decisions;
+};
+
+module.exports = {
+  getReconcilerSettings,
+  reconcileStalePayments
+};
@@ -0,0 +1,143 @@
+// server/utils/paymentStatusMachine.js
+// Payment statuses, the transitions allowed between them and the side effects each one carries.
+// Every change of an existing payment's status is recorded in PaymentStatusHistory.
+const { logger } = require('../config/logger');
+
+const PAYMENT_STATUSES = ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED', 'REFUNDED', 'REVERSED'];
+
+// Side effects a transition requires; the caller performs them inside the same transaction
+const STATUS_EFFECTS = {
+  CREDIT_WALLETS: 'CREDIT_WALLETS', // Post the payment to its wallets
+  ISSUE_RECEIPT: 'ISSUE_RECEIPT', // Issue a receipt if the payment has none
+  REVERSE_WALLETS: 'REVERSE_WALLETS', // Reverse the wallet postings through a linked negative entry
+  VOID_RECEIPT: 'VOID_RECEIPT', // Void the payment's receipt
+  NOTIFY_MEMBER: 'NOTIFY_MEMBER' // SMS the member once the change is committed
+};
+
+const COMPLETION_EFFECTS = [STATUS_EFFECTS.CREDIT_WALLETS, STATUS_EFFECTS.ISSUE_RECEIPT, STATUS_EFFECTS.NOTIFY_MEMBER];
+
+// From status -> { to status: side effects }. Statuses missing on the right are terminal.
+// FAILED and EXPIRED payments can still be completed when the money is confirmed late
+// (e.g. a lost callback); a completed payment only leaves COMPLETED by a refund or reversal.
+const PAYMENT_STATUS_TRANSITIONS = {
+  PENDING: {
+    COMPLETED: COMPLETION_EFFECTS,
+    FAILED: [],
+    CANCELLED: [],
+    EXPIRED: []
+  },
+  FAILED: {
+    COMPLETED: COMPLETION_EFFECTS,
+    CANCELLED: []
+  },
+  EXPIRED: {
+    COMPLETED: COMPLETION_EFFECTS,
+    FAILED: [],
+    CANCELLED: []
+  },
+  COMPLETED: {
+    REFUNDED: [STATUS_EFFECTS.REVERSE_WALLETS, STATUS_EFFECTS.VOID_RECEIPT, STATUS_EFFECTS.NOTIFY_MEMBER],
+    REVERSED: [STATUS_EFFECTS.REVERSE_WALLETS, STATUS_EFFECTS.VOID_RECEIPT]
+  },
+  CANCELLED: {},
+  REFUNDED: {},
+  REVERSED: {}
+};
+
+// Where a status change came from, as recorded in the history
+const STATUS_CHANGE_SOURCES = ['ADMIN', 'KCB_CALLBACK', 'MPESA_CALLBACK', 'RECONCILER', 'BATCH', 'REFUND', 'REVERSAL'];
+
+/**
+ * Statuses a payment can move to from its current status
+ * @param {string} fromStatus
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (fromStatus) => Object.keys(PAYMENT_STATUS_TRANSITIONS[fromStatus] || {});
+
+/**
+ * Whether moving a payment to this status reverses its wallet credits from any status that allows it.
+ * Such changes must go through multi-admin approval.
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+const reversesWallets = (toStatus) => Object.values(PAYMENT_STATUS_TRANSITIONS)
+  .some(targets => (targets[toStatus] || []).includes(STATUS_EFFECTS.REVERSE_WALLETS));
+
+/**
+ * Check a status change against the state machine
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {Array<string>} Side effects of the transition (STATUS_EFFECTS values)
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} For unknown statuses,
+ *   no-op changes and transitions the machine does not allow
+ */
+const assertTransitionAllowed = (fromStatus, toStatus) => {
+  if (!PAYMENT_STATUSES.includes(toStatus)) {
+    throw {
+      statusCode: 400,
+      message: `Invalid status. Must be one of: ${PAYMENT_STATUSES.join(', ')}.`,
+      errorDetails: { code: 'INVALID_STATUS' }
+    };
+  }
+  if (fromStatus === toStatus) {
+    throw {
+      statusCode: 409,
+      message: `Payment is already ${toStatus}.`,
+      errorDetails: { code: 'STATUS_UNCHANGED', currentStatus: fromStatus }
+    };
+  }
+
+  const effects = (PAYMENT_STATUS_TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!effects) {
+    const allowed = getAllowedTransitions(fromStatus);
+    throw {
+      statusCode: 409,
+      message: allowed.length > 0
+        ? `Cannot change a ${fromStatus} payment to ${toStatus}. Allowed: ${allowed.join(', ')}.`
+        : `${fromStatus} is a final status; the payment cannot be changed to ${toStatus}.`,
+      errorDetails: {
+        code: allowed.length > 0 ? 'ILLEGAL_STATUS_TRANSITION' : 'FINAL_STATUS',
+        currentStatus: fromStatus,
+        requestedStatus: toStatus,
+        allowedStatuses: allowed
+      }
+    };
+  }
+
+  return effects;
+};
+
+/**
+ * Record status changes in PaymentStatusHistory
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object|Array<Object>} changes - { paymentId, fromStatus, toStatus, source, reason?, changedById?, details? }
+ * @returns {Promise<void>}
+ */
+const recordStatusChange = async (client, changes) => {
+  const rows = (Array.isArray(changes) ? changes : [changes]).map(change => ({
+    paymentId: change.paymentId,
+    fromStatus: change.fromStatus || null,
+    toStatus: change.toStatus,
+    source: change.source,
+    reason: change.reason ? String(change.reason).substring(0, 500) : null,
+    changedById: change.changedById || null,
+    details: change.details || undefined
+  }));
+  if (rows.length === 0) return;
+
+  await client.paymentStatusHistory.createMany({ data: rows });
+  rows.forEach(row => {
+    logger.info(`Payment ${row.paymentId} status ${row.fromStatus || 'NEW'} -> ${row.toStatus} (${row.source}${row.changedById ? `, user ${row.changedById}` : ''})`);
+  });
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  STATUS_EFFECTS,
+  PAYMENT_STATUS_TRANSITIONS,
+  STATUS_CHANGE_SOURCES,
+  getAllowedTransitions,
+  reversesWallets,
+  assertTransitionAllowed,
+  recordStatusChange
+};
@@ -1,6 +1,7 @@
 // server/utils/paymentUtils.js
 const axios = require('axios');
 // const crypto = require('crypto'); // Not typically needed for basic STK password generation
+const { withCallbackToken } = require('./paymentCallbacks.js');
 
 // Helper for debug logging (consistent with other controllers)
 const fs = require('fs');
@@ -103,7 +104,7 @@ const initiateMpesaPayment = async (internalPaymentId, amount, phoneNumber, tran
       PartyA: formattedPhone,
       PartyB: shortCode,
       PhoneNumber: formattedPhone,
-      CallBackURL: callbackURL,
+      CallBackURL: withCallbackToken(callbackURL, 'MPESA'),
       AccountReference: String(internalPaymentId).substring(0, 12), // Max 12 chars, ensure it's a useful reference
       TransactionDesc: String(transactionDescription).substring(0, 13), // Max 13 chars
     };
@@ -150,6 +151,108 @@ const initiateMpesaPayment = async (internalPaymentId, amount, phoneNumber, tran
   }
 };
 
+// Query the status of an M-Pesa STK Push (LIVE environment) by its CheckoutRequestID.
+// Returns { resolved: false } while Safaricom is still processing the request.
+const queryMpesaStkStatus = async (checkoutRequestId) => {
+  debugLog(`Querying M-Pesa STK status for CheckoutRequestID: ${checkoutRequestId}`);
+
+  const shortCode = process.env.MPESA_LIVE_SHORTCODE;
+  const passkey = process.env.MPESA_LIVE_PASSKEY;
+  if (!shortCode || !passkey) {
+    throw new Error('M-Pesa STK query configuration incomplete. Check server environment variables.');
+  }
+
+  const accessToken = await getMpesaAccessToken();
+  const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14);
+  const password = Buffer.from(shortCode + passkey + timestamp).toString('base64');
+
+  const stkQueryUrl = 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query';
+  // ALWAYS VERIFY THIS URL WITH OFFICIAL SAFARICOM DOCUMENTATION.
+
+  try {
+    const response = await axios({
+      method: 'post',
+      url: stkQueryUrl,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      data: {
+        BusinessShortCode: shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId,
+      },
+    });
+
+    debugLog('M-Pesa STK query response:', response.data);
+
+    if (response.data && response.data.ResultCode !== undefined) {
+      return {
+        resolved: true,
+        success: String(response.data.ResultCode) === '0',
+        resultCode: String(response.data.ResultCode),
+        resultDesc: response.data.ResultDesc,
+        merchantRequestId: response.data.MerchantRequestID,
+        raw: response.data
+      };
+    }
+
+    return { resolved: false, raw: response.data };
+  } catch (error) {
+    // Safaricom answers "The transaction is being processed" with an error status until the customer responds
+    const errorData = error.response?.data;
+    if (errorData && /being processed/i.test(errorData.errorMessage || '')) {
+      debugLog('M-Pesa STK request still being processed:', errorData);
+      return { resolved: false, raw: errorData };
+    }
+    const errorMsg = errorData ? JSON.stringify(errorData) : error.message;
+    debugLog('M-Pesa STK query error:', errorMsg);
+    throw new Error(`Failed to query M-Pesa STK status: ${errorMsg}`);
+  }
+};
+
+// Register the Paybill (C2B) validation and confirmation URLs with Safaricom.
+// ResponseType 'Completed' lets payments through if our validation URL cannot be reached.
+const registerMpesaC2bUrls = async () => {
+  const shortCode = process.env.MPESA_C2B_SHORTCODE || process.env.MPESA_LIVE_SHORTCODE;
+  const confirmationURL = process.env.MPESA_C2B_CONFIRMATION_URL;
+  const validationURL = process.env.MPESA_C2B_VALIDATION_URL;
+  if (!shortCode || !confirmationURL || !validationURL) {
+    throw new Error('M-Pesa C2B configuration incomplete (shortcode, confirmation and validation URLs). Check server environment variables.');
+  }
+
+  const accessToken = await getMpesaAccessToken();
+  const registerUrl = 'https://api.safaricom.co.ke/mpesa/c2b/v1/registerurl';
+  // ALWAYS VERIFY THIS URL WITH OFFICIAL SAFARICOM DOCUMENTATION.
+
+  const requestBody = {
+    ShortCode: shortCode,
+    ResponseType: 'Completed',
+    ConfirmationURL: withCallbackToken(confirmationURL, 'MPESA_C2B'),
+    ValidationURL: withCallbackToken(validationURL, 'MPESA_C2B'),
+  };
+  debugLog('Registering M-Pesa C2B URLs:', { ShortCode: shortCode, ResponseType: requestBody.ResponseType });
+
+  try {
+    const response = await axios({
+      method: 'post',
+      url: registerUrl,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      data: requestBody,
+    });
+    debugLog('M-Pesa C2B URL registration response:', response.data);
+    return { success: true, shortCode, response: response.data };
+  } catch (error) {
+    const errorMsg = error.response ? JSON.stringify(error.response.data) : error.message;
+    debugLog('M-Pesa C2B URL registration error:', errorMsg);
+    throw new Error(`Failed to register M-Pesa C2B URLs: ${errorMsg}`);
+  }
+};
+
 // Placeholder for card payment processing
 const processCardPayment = async (paymentId, amount, cardDetails, description) => {
   debugLog(`Placeholder: Processing card payment for Payment ID: ${paymentId}, Amount: ${amount}`);
@@ -167,5 +270,7 @@ const processCardPayment = async (paymentId, amount, cardDetails, description) =
 
 module.exports = {
   initiateMpesaPayment,
+  queryMpesaStkStatus,
+  registerMpesaC2bUrls,
   processCardPayment, // Keep or remove based on whether you intend to implement it
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+// server/utils/pdfReportUtils.js
+// Shared pdfkit helpers for generated reports (admin reports, remittance statements)
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// Helper for formatting date in PDF
+const formatDateForPdf = (dateString) => {
+  if (!dateString) return 'N/A';
+  try {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric', month: 'long', day: 'numeric',
+    });
+  } catch (e) { 
+    return dateString.toString(); 
+  }
+};
+
+// Format an amount as KES with two decimals
+const formatKesForPdf = (amount) => {
+  const value = parseFloat(amount ? amount.toString() : '0');
+  return value.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+// Draw a simple table, repeating the header on each new page
+function createPdfTable(doc, headers, dataRows) {
+  const tableTop = doc.y;
+  const rowHeight = 15;
+  const colWidths = headers.map(() => (doc.page.width - 80) / headers.length);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(8);
+  headers.forEach((header, i) => {
+    doc.text(header, 40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), tableTop, { 
+      width: colWidths[i] - 5, 
+      align: 'left' 
+    });
+  });
+  doc.y += rowHeight;
+  doc.strokeColor('#cccccc').lineWidth(0.5)
+     .moveTo(40, doc.y - (rowHeight/2))
+     .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
+     .stroke();
+
+  // Rows
+  doc.font('Helvetica').fontSize(8);
+  dataRows.forEach(row => {
+    if (doc.y + rowHeight > doc.page.height - 50) {
+      doc.addPage();
+      doc.y = 40;
+      
+      // Re-draw header on new page
+      doc.font('Helvetica-Bold');
+      headers.forEach((header, i) => {
+        doc.text(header, 40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), doc.y, { 
+          width: colWidths[i] - 5, 
+          align: 'left'
+        });
+      });
+      doc.y += rowHeight;
+      doc.strokeColor('#cccccc').lineWidth(0.5)
+         .moveTo(40, doc.y - (rowHeight/2))
+         .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
+         .stroke();
+      doc.font('Helvetica');
+    }
+    
+    row.forEach((cell, i) => {
+      doc.text(String(cell === null || cell === undefined ? 'N/A' : cell), 
+               40 + colWidths.slice(0, i).reduce((a, b) => a + b, 0), 
+               doc.y, 
+               { width: colWidths[i] - 5, align: 'left' });
+    });
+    doc.y += rowHeight;
+    doc.strokeColor('#dddddd').lineWidth(0.25)
+       .moveTo(40, doc.y - (rowHeight/2))
+       .lineTo(doc.page.width - 40, doc.y - (rowHeight/2))
+       .stroke();
+  });
+}
+
+/**
+ * Write a PDF report with the standard church header and generated-at footer.
+ * @param {string} filepath - Destination file
+ * @param {Object} header - { title, startDate, endDate }
+ * @param {Function} renderBody - async (doc) => void, draws the report content
+ * @returns {Promise<void>} Resolves once the file is fully written
+ */
+const writePdfReport = (filepath, { title, startDate, endDate }, renderBody) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 40, size: 'A4' });
+      const writeStream = fs.createWriteStream(filepath);
+      doc.pipe(writeStream);
+
+      // Header
+      doc.fontSize(18).font('Helvetica-Bold').text('Tassia Central SDA Church', { align: 'center' });
+      doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'center' });
+      doc.fontSize(10).font('Helvetica').text(`Period: ${formatDateForPdf(startDate)} to ${formatDateForPdf(endDate)}`, { align: 'center' });
+      doc.moveDown(2);
+
+      await renderBody(doc);
+
+      // Footer
+      doc.moveDown(2);
+      doc.fontSize(8).text(`Report Generated: ${new Date().toLocaleString()}`, 40, doc.page.height - 30, {lineBreak: false});
+      
+      doc.end();
+
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = {
+  formatDateForPdf,
+  formatKesForPdf,
+  createPdfTable,
+  writePdfReport
+};
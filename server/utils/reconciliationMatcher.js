@@ -0,0 +1,250 @@
+// server/utils/reconciliationMatcher.js
+// Ranked match suggestions for unlinked bank transactions (KcbTransactionSyncs). Candidates are
+// single payments or a whole batch; each is scored on amount, identifiers quoted in the bank
+// narrative, the payer's phone or name, and date distance.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const MIN_SUGGESTION_SCORE = 20;
+const BATCH_LINKABLE_STATUSES = ['DEPOSITED', 'COMPLETED'];
+
+const parsePositiveNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Matching settings: RECONCILE_AMOUNT_TOLERANCE (KES, default 1) is the difference still treated
+ * as the same amount and allowed when linking; RECONCILE_DATE_WINDOW_DAYS (default 7) bounds how
+ * far apart the bank and payment dates may be for an amount-only candidate
+ * @returns {{amountTolerance: number, dateWindowDays: number}}
+ */
+const getMatcherSettings = () => ({
+  amountTolerance: parsePositiveNumber(process.env.RECONCILE_AMOUNT_TOLERANCE, 1),
+  dateWindowDays: parsePositiveNumber(process.env.RECONCILE_DATE_WINDOW_DAYS, 7)
+});
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()));
+
+// Everything the bank tells us about a transaction, upper-cased for substring checks
+const bankText = (bankTx) => [bankTx.description, bankTx.kcbReference, bankTx.kcbTransactionId]
+  .filter(Boolean)
+  .join(' ')
+  .toUpperCase();
+
+// Identifier-like words in the bank text, for looking up payments by reference or receipt
+const identifierTokens = (text) => [...new Set(
+  text.split(/[\s,;:()"'|]+/).filter(token => token.length >= 6 && /\d/.test(token))
+)];
+
+const scoreAmount = (bankAmount, amount, tolerance) => {
+  const difference = Math.abs(bankAmount - amount);
+  if (difference < 0.005) return { points: 40, reason: 'Exact amount' };
+  if (difference <= tolerance) return { points: 30, reason: `Amount within KES ${tolerance.toFixed(2)}` };
+  const ratio = bankAmount > 0 ? difference / bankAmount : 1;
+  if (ratio <= 0.05) {
+    return { points: Math.round(15 * (1 - ratio / 0.05)), reason: `Amount differs by KES ${difference.toFixed(2)}` };
+  }
+  return { points: 0, reason: null };
+};
+
+const scoreDate = (bankDate, date) => {
+  if (!date) return { points: 0, reason: null };
+  const days = Math.abs(new Date(bankDate).getTime() - new Date(date).getTime()) / (24 * 60 * 60 * 1000);
+  if (days < 1) return { points: 10, reason: 'Same day' };
+  if (days <= 2) return { points: 8, reason: `${Math.round(days)} day(s) apart` };
+  if (days <= 4) return { points: 5, reason: `${Math.round(days)} days apart` };
+  if (days <= 8) return { points: 2, reason: `${Math.round(days)} days apart` };
+  return { points: 0, reason: null };
+};
+
+// Strongest signal: one of the record's identifiers appears in the bank narrative or reference
+const scoreIdentifiers = (text, identifiers) => {
+  const found = identifiers.find(({ value }) => value && String(value).length >= 6 && text.includes(String(value).toUpperCase()));
+  return found ? { points: 30, reason: `${found.label} ${found.value} in bank narrative` } : { points: 0, reason: null };
+};
+
+const scorePayer = (text, payment) => {
+  const digits = text.replace(/\D+/g, ' ');
+  const phone = String(payment.payerPhone || payment.user?.phone || '').replace(/\D/g, '').slice(-9);
+  if (phone.length === 9 && digits.includes(phone)) {
+    return { points: 15, reason: 'Payer phone in bank narrative' };
+  }
+
+  const names = String(payment.user?.fullName || '').toUpperCase().split(/\s+/).filter(name => name.length >= 3);
+  const matched = names.filter(name => text.includes(name));
+  if (names.length > 0 && matched.length === names.length) {
+    return { points: 10, reason: 'Payer name in bank narrative' };
+  }
+  if (matched.length > 0) {
+    return { points: 5, reason: `Payer name "${matched.join(' ')}" in bank narrative` };
+  }
+  return { points: 0, reason: null };
+};
+
+const combine = (parts) => ({
+  score: Math.min(100, parts.reduce((total, part) => total + part.points, 0)),
+  reasons: parts.map(part => part.reason).filter(Boolean)
+});
+
+/**
+ * Score one payment as the match for a bank transaction
+ * @param {Object} bankTx - KcbTransactionSync row
+ * @param {Object} payment - Payment with user { fullName, phone }
+ * @param {Object} [settings] - From getMatcherSettings()
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scorePaymentCandidate = (bankTx, payment, settings = getMatcherSettings()) => {
+  const text = bankText(bankTx);
+  return combine([
+    scoreAmount(Math.abs(toNumber(bankTx.amount)), toNumber(payment.amount), settings.amountTolerance),
+    scoreIdentifiers(text, [
+      { label: 'Transaction ID', value: payment.transactionId },
+      { label: 'Receipt', value: payment.receiptNumber },
+      { label: 'Reference', value: payment.reference },
+      { label: 'KCB reference', value: payment.kcbReference }
+    ]),
+    scorePayer(text, payment),
+    scoreDate(bankTx.transactionDate, payment.paymentDate)
+  ]);
+};
+
+/**
+ * Score a batch as the match for a single bank deposit covering all of its payments
+ * @param {Object} bankTx - KcbTransactionSync row
+ * @param {Object} batch - BatchPayment row
+ * @param {Object} [settings] - From getMatcherSettings()
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scoreBatchCandidate = (bankTx, batch, settings = getMatcherSettings()) => {
+  const text = bankText(bankTx);
+  return combine([
+    scoreAmount(Math.abs(toNumber(bankTx.amount)), toNumber(batch.totalAmount), settings.amountTolerance),
+    scoreIdentifiers(text, [
+      { label: 'Batch reference', value: batch.batchReference },
+      { label: 'KCB transaction', value: batch.kcbTransactionId },
+      { label: 'KCB reference', value: batch.kcbReference }
+    ]),
+    scoreDate(bankTx.transactionDate, batch.depositedAt || batch.processedAt || batch.createdAt)
+  ]);
+};
+
+const paymentSelect = {
+  id: true,
+  amount: true,
+  paymentType: true,
+  paymentMethod: true,
+  paymentDate: true,
+  description: true,
+  reference: true,
+  transactionId: true,
+  receiptNumber: true,
+  kcbReference: true,
+  payerPhone: true,
+  batchPaymentId: true,
+  user: { select: { id: true, fullName: true, phone: true } }
+};
+
+/**
+ * Ranked link suggestions for an unlinked bank transaction
+ * @param {Object} bankTx - KcbTransactionSync row
+ * @param {Object} [options] - { limit, client }
+ * @returns {Promise<Array<Object>>} Suggestions, best first: { type: 'PAYMENT'|'BATCH', paymentIds,
+ *   batchPaymentId, amount, score, reasons, payment | batch }
+ */
+const getLinkSuggestions = async (bankTx, { limit = 5, client = prisma } = {}) => {
+  const settings = getMatcherSettings();
+  const bankAmount = Math.abs(toNumber(bankTx.amount));
+  const isCredit = toNumber(bankTx.amount) > 0;
+  const bankDate = new Date(bankTx.transactionDate);
+  const windowMs = settings.dateWindowDays * 24 * 60 * 60 * 1000;
+  const dateRange = { gte: new Date(bankDate.getTime() - windowMs), lte: new Date(bankDate.getTime() + windowMs) };
+  const amountRange = {
+    gte: Math.max(0, Math.min(bankAmount - settings.amountTolerance, bankAmount * 0.95)),
+    lte: Math.max(bankAmount + settings.amountTolerance, bankAmount * 1.05)
+  };
+  const tokens = identifierTokens(bankText(bankTx));
+
+  const [payments, batches] = await Promise.all([
+    client.payment.findMany({
+      where: {
+        status: 'COMPLETED',
+        isExpense: !isCredit,
+        isTemplate: false,
+        kcbTransactionId: null,
+        kcbSync: { is: null },
+        OR: [
+          { amount: amountRange, paymentDate: dateRange },
+          ...(tokens.length > 0 ? [
+            { transactionId: { in: tokens } },
+            { receiptNumber: { in: tokens } },
+            { reference: { in: tokens } },
+            { kcbReference: { in: tokens } }
+          ] : [])
+        ]
+      },
+      select: paymentSelect,
+      take: 100
+    }),
+    // Many-to-one: only bank credits can cover a batch of contributions
+    isCredit
+      ? client.batchPayment.findMany({
+          where: {
+            status: { in: BATCH_LINKABLE_STATUSES },
+            kcbSyncs: { none: {} },
+            OR: [
+              { totalAmount: amountRange, createdAt: { lte: dateRange.lte } },
+              ...(tokens.length > 0 ? [{ batchReference: { in: tokens } }, { kcbTransactionId: { in: tokens } }, { kcbReference: { in: tokens } }] : [])
+            ]
+          },
+          include: {
+            payments: { where: { status: 'COMPLETED', isExpense: false }, select: { id: true, amount: true } }
+          },
+          take: 20
+        })
+      : []
+  ]);
+
+  const suggestions = [
+    ...payments.map(payment => ({
+      type: 'PAYMENT',
+      paymentIds: [payment.id],
+      batchPaymentId: null,
+      amount: toNumber(payment.amount),
+      ...scorePaymentCandidate(bankTx, payment, settings),
+      payment: { ...payment, amount: toNumber(payment.amount) }
+    })),
+    ...batches
+      .filter(batch => batch.payments.length > 0)
+      .map(batch => ({
+        type: 'BATCH',
+        paymentIds: batch.payments.map(payment => payment.id),
+        batchPaymentId: batch.id,
+        amount: toNumber(batch.totalAmount),
+        ...scoreBatchCandidate(bankTx, batch, settings),
+        batch: {
+          id: batch.id,
+          batchReference: batch.batchReference,
+          description: batch.description,
+          status: batch.status,
+          totalAmount: toNumber(batch.totalAmount),
+          totalCount: batch.totalCount,
+          depositedAt: batch.depositedAt
+        }
+      }))
+  ];
+
+  return suggestions
+    .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score || Math.abs(a.amount - bankAmount) - Math.abs(b.amount - bankAmount))
+    .slice(0, limit);
+};
+
+module.exports = {
+  getMatcherSettings,
+  scorePaymentCandidate,
+  scoreBatchCandidate,
+  getLinkSuggestions
+};
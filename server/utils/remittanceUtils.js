@@ -0,0 +1,225 @@
+// server/utils/remittanceUtils.js
+// Conference remittance figures: the share of tithe and offerings forwarded to the conference
+// for a period, and the status of the withdrawal requests that pay it out.
+const path = require('path');
+const fs = require('fs').promises;
+const { Prisma } = require('@prisma/client');
+const { formatDateForPdf, formatKesForPdf, createPdfTable, writePdfReport } = require('./pdfReportUtils.js');
+
+// A period covered by a remittance in one of these states cannot be remitted again
+const BLOCKING_REMITTANCE_STATUSES = ['PENDING', 'REMITTED', 'PARTIALLY_REMITTED'];
+
+const parsePercentage = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 || parsed > 100 ? fallback : parsed;
+};
+
+/**
+ * Percentages of tithe and offerings remitted to the conference
+ * (REMITTANCE_TITHE_PERCENTAGE, default 100; REMITTANCE_OFFERING_PERCENTAGE, default 0)
+ * @returns {{tithePercentage: number, offeringPercentage: number}}
+ */
+const getRemittancePercentages = () => ({
+  tithePercentage: parsePercentage(process.env.REMITTANCE_TITHE_PERCENTAGE, 100),
+  offeringPercentage: parsePercentage(process.env.REMITTANCE_OFFERING_PERCENTAGE, 0)
+});
+
+// Share of an amount at a percentage, rounded to cents
+const calculateShare = (amount, percentage) => {
+  return new Prisma.Decimal(amount.toString())
+    .times(percentage)
+    .dividedBy(100)
+    .toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+};
+
+/**
+ * Compute the remittable tithe and offering shares for a period from completed payments,
+ * including the tithe and offering lines of split gifts.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Date} periodStart - Start of the period (inclusive)
+ * @param {Date} periodEnd - End of the period (inclusive)
+ * @returns {Promise<Object>} Figures with Decimal amounts
+ */
+const calculateRemittance = async (client, periodStart, periodEnd) => {
+  const { tithePercentage, offeringPercentage } = getRemittancePercentages();
+
+  const baseWhere = {
+    paymentDate: { gte: periodStart, lte: periodEnd },
+    status: 'COMPLETED',
+    isExpense: false,
+    isTemplate: false
+  };
+
+  const [tithe, offering, giftLines] = await Promise.all([
+    client.payment.aggregate({
+      _sum: { amount: true },
+      _count: { id: true },
+      where: { ...baseWhere, paymentType: 'TITHE' }
+    }),
+    client.payment.aggregate({
+      _sum: { amount: true },
+      _count: { id: true },
+      where: { ...baseWhere, paymentType: 'OFFERING' }
+    }),
+    // Split gifts hold their tithe and offering in lines. The relation filter is not soft-delete
+    // filtered, so deleted payments are left out here.
+    client.paymentLine.groupBy({
+      by: ['paymentType'],
+      _sum: { amount: true },
+      _count: { id: true },
+      where: { paymentType: { in: ['TITHE', 'OFFERING'] }, payment: { ...baseWhere, deletedAt: null } }
+    })
+  ]);
+
+  const lineTotals = (paymentType) => {
+    const group = giftLines.find(line => line.paymentType === paymentType);
+    return {
+      amount: new Prisma.Decimal(group && group._sum.amount ? group._sum.amount.toString() : 0),
+      count: group ? group._count.id : 0
+    };
+  };
+  const titheLines = lineTotals('TITHE');
+  const offeringLines = lineTotals('OFFERING');
+
+  const titheCollected = new Prisma.Decimal((tithe._sum.amount || 0).toString()).plus(titheLines.amount);
+  const offeringCollected = new Prisma.Decimal((offering._sum.amount || 0).toString()).plus(offeringLines.amount);
+  const titheShare = calculateShare(titheCollected, tithePercentage);
+  const offeringShare = calculateShare(offeringCollected, offeringPercentage);
+
+  return {
+    periodStart,
+    periodEnd,
+    tithePercentage,
+    offeringPercentage,
+    titheCollected,
+    titheCount: tithe._count.id + titheLines.count,
+    offeringCollected,
+    offeringCount: offering._count.id + offeringLines.count,
+    titheShare,
+    offeringShare,
+    totalAmount: titheShare.plus(offeringShare)
+  };
+};
+
+/**
+ * Find a remittance whose period overlaps the given one and still counts as remitted
+ * @returns {Promise<Object|null>}
+ */
+const findOverlappingRemittance = async (client, periodStart, periodEnd) => {
+  return client.conferenceRemittance.findFirst({
+    where: {
+      status: { in: BLOCKING_REMITTANCE_STATUSES },
+      periodStart: { lte: periodEnd },
+      periodEnd: { gte: periodStart }
+    },
+    orderBy: { periodStart: 'asc' }
+  });
+};
+
+/**
+ * Recompute a remittance's status from its withdrawal requests:
+ * all completed -> REMITTED; some completed and the rest closed -> PARTIALLY_REMITTED;
+ * none completed and all closed (rejected, cancelled, expired) -> VOID, which frees the period.
+ * @returns {Promise<Object|null>} Updated remittance
+ */
+const syncRemittanceStatus = async (client, remittanceId) => {
+  const remittance = await client.conferenceRemittance.findUnique({
+    where: { id: remittanceId },
+    include: { withdrawalRequests: { select: { status: true, processedAt: true } } }
+  });
+
+  if (!remittance || remittance.status !== 'PENDING') {
+    return remittance;
+  }
+
+  const requests = remittance.withdrawalRequests;
+  const completed = requests.filter(request => request.status === 'COMPLETED');
+  const open = requests.filter(request => ['PENDING', 'APPROVED'].includes(request.status));
+
+  if (open.length > 0 || requests.length === 0) {
+    return remittance;
+  }
+
+  const data = {};
+  if (completed.length === requests.length) {
+    data.status = 'REMITTED';
+    data.remittedAt = completed.reduce(
+      (latest, request) => (request.processedAt && request.processedAt > latest ? request.processedAt : latest),
+      new Date(0)
+    );
+  } else if (completed.length > 0) {
+    data.status = 'PARTIALLY_REMITTED';
+  } else {
+    data.status = 'VOID';
+    data.voidedAt = new Date();
+  }
+
+  return client.conferenceRemittance.update({ where: { id: remittanceId }, data });
+};
+
+/**
+ * Write the remittance statement PDF into public/reports
+ * @param {Object} remittance - ConferenceRemittance with requester and withdrawalRequests (wallet) included
+ * @returns {Promise<string>} Public path of the statement
+ */
+const generateRemittanceStatement = async (remittance) => {
+  const reportDir = path.join(__dirname, '..', 'public', 'reports');
+  await fs.mkdir(reportDir, { recursive: true });
+
+  const filename = `remittance_${remittance.remittanceReference}.pdf`;
+  const filepath = path.join(reportDir, filename);
+  const figures = remittance.figures || {};
+
+  await writePdfReport(filepath, {
+    title: 'Conference Remittance Statement',
+    startDate: remittance.periodStart,
+    endDate: remittance.periodEnd
+  }, async (doc) => {
+    doc.font('Helvetica').fontSize(10)
+      .text(`Reference: ${remittance.remittanceReference}`)
+      .text(`Prepared by: ${remittance.requester?.fullName || 'N/A'} on ${formatDateForPdf(remittance.createdAt)}`)
+      .text(`Status: ${remittance.status}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Remittable Shares');
+    doc.moveDown(0.5);
+    createPdfTable(doc, ['Fund', 'Payments', 'Collected (KES)', 'Percentage', 'Remittable (KES)'], [
+      ['Tithe', figures.titheCount ?? 'N/A', formatKesForPdf(remittance.titheCollected), `${remittance.tithePercentage}%`, formatKesForPdf(remittance.titheShare)],
+      ['Offering', figures.offeringCount ?? 'N/A', formatKesForPdf(remittance.offeringCollected), `${remittance.offeringPercentage}%`, formatKesForPdf(remittance.offeringShare)]
+    ]);
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(`Total Remittance: KES ${formatKesForPdf(remittance.totalAmount)}`, 40);
+    doc.moveDown();
+
+    if (remittance.withdrawalRequests && remittance.withdrawalRequests.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Withdrawal Requests', 40);
+      doc.moveDown(0.5);
+      createPdfTable(doc, ['Reference', 'Wallet', 'Amount (KES)', 'Destination', 'Status'],
+        remittance.withdrawalRequests.map(request => [
+          request.withdrawalReference,
+          request.wallet ? `${request.wallet.walletType}${request.wallet.subType ? ` / ${request.wallet.subType}` : ''}` : 'N/A',
+          formatKesForPdf(request.amount),
+          request.destinationAccount || 'N/A',
+          request.status
+        ])
+      );
+    }
+
+    if (remittance.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', 40);
+      doc.font('Helvetica').fontSize(10).text(remittance.notes, 40);
+    }
+  });
+
+  return `/reports/${filename}`;
+};
+
+module.exports = {
+  BLOCKING_REMITTANCE_STATUSES,
+  getRemittancePercentages,
+  calculateRemittance,
+  findOverlappingRemittance,
+  syncRemittanceStatus,
+  generateRemittanceStatement
+};
@@ -0,0 +1,103 @@
+// server/utils/scheduler.js - In-process periodic maintenance jobs
+const { logger } = require('../config/logger');
+
+let schedulerTimer = null;
+let jobRunning = false;
+
+/**
+ * Minutes between scheduled maintenance runs
+ * @returns {number}
+ */
+const getSchedulerIntervalMinutes = () => {
+  const minutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || '15');
+  return isNaN(minutes) || minutes < 1 ? 15 : minutes;
+};
+
+/**
+ * Run every scheduled job once. Jobs are isolated so one failure does not skip the rest.
+ * @returns {Promise<Object>} Per-job results
+ */
+const runScheduledJobs = async () => {
+  if (jobRunning) {
+    return { skipped: true };
+  }
+  jobRunning = true;
+
+  // Required lazily so the scheduler can be loaded before controllers initialize
+  const { expireAndNotifyWithdrawals } = require('../controllers/walletController.js');
+  const { expireStaleAdminActions } = require('../middlewares/multiAdmin.js');
+  const { reconcileStalePayments } = require('./paymentReconciler.js');
+  const { purgeExpiredIdempotencyKeys } = require('../middlewares/idempotency.js');
+
+  const results = {};
+
+  try {
+    try {
+      const expiredWithdrawals = await expireAndNotifyWithdrawals();
+      results.expiredWithdrawals = expiredWithdrawals.length;
+    } catch (error) {
+      logger.error('Scheduled withdrawal expiry failed', { error: error.message });
+    }
+
+    try {
+      results.expiredAdminActions = await expireStaleAdminActions();
+    } catch (error) {
+      logger.error('Scheduled admin action expiry failed', { error: error.message });
+    }
+
+    try {
+      const decisions = await reconcileStalePayments();
+      results.reconciledPayments = decisions.filter(decision => decision.decision !== 'UNRESOLVED').length;
+    } catch (error) {
+      logger.error('Scheduled payment reconciliation failed', { error: error.message });
+    }
+
+    try {
+      results.purgedIdempotencyKeys = await purgeExpiredIdempotencyKeys();
+    } catch (error) {
+      logger.error('Scheduled idempotency key purge failed', { error: error.message });
+    }
+
+    if (results.expiredWithdrawals || results.expiredAdminActions || results.reconciledPayments || results.purgedIdempotencyKeys) {
+      logger.info(`Scheduled maintenance completed: ${JSON.stringify(results)}`);
+    }
+
+    return results;
+  } finally {
+    jobRunning = false;
+  }
+};
+
+/**
+ * Start the periodic maintenance loop (no-op if already started)
+ */
+const startScheduledJobs = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const intervalMinutes = getSchedulerIntervalMinutes();
+  schedulerTimer = setInterval(runScheduledJobs, intervalMinutes * 60 * 1000);
+  schedulerTimer.unref();
+
+  // First run shortly after startup, once the server is accepting requests
+  setTimeout(runScheduledJobs, 10 * 1000).unref();
+
+  console.log(`⏱️  Scheduled jobs running every ${intervalMinutes} minute(s)`);
+};
+
+/**
+ * Stop the periodic maintenance loop
+ */
+const stopScheduledJobs = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  startScheduledJobs,
+  stopScheduledJobs,
+  runScheduledJobs
+};
@@ -0,0 +1,70 @@
+// server/utils/softDelete.js
+// Soft delete for users and financial records. Deleting marks a row (deletedAt, deletedById,
+// deleteReason) instead of removing it; the row disappears from default reads, can be restored
+// from the admin trash, and is only removed for good by an approved purge.
+
+// Models with soft delete columns
+const SOFT_DELETE_MODELS = ['User', 'Payment', 'Receipt', 'SpecialOffering', 'BatchPayment'];
+
+// Read operations that leave out soft-deleted rows. Writes are untouched so restore and purge
+// can address deleted rows directly; nested includes are not filtered either.
+const FILTERED_OPERATIONS = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany', 'count', 'aggregate', 'groupBy'
+];
+
+/**
+ * Add `deletedAt: null` to a query's where, unless the query already filters on deletedAt.
+ * The trash reads deleted rows with `deletedAt: { not: null }`; uniqueness checks that must also
+ * see deleted rows pass `deletedAt: undefined`, which Prisma ignores.
+ * @param {Object} args - Prisma query arguments
+ * @returns {Object}
+ */
+const excludeDeleted = (args = {}) => {
+  if (args.where && Object.prototype.hasOwnProperty.call(args.where, 'deletedAt')) {
+    return args;
+  }
+  return { ...args, where: { ...(args.where || {}), deletedAt: null } };
+};
+
+/**
+ * Extend a PrismaClient so reads of soft-deletable models skip deleted rows.
+ * Transactions started from the extended client (`$transaction(async (tx) => ...)`) are filtered too.
+ * @param {import('@prisma/client').PrismaClient} client
+ * @returns {import('@prisma/client').PrismaClient} The extended client
+ */
+const withSoftDelete = (client) => client.$extends({
+  name: 'softDelete',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        if (SOFT_DELETE_MODELS.includes(model) && FILTERED_OPERATIONS.includes(operation)) {
+          return query(excludeDeleted(args));
+        }
+        return query(args);
+      }
+    }
+  }
+});
+
+/**
+ * Data that soft-deletes a row
+ * @param {number} userId - Admin deleting it
+ * @param {string} [reason]
+ * @param {Date} [deletedAt] - Pass the same time when deleting related rows together, so they restore together
+ * @returns {{deletedAt: Date, deletedById: number, deleteReason: string|null}}
+ */
+const softDeleteData = (userId, reason = null, deletedAt = new Date()) => ({
+  deletedAt,
+  deletedById: userId,
+  deleteReason: reason ? String(reason).substring(0, 500) : null
+});
+
+// Data that restores a soft-deleted row
+const RESTORE_DATA = { deletedAt: null, deletedById: null, deleteReason: null };
+
+module.exports = {
+  SOFT_DELETE_MODELS,
+  withSoftDelete,
+  softDeleteData,
+  RESTORE_DATA
+};
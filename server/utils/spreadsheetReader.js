@@ -0,0 +1,234 @@
+// server/utils/spreadsheetReader.js
+// Reads the first sheet of an uploaded CSV or XLSX file into rows of cells. XLSX files are zip
+// archives of XML parts; only what is needed for plain tabular data is read (shared strings,
+// inline strings, numbers and booleans), not formulas' definitions or styles.
+const path = require('path');
+const zlib = require('zlib');
+const { splitCsv, detectDelimiter } = require('./bankStatementParsers.js');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Upper bound on a workbook's uncompressed content, so a small zip cannot expand into gigabytes
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+const decodeXml = (value) => String(value)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const invalidFile = (message) => ({
+  statusCode: 400,
+  message,
+  errorDetails: { code: 'INVALID_SPREADSHEET' }
+});
+
+/**
+ * Extract the entries of a zip archive
+ * The sizes declared in the central directory are checked before anything is inflated, and
+ * inflating is capped as well since those sizes can lie.
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} Entry name to uncompressed content
+ */
+const readZipEntries = (buffer) => {
+  // The end of central directory record sits in the last 64KB (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw invalidFile('The file is not a valid XLSX workbook.');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryStart = buffer.readUInt32LE(eocd + 16);
+  const tooLarge = invalidFile(`The XLSX workbook is too large once uncompressed (limit ${MAX_UNCOMPRESSED_BYTES / (1024 * 1024)} MB).`);
+
+  let offset = directoryStart;
+  let declaredTotal = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw invalidFile('The XLSX workbook is damaged.');
+    }
+    declaredTotal += buffer.readUInt32LE(offset + 24);
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  if (declaredTotal > MAX_UNCOMPRESSED_BYTES) {
+    throw tooLarge;
+  }
+
+  offset = directoryStart;
+  let remaining = MAX_UNCOMPRESSED_BYTES;
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content = null;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      if (remaining <= 0) {
+        throw tooLarge;
+      }
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: remaining });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw tooLarge;
+        }
+        throw invalidFile('The XLSX workbook is damaged.');
+      }
+    }
+    if (content) {
+      remaining -= content.length;
+      if (remaining < 0) {
+        throw tooLarge;
+      }
+      entries.set(name, content);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Column letters of a cell reference ("AB12") to a 0-based index
+const columnIndex = (reference) => {
+  const letters = String(reference).replace(/\d+$/, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Concatenated text runs of a shared or inline string
+const stringText = (xml) => {
+  const runs = xml.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+  return decodeXml(runs.map(run => run.replace(/^<t(?:\s[^>]*)?>/, '').replace(/<\/t>$/, '')).join(''));
+};
+
+// Path of the first worksheet, following the workbook relationships
+const firstSheetPath = (entries) => {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+  if (workbook && rels) {
+    const sheet = workbook.toString('utf8').match(/<sheet\s[^>]*r:id="([^"]+)"/);
+    if (sheet) {
+      const relationship = rels.toString('utf8').match(new RegExp(`<Relationship\\s[^>]*Id="${sheet[1]}"[^>]*>`));
+      const target = relationship && relationship[0].match(/Target="([^"]+)"/);
+      if (target) {
+        return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1].replace(/^\.\//, '')}`;
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * Numbers are returned as numbers (dates stay Excel serial numbers); everything else as strings.
+ * @param {Buffer} buffer
+ * @returns {Array<{rowNumber: number, cells: Array<string|number>}>} Non-empty rows
+ */
+const readXlsx = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sheet = entries.get(firstSheetPath(entries));
+  if (!sheet) {
+    throw invalidFile('The XLSX workbook has no worksheet.');
+  }
+
+  const sharedStringsXml = entries.get('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? (sharedStringsXml.toString('utf8').match(/<si>[\s\S]*?<\/si>/g) || []).map(stringText)
+    : [];
+
+  const rows = [];
+  const rowMatches = sheet.toString('utf8').match(/<row[\s>][\s\S]*?<\/row>/g) || [];
+  rowMatches.forEach(rowXml => {
+    const rowNumber = parseInt((rowXml.match(/^<row\s[^>]*r="(\d+)"/) || [])[1]) || rows.length + 1;
+    const cells = [];
+    const cellMatches = rowXml.match(/<c\s[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [];
+    cellMatches.forEach((cellXml, position) => {
+      const reference = (cellXml.match(/\sr="([A-Z]+\d+)"/) || [])[1];
+      const type = (cellXml.match(/\st="([^"]+)"/) || [])[1];
+      const rawValue = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+
+      if (type === 's') {
+        value = sharedStrings[parseInt(rawValue)] || '';
+      } else if (type === 'inlineStr') {
+        value = stringText(cellXml);
+      } else if (type === 'str' || type === 'e') {
+        value = rawValue !== undefined ? decodeXml(rawValue) : '';
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (rawValue !== undefined) {
+        const number = parseFloat(rawValue);
+        value = isNaN(number) ? decodeXml(rawValue) : number;
+      }
+
+      cells[reference ? columnIndex(reference) : position] = value;
+    });
+    rows[rowNumber - 1] = Array.from(cells, cell => (cell === undefined ? '' : cell));
+  });
+
+  return rows
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .filter(row => row.cells && row.cells.some(value => String(value).trim() !== ''));
+};
+
+/**
+ * Convert an Excel date serial number (days since 1899-12-30) to a Date
+ * @param {number} serial
+ * @returns {Date}
+ */
+const excelSerialToDate = (serial) => {
+  const days = Math.floor(serial);
+  const date = new Date(1899, 11, 30 + days);
+  date.setSeconds(Math.round((serial - days) * 24 * 60 * 60));
+  return date;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file into rows; the first row is normally the header
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name, for the format
+ * @returns {Array<{rowNumber: number, cells: Array<string|number>}>} Non-empty rows with their
+ *   spreadsheet row number (CSV rows are numbered after blank lines are skipped)
+ * @throws {{statusCode: number, message: string, errorDetails: Object}} For unreadable files
+ */
+const readSpreadsheet = (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.xlsx') {
+    try {
+      return readXlsx(buffer);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw invalidFile(`The XLSX workbook could not be read: ${error.message}`);
+    }
+  }
+  if (extension === '.csv') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return splitCsv(text, detectDelimiter(text)).map((cells, index) => ({ rowNumber: index + 1, cells }));
+  }
+  throw invalidFile('File must be a CSV or XLSX spreadsheet.');
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  excelSerialToDate,
+  readSpreadsheet
+};
@@ -0,0 +1,92 @@
+// server/utils/titheCategories.js
+// Tithe distribution categories are stored in the TitheCategories table and cached briefly here,
+// since every tithe payment validation reads them.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Seeded when the table is empty (the categories used before they became configurable)
+const DEFAULT_TITHE_CATEGORIES = [
+  { code: 'campMeetingExpenses', displayName: 'Camp Meeting Expenses', sortOrder: 1 },
+  { code: 'welfare', displayName: 'Welfare', sortOrder: 2 },
+  { code: 'thanksgiving', displayName: 'Thanksgiving', sortOrder: 3 },
+  { code: 'stationFund', displayName: 'Station Fund', sortOrder: 4 },
+  { code: 'mediaMinistry', displayName: 'Media Ministry', sortOrder: 5 },
+];
+
+let cachedCategories = null;
+let cachedAt = 0;
+
+// Drop the cached list after categories are changed
+const invalidateTitheCategoryCache = () => {
+  cachedCategories = null;
+  cachedAt = 0;
+};
+
+// Seed the default categories if none exist yet
+const ensureDefaultTitheCategories = async (client = prisma) => {
+  const count = await client.titheCategory.count();
+  if (count === 0) {
+    await client.titheCategory.createMany({
+      data: DEFAULT_TITHE_CATEGORIES,
+      skipDuplicates: true
+    });
+  }
+};
+
+/**
+ * Get tithe categories ordered for display.
+ * Pass a transaction client to read inside a transaction (bypasses the cache).
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Include retired categories
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Array>} TitheCategory records
+ */
+const getTitheCategories = async ({ includeInactive = false } = {}, client = null) => {
+  let categories;
+
+  if (client) {
+    await ensureDefaultTitheCategories(client);
+    categories = await client.titheCategory.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { displayName: 'asc' }]
+    });
+  } else {
+    if (!cachedCategories || Date.now() - cachedAt > CACHE_TTL_MS) {
+      await ensureDefaultTitheCategories();
+      cachedCategories = await prisma.titheCategory.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { displayName: 'asc' }]
+      });
+      cachedAt = Date.now();
+    }
+    categories = cachedCategories;
+  }
+
+  return includeInactive ? categories : categories.filter(category => category.isActive);
+};
+
+// Category codes (the keys used in titheDistributionSDA)
+const getTitheCategoryCodes = async (options = {}, client = null) => {
+  const categories = await getTitheCategories(options, client);
+  return categories.map(category => category.code);
+};
+
+// Map of code -> display name, including retired categories so old payments still label correctly
+const getTitheCategoryLabels = async (client = null) => {
+  const categories = await getTitheCategories({ includeInactive: true }, client);
+  return categories.reduce((labels, category) => {
+    labels[category.code] = category.displayName;
+    return labels;
+  }, {});
+};
+
+module.exports = {
+  DEFAULT_TITHE_CATEGORIES,
+  ensureDefaultTitheCategories,
+  getTitheCategories,
+  getTitheCategoryCodes,
+  getTitheCategoryLabels,
+  invalidateTitheCategoryCache
+};
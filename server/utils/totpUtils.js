@@ -0,0 +1,225 @@
+// server/utils/totpUtils.js
+// RFC 6238 time-based one-time passwords, verified locally (no external service)
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Tassia Central SDA Church';
+
+// Encode a buffer as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random 160-bit secret as base32
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) value for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | ((hmac[offset + 1] & 0xff) << 16)
+    | ((hmac[offset + 2] & 0xff) << 8)
+    | (hmac[offset + 3] & 0xff);
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Time step counter for a timestamp (ms)
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+// Generate the TOTP code for the current (or given) time
+const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either side.
+ * Returns the matched time step (for replay protection) or null when invalid.
+ */
+const verifyTotp = (secret, token, window = 1, timestamp = Date.now()) => {
+  const normalized = String(token || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// provisioning URI understood by Google Authenticator, Authy, etc.
+const buildOtpauthUri = (secret, accountName, issuer = TOTP_ISSUER) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Key used to encrypt TOTP secrets at rest
+const getEncryptionKey = () => {
+  const keySource = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keySource) {
+    throw new Error('TOTP encryption key not configured.');
+  }
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+// Encrypt a TOTP secret with AES-256-GCM -> "iv:tag:ciphertext" (hex)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${iv.toString('hex')}:${tag.toString('hex')}:${encrypted.toString('hex')}`;
+};
+
+// Decrypt a secret produced by encryptSecret
+const decryptSecret = (payload) => {
+  const [ivHex, tagHex, dataHex] = String(payload).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+};
+
+// Normalize and hash a recovery code for storage/comparison
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Generate single-use recovery codes formatted XXXXX-XXXXX
+const generateRecoveryCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).substring(0, 10);
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5, 10)}`);
+  }
+  return codes;
+};
+
+/**
+ * Verify an approver's second factor inside a transaction.
+ * Accepts either a current TOTP code or one unused recovery code (which is consumed).
+ * @returns {Promise<{approvalMethod: string}>} 'TOTP' or 'TOTP_RECOVERY_CODE'
+ */
+const verifyApproverCode = async (tx, userId, { totpCode, recoveryCode } = {}) => {
+  const credential = await tx.totpCredential.findUnique({ where: { userId } });
+
+  if (!credential || !credential.isVerified) {
+    throw new Error('You must enroll an authenticator app before approving withdrawals.');
+  }
+
+  if (totpCode) {
+    const matchedStep = verifyTotp(decryptSecret(credential.secret), totpCode);
+    if (matchedStep === null) {
+      throw new Error('Invalid authenticator code.');
+    }
+    // Conditional update: of two approvals racing with the same code, only one moves lastUsedStep forward
+    const { count } = await tx.totpCredential.updateMany({
+      where: {
+        id: credential.id,
+        OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: matchedStep } }]
+      },
+      data: { lastUsedStep: matchedStep }
+    });
+    if (count === 0) {
+      throw new Error('This authenticator code has already been used. Wait for the next code.');
+    }
+
+    return { approvalMethod: 'TOTP' };
+  }
+
+  if (recoveryCode) {
+    const remainingCodes = Array.isArray(credential.recoveryCodes) ? credential.recoveryCodes : [];
+    const hashed = hashRecoveryCode(recoveryCode);
+    if (!remainingCodes.includes(hashed)) {
+      throw new Error('Invalid or already used recovery code.');
+    }
+
+    // Compare-and-swap on the code list, so a code used by a concurrent approval is not accepted twice
+    const { count } = await tx.totpCredential.updateMany({
+      where: { id: credential.id, recoveryCodes: { equals: credential.recoveryCodes } },
+      data: { recoveryCodes: remainingCodes.filter(code => code !== hashed) }
+    });
+    if (count === 0) {
+      throw new Error('Invalid or already used recovery code.');
+    }
+
+    return { approvalMethod: 'TOTP_RECOVERY_CODE' };
+  }
+
+  throw new Error('Authenticator code is required.');
+};
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyApproverCode
+};
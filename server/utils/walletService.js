@@ -1,30 +1,41 @@
 // server/utils/walletService.js - PRODUCTION VERSION
 const { PrismaClient, Prisma } = require('@prisma/client');
+const { withSoftDelete } = require('./softDelete.js');
 const { logger } = require('../config/logger');
 const crypto = require('crypto');
+const { getTitheCategories, getTitheCategoryCodes } = require('./titheCategories.js');
+const { syncRemittanceStatus } = require('./remittanceUtils.js');
+const { giverDisplayName } = require('./guestGiving.js');
 
 class WalletService {
   constructor() {
-    this.prisma = new PrismaClient();
+    this.prisma = withSoftDelete(new PrismaClient());
     this.LOCK_TIMEOUT = 30000; // 30 seconds
     this.RETRY_ATTEMPTS = 3;
     this.RETRY_DELAY = 1000; // 1 second
-    
-    // Valid SDA tithe categories
-    this.VALID_TITHE_CATEGORIES = [
-      'campMeetingExpenses',
-      'welfare', 
-      'thanksgiving',
-      'stationFund',
-      'mediaMinistry'
-    ];
+
+    // Contra accounts for the non-wallet side of ledger journals
+    this.LEDGER_ACCOUNTS = {
+      WALLET: 'WALLET',
+      CONTRIBUTIONS: 'EXTERNAL:CONTRIBUTIONS',
+      DISBURSEMENTS: 'EXTERNAL:DISBURSEMENTS',
+      OPENING_BALANCE: 'EQUITY:OPENING_BALANCE'
+    };
   }
 
   /**
    * Enhanced wallet update with proper locking and error handling
    */
   async updateWalletsForPayment(paymentId, tx = null) {
-    const prismaClient = tx || this.prisma;
+    // Balance changes and their ledger journal must commit together
+    if (!tx) {
+      return await this.prisma.$transaction(
+        (txClient) => this.updateWalletsForPayment(paymentId, txClient),
+        { maxWait: this.LOCK_TIMEOUT, timeout: this.LOCK_TIMEOUT * 2 }
+      );
+    }
+
+    const prismaClient = tx;
     
     try {
       // Get payment details with all related data
@@ -35,12 +46,36 @@ class WalletService {
         return null;
       }
 
+      // Adjustment entries are posted against the original payment's wallets by postPaymentAdjustment
+      if (payment.isAdjustment) {
+        logger.wallet(`Skipping wallet update for payment ${paymentId}: adjustment entry`);
+        return null;
+      }
+
+      // A payment is credited to wallets exactly once
+      const alreadyPosted = await prismaClient.walletLedgerEntry.findFirst({
+        where: { paymentId: payment.id, entryType: 'DEPOSIT' },
+        select: { journalId: true }
+      });
+      if (alreadyPosted) {
+        logger.wallet(`Skipping wallet update for payment ${paymentId}: already posted in journal ${alreadyPosted.journalId}`);
+        return null;
+      }
+
       const amount = new Prisma.Decimal(payment.amount.toString());
-      const walletUpdates = this.calculateWalletUpdates(payment, amount);
+      const walletUpdates = await this.calculateWalletUpdates(payment, amount);
 
       // Execute all wallet updates atomically
       const updatedWallets = await this.executeWalletUpdates(walletUpdates, prismaClient);
 
+      await this.postLedgerJournal(prismaClient, {
+        entryType: 'DEPOSIT',
+        lines: updatedWallets.map((wallet, index) => ({ wallet, amount: walletUpdates[index].amount })),
+        contraAccount: this.LEDGER_ACCOUNTS.CONTRIBUTIONS,
+        paymentId: payment.id,
+        description: payment.description || `${payment.paymentType} payment`
+      });
+
       logger.wallet(`Successfully updated ${updatedWallets.length} wallets for payment ${paymentId}`, {
         paymentAmount: amount.toString(),
         walletUpdates: walletUpdates.length,
@@ -62,6 +97,160 @@ class WalletService {
     }
   }
 
+  /**
+   * Post an adjustment entry's wallet effect. The signed amount is spread over the wallets the
+   * original payment credited, in proportion to what each received; a negative adjustment that
+   * would take a wallet below zero fails like any other withdrawal.
+   * @param {number} adjustmentId - Payment id of the adjustment entry (isAdjustment, adjustmentOfId set)
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Array|null>} Updated wallets, or null when nothing is posted (expenses)
+   */
+  async postPaymentAdjustment(adjustmentId, tx) {
+    const adjustment = await this.getPaymentWithDetails(adjustmentId, tx);
+    if (!adjustment || !adjustment.isAdjustment || !adjustment.adjustmentOfId) {
+      throw new Error(`Payment ${adjustmentId} is not an adjustment entry`);
+    }
+    if (adjustment.isExpense || adjustment.status !== 'COMPLETED') {
+      return null;
+    }
+
+    const alreadyPosted = await tx.walletLedgerEntry.findFirst({
+      where: { paymentId: adjustment.id, entryType: 'ADJUSTMENT' },
+      select: { journalId: true }
+    });
+    if (alreadyPosted) {
+      logger.wallet(`Skipping adjustment ${adjustmentId}: already posted in journal ${alreadyPosted.journalId}`);
+      return null;
+    }
+
+    const amount = new Prisma.Decimal(adjustment.amount.toString());
+    const shares = await this.getAdjustmentShares(adjustment.adjustmentOfId, amount, tx);
+
+    const walletUpdates = shares.map(share => ({
+      walletType: share.walletType,
+      subType: share.subType,
+      amount: share.amount.abs(),
+      operation: share.amount.isNegative() ? 'WITHDRAWAL' : 'DEPOSIT',
+      specialOfferingId: share.specialOfferingId || null,
+      paymentId: adjustment.id
+    }));
+
+    const updatedWallets = await this.executeWalletUpdates(walletUpdates, tx);
+
+    await this.postLedgerJournal(tx, {
+      entryType: 'ADJUSTMENT',
+      lines: updatedWallets.map((wallet, index) => ({ wallet, amount: shares[index].amount })),
+      contraAccount: this.LEDGER_ACCOUNTS.CONTRIBUTIONS,
+      paymentId: adjustment.id,
+      description: adjustment.description || `Adjustment of payment ${adjustment.adjustmentOfId}`
+    });
+
+    logger.wallet(`Adjustment ${adjustmentId} of payment ${adjustment.adjustmentOfId} posted to ${updatedWallets.length} wallet(s)`);
+
+    return updatedWallets;
+  }
+
+  /**
+   * Split a signed adjustment amount across the wallets an original payment credited.
+   * Payments posted before the ledger existed fall back to the payment type's general wallet.
+   * @returns {Promise<Array<{walletType: string, subType: string|null, specialOfferingId: number|null, amount: Prisma.Decimal}>>}
+   */
+  async getAdjustmentShares(originalPaymentId, amount, tx) {
+    const lines = await tx.walletLedgerEntry.findMany({
+      where: { paymentId: originalPaymentId, entryType: 'DEPOSIT', walletId: { not: null } },
+      include: { wallet: { select: { walletType: true, subType: true, specialOfferingId: true } } },
+      orderBy: { id: 'asc' }
+    });
+
+    if (lines.length === 0) {
+      const original = await this.getPaymentWithDetails(originalPaymentId, tx);
+      const [update] = await this.calculateWalletUpdates({ ...original, titheDistributionSDA: null }, amount.abs());
+      return [{
+        walletType: update.walletType,
+        subType: update.subType,
+        specialOfferingId: update.specialOfferingId || null,
+        amount
+      }];
+    }
+
+    const originalTotal = lines.reduce((sum, line) => sum.plus(line.amount), new Prisma.Decimal(0));
+    let allocated = new Prisma.Decimal(0);
+
+    return lines.map((line, index) => {
+      // The last wallet takes the rounding remainder so the shares sum exactly to the adjustment
+      const share = index === lines.length - 1
+        ? amount.minus(allocated)
+        : amount.times(line.amount).dividedBy(originalTotal).toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+      allocated = allocated.plus(share);
+
+      return {
+        walletType: line.wallet.walletType,
+        subType: line.wallet.subType,
+        specialOfferingId: line.wallet.specialOfferingId,
+        amount: share
+      };
+    }).filter(share => !share.amount.isZero());
+  }
+
+  /**
+   * Undo the exact wallet credits of a payment, including each tithe sub-wallet share, as a
+   * REVERSAL journal booked against the refund or reversal entry. Fails if a wallet no longer
+   * holds enough to give back.
+   * @param {number} originalPaymentId - The payment being refunded or reversed
+   * @param {number} reversalEntryId - The linked negative entry the journal is booked against
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Array|null>} Updated wallets, or null when the payment never credited a wallet
+   */
+  async reversePaymentPostings(originalPaymentId, reversalEntryId, tx) {
+    const original = await this.getPaymentWithDetails(originalPaymentId, tx);
+    if (!original || original.isExpense) {
+      return null;
+    }
+
+    const lines = await tx.walletLedgerEntry.findMany({
+      where: { paymentId: originalPaymentId, entryType: 'DEPOSIT', walletId: { not: null } },
+      include: { wallet: { select: { walletType: true, subType: true, specialOfferingId: true } } },
+      orderBy: { id: 'asc' }
+    });
+
+    // Payments credited before the ledger existed are reversed by recomputing their allocation
+    const allocations = lines.length > 0
+      ? lines.map(line => ({
+          walletType: line.wallet.walletType,
+          subType: line.wallet.subType,
+          specialOfferingId: line.wallet.specialOfferingId,
+          amount: new Prisma.Decimal(line.amount.toString())
+        }))
+      : await this.calculateWalletUpdates(original, new Prisma.Decimal(original.amount.toString()));
+
+    if (allocations.length === 0) {
+      return null;
+    }
+
+    const walletUpdates = allocations.map(allocation => ({
+      walletType: allocation.walletType,
+      subType: allocation.subType,
+      amount: allocation.amount,
+      operation: 'WITHDRAWAL',
+      specialOfferingId: allocation.specialOfferingId || null,
+      paymentId: reversalEntryId
+    }));
+
+    const updatedWallets = await this.executeWalletUpdates(walletUpdates, tx);
+
+    await this.postLedgerJournal(tx, {
+      entryType: 'REVERSAL',
+      lines: updatedWallets.map((wallet, index) => ({ wallet, amount: allocations[index].amount.negated() })),
+      contraAccount: this.LEDGER_ACCOUNTS.CONTRIBUTIONS,
+      paymentId: reversalEntryId,
+      description: `Reversal of payment ${originalPaymentId}`
+    });
+
+    logger.wallet(`Payment ${originalPaymentId} reversed from ${updatedWallets.length} wallet(s)`);
+
+    return updatedWallets;
+  }
+
   /**
    * Get payment with all necessary details
    */
@@ -83,6 +272,12 @@ class WalletService {
             fullName: true,
             username: true
           } 
+        },
+        lines: {
+          include: {
+            specialOffering: { select: { id: true, name: true, offeringCode: true, isActive: true } }
+          },
+          orderBy: { lineNumber: 'asc' }
         }
       }
     });
@@ -91,23 +286,38 @@ class WalletService {
   /**
    * Calculate which wallets need to be updated based on payment type
    */
-  calculateWalletUpdates(payment, amount) {
+  async calculateWalletUpdates(payment, amount) {
     const updates = [];
 
-    if (payment.paymentType === 'TITHE' && payment.titheDistributionSDA) {
+    if (payment.lines && payment.lines.length > 0) {
+      // Split gift: each line credits its own wallet(s) as if it were a payment of its type
+      for (const line of payment.lines) {
+        const lineUpdates = await this.calculateWalletUpdates({
+          ...payment,
+          paymentType: line.paymentType,
+          titheDistributionSDA: line.titheDistributionSDA,
+          specialOfferingId: line.specialOfferingId,
+          specialOffering: line.specialOffering,
+          lines: null
+        }, new Prisma.Decimal(line.amount.toString()));
+        updates.push(...lineUpdates);
+      }
+
+    } else if (payment.paymentType === 'TITHE' && payment.titheDistributionSDA) {
       // Handle tithe distribution with specific amounts
       const distribution = payment.titheDistributionSDA;
       
-      // Validate distribution
-      const validation = this.validateTitheDistribution(distribution, parseFloat(amount.toString()));
+      // Validate distribution (a category retired after the payment was made still credits its wallet)
+      const validation = await this.validateTitheDistribution(distribution, parseFloat(amount.toString()), { includeInactive: true });
       if (!validation.valid) {
         throw new Error(`Invalid tithe distribution: ${validation.errors.join(', ')}`);
       }
+      const knownCategories = await getTitheCategoryCodes({ includeInactive: true });
 
       // Add specific SDA category amounts
       Object.entries(distribution).forEach(([category, categoryAmount]) => {
         if (typeof categoryAmount === 'number' && categoryAmount > 0) {
-          if (!this.VALID_TITHE_CATEGORIES.includes(category)) {
+          if (!knownCategories.includes(category)) {
             throw new Error(`Invalid tithe category: ${category}`);
           }
           
@@ -121,13 +331,13 @@ class WalletService {
         }
       });
 
-      // Handle remaining amount in general tithe wallet
-      const remainingAmount = parseFloat(amount.toString()) - validation.totalDistributed;
-      if (remainingAmount > 0.01) { // Use small threshold to avoid floating point issues
+      // Handle remaining amount in general tithe wallet (in Decimal, so 1000 - 333.33 posts 666.67)
+      const remainingAmount = new Prisma.Decimal(amount.toString()).minus(validation.totalDistributed);
+      if (remainingAmount.gt(0.01)) { // Use small threshold to avoid floating point issues
         updates.push({
           walletType: 'TITHE',
           subType: null,
-          amount: new Prisma.Decimal(remainingAmount.toString()),
+          amount: remainingAmount,
           operation: 'DEPOSIT',
           paymentId: payment.id
         });
@@ -186,8 +396,11 @@ class WalletService {
 
   /**
    * Update or create wallet with retry logic and proper locking
+   * Only retries when it owns the transaction: a failed statement inside a caller's transaction has
+   * already aborted it, so the error goes back to the caller to roll back and retry as a whole.
    */
   async updateOrCreateWalletWithRetry(updateData, prismaClient) {
+    const ownsTransaction = typeof prismaClient.$transaction === 'function';
     let lastError;
     
     for (let attempt = 1; attempt <= this.RETRY_ATTEMPTS; attempt++) {
@@ -196,7 +409,7 @@ class WalletService {
       } catch (error) {
         lastError = error;
         
-        if (error.code === 'P2034' || error.message.includes('timeout') || error.message.includes('lock')) {
+        if (ownsTransaction && (error.code === 'P2034' || error.message.includes('timeout') || error.message.includes('lock'))) {
           logger.warn(`Wallet update attempt ${attempt} failed due to lock/timeout, retrying...`, {
             walletType: updateData.walletType,
             subType: updateData.subType,
@@ -224,7 +437,7 @@ class WalletService {
     const { walletType, subType, amount, operation, specialOfferingId } = updateData;
     
     try {
-      return await prismaClient.$transaction(async (txClient) => {
+      return await this.runInTransaction(prismaClient, async (txClient) => {
         // Generate unique key and advisory lock ID
         const uniqueKey = this.generateUniqueKey(walletType, subType);
         const lockId = this.generateLockId(uniqueKey);
@@ -299,6 +512,158 @@ class WalletService {
     }
   }
 
+  /**
+   * Run work in a transaction, reusing the caller's transaction client when given one
+   * (interactive transaction clients cannot open nested transactions)
+   */
+  async runInTransaction(prismaClient, work, options = {}) {
+    if (typeof prismaClient.$transaction === 'function') {
+      return await prismaClient.$transaction(work, options);
+    }
+    return await work(prismaClient);
+  }
+
+  /**
+   * Generate a ledger journal identifier
+   */
+  generateJournalId(entryType) {
+    return `JRN-${entryType}-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Append a balanced journal to the wallet ledger.
+   * Each line carries the already-updated wallet and the signed amount applied to it;
+   * a contra line on `contraAccount` balances the journal to zero.
+   * @returns {Promise<string>} The journal ID
+   */
+  async postLedgerJournal(prismaClient, { entryType, lines, contraAccount = null, paymentId = null, withdrawalRequestId = null, description = null }) {
+    const journalId = this.generateJournalId(entryType);
+    const total = lines.reduce((sum, line) => sum.plus(line.amount), new Prisma.Decimal(0));
+
+    if (!contraAccount && !total.isZero()) {
+      throw new Error(`Unbalanced ledger journal ${journalId}: wallet lines sum to ${total.toString()}`);
+    }
+
+    const entries = lines.map(line => ({
+      journalId,
+      entryType,
+      account: this.LEDGER_ACCOUNTS.WALLET,
+      walletId: line.wallet.id,
+      amount: line.amount,
+      balanceAfter: line.balanceAfter !== undefined ? line.balanceAfter : line.wallet.balance,
+      paymentId,
+      withdrawalRequestId,
+      description
+    }));
+
+    if (contraAccount && !total.isZero()) {
+      entries.push({
+        journalId,
+        entryType,
+        account: contraAccount,
+        walletId: null,
+        amount: total.negated(),
+        balanceAfter: null,
+        paymentId,
+        withdrawalRequestId,
+        description
+      });
+    }
+
+    await prismaClient.walletLedgerEntry.createMany({ data: entries });
+
+    return journalId;
+  }
+
+  /**
+   * Post OPENING_BALANCE journals for wallets that predate the ledger,
+   * carrying over their existing deposit and withdrawal totals
+   * @returns {Promise<number>} Number of wallets seeded
+   */
+  async seedOpeningBalances(prismaClient) {
+    const wallets = await prismaClient.wallet.findMany({
+      where: { ledgerEntries: { none: {} } }
+    });
+
+    let seeded = 0;
+    for (const wallet of wallets) {
+      const deposits = new Prisma.Decimal(wallet.totalDeposits.toString());
+      const withdrawals = new Prisma.Decimal(wallet.totalWithdrawals.toString());
+      const lines = [];
+
+      if (!deposits.isZero()) {
+        lines.push({ wallet, amount: deposits, balanceAfter: deposits });
+      }
+      if (!withdrawals.isZero()) {
+        lines.push({ wallet, amount: withdrawals.negated(), balanceAfter: deposits.minus(withdrawals) });
+      }
+      if (lines.length === 0) {
+        continue;
+      }
+
+      await this.postLedgerJournal(prismaClient, {
+        entryType: 'OPENING_BALANCE',
+        lines,
+        contraAccount: this.LEDGER_ACCOUNTS.OPENING_BALANCE,
+        description: 'Opening balance carried over from wallet totals'
+      });
+      seeded++;
+    }
+
+    if (seeded > 0) {
+      logger.wallet(`Seeded opening balance journals for ${seeded} wallets`);
+    }
+
+    return seeded;
+  }
+
+  /**
+   * Derive balance, deposit and withdrawal totals per wallet from the ledger
+   * @returns {Promise<Map<number, {balance: Prisma.Decimal, totalDeposits: Prisma.Decimal, totalWithdrawals: Prisma.Decimal}>>}
+   */
+  async getLedgerTotals(prismaClient, walletIds = null) {
+    const walletFilter = walletIds ? { in: walletIds } : { not: null };
+
+    const [credits, debits] = await Promise.all([
+      prismaClient.walletLedgerEntry.groupBy({
+        by: ['walletId'],
+        where: { walletId: walletFilter, amount: { gt: 0 } },
+        _sum: { amount: true }
+      }),
+      prismaClient.walletLedgerEntry.groupBy({
+        by: ['walletId'],
+        where: { walletId: walletFilter, amount: { lt: 0 } },
+        _sum: { amount: true }
+      })
+    ]);
+
+    const totals = new Map();
+    const totalsFor = (walletId) => {
+      if (!totals.has(walletId)) {
+        totals.set(walletId, {
+          balance: new Prisma.Decimal(0),
+          totalDeposits: new Prisma.Decimal(0),
+          totalWithdrawals: new Prisma.Decimal(0)
+        });
+      }
+      return totals.get(walletId);
+    };
+
+    credits.forEach(row => {
+      const entry = totalsFor(row.walletId);
+      entry.totalDeposits = new Prisma.Decimal((row._sum.amount || 0).toString());
+    });
+    debits.forEach(row => {
+      const entry = totalsFor(row.walletId);
+      entry.totalWithdrawals = new Prisma.Decimal((row._sum.amount || 0).toString()).negated();
+    });
+    totals.forEach(entry => {
+      entry.balance = entry.totalDeposits.minus(entry.totalWithdrawals);
+    });
+
+    return totals;
+  }
+
   /**
    * Enhanced withdrawal processing with multi-step validation
    */
@@ -401,12 +766,8 @@ class WalletService {
       { walletType: 'OFFERING', subType: null },
       { walletType: 'DONATION', subType: null },
       
-      // Tithe wallets with SDA categories
-      { walletType: 'TITHE', subType: 'campMeetingExpenses' },
-      { walletType: 'TITHE', subType: 'welfare' },
-      { walletType: 'TITHE', subType: 'thanksgiving' },
-      { walletType: 'TITHE', subType: 'stationFund' },
-      { walletType: 'TITHE', subType: 'mediaMinistry' },
+      // Tithe wallets for each active tithe category
+      ...(await getTitheCategories({}, prismaClient)).map(category => ({ walletType: 'TITHE', subType: category.code })),
       { walletType: 'TITHE', subType: null } // General tithe wallet
     ];
 
@@ -447,19 +808,21 @@ class WalletService {
   }
 
   /**
-   * Enhanced tithe distribution validation
+   * Enhanced tithe distribution validation against the configured tithe categories
+   * (active categories only unless includeInactive is set)
    */
-  validateTitheDistribution(distribution, totalAmount) {
+  async validateTitheDistribution(distribution, totalAmount, { includeInactive = false } = {}) {
     if (!distribution || typeof distribution !== 'object') {
       return { valid: true, totalDistributed: 0, remaining: totalAmount, errors: [] };
     }
 
+    const validCategories = await getTitheCategoryCodes({ includeInactive });
     const errors = [];
     let totalDistributed = 0;
 
     // Validate each category
     Object.entries(distribution).forEach(([category, amount]) => {
-      if (!this.VALID_TITHE_CATEGORIES.includes(category)) {
+      if (!validCategories.includes(category)) {
         errors.push(`Invalid tithe category: ${category}`);
         return;
       }
@@ -613,111 +976,44 @@ class WalletService {
   }
 
   /**
-   * Recalculate all wallet balances from scratch
-   * This method was missing and causing test failures
+   * Recalculate all wallet balances from the ledger.
+   * Wallets created before the ledger existed get an opening balance journal first.
    */
   async recalculateAllWalletBalances(prisma) {
     try {
+      await this.seedOpeningBalances(prisma);
+
       const wallets = await prisma.wallet.findMany({
         where: { isActive: true }
       });
+      const ledgerTotals = await this.getLedgerTotals(prisma, wallets.map(wallet => wallet.id));
 
       const recalculatedWallets = [];
 
       for (const wallet of wallets) {
-        // Calculate total deposits
-        const depositQuery = {
-          where: {
-            status: 'COMPLETED',
-            isExpense: false
-          }
+        const totals = ledgerTotals.get(wallet.id) || {
+          balance: new Prisma.Decimal(0),
+          totalDeposits: new Prisma.Decimal(0),
+          totalWithdrawals: new Prisma.Decimal(0)
         };
 
-        // Add wallet-specific filters
-        switch (wallet.walletType) {
-          case 'OFFERING':
-            depositQuery.where.paymentType = 'OFFERING';
-            if (wallet.subType) {
-              depositQuery.where.specialOfferingId = wallet.specialOfferingId;
-            }
-            break;
-          
-          case 'TITHE':
-            depositQuery.where.paymentType = 'TITHE';
-            if (wallet.subType) {
-              // For tithe sub-categories, we need to check the distribution
-              depositQuery.where.titheDistributionSDA = {
-                path: [wallet.subType],
-                not: null
-              };
-            }
-            break;
-          
-          case 'DONATION':
-            depositQuery.where.paymentType = 'DONATION';
-            break;
-          
-          case 'SPECIAL_OFFERING':
-            depositQuery.where.paymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
-            if (wallet.specialOfferingId) {
-              depositQuery.where.specialOfferingId = wallet.specialOfferingId;
-            }
-            break;
-        }
-
-        // Calculate total deposits
-        const depositsResult = await prisma.payment.aggregate({
-          _sum: { amount: true },
-          ...depositQuery
-        });
-
-        let totalDeposits = 0;
-        if (wallet.walletType === 'TITHE' && wallet.subType) {
-          // For tithe sub-categories, sum up the distributed amounts
-          const payments = await prisma.payment.findMany({
-            where: {
-              status: 'COMPLETED',
-              paymentType: 'TITHE',
-              titheDistributionSDA: {
-                path: [wallet.subType],
-                not: null
-              }
-            }
-          });
-
-          totalDeposits = payments.reduce((sum, payment) => {
-            const distribution = payment.titheDistributionSDA || {};
-            const amount = distribution[wallet.subType] || 0;
-            return sum + parseFloat(amount);
-          }, 0);
-        } else {
-          totalDeposits = parseFloat((depositsResult._sum.amount || 0).toString());
-        }
-
-        // Calculate total withdrawals
-        const withdrawalsResult = await prisma.withdrawalRequest.aggregate({
-          _sum: { amount: true },
-          where: {
-            walletId: wallet.id,
-            status: 'COMPLETED'
-          }
-        });
-
-        const totalWithdrawals = parseFloat((withdrawalsResult._sum.amount || 0).toString());
-        const newBalance = totalDeposits - totalWithdrawals;
-
-        // Update wallet
         const updatedWallet = await prisma.wallet.update({
           where: { id: wallet.id },
           data: {
-            balance: newBalance,
-            totalDeposits: totalDeposits,
-            totalWithdrawals: totalWithdrawals,
+            balance: totals.balance,
+            totalDeposits: totals.totalDeposits,
+            totalWithdrawals: totals.totalWithdrawals,
             lastUpdated: new Date()
           }
         });
 
-        recalculatedWallets.push(updatedWallet);
+        recalculatedWallets.push({
+          ...updatedWallet,
+          balance: parseFloat(updatedWallet.balance.toString()),
+          totalDeposits: parseFloat(updatedWallet.totalDeposits.toString()),
+          totalWithdrawals: parseFloat(updatedWallet.totalWithdrawals.toString()),
+          previousBalance: parseFloat(wallet.balance.toString())
+        });
       }
 
       return recalculatedWallets;
@@ -770,7 +1066,7 @@ class WalletService {
   }
 
   /**
-   * Validate wallet integrity
+   * Validate wallet integrity against the ledger
    */
   async validateWalletIntegrity(prisma) {
     const issues = [];
@@ -779,32 +1075,58 @@ class WalletService {
       const wallets = await prisma.wallet.findMany({
         where: { isActive: true }
       });
+      const ledgerTotals = await this.getLedgerTotals(prisma, wallets.map(wallet => wallet.id));
 
       for (const wallet of wallets) {
+        const walletName = `${wallet.walletType}${wallet.subType ? `/${wallet.subType}` : ''}`;
+        const actualBalance = parseFloat(wallet.balance.toString());
+
         // Check for negative balances
-        if (parseFloat(wallet.balance.toString()) < 0) {
+        if (actualBalance < 0) {
           issues.push({
             walletId: wallet.id,
             type: 'NEGATIVE_BALANCE',
-            message: `Wallet ${wallet.walletType}${wallet.subType ? `/${wallet.subType}` : ''} has negative balance: ${wallet.balance}`
+            message: `Wallet ${walletName} has negative balance: ${wallet.balance}`
           });
         }
 
-        // Check if total deposits minus withdrawals equals balance
-        const calculatedBalance = parseFloat(wallet.totalDeposits.toString()) - parseFloat(wallet.totalWithdrawals.toString());
-        const actualBalance = parseFloat(wallet.balance.toString());
+        // Stored balance must match the sum of its ledger entries
+        const totals = ledgerTotals.get(wallet.id);
+        const ledgerBalance = totals ? parseFloat(totals.balance.toString()) : 0;
 
-        if (Math.abs(calculatedBalance - actualBalance) > 0.01) { // Allow for small rounding differences
+        if (!totals && actualBalance !== 0) {
+          issues.push({
+            walletId: wallet.id,
+            type: 'MISSING_LEDGER',
+            message: `Wallet ${walletName} has a balance of ${actualBalance} but no ledger entries. Run a recalculation to post its opening balance.`
+          });
+        } else if (Math.abs(ledgerBalance - actualBalance) > 0.01) { // Allow for small rounding differences
           issues.push({
             walletId: wallet.id,
             type: 'BALANCE_MISMATCH',
-            message: `Wallet balance mismatch. Calculated: ${calculatedBalance}, Actual: ${actualBalance}`
+            message: `Wallet ${walletName} balance mismatch. Ledger: ${ledgerBalance}, Stored: ${actualBalance}`
           });
         }
       }
 
+      // Every journal must balance to zero
+      const unbalancedJournals = await prisma.walletLedgerEntry.groupBy({
+        by: ['journalId'],
+        _sum: { amount: true },
+        having: { amount: { _sum: { not: 0 } } }
+      });
+
+      unbalancedJournals.forEach(journal => {
+        issues.push({
+          journalId: journal.journalId,
+          type: 'UNBALANCED_JOURNAL',
+          message: `Ledger journal ${journal.journalId} does not balance: ${journal._sum.amount}`
+        });
+      });
+
       return {
         isValid: issues.length === 0,
+        walletsChecked: wallets.length,
         issues: issues
       };
     } catch (error) {
@@ -818,36 +1140,49 @@ class WalletService {
    */
   async processWithdrawal(withdrawalRequestId, prisma) {
     try {
-      const withdrawal = await prisma.withdrawalRequest.findUnique({
-        where: { id: withdrawalRequestId },
-        include: {
-          wallet: true,
-          approvals: true
+      return await this.runInTransaction(prisma, async (tx) => {
+        const withdrawal = await tx.withdrawalRequest.findUnique({
+          where: { id: withdrawalRequestId },
+          include: {
+            wallet: true,
+            approvals: true
+          }
+        });
+
+        if (!withdrawal) {
+          throw new Error('Withdrawal request not found');
         }
-      });
 
-      if (!withdrawal) {
-        throw new Error('Withdrawal request not found');
-      }
+        if (withdrawal.status !== 'PENDING') {
+          throw new Error('Withdrawal request is not pending');
+        }
 
-      if (withdrawal.status !== 'PENDING') {
-        throw new Error('Withdrawal request is not pending');
-      }
+        if (withdrawal.currentApprovals < withdrawal.requiredApprovals) {
+          throw new Error('Insufficient approvals for withdrawal');
+        }
 
-      if (withdrawal.currentApprovals < withdrawal.requiredApprovals) {
-        throw new Error('Insufficient approvals for withdrawal');
-      }
+        if (withdrawal.requestType === 'TRANSFER') {
+          return await this.processTransfer(withdrawal, tx);
+        }
 
-      const withdrawalAmount = parseFloat(withdrawal.amount.toString());
-      const currentBalance = parseFloat(withdrawal.wallet.balance.toString());
+        const withdrawalAmount = new Prisma.Decimal(withdrawal.amount.toString());
 
-      if (currentBalance < withdrawalAmount) {
-        throw new Error('Insufficient wallet balance for withdrawal');
-      }
+        // Serialize with other postings to this wallet
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${this.generateLockId(withdrawal.wallet.uniqueKey)})`;
+
+        const walletUpdate = await tx.wallet.update({
+          where: { id: withdrawal.walletId },
+          data: {
+            balance: { decrement: withdrawalAmount },
+            totalWithdrawals: { increment: withdrawalAmount },
+            lastUpdated: new Date()
+          }
+        });
+
+        if (new Prisma.Decimal(walletUpdate.balance.toString()).lessThan(0)) {
+          throw new Error('Insufficient wallet balance for withdrawal');
+        }
 
-      // Process the withdrawal
-      const [updatedWithdrawal, updatedWallet] = await prisma.$transaction(async (tx) => {
-        // Update withdrawal request
         const withdrawalUpdate = await tx.withdrawalRequest.update({
           where: { id: withdrawalRequestId },
           data: {
@@ -856,32 +1191,100 @@ class WalletService {
           }
         });
 
-        // Update wallet balances
-        const walletUpdate = await tx.wallet.update({
-          where: { id: withdrawal.walletId },
-          data: {
-            balance: { decrement: withdrawalAmount },
-            totalWithdrawals: { increment: withdrawalAmount },
-            lastUpdated: new Date()
-          }
+        await this.postLedgerJournal(tx, {
+          entryType: 'WITHDRAWAL',
+          lines: [{ wallet: walletUpdate, amount: withdrawalAmount.negated() }],
+          contraAccount: this.LEDGER_ACCOUNTS.DISBURSEMENTS,
+          withdrawalRequestId: withdrawal.id,
+          description: `${withdrawal.purpose} (${withdrawal.withdrawalReference})`
         });
 
-        return [withdrawalUpdate, walletUpdate];
-      });
+        if (withdrawal.remittanceId) {
+          await syncRemittanceStatus(tx, withdrawal.remittanceId);
+        }
 
-      return {
-        withdrawal: updatedWithdrawal,
-        wallet: updatedWallet
-      };
+        return {
+          withdrawal: withdrawalUpdate,
+          wallet: walletUpdate
+        };
+      });
     } catch (error) {
       console.error('Error processing withdrawal:', error);
       throw error;
     }
   }
 
+  /**
+   * Move funds between two wallets for an approved TRANSFER request.
+   * Both wallet locks are taken in a fixed order before either balance changes, so two
+   * opposite transfers cannot deadlock; the debit and credit then go through the same
+   * locked update path as payments and are journaled together.
+   */
+  async processTransfer(transferRequest, tx) {
+    const destinationWallet = await tx.wallet.findUnique({
+      where: { id: transferRequest.destinationWalletId }
+    });
+
+    if (!destinationWallet || !destinationWallet.isActive) {
+      throw new Error('Destination wallet not found or inactive');
+    }
+
+    const amount = new Prisma.Decimal(transferRequest.amount.toString());
+    const lockIds = [transferRequest.wallet.uniqueKey, destinationWallet.uniqueKey]
+      .map(uniqueKey => this.generateLockId(uniqueKey))
+      .sort((a, b) => a - b);
+
+    for (const lockId of lockIds) {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${lockId})`;
+    }
+
+    const sourceUpdate = await this.updateOrCreateWalletWithRetry({
+      walletType: transferRequest.wallet.walletType,
+      subType: transferRequest.wallet.subType,
+      amount,
+      operation: 'WITHDRAWAL'
+    }, tx);
+
+    const destinationUpdate = await this.updateOrCreateWalletWithRetry({
+      walletType: destinationWallet.walletType,
+      subType: destinationWallet.subType,
+      amount,
+      operation: 'DEPOSIT'
+    }, tx);
+
+    const completedTransfer = await tx.withdrawalRequest.update({
+      where: { id: transferRequest.id },
+      data: {
+        status: 'COMPLETED',
+        processedAt: new Date()
+      }
+    });
+
+    await this.postLedgerJournal(tx, {
+      entryType: 'TRANSFER',
+      lines: [
+        { wallet: sourceUpdate, amount: amount.negated() },
+        { wallet: destinationUpdate, amount }
+      ],
+      withdrawalRequestId: transferRequest.id,
+      description: `${transferRequest.purpose} (${transferRequest.withdrawalReference})`
+    });
+
+    logger.wallet(`Transfer processed: ${transferRequest.withdrawalReference}`, {
+      amount: amount.toString(),
+      from: sourceUpdate.uniqueKey,
+      to: destinationUpdate.uniqueKey
+    });
+
+    return {
+      withdrawal: completedTransfer,
+      wallet: sourceUpdate,
+      destinationWallet: destinationUpdate
+    };
+  }
 
   /**
-   * Get wallet transaction history with pagination
+   * Get wallet transaction history from the ledger with pagination
    */
   async getWalletTransactionHistory(walletId, options = {}) {
     const {
@@ -901,73 +1304,48 @@ class WalletService {
       throw new Error('Wallet not found');
     }
 
-    // Build queries for deposits and withdrawals
-    const transactions = [];
-    
-    // Get deposits (from payments)
-    if (!transactionType || transactionType === 'DEPOSIT' || transactionType === 'ALL') {
-      const depositQuery = this.buildDepositQuery(wallet, startDate, endDate);
-      const deposits = await this.prisma.payment.findMany({
-        where: depositQuery,
-        include: {
-          user: { select: { fullName: true, username: true } },
-          specialOffering: { select: { name: true, offeringCode: true } }
-        },
-        orderBy: { paymentDate: 'desc' }
-      });
+    const where = { walletId };
 
-      deposits.forEach(payment => {
-        transactions.push({
-          id: `P-${payment.id}`,
-          type: 'DEPOSIT',
-          amount: parseFloat(payment.amount.toString()),
-          date: payment.paymentDate,
-          description: payment.description || `${payment.paymentType} payment`,
-          relatedUser: payment.user?.fullName || 'N/A',
-          reference: payment.reference,
-          receiptNumber: payment.receiptNumber
-        });
-      });
+    if (transactionType === 'DEPOSIT') {
+      where.amount = { gt: 0 };
+    } else if (transactionType === 'WITHDRAWAL') {
+      where.amount = { lt: 0 };
     }
 
-    // Get withdrawals
-    if (!transactionType || transactionType === 'WITHDRAWAL' || transactionType === 'ALL') {
-      const withdrawalQuery = {
-        walletId: walletId,
-        status: 'COMPLETED'
-      };
-
-      if (startDate || endDate) {
-        withdrawalQuery.processedAt = {};
-        if (startDate) withdrawalQuery.processedAt.gte = new Date(startDate);
-        if (endDate) withdrawalQuery.processedAt.lte = new Date(endDate);
-      }
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
 
-      const withdrawals = await this.prisma.withdrawalRequest.findMany({
-        where: withdrawalQuery,
+    const [entries, totalTransactions] = await Promise.all([
+      this.prisma.walletLedgerEntry.findMany({
+        where,
         include: {
-          requester: { select: { fullName: true, username: true } }
+          payment: {
+            select: {
+              reference: true,
+              receiptNumber: true,
+              isAnonymous: true,
+              user: { select: { fullName: true, username: true } }
+            }
+          },
+          withdrawalRequest: {
+            select: {
+              withdrawalReference: true,
+              withdrawalMethod: true,
+              requester: { select: { fullName: true, username: true } }
+            }
+          }
         },
-        orderBy: { processedAt: 'desc' }
-      });
-
-      withdrawals.forEach(withdrawal => {
-        transactions.push({
-          id: `W-${withdrawal.id}`,
-          type: 'WITHDRAWAL',
-          amount: -parseFloat(withdrawal.amount.toString()),
-          date: withdrawal.processedAt,
-          description: `${withdrawal.purpose} - ${withdrawal.description || ''}`.trim(),
-          relatedUser: withdrawal.requester?.fullName || 'N/A',
-          reference: withdrawal.withdrawalReference,
-          withdrawalMethod: withdrawal.withdrawalMethod
-        });
-      });
-    }
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip,
+        take: limit
+      }),
+      this.prisma.walletLedgerEntry.count({ where })
+    ]);
 
-    // Sort by date and apply pagination
-    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    const paginatedTransactions = transactions.slice(skip, skip + limit);
+    const transactions = entries.map(entry => this.formatLedgerEntry(entry));
 
     return {
       wallet: {
@@ -978,49 +1356,158 @@ class WalletService {
         totalDeposits: parseFloat(wallet.totalDeposits.toString()),
         totalWithdrawals: parseFloat(wallet.totalWithdrawals.toString())
       },
-      transactions: paginatedTransactions,
+      transactions,
       pagination: {
         currentPage: page,
-        totalTransactions: transactions.length,
-        totalPages: Math.ceil(transactions.length / limit),
-        hasNextPage: skip + limit < transactions.length,
+        totalTransactions,
+        totalPages: Math.ceil(totalTransactions / limit),
+        hasNextPage: skip + limit < totalTransactions,
         hasPreviousPage: page > 1
       }
     };
   }
 
   /**
-   * Build deposit query based on wallet type
+   * Wallet statement for a period: opening balance, ledger entries in order, closing balance
    */
-  buildDepositQuery(wallet, startDate, endDate) {
-    let query = {
-      status: 'COMPLETED',
-      isExpense: false
-    };
+  async getWalletStatement(walletId, { startDate, endDate } = {}) {
+    const wallet = await this.prisma.wallet.findUnique({
+      where: { id: walletId }
+    });
 
-    if (startDate || endDate) {
-      query.paymentDate = {};
-      if (startDate) query.paymentDate.gte = new Date(startDate);
-      if (endDate) query.paymentDate.lte = new Date(endDate);
+    if (!wallet) {
+      throw new Error('Wallet not found');
     }
 
-    // Wallet-specific filtering
-    if (wallet.walletType === 'TITHE') {
-      query.paymentType = 'TITHE';
-      if (wallet.subType) {
-        query.titheDistributionSDA = {
-          path: `$.${wallet.subType}`,
-          not: 0
-        };
+    const periodStart = startDate ? new Date(startDate) : null;
+    const periodEnd = endDate ? new Date(endDate) : new Date();
+
+    const openingResult = periodStart
+      ? await this.prisma.walletLedgerEntry.aggregate({
+          _sum: { amount: true },
+          where: { walletId, createdAt: { lt: periodStart } }
+        })
+      : { _sum: { amount: 0 } };
+
+    const entries = await this.prisma.walletLedgerEntry.findMany({
+      where: {
+        walletId,
+        createdAt: {
+          ...(periodStart ? { gte: periodStart } : {}),
+          lte: periodEnd
+        }
+      },
+      include: {
+        payment: {
+          select: {
+            reference: true,
+            receiptNumber: true,
+            isAnonymous: true,
+            user: { select: { fullName: true, username: true } }
+          }
+        },
+        withdrawalRequest: {
+          select: {
+            withdrawalReference: true,
+            withdrawalMethod: true,
+            requester: { select: { fullName: true, username: true } }
+          }
+        }
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    const openingBalance = new Prisma.Decimal((openingResult._sum.amount || 0).toString());
+    let totalCredits = new Prisma.Decimal(0);
+    let totalDebits = new Prisma.Decimal(0);
+
+    entries.forEach(entry => {
+      const amount = new Prisma.Decimal(entry.amount.toString());
+      if (amount.greaterThan(0)) {
+        totalCredits = totalCredits.plus(amount);
+      } else {
+        totalDebits = totalDebits.plus(amount.negated());
       }
-    } else if (wallet.walletType === 'SPECIAL_OFFERING') {
-      query.specialOfferingId = wallet.specialOfferingId;
-      query.paymentType = 'SPECIAL_OFFERING_CONTRIBUTION';
-    } else {
-      query.paymentType = wallet.walletType;
+    });
+
+    return {
+      wallet: {
+        id: wallet.id,
+        walletType: wallet.walletType,
+        subType: wallet.subType
+      },
+      period: {
+        startDate: periodStart,
+        endDate: periodEnd
+      },
+      openingBalance: parseFloat(openingBalance.toString()),
+      totalCredits: parseFloat(totalCredits.toString()),
+      totalDebits: parseFloat(totalDebits.toString()),
+      closingBalance: parseFloat(openingBalance.plus(totalCredits).minus(totalDebits).toString()),
+      entries: entries.map(entry => this.formatLedgerEntry(entry))
+    };
+  }
+
+  /**
+   * Shape a ledger entry (with payment/withdrawal includes) for API responses
+   */
+  formatLedgerEntry(entry) {
+    const amount = parseFloat(entry.amount.toString());
+
+    return {
+      id: `L-${entry.id}`,
+      journalId: entry.journalId,
+      type: entry.entryType,
+      direction: amount >= 0 ? 'CREDIT' : 'DEBIT',
+      amount,
+      balanceAfter: entry.balanceAfter !== null ? parseFloat(entry.balanceAfter.toString()) : null,
+      date: entry.createdAt,
+      description: entry.description,
+      relatedUser: entry.payment ? giverDisplayName(entry.payment) : (entry.withdrawalRequest?.requester?.fullName || 'N/A'),
+      reference: entry.payment?.reference || entry.withdrawalRequest?.withdrawalReference || null,
+      receiptNumber: entry.payment?.receiptNumber || null,
+      withdrawalMethod: entry.withdrawalRequest?.withdrawalMethod || null,
+      paymentId: entry.paymentId,
+      withdrawalRequestId: entry.withdrawalRequestId
+    };
+  }
+
+  /**
+   * Move PENDING withdrawal requests older than maxAgeHours to EXPIRED
+   * @returns {Promise<Array>} The expired requests
+   */
+  async expireStaleWithdrawalRequests(maxAgeHours, prismaClient = null) {
+    const client = prismaClient || this.prisma;
+    const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+
+    const staleRequests = await client.withdrawalRequest.findMany({
+      where: { status: 'PENDING', createdAt: { lt: cutoff } },
+      select: { id: true, withdrawalReference: true, amount: true, remittanceId: true, createdAt: true }
+    });
+
+    const expired = [];
+    for (const request of staleRequests) {
+      // Conditional update so a request approved or rejected meanwhile is left alone
+      const result = await client.withdrawalRequest.updateMany({
+        where: { id: request.id, status: 'PENDING' },
+        data: { status: 'EXPIRED', expiredAt: new Date() }
+      });
+      if (result.count === 1) {
+        expired.push(request);
+        if (request.remittanceId) {
+          await syncRemittanceStatus(client, request.remittanceId);
+        }
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.wallet(`Expired ${expired.length} stale withdrawal requests`, {
+        references: expired.map(r => r.withdrawalReference),
+        maxAgeHours
+      });
     }
 
-    return query;
+    return expired;
   }
 }
 
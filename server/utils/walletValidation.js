@@ -51,46 +51,163 @@ class WalletValidationService {
       return true;
     }
     
-    static validateBusinessHours() {
-      const now = new Date();
+    // Legacy business hours, used when no withdrawal policy defines its own windows
+    static DEFAULT_ALLOWED_WINDOWS = [
+      { days: [1, 2, 3, 4, 5], startHour: 8, endHour: 18 },
+      { days: [6], startHour: 9, endHour: 15 }
+    ];
+    
+    static validateBusinessHours(allowedWindows = WalletValidationService.DEFAULT_ALLOWED_WINDOWS, now = new Date()) {
       const hour = now.getHours();
       const day = now.getDay(); // 0 = Sunday, 6 = Saturday
+      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
       
-      // Business hours: Monday-Friday 8AM-6PM, Saturday 9AM-3PM, Sunday closed
-      const isWeekday = day >= 1 && day <= 5;
-      const isSaturday = day === 6;
-      const isSunday = day === 0;
-      
-      if (isSunday) {
-        throw new Error('Withdrawals are not processed on Sundays');
-      }
+      const windowsToday = allowedWindows.filter(window => window.days.includes(day));
       
-      if (isWeekday && (hour < 8 || hour >= 18)) {
-        throw new Error('Withdrawals can only be processed during business hours (8:00 AM - 6:00 PM, Monday-Friday)');
+      if (windowsToday.length === 0) {
+        throw new Error(`Withdrawals are not processed on ${dayNames[day]}s`);
       }
       
-      if (isSaturday && (hour < 9 || hour >= 15)) {
-        throw new Error('Saturday withdrawals can only be processed between 9:00 AM - 3:00 PM');
+      const withinWindow = windowsToday.some(window => hour >= window.startHour && hour < window.endHour);
+      if (!withinWindow) {
+        const hoursText = windowsToday
+          .map(window => `${String(window.startHour).padStart(2, '0')}:00 - ${String(window.endHour).padStart(2, '0')}:00`)
+          .join(', ');
+        throw new Error(`${dayNames[day]} withdrawals can only be processed between ${hoursText}`);
       }
       
       return true;
     }
     
-    static validateDailyWithdrawalLimit(userId, requestedAmount, existingWithdrawalsToday) {
-      const dailyLimit = parseFloat(process.env.DAILY_WITHDRAWAL_LIMIT || '50000'); // KES 50,000 default
+    static validateDailyWithdrawalLimit(userId, requestedAmount, existingWithdrawalsToday, dailyLimit = null) {
+      const limit = dailyLimit !== null ? parseFloat(dailyLimit) : parseFloat(process.env.DAILY_WITHDRAWAL_LIMIT || '50000'); // KES 50,000 default
+      return WalletValidationService.validatePeriodLimit('Daily', limit, requestedAmount, existingWithdrawalsToday);
+    }
+    
+    static validatePeriodLimit(periodLabel, limit, requestedAmount, existingWithdrawals) {
       const amount = parseFloat(requestedAmount);
       
-      const todayTotal = existingWithdrawalsToday.reduce((sum, withdrawal) => {
+      const usedTotal = existingWithdrawals.reduce((sum, withdrawal) => {
         return sum + parseFloat(withdrawal.amount.toString());
       }, 0);
       
-      if ((todayTotal + amount) > dailyLimit) {
-        const remaining = dailyLimit - todayTotal;
-        throw new Error(`Daily withdrawal limit exceeded. Daily limit: KES ${dailyLimit.toFixed(2)}, Used today: KES ${todayTotal.toFixed(2)}, Remaining: KES ${remaining.toFixed(2)}`);
+      if ((usedTotal + amount) > limit) {
+        const remaining = Math.max(limit - usedTotal, 0);
+        throw new Error(`${periodLabel} withdrawal limit exceeded. ${periodLabel} limit: KES ${limit.toFixed(2)}, Used: KES ${usedTotal.toFixed(2)}, Remaining: KES ${remaining.toFixed(2)}`);
       }
       
       return true;
     }
+    
+    // Pick the approval tier for an amount: the highest tier whose minAmount the amount reaches
+    static resolveApprovalTier(approvalTiers, amount) {
+      const tiers = [...(approvalTiers || [])].sort((a, b) => a.minAmount - b.minAmount);
+      if (tiers.length === 0) {
+        return null;
+      }
+      
+      let matched = tiers[0];
+      for (const tier of tiers) {
+        if (amount >= tier.minAmount) {
+          matched = tier;
+        }
+      }
+      return matched;
+    }
+    
+    /**
+     * Evaluate the withdrawal policy for a wallet type (falling back to the DEFAULT policy,
+     * then to the legacy environment settings) and return the approvals required along
+     * with a snapshot of the rules applied, to be stored on the withdrawal request.
+     * Internal transfers (requestType TRANSFER) use the same approval tiers, hours and
+     * approver roles but do not count towards, or get checked against, the outflow caps.
+     */
+    static async evaluateWithdrawalPolicy(tx, wallet, requestedAmount, now = new Date(), requestType = 'WITHDRAWAL') {
+      const amount = parseFloat(requestedAmount);
+      const isTransfer = requestType === 'TRANSFER';
+      
+      const policies = await tx.withdrawalPolicy.findMany({
+        where: { walletType: { in: [wallet.walletType, 'DEFAULT'] }, isActive: true }
+      });
+      const policy = policies.find(p => p.walletType === wallet.walletType) || policies.find(p => p.walletType === 'DEFAULT');
+      
+      if (!policy) {
+        if (process.env.ENFORCE_BUSINESS_HOURS === 'true') {
+          WalletValidationService.validateBusinessHours(WalletValidationService.DEFAULT_ALLOWED_WINDOWS, now);
+        }
+        
+        return {
+          requiredApprovals: parseInt(process.env.REQUIRED_WITHDRAWAL_APPROVALS || '3'),
+          enforceLegacyDailyLimit: !isTransfer && process.env.ENFORCE_DAILY_LIMITS === 'true',
+          policySnapshot: {
+            source: 'ENVIRONMENT_DEFAULTS',
+            requestType,
+            requiredApprovals: parseInt(process.env.REQUIRED_WITHDRAWAL_APPROVALS || '3'),
+            evaluatedAt: now.toISOString()
+          }
+        };
+      }
+      
+      if (Array.isArray(policy.allowedWindows) && policy.allowedWindows.length > 0) {
+        WalletValidationService.validateBusinessHours(policy.allowedWindows, now);
+      }
+      
+      // Caps apply across all wallets of the same type; in-flight requests count towards them
+      const activeStatuses = ['PENDING', 'APPROVED', 'COMPLETED'];
+      
+      if (policy.dailyLimit !== null && !isTransfer) {
+        const startOfDay = new Date(now);
+        startOfDay.setHours(0, 0, 0, 0);
+        const todaysWithdrawals = await tx.withdrawalRequest.findMany({
+          where: {
+            wallet: { walletType: wallet.walletType },
+            requestType: 'WITHDRAWAL',
+            createdAt: { gte: startOfDay },
+            status: { in: activeStatuses }
+          },
+          select: { amount: true }
+        });
+        WalletValidationService.validatePeriodLimit('Daily', parseFloat(policy.dailyLimit.toString()), amount, todaysWithdrawals);
+      }
+      
+      if (policy.monthlyLimit !== null && !isTransfer) {
+        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        const monthsWithdrawals = await tx.withdrawalRequest.findMany({
+          where: {
+            wallet: { walletType: wallet.walletType },
+            requestType: 'WITHDRAWAL',
+            createdAt: { gte: startOfMonth },
+            status: { in: activeStatuses }
+          },
+          select: { amount: true }
+        });
+        WalletValidationService.validatePeriodLimit('Monthly', parseFloat(policy.monthlyLimit.toString()), amount, monthsWithdrawals);
+      }
+      
+      const tier = WalletValidationService.resolveApprovalTier(policy.approvalTiers, amount);
+      const requiredApprovals = tier ? tier.requiredApprovals : parseInt(process.env.REQUIRED_WITHDRAWAL_APPROVALS || '3');
+      
+      return {
+        requiredApprovals,
+        enforceLegacyDailyLimit: false,
+        policySnapshot: {
+          source: 'POLICY',
+          requestType,
+          policyId: policy.id,
+          policyName: policy.name,
+          walletType: policy.walletType,
+          policyUpdatedAt: policy.updatedAt,
+          appliedTier: tier,
+          requiredApprovals,
+          approvalTiers: policy.approvalTiers,
+          allowedWindows: policy.allowedWindows,
+          dailyLimit: policy.dailyLimit !== null ? parseFloat(policy.dailyLimit.toString()) : null,
+          monthlyLimit: policy.monthlyLimit !== null ? parseFloat(policy.monthlyLimit.toString()) : null,
+          approverRoles: policy.approverRoles,
+          evaluatedAt: now.toISOString()
+        }
+      };
+    }
   }
   
   module.exports = WalletValidationService;
\ No newline at end of file
@@ -148,6 +148,9 @@ export class Header {
   
   renderAuthLinks() {
     return `
+      <a href="/give" data-link class="nav-link mr-4">
+        Give
+      </a>
       <a href="/login" data-link class="btn btn-primary">
         Sign in
       </a>
@@ -51,6 +51,7 @@ document.addEventListener('DOMContentLoaded', () => {
   router.add('/payments', 'views/payments.js', 'PaymentsView', true);
   router.add('/receipts', 'views/receipts.js', 'ReceiptsView', true);
   router.add('/make-payment', 'views/makePayment.js', 'MakePaymentView', true);
+  router.add('/give', 'views/give.js', 'GiveView');
   router.add('/admin/dashboard', 'views/admin/dashboard.js', 'AdminDashboardView', true, true);
   router.add('/admin/users', 'views/admin/users.js', 'AdminUsersView', true, true);
   router.add('/admin/payments', 'views/admin/payments.js', 'AdminPaymentsView', true, true);
@@ -59,6 +60,7 @@ document.addEventListener('DOMContentLoaded', () => {
   router.add('/admin/receipts', 'views/admin/receipts.js', 'AdminReceiptsView', true, true);
   router.add('/about', 'views/about.js', 'AboutView');
   router.add('/admin/wallets', 'views/admin/wallets.js', 'AdminWalletsView', true, true);
+  router.add('/admin/trash', 'views/admin/trash.js', 'AdminTrashView', true, true);
   router.add('/contact', 'views/contact.js', 'ContactView');
   
   router.add('/help', 'views/help.js', 'HelpView');
@@ -43,7 +43,7 @@ export class ApiService {
     // Payment configuration
     this.supportedPaymentMethods = ['KCB', 'MPESA', 'MANUAL', 'CASH', 'BANK_TRANSFER', 'CHEQUE'];
     this.defaultPaymentMethod = 'KCB';
-    this.supportedPaymentTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL', 'EXPENSE', 'SPECIAL_OFFERING_CONTRIBUTION'];
+    this.supportedPaymentTypes = ['TITHE', 'OFFERING', 'DONATION', 'SPECIAL', 'EXPENSE', 'SPECIAL_OFFERING_CONTRIBUTION', 'SPLIT_GIFT'];
     
     // Cache and request management
     this.cache = new Map();
@@ -223,12 +223,22 @@ export class ApiService {
   /**
    * Delete user (admin only)
    */
-  async deleteUser(userId) {
-    const result = await this.delete(`/auth/users/${userId}`);
+  async deleteUser(userId, reason = null) {
+    const result = await this.delete(`/auth/users/${userId}`, { reason });
     this.invalidateCache('/auth/users');
     return result;
   }
 
+  /**
+   * Merge a guest giving profile into a member account (admin only)
+   */
+  async mergeGuestProfile(userId, guestId) {
+    const result = await this.post(`/auth/users/${userId}/merge-guest`, { guestId });
+    this.invalidateCache('/auth/users');
+    this.invalidatePaymentCaches();
+    return result;
+  }
+
   /**
    * Admin reset user password
    */
@@ -276,6 +286,72 @@ export class ApiService {
     });
   }
 
+  /**
+   * Get the platform fee a payment would carry, and whether the giver pays it on top
+   * @param {number} amount - Payment amount
+   * @param {string} paymentMethod - KCB or MPESA
+   * @param {string} paymentType - TITHE, OFFERING, DONATION, SPECIAL, SPLIT_GIFT, ...
+   */
+  async getFeeQuote(amount, paymentMethod, paymentType) {
+    return this.get('/payment/fee-quote', { amount, paymentMethod, paymentType });
+  }
+
+  /**
+   * Get exchange rates to KES (admin)
+   */
+  async getExchangeRates(params = {}) {
+    return this.get('/exchange-rates', params);
+  }
+
+  /**
+   * Record an exchange rate: { currency, rateToKes, effectiveDate, source, notes }
+   */
+  async createExchangeRate(rateData) {
+    return this.post('/exchange-rates', rateData);
+  }
+
+  /**
+   * Correct a recorded exchange rate
+   */
+  async updateExchangeRate(rateId, rateData) {
+    return this.put(`/exchange-rates/${rateId}`, rateData);
+  }
+
+  /**
+   * Delete an exchange rate no payment has used
+   */
+  async deleteExchangeRate(rateId) {
+    return this.delete(`/exchange-rates/${rateId}`);
+  }
+
+  /**
+   * Preview the KES equivalent of an amount in another currency at a date
+   */
+  async convertToKes(amount, currency, date = null) {
+    return this.get('/exchange-rates/convert', date ? { amount, currency, date } : { amount, currency });
+  }
+
+  /**
+   * Get platform fee rules
+   */
+  async getFeeRules() {
+    return this.get('/payment/fee-rules');
+  }
+
+  /**
+   * Create or replace the fee rule for a payment method and type ('ALL' matches any)
+   */
+  async saveFeeRule(paymentMethod, paymentType, ruleData) {
+    return this.put(`/payment/fee-rules/${paymentMethod}/${paymentType}`, ruleData);
+  }
+
+  /**
+   * Delete the fee rule for a payment method and type
+   */
+  async deleteFeeRule(paymentMethod, paymentType) {
+    return this.delete(`/payment/fee-rules/${paymentMethod}/${paymentType}`);
+  }
+
   /**
    * Get payment status
    */
@@ -284,21 +360,40 @@ export class ApiService {
   }
 
   /**
-   * Initiate payment (unified KCB/M-Pesa endpoint)
+   * Initiate payment (unified KCB/M-Pesa endpoint). For a split gift send paymentType 'SPLIT_GIFT'
+   * and lines: [{ paymentType, amount, specialOfferingId, titheDistributionSDA }] adding up to amount.
    */
   async initiatePayment(paymentData) {
     this.validatePaymentData(paymentData);
     
-    const result = await this.post('/payment/initiate', paymentData);
+    const result = await this.post('/payment/initiate', paymentData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
     this.invalidatePaymentCaches();
     return result;
   }
 
+  /**
+   * Give without an account: { phoneNumber, amount, paymentType, specialOfferingId, name, isAnonymous }
+   */
+  async initiateGuestPayment(paymentData) {
+    return this.post('/payment/guest/initiate', paymentData);
+  }
+
+  /**
+   * Status of a guest payment by the checkoutRequestId returned when it was initiated
+   */
+  async getGuestPaymentStatus(checkoutRequestId) {
+    return this.get(`/payment/guest/status/${encodeURIComponent(checkoutRequestId)}`);
+  }
+
   /**
    * Initiate M-Pesa payment (legacy support)
    */
   async initiateMpesaPayment(paymentData) {
-    const result = await this.post('/payment/initiate-mpesa', paymentData);
+    const result = await this.post('/payment/initiate-mpesa', paymentData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
     this.invalidatePaymentCaches();
     return result;
   }
@@ -307,13 +402,16 @@ export class ApiService {
    * Initiate KCB payment
    */
   async initiateKcbPayment(paymentData) {
-    const result = await this.post('/payment/initiate-kcb', paymentData);
+    const result = await this.post('/payment/initiate-kcb', paymentData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
     this.invalidatePaymentCaches();
     return result;
   }
 
   /**
-   * Add manual payment with file upload support
+   * Add manual payment with file upload support. For a gift in another currency pass currency
+   * (e.g. 'USD') with amount in that currency, and optionally the exchangeRate the bank applied.
    */
   async addManualPayment(paymentData, receiptFile = null) {
     const formData = new FormData();
@@ -335,29 +433,153 @@ export class ApiService {
       formData.append('expenseReceiptImage', receiptFile);
     }
     
-    const result = await this.uploadFile('/payment/manual', formData);
+    const result = await this.uploadFile('/payment/manual', formData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
+    this.invalidatePaymentCaches();
+    return result;
+  }
+
+  /**
+   * Update payment status (admin only). Only transitions the payment status machine allows are accepted.
+   */
+  async updatePaymentStatus(paymentId, status, reason = null) {
+    const result = await this.put(`/payment/${paymentId}/status`, reason ? { status, reason } : { status });
     this.invalidatePaymentCaches();
     return result;
   }
 
   /**
-   * Update payment status (admin only)
+   * Get a payment's status history and the statuses it can move to next (admin only)
+   */
+  async getPaymentStatusHistory(paymentId) {
+    return this.get(`/payment/${paymentId}/status-history`);
+  }
+
+  /**
+   * Move a payment and its receipt to the trash (admin only)
    */
-  async updatePaymentStatus(paymentId, status) {
-    const result = await this.put(`/payment/${paymentId}/status`, { status });
+  async deletePayment(paymentId, reason = null) {
+    const result = await this.delete(`/payment/${paymentId}`, { reason });
     this.invalidatePaymentCaches();
     return result;
   }
 
   /**
-   * Delete payment (admin only)
+   * Run the stale PENDING payment reconciler now (admin only)
    */
-  async deletePayment(paymentId) {
-    const result = await this.delete(`/payment/${paymentId}`);
+  async reconcilePendingPayments() {
+    const result = await this.post('/payment/reconcile-pending', {});
     this.invalidatePaymentCaches();
     return result;
   }
 
+  /**
+   * Get payment reconciliation decisions (admin only)
+   */
+  async getReconciliationLogs(params = {}) {
+    return this.get('/payment/reconciliation-logs', params);
+  }
+
+  /**
+   * Get stored M-Pesa/KCB payment callbacks (admin only)
+   */
+  async getPaymentCallbackLogs(params = {}) {
+    return this.get('/payment/callback-logs', params);
+  }
+
+  /**
+   * Re-process a stored payment callback (admin only)
+   */
+  async reprocessPaymentCallback(logId) {
+    const result = await this.post(`/payment/callback-logs/${logId}/reprocess`, {});
+    this.invalidatePaymentCaches();
+    return result;
+  }
+
+  /**
+   * Get Paybill (C2B) transactions, the review queue by default (admin only)
+   * @param {Object} params - { status, search, page, limit }
+   */
+  async getC2bTransactions(params = {}) {
+    return this.get('/c2b/transactions', params);
+  }
+
+  /**
+   * Assign a queued Paybill transaction to a member and fund (admin only)
+   * @param {Object} resolution - { userId, paymentType, specialOfferingId, titheDistributionSDA, notes }
+   */
+  async resolveC2bTransaction(c2bId, resolution) {
+    const result = await this.post(`/c2b/transactions/${c2bId}/resolve`, resolution);
+    this.invalidatePaymentCaches();
+    return result;
+  }
+
+  /**
+   * Dismiss a queued Paybill transaction (admin only)
+   */
+  async dismissC2bTransaction(c2bId, reason) {
+    return this.post(`/c2b/transactions/${c2bId}/dismiss`, { reason });
+  }
+
+  /**
+   * Register the Paybill callback URLs with Safaricom (admin only)
+   */
+  async registerC2bUrls() {
+    return this.post('/c2b/register-urls', {});
+  }
+
+  /**
+   * Refund or reverse a completed payment (admin only, queued for multi-admin approval)
+   * @param {Object} refundData - { type: 'REFUND'|'REVERSAL', reason, payout, payoutPhone }
+   */
+  async refundPayment(paymentId, refundData) {
+    const result = await this.post(`/payment/${paymentId}/refund`, refundData);
+    this.invalidatePaymentCaches();
+    this.invalidateCache('/wallets');
+    this.invalidateCache('/receipt');
+    return result;
+  }
+
+  /**
+   * Record a signed adjustment entry against a completed payment (admin only)
+   */
+  async createPaymentAdjustment(paymentId, amount, reason) {
+    const result = await this.post(`/payment/${paymentId}/adjustments`, { amount, reason });
+    this.invalidatePaymentCaches();
+    this.invalidateCache('/wallets');
+    return result;
+  }
+
+  // ===================================
+  // ACCOUNTING PERIOD METHODS
+  // ===================================
+
+  /**
+   * Get closed and reopened accounting periods (admin only)
+   */
+  async getAccountingPeriods(status = null) {
+    return this.get('/accounting-periods', status ? { status } : {});
+  }
+
+  /**
+   * Close an accounting period, e.g. '2024-05' (privileged role only)
+   */
+  async closeAccountingPeriod(periodKey, notes = null) {
+    const result = await this.post(`/accounting-periods/${periodKey}/close`, notes ? { notes } : {});
+    this.invalidateCache('/accounting-periods');
+    return result;
+  }
+
+  /**
+   * Reopen a closed accounting period with a reason (privileged role only)
+   */
+  async reopenAccountingPeriod(periodKey, reason) {
+    const result = await this.post(`/accounting-periods/${periodKey}/reopen`, { reason });
+    this.invalidateCache('/accounting-periods');
+    return result;
+  }
+
   // ===================================
   // BATCH PAYMENT METHODS
   // ===================================
@@ -368,7 +590,9 @@ export class ApiService {
   async createBatchPayment(batchData) {
     this.validateBatchData(batchData);
     
-    const result = await this.post('/batch-payments', batchData);
+    const result = await this.post('/batch-payments', batchData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
     this.invalidateCache('/batch-payments');
     return result;
   }
@@ -405,6 +629,22 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Preview a CSV/XLSX file of batch items: per-row member matching, errors and warnings.
+   * Nothing is saved; the importable rows come back as `payments` for createBatchPayment/addItemsToBatch.
+   * @param {File} file - CSV or XLSX spreadsheet
+   * @param {Object} options - { paymentDate } default date for rows without one
+   */
+  async previewBatchImport(file, options = {}) {
+    const formData = new FormData();
+    formData.append('importFile', file);
+    if (options.paymentDate) {
+      formData.append('paymentDate', options.paymentDate);
+    }
+
+    return this.uploadFile('/batch-payments/import/preview', formData);
+  }
+
   /**
    * Process batch deposit via KCB
    */
@@ -426,6 +666,44 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Download the bank deposit slip and batch summary PDF (deposited and completed batches)
+   */
+  async downloadDepositSlip(batchId, filename = null) {
+    const url = `${this.baseUrl}/batch-payments/${batchId}/slip`;
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Failed to download deposit slip: ${response.statusText}`);
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = filename || `deposit-slip-${batchId}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+
+      setTimeout(() => {
+        window.URL.revokeObjectURL(downloadUrl);
+        document.body.removeChild(a);
+      }, 0);
+
+      return { success: true, message: 'Deposit slip download initiated.' };
+    } catch (error) {
+      console.error('❌ Deposit slip download failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Cancel batch payment
    */
@@ -436,6 +714,171 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Move a cancelled batch and its payments to the trash
+   */
+  async trashBatchPayment(batchId, reason = null) {
+    const result = await this.post(`/batch-payments/${batchId}/trash`, { reason });
+    this.invalidateCache('/batch-payments');
+    this.invalidateCache(`/batch-payments/${batchId}`);
+    return result;
+  }
+
+  // ===================================
+  // CASH COUNT METHODS
+  // ===================================
+
+  /**
+   * Get cash count sessions: { status, page, limit }
+   */
+  async getCashCountSessions(params = {}) {
+    return this.get('/cash-counts', params);
+  }
+
+  /**
+   * Get a cash count session with denominations, envelopes and sign-offs
+   */
+  async getCashCountSession(sessionId) {
+    return this.get(`/cash-counts/${sessionId}`);
+  }
+
+  /**
+   * Open a cash count session: { serviceDate, description, looseCashUserId, notes }
+   */
+  async createCashCountSession(sessionData) {
+    return this.post('/cash-counts', sessionData);
+  }
+
+  /**
+   * Update session details: { description, looseCashUserId, notes }
+   */
+  async updateCashCountSession(sessionId, sessionData) {
+    return this.put(`/cash-counts/${sessionId}`, sessionData);
+  }
+
+  /**
+   * Replace the denomination breakdown: [{ denomination, count }]
+   */
+  async setCashCountDenominations(sessionId, denominations) {
+    return this.put(`/cash-counts/${sessionId}/denominations`, { denominations });
+  }
+
+  /**
+   * Record an envelope: { userId, envelopeNumber, titheAmount, offeringAmount,
+   * specialOfferings: [{ specialOfferingId, amount }], titheDistributionSDA, notes }
+   */
+  async addCashCountEnvelope(sessionId, envelopeData) {
+    return this.post(`/cash-counts/${sessionId}/envelopes`, envelopeData);
+  }
+
+  /**
+   * Replace an envelope line
+   */
+  async updateCashCountEnvelope(sessionId, envelopeId, envelopeData) {
+    return this.put(`/cash-counts/${sessionId}/envelopes/${envelopeId}`, envelopeData);
+  }
+
+  /**
+   * Remove an envelope line
+   */
+  async deleteCashCountEnvelope(sessionId, envelopeId) {
+    return this.delete(`/cash-counts/${sessionId}/envelopes/${envelopeId}`);
+  }
+
+  /**
+   * Sign off the count as it stands (two different users are needed)
+   */
+  async signOffCashCount(sessionId, notes = null) {
+    return this.post(`/cash-counts/${sessionId}/signoff`, notes ? { notes } : {});
+  }
+
+  /**
+   * Close a signed-off count; returns the PENDING batch payment for KCB deposit
+   */
+  async closeCashCount(sessionId) {
+    const result = await this.post(`/cash-counts/${sessionId}/close`);
+    this.invalidateCache('/batch-payments');
+    return result;
+  }
+
+  /**
+   * Cancel an open count
+   */
+  async cancelCashCount(sessionId, reason = null) {
+    return this.post(`/cash-counts/${sessionId}/cancel`, reason ? { reason } : {});
+  }
+
+  /**
+   * Download the count sheet PDF
+   */
+  async downloadCountSheet(sessionId, filename = null) {
+    const url = `${this.baseUrl}/cash-counts/${sessionId}/count-sheet`;
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Failed to download count sheet: ${response.statusText}`);
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = filename || `cash-count-${sessionId}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+
+      setTimeout(() => {
+        window.URL.revokeObjectURL(downloadUrl);
+        document.body.removeChild(a);
+      }, 0);
+
+      return { success: true, message: 'Count sheet download initiated.' };
+    } catch (error) {
+      console.error('❌ Count sheet download failed:', error.message);
+      throw error;
+    }
+  }
+
+  // ===================================
+  // TRASH METHODS
+  // ===================================
+
+  /**
+   * Get trash counts per type, or the deleted records of one type: { type, page, limit }
+   */
+  async getTrash(params = {}) {
+    return this.get('/trash', params);
+  }
+
+  /**
+   * Restore a deleted record; type is users, payments, receipts, specialOfferings or batchPayments
+   */
+  async restoreTrashItem(type, id) {
+    const result = await this.post(`/trash/${type}/${id}/restore`);
+    this.invalidateCache('/trash');
+    this.invalidatePaymentCaches();
+    this.invalidateCache('/auth/users');
+    this.invalidateCache('/special-offerings');
+    this.invalidateCache('/batch-payments');
+    return result;
+  }
+
+  /**
+   * Permanently delete a record from the trash (queued for multi-admin approval)
+   */
+  async purgeTrashItem(type, id) {
+    const result = await this.delete(`/trash/${type}/${id}`);
+    this.invalidateCache('/trash');
+    return result;
+  }
+
   // ===================================
   // RECEIPT METHODS
   // ===================================
@@ -574,8 +1017,8 @@ export class ApiService {
   /**
    * Delete special offering (admin only)
    */
-  async deleteSpecialOffering(identifier) {
-    const result = await this.delete(`/special-offerings/${identifier}`);
+  async deleteSpecialOffering(identifier, reason = null) {
+    const result = await this.delete(`/special-offerings/${identifier}`, { reason });
     this.invalidateCache('/special-offerings');
     this.invalidateCache(`/special-offerings/${identifier}`);
     return result;
@@ -595,12 +1038,57 @@ export class ApiService {
    * Make contribution to special offering
    */
   async contributeToSpecialOffering(identifier, contributionData) {
-    const result = await this.post(`/special-offerings/${identifier}/contribution`, contributionData);
+    const result = await this.post(`/special-offerings/${identifier}/contribution`, contributionData, {
+      idempotencyKey: this.generateIdempotencyKey()
+    });
     this.invalidateCache(`/special-offerings/${identifier}/progress`);
     this.invalidatePaymentCaches();
     return result;
   }
 
+  // ===================================
+  // TITHE CATEGORY METHODS
+  // ===================================
+
+  /**
+   * Get tithe distribution categories (admins may include retired ones)
+   */
+  async getTitheCategories(includeInactive = false) {
+    const params = includeInactive ? { includeInactive: 'true' } : {};
+    return this.get('/tithe-categories', params, {
+      cache: true,
+      cacheDuration: 120000, // 2 minutes cache
+      cacheKey: `/tithe-categories?${new URLSearchParams(params).toString()}`
+    });
+  }
+
+  /**
+   * Create tithe category (admin only)
+   */
+  async createTitheCategory(categoryData) {
+    const result = await this.post('/tithe-categories', categoryData);
+    this.invalidateCache('/tithe-categories');
+    return result;
+  }
+
+  /**
+   * Update tithe category (admin only)
+   */
+  async updateTitheCategory(categoryId, categoryData) {
+    const result = await this.put(`/tithe-categories/${categoryId}`, categoryData);
+    this.invalidateCache('/tithe-categories');
+    return result;
+  }
+
+  /**
+   * Retire tithe category (admin only)
+   */
+  async retireTitheCategory(categoryId) {
+    const result = await this.delete(`/tithe-categories/${categoryId}`);
+    this.invalidateCache('/tithe-categories');
+    return result;
+  }
+
   // ===================================
   // CONTACT & INQUIRY METHODS
   // ===================================
@@ -693,6 +1181,20 @@ export class ApiService {
     });
   }
 
+  /**
+   * Get wallet statement for a period (opening balance, ledger entries, closing balance)
+   */
+  async getWalletStatement(walletId, params = {}) {
+    return this.get(`/wallets/${walletId}/statement`, params);
+  }
+
+  /**
+   * Check stored wallet balances against the ledger (admin only)
+   */
+  async checkWalletIntegrity() {
+    return this.get('/wallets/integrity');
+  }
+
   /**
    * Initialize wallet system (admin only)
    */
@@ -742,6 +1244,77 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Create inter-wallet transfer request
+   */
+  async createTransferRequest(transferData) {
+    const result = await this.post('/wallets/transfers', transferData);
+    this.invalidateCache('/wallets/withdrawals');
+    return result;
+  }
+
+  /**
+   * Preview conference remittance figures for a period (admin only)
+   */
+  async calculateRemittance(startDate, endDate) {
+    return this.get('/remittances/calculate', { startDate, endDate });
+  }
+
+  /**
+   * Create conference remittance and its withdrawal requests (admin only)
+   */
+  async createRemittance(remittanceData) {
+    const result = await this.post('/remittances', remittanceData);
+    this.invalidateCache('/remittances');
+    this.invalidateCache('/wallets/withdrawals');
+    return result;
+  }
+
+  /**
+   * Get conference remittances (admin only)
+   */
+  async getRemittances(params = {}) {
+    return this.get('/remittances', params);
+  }
+
+  /**
+   * Download conference remittance statement PDF
+   */
+  async downloadRemittanceStatement(remittanceId, filename = null) {
+    const url = `${this.baseUrl}/remittances/${remittanceId}/statement`;
+    
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Failed to download remittance statement: ${response.statusText}`);
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = filename || `remittance-${remittanceId}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      
+      setTimeout(() => {
+        window.URL.revokeObjectURL(downloadUrl);
+        document.body.removeChild(a);
+      }, 0);
+      
+      return { success: true, message: 'Remittance statement download initiated.' };
+    } catch (error) {
+      console.error('❌ Remittance statement download failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Approve withdrawal request
    */
@@ -752,6 +1325,80 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Reject withdrawal request with a reason
+   */
+  async rejectWithdrawalRequest(withdrawalId, reason) {
+    const result = await this.post(`/wallets/withdrawals/${withdrawalId}/reject`, { reason });
+    this.invalidateCache('/wallets/withdrawals');
+    return result;
+  }
+
+  /**
+   * Cancel own pending withdrawal request
+   */
+  async cancelWithdrawalRequest(withdrawalId, reason = null) {
+    const result = await this.post(`/wallets/withdrawals/${withdrawalId}/cancel`, reason ? { reason } : {});
+    this.invalidateCache('/wallets/withdrawals');
+    return result;
+  }
+
+  /**
+   * Get withdrawal policies
+   */
+  async getWithdrawalPolicies() {
+    return this.get('/wallets/policies');
+  }
+
+  /**
+   * Create or replace the withdrawal policy for a wallet type
+   */
+  async saveWithdrawalPolicy(walletType, policyData) {
+    return this.put(`/wallets/policies/${walletType}`, policyData);
+  }
+
+  /**
+   * Delete the withdrawal policy for a wallet type
+   */
+  async deleteWithdrawalPolicy(walletType) {
+    return this.delete(`/wallets/policies/${walletType}`);
+  }
+
+  /**
+   * Get current admin's withdrawal approver authenticator status
+   */
+  async getApproverTotpStatus() {
+    return this.get('/wallets/approver-totp');
+  }
+
+  /**
+   * Start authenticator enrollment (returns QR code and otpauth URI)
+   */
+  async startApproverTotpEnrollment() {
+    return this.post('/wallets/approver-totp/enroll');
+  }
+
+  /**
+   * Confirm authenticator enrollment with the first code
+   */
+  async confirmApproverTotpEnrollment(code) {
+    return this.post('/wallets/approver-totp/verify', { code });
+  }
+
+  /**
+   * Regenerate authenticator recovery codes
+   */
+  async regenerateApproverRecoveryCodes(code) {
+    return this.post('/wallets/approver-totp/recovery-codes', { code });
+  }
+
+  /**
+   * Remove the current admin's authenticator
+   */
+  async disableApproverTotp(codeData) {
+    return this.delete('/wallets/approver-totp', codeData);
+  }
+
   /**
    * Validate tithe distribution
    */
@@ -812,12 +1459,30 @@ export class ApiService {
   }
 
   /**
-   * Manually link KCB transaction
+   * Get ranked link suggestions for one unlinked KCB transaction
    */
-  async linkKcbTransaction(kcbSyncId, paymentId) {
+  async getKcbLinkSuggestions(kcbSyncId) {
+    return this.get(`/kcb-sync/unlinked/${kcbSyncId}/suggestions`);
+  }
+
+  /**
+   * Manually link KCB transaction
+   * @param {number} kcbSyncId - KCB sync record ID
+   * @param {number|Object} target - A payment ID, or { paymentIds } / { batchPaymentId }
+   *   (a suggestion from getKcbLinkSuggestions can be passed as-is)
+   */
+  async linkKcbTransaction(kcbSyncId, target) {
+    let linkTarget;
+    if (target && typeof target === 'object') {
+      linkTarget = target.batchPaymentId
+        ? { batchPaymentId: target.batchPaymentId }
+        : { paymentIds: target.paymentIds };
+    } else {
+      linkTarget = { paymentId: target };
+    }
     const result = await this.post('/kcb-sync/link', {
       kcbSyncId,
-      paymentId
+      ...linkTarget
     });
     this.invalidateCache('/kcb-sync/unlinked');
     this.invalidateCache('/kcb-sync/statistics');
@@ -834,6 +1499,33 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Import a bank statement file (CSV, MT940 or camt.053) into KCB reconciliation
+   * @param {File} file - Statement file
+   * @param {Object} options - { format, layout, columns, dateFormat, delimiter, decimalSeparator, bankAccount }
+   */
+  async importBankStatement(file, options = {}) {
+    const formData = new FormData();
+    formData.append('statementFile', file);
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        formData.append(key, key === 'columns' && typeof value === 'object' ? JSON.stringify(value) : value);
+      }
+    });
+
+    const result = await this.uploadFile('/kcb-sync/statements/import', formData);
+    this.invalidateCache('/kcb-sync/unlinked');
+    this.invalidateCache('/kcb-sync/statistics');
+    return result;
+  }
+
+  /**
+   * Get bank statement import history and the available CSV layouts
+   */
+  async getBankStatementImports(params = {}) {
+    return this.get('/kcb-sync/statements/imports', params);
+  }
+
   /**
    * Get KCB sync statistics
    */
@@ -879,6 +1571,39 @@ export class ApiService {
     return result;
   }
 
+  /**
+   * Get admin actions awaiting multi-admin approval
+   */
+  async getAdminActions(params = {}) {
+    return this.get('/admin/actions', params);
+  }
+
+  /**
+   * Approve a pending admin action
+   */
+  async approveAdminAction(actionId, comment = null) {
+    const result = await this.post(`/admin/actions/${actionId}/approve`, comment ? { comment } : {});
+    this.invalidateCache('/admin/activity');
+    this.invalidatePaymentCaches();
+    return result;
+  }
+
+  /**
+   * Reject a pending admin action
+   */
+  async rejectAdminAction(actionId, reason = null) {
+    const result = await this.post(`/admin/actions/${actionId}/reject`, reason ? { reason } : {});
+    this.invalidateCache('/admin/activity');
+    return result;
+  }
+
+  /**
+   * Expire pending admin actions past their approval window
+   */
+  async expireAdminActions() {
+    return this.post('/admin/actions/expire');
+  }
+
   /**
    * Generate admin reports
    */
@@ -1046,7 +1771,7 @@ export class ApiService {
       xhr.open('POST', url);
       
       // Set headers (don't set Content-Type for FormData)
-      const headers = this.getHeaders(true);
+      const headers = this.getHeaders(true, options);
       Object.keys(headers).forEach(key => {
         if (key !== 'Content-Type') {
           xhr.setRequestHeader(key, headers[key]);
@@ -1076,7 +1801,7 @@ export class ApiService {
         
         const fetchOptions = {
           method: method.toUpperCase(),
-          headers: this.getHeaders(data instanceof FormData),
+          headers: this.getHeaders(data instanceof FormData, options),
           credentials: 'include',
           signal: this.createAbortSignal(options.timeout || this.defaultTimeout),
           ...options.fetchOptions
@@ -1534,8 +2259,10 @@ export class ApiService {
 
   /**
    * Get request headers
+   * @param {boolean} isFormData
+   * @param {Object} options - Request options; options.idempotencyKey is sent as Idempotency-Key
    */
-  getHeaders(isFormData = false) {
+  getHeaders(isFormData = false, options = {}) {
     const headers = {};
     
     if (!isFormData) {
@@ -1548,6 +2275,11 @@ export class ApiService {
     
     // Add request ID for tracking
     headers['X-Request-ID'] = this.generateRequestId();
+
+    // Same key on every retry and queued replay, so the server creates the record only once
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
     
     return headers;
   }
@@ -1605,6 +2337,16 @@ export class ApiService {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Generate an Idempotency-Key for a payment-creating request
+   */
+  generateIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${this.generateRequestId()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Sleep utility for delays
    */
@@ -20,11 +20,14 @@ export class AdminAddPaymentView extends BaseComponent {
     // Data Management
     this.users = [];
     this.specialOfferings = [];
+    this.titheCategories = [];
     this.filteredUsers = [];
     this.paymentBatch = [];
     this.existingBatches = [];
     this.currentBatchId = null;
     this.editingPaymentIndex = null;
+    this.entryMode = 'manual';
+    this.importPreview = null;
     this.formData = {
       userId: '',
       amount: '',
@@ -32,13 +35,7 @@ export class AdminAddPaymentView extends BaseComponent {
       description: '',
       paymentMethod: 'MANUAL',
       status: 'COMPLETED',
-      titheDistributionSDA: {
-        campMeetingExpenses: false,
-        welfare: false,
-        thanksgiving: false,
-        stationFund: false,
-        mediaMinistry: false
-      },
+      titheDistributionSDA: {},
       paymentDate: this.formatDate(new Date())
     };
     
@@ -140,6 +137,13 @@ export class AdminAddPaymentView extends BaseComponent {
       this.specialOfferings = [];
     }
 
+    try {
+      await this.loadTitheCategories();
+    } catch (error) {
+      console.warn("Could not load tithe categories:", error);
+      this.titheCategories = [];
+    }
+
     try {
       await this.loadExistingBatches();
     } catch (error) {
@@ -265,6 +269,13 @@ export class AdminAddPaymentView extends BaseComponent {
     }
   }
 
+  async loadTitheCategories() {
+    const response = await this.queueApiRequest(() => 
+      this.apiService.getTitheCategories()
+    );
+    this.titheCategories = response?.categories || response?.data?.categories || [];
+  }
+  
   async loadSpecialOfferings() {
     try {
       console.log('Loading special offerings...');
@@ -478,7 +489,9 @@ export class AdminAddPaymentView extends BaseComponent {
         }
         
         container.appendChild(this.renderBatchSelector());
+        container.appendChild(this.renderEntryModeTabs());
         container.appendChild(this.renderPaymentForm());
+        container.appendChild(this.renderImportPanel());
         container.appendChild(this.renderBatchView());
         container.appendChild(this.renderExistingBatchesView());
         
@@ -898,8 +911,10 @@ export class AdminAddPaymentView extends BaseComponent {
   
   renderPaymentForm() {
     const formCard = this.createElement('div', {
+      id: 'payment-form-card',
       className: 'neo-card animated-item',
       style: {
+        display: this.entryMode === 'manual' ? 'block' : 'none',
         padding: '30px',
         position: 'relative',
         overflow: 'hidden'
@@ -1305,13 +1320,10 @@ export class AdminAddPaymentView extends BaseComponent {
       }
     });
     
-    const titheCategories = [
-      { id: 'campMeetingExpenses', label: 'Camp Meeting Expenses' },
-      { id: 'welfare', label: 'Welfare' },
-      { id: 'thanksgiving', label: 'Thanksgiving' },
-      { id: 'stationFund', label: 'Station Fund' },
-      { id: 'mediaMinistry', label: 'Media Ministry' }
-    ];
+    const titheCategories = this.titheCategories.map(category => ({
+      id: category.code,
+      label: category.displayName
+    }));
     
     titheCategories.forEach(category => {
         const inputGroup = this.createElement('div', { className: 'form-group' });
@@ -1408,6 +1420,312 @@ export class AdminAddPaymentView extends BaseComponent {
     return actionsContainer;
   }
   
+  renderEntryModeTabs() {
+    const tabs = this.createElement('div', {
+      className: 'animated-item',
+      style: {
+        display: 'flex',
+        gap: '10px',
+        marginBottom: '20px'
+      }
+    });
+
+    [
+      { mode: 'manual', label: '✏️ Manual Entry' },
+      { mode: 'import', label: '📄 Import from File' }
+    ].forEach(({ mode, label }) => {
+      const tab = this.createElement('button', {
+        type: 'button',
+        className: 'futuristic-button entry-mode-tab',
+        'data-mode': mode,
+        style: {
+          padding: '10px 18px',
+          backgroundColor: this.entryMode === mode ? 'rgba(59, 130, 246, 0.25)' : 'rgba(15, 23, 42, 0.5)',
+          color: this.entryMode === mode ? '#60a5fa' : '#94a3b8'
+        },
+        onClick: () => this.setEntryMode(mode)
+      }, label);
+      tabs.appendChild(tab);
+    });
+
+    return tabs;
+  }
+
+  setEntryMode(mode) {
+    this.entryMode = mode;
+
+    document.querySelectorAll('.entry-mode-tab').forEach(tab => {
+      const active = tab.getAttribute('data-mode') === mode;
+      tab.style.backgroundColor = active ? 'rgba(59, 130, 246, 0.25)' : 'rgba(15, 23, 42, 0.5)';
+      tab.style.color = active ? '#60a5fa' : '#94a3b8';
+    });
+
+    const formCard = document.getElementById('payment-form-card');
+    const importCard = document.getElementById('batch-import-card');
+    if (formCard) formCard.style.display = mode === 'manual' ? 'block' : 'none';
+    if (importCard) importCard.style.display = mode === 'import' ? 'block' : 'none';
+  }
+
+  renderImportPanel() {
+    const importCard = this.createElement('div', {
+      id: 'batch-import-card',
+      className: 'neo-card animated-item',
+      style: {
+        display: this.entryMode === 'import' ? 'block' : 'none',
+        padding: '30px',
+        position: 'relative',
+        overflow: 'hidden'
+      }
+    });
+
+    const importGlow = this.createElement('div', {
+      className: 'card-glow',
+      style: {
+        background: 'radial-gradient(circle at top right, rgba(139, 92, 246, 0.3), transparent 70%)'
+      }
+    });
+    importCard.appendChild(importGlow);
+
+    const importTitle = this.createElement('h2', {
+      style: {
+        fontSize: '20px',
+        fontWeight: '600',
+        marginTop: '0',
+        marginBottom: '10px',
+        background: 'linear-gradient(to right, #ffffff, #e0e7ff)',
+        backgroundClip: 'text',
+        WebkitBackgroundClip: 'text',
+        color: 'transparent',
+        WebkitTextFillColor: 'transparent'
+      }
+    }, 'Import Batch Items');
+    importCard.appendChild(importTitle);
+
+    const importHelp = this.createElement('p', {
+      style: {
+        color: '#94a3b8',
+        fontSize: '13px',
+        lineHeight: '1.6',
+        marginTop: '0',
+        marginBottom: '20px'
+      }
+    }, 'Upload a CSV or XLSX file with a header row. Columns: member (phone, username or member number), amount, type (TITHE, OFFERING, DONATION), special offering, description and date. Tithe category columns (e.g. "Welfare") split a tithe row. Rows are checked first; nothing is added until you confirm.');
+    importCard.appendChild(importHelp);
+
+    const labelStyle = {
+      display: 'block',
+      marginBottom: '10px',
+      color: '#94a3b8',
+      fontSize: '14px',
+      fontWeight: '500'
+    };
+
+    const fileGroup = this.createElement('div', { className: 'form-group' });
+    fileGroup.appendChild(this.createElement('label', { htmlFor: 'import-file', style: labelStyle }, 'Spreadsheet File'));
+    fileGroup.appendChild(this.createElement('input', {
+      type: 'file',
+      id: 'import-file',
+      className: 'futuristic-input',
+      accept: '.csv,.xlsx'
+    }));
+
+    const dateGroup = this.createElement('div', { className: 'form-group' });
+    dateGroup.appendChild(this.createElement('label', { htmlFor: 'import-payment-date', style: labelStyle }, 'Date for Rows Without One'));
+    dateGroup.appendChild(this.createElement('input', {
+      type: 'date',
+      id: 'import-payment-date',
+      className: 'futuristic-input',
+      value: this.formatDate(new Date())
+    }));
+
+    importCard.appendChild(this.renderFormRow([fileGroup, dateGroup]));
+
+    const importActions = this.createElement('div', {
+      style: {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '15px',
+        marginTop: '20px'
+      }
+    });
+
+    const previewButton = this.createElement('button', {
+      type: 'button',
+      id: 'import-preview-btn',
+      className: 'futuristic-button',
+      style: {
+        backgroundColor: 'rgba(139, 92, 246, 0.2)',
+        color: '#a78bfa',
+        padding: '12px 25px'
+      },
+      onClick: () => this.handleImportPreview()
+    }, '🔍 Check File');
+    importActions.appendChild(previewButton);
+
+    const addRowsButton = this.createElement('button', {
+      type: 'button',
+      id: 'import-add-btn',
+      className: 'futuristic-button',
+      style: {
+        display: 'none',
+        backgroundColor: 'rgba(3, 105, 161, 0.2)',
+        color: '#38bdf8',
+        padding: '12px 25px'
+      },
+      onClick: () => this.handleAddImportedRows()
+    }, 'Add Importable Rows to Batch');
+    importActions.appendChild(addRowsButton);
+
+    importCard.appendChild(importActions);
+
+    importCard.appendChild(this.createElement('div', {
+      id: 'import-preview-container',
+      style: { marginTop: '25px' }
+    }));
+
+    return importCard;
+  }
+
+  async handleImportPreview() {
+    const fileInput = document.getElementById('import-file');
+    const dateInput = document.getElementById('import-payment-date');
+    const previewButton = document.getElementById('import-preview-btn');
+    const file = fileInput && fileInput.files[0];
+
+    if (!file) {
+      this.showNotification('Choose a CSV or XLSX file to import.', 'error');
+      return;
+    }
+
+    if (previewButton) previewButton.disabled = true;
+    try {
+      const preview = await this.queueApiRequest(() =>
+        this.apiService.previewBatchImport(file, { paymentDate: dateInput ? dateInput.value : '' })
+      );
+      this.importPreview = preview;
+      this.updateImportPreview();
+
+      const { importableRows, rowsWithErrors } = preview.summary;
+      this.showNotification(
+        `${importableRows} of ${preview.summary.totalRows} rows can be imported${rowsWithErrors ? `; ${rowsWithErrors} have errors` : ''}.`,
+        rowsWithErrors ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      this.importPreview = null;
+      this.updateImportPreview();
+      this.showNotification(error.message || 'Failed to read the import file.', 'error');
+    } finally {
+      if (previewButton) previewButton.disabled = false;
+    }
+  }
+
+  updateImportPreview() {
+    const container = document.getElementById('import-preview-container');
+    const addRowsButton = document.getElementById('import-add-btn');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const preview = this.importPreview;
+    if (addRowsButton) {
+      addRowsButton.style.display = preview && preview.payments.length > 0 ? 'inline-block' : 'none';
+    }
+    if (!preview) return;
+
+    const { summary, columns } = preview;
+    const summaryBar = this.createElement('div', {
+      style: {
+        display: 'flex',
+        gap: '20px',
+        flexWrap: 'wrap',
+        marginBottom: '15px',
+        fontSize: '14px',
+        color: '#cbd5e1'
+      }
+    });
+    [
+      { text: `Rows: ${summary.totalRows}` },
+      { text: `Importable: ${summary.importableRows}`, color: '#10b981' },
+      { text: `With warnings: ${summary.rowsWithWarnings}`, color: '#f59e0b' },
+      { text: `With errors: ${summary.rowsWithErrors}`, color: '#ef4444' },
+      { text: `Total: ${this.formatCurrency(summary.totalAmount)}` }
+    ].forEach(({ text, color }) => {
+      summaryBar.appendChild(this.createElement('span', color ? { style: { color } } : {}, text));
+    });
+    container.appendChild(summaryBar);
+
+    if (columns.unrecognized.length > 0) {
+      container.appendChild(this.createElement('div', {
+        style: { color: '#f59e0b', fontSize: '13px', marginBottom: '15px' }
+      }, `Ignored columns: ${columns.unrecognized.join(', ')}`));
+    }
+
+    const statusColors = { VALID: '#10b981', WARNING: '#f59e0b', ERROR: '#ef4444' };
+    const cellStyle = { padding: '10px 12px', fontSize: '13px', verticalAlign: 'top' };
+    const headerStyle = { ...cellStyle, textAlign: 'left', color: '#94a3b8' };
+
+    const table = this.createElement('table', {
+      style: { width: '100%', borderCollapse: 'collapse' }
+    });
+    const headerRow = this.createElement('tr', { style: { borderBottom: '1px solid rgba(59, 130, 246, 0.2)' } });
+    ['Row', 'Member', 'Type', 'Amount', 'Status', 'Issues'].forEach(heading => {
+      headerRow.appendChild(this.createElement('th', { style: headerStyle }, heading));
+    });
+    const thead = this.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = this.createElement('tbody');
+    preview.rows.forEach(row => {
+      const issues = this.createElement('td', { style: cellStyle });
+      row.errors.forEach(message => issues.appendChild(this.createElement('div', { style: { color: '#ef4444' } }, message)));
+      row.warnings.forEach(message => issues.appendChild(this.createElement('div', { style: { color: '#f59e0b' } }, message)));
+
+      const type = row.specialOffering
+        ? `${this.getPaymentTypeDisplay('SPECIAL_OFFERING_CONTRIBUTION')}: ${row.specialOffering.name}`
+        : (row.paymentType ? this.getPaymentTypeDisplay(row.paymentType) : '-');
+
+      const tr = this.createElement('tr', { style: { borderBottom: '1px solid rgba(148, 163, 184, 0.1)' } });
+      tr.appendChild(this.createElement('td', { style: cellStyle }, String(row.row)));
+      tr.appendChild(this.createElement('td', { style: cellStyle }, row.member ? row.member.fullName : '-'));
+      tr.appendChild(this.createElement('td', { style: cellStyle }, type));
+      tr.appendChild(this.createElement('td', { style: { ...cellStyle, textAlign: 'right' } }, row.amount !== null && row.amount !== undefined ? this.formatCurrency(row.amount) : '-'));
+      tr.appendChild(this.createElement('td', { style: { ...cellStyle, color: statusColors[row.status], fontWeight: '600' } }, row.status));
+      tr.appendChild(issues);
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    const tableContainer = this.createElement('div', { style: { overflowX: 'auto', maxHeight: '500px', overflowY: 'auto' } });
+    tableContainer.appendChild(table);
+    container.appendChild(tableContainer);
+  }
+
+  handleAddImportedRows() {
+    if (!this.importPreview || this.importPreview.payments.length === 0) {
+      this.showNotification('There are no importable rows to add.', 'error');
+      return;
+    }
+
+    const imported = this.importPreview.payments.map(payment => this.cleanPaymentData({
+      ...payment,
+      paymentMethod: 'MANUAL',
+      isExpense: false,
+      paymentTypeDisplay: this.getPaymentTypeDisplay(payment.paymentType)
+    }));
+
+    this.paymentBatch.push(...imported);
+    this.saveBatchState();
+    this.updateBatchView();
+
+    this.importPreview = null;
+    this.updateImportPreview();
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) fileInput.value = '';
+
+    this.showNotification(`Added ${imported.length} imported payments to the batch. Review them, then save the batch.`, 'success');
+  }
+
   renderSpecialOfferingModal() {
     const modal = this.createElement('div', {
       id: 'special-offering-modal',
@@ -3823,6 +4141,7 @@ export class AdminAddPaymentView extends BaseComponent {
 
       actionsCard.appendChild(checkStatusBtn);
       actionsCard.appendChild(completeBtn);
+      actionsCard.appendChild(this.renderDepositSlipButton(batchData));
 
     } else if (batchData.status === 'COMPLETED') {
       const viewReceiptsBtn = this.createElement('button', {
@@ -3838,11 +4157,33 @@ export class AdminAddPaymentView extends BaseComponent {
       }, '📄 View Receipts');
 
       actionsCard.appendChild(viewReceiptsBtn);
+      actionsCard.appendChild(this.renderDepositSlipButton(batchData));
     }
 
     content.appendChild(actionsCard);
   }
 
+  renderDepositSlipButton(batchData) {
+    return this.createElement('button', {
+      className: 'futuristic-button',
+      style: {
+        backgroundColor: 'rgba(139, 92, 246, 0.2)',
+        color: '#a78bfa'
+      },
+      onClick: () => this.handleDownloadDepositSlip(batchData)
+    }, '🧾 Deposit Slip');
+  }
+
+  async handleDownloadDepositSlip(batchData) {
+    try {
+      await this.apiService.downloadDepositSlip(batchData.id, `deposit-slip-${batchData.batchReference}.pdf`);
+      this.showNotification('Deposit slip downloaded.', 'success');
+    } catch (error) {
+      console.error('Error downloading deposit slip:', error);
+      this.showNotification(error.message || 'Failed to download deposit slip.', 'error');
+    }
+  }
+
   async handleViewBatchDetails(batchId) {
     try {
       // Show loading state
@@ -1692,7 +1692,10 @@ export class AdminExpensesView {
         }
         
         try {
-            const response = await this.apiService.uploadFile('/payment/manual', expenseFormData); // Assuming this endpoint handles file uploads
+            // Assuming this endpoint handles file uploads
+            const response = await this.apiService.uploadFile('/payment/manual', expenseFormData, {
+              idempotencyKey: this.apiService.generateIdempotencyKey()
+            });
             
             if (response && response.payment) { // Check for successful payment object in response
                 this.success = 'Expense added successfully!';
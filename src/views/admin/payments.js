@@ -23,6 +23,7 @@ export class AdminPaymentsView extends BaseComponent {
     this.allPaymentsMasterList = [];  
     this.payments = []; 
     this.specialOfferings = [];
+    this.titheCategories = [];
 
     this.currentPage = 1;
     this.totalPages = 1;
@@ -82,6 +83,7 @@ export class AdminPaymentsView extends BaseComponent {
     console.log('AdminPaymentsView: Initializing with data fetches.');
     this.fetchAllPaymentsData();
     this.fetchSpecialOfferings(); 
+    this.fetchTitheCategories();
   }
   
   handleResize() {
@@ -269,6 +271,9 @@ export class AdminPaymentsView extends BaseComponent {
       <option value="PENDING">Pending</option>
       <option value="FAILED">Failed</option>
       <option value="CANCELLED">Cancelled</option>
+      <option value="REFUNDED">Refunded</option>
+      <option value="REVERSED">Reversed</option>
+      <option value="EXPIRED">Expired</option>
     `;
     statusSelect.value = this.filters.status;
     
@@ -642,8 +647,9 @@ export class AdminPaymentsView extends BaseComponent {
         if (p.paymentType !== 'TITHE') return false;
         if (!p.titheDistributionSDA || typeof p.titheDistributionSDA !== 'object') return false;
         
-        // Check if the specific category is true
-        return p.titheDistributionSDA[sourceFilters.titheCategory] === true;
+        // Older payments store true, newer ones store the amount designated
+        const designation = p.titheDistributionSDA[sourceFilters.titheCategory];
+        return designation === true || (typeof designation === 'number' && designation > 0);
       });
     }
     
@@ -655,14 +661,20 @@ export class AdminPaymentsView extends BaseComponent {
   }
 
   getTitheFieldDisplayName(fieldKey) {
-    const titheFields = {
-      'campMeetingExpenses': 'Camp Meeting Expenses',
-      'welfare': 'Welfare', 
-      'thanksgiving': 'Thanksgiving',
-      'stationFund': 'Station Fund',
-      'mediaMinistry': 'Media Ministry'
-    };
-    return titheFields[fieldKey] || fieldKey;
+    const category = this.titheCategories.find(cat => cat.code === fieldKey);
+    return category ? category.displayName : fieldKey;
+  }
+
+  // Tithe designations made on a payment as [{ key, label, amount }] (amount is null for older checkbox designations)
+  getTitheDesignations(payment) {
+    if (!payment.titheDistributionSDA || typeof payment.titheDistributionSDA !== 'object') return [];
+    return Object.entries(payment.titheDistributionSDA)
+      .filter(([, value]) => value === true || (typeof value === 'number' && value > 0))
+      .map(([key, value]) => ({
+        key,
+        label: this.getTitheFieldDisplayName(key),
+        amount: typeof value === 'number' ? value : null
+      }));
   }
 
   applyFiltersAndPagination(filterSetToUse) {
@@ -942,6 +954,17 @@ export class AdminPaymentsView extends BaseComponent {
     this.populateExportFilterSpecialOfferings();  
   }
   
+  async fetchTitheCategories() {
+    try {
+      // Include retired categories so older payments still show their labels
+      const response = await this.queueApiRequest(() => this.apiService.getTitheCategories(true));
+      this.titheCategories = (response && Array.isArray(response.categories)) ? response.categories : [];
+    } catch (error) {
+      console.error('AdminPaymentsView: Error fetching tithe categories:', error);
+      this.titheCategories = [];
+    }
+  }
+  
   populateExportFilterSpecialOfferings() {
     const modal = document.getElementById('export-filter-modal');
     if (!modal) return;
@@ -1042,6 +1065,9 @@ export class AdminPaymentsView extends BaseComponent {
     
     const amount = payment.amount !== null && payment.amount !== undefined ? parseFloat(payment.amount) : 0;
     html += `<div class="neo-card detail-section"><h4>💰 Amount Information</h4><div><span>Amount:</span><span style="color:${payment.isExpense ? '#ef4444':'#10b981'}; font-weight:bold;">${payment.isExpense ? '-' : ''}KES ${amount.toLocaleString('en-US',{minimumFractionDigits:2, maximumFractionDigits:2})}</span></div>`;
+    if (payment.currency && payment.currency !== 'KES' && payment.originalAmount !== null && payment.originalAmount !== undefined) {
+        html += `<div><span>Amount Given:</span><span>${this.escapeHtml(payment.currency)} ${parseFloat(payment.originalAmount).toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2})}</span></div><div><span>Exchange Rate:</span><span>1 ${this.escapeHtml(payment.currency)} = KES ${parseFloat(payment.exchangeRate)}</span></div>`;
+    }
     if (payment.platformFee && parseFloat(payment.platformFee) > 0) {
         html += `<div><span>Platform Fee:</span><span>KES ${parseFloat(payment.platformFee).toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2})}</span></div>`;
     }
@@ -1059,20 +1085,12 @@ export class AdminPaymentsView extends BaseComponent {
     // Tithe distribution details
     if (payment.paymentType === 'TITHE' && payment.titheDistributionSDA) {
         html += `<div class="neo-card detail-section tithe-detail"><h4>⛪ Tithe Distribution</h4>`;
-        const titheCategories = [
-            { key: 'campMeetingExpenses', label: 'Camp Meeting Expenses' },
-            { key: 'welfare', label: 'Welfare' },
-            { key: 'thanksgiving', label: 'Thanksgiving' },
-            { key: 'stationFund', label: 'Station Fund' },
-            { key: 'mediaMinistry', label: 'Media Ministry' }
-        ];
+        const designations = this.getTitheDesignations(payment);
         
-        let hasSelections = false;
-        titheCategories.forEach(cat => {
-            if (payment.titheDistributionSDA[cat.key] === true) {
-                html += `<div><span>${cat.label}:</span><span style="color:#10b981;">✓ Selected</span></div>`;
-                hasSelections = true;
-            }
+        const hasSelections = designations.length > 0;
+        designations.forEach(cat => {
+            const value = cat.amount !== null ? `KES ${cat.amount.toLocaleString()}` : '✓ Selected';
+            html += `<div><span>${this.escapeHtml(cat.label)}:</span><span style="color:#10b981;">${value}</span></div>`;
         });
         
         if (!hasSelections) {
@@ -1134,20 +1152,12 @@ export class AdminPaymentsView extends BaseComponent {
         titheDistributionHtml = `
           <div class="section"><h2>Tithe Designations</h2><div class="details">
         `;
-        const titheCategories = [
-            { key: 'campMeetingExpenses', label: 'Camp Meeting Expenses' },
-            { key: 'welfare', label: 'Welfare' },
-            { key: 'thanksgiving', label: 'Thanksgiving' },
-            { key: 'stationFund', label: 'Station Fund' },
-            { key: 'mediaMinistry', label: 'Media Ministry' }
-        ];
+        const designations = this.getTitheDesignations(payment);
         
-        let hasSelections = false;
-        titheCategories.forEach(cat => {
-            if (payment.titheDistributionSDA[cat.key] === true) {
-                titheDistributionHtml += `<div><span>${cat.label}:</span><span>✓ Yes</span></div>`;
-                hasSelections = true;
-            }
+        const hasSelections = designations.length > 0;
+        designations.forEach(cat => {
+            const value = cat.amount !== null ? `KES ${cat.amount.toLocaleString()}` : '✓ Yes';
+            titheDistributionHtml += `<div><span>${this.escapeHtml(cat.label)}:</span><span>${value}</span></div>`;
         });
         
         if (!hasSelections) {
@@ -1192,6 +1202,7 @@ export class AdminPaymentsView extends BaseComponent {
         <div><span>Type:</span><span>${this.escapeHtml(paymentTypeName)}</span></div>
         <div><span>Method:</span><span>${this.escapeHtml(payment.paymentMethod)}</span></div>
         ${payment.description ? `<div><span>Description:</span><span style="white-space:pre-wrap; text-align:left;">${this.escapeHtml(payment.description)}</span></div>` : ''}
+        ${payment.currency && payment.currency !== 'KES' && payment.originalAmount !== null && payment.originalAmount !== undefined ? `<div><span>Amount Given:</span><span>${this.escapeHtml(payment.currency)} ${parseFloat(payment.originalAmount).toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2})} (1 ${this.escapeHtml(payment.currency)} = KES ${parseFloat(payment.exchangeRate)})</span></div>` : ''}
         ${payment.platformFee && parseFloat(payment.platformFee) > 0 ? `<div><span>Platform Fee:</span><span>KES ${parseFloat(payment.platformFee).toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2})}</span></div>` : ''}
         <div><span>Amount:</span><span class="total">${payment.isExpense ? '-' : ''}KES ${amount.toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2})}</span></div>
       </div></div>
@@ -1816,15 +1827,10 @@ export class AdminPaymentsView extends BaseComponent {
     
     const titheCategorySelect = modalContent.querySelector('#export-tithe-category');
     if(titheCategorySelect) {
-        const titheCategories = [
-            { value: '', label: 'All Tithe Categories' },
-            { value: 'campMeetingExpenses', label: 'Camp Meeting Expenses' },
-            { value: 'welfare', label: 'Welfare' },
-            { value: 'thanksgiving', label: 'Thanksgiving' },
-            { value: 'stationFund', label: 'Station Fund' },
-            { value: 'mediaMinistry', label: 'Media Ministry' }
-        ];
-        titheCategories.forEach(cat => titheCategorySelect.add(new Option(cat.label, cat.value)));
+        titheCategorySelect.add(new Option('All Tithe Categories', ''));
+        this.titheCategories.forEach(cat => titheCategorySelect.add(new Option(
+            cat.isActive ? cat.displayName : `${cat.displayName} (retired)`, cat.code
+        )));
     }
     
     modalBackdrop.appendChild(modalContent);
@@ -2027,6 +2033,7 @@ export class AdminPaymentsView extends BaseComponent {
     this.payments = [];
     this.specialOfferings = [];
     this.specialOfferingsCache = null;
+    this.titheCategories = [];
     
     this.smsState.clear();
     this.batchSmsState = { sending: false, queue: [], results: [], progress: 0, total: 0 };
@@ -0,0 +1,330 @@
+// src/views/admin/trash.js - Soft-deleted records: restore, or request a permanent purge
+export class AdminTrashView {
+  constructor() {
+    this.apiService = window.apiService;
+    this.isLoading = true;
+    this.error = null;
+    this.success = null;
+
+    this.types = [
+      { key: 'users', label: 'Users', icon: '👥' },
+      { key: 'payments', label: 'Payments', icon: '💰' },
+      { key: 'receipts', label: 'Receipts', icon: '🧾' },
+      { key: 'specialOfferings', label: 'Special Offerings', icon: '🙏' },
+      { key: 'batchPayments', label: 'Batches', icon: '📦' }
+    ];
+    this.activeType = 'users';
+    this.counts = {};
+    this.items = [];
+    this.currentPage = 1;
+    this.totalPages = 1;
+
+    this.colors = {
+      primary: '#3b82f6',
+      success: '#10b981',
+      danger: '#ef4444',
+      dark: '#0f172a',
+      grayDark: '#1e293b',
+      grayLight: '#94a3b8',
+      white: '#f1f5f9'
+    };
+
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('admin-trash-styles')) return;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = 'admin-trash-styles';
+    styleElement.innerHTML = `
+      .admin-trash-container {
+        min-height: 100vh;
+        padding: 30px 20px;
+        background: ${this.colors.dark};
+        color: ${this.colors.white};
+        font-family: 'Inter', sans-serif;
+      }
+      .trash-content { max-width: 1200px; margin: 0 auto; }
+      .trash-back { color: ${this.colors.grayLight}; text-decoration: none; font-size: 14px; }
+      .trash-title { font-size: 28px; margin: 20px 0 8px; }
+      .trash-subtitle { color: ${this.colors.grayLight}; font-size: 14px; margin: 0 0 24px; }
+      .trash-tabs { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 20px; }
+      .trash-tab {
+        padding: 8px 14px; border-radius: 8px; cursor: pointer; font-size: 14px;
+        background: rgba(30, 41, 59, 0.8); color: ${this.colors.white};
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+      .trash-tab.active { background: ${this.colors.primary}; border-color: ${this.colors.primary}; }
+      .trash-table { width: 100%; border-collapse: collapse; background: rgba(30, 41, 59, 0.6); border-radius: 12px; overflow: hidden; }
+      .trash-table th, .trash-table td { padding: 12px 14px; text-align: left; font-size: 14px; border-bottom: 1px solid rgba(148, 163, 184, 0.1); }
+      .trash-table th { color: ${this.colors.grayLight}; font-weight: 600; font-size: 12px; text-transform: uppercase; }
+      .trash-actions { display: flex; gap: 8px; }
+      .trash-btn { padding: 6px 12px; border-radius: 6px; border: none; cursor: pointer; font-size: 13px; color: #fff; }
+      .trash-btn-restore { background: ${this.colors.success}; }
+      .trash-btn-purge { background: ${this.colors.danger}; }
+      .trash-btn:disabled { opacity: 0.5; cursor: not-allowed; }
+      .trash-alert { padding: 12px 16px; border-radius: 8px; margin-bottom: 16px; font-size: 14px; }
+      .trash-alert-danger { background: rgba(239, 68, 68, 0.15); color: #fca5a5; }
+      .trash-alert-success { background: rgba(16, 185, 129, 0.15); color: #6ee7b7; }
+      .trash-empty { padding: 40px; text-align: center; color: ${this.colors.grayLight}; }
+      .trash-pagination { display: flex; justify-content: center; align-items: center; gap: 12px; margin-top: 16px; font-size: 14px; }
+    `;
+    document.head.appendChild(styleElement);
+  }
+
+  async render() {
+    const container = document.createElement('div');
+    container.className = 'admin-trash-container';
+
+    const content = document.createElement('div');
+    content.className = 'trash-content';
+
+    const backLink = document.createElement('a');
+    backLink.href = '/admin/dashboard';
+    backLink.className = 'trash-back';
+    backLink.textContent = '← Dashboard';
+    content.appendChild(backLink);
+
+    const title = document.createElement('h1');
+    title.className = 'trash-title';
+    title.textContent = '🗑️ Trash';
+    content.appendChild(title);
+
+    const subtitle = document.createElement('p');
+    subtitle.className = 'trash-subtitle';
+    subtitle.textContent = 'Deleted records are kept here until restored. Permanent deletion needs approval from other admins.';
+    content.appendChild(subtitle);
+
+    if (this.error) {
+      const errorBox = document.createElement('div');
+      errorBox.className = 'trash-alert trash-alert-danger';
+      errorBox.textContent = this.error;
+      content.appendChild(errorBox);
+    }
+    if (this.success) {
+      const successBox = document.createElement('div');
+      successBox.className = 'trash-alert trash-alert-success';
+      successBox.textContent = this.success;
+      content.appendChild(successBox);
+    }
+
+    content.appendChild(this.renderTabs());
+
+    if (this.isLoading) {
+      const loading = document.createElement('div');
+      loading.className = 'trash-empty';
+      loading.textContent = 'Loading deleted records...';
+      content.appendChild(loading);
+      this.fetchTrash();
+    } else {
+      content.appendChild(this.renderTable());
+      if (this.totalPages > 1) {
+        content.appendChild(this.renderPagination());
+      }
+    }
+
+    container.appendChild(content);
+    return container;
+  }
+
+  renderTabs() {
+    const tabs = document.createElement('div');
+    tabs.className = 'trash-tabs';
+
+    this.types.forEach(type => {
+      const tab = document.createElement('button');
+      tab.className = `trash-tab${type.key === this.activeType ? ' active' : ''}`;
+      const count = this.counts[type.key];
+      tab.textContent = `${type.icon} ${type.label}${count !== undefined ? ` (${count})` : ''}`;
+      tab.addEventListener('click', () => {
+        if (type.key === this.activeType) return;
+        this.activeType = type.key;
+        this.currentPage = 1;
+        this.isLoading = true;
+        this.updateView();
+      });
+      tabs.appendChild(tab);
+    });
+
+    return tabs;
+  }
+
+  // Columns describing a deleted row of the active type
+  describeItem(item) {
+    const member = item.user ? (item.user.fullName || item.user.username) : '';
+    switch (this.activeType) {
+      case 'users':
+        return [item.fullName, item.username, item.phone];
+      case 'payments':
+        return [`${item.paymentType} · ${this.formatAmount(item.amount)}`, member, `${item.status} · ${this.formatDate(item.paymentDate)}`];
+      case 'receipts':
+        return [item.receiptNumber, member, `Payment #${item.paymentId}`];
+      case 'specialOfferings':
+        return [item.name, item.offeringCode, this.formatDate(item.startDate)];
+      case 'batchPayments':
+        return [item.batchReference, `${item.totalCount} item(s) · ${this.formatAmount(item.totalAmount)}`, item.status];
+      default:
+        return ['', '', ''];
+    }
+  }
+
+  renderTable() {
+    if (this.items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'trash-empty';
+      empty.textContent = 'Nothing in the trash.';
+      return empty;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'trash-table';
+
+    const headerRow = document.createElement('tr');
+    ['Record', 'Details', 'Info', 'Deleted', 'By', 'Reason', 'Actions'].forEach(heading => {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    this.items.forEach(item => {
+      const row = document.createElement('tr');
+      const deletedBy = item.deletedBy ? (item.deletedBy.fullName || item.deletedBy.username) : '—';
+      [...this.describeItem(item), this.formatDate(item.deletedAt), deletedBy, item.deleteReason || '—'].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value === null || value === undefined ? '' : value;
+        row.appendChild(td);
+      });
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'trash-actions';
+
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'trash-btn trash-btn-restore';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => this.handleRestore(item.id, restoreButton));
+
+      const purgeButton = document.createElement('button');
+      purgeButton.className = 'trash-btn trash-btn-purge';
+      purgeButton.textContent = 'Delete Forever';
+      purgeButton.addEventListener('click', () => this.handlePurge(item.id, purgeButton));
+
+      actions.appendChild(restoreButton);
+      actions.appendChild(purgeButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    return table;
+  }
+
+  renderPagination() {
+    const pagination = document.createElement('div');
+    pagination.className = 'trash-pagination';
+
+    const previous = document.createElement('button');
+    previous.className = 'trash-tab';
+    previous.textContent = '← Previous';
+    previous.disabled = this.currentPage <= 1;
+    previous.addEventListener('click', () => this.goToPage(this.currentPage - 1));
+
+    const pageInfo = document.createElement('span');
+    pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+
+    const next = document.createElement('button');
+    next.className = 'trash-tab';
+    next.textContent = 'Next →';
+    next.disabled = this.currentPage >= this.totalPages;
+    next.addEventListener('click', () => this.goToPage(this.currentPage + 1));
+
+    pagination.appendChild(previous);
+    pagination.appendChild(pageInfo);
+    pagination.appendChild(next);
+    return pagination;
+  }
+
+  goToPage(page) {
+    this.currentPage = page;
+    this.isLoading = true;
+    this.updateView();
+  }
+
+  async fetchTrash() {
+    try {
+      const [summary, listing] = await Promise.all([
+        this.apiService.getTrash(),
+        this.apiService.getTrash({ type: this.activeType, page: this.currentPage, limit: 20 })
+      ]);
+      this.counts = (summary && summary.counts) || {};
+      this.items = (listing && listing.items) || [];
+      this.totalPages = (listing && listing.totalPages) || 1;
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      this.error = error.message || 'Failed to load the trash.';
+      this.items = [];
+    }
+    this.isLoading = false;
+    this.updateView();
+  }
+
+  async handleRestore(id, button) {
+    button.disabled = true;
+    try {
+      await this.apiService.restoreTrashItem(this.activeType, id);
+      this.success = 'Record restored.';
+      this.error = null;
+    } catch (error) {
+      console.error('Error restoring record:', error);
+      this.error = error.message || 'Failed to restore record.';
+      this.success = null;
+    }
+    this.isLoading = true;
+    this.updateView();
+  }
+
+  async handlePurge(id, button) {
+    if (!confirm('Permanently delete this record? Other admins must approve before it is removed, and it cannot be restored afterwards.')) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      const response = await this.apiService.purgeTrashItem(this.activeType, id);
+      this.success = response && response.adminAction
+        ? 'Permanent deletion requested. It will be carried out once other admins approve it.'
+        : 'Record permanently deleted.';
+      this.error = null;
+    } catch (error) {
+      console.error('Error purging record:', error);
+      this.error = error.message || 'Failed to delete record.';
+      this.success = null;
+    }
+    this.isLoading = true;
+    this.updateView();
+  }
+
+  formatAmount(amount) {
+    return `KES ${parseFloat(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-KE', { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+  }
+
+  async updateView() {
+    const appContainer = document.getElementById('app');
+    if (appContainer) {
+      appContainer.innerHTML = '';
+      const content = await this.render();
+      if (content) {
+        appContainer.appendChild(content);
+      }
+    }
+  }
+}
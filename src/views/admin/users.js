@@ -943,7 +943,8 @@ export class AdminUsersView {
         { icon: '📊', text: 'Dashboard', link: '/admin/dashboard' },
         { icon: '💰', text: 'Payments', link: '/admin/payments' },
         { icon: '📉', text: 'Expenses', link: '/admin/expenses' },
-        { icon: '🙏', text: 'Offerings', link: '/admin/offerings' }
+        { icon: '🙏', text: 'Offerings', link: '/admin/offerings' },
+        { icon: '🗑️', text: 'Trash', link: '/admin/trash' }
       ];
       
       navItems.forEach(item => {
@@ -1805,6 +1806,7 @@ export class AdminUsersView {
     userCardBody.appendChild(createDetailRow('Username', user.username));
     userCardBody.appendChild(createDetailRow('Phone', user.phone));
     userCardBody.appendChild(createDetailRow('Email', user.email));
+    userCardBody.appendChild(createDetailRow('Member Number', user.memberNumber));
     userCardBody.appendChild(createDetailRow('Last Login', user.lastLogin ? new Date(user.lastLogin).toLocaleString() : null));
     userCardBody.appendChild(createDetailRow('Created', user.createdAt ? new Date(user.createdAt).toLocaleString() : null));
     userCardBody.appendChild(createDetailRow('Updated', user.updatedAt ? new Date(user.updatedAt).toLocaleString() : null));
@@ -2884,6 +2886,11 @@ export class AdminUsersView {
     const emailGroup = this.createFormGroup('Email', 'email', 'email', '✉️');
     const emailInput = emailGroup.querySelector('input');
     emailInput.placeholder = 'Enter email address';
+
+    // Member Number
+    const memberNumberGroup = this.createFormGroup('Member Number', 'memberNumber', 'text', '🔢');
+    const memberNumberInput = memberNumberGroup.querySelector('input');
+    memberNumberInput.placeholder = 'Enter church member number (optional)';
     
     // Password
     const passwordGroup = this.createFormGroup('Password', 'password', 'password', '🔒');
@@ -3073,6 +3080,7 @@ export class AdminUsersView {
     form.appendChild(fullNameGroup);
     form.appendChild(phoneGroup);
     form.appendChild(emailGroup);
+    form.appendChild(memberNumberGroup);
     form.appendChild(passwordGroup);
     form.appendChild(confirmPasswordGroup);
     form.appendChild(passwordRequirements);
@@ -3165,6 +3173,11 @@ export class AdminUsersView {
     const emailGroup = this.createFormGroup('Email', 'email', 'email', '✉️');
     const emailInput = emailGroup.querySelector('input');
     emailInput.value = this.editingUser.email || '';
+
+    // Member Number
+    const memberNumberGroup = this.createFormGroup('Member Number', 'memberNumber', 'text', '🔢');
+    const memberNumberInput = memberNumberGroup.querySelector('input');
+    memberNumberInput.value = this.editingUser.memberNumber || '';
     
     // Is Admin
     const adminGroup = document.createElement('div');
@@ -3323,6 +3336,7 @@ export class AdminUsersView {
     form.appendChild(fullNameGroup);
     form.appendChild(phoneGroup);
     form.appendChild(emailGroup);
+    form.appendChild(memberNumberGroup);
     form.appendChild(adminGroup);
     form.appendChild(buttonGroup);
     
@@ -3613,6 +3627,7 @@ export class AdminUsersView {
       fullName: formData.get('fullName'),
       phone: formData.get('phone'),
       email: formData.get('email') || null,
+      memberNumber: formData.get('memberNumber') || null,
       isAdmin: isAdmin
     };
     
@@ -3674,6 +3689,7 @@ export class AdminUsersView {
       fullName: formData.get('fullName'),
       phone: formData.get('phone'),
       email: formData.get('email') || null,
+      memberNumber: formData.get('memberNumber') || null,
       isAdmin: isAdmin
     };
     
@@ -3806,7 +3822,7 @@ export class AdminUsersView {
     warningIcon.style.marginBottom = '20px';
     
     const confirmMessage = document.createElement('p');
-    confirmMessage.textContent = 'Are you sure you want to delete this user? This action cannot be undone.';
+    confirmMessage.textContent = 'Are you sure you want to delete this user? They will be moved to the trash, where an admin can restore them.';
     confirmMessage.style.textAlign = 'center';
     confirmMessage.style.marginBottom = '24px';
     
@@ -64,7 +64,11 @@ export class AdminWalletsView {
         const methodsToBind = [
             'refreshData', 'openWithdrawalModal', 'openWalletDetails', 'openApprovalModal',
             'closeWithdrawalModal', 'closeWalletDetailsModal', 'closeApprovalModal',
+            'openTransferModal', 'closeTransferModal', 'handleTransferSubmit',
+            'openRemittanceModal', 'closeRemittanceModal', 'handleRemittanceCalculate', 'handleRemittanceSubmit',
+            'openAuthenticatorModal', 'closeAuthenticatorModal',
             'handleWithdrawalSubmit', 'handleApprovalSubmit', 'toggleMethodFields',
+            'handleRejectWithdrawal', 'handleCancelWithdrawalRequest',
             'viewWithdrawalDetails', 'printWalletReport', 'downloadWalletData'
         ];
         
@@ -326,6 +330,15 @@ export class AdminWalletsView {
                         <button class="btn btn-secondary" id="refresh-btn">
                             <span>🔄</span> Refresh
                         </button>
+                        <button class="btn btn-secondary" id="authenticator-btn">
+                            <span>🔐</span> Authenticator
+                        </button>
+                        <button class="btn btn-secondary" id="transfer-btn">
+                            <span>🔁</span> Transfer
+                        </button>
+                        <button class="btn btn-secondary" id="remittance-btn">
+                            <span>🏛️</span> Remit to Conference
+                        </button>
                         <button class="btn btn-primary btn-withdraw" id="withdrawal-btn">
                             <span>💸</span> Request Withdrawal
                         </button>
@@ -476,14 +489,29 @@ export class AdminWalletsView {
     attachHeaderEventListeners(container) {
         const refreshBtn = container.querySelector('#refresh-btn');
         const withdrawalBtn = container.querySelector('#withdrawal-btn');
+        const authenticatorBtn = container.querySelector('#authenticator-btn');
+        const transferBtn = container.querySelector('#transfer-btn');
+        const remittanceBtn = container.querySelector('#remittance-btn');
         
         if (refreshBtn) {
             refreshBtn.addEventListener('click', this.refreshData);
         }
+
+        if (authenticatorBtn) {
+            authenticatorBtn.addEventListener('click', this.openAuthenticatorModal);
+        }
         
         if (withdrawalBtn) {
             withdrawalBtn.addEventListener('click', this.openWithdrawalModal);
         }
+
+        if (transferBtn) {
+            transferBtn.addEventListener('click', this.openTransferModal);
+        }
+
+        if (remittanceBtn) {
+            remittanceBtn.addEventListener('click', this.openRemittanceModal);
+        }
     }
 
     attachWalletCardListeners(container) {
@@ -720,7 +748,7 @@ export class AdminWalletsView {
                 ${this.withdrawalRequests.slice(0, 10).map(withdrawal => `
                     <div class="table-row">
                         <div data-label="Reference">${withdrawal.withdrawalReference}</div>
-                        <div data-label="Wallet">${this.formatWalletName(withdrawal.wallet)}</div>
+                        <div data-label="Wallet">${this.formatWalletName(withdrawal.wallet)}${withdrawal.requestType === 'TRANSFER' && withdrawal.destinationWallet ? ` → ${this.formatWalletName(withdrawal.destinationWallet)}` : ''}</div>
                         <div data-label="Amount">KES ${this.formatCurrency(withdrawal.amount)}</div>
                         <div data-label="Purpose">${this.escapeHtml(withdrawal.purpose)}</div>
                         <div data-label="Status">
@@ -746,6 +774,22 @@ export class AdminWalletsView {
         this.showWithdrawalModal();
     }
 
+    openTransferModal() {
+        console.log('🔁 Opening transfer modal');
+        if (this.activeModals.has('transfer')) return;
+        
+        this.activeModals.add('transfer');
+        this.showTransferModal();
+    }
+
+    openRemittanceModal() {
+        console.log('🏛️ Opening remittance modal');
+        if (this.activeModals.has('remittance')) return;
+        
+        this.activeModals.add('remittance');
+        this.showRemittanceModal();
+    }
+
     openApprovalModal(withdrawalId) {
         console.log('✅ Opening approval modal for withdrawal:', withdrawalId);
         if (this.activeModals.has('approval')) return;
@@ -933,6 +977,181 @@ export class AdminWalletsView {
         document.addEventListener('keydown', handleEscape);
     }
 
+    showRemittanceModal() {
+        const today = new Date();
+        const firstOfLastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+        const lastOfLastMonth = new Date(today.getFullYear(), today.getMonth(), 0);
+        const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+        const modalHtml = `
+            <div class="modal-overlay" id="remittanceModal">
+                <div class="modal">
+                    <div class="modal-header">
+                        <h2>Conference Remittance</h2>
+                        <button class="modal-close" id="close-remittance-modal">&times;</button>
+                    </div>
+                    <div class="modal-content">
+                        <form id="remittanceForm">
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label>Period Start *</label>
+                                    <input type="date" name="startDate" value="${toInputDate(firstOfLastMonth)}" required>
+                                </div>
+                                
+                                <div class="form-group">
+                                    <label>Period End *</label>
+                                    <input type="date" name="endDate" value="${toInputDate(lastOfLastMonth)}" required>
+                                </div>
+                                
+                                <div class="form-group form-group-full">
+                                    <button type="button" class="btn btn-secondary" id="calculate-remittance">Calculate Shares</button>
+                                </div>
+                                
+                                <div class="form-group form-group-full" id="remittance-preview"></div>
+                                
+                                <div class="form-group">
+                                    <label>Conference Account</label>
+                                    <input type="text" name="destinationAccount" placeholder="Defaults to configured account" maxlength="50">
+                                </div>
+                                
+                                <div class="form-group">
+                                    <label>Notes</label>
+                                    <input type="text" name="notes" placeholder="Optional" maxlength="500">
+                                </div>
+                                
+                                <div class="form-group form-group-full">
+                                    <div class="info-box">
+                                        <div class="info-icon">ℹ️</div>
+                                        <div class="info-text">
+                                            <strong>Approval Required</strong><br>
+                                            A withdrawal request is raised for each share and follows the normal approval rules. The period is marked remitted once they complete.
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" id="cancel-remittance">Cancel</button>
+                                <button type="submit" class="btn btn-primary" id="submit-remittance" disabled>Create Remittance</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        const modal = document.getElementById('remittanceModal');
+        modal.style.display = 'flex';
+
+        modal.querySelector('#close-remittance-modal')?.addEventListener('click', this.closeRemittanceModal);
+        modal.querySelector('#cancel-remittance')?.addEventListener('click', this.closeRemittanceModal);
+        modal.querySelector('#calculate-remittance')?.addEventListener('click', this.handleRemittanceCalculate);
+        modal.querySelector('#remittanceForm')?.addEventListener('submit', this.handleRemittanceSubmit);
+        modal.querySelectorAll('input[type="date"]').forEach(input => {
+            input.addEventListener('change', () => {
+                modal.querySelector('#submit-remittance').disabled = true;
+                modal.querySelector('#remittance-preview').innerHTML = '';
+            });
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeRemittanceModal();
+            }
+        });
+        
+        requestAnimationFrame(() => {
+            const modalElement = modal.querySelector('.modal');
+            if (modalElement) {
+                modalElement.classList.add('show');
+            }
+        });
+    }
+
+    showTransferModal() {
+        const modalHtml = `
+            <div class="modal-overlay" id="transferModal">
+                <div class="modal">
+                    <div class="modal-header">
+                        <h2>Transfer Between Wallets</h2>
+                        <button class="modal-close" id="close-transfer-modal">&times;</button>
+                    </div>
+                    <div class="modal-content">
+                        <form id="transferForm">
+                            <div class="form-grid">
+                                <div class="form-group form-group-full">
+                                    <label>From Wallet *</label>
+                                    <select name="sourceWalletId" required>
+                                        <option value="">Select wallet to transfer from</option>
+                                        ${this.renderWalletOptions()}
+                                    </select>
+                                </div>
+
+                                <div class="form-group form-group-full">
+                                    <label>To Wallet *</label>
+                                    <select name="destinationWalletId" required>
+                                        <option value="">Select wallet to transfer to</option>
+                                        ${this.renderWalletOptions(true)}
+                                    </select>
+                                </div>
+                                
+                                <div class="form-group">
+                                    <label>Amount (KES) *</label>
+                                    <input type="number" name="amount" step="0.01" min="0.01" placeholder="0.00" required>
+                                </div>
+                                
+                                <div class="form-group">
+                                    <label>Purpose *</label>
+                                    <input type="text" name="purpose" placeholder="e.g. Station fund allocation" required maxlength="100">
+                                </div>
+                                
+                                <div class="form-group form-group-full">
+                                    <label>Description</label>
+                                    <textarea name="description" rows="3" placeholder="Optional details for approvers..." maxlength="500"></textarea>
+                                </div>
+                                
+                                <div class="form-group form-group-full">
+                                    <div class="info-box">
+                                        <div class="info-icon">ℹ️</div>
+                                        <div class="info-text">
+                                            <strong>Approval Required</strong><br>
+                                            Transfers follow the source wallet's withdrawal approval rules. Funds move only once the request is fully approved.
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" id="cancel-transfer">Cancel</button>
+                                <button type="submit" class="btn btn-primary" id="submit-transfer">Submit Transfer Request</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        const modal = document.getElementById('transferModal');
+        modal.style.display = 'flex';
+
+        modal.querySelector('#close-transfer-modal')?.addEventListener('click', this.closeTransferModal);
+        modal.querySelector('#cancel-transfer')?.addEventListener('click', this.closeTransferModal);
+        modal.querySelector('#transferForm')?.addEventListener('submit', this.handleTransferSubmit);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeTransferModal();
+            }
+        });
+        
+        requestAnimationFrame(() => {
+            const modalElement = modal.querySelector('.modal');
+            if (modalElement) {
+                modalElement.classList.add('show');
+            }
+        });
+    }
+
     showApprovalModal() {
         if (!this.currentWithdrawal) return;
 
@@ -940,7 +1159,7 @@ export class AdminWalletsView {
             <div class="modal-overlay" id="approvalModal">
                 <div class="modal">
                     <div class="modal-header">
-                        <h2>Approve Withdrawal</h2>
+                        <h2>Approve ${this.currentWithdrawal.requestType === 'TRANSFER' ? 'Transfer' : 'Withdrawal'}</h2>
                         <button class="modal-close" id="close-approval-modal">&times;</button>
                     </div>
                     <div class="modal-content">
@@ -953,6 +1172,12 @@ export class AdminWalletsView {
                                 <span class="detail-label">Wallet:</span>
                                 <span class="detail-value">${this.formatWalletName(this.currentWithdrawal.wallet)}</span>
                             </div>
+                            ${this.currentWithdrawal.requestType === 'TRANSFER' && this.currentWithdrawal.destinationWallet ? `
+                                <div class="detail-row">
+                                    <span class="detail-label">To Wallet:</span>
+                                    <span class="detail-value">${this.formatWalletName(this.currentWithdrawal.destinationWallet)}</span>
+                                </div>
+                            ` : ''}
                             <div class="detail-row">
                                 <span class="detail-label">Amount:</span>
                                 <span class="detail-value">KES ${this.formatCurrency(this.currentWithdrawal.amount)}</span>
@@ -977,9 +1202,14 @@ export class AdminWalletsView {
                         
                         <form id="approvalForm">
                             <div class="form-group">
-                                <label>Withdrawal Password *</label>
-                                <input type="password" name="password" placeholder="Enter withdrawal approval password" required autocomplete="new-password">
-                                <small class="form-help">Contact your system administrator for the withdrawal password.</small>
+                                <label>Authenticator Code *</label>
+                                <input type="text" name="totpCode" placeholder="6-digit code from your authenticator app" inputmode="numeric" pattern="\\d{6}" maxlength="6" autocomplete="one-time-code">
+                                <small class="form-help">Lost your device? Enter one of your recovery codes below instead.</small>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Recovery Code (Optional)</label>
+                                <input type="text" name="recoveryCode" placeholder="XXXXX-XXXXX" maxlength="20" autocomplete="off">
                             </div>
                             
                             <div class="form-group">
@@ -989,6 +1219,11 @@ export class AdminWalletsView {
                             
                             <div class="modal-actions">
                                 <button type="button" class="btn btn-secondary" id="cancel-approval">Cancel</button>
+                                ${this.currentWithdrawal.requester?.id === this.user?.id ? `
+                                    <button type="button" class="btn btn-secondary" id="cancel-withdrawal-request">Cancel Request</button>
+                                ` : `
+                                    <button type="button" class="btn btn-secondary" id="reject-withdrawal">Reject</button>
+                                `}
                                 <button type="submit" class="btn btn-primary" id="submit-approval">Approve Withdrawal</button>
                             </div>
                         </form>
@@ -1033,6 +1268,17 @@ export class AdminWalletsView {
         if (form) {
             form.addEventListener('submit', this.handleApprovalSubmit);
         }
+
+        // Reject / cancel request buttons
+        const rejectBtn = modal.querySelector('#reject-withdrawal');
+        if (rejectBtn) {
+            rejectBtn.addEventListener('click', this.handleRejectWithdrawal);
+        }
+
+        const cancelRequestBtn = modal.querySelector('#cancel-withdrawal-request');
+        if (cancelRequestBtn) {
+            cancelRequestBtn.addEventListener('click', this.handleCancelWithdrawalRequest);
+        }
         
         // Click outside to close
         modal.addEventListener('click', (e) => {
@@ -1218,6 +1464,157 @@ export class AdminWalletsView {
     }
 
     // Modal close methods
+    // Approver authenticator (TOTP) enrollment
+    async openAuthenticatorModal() {
+        console.log('🔐 Opening authenticator modal');
+        if (this.activeModals.has('authenticator')) return;
+        this.activeModals.add('authenticator');
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal-overlay" id="authenticatorModal">
+                <div class="modal">
+                    <div class="modal-header">
+                        <h2>Approver Authenticator</h2>
+                        <button class="modal-close" id="close-authenticator-modal">&times;</button>
+                    </div>
+                    <div class="modal-content" id="authenticator-content">
+                        <p>Loading authenticator status...</p>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const modal = document.getElementById('authenticatorModal');
+        modal.style.display = 'flex';
+        modal.querySelector('#close-authenticator-modal').addEventListener('click', this.closeAuthenticatorModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeAuthenticatorModal();
+            }
+        });
+        requestAnimationFrame(() => modal.querySelector('.modal')?.classList.add('show'));
+
+        try {
+            const status = await this.apiService.getApproverTotpStatus();
+            this.renderAuthenticatorStatus(status);
+        } catch (error) {
+            console.error('❌ Error loading authenticator status:', error);
+            this.setAuthenticatorContent(`<p>${this.escapeHtml(error.message || 'Failed to load authenticator status.')}</p>`);
+        }
+    }
+
+    setAuthenticatorContent(html) {
+        const content = document.getElementById('authenticator-content');
+        if (content) {
+            content.innerHTML = html;
+        }
+        return content;
+    }
+
+    renderAuthenticatorStatus(status) {
+        if (!status?.enrolled) {
+            const content = this.setAuthenticatorContent(`
+                <p>Withdrawal approvals require a code from your own authenticator app (Google Authenticator, Authy, Microsoft Authenticator).</p>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-primary" id="start-totp-enrollment">Set Up Authenticator</button>
+                </div>
+            `);
+            content?.querySelector('#start-totp-enrollment')?.addEventListener('click', () => this.startAuthenticatorEnrollment());
+            return;
+        }
+
+        const content = this.setAuthenticatorContent(`
+            <div class="withdrawal-details">
+                <div class="detail-row">
+                    <span class="detail-label">Status:</span>
+                    <span class="detail-value">Enrolled${status.verifiedAt ? ` on ${this.formatDate(status.verifiedAt)}` : ''}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Recovery codes left:</span>
+                    <span class="detail-value">${status.recoveryCodesRemaining}</span>
+                </div>
+            </div>
+            <form id="regenerateRecoveryForm">
+                <div class="form-group">
+                    <label>Authenticator Code</label>
+                    <input type="text" name="code" placeholder="6-digit code" inputmode="numeric" pattern="\\d{6}" maxlength="6" required autocomplete="one-time-code">
+                </div>
+                <div class="modal-actions">
+                    <button type="submit" class="btn btn-secondary">Regenerate Recovery Codes</button>
+                </div>
+            </form>
+        `);
+
+        content?.querySelector('#regenerateRecoveryForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const code = new FormData(e.target).get('code')?.trim();
+                const response = await this.apiService.regenerateApproverRecoveryCodes(code);
+                this.renderRecoveryCodes(response?.recoveryCodes || []);
+            } catch (error) {
+                this.showAlert(error.message || 'Failed to regenerate recovery codes.', 'error');
+            }
+        });
+    }
+
+    async startAuthenticatorEnrollment() {
+        try {
+            const enrollment = await this.apiService.startApproverTotpEnrollment();
+            const content = this.setAuthenticatorContent(`
+                <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                <div style="text-align: center; margin: 1rem 0;">
+                    <img src="${enrollment.qrCodeDataUrl}" alt="Authenticator QR code" width="200" height="200">
+                </div>
+                <p class="form-help">Can't scan? Enter this key manually: <code>${this.escapeHtml(enrollment.secret)}</code></p>
+                <form id="confirmTotpForm">
+                    <div class="form-group">
+                        <label>Authenticator Code *</label>
+                        <input type="text" name="code" placeholder="6-digit code" inputmode="numeric" pattern="\\d{6}" maxlength="6" required autocomplete="one-time-code">
+                    </div>
+                    <div class="modal-actions">
+                        <button type="submit" class="btn btn-primary">Confirm</button>
+                    </div>
+                </form>
+            `);
+
+            content?.querySelector('#confirmTotpForm')?.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                try {
+                    const code = new FormData(e.target).get('code')?.trim();
+                    const response = await this.apiService.confirmApproverTotpEnrollment(code);
+                    this.showAlert('Authenticator enrolled successfully.', 'success');
+                    this.renderRecoveryCodes(response?.recoveryCodes || []);
+                } catch (error) {
+                    this.showAlert(error.message || 'Invalid authenticator code.', 'error');
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error starting authenticator enrollment:', error);
+            this.showAlert(error.message || 'Failed to start authenticator enrollment.', 'error');
+        }
+    }
+
+    renderRecoveryCodes(recoveryCodes) {
+        const content = this.setAuthenticatorContent(`
+            <p><strong>Save these recovery codes now.</strong> Each can be used once if you lose your device. They will not be shown again.</p>
+            <pre class="recovery-codes">${recoveryCodes.map(code => this.escapeHtml(code)).join('\n')}</pre>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="recovery-codes-done">Done</button>
+            </div>
+        `);
+        content?.querySelector('#recovery-codes-done')?.addEventListener('click', this.closeAuthenticatorModal);
+    }
+
+    closeAuthenticatorModal() {
+        console.log('❌ Closing authenticator modal');
+        const modal = document.getElementById('authenticatorModal');
+        if (modal) {
+            modal.style.display = 'none';
+            modal.remove();
+        }
+        this.activeModals.delete('authenticator');
+    }
+
     closeWithdrawalModal() {
         console.log('❌ Closing withdrawal modal');
         const modal = document.getElementById('withdrawalModal');
@@ -1228,6 +1625,26 @@ export class AdminWalletsView {
         this.activeModals.delete('withdrawal');
     }
 
+    closeTransferModal() {
+        console.log('❌ Closing transfer modal');
+        const modal = document.getElementById('transferModal');
+        if (modal) {
+            modal.style.display = 'none';
+            modal.remove();
+        }
+        this.activeModals.delete('transfer');
+    }
+
+    closeRemittanceModal() {
+        console.log('❌ Closing remittance modal');
+        const modal = document.getElementById('remittanceModal');
+        if (modal) {
+            modal.style.display = 'none';
+            modal.remove();
+        }
+        this.activeModals.delete('remittance');
+    }
+
     closeApprovalModal() {
         console.log('❌ Closing approval modal');
         const modal = document.getElementById('approvalModal');
@@ -1294,6 +1711,171 @@ export class AdminWalletsView {
         }
     }
 
+    async handleTransferSubmit(event) {
+        event.preventDefault();
+        console.log('🔁 Handling transfer submission');
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const submitButton = form.querySelector('#submit-transfer');
+
+        if (submitButton) {
+            submitButton.disabled = true;
+            submitButton.textContent = 'Creating Request...';
+        }
+
+        try {
+            const sourceWalletId = parseInt(formData.get('sourceWalletId'));
+            const destinationWalletId = parseInt(formData.get('destinationWalletId'));
+            const amount = parseFloat(formData.get('amount'));
+            const purpose = formData.get('purpose')?.trim();
+            const description = formData.get('description')?.trim();
+
+            if (!sourceWalletId || !destinationWalletId) {
+                throw new Error('Please select both wallets');
+            }
+
+            if (sourceWalletId === destinationWalletId) {
+                throw new Error('Source and destination wallets must be different');
+            }
+
+            if (!amount || isNaN(amount) || amount <= 0) {
+                throw new Error('Please enter a valid amount greater than 0');
+            }
+
+            if (!purpose || purpose.length < 3) {
+                throw new Error('Purpose must be at least 3 characters long');
+            }
+
+            const sourceWallet = this.wallets.find(w => w.id === sourceWalletId);
+            if (sourceWallet && amount > (sourceWallet.balance || 0)) {
+                throw new Error(`Insufficient funds. Available balance: KES ${this.formatCurrency(sourceWallet.balance || 0)}`);
+            }
+
+            const response = await this.apiService.createTransferRequest({
+                sourceWalletId,
+                destinationWalletId,
+                amount,
+                purpose,
+                description: description || undefined
+            });
+
+            if (response?.withdrawalRequest) {
+                this.showAlert('Transfer request created successfully! Waiting for approvals.', 'success');
+                this.closeTransferModal();
+                await this.refreshData();
+            } else {
+                throw new Error('Failed to create transfer request');
+            }
+        } catch (error) {
+            console.error('❌ Error creating transfer request:', error);
+            this.showAlert(error.message || 'Failed to create transfer request.', 'error');
+        } finally {
+            if (submitButton) {
+                submitButton.disabled = false;
+                submitButton.textContent = 'Submit Transfer Request';
+            }
+        }
+    }
+
+    async handleRemittanceCalculate() {
+        const modal = document.getElementById('remittanceModal');
+        if (!modal) return;
+
+        const startDate = modal.querySelector('input[name="startDate"]').value;
+        const endDate = modal.querySelector('input[name="endDate"]').value;
+        const preview = modal.querySelector('#remittance-preview');
+        const submitButton = modal.querySelector('#submit-remittance');
+
+        if (!startDate || !endDate) {
+            this.showAlert('Please select the remittance period.', 'error');
+            return;
+        }
+
+        try {
+            preview.innerHTML = '<div class="info-text">Calculating...</div>';
+            const figures = await this.apiService.calculateRemittance(startDate, endDate);
+
+            preview.innerHTML = `
+                <div class="withdrawal-details">
+                    <div class="detail-row">
+                        <span class="detail-label">Tithe Collected:</span>
+                        <span class="detail-value">KES ${this.formatCurrency(figures.titheCollected)} (${figures.titheCount} payments)</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Tithe Share (${figures.tithePercentage}%):</span>
+                        <span class="detail-value">KES ${this.formatCurrency(figures.titheShare)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Offering Collected:</span>
+                        <span class="detail-value">KES ${this.formatCurrency(figures.offeringCollected)} (${figures.offeringCount} payments)</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Offering Share (${figures.offeringPercentage}%):</span>
+                        <span class="detail-value">KES ${this.formatCurrency(figures.offeringShare)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Total to Remit:</span>
+                        <span class="detail-value">KES ${this.formatCurrency(figures.totalAmount)}</span>
+                    </div>
+                </div>
+                ${figures.alreadyRemitted ? `<div class="info-text">⚠️ This period overlaps remittance ${figures.overlappingRemittance.remittanceReference} (${figures.overlappingRemittance.status}).</div>` : ''}
+            `;
+
+            submitButton.disabled = figures.alreadyRemitted || !(figures.totalAmount > 0);
+        } catch (error) {
+            console.error('❌ Error calculating remittance:', error);
+            preview.innerHTML = '';
+            submitButton.disabled = true;
+            this.showAlert(error.message || 'Failed to calculate remittance.', 'error');
+        }
+    }
+
+    async handleRemittanceSubmit(event) {
+        event.preventDefault();
+        console.log('🏛️ Handling remittance submission');
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const submitButton = form.querySelector('#submit-remittance');
+
+        if (submitButton) {
+            submitButton.disabled = true;
+            submitButton.textContent = 'Creating Remittance...';
+        }
+
+        try {
+            const destinationAccount = formData.get('destinationAccount')?.trim();
+            const notes = formData.get('notes')?.trim();
+
+            const response = await this.apiService.createRemittance({
+                startDate: formData.get('startDate'),
+                endDate: formData.get('endDate'),
+                destinationAccount: destinationAccount || undefined,
+                notes: notes || undefined
+            });
+
+            if (response?.remittance) {
+                this.showAlert(`Remittance ${response.remittance.remittanceReference} created. Withdrawal requests are awaiting approval.`, 'success');
+                this.closeRemittanceModal();
+                await this.apiService.downloadRemittanceStatement(
+                    response.remittance.id,
+                    `${response.remittance.remittanceReference}.pdf`
+                ).catch(error => console.error('❌ Statement download failed:', error));
+                await this.refreshData();
+            } else {
+                throw new Error('Failed to create remittance');
+            }
+        } catch (error) {
+            console.error('❌ Error creating remittance:', error);
+            this.showAlert(error.message || 'Failed to create remittance.', 'error');
+            if (submitButton) {
+                submitButton.disabled = false;
+                submitButton.textContent = 'Create Remittance';
+            }
+        }
+    }
+
     validateWithdrawalData(formData) {
         const walletId = parseInt(formData.get('walletId'));
         const amount = parseFloat(formData.get('amount'));
@@ -1376,17 +1958,26 @@ export class AdminWalletsView {
         }
         
         try {
-            const password = formData.get('password')?.trim();
+            const totpCode = formData.get('totpCode')?.trim();
+            const recoveryCode = formData.get('recoveryCode')?.trim();
             const comment = formData.get('comment')?.trim();
 
-            if (!password) {
-                throw new Error('Withdrawal password is required');
+            if (!totpCode && !recoveryCode) {
+                throw new Error('Enter the code from your authenticator app or a recovery code');
+            }
+
+            if (totpCode && !/^\d{6}$/.test(totpCode)) {
+                throw new Error('Authenticator code must be 6 digits');
             }
 
             const approvalData = {
-                password,
                 comment: comment || null
             };
+            if (totpCode) {
+                approvalData.totpCode = totpCode;
+            } else {
+                approvalData.recoveryCode = recoveryCode;
+            }
 
             console.log('📤 Sending approval request for withdrawal:', this.currentWithdrawal.id);
 
@@ -1419,6 +2010,46 @@ export class AdminWalletsView {
         }
     }
 
+    async handleRejectWithdrawal() {
+        if (!this.currentWithdrawal) return;
+
+        const reason = prompt(`Reason for rejecting ${this.currentWithdrawal.withdrawalReference}:`);
+        if (reason === null) return;
+
+        if (reason.trim().length < 3) {
+            this.showAlert('Please give a rejection reason (at least 3 characters).', 'error');
+            return;
+        }
+
+        try {
+            await this.apiService.rejectWithdrawalRequest(this.currentWithdrawal.id, reason.trim());
+            this.showAlert('Withdrawal request rejected.', 'success');
+            this.closeApprovalModal();
+            await this.refreshData();
+        } catch (error) {
+            console.error('❌ Error rejecting withdrawal:', error);
+            this.showAlert(error.message || 'Failed to reject withdrawal.', 'error');
+        }
+    }
+
+    async handleCancelWithdrawalRequest() {
+        if (!this.currentWithdrawal) return;
+
+        if (!confirm(`Cancel withdrawal request ${this.currentWithdrawal.withdrawalReference}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.apiService.cancelWithdrawalRequest(this.currentWithdrawal.id);
+            this.showAlert('Withdrawal request cancelled.', 'success');
+            this.closeApprovalModal();
+            await this.refreshData();
+        } catch (error) {
+            console.error('❌ Error cancelling withdrawal:', error);
+            this.showAlert(error.message || 'Failed to cancel withdrawal.', 'error');
+        }
+    }
+
     // System operation methods
     async initializeWalletSystem() {
         console.log('⚡ Manually initializing wallet system');
@@ -1458,12 +2089,12 @@ export class AdminWalletsView {
         };
     }
 
-    renderWalletOptions() {
+    renderWalletOptions(includeEmpty = false) {
         let options = '';
         Object.entries(this.groupedWallets).forEach(([category, wallets]) => {
             if (Array.isArray(wallets)) {
                 wallets.forEach(wallet => {
-                    if ((wallet.balance || 0) > 0) {
+                    if (includeEmpty || (wallet.balance || 0) > 0) {
                         options += `<option value="${wallet.id}">${this.formatWalletName(wallet)} - KES ${this.formatCurrency(wallet.balance || 0)}</option>`;
                     }
                 });
@@ -0,0 +1,393 @@
+// src/views/give.js - Give without an account (guest M-Pesa STK push)
+import { BaseComponent } from '../utils/BaseComponent.js';
+import { FuturisticStyles } from '../utils/futuristicStyles.js';
+
+export class GiveView extends BaseComponent {
+  constructor() {
+    super();
+    this.apiService = window.apiService;
+
+    this.isLoading = false;
+    this.error = null;
+    this.specialOfferings = [];
+    this.form = {
+      phoneNumber: '',
+      amount: '',
+      paymentType: 'OFFERING',
+      specialOfferingId: '',
+      name: '',
+      isAnonymous: false
+    };
+
+    // Set once the STK push is sent; polled until the payment leaves PENDING
+    this.checkoutRequestId = null;
+    this.paymentStatus = null;
+    this.pollTimer = null;
+    this.pollAttempts = 0;
+    this.maxPollAttempts = 24; // 2 minutes at 5 second intervals
+  }
+
+  async render() {
+    FuturisticStyles.addGlobalStyles();
+    FuturisticStyles.addBackgroundEffects();
+
+    const container = document.createElement('div');
+    container.style.display = 'flex';
+    container.style.justifyContent = 'center';
+    container.style.alignItems = 'flex-start';
+    container.style.minHeight = 'calc(100vh - 80px)';
+    container.style.padding = '40px 20px';
+    container.style.position = 'relative';
+    container.style.zIndex = '1';
+
+    const card = document.createElement('div');
+    card.className = 'neo-card animated-item';
+    card.style.width = '100%';
+    card.style.maxWidth = '480px';
+    card.style.padding = '0';
+    card.style.overflow = 'hidden';
+
+    const headerSection = document.createElement('div');
+    headerSection.style.background = 'linear-gradient(135deg, rgba(6, 182, 212, 0.2), rgba(8, 145, 178, 0.3))';
+    headerSection.style.padding = '30px';
+    headerSection.style.textAlign = 'center';
+    headerSection.style.borderBottom = '1px solid rgba(255, 255, 255, 0.1)';
+
+    const title = document.createElement('h1');
+    title.className = 'text-gradient';
+    title.textContent = 'Give';
+    title.style.fontSize = '36px';
+    title.style.fontWeight = '800';
+    title.style.marginBottom = '12px';
+
+    const subtitle = document.createElement('p');
+    subtitle.textContent = 'Support the church with M-Pesa. No account needed.';
+    subtitle.style.color = '#e2e8f0';
+    subtitle.style.fontSize = '16px';
+    subtitle.style.margin = '0';
+
+    headerSection.appendChild(title);
+    headerSection.appendChild(subtitle);
+    card.appendChild(headerSection);
+
+    const body = document.createElement('div');
+    body.id = 'give-body';
+    body.style.padding = '30px';
+    body.appendChild(this.checkoutRequestId ? this.renderStatus() : this.renderForm());
+    card.appendChild(body);
+
+    container.appendChild(card);
+
+    if (this.specialOfferings.length === 0) {
+      this.loadSpecialOfferings();
+    }
+
+    return container;
+  }
+
+  renderForm() {
+    const form = document.createElement('form');
+    form.addEventListener('submit', this.handleSubmit.bind(this));
+
+    if (this.error) {
+      const errorBox = document.createElement('div');
+      errorBox.textContent = `⚠️ ${this.error}`;
+      errorBox.style.color = '#f87171';
+      errorBox.style.padding = '12px 16px';
+      errorBox.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
+      errorBox.style.borderRadius = '12px';
+      errorBox.style.marginBottom = '24px';
+      errorBox.style.fontSize = '14px';
+      form.appendChild(errorBox);
+    }
+
+    form.appendChild(this.createField('M-Pesa phone number', 'phoneNumber', 'tel', '07XXXXXXXX', true));
+    form.appendChild(this.createField('Amount (KES)', 'amount', 'number', 'e.g. 500', true));
+
+    const typeGroup = this.createGroup('Giving for', 'paymentType');
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'futuristic-input';
+    typeSelect.id = 'paymentType';
+    [
+      { value: 'OFFERING', label: 'Offering' },
+      { value: 'TITHE', label: 'Tithe' },
+      { value: 'DONATION', label: 'Donation' },
+      { value: 'SPECIAL', label: 'Special offering' }
+    ].forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      optionElement.selected = option.value === this.form.paymentType;
+      typeSelect.appendChild(optionElement);
+    });
+    typeSelect.addEventListener('change', (e) => {
+      this.form.paymentType = e.target.value;
+      this.updateView();
+    });
+    typeGroup.appendChild(typeSelect);
+    form.appendChild(typeGroup);
+
+    if (this.form.paymentType === 'SPECIAL') {
+      const offeringGroup = this.createGroup('Special offering', 'specialOfferingId');
+      const offeringSelect = document.createElement('select');
+      offeringSelect.className = 'futuristic-input';
+      offeringSelect.id = 'specialOfferingId';
+      offeringSelect.required = true;
+
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = this.specialOfferings.length > 0 ? 'Choose an offering' : 'No special offerings are open';
+      offeringSelect.appendChild(placeholder);
+
+      this.specialOfferings.forEach(offering => {
+        const optionElement = document.createElement('option');
+        optionElement.value = String(offering.id);
+        optionElement.textContent = offering.name;
+        optionElement.selected = String(offering.id) === String(this.form.specialOfferingId);
+        offeringSelect.appendChild(optionElement);
+      });
+      offeringSelect.addEventListener('change', (e) => {
+        this.form.specialOfferingId = e.target.value;
+      });
+      offeringGroup.appendChild(offeringSelect);
+      form.appendChild(offeringGroup);
+    }
+
+    form.appendChild(this.createField('Your name (optional)', 'name', 'text', 'For your receipt', false));
+
+    const anonymousGroup = document.createElement('div');
+    anonymousGroup.style.display = 'flex';
+    anonymousGroup.style.alignItems = 'center';
+    anonymousGroup.style.gap = '10px';
+    anonymousGroup.style.marginBottom = '30px';
+
+    const anonymousInput = document.createElement('input');
+    anonymousInput.type = 'checkbox';
+    anonymousInput.id = 'isAnonymous';
+    anonymousInput.checked = this.form.isAnonymous;
+    anonymousInput.addEventListener('change', (e) => {
+      this.form.isAnonymous = e.target.checked;
+    });
+
+    const anonymousLabel = document.createElement('label');
+    anonymousLabel.setAttribute('for', 'isAnonymous');
+    anonymousLabel.textContent = 'Give anonymously (your name is not shown in church reports)';
+    anonymousLabel.style.color = '#e2e8f0';
+    anonymousLabel.style.fontSize = '14px';
+    anonymousLabel.style.cursor = 'pointer';
+
+    anonymousGroup.appendChild(anonymousInput);
+    anonymousGroup.appendChild(anonymousLabel);
+    form.appendChild(anonymousGroup);
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'futuristic-button';
+    submitButton.textContent = this.isLoading ? 'Sending request...' : 'Give with M-Pesa';
+    submitButton.disabled = this.isLoading;
+    submitButton.style.width = '100%';
+    submitButton.style.padding = '14px';
+    submitButton.style.fontSize = '16px';
+    submitButton.style.fontWeight = '600';
+    form.appendChild(submitButton);
+
+    const memberNote = document.createElement('p');
+    memberNote.style.marginTop = '20px';
+    memberNote.style.textAlign = 'center';
+    memberNote.style.fontSize = '14px';
+    memberNote.style.color = '#94a3b8';
+    memberNote.textContent = 'Have an account? ';
+    const loginLink = document.createElement('a');
+    loginLink.href = '/login';
+    loginLink.setAttribute('data-link', '');
+    loginLink.textContent = 'Sign in';
+    loginLink.style.color = '#06b6d4';
+    memberNote.appendChild(loginLink);
+    memberNote.appendChild(document.createTextNode(' to see your giving history.'));
+    form.appendChild(memberNote);
+
+    return form;
+  }
+
+  renderStatus() {
+    const statusBox = document.createElement('div');
+    statusBox.style.textAlign = 'center';
+
+    const messages = {
+      PENDING: ['📱', 'Check your phone', 'Enter your M-Pesa PIN to complete the gift.'],
+      COMPLETED: ['✅', 'Thank you!', 'Your gift has been received. A receipt will be sent by SMS.'],
+      FAILED: ['⚠️', 'Payment not completed', 'The M-Pesa request failed or was cancelled.'],
+      CANCELLED: ['⚠️', 'Payment cancelled', 'The M-Pesa request was cancelled.'],
+      EXPIRED: ['⌛', 'Request expired', 'The M-Pesa request timed out before it was confirmed.']
+    };
+    const status = this.paymentStatus && messages[this.paymentStatus.status] ? this.paymentStatus.status : 'PENDING';
+    const [icon, heading, text] = messages[status];
+
+    const iconElement = document.createElement('div');
+    iconElement.textContent = icon;
+    iconElement.style.fontSize = '48px';
+    iconElement.style.marginBottom = '16px';
+
+    const headingElement = document.createElement('h2');
+    headingElement.textContent = heading;
+    headingElement.style.color = '#f1f5f9';
+    headingElement.style.marginBottom = '12px';
+
+    const textElement = document.createElement('p');
+    textElement.textContent = status === 'PENDING' && this.pollAttempts >= this.maxPollAttempts
+      ? 'We have not heard back from M-Pesa yet. If you completed the payment, your SMS receipt will follow.'
+      : text;
+    textElement.style.color = '#e2e8f0';
+    textElement.style.marginBottom = '24px';
+
+    statusBox.appendChild(iconElement);
+    statusBox.appendChild(headingElement);
+    statusBox.appendChild(textElement);
+
+    if (this.paymentStatus && this.paymentStatus.receiptNumber) {
+      const receipt = document.createElement('p');
+      receipt.textContent = `Receipt No: ${this.paymentStatus.receiptNumber}`;
+      receipt.style.color = '#06b6d4';
+      receipt.style.marginBottom = '24px';
+      statusBox.appendChild(receipt);
+    }
+
+    if (status !== 'PENDING' || this.pollAttempts >= this.maxPollAttempts) {
+      const againButton = document.createElement('button');
+      againButton.className = 'futuristic-button';
+      againButton.textContent = status === 'COMPLETED' ? 'Give again' : 'Try again';
+      againButton.style.width = '100%';
+      againButton.style.padding = '14px';
+      againButton.addEventListener('click', () => {
+        this.checkoutRequestId = null;
+        this.paymentStatus = null;
+        this.error = null;
+        this.updateView();
+      });
+      statusBox.appendChild(againButton);
+    }
+
+    return statusBox;
+  }
+
+  createGroup(labelText, id) {
+    const group = document.createElement('div');
+    group.style.marginBottom = '24px';
+
+    const label = document.createElement('label');
+    label.className = 'futuristic-label';
+    label.setAttribute('for', id);
+    label.textContent = labelText;
+    group.appendChild(label);
+
+    return group;
+  }
+
+  createField(labelText, field, type, placeholder, required) {
+    const group = this.createGroup(labelText, field);
+
+    const input = document.createElement('input');
+    input.className = 'futuristic-input';
+    input.type = type;
+    input.id = field;
+    input.name = field;
+    input.required = required;
+    input.placeholder = placeholder;
+    input.value = this.form[field];
+    if (type === 'number') {
+      input.min = '1';
+      input.step = '1';
+    }
+    input.addEventListener('input', (e) => {
+      this.form[field] = e.target.value;
+    });
+    group.appendChild(input);
+
+    return group;
+  }
+
+  async loadSpecialOfferings() {
+    try {
+      const response = await this.apiService.getSpecialOfferings({ activeOnly: true, limit: 50 });
+      this.specialOfferings = (response && response.specialOfferings) || [];
+      if (this.form.paymentType === 'SPECIAL' && this.specialOfferings.length > 0) {
+        this.updateView();
+      }
+    } catch (error) {
+      console.error('Error loading special offerings:', error);
+    }
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    if (this.isLoading) return;
+
+    const amount = parseFloat(this.form.amount);
+    if (!/^(\+254|0)?[17]\d{8}$/.test(this.form.phoneNumber.trim())) {
+      this.error = 'Enter a valid Safaricom number, e.g. 0712345678.';
+      return this.updateView();
+    }
+    if (isNaN(amount) || amount <= 0) {
+      this.error = 'Enter an amount to give.';
+      return this.updateView();
+    }
+    if (this.form.paymentType === 'SPECIAL' && !this.form.specialOfferingId) {
+      this.error = 'Choose a special offering.';
+      return this.updateView();
+    }
+
+    this.isLoading = true;
+    this.error = null;
+    this.updateView();
+
+    try {
+      const response = await this.apiService.initiateGuestPayment({
+        phoneNumber: this.form.phoneNumber.trim(),
+        amount,
+        paymentType: this.form.paymentType,
+        specialOfferingId: this.form.paymentType === 'SPECIAL' ? parseInt(this.form.specialOfferingId) : undefined,
+        name: this.form.name.trim() || undefined,
+        isAnonymous: this.form.isAnonymous
+      });
+
+      this.checkoutRequestId = response.checkoutRequestId;
+      this.paymentStatus = { status: 'PENDING' };
+      this.pollAttempts = 0;
+      this.schedulePoll();
+    } catch (error) {
+      console.error('Guest payment failed:', error);
+      this.error = error.message || 'Could not start the payment. Please try again.';
+    }
+
+    this.isLoading = false;
+    this.updateView();
+  }
+
+  schedulePoll() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.pollStatus(), 5000);
+  }
+
+  async pollStatus() {
+    if (!this.checkoutRequestId) return;
+    this.pollAttempts++;
+
+    try {
+      this.paymentStatus = await this.apiService.getGuestPaymentStatus(this.checkoutRequestId);
+    } catch (error) {
+      console.error('Error checking payment status:', error);
+    }
+
+    if (this.paymentStatus && this.paymentStatus.status === 'PENDING' && this.pollAttempts < this.maxPollAttempts) {
+      this.schedulePoll();
+    }
+    this.updateView();
+  }
+
+  updateView() {
+    const body = document.getElementById('give-body');
+    if (!body) return;
+    body.innerHTML = '';
+    body.appendChild(this.checkoutRequestId ? this.renderStatus() : this.renderForm());
+  }
+}
@@ -210,7 +210,7 @@ export class HomeView extends BaseComponent {
     buttonContainer.style.flexWrap = 'wrap';
 
     const primaryButton = document.createElement('a');
-    primaryButton.href = '/make-payment';
+    primaryButton.href = this.isAuthenticated ? '/make-payment' : '/give';
     primaryButton.className = 'futuristic-button';
     primaryButton.textContent = 'Make a Contribution';
     primaryButton.style.padding = '18px 36px';
@@ -14,13 +14,9 @@ class MakePaymentsView {
     this.amount = 0;
     this.phoneNumber = this.user?.phoneNumber || '';
     this.mpesaPhoneNumber = ''; // Dedicated M-Pesa phone number field
-    this.titheDistributionSDA = {
-      campMeetingExpenses: false,
-      welfare: false,
-      thanksgiving: false,
-      stationFund: false,
-      mediaMinistry: false
-    };
+    this.titheCategories = []; // Loaded from the server (admin-managed)
+    this.titheDistributionSDA = {};
+    this.giftLines = [{ fund: 'TITHE', amount: 0 }, { fund: 'OFFERING', amount: 0 }]; // Split gift lines
     
     // UI state
     this.isLoading = false;
@@ -103,6 +99,7 @@ class MakePaymentsView {
       // Initialize data fetching
       setTimeout(() => {
         this.fetchSpecialOfferings();
+        this.fetchTitheCategories();
       }, 100);
       
     } catch (error) {
@@ -173,6 +170,30 @@ class MakePaymentsView {
     } finally {
       this.isLoadingSpecial = false;
       this.updateSpecialOfferingsUI();
+      this.renderGiftLines();
+    }
+  }
+  
+  async fetchTitheCategories() {
+    try {
+      const response = await this.queueApiRequest(() => 
+        this.apiService.getTitheCategories()
+      );
+      
+      this.titheCategories = (response && response.categories) || [];
+      
+      // Keep any selections already made, drop categories that are no longer offered
+      const previous = this.titheDistributionSDA;
+      this.titheDistributionSDA = {};
+      this.titheCategories.forEach(category => {
+        this.titheDistributionSDA[category.code] = !!previous[category.code];
+      });
+    } catch (error) {
+      console.error('Error fetching tithe categories:', error);
+      this.titheCategories = [];
+    } finally {
+      this.renderTitheCategoryCheckboxes();
+      this.updateTitheDistributionUI();
     }
   }
   
@@ -379,7 +400,8 @@ class MakePaymentsView {
       { id: 'TITHE', name: 'Tithe', icon: '📝' },
       { id: 'OFFERING', name: 'Offering', icon: '🎁' },
       { id: 'DONATION', name: 'Donation', icon: '💝' },
-      { id: 'SPECIAL', name: 'Special Offering', icon: '✨' }
+      { id: 'SPECIAL', name: 'Special Offering', icon: '✨' },
+      { id: 'SPLIT_GIFT', name: 'Split Gift', icon: '🧺' }
     ];
     
     paymentTypes.forEach(type => {
@@ -566,6 +588,50 @@ class MakePaymentsView {
     specialOfferingSection.appendChild(specialOfferingLabel);
     specialOfferingSection.appendChild(specialOfferingContainer);
     
+    // Split gift lines (initially hidden): one prompt for the total, each line to its own fund
+    const splitGiftSection = document.createElement('div');
+    splitGiftSection.id = 'split-gift-section';
+    splitGiftSection.style.marginBottom = '30px';
+    splitGiftSection.style.display = this.paymentType === 'SPLIT_GIFT' ? 'block' : 'none';
+    
+    const splitGiftLabel = document.createElement('label');
+    splitGiftLabel.style.display = 'block';
+    splitGiftLabel.style.fontSize = '16px';
+    splitGiftLabel.style.fontWeight = '600';
+    splitGiftLabel.style.color = '#ffffff';
+    splitGiftLabel.style.marginBottom = '8px';
+    splitGiftLabel.textContent = 'Gift Lines';
+    
+    const splitGiftHelp = document.createElement('p');
+    splitGiftHelp.style.fontSize = '14px';
+    splitGiftHelp.style.color = '#94a3b8';
+    splitGiftHelp.style.margin = '0 0 12px';
+    splitGiftHelp.textContent = 'You will get one payment prompt for the total; each line goes to its own fund.';
+    
+    const splitGiftLines = document.createElement('div');
+    splitGiftLines.id = 'split-gift-lines';
+    splitGiftLines.style.display = 'flex';
+    splitGiftLines.style.flexDirection = 'column';
+    splitGiftLines.style.gap = '10px';
+    
+    const addLineButton = document.createElement('button');
+    addLineButton.type = 'button';
+    addLineButton.className = 'futuristic-button';
+    addLineButton.style.marginTop = '12px';
+    addLineButton.style.padding = '10px 16px';
+    addLineButton.textContent = '+ Add line';
+    addLineButton.addEventListener('click', () => {
+      if (this.giftLines.length >= 10) return;
+      this.giftLines.push({ fund: 'DONATION', amount: 0 });
+      this.renderGiftLines();
+    });
+    
+    splitGiftSection.appendChild(splitGiftLabel);
+    splitGiftSection.appendChild(splitGiftHelp);
+    splitGiftSection.appendChild(splitGiftLines);
+    splitGiftSection.appendChild(addLineButton);
+    this.renderGiftLines(splitGiftLines);
+    
     // Amount input
     const amountSection = document.createElement('div');
     amountSection.style.marginBottom = '30px';
@@ -584,6 +650,7 @@ class MakePaymentsView {
     amountInput.id = 'amount-input';
     amountInput.placeholder = 'Enter amount';
     amountInput.className = 'futuristic-input';
+    amountInput.readOnly = this.paymentType === 'SPLIT_GIFT';
     amountInput.style.width = '100%';
     amountInput.style.padding = '15px';
     amountInput.style.background = 'rgba(15, 23, 42, 0.6)';
@@ -687,6 +754,7 @@ class MakePaymentsView {
     leftColumn.appendChild(paymentTypeSection);
     leftColumn.appendChild(paymentMethodSection);
     leftColumn.appendChild(specialOfferingSection);
+    leftColumn.appendChild(splitGiftSection);
     leftColumn.appendChild(amountSection);
     leftColumn.appendChild(phoneSection);
     
@@ -714,73 +782,12 @@ class MakePaymentsView {
     
     // Distribution checkboxes container
     const distributionCheckboxes = document.createElement('div');
+    distributionCheckboxes.id = 'tithe-distribution-checkboxes';
     distributionCheckboxes.className = 'distribution-checkboxes';
     distributionCheckboxes.style.display = 'flex';
     distributionCheckboxes.style.flexDirection = 'column';
     distributionCheckboxes.style.gap = '15px';
     
-    const titheCategories = {
-      campMeetingExpenses: 'Camp Meeting Expenses',
-      welfare: 'Welfare & Assistance',
-      thanksgiving: 'Thanksgiving Services',
-      stationFund: 'Local Station Fund',
-      mediaMinistry: 'Media Ministry'
-    };
-    
-    // Create checkbox for each tithe category
-    Object.entries(titheCategories).forEach(([key, label]) => {
-      const checkboxContainer = document.createElement('div');
-      checkboxContainer.style.position = 'relative';
-      checkboxContainer.style.padding = '15px';
-      checkboxContainer.style.background = 'linear-gradient(135deg, rgba(30, 41, 59, 0.4), rgba(30, 41, 59, 0.2))';
-      checkboxContainer.style.borderRadius = '12px';
-      checkboxContainer.style.border = '1px solid rgba(30, 41, 59, 0.6)';
-      checkboxContainer.style.transition = 'all 0.3s ease';
-      checkboxContainer.style.cursor = 'pointer';
-      
-      const checkboxWrapper = document.createElement('label');
-      checkboxWrapper.style.display = 'flex';
-      checkboxWrapper.style.alignItems = 'center';
-      checkboxWrapper.style.cursor = 'pointer';
-      checkboxWrapper.style.gap = '12px';
-      
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.id = `tithe-${key}`;
-      checkbox.checked = this.titheDistributionSDA[key];
-      checkbox.style.width = '18px';
-      checkbox.style.height = '18px';
-      checkbox.style.accentColor = '#06b6d4';
-      checkbox.style.cursor = 'pointer';
-      
-      const checkboxLabel = document.createElement('span');
-      checkboxLabel.style.fontSize = '14px';
-      checkboxLabel.style.fontWeight = '500';
-      checkboxLabel.style.color = '#e2e8f0';
-      checkboxLabel.textContent = label;
-      
-      // Add event listener for checkbox change
-      checkbox.addEventListener('change', (e) => {
-        this.titheDistributionSDA[key] = e.target.checked;
-        this.updateTitheDistributionUI();
-      });
-      
-      // Add click handler for the container
-      checkboxContainer.addEventListener('click', (e) => {
-        if (e.target !== checkbox) {
-          checkbox.checked = !checkbox.checked;
-          this.titheDistributionSDA[key] = checkbox.checked;
-          this.updateTitheDistributionUI();
-        }
-      });
-      
-      checkboxWrapper.appendChild(checkbox);
-      checkboxWrapper.appendChild(checkboxLabel);
-      checkboxContainer.appendChild(checkboxWrapper);
-      
-      distributionCheckboxes.appendChild(checkboxContainer);
-    });
-    
     // Summary of selected categories
     const selectedSummary = document.createElement('div');
     selectedSummary.id = 'tithe-summary';
@@ -936,6 +943,99 @@ class MakePaymentsView {
     if (type === 'SPECIAL' && !this.isLoadingSpecial) {
       this.updateSpecialOfferingsUI();
     }
+    
+    // Show/hide split gift lines; the amount is their total while splitting
+    const splitGiftSection = document.getElementById('split-gift-section');
+    if (splitGiftSection) {
+      splitGiftSection.style.display = type === 'SPLIT_GIFT' ? 'block' : 'none';
+    }
+    const amountInput = document.getElementById('amount-input');
+    if (amountInput) {
+      amountInput.readOnly = type === 'SPLIT_GIFT';
+    }
+    if (type === 'SPLIT_GIFT') {
+      this.updateGiftTotal();
+    }
+  }
+  
+  renderGiftLines(container = document.getElementById('split-gift-lines')) {
+    if (!container) return;
+    container.innerHTML = '';
+    
+    const funds = [
+      { value: 'TITHE', label: 'Tithe' },
+      { value: 'OFFERING', label: 'Offering' },
+      { value: 'DONATION', label: 'Donation' },
+      ...this.specialOfferings.map(offering => ({ value: `SPECIAL:${offering.id}`, label: offering.name }))
+    ];
+    
+    this.giftLines.forEach((line, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'grid';
+      row.style.gridTemplateColumns = '1fr 120px auto';
+      row.style.gap = '8px';
+      
+      const fundSelect = document.createElement('select');
+      fundSelect.className = 'futuristic-input';
+      fundSelect.style.padding = '12px';
+      fundSelect.style.background = 'rgba(15, 23, 42, 0.6)';
+      fundSelect.style.border = '1px solid rgba(6, 182, 212, 0.3)';
+      fundSelect.style.borderRadius = '12px';
+      fundSelect.style.color = '#ffffff';
+      funds.forEach(fund => {
+        const option = document.createElement('option');
+        option.value = fund.value;
+        option.textContent = fund.label;
+        option.selected = fund.value === line.fund;
+        fundSelect.appendChild(option);
+      });
+      fundSelect.addEventListener('change', (e) => {
+        this.giftLines[index].fund = e.target.value;
+      });
+      
+      const lineAmountInput = document.createElement('input');
+      lineAmountInput.type = 'number';
+      lineAmountInput.min = '1';
+      lineAmountInput.placeholder = 'KES';
+      lineAmountInput.value = line.amount || '';
+      lineAmountInput.className = 'futuristic-input';
+      lineAmountInput.style.padding = '12px';
+      lineAmountInput.style.background = 'rgba(15, 23, 42, 0.6)';
+      lineAmountInput.style.border = '1px solid rgba(6, 182, 212, 0.3)';
+      lineAmountInput.style.borderRadius = '12px';
+      lineAmountInput.style.color = '#ffffff';
+      lineAmountInput.addEventListener('input', (e) => {
+        this.giftLines[index].amount = parseFloat(e.target.value) || 0;
+        this.updateGiftTotal();
+      });
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'futuristic-button';
+      removeButton.style.padding = '10px 14px';
+      removeButton.textContent = '✕';
+      removeButton.title = 'Remove line';
+      removeButton.disabled = this.giftLines.length <= 2;
+      removeButton.addEventListener('click', () => {
+        this.giftLines.splice(index, 1);
+        this.renderGiftLines();
+        this.updateGiftTotal();
+      });
+      
+      row.appendChild(fundSelect);
+      row.appendChild(lineAmountInput);
+      row.appendChild(removeButton);
+      container.appendChild(row);
+    });
+  }
+  
+  updateGiftTotal() {
+    const total = this.giftLines.reduce((sum, line) => sum + (line.amount || 0), 0);
+    this.amount = Math.round(total * 100) / 100;
+    const amountInput = document.getElementById('amount-input');
+    if (amountInput) {
+      amountInput.value = this.amount || '';
+    }
   }
   
   setPaymentMethod(method) {
@@ -1203,6 +1303,76 @@ class MakePaymentsView {
     });
   }
   
+  renderTitheCategoryCheckboxes() {
+    const container = document.getElementById('tithe-distribution-checkboxes');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    if (this.titheCategories.length === 0) {
+      const emptyNote = document.createElement('div');
+      emptyNote.style.fontSize = '14px';
+      emptyNote.style.color = '#94a3b8';
+      emptyNote.textContent = 'No tithe categories available - your tithe will go to the general tithe fund.';
+      container.appendChild(emptyNote);
+      return;
+    }
+    
+    // Create checkbox for each tithe category
+    this.titheCategories.forEach(({ code: key, displayName: label }) => {
+      const checkboxContainer = document.createElement('div');
+      checkboxContainer.style.position = 'relative';
+      checkboxContainer.style.padding = '15px';
+      checkboxContainer.style.background = 'linear-gradient(135deg, rgba(30, 41, 59, 0.4), rgba(30, 41, 59, 0.2))';
+      checkboxContainer.style.borderRadius = '12px';
+      checkboxContainer.style.border = '1px solid rgba(30, 41, 59, 0.6)';
+      checkboxContainer.style.transition = 'all 0.3s ease';
+      checkboxContainer.style.cursor = 'pointer';
+      
+      const checkboxWrapper = document.createElement('label');
+      checkboxWrapper.style.display = 'flex';
+      checkboxWrapper.style.alignItems = 'center';
+      checkboxWrapper.style.cursor = 'pointer';
+      checkboxWrapper.style.gap = '12px';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `tithe-${key}`;
+      checkbox.checked = !!this.titheDistributionSDA[key];
+      checkbox.style.width = '18px';
+      checkbox.style.height = '18px';
+      checkbox.style.accentColor = '#06b6d4';
+      checkbox.style.cursor = 'pointer';
+      
+      const checkboxLabel = document.createElement('span');
+      checkboxLabel.style.fontSize = '14px';
+      checkboxLabel.style.fontWeight = '500';
+      checkboxLabel.style.color = '#e2e8f0';
+      checkboxLabel.textContent = label;
+      
+      // Add event listener for checkbox change
+      checkbox.addEventListener('change', (e) => {
+        this.titheDistributionSDA[key] = e.target.checked;
+        this.updateTitheDistributionUI();
+      });
+      
+      // Add click handler for the container
+      checkboxContainer.addEventListener('click', (e) => {
+        if (e.target !== checkbox) {
+          checkbox.checked = !checkbox.checked;
+          this.titheDistributionSDA[key] = checkbox.checked;
+          this.updateTitheDistributionUI();
+        }
+      });
+      
+      checkboxWrapper.appendChild(checkbox);
+      checkboxWrapper.appendChild(checkboxLabel);
+      checkboxContainer.appendChild(checkboxWrapper);
+      
+      container.appendChild(checkboxContainer);
+    });
+  }
+  
   updateTitheDistributionUI() {
     const summaryContent = document.getElementById('tithe-summary-content');
     if (!summaryContent) return;
@@ -1210,14 +1380,8 @@ class MakePaymentsView {
     const selectedCategories = Object.entries(this.titheDistributionSDA)
       .filter(([key, value]) => value)
       .map(([key, value]) => {
-        const categoryNames = {
-          campMeetingExpenses: 'Camp Meeting Expenses',
-          welfare: 'Welfare & Assistance',
-          thanksgiving: 'Thanksgiving Services',
-          stationFund: 'Local Station Fund',
-          mediaMinistry: 'Media Ministry'
-        };
-        return categoryNames[key];
+        const category = this.titheCategories.find(cat => cat.code === key);
+        return category ? category.displayName : key;
       });
     
     if (selectedCategories.length === 0) {
@@ -1275,7 +1439,10 @@ class MakePaymentsView {
       if (response && response.paymentId) {
         // Handle successful initiation - show prompt message
         const methodName = this.paymentMethod === 'MPESA' ? 'M-Pesa' : 'KCB Mobile';
-        this.showMessage(`Payment initiated successfully! Please check your phone for the ${methodName} prompt.`, 'success');
+        const feeNote = response.feeBearer === 'GIVER' && response.platformFee > 0
+          ? ` The prompt is for KES ${Number(response.chargeAmount).toFixed(2)}, including a KES ${Number(response.platformFee).toFixed(2)} platform fee.`
+          : '';
+        this.showMessage(`Payment initiated successfully! Please check your phone for the ${methodName} prompt.${feeNote}`, 'success');
         
         // Poll for payment status if we have a checkout ID
         if (response.checkoutRequestId) {
@@ -1316,6 +1483,18 @@ class MakePaymentsView {
       return false;
     }
     
+    // Validate split gift lines
+    if (this.paymentType === 'SPLIT_GIFT') {
+      if (this.giftLines.length < 2 || this.giftLines.some(line => !line.amount || line.amount <= 0)) {
+        this.showMessage('Enter an amount for every gift line (at least two lines)', 'error');
+        return false;
+      }
+      if (new Set(this.giftLines.map(line => line.fund)).size !== this.giftLines.length) {
+        this.showMessage('Each fund can appear only once in a split gift', 'error');
+        return false;
+      }
+    }
+    
     return true;
   }
   
@@ -1382,6 +1561,16 @@ class MakePaymentsView {
       paymentData.titheDistributionSDA = { ...this.titheDistributionSDA };
     }
     
+    // Add split gift lines if applicable
+    if (this.paymentType === 'SPLIT_GIFT') {
+      paymentData.lines = this.giftLines.map(line => {
+        const [fund, offeringId] = line.fund.split(':');
+        return offeringId
+          ? { paymentType: 'SPECIAL', specialOfferingId: parseInt(offeringId), amount: line.amount }
+          : { paymentType: fund, amount: line.amount };
+      });
+    }
+    
     return paymentData;
   }
   
@@ -1413,7 +1602,7 @@ class MakePaymentsView {
           
           // Reset form
           this.resetForm();
-        } else if (statusResponse.status === 'FAILED' || statusResponse.status === 'CANCELLED') {
+        } else if (['FAILED', 'CANCELLED', 'EXPIRED'].includes(statusResponse.status)) {
           // Payment failed
           const methodName = this.paymentMethod === 'MPESA' ? 'M-Pesa' : 'KCB Mobile';
           this.showMessage(`${methodName} payment ${statusResponse.status.toLowerCase()}: ${statusResponse.description || 'Transaction was not completed'}`, 'error');
@@ -1451,13 +1640,9 @@ class MakePaymentsView {
     if (notesInput) notesInput.value = '';
     
     // Reset tithe distribution to default
-    this.titheDistributionSDA = {
-      campMeetingExpenses: false,
-      welfare: false,
-      thanksgiving: false,
-      stationFund: false,
-      mediaMinistry: false
-    };
+    Object.keys(this.titheDistributionSDA).forEach(key => {
+      this.titheDistributionSDA[key] = false;
+    });
     
     // Update UI checkboxes
     Object.keys(this.titheDistributionSDA).forEach(key => {
@@ -1557,6 +1742,8 @@ class MakePaymentsView {
         return 'Donation';
       case 'SPECIAL':
         return 'Special Offering';
+      case 'SPLIT_GIFT':
+        return 'Split Gift';
       default:
         return type;
     }
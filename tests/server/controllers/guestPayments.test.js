@@ -0,0 +1,89 @@
+const mockPrisma = {};
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+jest.mock('../../../server/utils/notificationUtils.js', () => ({ sendSmsNotification: jest.fn() }));
+jest.mock('../../../server/utils/paymentUtils.js', () => ({ initiateMpesaPayment: jest.fn() }));
+jest.mock('../../../server/utils/feeRules.js', () => ({
+  ...jest.requireActual('../../../server/utils/feeRules.js'),
+  computePlatformFee: jest.fn(async ({ amount }) => ({ platformFee: 0, feeBearer: 'CHURCH', feeRuleId: null, chargeAmount: amount }))
+}));
+
+process.env.JWT_SECRET = 'jwt-secret-for-unit-tests-0123456789abcdef';
+process.env.SESSION_SECRET = 'session-secret-for-unit-tests-0123456789abcdef';
+
+const { logger } = require('../../../server/config/logger');
+const { initiateMpesaPayment } = require('../../../server/utils/paymentUtils.js');
+const { initiatePayment } = require('../../../server/controllers/paymentController');
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const giveAsGuest = async () => {
+  const res = mockRes();
+  await initiatePayment({
+    guestGiver: { phone: '0712345678', name: 'Peter Otieno' },
+    body: { amount: '500', paymentType: 'OFFERING', paymentMethod: 'MPESA' }
+  }, res);
+  return res;
+};
+
+let tx;
+let events;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  events = [];
+  tx = {
+    user: {
+      findFirst: jest.fn(async () => {
+        events.push('giver');
+        return { id: 40, fullName: 'Peter Otieno', phone: '254712345678', isGuest: true, deletedAt: null };
+      })
+    },
+    payment: { create: jest.fn(async ({ data }) => ({ id: 9, ...data })) }
+  };
+  mockPrisma.$transaction = jest.fn(async (work) => work(tx));
+  mockPrisma.adminAction = { create: jest.fn().mockResolvedValue({}) };
+  initiateMpesaPayment.mockImplementation(async () => {
+    events.push('push');
+    return { reference: 'ws_CO_1', transactionId: 'MR-1', message: 'Check your phone.' };
+  });
+});
+
+afterEach(() => new Promise(resolve => setImmediate(resolve)));
+
+describe('initiatePayment for a guest', () => {
+  test('resolves the guest giver before the STK push and records the gift against it', async () => {
+    const res = await giveAsGuest();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(events).toEqual(['giver', 'push']);
+    expect(tx.payment.create.mock.calls[0][0].data).toMatchObject({ userId: 40, payerPhone: '254712345678', status: 'PENDING' });
+  });
+
+  test('does not charge a phone number that cannot be used for giving', async () => {
+    tx.user.findFirst.mockResolvedValue({ id: 41, fullName: 'Former Member', isGuest: false, deletedAt: new Date('2026-09-01') });
+
+    const res = await giveAsGuest();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error).toEqual({ code: 'GIVER_UNAVAILABLE' });
+    expect(initiateMpesaPayment).not.toHaveBeenCalled();
+    expect(tx.payment.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+const mockPrisma = {};
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+jest.mock('../../../server/utils/notificationUtils.js', () => ({ sendSmsNotification: jest.fn() }));
+
+process.env.JWT_SECRET = 'jwt-secret-for-unit-tests-0123456789abcdef';
+process.env.SESSION_SECRET = 'session-secret-for-unit-tests-0123456789abcdef';
+
+const { Prisma } = require('@prisma/client');
+const { sendSmsNotification } = require('../../../server/utils/notificationUtils.js');
+const WalletService = require('../../../server/utils/walletService.js');
+const { processMpesaResult, processKcbResult } = require('../../../server/controllers/paymentController');
+
+const pendingPayment = (overrides = {}) => ({
+  id: 5,
+  userId: 3,
+  status: 'PENDING',
+  paymentType: 'OFFERING',
+  paymentMethod: 'MPESA',
+  amount: new Prisma.Decimal('1000'),
+  platformFee: new Prisma.Decimal('0'),
+  feeBearer: 'CHURCH',
+  payerPhone: '254712345678',
+  paymentDate: new Date('2026-10-17T08:00:00Z'),
+  description: null,
+  lines: [],
+  user: { fullName: 'Jane Wanjiru', phone: '0712345678' },
+  ...overrides
+});
+
+const stkResult = (items) => ({
+  MerchantRequestID: 'MR-1',
+  CheckoutRequestID: 'ws_CO_1',
+  ResultCode: 0,
+  ResultDesc: 'The service request is processed successfully.',
+  ...(items ? { CallbackMetadata: { Item: items } } : {})
+});
+
+const metadata = ({ amount = 1000, phone = 254712345678 } = {}) => [
+  { Name: 'Amount', Value: amount },
+  { Name: 'MpesaReceiptNumber', Value: 'RKT7ABC123' },
+  { Name: 'TransactionDate', Value: 20261017110515 },
+  { Name: 'PhoneNumber', Value: phone }
+].filter(item => item.Value !== undefined);
+
+// Flush setImmediate callbacks queued by the processors
+const flushImmediate = () => new Promise(resolve => setImmediate(resolve));
+
+let tx;
+let events;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  events = [];
+  tx = {
+    payment: {
+      findFirst: jest.fn().mockResolvedValue(pendingPayment()),
+      update: jest.fn(async ({ data }) => ({ ...pendingPayment(), ...data }))
+    },
+    paymentStatusHistory: { createMany: jest.fn() },
+    receipt: { create: jest.fn() }
+  };
+  // Anything the work queues runs before the commit is recorded, so an SMS sent from inside it shows up first
+  mockPrisma.$transaction = jest.fn(async (work) => {
+    const result = await work(tx);
+    await flushImmediate();
+    events.push('commit');
+    return result;
+  });
+  sendSmsNotification.mockImplementation(async () => {
+    events.push('sms');
+  });
+  jest.spyOn(WalletService.prototype, 'updateWalletsForPayment').mockResolvedValue([]);
+});
+
+// Let each test's after-commit SMS run before the next test resets the mocks
+afterEach(() => flushImmediate());
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processMpesaResult', () => {
+  test('completes a matching callback and sends the receipt SMS after commit', async () => {
+    const result = await processMpesaResult(stkResult(metadata()));
+    await flushImmediate();
+
+    expect(result).toEqual({ success: true, paymentId: 5 });
+    expect(tx.payment.update.mock.calls[0][0].data).toMatchObject({ status: 'COMPLETED', transactionId: 'RKT7ABC123' });
+    expect(tx.paymentStatusHistory.createMany.mock.calls[0][0].data[0]).toMatchObject({ toStatus: 'COMPLETED', source: 'MPESA_CALLBACK' });
+    expect(WalletService.prototype.updateWalletsForPayment).toHaveBeenCalledWith(5, tx);
+    expect(sendSmsNotification).toHaveBeenCalledWith('0712345678', expect.stringContaining('KES 1000.00 for OFFERING was successful'));
+    expect(events).toEqual(['commit', 'sms']);
+  });
+
+  test('does not apply a callback without metadata or without the amount', async () => {
+    for (const callback of [stkResult(), stkResult(metadata({ amount: null }))]) {
+      expect(await processMpesaResult(callback)).toEqual({
+        mismatch: true, reason: 'Callback does not report the amount paid', paymentId: 5
+      });
+    }
+    await flushImmediate();
+
+    expect(tx.payment.update).not.toHaveBeenCalled();
+    expect(sendSmsNotification).not.toHaveBeenCalled();
+  });
+
+  test('does not apply a callback whose amount or phone disagrees with the payment', async () => {
+    expect((await processMpesaResult(stkResult(metadata({ amount: 10 })))).reason).toBe('Callback amount 10 does not match payment amount 1000');
+    expect((await processMpesaResult(stkResult(metadata({ phone: 254799999999 })))).reason)
+      .toBe('Callback phone 254799999999 does not match the number the payment was requested from');
+    expect(tx.payment.update).not.toHaveBeenCalled();
+  });
+
+  test('expects the giver-paid fee in the amount charged', async () => {
+    tx.payment.findFirst.mockResolvedValue(pendingPayment({ platformFee: new Prisma.Decimal('15'), feeBearer: 'GIVER' }));
+    expect((await processMpesaResult(stkResult(metadata({ amount: 1015 })))).success).toBe(true);
+  });
+
+  test('lets the reconciler complete a payment it confirmed with Safaricom, without metadata', async () => {
+    expect(await processMpesaResult(stkResult(), { source: 'RECONCILER' })).toEqual({ success: true, paymentId: 5 });
+    expect(tx.paymentStatusHistory.createMany.mock.calls[0][0].data[0].source).toBe('RECONCILER');
+  });
+
+  test('sends nothing when the completion rolls back', async () => {
+    WalletService.prototype.updateWalletsForPayment.mockRejectedValue(new Error('Insufficient funds'));
+
+    await expect(processMpesaResult(stkResult(metadata()))).rejects.toThrow('Insufficient funds');
+    await flushImmediate();
+
+    expect(sendSmsNotification).not.toHaveBeenCalled();
+  });
+
+  test('fails the payment on a non-zero result code', async () => {
+    const result = await processMpesaResult({ ...stkResult(), ResultCode: 1032, ResultDesc: 'Request cancelled by user' });
+
+    expect(result).toEqual({ success: false, reason: 'Request cancelled by user', paymentId: 5 });
+    expect(tx.payment.update.mock.calls[0][0].data.status).toBe('FAILED');
+  });
+
+  test('ignores a result naming no payment', async () => {
+    expect(await processMpesaResult({ ResultCode: 0 })).toEqual({ alreadyProcessedOrNotFound: true });
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('processKcbResult', () => {
+  beforeEach(() => {
+    tx.payment.findFirst.mockResolvedValue(pendingPayment({ paymentMethod: 'KCB' }));
+  });
+
+  test('requires the amount from a callback but not from the reconciler', async () => {
+    const result = { transactionReference: 'KCBREF', transactionId: 'KCB-9', resultCode: '0' };
+
+    expect((await processKcbResult(result)).reason).toBe('Callback does not report the amount paid');
+    expect(await processKcbResult({ ...result, amount: '1000', phoneNumber: '0712345678' })).toEqual({ success: true, paymentId: 5 });
+    expect(await processKcbResult(result, { source: 'RECONCILER' })).toEqual({ success: true, paymentId: 5 });
+  });
+});
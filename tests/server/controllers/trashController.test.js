@@ -0,0 +1,120 @@
+const mockPrisma = {};
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+
+process.env.JWT_SECRET = 'jwt-secret-for-unit-tests-0123456789abcdef';
+process.env.SESSION_SECRET = 'session-secret-for-unit-tests-0123456789abcdef';
+
+const { Prisma } = require('@prisma/client');
+const { logger } = require('../../../server/config/logger');
+const { purgeRecord } = require('../../../server/controllers/trashController');
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const purgeUser = async () => {
+  const res = mockRes();
+  await purgeRecord({ params: { type: 'users', id: '7' }, user: { id: 1, username: 'treasurer' } }, res);
+  return res;
+};
+
+// Counts of the rows that depend on user 7
+const userTx = (counts = {}) => {
+  const count = (name) => jest.fn().mockResolvedValue(counts[name] || 0);
+  return {
+    user: {
+      findFirst: jest.fn().mockResolvedValue({ id: 7, deletedAt: new Date('2026-10-01'), deleteReason: 'Left the church' }),
+      delete: jest.fn().mockResolvedValue({ id: 7 })
+    },
+    payment: { count: count('payments') },
+    receipt: { count: count('receipts') },
+    withdrawalRequest: { count: count('withdrawalRequests') },
+    withdrawalApproval: { count: count('withdrawalApprovals') },
+    adminAction: { count: count('adminActions') },
+    adminActionApproval: { count: count('adminActionApprovals') }
+  };
+};
+
+let tx;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  mockPrisma.$transaction = jest.fn(async (work) => work(tx));
+  mockPrisma.adminAction = { create: jest.fn().mockResolvedValue({}) };
+});
+
+afterEach(() => new Promise(resolve => setImmediate(resolve)));
+
+describe('purgeRecord users', () => {
+  test('deletes a trashed user nothing depends on', async () => {
+    tx = userTx();
+
+    const res = await purgeUser();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(tx.user.delete).toHaveBeenCalledWith({ where: { id: 7 } });
+    expect(tx.payment.count).toHaveBeenCalledWith({ where: { userId: 7, deletedAt: undefined } });
+  });
+
+  test('refuses a user with payments, counting trashed ones', async () => {
+    tx = userTx({ payments: 2 });
+
+    const res = await purgeUser();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error).toEqual({ code: 'USER_HAS_FINANCIAL_RECORDS', payments: 2, receipts: 0 });
+    expect(tx.user.delete).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['withdrawalRequests'],
+    ['withdrawalApprovals'],
+    ['adminActions'],
+    ['adminActionApprovals']
+  ])('refuses a user with %s', async (name) => {
+    tx = userTx({ [name]: 1 });
+
+    const res = await purgeUser();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'USER_HAS_AUDIT_RECORDS', [name]: 1 });
+    expect(tx.user.delete).not.toHaveBeenCalled();
+  });
+
+  test('reports a row the database still restricts as in use', async () => {
+    tx = userTx();
+    tx.user.delete.mockRejectedValue(new Prisma.PrismaClientKnownRequestError('Foreign key constraint failed', {
+      code: 'P2003',
+      clientVersion: '5.0.0',
+      meta: { field_name: 'CashCountEnvelope_userId_fkey' }
+    }));
+
+    const res = await purgeUser();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error.code).toBe('RECORD_IN_USE');
+  });
+
+  test('returns 404 for a user that is not in the trash', async () => {
+    tx = userTx();
+    tx.user.findFirst.mockResolvedValue(null);
+
+    const res = await purgeUser();
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(tx.user.findFirst).toHaveBeenCalledWith({ where: { id: 7, deletedAt: { not: null } } });
+  });
+});
@@ -0,0 +1,12 @@
+// Stand-in for @prisma/client in unit tests: modules that build a client at load get one with no
+// models, and the real Prisma namespace (Decimal, error classes) is kept. Tests pass fake clients
+// to the functions that query.
+const { Prisma } = jest.requireActual('@prisma/client');
+
+class PrismaClient {
+  $extends() {
+    return this;
+  }
+}
+
+module.exports = { Prisma, PrismaClient };
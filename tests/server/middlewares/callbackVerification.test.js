@@ -0,0 +1,157 @@
+const mockPrisma = { paymentCallbackLog: {} };
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+
+const crypto = require('crypto');
+const { verifyPaymentCallback } = require('../../../server/middlewares/callbackVerification');
+const { withCallbackToken, getCallbackKey, completeCallbackLog } = require('../../../server/utils/paymentCallbacks');
+
+const SECRET = 'callback-secret';
+
+const stkBody = { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0 } } };
+
+const callbackRequest = ({ body = stkBody, query = {}, headers = {}, ip = '::ffff:196.201.214.200' } = {}) => ({
+  body,
+  rawBody: Buffer.from(JSON.stringify(body)),
+  query,
+  headers,
+  ip,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((data) => { res.body = data; return res; });
+  return res;
+};
+
+const run = async (provider, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await verifyPaymentCallback(provider)(req, res, next);
+  return { res, next };
+};
+
+// Reference claims held by the callback log's unique dedupeKey
+let claimedKeys;
+
+beforeEach(() => {
+  ['MPESA', 'KCB'].forEach(provider => {
+    delete process.env[`${provider}_CALLBACK_SECRET`];
+    delete process.env[`${provider}_CALLBACK_ALLOWED_IPS`];
+  });
+  claimedKeys = new Set();
+  let nextId = 1;
+  mockPrisma.paymentCallbackLog.create = jest.fn(async ({ data }) => {
+    if (data.dedupeKey) {
+      if (claimedKeys.has(data.dedupeKey)) throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      claimedKeys.add(data.dedupeKey);
+    }
+    return { id: nextId++, ...data };
+  });
+  mockPrisma.paymentCallbackLog.update = jest.fn(async ({ data }) => data);
+});
+
+describe('callback references and tokens', () => {
+  test('reads the reference each provider reports', () => {
+    expect(getCallbackKey('MPESA', stkBody)).toBe('ws_CO_1');
+    expect(getCallbackKey('MPESA_C2B', { TransID: 'RKT1' })).toBe('RKT1');
+    expect(getCallbackKey('KCB', { transactionId: 42 })).toBe('42');
+    expect(getCallbackKey('KCB', {})).toBeNull();
+  });
+
+  test('appends the token only when a secret is configured', () => {
+    expect(withCallbackToken('https://church.example/api/payments/mpesa/callback', 'MPESA')).toBe('https://church.example/api/payments/mpesa/callback');
+    process.env.MPESA_CALLBACK_SECRET = 'a&b';
+    expect(withCallbackToken('https://church.example/cb?v=2', 'MPESA')).toBe('https://church.example/cb?v=2&token=a%26b');
+  });
+});
+
+describe('verifyPaymentCallback', () => {
+  test('stores and passes on a callback when no checks are configured', async () => {
+    const req = callbackRequest();
+    const { next } = await run('MPESA', req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.callbackLog).toMatchObject({ provider: 'MPESA', callbackKey: 'ws_CO_1', status: 'RECEIVED', dedupeKey: 'MPESA:ws_CO_1', sourceIp: '196.201.214.200' });
+  });
+
+  test('rejects a source outside the allowlist and stores the rejection', async () => {
+    process.env.MPESA_CALLBACK_ALLOWED_IPS = '196.201.214.200, 196.201.214.206';
+
+    const allowed = await run('MPESA', callbackRequest());
+    const refused = await run('MPESA', callbackRequest({ ip: '10.0.0.7' }));
+
+    expect(allowed.next).toHaveBeenCalled();
+    expect(refused.next).not.toHaveBeenCalled();
+    expect(refused.res.statusCode).toBe(403);
+    expect(refused.res.body).toEqual({ ResultCode: 1, ResultDesc: 'Callback rejected' });
+    expect(mockPrisma.paymentCallbackLog.create.mock.calls[1][0].data).toMatchObject({
+      status: 'REJECTED', rejectionReason: 'Source IP 10.0.0.7 is not allowed'
+    });
+  });
+
+  test('accepts the shared secret as a token or as an HMAC of the raw body', async () => {
+    process.env.KCB_CALLBACK_SECRET = SECRET;
+    const body = { transactionReference: 'KCB-3', resultCode: '0' };
+    const signature = crypto.createHmac('sha256', SECRET).update(JSON.stringify(body)).digest('hex');
+
+    expect((await run('KCB', callbackRequest({ body: { transactionReference: 'KCB-1' }, query: { token: SECRET } }))).next).toHaveBeenCalled();
+    expect((await run('KCB', callbackRequest({ body: { transactionReference: 'KCB-2' }, headers: { 'x-callback-token': SECRET } }))).next).toHaveBeenCalled();
+    expect((await run('KCB', callbackRequest({ body, headers: { 'x-callback-signature': signature.toUpperCase() } }))).next).toHaveBeenCalled();
+
+    const tampered = await run('KCB', callbackRequest({ body: { ...body, resultCode: '1' }, headers: { 'x-callback-signature': signature } }));
+    expect(tampered.res.statusCode).toBe(403);
+  });
+
+  test('rejects a missing or wrong secret', async () => {
+    process.env.KCB_CALLBACK_SECRET = SECRET;
+
+    const missing = await run('KCB', callbackRequest({ body: { transactionReference: 'KCB-1' } }));
+    const wrong = await run('KCB', callbackRequest({ body: { transactionReference: 'KCB-1' }, query: { token: 'guess' } }));
+
+    expect(missing.res.body).toEqual({ status: 'error', message: 'Callback rejected' });
+    expect(mockPrisma.paymentCallbackLog.create.mock.calls.map(([{ data }]) => data.rejectionReason)).toEqual([
+      'Missing callback token or signature',
+      'Invalid callback token or signature'
+    ]);
+    expect(wrong.next).not.toHaveBeenCalled();
+  });
+
+  test('acknowledges a repeated callback without passing it on', async () => {
+    await run('MPESA', callbackRequest());
+    const { res, next } = await run('MPESA', callbackRequest());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body).toEqual({ ResultCode: 0, ResultDesc: 'Duplicate callback ignored.' });
+    expect(mockPrisma.paymentCallbackLog.create.mock.calls[2][0].data).toMatchObject({
+      status: 'DUPLICATE', rejectionReason: 'Callback for ws_CO_1 already received'
+    });
+  });
+
+  test('stores only sanitized headers', async () => {
+    const req = callbackRequest({ headers: { 'content-type': 'application/json', cookie: 'sid=1', authorization: 'Bearer x' } });
+    await run('MPESA', req);
+    expect(req.callbackLog.headers).toEqual({ 'content-type': 'application/json' });
+  });
+});
+
+describe('completeCallbackLog', () => {
+  test('records the outcome and releases the reference when processing failed', async () => {
+    await completeCallbackLog(1, { success: true, paymentId: 9 });
+    await completeCallbackLog(2, { mismatch: true, reason: 'Callback does not report the amount paid', paymentId: 9 });
+    await completeCallbackLog(3, { error: 'Deadlock' }, { reprocessed: true });
+
+    const updates = mockPrisma.paymentCallbackLog.update.mock.calls.map(([{ data }]) => data);
+    expect(updates.map(data => data.status)).toEqual(['PROCESSED', 'MISMATCH', 'FAILED']);
+    expect(updates[0]).not.toHaveProperty('dedupeKey');
+    expect(updates[2]).toMatchObject({ dedupeKey: null, reprocessCount: { increment: 1 } });
+  });
+});
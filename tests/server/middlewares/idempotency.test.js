@@ -0,0 +1,163 @@
+const mockPrisma = { idempotencyKey: {} };
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+
+const { EventEmitter } = require('events');
+const { idempotent, getIdempotencyTtlHours } = require('../../../server/middlewares/idempotency');
+
+// IdempotencyKey rows, unique per user and key
+let rows;
+
+const paymentRequest = ({ key = 'key-1', body = { amount: 500, paymentType: 'OFFERING' }, userId = 3 } = {}) => ({
+  method: 'POST',
+  originalUrl: '/api/payments/initiate?source=app',
+  body,
+  user: { id: userId },
+  get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.sent = new Promise(resolve => { res.resolveSent = resolve; });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.json = jest.fn((body) => { res.body = body; res.resolveSent(body); return res; });
+  return res;
+};
+
+// Run the middleware, then the handler when it is reached; resolves once a response is sent
+const send = async (req, handler = (request, res) => res.status(202).json({ success: true, paymentId: 11 })) => {
+  const res = mockResponse();
+  await idempotent()(req, res, () => handler(req, res));
+  await res.sent;
+  return res;
+};
+
+beforeEach(() => {
+  delete process.env.IDEMPOTENCY_KEY_TTL_HOURS;
+  rows = [];
+  mockPrisma.idempotencyKey.create = jest.fn(async ({ data }) => {
+    if (rows.some(row => row.userId === data.userId && row.key === data.key)) {
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    }
+    const row = { id: rows.length + 1, updatedAt: new Date(), ...data };
+    rows.push(row);
+    return row;
+  });
+  mockPrisma.idempotencyKey.findUnique = jest.fn(async ({ where }) =>
+    rows.find(row => row.userId === where.userId_key.userId && row.key === where.userId_key.key) || null);
+  mockPrisma.idempotencyKey.update = jest.fn(async ({ where, data }) => Object.assign(rows.find(row => row.id === where.id), data));
+  mockPrisma.idempotencyKey.updateMany = jest.fn(async ({ where, data }) => {
+    const row = rows.find(candidate => candidate.id === where.id && candidate.updatedAt === where.updatedAt);
+    if (!row) return { count: 0 };
+    Object.assign(row, data, { updatedAt: new Date() });
+    return { count: 1 };
+  });
+  mockPrisma.idempotencyKey.delete = jest.fn(async ({ where }) => {
+    rows = rows.filter(row => row.id !== where.id);
+  });
+});
+
+describe('idempotent', () => {
+  test('runs a request without a key normally', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await idempotent()(paymentRequest({ key: null }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(mockPrisma.idempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('stores the first response and replays it for a repeat with the same body', async () => {
+    const handler = jest.fn((req, res) => res.status(202).json({ success: true, paymentId: 11 }));
+
+    const first = await send(paymentRequest(), handler);
+    const repeat = await send(paymentRequest({ body: { paymentType: 'OFFERING', amount: 500 } }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(first.headers).toEqual({});
+    expect(rows[0]).toMatchObject({ status: 'COMPLETED', responseStatus: 202, path: '/api/payments/initiate' });
+    expect(repeat.statusCode).toBe(202);
+    expect(repeat.body).toEqual({ success: true, paymentId: 11 });
+    expect(repeat.headers).toEqual({ 'Idempotent-Replayed': 'true' });
+  });
+
+  test('keeps keys apart per user', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    await send(paymentRequest(), handler);
+    await send(paymentRequest({ userId: 4 }), handler);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('refuses a key reused for a different request', async () => {
+    await send(paymentRequest());
+    const res = await send(paymentRequest({ body: { amount: 5000, paymentType: 'OFFERING' } }));
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    const firstRes = mockResponse();
+    await idempotent()(paymentRequest(), firstRes, () => {});
+
+    const res = await send(paymentRequest());
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  });
+
+  test('does not store server errors, so the request can be retried with the same key', async () => {
+    await send(paymentRequest(), (req, res) => res.status(500).json({ success: false }));
+    expect(rows).toEqual([]);
+
+    const retry = await send(paymentRequest());
+    expect(retry.statusCode).toBe(202);
+  });
+
+  test('releases the key when the request ends without a JSON response', async () => {
+    const res = mockResponse();
+    await idempotent()(paymentRequest(), res, () => {});
+    res.emit('close');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(rows).toEqual([]);
+  });
+
+  test('lets a retry take over an abandoned or expired key', async () => {
+    await idempotent()(paymentRequest(), mockResponse(), () => {});
+    rows[0].updatedAt = new Date(Date.now() - 10 * 60 * 1000);
+
+    const retry = await send(paymentRequest());
+    expect(retry.statusCode).toBe(202);
+
+    rows[0].expiresAt = new Date(Date.now() - 1000);
+    const afterExpiry = await send(paymentRequest({ body: { amount: 100, paymentType: 'DONATION' } }));
+    expect(afterExpiry.statusCode).toBe(202);
+    expect(afterExpiry.headers).toEqual({});
+  });
+
+  test('rejects oversized keys', async () => {
+    const res = await send(paymentRequest({ key: 'k'.repeat(256) }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+});
+
+describe('getIdempotencyTtlHours', () => {
+  test('defaults to 24 hours', () => {
+    expect(getIdempotencyTtlHours()).toBe(24);
+    process.env.IDEMPOTENCY_KEY_TTL_HOURS = '-5';
+    expect(getIdempotencyTtlHours()).toBe(24);
+    process.env.IDEMPOTENCY_KEY_TTL_HOURS = '72';
+    expect(getIdempotencyTtlHours()).toBe(72);
+  });
+});
@@ -0,0 +1,227 @@
+const mockPrisma = { adminAction: {}, user: {} };
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+
+const mockDeletePayment = jest.fn();
+jest.mock('../../../server/controllers/paymentController.js', () => ({ deletePayment: mockDeletePayment }));
+
+process.env.JWT_SECRET = 'jwt-secret-for-unit-tests-0123456789abcdef';
+process.env.SESSION_SECRET = 'session-secret-for-unit-tests-0123456789abcdef';
+
+const { body } = require('express-validator');
+const {
+  createAdminAction,
+  executeAdminAction,
+  getRequiredAdminApprovals
+} = require('../../../server/middlewares/multiAdmin');
+
+// Minimal Express response that records what the middleware sent
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((data) => { res.body = data; return res; });
+  return res;
+};
+
+const adminRequest = (overrides = {}) => ({
+  method: 'DELETE',
+  originalUrl: '/api/payments/42',
+  params: { id: '42' },
+  query: {},
+  body: { reason: 'Duplicate entry' },
+  user: { id: 1, username: 'admin1', isAdmin: true },
+  ...overrides
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  delete process.env.REQUIRED_ADMIN_APPROVALS;
+  delete process.env.VIEW_ONLY_ADMIN_USERNAMES;
+  mockPrisma.adminAction.findFirst = jest.fn().mockResolvedValue(null);
+  mockPrisma.adminAction.findUnique = jest.fn();
+  mockPrisma.adminAction.create = jest.fn(async ({ data }) => ({ id: 7, ...data }));
+  mockPrisma.user.findUnique = jest.fn();
+  mockDeletePayment.mockReset();
+});
+
+describe('getRequiredAdminApprovals', () => {
+  test('defaults to two and never drops below one', () => {
+    expect(getRequiredAdminApprovals()).toBe(2);
+    process.env.REQUIRED_ADMIN_APPROVALS = '0';
+    expect(getRequiredAdminApprovals()).toBe(1);
+    process.env.REQUIRED_ADMIN_APPROVALS = 'three';
+    expect(getRequiredAdminApprovals()).toBe(1);
+  });
+});
+
+describe('createAdminAction', () => {
+  test('refuses an unregistered action type at route setup', () => {
+    expect(() => createAdminAction('DROP_DATABASE')).toThrow('No replay handler registered for admin action type: DROP_DATABASE');
+  });
+
+  test('queues the request with its payload and answers 202', async () => {
+    const req = adminRequest();
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await createAdminAction('DELETE_PAYMENT')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(202);
+    expect(res.body.data.requiredApprovals).toBe(2);
+    const { data } = mockPrisma.adminAction.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      actionType: 'DELETE_PAYMENT',
+      targetId: '42',
+      initiatedById: 1,
+      status: 'PENDING',
+      requiredApprovals: 2,
+      actionData: { method: 'DELETE', path: '/api/payments/42', params: { id: '42' }, body: { reason: 'Duplicate entry' } }
+    });
+  });
+
+  test('refuses a request that failed validation instead of passing it on ungated', async () => {
+    const req = adminRequest({ body: {} });
+    await body('reason').notEmpty().withMessage('Reason is required').run(req);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await createAdminAction('DELETE_PAYMENT')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      details: [{ field: 'reason', message: 'Reason is required' }]
+    });
+    expect(mockPrisma.adminAction.create).not.toHaveBeenCalled();
+  });
+
+  test('validation runs before the when predicate', async () => {
+    const req = adminRequest({ body: { status: 'COMPLETED' } });
+    await body('reason').notEmpty().run(req);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await createAdminAction('REFUND_PAYMENT', { when: () => false })(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('passes the request straight on when the predicate does not apply', async () => {
+    const next = jest.fn();
+    await createAdminAction('REFUND_PAYMENT', { when: (req) => req.body.status === 'REFUNDED' })(
+      adminRequest({ body: { status: 'COMPLETED' } }), mockResponse(), next
+    );
+
+    expect(next).toHaveBeenCalled();
+    expect(mockPrisma.adminAction.create).not.toHaveBeenCalled();
+  });
+
+  test('passes replayed requests on without queueing them again', async () => {
+    const next = jest.fn();
+    await createAdminAction('DELETE_PAYMENT')(adminRequest({ adminAction: { id: 7 } }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(mockPrisma.adminAction.findFirst).not.toHaveBeenCalled();
+  });
+
+  test('view-only admins cannot initiate', async () => {
+    process.env.VIEW_ONLY_ADMIN_USERNAMES = 'admin1';
+    const res = mockResponse();
+
+    await createAdminAction('DELETE_PAYMENT')(adminRequest(), res, jest.fn());
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN_VIEW_ONLY');
+  });
+
+  test('refuses a second pending request for the same record', async () => {
+    mockPrisma.adminAction.findFirst.mockResolvedValue({ id: 3 });
+    const res = mockResponse();
+
+    await createAdminAction('DELETE_PAYMENT')(adminRequest(), res, jest.fn());
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toEqual({ code: 'ADMIN_ACTION_ALREADY_PENDING', adminActionId: 3 });
+    expect(mockPrisma.adminAction.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('executeAdminAction', () => {
+  const approvedAction = (approvals) => ({
+    id: 7,
+    actionType: 'DELETE_PAYMENT',
+    initiatedById: 1,
+    status: 'APPROVED',
+    requiredApprovals: 2,
+    approvals,
+    actionData: { method: 'DELETE', path: '/api/payments/42', params: { id: '42' }, body: { reason: 'Duplicate entry' } }
+  });
+  const initiator = { id: 1, username: 'admin1', isAdmin: true, isActive: true };
+
+  test('replays the stored request as the initiator and returns the handler response', async () => {
+    const action = approvedAction([{ adminId: 2, approved: true }, { adminId: 3, approved: true }]);
+    mockPrisma.user.findUnique.mockResolvedValue(initiator);
+    mockPrisma.adminAction.findUnique.mockResolvedValue(action);
+    mockDeletePayment.mockImplementation(async (req, res) => res.status(200).json({ success: true, deleted: req.params.id }));
+
+    const result = await executeAdminAction(action);
+
+    expect(result).toEqual({ statusCode: 200, body: { success: true, deleted: '42' } });
+    const [replayedReq] = mockDeletePayment.mock.calls[0];
+    expect(replayedReq.user).toMatchObject({ id: 1, isViewOnlyAdmin: false });
+    expect(replayedReq.body).toEqual({ reason: 'Duplicate entry' });
+    expect(replayedReq.adminAction).toBe(action);
+  });
+
+  test('returns the handler failure unchanged', async () => {
+    const action = approvedAction([{ adminId: 2, approved: true }, { adminId: 3, approved: true }]);
+    mockPrisma.user.findUnique.mockResolvedValue(initiator);
+    mockPrisma.adminAction.findUnique.mockResolvedValue(action);
+    mockDeletePayment.mockImplementation(async (req, res) => res.status(404).json({ success: false, message: 'Payment not found' }));
+
+    expect(await executeAdminAction(action)).toEqual({ statusCode: 404, body: { success: false, message: 'Payment not found' } });
+  });
+
+  test('does not count the initiator or duplicate approvals toward the threshold', async () => {
+    const action = approvedAction([{ adminId: 1, approved: true }, { adminId: 2, approved: true }, { adminId: 2, approved: true }]);
+    mockPrisma.user.findUnique.mockResolvedValue(initiator);
+    mockPrisma.adminAction.findUnique.mockResolvedValue(action);
+
+    const result = await executeAdminAction(action);
+
+    expect(result.statusCode).toBe(403);
+    expect(result.body.error).toEqual({ code: 'INSUFFICIENT_APPROVALS', currentApprovals: 1, requiredApprovals: 2 });
+    expect(mockDeletePayment).not.toHaveBeenCalled();
+  });
+
+  test('refuses to replay for an initiator who is no longer an active admin', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ ...initiator, isActive: false });
+
+    const result = await executeAdminAction(approvedAction([]));
+
+    expect(result.statusCode).toBe(403);
+    expect(mockDeletePayment).not.toHaveBeenCalled();
+  });
+
+  test('rejects an action type without a handler', async () => {
+    const result = await executeAdminAction({ ...approvedAction([]), actionType: 'DROP_DATABASE' });
+    expect(result.statusCode).toBe(400);
+  });
+});
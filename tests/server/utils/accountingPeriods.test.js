@@ -0,0 +1,82 @@
+const {
+  getPeriodCloseRoles,
+  getPeriodKey,
+  getPeriodBounds,
+  findClosedPeriod,
+  assertPeriodOpen
+} = require('../../../server/utils/accountingPeriods');
+
+const periodClient = (closedKeys) => ({
+  accountingPeriod: {
+    findFirst: jest.fn(async ({ where }) => {
+      const periodKey = where.periodKey.in.find(key => closedKeys.includes(key));
+      return periodKey ? { periodKey, status: 'CLOSED' } : null;
+    })
+  }
+});
+
+describe('getPeriodCloseRoles', () => {
+  const saved = process.env.PERIOD_CLOSE_ROLES;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.PERIOD_CLOSE_ROLES;
+    else process.env.PERIOD_CLOSE_ROLES = saved;
+  });
+
+  test('defaults to SUPER_ADMIN and reads a comma-separated list', () => {
+    delete process.env.PERIOD_CLOSE_ROLES;
+    expect(getPeriodCloseRoles()).toEqual(['SUPER_ADMIN']);
+    process.env.PERIOD_CLOSE_ROLES = 'SUPER_ADMIN, TREASURER,';
+    expect(getPeriodCloseRoles()).toEqual(['SUPER_ADMIN', 'TREASURER']);
+  });
+});
+
+describe('getPeriodKey', () => {
+  test('keys a date by local year and month', () => {
+    expect(getPeriodKey(new Date(2024, 0, 31, 23, 59))).toBe('2024-01');
+    expect(getPeriodKey(new Date(2024, 11, 1))).toBe('2024-12');
+  });
+});
+
+describe('getPeriodBounds', () => {
+  test('covers the whole month, including leap days', () => {
+    const { periodStart, periodEnd } = getPeriodBounds('2024-02');
+    expect(periodStart).toEqual(new Date(2024, 1, 1));
+    expect(periodEnd).toEqual(new Date(2024, 1, 29, 23, 59, 59, 999));
+  });
+
+  test('rejects malformed keys', () => {
+    expect(getPeriodBounds('2024-13')).toBeNull();
+    expect(getPeriodBounds('2024-1')).toBeNull();
+    expect(getPeriodBounds(null)).toBeNull();
+  });
+});
+
+describe('findClosedPeriod', () => {
+  test('checks each month once and ignores unreadable dates', async () => {
+    const client = periodClient(['2024-02']);
+    const closed = await findClosedPeriod(client, [new Date(2024, 0, 5), new Date(2024, 0, 20), '2024-02-10T12:00:00', null, 'not a date']);
+
+    expect(closed).toEqual({ periodKey: '2024-02', status: 'CLOSED' });
+    expect(client.accountingPeriod.findFirst.mock.calls[0][0].where.periodKey.in).toEqual(['2024-01', '2024-02']);
+  });
+
+  test('does not query without dates', async () => {
+    const client = periodClient([]);
+    expect(await findClosedPeriod(client, [null, undefined])).toBeNull();
+    expect(client.accountingPeriod.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('assertPeriodOpen', () => {
+  test('throws PERIOD_CLOSED for a date in a closed month', async () => {
+    await expect(assertPeriodOpen(periodClient(['2024-03']), new Date(2024, 2, 15), 'delete payments')).rejects.toEqual({
+      statusCode: 409,
+      message: 'Cannot delete payments: accounting period 2024-03 is closed. Record an adjustment in the current period instead.',
+      errorDetails: { code: 'PERIOD_CLOSED', periodKey: '2024-03' }
+    });
+  });
+
+  test('passes for open months', async () => {
+    await expect(assertPeriodOpen(periodClient(['2024-03']), new Date(2024, 3, 1), 'edit payments')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  parseStatementDate,
+  parseStatementAmount,
+  splitCsv,
+  detectStatementFormat,
+  parseBankStatement
+} = require('../../../server/utils/bankStatementParsers');
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseStatementDate', () => {
+  test('reads the field order of the format', () => {
+    expect(ymd(parseStatementDate('2024-03-05', 'YYYY-MM-DD'))).toEqual([2024, 3, 5]);
+    expect(ymd(parseStatementDate('05/03/2024', 'DD/MM/YYYY'))).toEqual([2024, 3, 5]);
+    expect(ymd(parseStatementDate('03/05/2024', 'MM/DD/YYYY'))).toEqual([2024, 3, 5]);
+  });
+
+  test('accepts month names and two-digit years', () => {
+    expect(ymd(parseStatementDate('05-Mar-24', 'DD-MMM-YYYY'))).toEqual([2024, 3, 5]);
+    expect(ymd(parseStatementDate('5 march 2024', 'DD MM YYYY'))).toEqual([2024, 3, 5]);
+  });
+
+  test('keeps a trailing time', () => {
+    const date = parseStatementDate('2024-03-05 14:30:15', 'YYYY-MM-DD');
+    expect([date.getHours(), date.getMinutes(), date.getSeconds()]).toEqual([14, 30, 15]);
+  });
+
+  test('rejects impossible and incomplete dates', () => {
+    expect(parseStatementDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+    expect(parseStatementDate('2024-13-01', 'YYYY-MM-DD')).toBeNull();
+    expect(parseStatementDate('2024-03', 'YYYY-MM-DD')).toBeNull();
+    expect(parseStatementDate('', 'YYYY-MM-DD')).toBeNull();
+  });
+});
+
+describe('parseStatementAmount', () => {
+  test('strips currency text and thousands separators', () => {
+    expect(parseStatementAmount('KES 1,234.50')).toBe(1234.5);
+    expect(parseStatementAmount(2500)).toBe(2500);
+  });
+
+  test('reads debits from brackets, DR suffixes and minus signs', () => {
+    expect(parseStatementAmount('(1,000.00)')).toBe(-1000);
+    expect(parseStatementAmount('250.00 DR')).toBe(-250);
+    expect(parseStatementAmount('250.00CR')).toBe(250);
+    expect(parseStatementAmount('-75.25')).toBe(-75.25);
+  });
+
+  test('reads a decimal comma when asked to', () => {
+    expect(parseStatementAmount('1.234,56', ',')).toBe(1234.56);
+  });
+
+  test('rounds to cents', () => {
+    expect(parseStatementAmount('10.456')).toBe(10.46);
+    expect(parseStatementAmount('0.1')).toBe(0.1);
+  });
+
+  test('returns null for empty cells', () => {
+    expect(parseStatementAmount('')).toBeNull();
+    expect(parseStatementAmount('-')).toBeNull();
+    expect(parseStatementAmount(null)).toBeNull();
+    expect(parseStatementAmount('n/a')).toBeNull();
+  });
+});
+
+describe('splitCsv', () => {
+  test('keeps delimiters, quotes and newlines inside quoted cells', () => {
+    const rows = splitCsv('a,"b, c","say ""hi"""\r\n"multi\nline",2,3\n\n', ',');
+    expect(rows).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', '2', '3']
+    ]);
+  });
+});
+
+describe('detectStatementFormat', () => {
+  test('recognizes camt.053, MT940 and falls back to CSV', () => {
+    expect(detectStatementFormat('s.xml', '<Document><BkToCstmrStmt>')).toBe('CAMT053');
+    expect(detectStatementFormat('s.txt', ':20:REF\n:25:ACC')).toBe('MT940');
+    expect(detectStatementFormat('s.sta', 'anything')).toBe('MT940');
+    expect(detectStatementFormat('s.csv', 'Date,Amount')).toBe('CSV');
+  });
+});
+
+describe('parseBankStatement', () => {
+  test('parses the KCB CSV layout after account detail lines', () => {
+    const csv = [
+      'Account,1234567890',
+      'Transaction Date,Bank Reference,Narrative,Money In,Money Out',
+      '05/03/2024,FT001,MPESA deposit,"1,500.00",',
+      '06/03/2024,FT002,Bank charges,,35.00',
+      ',,Closing balance,,',
+      '07/03/2024,FT003,Bad row,,'
+    ].join('\n');
+
+    const statement = parseBankStatement(csv, { format: 'CSV', layout: 'KCB' });
+
+    expect(statement.transactions).toHaveLength(2);
+    expect(statement.transactions[0]).toMatchObject({ transactionId: 'FT001', description: 'MPESA deposit', amount: 1500 });
+    expect(ymd(statement.transactions[0].transactionDate)).toEqual([2024, 3, 5]);
+    expect(statement.transactions[1]).toMatchObject({ transactionId: 'FT002', amount: -35 });
+    expect(statement.errors).toEqual([{ row: 6, message: 'Missing amount' }]);
+  });
+
+  test('gives rows without a bank ID stable synthetic IDs', () => {
+    const csv = 'Date,Description,Amount\n2024-03-05,Offering,100\n2024-03-05,Offering,100\n';
+    const first = parseBankStatement(csv, { format: 'CSV', columns: { transactionId: null, reference: null } });
+    const second = parseBankStatement(csv, { format: 'CSV', columns: { transactionId: null, reference: null } });
+
+    const ids = first.transactions.map(transaction => transaction.transactionId);
+    expect(ids[0]).toMatch(/^STMT-[0-9A-F]{20}$/);
+    expect(ids[0]).not.toBe(ids[1]);
+    expect(second.transactions.map(transaction => transaction.transactionId)).toEqual(ids);
+  });
+
+  test('rejects an unknown CSV layout', () => {
+    expect(() => parseBankStatement('Date,Amount', { format: 'CSV', layout: 'NOPE' })).toThrow(/Unknown CSV layout NOPE/);
+  });
+
+  test('parses MT940 lines, balances and :86: details', () => {
+    const mt940 = [
+      ':20:STATEMENT1',
+      ':25:KE1234567890',
+      ':28C:1/1',
+      ':60F:C240304KES10000,00',
+      ':61:2403050305C1500,50NTRFTITHE001//FT24065ABC',
+      ':86:JOHN DOE TITHE',
+      ':61:2403060306D200,00NCHGNONREF//FT24066XYZ',
+      ':62F:C240306KES11300,50',
+      '-'
+    ].join('\n');
+
+    const statement = parseBankStatement(mt940, { fileName: 'march.sta' });
+
+    expect(statement).toMatchObject({ format: 'MT940', accountId: 'KE1234567890', currency: 'KES', openingBalance: 10000, closingBalance: 11300.5 });
+    expect(statement.transactions[0]).toMatchObject({ transactionId: 'FT24065ABC', reference: 'TITHE001', description: 'JOHN DOE TITHE', amount: 1500.5 });
+    expect(ymd(statement.transactions[0].transactionDate)).toEqual([2024, 3, 5]);
+    expect(statement.transactions[1]).toMatchObject({ transactionId: 'FT24066XYZ', reference: null, amount: -200 });
+  });
+
+  test('parses camt.053 entries with debit and credit indicators', () => {
+    const xml = `<?xml version="1.0"?>
+      <Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+        <Acct><Id><Othr><Id>0123456789</Id></Othr></Id><Ccy>KES</Ccy></Acct>
+        <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="KES">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+        <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="KES">1250.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+        <Ntry><Amt Ccy="KES">800.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><Dt>2024-03-05</Dt></BookgDt>
+          <AcctSvcrRef>BANK1</AcctSvcrRef>
+          <NtryDtls><TxDtls><Refs><EndToEndId>E2E1</EndToEndId></Refs><RmtInf><Ustrd>Offering &amp; tithe</Ustrd></RmtInf></TxDtls></NtryDtls>
+        </Ntry>
+        <Ntry><Amt Ccy="KES">50.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2024-03-06</Dt></BookgDt><AcctSvcrRef>BANK2</AcctSvcrRef></Ntry>
+      </Stmt></BkToCstmrStmt></Document>`;
+
+    const statement = parseBankStatement(xml, { fileName: 'statement.xml' });
+
+    expect(statement).toMatchObject({ format: 'CAMT053', accountId: '0123456789', currency: 'KES', openingBalance: 500, closingBalance: 1250 });
+    expect(statement.transactions[0]).toMatchObject({ transactionId: 'BANK1', reference: 'E2E1', description: 'Offering & tithe', amount: 800 });
+    expect(statement.transactions[1]).toMatchObject({ transactionId: 'BANK2', amount: -50 });
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+jest.mock('../../../server/utils/titheCategories.js', () => {
+  const categories = [
+    { code: 'welfare', displayName: 'Welfare', isActive: true },
+    { code: 'stationFund', displayName: 'Station Fund', isActive: true }
+  ];
+  const getTitheCategories = async () => categories;
+  return {
+    getTitheCategories,
+    getTitheCategoryCodes: async () => categories.map(category => category.code)
+  };
+});
+
+const { buildImportPreview, MAX_IMPORT_ROWS } = require('../../../server/utils/batchImport');
+
+const members = [
+  { id: 1, username: 'jane', fullName: 'Jane Wanjiku', phone: '0712345678', memberNumber: 'M001', isActive: true },
+  { id: 2, username: 'otieno', fullName: 'Peter Otieno', phone: '+254 722 000 111', memberNumber: 'M002', isActive: true },
+  { id: 3, username: 'gone', fullName: 'Former Member', phone: '0733000222', memberNumber: 'M003', isActive: false }
+];
+
+const offerings = [
+  { id: 4, name: 'Building Fund', offeringCode: 'BUILD', isActive: true, endDate: null },
+  { id: 5, name: 'Old Appeal', offeringCode: 'OLD', isActive: false, endDate: null }
+];
+
+const importClient = ({ closedPeriods = [] } = {}) => ({
+  user: { findMany: jest.fn().mockResolvedValue(members) },
+  specialOffering: { findMany: jest.fn().mockResolvedValue(offerings) },
+  accountingPeriod: {
+    findFirst: jest.fn(async ({ where }) => {
+      const periodKey = where.periodKey.in.find(key => closedPeriods.includes(key));
+      return periodKey ? { periodKey } : null;
+    })
+  }
+});
+
+const sheet = (header, ...rows) => [header, ...rows].map((cells, index) => ({ rowNumber: index + 1, cells }));
+
+const defaultPaymentDate = new Date(2024, 2, 2);
+
+describe('buildImportPreview', () => {
+  test('builds payments for valid rows, matching members by any identifier', async () => {
+    const preview = await buildImportPreview(sheet(
+      ['Phone', 'Member No', 'Amount', 'Type', 'Date'],
+      ['254712345678', '', 'KES 1,500.00', 'tithe', '2024-03-02'],
+      ['', 'M002', 250, 'Offering', 45353]
+    ), { defaultPaymentDate, client: importClient() });
+
+    expect(preview.columns).toEqual({ recognized: ['phone', 'memberNumber', 'amount', 'paymentType', 'paymentDate'], titheSplit: [], unrecognized: [] });
+    expect(preview.rows.map(row => row.status)).toEqual(['VALID', 'VALID']);
+    expect(preview.payments).toEqual([
+      { userId: 1, amount: 1500, paymentType: 'TITHE', paymentDate: new Date(2024, 2, 2).toISOString(), description: 'Tithe (imported)' },
+      { userId: 2, amount: 250, paymentType: 'OFFERING', paymentDate: new Date(2024, 2, 2).toISOString(), description: 'Offering (imported)' }
+    ]);
+    expect(preview.summary).toMatchObject({ importableRows: 2, totalAmount: 1750, byType: { TITHE: 1500, OFFERING: 250 } });
+  });
+
+  test('reads tithe split columns and warns about the unsplit remainder', async () => {
+    const preview = await buildImportPreview(sheet(
+      ['Username', 'Amount', 'Type', 'Welfare', 'Station Fund'],
+      ['jane', '1000', 'TITHE', '250.50', '(x)'],
+      ['otieno', '500', 'TITHE', '400', '200']
+    ), { defaultPaymentDate, client: importClient() });
+
+    expect(preview.columns.titheSplit).toEqual(['welfare', 'stationFund']);
+    expect(preview.rows[0]).toMatchObject({ status: 'WARNING', warnings: ['KES 749.50 of the tithe is not split and goes to general tithe.'] });
+    expect(preview.rows[0].payment.titheDistributionSDA).toEqual({ welfare: 250.5 });
+    expect(preview.rows[1]).toMatchObject({ status: 'ERROR', payment: null });
+    expect(preview.rows[1].errors[0]).toMatch(/^Bad tithe split: Total distributed amount \(600\) exceeds payment amount \(500\)/);
+  });
+
+  test('resolves special offerings by code or ID and rejects inactive ones', async () => {
+    const preview = await buildImportPreview(sheet(
+      ['Member', 'Amount', 'Type', 'Special Offering'],
+      ['jane', '300', 'Special Offering', 'BUILD'],
+      ['M002', '100', '4', ''],
+      ['jane', '100', '', 'OLD'],
+      ['jane', '100', 'Offering', 'BUILD']
+    ), { defaultPaymentDate, client: importClient() });
+
+    expect(preview.rows[0].payment).toMatchObject({ paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', specialOfferingId: 4, description: 'Building Fund' });
+    expect(preview.rows[1].payment).toMatchObject({ userId: 2, specialOfferingId: 4 });
+    expect(preview.rows[2].errors).toEqual(['Special offering Old Appeal is not active.']);
+    expect(preview.rows[3].errors).toEqual(['Payment type OFFERING cannot have a special offering.']);
+  });
+
+  test('reports member, amount, type and date problems per row', async () => {
+    const preview = await buildImportPreview(sheet(
+      ['Phone', 'Username', 'Amount', 'Type', 'Date'],
+      ['0799999999', '', '100', 'OFFERING', ''],
+      ['0712345678', 'otieno', '100', 'OFFERING', ''],
+      ['0733000222', '', '100', 'OFFERING', ''],
+      ['0712345678', '', '-50', 'OFFERING', ''],
+      ['0712345678', '', 'abc', 'PLEDGE', '31/02/2024']
+    ), { defaultPaymentDate, client: importClient() });
+
+    expect(preview.rows.map(row => row.errors)).toEqual([
+      ['Unknown member: no match for phone "0799999999".'],
+      ['Identifiers point to different members: username → Peter Otieno, phone → Jane Wanjiku.'],
+      ['Member Former Member is inactive.'],
+      ['Amount must be greater than zero.'],
+      [
+        'Amount is missing or not a number.',
+        'Unknown payment type "PLEDGE". Use TITHE, OFFERING, DONATION or a special offering.',
+        'Date "31/02/2024" is not a valid date (use YYYY-MM-DD or DD/MM/YYYY).'
+      ]
+    ]);
+    expect(preview.summary).toMatchObject({ totalRows: 5, importableRows: 0, rowsWithErrors: 5 });
+  });
+
+  test('flags repeated rows and rows in closed accounting periods', async () => {
+    const preview = await buildImportPreview(sheet(
+      ['Phone', 'Amount', 'Type', 'Date'],
+      ['0712345678', '100', 'OFFERING', '05/01/2024'],
+      ['0712345678', '100', 'OFFERING', '2024-03-02'],
+      ['712345678', '100', 'OFFERING', '2024-03-02']
+    ), { defaultPaymentDate, client: importClient({ closedPeriods: ['2024-01'] }) });
+
+    expect(preview.rows[0]).toMatchObject({ status: 'ERROR', errors: ['Accounting period 2024-01 is closed.'], payment: null });
+    expect(preview.rows[1].status).toBe('VALID');
+    expect(preview.rows[2]).toMatchObject({ status: 'WARNING', warnings: ['Same member, amount, type and date as row 3.'] });
+    expect(preview.payments).toHaveLength(2);
+  });
+
+  test('rejects files without the required columns or with too many rows', async () => {
+    const client = importClient();
+    await expect(buildImportPreview(sheet(['Phone', 'Amount']), { client })).rejects.toMatchObject({ errorDetails: { code: 'EMPTY_IMPORT' } });
+    await expect(buildImportPreview(sheet(['Phone', 'Type'], ['0712345678', 'TITHE']), { client }))
+      .rejects.toMatchObject({ errorDetails: { code: 'MISSING_COLUMNS', missing: ['amount'] } });
+    await expect(buildImportPreview(sheet(['Amount', 'Type'], ['100', 'TITHE']), { client }))
+      .rejects.toMatchObject({ errorDetails: { code: 'MISSING_COLUMNS', missing: ['member'] } });
+
+    const tooMany = sheet(['Phone', 'Amount'], ...Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ['0712345678', '1']));
+    await expect(buildImportPreview(tooMany, { client })).rejects.toMatchObject({ errorDetails: { code: 'IMPORT_TOO_LARGE' } });
+  });
+});
@@ -0,0 +1,32 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+
+const { Prisma } = require('@prisma/client');
+const { summarizeBatchTotals } = require('../../../server/utils/batchPaymentUtils');
+
+describe('summarizeBatchTotals', () => {
+  test('totals a batch by type and by special offering, largest first and rounded to cents', () => {
+    const building = { name: 'Building Fund', offeringCode: 'BUILD2026' };
+    const totals = summarizeBatchTotals([
+      { paymentType: 'TITHE', amount: new Prisma.Decimal('1000.10') },
+      { paymentType: 'OFFERING', amount: new Prisma.Decimal('200.20') },
+      { paymentType: 'TITHE', amount: '500.20' },
+      { paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', amount: 3000, specialOfferingId: 4, specialOffering: building },
+      { paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', amount: 250, specialOfferingId: 4, specialOffering: building },
+      { paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', amount: 100, specialOfferingId: 9 }
+    ]);
+
+    expect(totals.byType).toEqual([
+      { paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', count: 3, amount: 3350 },
+      { paymentType: 'TITHE', count: 2, amount: 1500.3 },
+      { paymentType: 'OFFERING', count: 1, amount: 200.2 }
+    ]);
+    expect(totals.bySpecialOffering).toEqual([
+      { name: 'Building Fund', offeringCode: 'BUILD2026', count: 2, amount: 3250 },
+      { name: 'Special offering 9', offeringCode: '-', count: 1, amount: 100 }
+    ]);
+  });
+
+  test('returns empty totals for an empty batch', () => {
+    expect(summarizeBatchTotals([])).toEqual({ byType: [], bySpecialOffering: [] });
+  });
+});
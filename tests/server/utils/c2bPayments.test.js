@@ -0,0 +1,194 @@
+const mockPrisma = { c2bTransaction: {}, payment: {}, user: {}, specialOffering: {} };
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+jest.mock('../../../server/utils/notificationUtils.js', () => ({ sendSmsNotification: jest.fn() }));
+
+process.env.JWT_SECRET = 'jwt-secret-for-unit-tests-0123456789abcdef';
+process.env.SESSION_SECRET = 'session-secret-for-unit-tests-0123456789abcdef';
+
+const { sendSmsNotification } = require('../../../server/utils/notificationUtils.js');
+const WalletService = require('../../../server/utils/walletService.js');
+const {
+  getC2bSettings,
+  parseAccountReference,
+  matchC2bPayment,
+  validateC2bPayment,
+  processC2bConfirmation
+} = require('../../../server/utils/c2bPayments');
+
+const member = { id: 3, fullName: 'Jane Wanjiru', phone: '0712345678', username: 'jwanjiru' };
+const buildingFund = { id: 4, name: 'Building Fund', offeringCode: 'BUILD2026', isActive: true, endDate: null };
+
+const confirmation = (overrides = {}) => ({
+  TransactionType: 'Pay Bill',
+  TransID: 'RKT7ABC123',
+  TransTime: '20261017235915',
+  TransAmount: '1500.00',
+  BusinessShortCode: '600123',
+  BillRefNumber: 'T 0712345678',
+  MSISDN: '254712345678',
+  FirstName: 'JANE',
+  LastName: 'WANJIRU',
+  ...overrides
+});
+
+const flushImmediate = () => new Promise(resolve => setImmediate(resolve));
+
+let tx;
+let events;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.MPESA_C2B_DEFAULT_PAYMENT_TYPE;
+  delete process.env.MPESA_C2B_REJECT_UNMATCHED;
+  events = [];
+
+  mockPrisma.user.findFirst = jest.fn(async ({ where }) => {
+    if (where.username) return where.username.equals.toLowerCase() === member.username ? member : null;
+    return where.phone.in.includes(member.phone) ? member : null;
+  });
+  mockPrisma.specialOffering.findFirst = jest.fn(async ({ where }) =>
+    (where.offeringCode.equals.toUpperCase() === buildingFund.offeringCode ? buildingFund : null));
+  mockPrisma.c2bTransaction.findUnique = jest.fn().mockResolvedValue(null);
+  mockPrisma.c2bTransaction.create = jest.fn(async ({ data }) => ({ id: 21, ...data }));
+  mockPrisma.payment.findUnique = jest.fn().mockResolvedValue(null);
+
+  tx = {
+    accountingPeriod: { findFirst: jest.fn().mockResolvedValue(null) },
+    c2bTransaction: {
+      create: jest.fn(async ({ data }) => ({ id: 20, ...data })),
+      update: jest.fn()
+    },
+    payment: { create: jest.fn(async ({ data }) => ({ id: 30, ...data })) },
+    receipt: { create: jest.fn() }
+  };
+  mockPrisma.$transaction = jest.fn(async (work) => {
+    const result = await work(tx);
+    await flushImmediate();
+    events.push('commit');
+    return result;
+  });
+  sendSmsNotification.mockImplementation(async () => {
+    events.push('sms');
+  });
+  jest.spyOn(WalletService.prototype, 'updateWalletsForPayment').mockResolvedValue([]);
+});
+
+afterEach(() => flushImmediate());
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseAccountReference', () => {
+  test.each([
+    ['T', { purpose: 'T', memberRef: null }],
+    ['t 0712345678', { purpose: 'T', memberRef: '0712345678' }],
+    ['O#jwanjiru', { purpose: 'O', memberRef: 'jwanjiru' }],
+    ['D254712345678', { purpose: 'D', memberRef: '254712345678' }],
+    ['build2026 jwanjiru', { purpose: 'BUILD2026', memberRef: 'jwanjiru' }],
+    ['0712345678', { purpose: null, memberRef: '0712345678' }],
+    ['  ', { purpose: null, memberRef: null }]
+  ])('reads %p', (reference, expected) => {
+    expect(parseAccountReference(reference)).toEqual(expected);
+  });
+});
+
+describe('matchC2bPayment', () => {
+  test('matches a purpose and a member by phone or username', async () => {
+    expect(await matchC2bPayment(mockPrisma, { billRefNumber: 'T 0712345678' })).toEqual({
+      paymentType: 'TITHE', specialOffering: null, user: member, reviewReason: null
+    });
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: 'O JWanjiru' })).user).toBe(member);
+  });
+
+  test('falls back to the paying number, but only when it is a real number', async () => {
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: 'O', msisdn: '254712345678' })).user).toBe(member);
+
+    const masked = await matchC2bPayment(mockPrisma, { billRefNumber: 'O', msisdn: '2547*****678' });
+    expect(masked.reviewReason).toBe('No active member is registered with the paying phone number');
+  });
+
+  test('matches special offerings only while they accept contributions', async () => {
+    const open = await matchC2bPayment(mockPrisma, { billRefNumber: 'build2026 jwanjiru' });
+    expect(open).toMatchObject({ paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', specialOffering: buildingFund, reviewReason: null });
+
+    mockPrisma.specialOffering.findFirst.mockResolvedValue({ ...buildingFund, endDate: new Date('2026-01-31') });
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: 'BUILD2026 jwanjiru' })).reviewReason)
+      .toBe('Special offering "Building Fund" is not accepting contributions');
+  });
+
+  test('sends unknown references and references without a purpose to review', async () => {
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: 'XMAS jwanjiru' })).reviewReason).toBe('Unknown account reference "XMAS jwanjiru"');
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: '0712345678' })).reviewReason)
+      .toBe('Account reference "0712345678" does not say what the payment is for');
+
+    process.env.MPESA_C2B_DEFAULT_PAYMENT_TYPE = 'offering';
+    expect(getC2bSettings().defaultPaymentType).toBe('OFFERING');
+    expect((await matchC2bPayment(mockPrisma, { billRefNumber: '0712345678' })).reviewReason).toBeNull();
+  });
+});
+
+describe('validateC2bPayment', () => {
+  test('refuses bad amounts, and unmatched payments only when configured to', async () => {
+    expect(await validateC2bPayment({ TransAmount: '0' })).toEqual({ accepted: false, reason: 'Invalid amount' });
+    expect(await validateC2bPayment({ TransAmount: '100', BillRefNumber: 'XMAS' })).toEqual({ accepted: true });
+
+    process.env.MPESA_C2B_REJECT_UNMATCHED = 'true';
+    expect(await validateC2bPayment({ TransAmount: '100', BillRefNumber: 'XMAS' })).toEqual({ accepted: false, reason: 'Unknown account reference "XMAS"' });
+  });
+});
+
+describe('processC2bConfirmation', () => {
+  test('completes a matched payment at its Kenyan time and sends the receipt after commit', async () => {
+    const result = await processC2bConfirmation(confirmation());
+    await flushImmediate();
+
+    expect(result).toEqual({ success: true, c2bTransactionId: 20, paymentId: 30 });
+    const { data } = tx.payment.create.mock.calls[0][0];
+    expect(data).toMatchObject({ userId: 3, paymentType: 'TITHE', status: 'COMPLETED', transactionId: 'RKT7ABC123', payerPhone: '254712345678' });
+    expect(data.amount.toString()).toBe('1500');
+    expect(data.paymentDate).toEqual(new Date('2026-10-17T20:59:15Z'));
+    expect(tx.c2bTransaction.create.mock.calls[0][0].data.payerName).toBe('JANE WANJIRU');
+    expect(tx.c2bTransaction.update).toHaveBeenCalledWith({ where: { id: 20 }, data: { paymentId: 30 } });
+    expect(WalletService.prototype.updateWalletsForPayment).toHaveBeenCalledWith(30, tx);
+    expect(events).toEqual(['commit', 'sms']);
+  });
+
+  test('queues an unmatched payment for review', async () => {
+    const result = await processC2bConfirmation(confirmation({ BillRefNumber: 'XMAS' }));
+
+    expect(result).toEqual({ success: true, queued: true, c2bTransactionId: 21, reason: 'Unknown account reference "XMAS"' });
+    expect(mockPrisma.c2bTransaction.create.mock.calls[0][0].data).toMatchObject({ status: 'PENDING_REVIEW', userId: null });
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('queues a matched payment it cannot complete, without telling the member', async () => {
+    tx.accountingPeriod.findFirst.mockResolvedValue({ periodKey: '2026-10' });
+
+    const result = await processC2bConfirmation(confirmation());
+    await flushImmediate();
+
+    expect(result.queued).toBe(true);
+    expect(result.reason).toMatch(/^Could not complete automatically: Cannot record payments: accounting period 2026-10 is closed/);
+    expect(sendSmsNotification).not.toHaveBeenCalled();
+  });
+
+  test('records each M-Pesa receipt once', async () => {
+    mockPrisma.c2bTransaction.findUnique.mockResolvedValue({ id: 9, paymentId: 30 });
+    expect(await processC2bConfirmation(confirmation())).toEqual({ alreadyProcessedOrNotFound: true, c2bTransactionId: 9, paymentId: 30 });
+
+    mockPrisma.c2bTransaction.findUnique.mockResolvedValue(null);
+    mockPrisma.payment.findUnique.mockResolvedValue({ id: 31 });
+    expect(await processC2bConfirmation(confirmation())).toEqual({ alreadyProcessedOrNotFound: true, c2bTransactionId: 21, paymentId: 31 });
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+
+    expect(await processC2bConfirmation(confirmation({ TransID: undefined }))).toEqual({ error: 'Confirmation without TransID' });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  generateSessionReference,
+  summarizeDenominations,
+  getEnvelopeTotal,
+  getSessionTotals,
+  isSignoffCurrent,
+  buildBatchItems
+} = require('../../../server/utils/cashCountUtils');
+
+const session = (overrides = {}) => ({
+  sessionReference: 'CC-20240302-ABC123',
+  serviceDate: new Date(2024, 2, 2),
+  looseCashUserId: 99,
+  denominations: [
+    { denomination: 1000, count: 3 },
+    { denomination: 50, count: 4 },
+    { denomination: '1000', count: '1' },
+    { denomination: 5, count: 0 }
+  ],
+  envelopes: [
+    { id: 1, envelopeNumber: '12', userId: 7, titheAmount: '2500.00', offeringAmount: '300.00', specialOfferings: [{ specialOfferingId: 4, amount: '500.00' }], titheDistributionSDA: { welfare: 500 } },
+    { id: 2, envelopeNumber: null, userId: 8, titheAmount: '0', offeringAmount: '450.50', specialOfferings: [] }
+  ],
+  ...overrides
+});
+
+describe('generateSessionReference', () => {
+  test('uses the date and a random suffix', () => {
+    expect(generateSessionReference()).toMatch(/^CC-\d{8}-[0-9A-F]{6}$/);
+  });
+});
+
+describe('summarizeDenominations', () => {
+  test('merges repeats, drops zero counts and sorts high to low', () => {
+    expect(summarizeDenominations(session().denominations)).toEqual({
+      lines: [{ denomination: 1000, count: 4, amount: 4000 }, { denomination: 50, count: 4, amount: 200 }],
+      total: 4200
+    });
+  });
+
+  test('handles an empty count', () => {
+    expect(summarizeDenominations(null)).toEqual({ lines: [], total: 0 });
+  });
+});
+
+describe('totals', () => {
+  test('adds tithe, offering and special offering splits per envelope', () => {
+    expect(getEnvelopeTotal(session().envelopes[0])).toBe(3300);
+  });
+
+  test('leaves the cash the envelopes do not claim as loose offering', () => {
+    expect(getSessionTotals(session())).toEqual({ cashTotal: 4200, envelopeTotal: 3750.5, looseCash: 449.5, isBalanced: true });
+  });
+
+  test('is unbalanced when envelopes claim more than was counted', () => {
+    const totals = getSessionTotals(session({ denominations: [{ denomination: 1000, count: 3 }] }));
+    expect(totals).toMatchObject({ looseCash: -750.5, isBalanced: false });
+  });
+});
+
+describe('isSignoffCurrent', () => {
+  const totals = { cashTotal: 4200, envelopeTotal: 3750.5 };
+
+  test('accepts a sign-off for the current figures, stored as decimals', () => {
+    expect(isSignoffCurrent({ cashTotal: '4200.00', envelopeTotal: '3750.50' }, totals)).toBe(true);
+  });
+
+  test('rejects a sign-off given before the count changed', () => {
+    expect(isSignoffCurrent({ cashTotal: '4150.00', envelopeTotal: '3750.50' }, totals)).toBe(false);
+    expect(isSignoffCurrent({ cashTotal: '4200.00', envelopeTotal: '3700.50' }, totals)).toBe(false);
+  });
+});
+
+describe('buildBatchItems', () => {
+  test('creates one payment per envelope split plus the loose cash', () => {
+    const items = buildBatchItems(session());
+
+    expect(items.map(item => [item.userId, item.paymentType, item.amount])).toEqual([
+      [7, 'TITHE', 2500],
+      [7, 'OFFERING', 300],
+      [7, 'SPECIAL_OFFERING_CONTRIBUTION', 500],
+      [8, 'OFFERING', 450.5],
+      [99, 'OFFERING', 449.5]
+    ]);
+    expect(items[0]).toMatchObject({ titheDistributionSDA: { welfare: 500 }, description: 'Tithe - Cash count CC-20240302-ABC123, envelope 12' });
+    expect(items[2].specialOfferingId).toBe(4);
+    expect(items[3].description).toBe('Offering - Cash count CC-20240302-ABC123, envelope line 2');
+  });
+
+  test('adds no loose offering when the envelopes take all the cash', () => {
+    const items = buildBatchItems(session({ denominations: [{ denomination: 1000, count: 3 }] }));
+    expect(items.some(item => item.userId === 99)).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+
+const {
+  normalizeCurrency,
+  convertToKes,
+  convertDistributionToKes,
+  formatPaymentAmount
+} = require('../../../server/utils/exchangeRates');
+
+const rateClient = (row) => ({
+  exchangeRate: { findFirst: jest.fn().mockResolvedValue(row) }
+});
+
+describe('normalizeCurrency', () => {
+  test('defaults to KES and upper-cases codes', () => {
+    expect(normalizeCurrency()).toBe('KES');
+    expect(normalizeCurrency(' usd ')).toBe('USD');
+  });
+});
+
+describe('convertToKes', () => {
+  test('passes KES through without a rate lookup', async () => {
+    const client = rateClient(null);
+    expect(await convertToKes({ amount: '1500.456', currency: 'kes', client })).toEqual({
+      amount: 1500.46, currency: 'KES', originalAmount: null, exchangeRate: null, exchangeRateId: null
+    });
+    expect(client.exchangeRate.findFirst).not.toHaveBeenCalled();
+  });
+
+  test('uses the stored rate for the payment date', async () => {
+    const client = rateClient({ id: 4, rateToKes: '129.5' });
+    const result = await convertToKes({ amount: 100, currency: 'USD', date: new Date(2024, 2, 5, 15), client });
+
+    expect(result).toEqual({ amount: 12950, currency: 'USD', originalAmount: 100, exchangeRate: 129.5, exchangeRateId: 4 });
+    const { where } = client.exchangeRate.findFirst.mock.calls[0][0];
+    expect(where.currency).toBe('USD');
+    expect(where.effectiveDate.lt).toEqual(new Date(2024, 2, 6));
+  });
+
+  test('prefers an explicit rate and rounds to cents', async () => {
+    const client = rateClient(null);
+    const result = await convertToKes({ amount: 33.33, currency: 'EUR', rate: '140.123', client });
+
+    expect(result).toMatchObject({ amount: 4670.3, exchangeRate: 140.123, exchangeRateId: null });
+    expect(client.exchangeRate.findFirst).not.toHaveBeenCalled();
+  });
+
+  test('throws when no rate is recorded', async () => {
+    await expect(convertToKes({ amount: 10, currency: 'GBP', date: new Date(2024, 0, 1), client: rateClient(null) }))
+      .rejects.toMatchObject({ statusCode: 400, errorDetails: { code: 'EXCHANGE_RATE_NOT_FOUND', currency: 'GBP' } });
+  });
+
+  test('rejects a zero rate', async () => {
+    await expect(convertToKes({ amount: 10, currency: 'USD', rate: 0, client: rateClient(null) }))
+      .rejects.toMatchObject({ errorDetails: { code: 'INVALID_EXCHANGE_RATE' } });
+  });
+});
+
+describe('convertDistributionToKes', () => {
+  test('converts each category at the payment rate', () => {
+    expect(convertDistributionToKes({ welfare: 10, stationFund: 5.5 }, 129.5, 2071.75)).toEqual({ welfare: 1295, stationFund: 712.25 });
+  });
+
+  test('takes rounding overshoot off the largest category', () => {
+    // 0.5 x 0.67 = 0.335 rounds up to 0.34 twice, so the categories come to 1.35 of a 1.34 payment
+    const converted = convertDistributionToKes({ welfare: 0.5, thanksgiving: 0.5, stationFund: 1 }, 0.67, 1.34);
+    expect(converted).toEqual({ welfare: 0.34, thanksgiving: 0.34, stationFund: 0.66 });
+    expect(Math.round((converted.welfare + converted.thanksgiving + converted.stationFund) * 100)).toBe(134);
+  });
+
+  test('leaves an undershoot for general tithe and keeps non-amount values', () => {
+    expect(convertDistributionToKes({ welfare: 10, note: 'monthly' }, 129.5, 2590)).toEqual({ welfare: 1295, note: 'monthly' });
+    expect(convertDistributionToKes(null, 129.5, 100)).toEqual({});
+  });
+});
+
+describe('formatPaymentAmount', () => {
+  test('shows the original currency next to KES', () => {
+    expect(formatPaymentAmount({ amount: '12950', currency: 'USD', originalAmount: '100' })).toBe('USD 100.00 (KES 12,950.00)');
+    expect(formatPaymentAmount({ amount: '1500', currency: 'KES', originalAmount: null })).toBe('KES 1,500.00');
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+
+const { calculateFee, resolveFeeRule, computePlatformFee, getChargedAmount } = require('../../../server/utils/feeRules');
+
+const rulesClient = (rules) => ({
+  feeRule: {
+    findMany: jest.fn(async ({ where }) => rules.filter(rule =>
+      rule.isActive !== false &&
+      where.paymentMethod.in.includes(rule.paymentMethod) &&
+      where.paymentType.in.includes(rule.paymentType)
+    ))
+  }
+});
+
+describe('calculateFee', () => {
+  test('charges a flat amount', () => {
+    expect(calculateFee({ feeType: 'FLAT', flatAmount: '15.00' }, 1000)).toBe(15);
+  });
+
+  test('charges a percentage plus any flat amount, rounded to cents', () => {
+    expect(calculateFee({ feeType: 'PERCENTAGE', percentage: '1.5' }, 333)).toBe(5);
+    expect(calculateFee({ feeType: 'PERCENTAGE', percentage: '2.5', flatAmount: '10' }, 1234)).toBe(40.85);
+  });
+
+  test('uses the highest tier the amount reaches', () => {
+    const rule = {
+      feeType: 'TIERED',
+      tiers: [
+        { minAmount: 1000, flatAmount: 0, percentage: 1 },
+        { minAmount: 0, flatAmount: 5, percentage: 0 },
+        { minAmount: 10000, flatAmount: 50, percentage: 0 }
+      ]
+    };
+    expect(calculateFee(rule, 500)).toBe(5);
+    expect(calculateFee(rule, 1000)).toBe(10);
+    expect(calculateFee(rule, 9999)).toBe(99.99);
+    expect(calculateFee(rule, 25000)).toBe(50);
+  });
+
+  test('charges nothing below the lowest tier', () => {
+    expect(calculateFee({ feeType: 'TIERED', tiers: [{ minAmount: 100, flatAmount: 5 }] }, 50)).toBe(0);
+  });
+
+  test('clamps to minFee and maxFee', () => {
+    const rule = { feeType: 'PERCENTAGE', percentage: '1', minFee: '10', maxFee: '200' };
+    expect(calculateFee(rule, 100)).toBe(10);
+    expect(calculateFee(rule, 5000)).toBe(50);
+    expect(calculateFee(rule, 50000)).toBe(200);
+  });
+});
+
+describe('resolveFeeRule', () => {
+  test('prefers the most specific rule', async () => {
+    const rules = [
+      { id: 1, paymentMethod: 'ALL', paymentType: 'ALL' },
+      { id: 2, paymentMethod: 'ALL', paymentType: 'TITHE' },
+      { id: 3, paymentMethod: 'MPESA', paymentType: 'ALL' },
+      { id: 4, paymentMethod: 'MPESA', paymentType: 'TITHE' }
+    ];
+    expect((await resolveFeeRule(rulesClient(rules), 'MPESA', 'TITHE')).id).toBe(4);
+    expect((await resolveFeeRule(rulesClient(rules), 'MPESA', 'OFFERING')).id).toBe(3);
+    expect((await resolveFeeRule(rulesClient(rules), 'KCB', 'TITHE')).id).toBe(2);
+    expect((await resolveFeeRule(rulesClient(rules), 'KCB', 'OFFERING')).id).toBe(1);
+    expect(await resolveFeeRule(rulesClient([]), 'KCB', 'OFFERING')).toBeNull();
+  });
+});
+
+describe('computePlatformFee', () => {
+  const percentageRule = (feeBearer) => ({
+    id: 5, name: 'M-Pesa 1.5%', paymentMethod: 'MPESA', paymentType: 'ALL', feeType: 'PERCENTAGE', percentage: '1.5', feeBearer
+  });
+
+  test('asks the giver for the amount plus the fee rounded up to whole shillings', async () => {
+    const result = await computePlatformFee({ amount: 1010, paymentMethod: 'mpesa', paymentType: 'OFFERING', client: rulesClient([percentageRule('GIVER')]) });
+    expect(result).toEqual({ platformFee: 16, feeBearer: 'GIVER', feeRuleId: 5, feeRuleName: 'M-Pesa 1.5%', chargeAmount: 1026 });
+  });
+
+  test('charges the gift amount when the church absorbs the fee', async () => {
+    const result = await computePlatformFee({ amount: 1010, paymentMethod: 'MPESA', paymentType: 'OFFERING', client: rulesClient([percentageRule('CHURCH')]) });
+    expect(result).toMatchObject({ platformFee: 15.15, feeBearer: 'CHURCH', chargeAmount: 1010 });
+  });
+
+  test('falls back to the legacy M-Pesa fee without a rule', async () => {
+    const small = await computePlatformFee({ amount: 300, paymentMethod: 'MPESA', paymentType: 'TITHE', client: rulesClient([]) });
+    const large = await computePlatformFee({ amount: 2550, paymentMethod: 'MPESA', paymentType: 'TITHE', client: rulesClient([]) });
+    const kcb = await computePlatformFee({ amount: 2550, paymentMethod: 'KCB', paymentType: 'TITHE', client: rulesClient([]) });
+
+    expect(small).toEqual({ platformFee: 5, feeBearer: 'CHURCH', feeRuleId: null, feeRuleName: null, chargeAmount: 300 });
+    expect(large.platformFee).toBe(25.5);
+    expect(kcb.platformFee).toBe(0);
+  });
+});
+
+describe('getChargedAmount', () => {
+  test('adds the fee only when the giver paid it', () => {
+    expect(getChargedAmount({ amount: '1000.00', platformFee: '15.00', feeBearer: 'GIVER' })).toBe(1015);
+    expect(getChargedAmount({ amount: '1000.00', platformFee: '15.00', feeBearer: 'CHURCH' })).toBe(1000);
+    expect(getChargedAmount({ amount: '0.10', platformFee: '0.20', feeBearer: 'GIVER' })).toBe(0.3);
+  });
+});
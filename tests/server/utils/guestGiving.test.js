@@ -0,0 +1,139 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+
+const bcrypt = require('bcrypt');
+const { logger } = require('../../../server/config/logger');
+const {
+  GUEST_PLACEHOLDER_NAME,
+  findGiverByPhone,
+  findOrCreateGuestGiver,
+  mergeGuestProfile,
+  giverDisplayName
+} = require('../../../server/utils/guestGiving');
+
+beforeAll(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+});
+
+const guestProfile = (overrides = {}) => ({ id: 40, fullName: GUEST_PLACEHOLDER_NAME, phone: '254712345678', isGuest: true, deletedAt: null, ...overrides });
+
+describe('findGiverByPhone', () => {
+  test('looks the number up in every format, including deleted users', async () => {
+    const client = { user: { findFirst: jest.fn().mockResolvedValue(null) } };
+
+    await expect(findGiverByPhone(client, '0712345678')).resolves.toBeNull();
+
+    expect(client.user.findFirst.mock.calls[0][0].where).toEqual({
+      phone: { in: ['254712345678', '+254712345678', '0712345678', '712345678'] },
+      deletedAt: undefined
+    });
+  });
+
+  test('refuses a number held by a deleted user', async () => {
+    const client = { user: { findFirst: jest.fn().mockResolvedValue(guestProfile({ isGuest: false, deletedAt: new Date() })) } };
+
+    await expect(findGiverByPhone(client, '0712345678')).rejects.toMatchObject({ statusCode: 409, errorDetails: { code: 'GIVER_UNAVAILABLE' } });
+  });
+});
+
+describe('findOrCreateGuestGiver', () => {
+  test('gives to the member registered with the number', async () => {
+    const member = guestProfile({ id: 3, fullName: 'Jane Wanjiru', isGuest: false });
+    const client = { user: { findFirst: jest.fn().mockResolvedValue(member), createMany: jest.fn(), update: jest.fn() } };
+
+    await expect(findOrCreateGuestGiver(client, { phone: '0712345678', name: 'Someone Else' })).resolves.toBe(member);
+    expect(client.user.createMany).not.toHaveBeenCalled();
+    expect(client.user.update).not.toHaveBeenCalled();
+  });
+
+  test('creates a guest profile that nobody can log in to, skipping a concurrent duplicate', async () => {
+    const client = {
+      user: {
+        findFirst: jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(guestProfile({ fullName: 'Peter Otieno' })),
+        createMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+
+    const giver = await findOrCreateGuestGiver(client, { phone: '+254712345678', name: '  Peter Otieno ' });
+
+    expect(giver.id).toBe(40);
+    const { data, skipDuplicates } = client.user.createMany.mock.calls[0][0];
+    expect(skipDuplicates).toBe(true);
+    expect(data[0]).toMatchObject({ username: 'guest_254712345678', fullName: 'Peter Otieno', phone: '254712345678', isGuest: true, isAdmin: false });
+    expect(data[0].password).toMatch(/^\$2[aby]\$10\$/);
+    await expect(bcrypt.compare('', data[0].password)).resolves.toBe(false);
+  });
+
+  test('names a placeholder guest profile once the giver gives a name', async () => {
+    const client = {
+      user: {
+        findFirst: jest.fn().mockResolvedValue(guestProfile()),
+        update: jest.fn().mockResolvedValue(guestProfile({ fullName: 'Peter Otieno' }))
+      }
+    };
+
+    await findOrCreateGuestGiver(client, { phone: '0712345678', name: 'Peter Otieno' });
+
+    expect(client.user.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 40 }, data: { fullName: 'Peter Otieno' } }));
+  });
+
+  test('refuses a number whose guest username belongs to another account', async () => {
+    const client = { user: { findFirst: jest.fn().mockResolvedValue(null), createMany: jest.fn().mockResolvedValue({ count: 0 }) } };
+
+    await expect(findOrCreateGuestGiver(client, { phone: '0712345678' })).rejects.toMatchObject({ statusCode: 409, errorDetails: { code: 'GIVER_UNAVAILABLE' } });
+  });
+});
+
+describe('mergeGuestProfile', () => {
+  const updated = (count) => jest.fn().mockResolvedValue({ count });
+
+  const mergeTx = ({ guest = guestProfile(), user = { id: 3, isGuest: false }, memberKeys = [] } = {}) => ({
+    user: {
+      findUnique: jest.fn(({ where }) => Promise.resolve(where.id === 40 ? guest : user)),
+      delete: jest.fn().mockResolvedValue({ id: 40 })
+    },
+    payment: { updateMany: updated(2) },
+    receipt: { updateMany: updated(2) },
+    c2bTransaction: { updateMany: updated(0) },
+    cashCountEnvelope: { updateMany: updated(1) },
+    notification: { updateMany: updated(0) },
+    cashCountSession: { updateMany: updated(0) },
+    adminAction: { updateMany: updated(2) },
+    idempotencyKey: {
+      findMany: jest.fn().mockResolvedValue(memberKeys),
+      updateMany: updated(1),
+      deleteMany: updated(0)
+    }
+  });
+
+  test('moves the history and audit rows to the member before deleting the guest', async () => {
+    const tx = mergeTx({ memberKeys: [{ key: 'k-1' }] });
+
+    const moved = await mergeGuestProfile(tx, 40, 3);
+
+    expect(moved).toEqual({ payments: 2, receipts: 2, c2bTransactions: 0, cashCountEnvelopes: 1, notifications: 0, adminActions: 2, idempotencyKeys: 1 });
+    expect(tx.payment.updateMany).toHaveBeenCalledWith({ where: { userId: 40 }, data: { userId: 3 } });
+    expect(tx.adminAction.updateMany).toHaveBeenCalledWith({ where: { initiatedById: 40 }, data: { initiatedById: 3 } });
+    expect(tx.idempotencyKey.updateMany).toHaveBeenCalledWith({ where: { userId: 40, key: { notIn: ['k-1'] } }, data: { userId: 3 } });
+    expect(tx.idempotencyKey.deleteMany.mock.invocationCallOrder[0]).toBeLessThan(tx.user.delete.mock.invocationCallOrder[0]);
+    expect(tx.adminAction.updateMany.mock.invocationCallOrder[0]).toBeLessThan(tx.user.delete.mock.invocationCallOrder[0]);
+    expect(tx.user.delete).toHaveBeenCalledWith({ where: { id: 40 } });
+  });
+
+  test('refuses to merge into itself, a non-guest source or another guest', async () => {
+    await expect(mergeGuestProfile(mergeTx(), 40, 40)).rejects.toMatchObject({ statusCode: 400, errorDetails: { code: 'INVALID_MERGE' } });
+    await expect(mergeGuestProfile(mergeTx({ guest: guestProfile({ isGuest: false }) }), 40, 3)).rejects.toMatchObject({ statusCode: 404, errorDetails: { code: 'GUEST_NOT_FOUND' } });
+    await expect(mergeGuestProfile(mergeTx({ user: null }), 40, 3)).rejects.toMatchObject({ statusCode: 404, errorDetails: { code: 'USER_NOT_FOUND' } });
+
+    const tx = mergeTx({ user: { id: 3, isGuest: true } });
+    await expect(mergeGuestProfile(tx, 40, 3)).rejects.toMatchObject({ statusCode: 400, errorDetails: { code: 'INVALID_MERGE' } });
+    expect(tx.payment.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('giverDisplayName', () => {
+  test('hides anonymous givers and falls back when there is no user', () => {
+    expect(giverDisplayName({ isAnonymous: true, user: { fullName: 'Jane Wanjiru' } })).toBe('Anonymous');
+    expect(giverDisplayName({ isAnonymous: false, user: { fullName: 'Jane Wanjiru' } })).toBe('Jane Wanjiru');
+    expect(giverDisplayName({ isAnonymous: false }, 'Unknown')).toBe('Unknown');
+  });
+});
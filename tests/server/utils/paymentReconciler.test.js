@@ -0,0 +1,151 @@
+const mockPrisma = { payment: {}, paymentReconciliationLog: {} };
+jest.mock('@prisma/client', () => ({
+  ...require('../helpers/prismaClientMock'),
+  PrismaClient: class {
+    $extends() {
+      return mockPrisma;
+    }
+  }
+}));
+jest.mock('../../../server/utils/paymentUtils.js', () => ({ queryMpesaStkStatus: jest.fn() }));
+jest.mock('../../../server/utils/kcbPaymentUtils.js', () => ({ queryKcbPaymentStatus: jest.fn() }));
+jest.mock('../../../server/controllers/paymentController.js', () => ({
+  processMpesaResult: jest.fn(),
+  processKcbResult: jest.fn()
+}));
+
+const { queryMpesaStkStatus } = require('../../../server/utils/paymentUtils.js');
+const { queryKcbPaymentStatus } = require('../../../server/utils/kcbPaymentUtils.js');
+const { processMpesaResult, processKcbResult } = require('../../../server/controllers/paymentController.js');
+const { getReconcilerSettings, reconcileStalePayments } = require('../../../server/utils/paymentReconciler');
+
+const HOUR = 60 * 60 * 1000;
+
+const pendingPayment = (overrides = {}) => ({
+  id: 1,
+  paymentMethod: 'MPESA',
+  status: 'PENDING',
+  reference: 'ws_CO_123',
+  transactionId: 'MR-1',
+  createdAt: new Date(Date.now() - HOUR),
+  ...overrides
+});
+
+// Decisions recorded in PaymentReconciliationLogs as [paymentId, decision, providerStatus]
+const loggedDecisions = () => mockPrisma.paymentReconciliationLog.create.mock.calls
+  .map(([{ data }]) => [data.paymentId, data.decision, data.providerStatus]);
+
+let tx;
+const runWith = async (payments) => {
+  mockPrisma.payment.findMany.mockResolvedValue(payments);
+  return reconcileStalePayments();
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.PAYMENT_RECONCILE_AFTER_MINUTES;
+  delete process.env.PAYMENT_EXPIRE_AFTER_HOURS;
+  tx = {
+    payment: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    paymentStatusHistory: { createMany: jest.fn() }
+  };
+  mockPrisma.payment.findMany = jest.fn();
+  mockPrisma.payment.updateMany = jest.fn().mockResolvedValue({ count: 1 });
+  mockPrisma.paymentReconciliationLog.create = jest.fn();
+  mockPrisma.paymentReconciliationLog.findFirst = jest.fn().mockResolvedValue(null);
+  mockPrisma.$transaction = jest.fn((work) => work(tx));
+});
+
+describe('getReconcilerSettings', () => {
+  test('falls back to the defaults for missing or invalid settings', () => {
+    process.env.PAYMENT_RECONCILE_AFTER_MINUTES = '0';
+    process.env.PAYMENT_EXPIRE_AFTER_HOURS = '6';
+    expect(getReconcilerSettings()).toEqual({ minAgeMinutes: 10, maxAgeHours: 6, batchSize: 50 });
+  });
+});
+
+describe('reconcileStalePayments', () => {
+  test('picks never-queried payments first and stamps each one before querying', async () => {
+    await runWith([]);
+
+    const { where, orderBy, take } = mockPrisma.payment.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({ status: 'PENDING', paymentMethod: { in: ['MPESA', 'KCB'] }, isTemplate: false, batchPaymentId: null });
+    expect(orderBy).toEqual([{ lastReconciledAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }]);
+    expect(take).toBe(50);
+  });
+
+  test('applies a resolved M-Pesa result through the callback path as the reconciler', async () => {
+    queryMpesaStkStatus.mockResolvedValue({ resolved: true, resultCode: '0', resultDesc: 'Processed' });
+    processMpesaResult.mockResolvedValue({ success: true });
+
+    const [decision] = await runWith([pendingPayment()]);
+
+    expect(decision).toEqual({ paymentId: 1, provider: 'MPESA', decision: 'COMPLETED', providerStatus: '0' });
+    expect(processMpesaResult).toHaveBeenCalledWith(
+      { MerchantRequestID: 'MR-1', CheckoutRequestID: 'ws_CO_123', ResultCode: '0', ResultDesc: 'Processed' },
+      { source: 'RECONCILER' }
+    );
+    expect(mockPrisma.payment.updateMany).toHaveBeenCalledWith({ where: { id: 1 }, data: { lastReconciledAt: expect.any(Date) } });
+    expect(loggedDecisions()).toEqual([[1, 'COMPLETED', '0']]);
+  });
+
+  test('reads KCB statuses and records a payment the callback already settled', async () => {
+    queryKcbPaymentStatus.mockResolvedValue({ status: 'declined', resultCode: '0', transactionId: 'KCB-9' });
+    processKcbResult.mockResolvedValue({ alreadyProcessedOrNotFound: true });
+
+    const [decision] = await runWith([pendingPayment({ paymentMethod: 'KCB', reference: 'KCBREF' })]);
+
+    expect(processKcbResult.mock.calls[0][0]).toMatchObject({ transactionReference: 'KCBREF', transactionId: 'KCB-9', resultCode: '1' });
+    expect(decision.decision).toBe('ALREADY_PROCESSED');
+  });
+
+  test('expires a payment past the limit with a conditional update and a status history row', async () => {
+    queryMpesaStkStatus.mockResolvedValue({ resolved: false, resultCode: null });
+
+    const [decision] = await runWith([pendingPayment({ createdAt: new Date(Date.now() - 30 * HOUR) })]);
+
+    expect(decision.decision).toBe('EXPIRED');
+    expect(tx.payment.updateMany).toHaveBeenCalledWith({
+      where: { id: 1, status: 'PENDING' },
+      data: { status: 'EXPIRED', failureReason: 'No MPESA confirmation received within 24 hours' }
+    });
+    expect(tx.paymentStatusHistory.createMany.mock.calls[0][0].data[0]).toMatchObject({
+      paymentId: 1, fromStatus: 'PENDING', toStatus: 'EXPIRED', source: 'RECONCILER'
+    });
+  });
+
+  test('lets a callback that arrived meanwhile win over expiry', async () => {
+    queryMpesaStkStatus.mockResolvedValue({ resolved: false, resultCode: null });
+    tx.payment.updateMany.mockResolvedValue({ count: 0 });
+
+    const [decision] = await runWith([pendingPayment({ createdAt: new Date(Date.now() - 30 * HOUR) })]);
+
+    expect(decision.decision).toBe('ALREADY_PROCESSED');
+    expect(tx.paymentStatusHistory.createMany).not.toHaveBeenCalled();
+  });
+
+  test('logs an unresolved payment again only when the provider says something new', async () => {
+    queryMpesaStkStatus.mockResolvedValue({ resolved: false, resultCode: '4999' });
+    mockPrisma.paymentReconciliationLog.findFirst.mockResolvedValue({ decision: 'UNRESOLVED', providerStatus: '4999' });
+
+    const [unchanged] = await runWith([pendingPayment()]);
+    expect(unchanged).toMatchObject({ decision: 'UNRESOLVED', unchanged: true });
+    expect(mockPrisma.paymentReconciliationLog.create).not.toHaveBeenCalled();
+
+    queryMpesaStkStatus.mockResolvedValue({ resolved: false, resultCode: '500.001.1001' });
+    await runWith([pendingPayment()]);
+    expect(loggedDecisions()).toEqual([[1, 'UNRESOLVED', '500.001.1001']]);
+  });
+
+  test('records provider errors and payments it cannot query as unresolved', async () => {
+    queryMpesaStkStatus.mockRejectedValue(new Error('socket hang up'));
+
+    const decisions = await runWith([pendingPayment(), pendingPayment({ id: 2, reference: null })]);
+
+    expect(decisions.map(decision => decision.decision)).toEqual(['UNRESOLVED', 'UNRESOLVED']);
+    expect(mockPrisma.paymentReconciliationLog.create.mock.calls.map(([{ data }]) => data.details)).toEqual([
+      { error: 'socket hang up' },
+      { error: 'No CheckoutRequestID stored for payment' }
+    ]);
+  });
+});
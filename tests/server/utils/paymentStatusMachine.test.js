@@ -0,0 +1,87 @@
+const {
+  STATUS_EFFECTS,
+  PAYMENT_STATUSES,
+  getAllowedTransitions,
+  reversesWallets,
+  assertTransitionAllowed,
+  recordStatusChange
+} = require('../../../server/utils/paymentStatusMachine');
+const { logger } = require('../../../server/config/logger');
+
+beforeAll(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+});
+
+describe('getAllowedTransitions', () => {
+  test('lists the statuses a payment can move to', () => {
+    expect(getAllowedTransitions('PENDING')).toEqual(['COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED']);
+    expect(getAllowedTransitions('COMPLETED')).toEqual(['REFUNDED', 'REVERSED']);
+    expect(getAllowedTransitions('REFUNDED')).toEqual([]);
+    expect(getAllowedTransitions('UNKNOWN')).toEqual([]);
+  });
+});
+
+describe('reversesWallets', () => {
+  test('flags exactly the statuses that take wallet credits back', () => {
+    expect(PAYMENT_STATUSES.filter(reversesWallets)).toEqual(['REFUNDED', 'REVERSED']);
+    expect(reversesWallets('UNKNOWN')).toBe(false);
+  });
+});
+
+describe('assertTransitionAllowed', () => {
+  test('returns the side effects of completing a payment', () => {
+    const effects = [STATUS_EFFECTS.CREDIT_WALLETS, STATUS_EFFECTS.ISSUE_RECEIPT, STATUS_EFFECTS.NOTIFY_MEMBER];
+    expect(assertTransitionAllowed('PENDING', 'COMPLETED')).toEqual(effects);
+    expect(assertTransitionAllowed('EXPIRED', 'COMPLETED')).toEqual(effects);
+  });
+
+  test('reverses wallets and voids the receipt on refund and reversal', () => {
+    expect(assertTransitionAllowed('COMPLETED', 'REFUNDED')).toEqual(['REVERSE_WALLETS', 'VOID_RECEIPT', 'NOTIFY_MEMBER']);
+    expect(assertTransitionAllowed('COMPLETED', 'REVERSED')).toEqual(['REVERSE_WALLETS', 'VOID_RECEIPT']);
+  });
+
+  test('has no side effects for failing a pending payment', () => {
+    expect(assertTransitionAllowed('PENDING', 'FAILED')).toEqual([]);
+  });
+
+  test('rejects unknown and unchanged statuses', () => {
+    expect(() => assertTransitionAllowed('PENDING', 'PAID')).toThrow(expect.objectContaining({ statusCode: 400, errorDetails: { code: 'INVALID_STATUS' } }));
+    expect(() => assertTransitionAllowed('PENDING', 'PENDING')).toThrow(expect.objectContaining({ statusCode: 409, errorDetails: { code: 'STATUS_UNCHANGED', currentStatus: 'PENDING' } }));
+  });
+
+  test('rejects transitions the machine does not allow', () => {
+    expect(() => assertTransitionAllowed('COMPLETED', 'PENDING')).toThrow(expect.objectContaining({
+      statusCode: 409,
+      message: 'Cannot change a COMPLETED payment to PENDING. Allowed: REFUNDED, REVERSED.',
+      errorDetails: expect.objectContaining({ code: 'ILLEGAL_STATUS_TRANSITION', allowedStatuses: ['REFUNDED', 'REVERSED'] })
+    }));
+  });
+
+  test('treats refunded, reversed and cancelled payments as final', () => {
+    ['REFUNDED', 'REVERSED', 'CANCELLED'].forEach(status => {
+      expect(() => assertTransitionAllowed(status, 'COMPLETED')).toThrow(expect.objectContaining({ errorDetails: expect.objectContaining({ code: 'FINAL_STATUS' }) }));
+    });
+  });
+});
+
+describe('recordStatusChange', () => {
+  test('writes one history row per change, trimming long reasons', async () => {
+    const client = { paymentStatusHistory: { createMany: jest.fn().mockResolvedValue({ count: 2 }) } };
+
+    await recordStatusChange(client, [
+      { paymentId: 1, fromStatus: 'PENDING', toStatus: 'COMPLETED', source: 'MPESA_CALLBACK' },
+      { paymentId: 2, toStatus: 'PENDING', source: 'ADMIN', reason: 'x'.repeat(600), changedById: 9 }
+    ]);
+
+    const { data } = client.paymentStatusHistory.createMany.mock.calls[0][0];
+    expect(data[0]).toEqual({ paymentId: 1, fromStatus: 'PENDING', toStatus: 'COMPLETED', source: 'MPESA_CALLBACK', reason: null, changedById: null, details: undefined });
+    expect(data[1]).toMatchObject({ fromStatus: null, changedById: 9 });
+    expect(data[1].reason).toHaveLength(500);
+  });
+
+  test('writes nothing for an empty list', async () => {
+    const client = { paymentStatusHistory: { createMany: jest.fn() } };
+    await recordStatusChange(client, []);
+    expect(client.paymentStatusHistory.createMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { Prisma } = require('@prisma/client');
+const { formatDateForPdf, formatKesForPdf, createPdfTable, writePdfReport } = require('../../../server/utils/pdfReportUtils');
+
+describe('formatters', () => {
+  test('formats KES amounts with two decimals and thousands separators', () => {
+    expect(formatKesForPdf(new Prisma.Decimal('1234567.5'))).toBe('1,234,567.50');
+    expect(formatKesForPdf('0.005')).toBe('0.01');
+    expect(formatKesForPdf(null)).toBe('0.00');
+  });
+
+  test('formats dates in long form and shows N/A for none', () => {
+    expect(formatDateForPdf('2026-10-17T12:00:00Z')).toBe('October 17, 2026');
+    expect(formatDateForPdf(null)).toBe('N/A');
+  });
+});
+
+describe('createPdfTable', () => {
+  // Document that keeps its pages in memory and records every text drawn
+  const recordingDoc = () => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+    doc.drawn = [];
+    const text = doc.text.bind(doc);
+    doc.text = (value, ...args) => {
+      doc.drawn.push(String(value));
+      return text(value, ...args);
+    };
+    return doc;
+  };
+
+  test('draws every cell and shows N/A for missing values', () => {
+    const doc = recordingDoc();
+    createPdfTable(doc, ['Type', 'Amount'], [['TITHE', '1,000.00'], ['OFFERING', null]]);
+
+    expect(doc.drawn).toEqual(['Type', 'Amount', 'TITHE', '1,000.00', 'OFFERING', 'N/A']);
+    doc.end();
+  });
+
+  test('continues long tables on new pages with the header repeated', () => {
+    const doc = recordingDoc();
+    const rows = Array.from({ length: 120 }, (_, index) => [index + 1, 'OFFERING']);
+
+    createPdfTable(doc, ['#', 'Type'], rows);
+
+    const pages = doc.bufferedPageRange().count;
+    expect(pages).toBeGreaterThan(1);
+    expect(doc.drawn.filter(value => value === '#')).toHaveLength(pages);
+    expect(doc.drawn.filter(value => value === 'OFFERING')).toHaveLength(120);
+    doc.end();
+  });
+});
+
+describe('writePdfReport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-report-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves once the report is written', async () => {
+    const filepath = path.join(dir, 'report.pdf');
+    const renderBody = jest.fn(async (doc) => {
+      doc.text('Body');
+    });
+
+    await writePdfReport(filepath, { title: 'Bank Deposit Slip', startDate: '2026-10-17', endDate: '2026-10-17' }, renderBody);
+
+    expect(renderBody).toHaveBeenCalledTimes(1);
+    const content = fs.readFileSync(filepath);
+    expect(content.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(content.subarray(-6).toString()).toContain('%%EOF');
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+
+const {
+  getMatcherSettings,
+  scorePaymentCandidate,
+  scoreBatchCandidate,
+  getLinkSuggestions
+} = require('../../../server/utils/reconciliationMatcher');
+
+const settings = { amountTolerance: 1, dateWindowDays: 7 };
+
+const bankTx = (overrides = {}) => ({
+  amount: '1500.00',
+  transactionDate: new Date('2024-03-05T10:00:00Z'),
+  description: null,
+  kcbReference: null,
+  kcbTransactionId: null,
+  ...overrides
+});
+
+const payment = (overrides = {}) => ({
+  id: 1,
+  amount: '1500.00',
+  paymentDate: new Date('2024-03-05T08:00:00Z'),
+  transactionId: null,
+  receiptNumber: null,
+  reference: null,
+  kcbReference: null,
+  payerPhone: null,
+  user: { id: 7, fullName: 'Jane Wanjiku', phone: '0712345678' },
+  ...overrides
+});
+
+describe('getMatcherSettings', () => {
+  const saved = { ...process.env };
+  afterEach(() => { process.env = { ...saved }; });
+
+  test('reads tolerance and window from the environment, ignoring bad values', () => {
+    process.env.RECONCILE_AMOUNT_TOLERANCE = '2.5';
+    process.env.RECONCILE_DATE_WINDOW_DAYS = '-3';
+    expect(getMatcherSettings()).toEqual({ amountTolerance: 2.5, dateWindowDays: 7 });
+  });
+});
+
+describe('scorePaymentCandidate', () => {
+  test('scores an exact amount on the same day', () => {
+    const result = scorePaymentCandidate(bankTx(), payment(), settings);
+    expect(result.score).toBe(50);
+    expect(result.reasons).toEqual(['Exact amount', 'Same day']);
+  });
+
+  test('gives partial credit for amounts within tolerance or 5%', () => {
+    expect(scorePaymentCandidate(bankTx(), payment({ amount: '1500.80' }), settings).score).toBe(40);
+    // KES 37.50 off on 1,500 is 2.5%: half of the 15 points
+    expect(scorePaymentCandidate(bankTx(), payment({ amount: '1462.50', paymentDate: null }), settings).score).toBe(8);
+    expect(scorePaymentCandidate(bankTx(), payment({ amount: '1000.00', paymentDate: null }), settings).score).toBe(0);
+  });
+
+  test('uses the absolute amount of a debit', () => {
+    expect(scorePaymentCandidate(bankTx({ amount: '-1500.00' }), payment(), settings).score).toBe(50);
+  });
+
+  test('adds identifiers, phone and name found in the narrative', () => {
+    const tx = bankTx({ description: 'MPESA SFX12AB34C from 254712345678 JANE WANJIKU' });
+
+    expect(scorePaymentCandidate(tx, payment({ transactionId: 'SFX12AB34C' }), settings)).toEqual({
+      score: 95,
+      reasons: ['Exact amount', 'Transaction ID SFX12AB34C in bank narrative', 'Payer phone in bank narrative', 'Same day']
+    });
+  });
+
+  test('falls back to the payer name, partially matched', () => {
+    const full = scorePaymentCandidate(bankTx({ description: 'DEPOSIT JANE WANJIKU' }), payment(), settings);
+    const partial = scorePaymentCandidate(bankTx({ description: 'DEPOSIT J WANJIKU' }), payment(), settings);
+    expect(full.score).toBe(60);
+    expect(partial.score).toBe(55);
+    expect(partial.reasons).toContain('Payer name "WANJIKU" in bank narrative');
+  });
+
+  test('scores date distance down to nothing after eight days', () => {
+    const daysLater = (days) => payment({ paymentDate: new Date(Date.UTC(2024, 2, 5 + days, 10)) });
+    expect(scorePaymentCandidate(bankTx(), daysLater(2), settings).score).toBe(48);
+    expect(scorePaymentCandidate(bankTx(), daysLater(4), settings).score).toBe(45);
+    expect(scorePaymentCandidate(bankTx(), daysLater(8), settings).score).toBe(42);
+    expect(scorePaymentCandidate(bankTx(), daysLater(9), settings).score).toBe(40);
+  });
+});
+
+describe('scoreBatchCandidate', () => {
+  test('matches the batch total and its reference', () => {
+    const result = scoreBatchCandidate(
+      bankTx({ amount: '25000', description: 'CASH DEPOSIT BATCH-20240305-01' }),
+      { totalAmount: '25000.00', batchReference: 'BATCH-20240305-01', depositedAt: new Date('2024-03-05T09:00:00Z') },
+      settings
+    );
+    expect(result.score).toBe(80);
+  });
+});
+
+describe('getLinkSuggestions', () => {
+  const client = (payments, batches = []) => ({
+    payment: { findMany: jest.fn().mockResolvedValue(payments) },
+    batchPayment: { findMany: jest.fn().mockResolvedValue(batches) }
+  });
+
+  test('ranks payments and batches, dropping weak matches', async () => {
+    const fake = client(
+      [payment({ id: 1, amount: '1490.00' }), payment({ id: 2 }), payment({ id: 3, amount: '900.00', paymentDate: null })],
+      [{ id: 9, totalAmount: '1500.00', batchReference: 'B1', createdAt: new Date('2024-03-01'), payments: [{ id: 10, amount: '1500.00' }] }]
+    );
+
+    const suggestions = await getLinkSuggestions(bankTx(), { client: fake });
+
+    expect(suggestions.map(s => [s.type, s.paymentIds])).toEqual([
+      ['PAYMENT', [2]],
+      ['BATCH', [10]],
+      ['PAYMENT', [1]]
+    ]);
+    expect(suggestions[0].amount).toBe(1500);
+  });
+
+  test('only looks for batches when the bank line is a credit', async () => {
+    const fake = client([]);
+    await getLinkSuggestions(bankTx({ amount: '-1500.00' }), { client: fake });
+
+    expect(fake.batchPayment.findMany).not.toHaveBeenCalled();
+    expect(fake.payment.findMany.mock.calls[0][0].where.isExpense).toBe(true);
+  });
+
+  test('searches payments by identifier-like words in the narrative', async () => {
+    const fake = client([]);
+    await getLinkSuggestions(bankTx({ description: 'TITHE REF SFX12AB34C' }), { client: fake });
+
+    const { OR } = fake.payment.findMany.mock.calls[0][0].where;
+    expect(OR).toContainEqual({ transactionId: { in: ['SFX12AB34C'] } });
+  });
+});
@@ -0,0 +1,125 @@
+const { Prisma } = require('@prisma/client');
+const {
+  getRemittancePercentages,
+  calculateRemittance,
+  syncRemittanceStatus
+} = require('../../../server/utils/remittanceUtils');
+
+beforeEach(() => {
+  delete process.env.REMITTANCE_TITHE_PERCENTAGE;
+  delete process.env.REMITTANCE_OFFERING_PERCENTAGE;
+});
+
+describe('getRemittancePercentages', () => {
+  test('remits all tithe and no offering by default, ignoring out-of-range settings', () => {
+    expect(getRemittancePercentages()).toEqual({ tithePercentage: 100, offeringPercentage: 0 });
+
+    process.env.REMITTANCE_TITHE_PERCENTAGE = '150';
+    process.env.REMITTANCE_OFFERING_PERCENTAGE = '12.5';
+    expect(getRemittancePercentages()).toEqual({ tithePercentage: 100, offeringPercentage: 12.5 });
+  });
+});
+
+describe('calculateRemittance', () => {
+  const periodStart = new Date('2026-09-01T00:00:00Z');
+  const periodEnd = new Date('2026-09-30T23:59:59Z');
+
+  // Client returning fixed totals for whole payments and split-gift lines
+  const totalsClient = ({ tithe, offering, lines }) => ({
+    payment: {
+      aggregate: jest.fn(async ({ where }) => {
+        const totals = where.paymentType === 'TITHE' ? tithe : offering;
+        return { _sum: { amount: totals.amount === null ? null : new Prisma.Decimal(totals.amount) }, _count: { id: totals.count } };
+      })
+    },
+    paymentLine: {
+      groupBy: jest.fn(async () => lines.map(([paymentType, amount, count]) => ({
+        paymentType, _sum: { amount: new Prisma.Decimal(amount) }, _count: { id: count }
+      })))
+    }
+  });
+
+  test('adds split-gift lines to whole payments and rounds each share to cents', async () => {
+    process.env.REMITTANCE_OFFERING_PERCENTAGE = '12.5';
+    const client = totalsClient({
+      tithe: { amount: '10000.50', count: 4 },
+      offering: { amount: '333.33', count: 2 },
+      lines: [['TITHE', '500', 1], ['OFFERING', '100.05', 1]]
+    });
+
+    const figures = await calculateRemittance(client, periodStart, periodEnd);
+
+    expect({
+      titheCollected: figures.titheCollected.toString(),
+      titheCount: figures.titheCount,
+      titheShare: figures.titheShare.toString(),
+      offeringCollected: figures.offeringCollected.toString(),
+      offeringCount: figures.offeringCount,
+      offeringShare: figures.offeringShare.toString(),
+      totalAmount: figures.totalAmount.toString()
+    }).toEqual({
+      titheCollected: '10500.5',
+      titheCount: 5,
+      titheShare: '10500.5',
+      offeringCollected: '433.38',
+      offeringCount: 3,
+      offeringShare: '54.17',
+      totalAmount: '10554.67'
+    });
+  });
+
+  test('counts only completed, non-expense, non-template payments in the period, and lines of live payments', async () => {
+    const client = totalsClient({ tithe: { amount: null, count: 0 }, offering: { amount: null, count: 0 }, lines: [] });
+
+    const figures = await calculateRemittance(client, periodStart, periodEnd);
+
+    expect(figures.totalAmount.toString()).toBe('0');
+    const baseWhere = { paymentDate: { gte: periodStart, lte: periodEnd }, status: 'COMPLETED', isExpense: false, isTemplate: false };
+    expect(client.payment.aggregate.mock.calls[0][0].where).toEqual({ ...baseWhere, paymentType: 'TITHE' });
+    expect(client.paymentLine.groupBy.mock.calls[0][0].where.payment).toEqual({ ...baseWhere, deletedAt: null });
+  });
+});
+
+describe('syncRemittanceStatus', () => {
+  const clientFor = (remittance) => ({
+    conferenceRemittance: {
+      findUnique: jest.fn().mockResolvedValue(remittance),
+      update: jest.fn(async ({ data }) => ({ ...remittance, ...data }))
+    }
+  });
+  const pendingRemittance = (statuses) => ({
+    id: 1,
+    status: 'PENDING',
+    withdrawalRequests: statuses.map(([status, processedAt]) => ({ status, processedAt: processedAt ? new Date(processedAt) : null }))
+  });
+
+  test('marks it remitted at the latest payout once every request completed', async () => {
+    const client = clientFor(pendingRemittance([['COMPLETED', '2026-10-02T10:00:00Z'], ['COMPLETED', '2026-10-05T09:00:00Z']]));
+
+    const updated = await syncRemittanceStatus(client, 1);
+
+    expect(updated.status).toBe('REMITTED');
+    expect(updated.remittedAt).toEqual(new Date('2026-10-05T09:00:00Z'));
+  });
+
+  test('marks it partially remitted when the rest were closed unpaid', async () => {
+    const updated = await syncRemittanceStatus(clientFor(pendingRemittance([['COMPLETED', '2026-10-02'], ['REJECTED']])), 1);
+    expect(updated.status).toBe('PARTIALLY_REMITTED');
+  });
+
+  test('voids it when nothing was paid, freeing the period', async () => {
+    const updated = await syncRemittanceStatus(clientFor(pendingRemittance([['REJECTED'], ['EXPIRED']])), 1);
+    expect(updated.status).toBe('VOID');
+    expect(updated.voidedAt).toBeInstanceOf(Date);
+  });
+
+  test('leaves it pending while a request is still open, and leaves settled remittances alone', async () => {
+    const openClient = clientFor(pendingRemittance([['COMPLETED', '2026-10-02'], ['APPROVED']]));
+    expect((await syncRemittanceStatus(openClient, 1)).status).toBe('PENDING');
+    expect(openClient.conferenceRemittance.update).not.toHaveBeenCalled();
+
+    const settledClient = clientFor({ ...pendingRemittance([['REJECTED']]), status: 'REMITTED' });
+    expect((await syncRemittanceStatus(settledClient, 1)).status).toBe('REMITTED');
+    expect(settledClient.conferenceRemittance.update).not.toHaveBeenCalled();
+  });
+});
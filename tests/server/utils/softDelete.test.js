@@ -0,0 +1,40 @@
+const { withSoftDelete, softDeleteData, RESTORE_DATA } = require('../../../server/utils/softDelete');
+
+// Capture the query hook withSoftDelete installs and run one operation through it
+const runQuery = (model, operation, args) => {
+  let extension;
+  withSoftDelete({ $extends: (config) => { extension = config; } });
+  const query = jest.fn(async (finalArgs) => finalArgs);
+  return extension.query.$allModels.$allOperations({ model, operation, args, query });
+};
+
+describe('withSoftDelete', () => {
+  test('leaves deleted rows out of reads of soft-deletable models', async () => {
+    await expect(runQuery('Payment', 'findMany', { where: { userId: 3 } }))
+      .resolves.toEqual({ where: { userId: 3, deletedAt: null } });
+    await expect(runQuery('User', 'count', undefined)).resolves.toEqual({ where: { deletedAt: null } });
+  });
+
+  test('keeps an explicit deletedAt filter, including undefined for uniqueness checks', async () => {
+    await expect(runQuery('User', 'findFirst', { where: { id: 7, deletedAt: { not: null } } }))
+      .resolves.toEqual({ where: { id: 7, deletedAt: { not: null } } });
+    await expect(runQuery('User', 'count', { where: { phone: '0712345678', deletedAt: undefined } }))
+      .resolves.toEqual({ where: { phone: '0712345678', deletedAt: undefined } });
+  });
+
+  test('does not filter writes or models without soft delete columns', async () => {
+    await expect(runQuery('Payment', 'update', { where: { id: 5 }, data: RESTORE_DATA }))
+      .resolves.toEqual({ where: { id: 5 }, data: RESTORE_DATA });
+    await expect(runQuery('Wallet', 'findMany', { where: { isActive: true } }))
+      .resolves.toEqual({ where: { isActive: true } });
+  });
+});
+
+describe('softDeleteData', () => {
+  test('records who deleted the row, when and why, trimming long reasons', () => {
+    const deletedAt = new Date('2026-10-17T08:00:00Z');
+    expect(softDeleteData(1, 'Duplicate entry', deletedAt)).toEqual({ deletedAt, deletedById: 1, deleteReason: 'Duplicate entry' });
+    expect(softDeleteData(1).deleteReason).toBeNull();
+    expect(softDeleteData(1, 'x'.repeat(600)).deleteReason).toHaveLength(500);
+  });
+});
@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+const { excelSerialToDate, readSpreadsheet } = require('../../../server/utils/spreadsheetReader');
+
+// Minimal zip writer: deflated entries, with the declared uncompressed size overridable per entry
+const buildZip = (files) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, declaredSize }) => {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+    const size = declaredSize === undefined ? data.length : declaredSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBuffer, end]);
+};
+
+const workbook = (sheetXml, sharedStrings = []) => buildZip([
+  { name: 'xl/workbook.xml', content: '<workbook><sheets><sheet name="Gifts" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+  { name: 'xl/_rels/workbook.xml.rels', content: '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/gifts.xml"/></Relationships>' },
+  { name: 'xl/sharedStrings.xml', content: `<sst>${sharedStrings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>` },
+  { name: 'xl/worksheets/gifts.xml', content: `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>` }
+]);
+
+describe('readSpreadsheet (CSV)', () => {
+  test('reads rows with the detected delimiter and skips blank lines', () => {
+    const rows = readSpreadsheet(Buffer.from('\uFEFFPhone;Amount\n\n0712345678;"1 500"\n'), 'gifts.csv');
+    expect(rows).toEqual([
+      { rowNumber: 1, cells: ['Phone', 'Amount'] },
+      { rowNumber: 2, cells: ['0712345678', '1 500'] }
+    ]);
+  });
+
+  test('rejects other file types', () => {
+    expect(() => readSpreadsheet(Buffer.from(''), 'gifts.xls')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'File must be a CSV or XLSX spreadsheet.'
+    }));
+  });
+});
+
+describe('readSpreadsheet (XLSX)', () => {
+  test('reads shared, inline and numeric cells from the first sheet by column', () => {
+    const buffer = workbook(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Note</t></is></c></row>' +
+      '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3"><v>1500.5</v></c><c r="C3" t="b"><v>1</v></c><c r="D3" t="str"><v>a &amp; b</v></c></row>',
+      ['Phone', 'Amount', '0712345678']
+    );
+
+    expect(readSpreadsheet(buffer, 'gifts.xlsx')).toEqual([
+      { rowNumber: 1, cells: ['Phone', 'Amount', '', 'Note'] },
+      { rowNumber: 3, cells: ['0712345678', 1500.5, 'TRUE', 'a & b'] }
+    ]);
+  });
+
+  test('rejects a file that is not a zip', () => {
+    expect(() => readSpreadsheet(Buffer.from('not a workbook at all, just text'), 'gifts.xlsx')).toThrow(expect.objectContaining({
+      errorDetails: { code: 'INVALID_SPREADSHEET' }
+    }));
+  });
+
+  test('refuses a workbook that declares more than 50 MB uncompressed', () => {
+    const buffer = buildZip([{ name: 'xl/worksheets/sheet1.xml', content: '<worksheet/>', declaredSize: 60 * 1024 * 1024 }]);
+    expect(() => readSpreadsheet(buffer, 'bomb.xlsx')).toThrow(/too large once uncompressed/);
+  });
+
+  test('stops inflating an entry that lies about its size', () => {
+    const buffer = buildZip([{ name: 'xl/worksheets/sheet1.xml', content: Buffer.alloc(51 * 1024 * 1024), declaredSize: 100 }]);
+    expect(() => readSpreadsheet(buffer, 'bomb.xlsx')).toThrow(/too large once uncompressed/);
+  });
+});
+
+describe('excelSerialToDate', () => {
+  test('counts days from 1899-12-30 and keeps the time of day', () => {
+    expect(excelSerialToDate(45356)).toEqual(new Date(2024, 2, 5));
+    expect(excelSerialToDate(45356.5)).toEqual(new Date(2024, 2, 5, 12));
+  });
+});
@@ -0,0 +1,146 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyApproverCode
+} = require('../../../server/utils/totpUtils');
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+beforeAll(() => {
+  process.env.TOTP_ENCRYPTION_KEY = 'test-totp-key';
+});
+
+describe('base32', () => {
+  test('round-trips bytes and matches RFC 4648', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character in TOTP secret.');
+  });
+});
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  test('accepts one step of drift either side and returns the matched step', () => {
+    const now = 1234567890 * 1000;
+    const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+    expect(verifyTotp(RFC_SECRET, previous, 1, now)).toBe(getTimeStep(now) - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60 * 1000), 1, now)).toBeNull();
+  });
+
+  test('ignores spaces and rejects malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '005 924', 0, 1234567890 * 1000)).toBe(getTimeStep(1234567890 * 1000));
+    expect(verifyTotp(RFC_SECRET, '12345', 1)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', 1)).toBeNull();
+  });
+
+  test('builds an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri('JBSWY3DP', 'jane', 'Tassia');
+    expect(uri).toBe('otpauth://totp/Tassia%3Ajane?secret=JBSWY3DP&issuer=Tassia&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('secret encryption', () => {
+  test('decrypts what it encrypts, with a fresh IV each time', () => {
+    const first = encryptSecret('JBSWY3DPEHPK3PXP');
+    const second = encryptSecret('JBSWY3DPEHPK3PXP');
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  test('refuses tampered ciphertext', () => {
+    const [iv, tag, data] = encryptSecret('JBSWY3DPEHPK3PXP').split(':');
+    const flipped = (parseInt(data[0], 16) ^ 1).toString(16) + data.slice(1);
+    expect(() => decryptSecret(`${iv}:${tag}:${flipped}`)).toThrow();
+  });
+});
+
+describe('recovery codes', () => {
+  test('are formatted XXXXX-XXXXX and hashed regardless of case and dashes', () => {
+    const codes = generateRecoveryCodes(3);
+    expect(codes).toHaveLength(3);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+    expect(hashRecoveryCode('abcde-fghij')).toBe(hashRecoveryCode('ABCDEFGHIJ'));
+  });
+});
+
+describe('verifyApproverCode', () => {
+  const secret = 'JBSWY3DPEHPK3PXP';
+
+  const credentialClient = (credential, updateCount = 1) => ({
+    totpCredential: {
+      findUnique: jest.fn().mockResolvedValue(credential),
+      updateMany: jest.fn().mockResolvedValue({ count: updateCount })
+    }
+  });
+
+  test('requires an enrolled authenticator', async () => {
+    await expect(verifyApproverCode(credentialClient(null), 1, { totpCode: '123456' }))
+      .rejects.toThrow('You must enroll an authenticator app before approving withdrawals.');
+    await expect(verifyApproverCode(credentialClient({ isVerified: false }), 1, { totpCode: '123456' }))
+      .rejects.toThrow('You must enroll an authenticator app before approving withdrawals.');
+  });
+
+  test('accepts a current code once, moving lastUsedStep forward', async () => {
+    const tx = credentialClient({ id: 3, isVerified: true, secret: encryptSecret(secret), lastUsedStep: null });
+
+    await expect(verifyApproverCode(tx, 1, { totpCode: generateTotp(secret) })).resolves.toEqual({ approvalMethod: 'TOTP' });
+
+    const { where, data } = tx.totpCredential.updateMany.mock.calls[0][0];
+    expect(where).toEqual({ id: 3, OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: data.lastUsedStep } }] });
+  });
+
+  test('rejects a code another approval already used', async () => {
+    const tx = credentialClient({ id: 3, isVerified: true, secret: encryptSecret(secret) }, 0);
+    await expect(verifyApproverCode(tx, 1, { totpCode: generateTotp(secret) }))
+      .rejects.toThrow('This authenticator code has already been used. Wait for the next code.');
+  });
+
+  test('rejects a wrong code without touching the credential', async () => {
+    const code = generateTotp(secret);
+    const wrong = String((parseInt(code) + 1) % 1000000).padStart(6, '0');
+    const tx = credentialClient({ id: 3, isVerified: true, secret: encryptSecret(secret) });
+
+    await expect(verifyApproverCode(tx, 1, { totpCode: wrong })).rejects.toThrow('Invalid authenticator code.');
+    expect(tx.totpCredential.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('consumes a recovery code with a compare-and-swap on the list', async () => {
+    const recoveryCodes = [hashRecoveryCode('AAAAA-BBBBB'), hashRecoveryCode('CCCCC-DDDDD')];
+    const tx = credentialClient({ id: 3, isVerified: true, secret: encryptSecret(secret), recoveryCodes });
+
+    await expect(verifyApproverCode(tx, 1, { recoveryCode: 'aaaaa-bbbbb' })).resolves.toEqual({ approvalMethod: 'TOTP_RECOVERY_CODE' });
+    expect(tx.totpCredential.updateMany).toHaveBeenCalledWith({
+      where: { id: 3, recoveryCodes: { equals: recoveryCodes } },
+      data: { recoveryCodes: [hashRecoveryCode('CCCCC-DDDDD')] }
+    });
+  });
+
+  test('rejects a recovery code that is unknown or was consumed concurrently', async () => {
+    const recoveryCodes = [hashRecoveryCode('AAAAA-BBBBB')];
+    await expect(verifyApproverCode(credentialClient({ id: 3, isVerified: true, recoveryCodes }), 1, { recoveryCode: 'ZZZZZ-ZZZZZ' }))
+      .rejects.toThrow('Invalid or already used recovery code.');
+    await expect(verifyApproverCode(credentialClient({ id: 3, isVerified: true, recoveryCodes }, 0), 1, { recoveryCode: 'AAAAA-BBBBB' }))
+      .rejects.toThrow('Invalid or already used recovery code.');
+  });
+
+  test('needs a code', async () => {
+    await expect(verifyApproverCode(credentialClient({ id: 3, isVerified: true }), 1, {})).rejects.toThrow('Authenticator code is required.');
+  });
+});
@@ -0,0 +1,402 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaClientMock'));
+jest.mock('../../../server/utils/titheCategories.js', () => {
+  const categories = [
+    { code: 'welfare', displayName: 'Welfare', isActive: true },
+    { code: 'stationFund', displayName: 'Station Fund', isActive: true },
+    { code: 'buildingFund', displayName: 'Building Fund', isActive: false }
+  ];
+  const getTitheCategories = async ({ includeInactive = false } = {}) => (includeInactive ? categories : categories.filter(category => category.isActive));
+  return {
+    getTitheCategories,
+    getTitheCategoryCodes: async (options) => (await getTitheCategories(options)).map(category => category.code)
+  };
+});
+
+const { Prisma } = require('@prisma/client');
+const WalletService = require('../../../server/utils/walletService');
+
+const walletService = new WalletService();
+
+// Wallet updates as plain values, so amounts compare by value rather than as Decimal objects
+const summarize = (updates) => updates.map(update => [update.walletType, update.subType, update.amount.toString()]);
+
+describe('validateTitheDistribution', () => {
+  test('totals the distribution and reports what is left for general tithe', async () => {
+    expect(await walletService.validateTitheDistribution({ welfare: 300.1, stationFund: 200.2 }, 1000)).toEqual({
+      valid: true, errors: [], totalDistributed: 500.3, remaining: 499.7
+    });
+  });
+
+  test('rejects unknown or retired categories, bad amounts and over-allocation', async () => {
+    const result = await walletService.validateTitheDistribution({ welfare: 900, stationFund: '50', buildingFund: 10, other: 5 }, 800);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Invalid amount for stationFund: must be a non-negative number',
+      'Invalid tithe category: buildingFund',
+      'Invalid tithe category: other',
+      'Total distributed amount (900) exceeds payment amount (800)'
+    ]);
+  });
+
+  test('allows retired categories when asked to', async () => {
+    expect((await walletService.validateTitheDistribution({ buildingFund: 10 }, 100, { includeInactive: true })).valid).toBe(true);
+  });
+});
+
+describe('calculateWalletUpdates', () => {
+  test('credits a plain offering to its wallet', async () => {
+    const updates = await walletService.calculateWalletUpdates({ id: 1, paymentType: 'OFFERING' }, new Prisma.Decimal('250.00'));
+    expect(summarize(updates)).toEqual([['OFFERING', null, '250']]);
+    expect(updates[0]).toMatchObject({ operation: 'DEPOSIT', paymentId: 1 });
+  });
+
+  test('splits a tithe across its categories and general tithe', async () => {
+    const updates = await walletService.calculateWalletUpdates(
+      { id: 2, paymentType: 'TITHE', titheDistributionSDA: { welfare: 333.33, stationFund: 0 } },
+      new Prisma.Decimal('1000.00')
+    );
+    expect(summarize(updates)).toEqual([['TITHE', 'welfare', '333.33'], ['TITHE', null, '666.67']]);
+  });
+
+  test('adds no general tithe entry when the distribution uses the whole amount', async () => {
+    const updates = await walletService.calculateWalletUpdates(
+      { id: 3, paymentType: 'TITHE', titheDistributionSDA: { welfare: 600, stationFund: 400 } },
+      new Prisma.Decimal('1000')
+    );
+    expect(summarize(updates)).toEqual([['TITHE', 'welfare', '600'], ['TITHE', 'stationFund', '400']]);
+  });
+
+  test('credits a category retired after the payment was made', async () => {
+    const updates = await walletService.calculateWalletUpdates(
+      { id: 4, paymentType: 'TITHE', titheDistributionSDA: { buildingFund: 100 } },
+      new Prisma.Decimal('100')
+    );
+    expect(summarize(updates)).toEqual([['TITHE', 'buildingFund', '100']]);
+  });
+
+  test('refuses an over-allocated tithe', async () => {
+    await expect(walletService.calculateWalletUpdates(
+      { id: 5, paymentType: 'TITHE', titheDistributionSDA: { welfare: 1200 } },
+      new Prisma.Decimal('1000')
+    )).rejects.toThrow('Invalid tithe distribution: Total distributed amount (1200) exceeds payment amount (1000)');
+  });
+
+  test('credits special offerings to the offering wallet, and only while active', async () => {
+    const payment = { id: 6, paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', specialOfferingId: 4, specialOffering: { isActive: true, offeringCode: 'BUILD2024', name: 'Building' } };
+    const updates = await walletService.calculateWalletUpdates(payment, new Prisma.Decimal('500'));
+    expect(summarize(updates)).toEqual([['SPECIAL_OFFERING', 'BUILD2024', '500']]);
+    expect(updates[0].specialOfferingId).toBe(4);
+
+    await expect(walletService.calculateWalletUpdates({ ...payment, specialOffering: { ...payment.specialOffering, isActive: false } }, new Prisma.Decimal('500')))
+      .rejects.toThrow('Cannot update wallet for inactive special offering: Building');
+  });
+
+  test('credits each line of a split gift by its own type', async () => {
+    const payment = {
+      id: 7,
+      paymentType: 'TITHE',
+      titheDistributionSDA: { welfare: 9999 },
+      lines: [
+        { paymentType: 'TITHE', amount: new Prisma.Decimal('1000.00'), titheDistributionSDA: { welfare: 250.5 } },
+        { paymentType: 'OFFERING', amount: new Prisma.Decimal('300.25'), titheDistributionSDA: null },
+        { paymentType: 'SPECIAL_OFFERING_CONTRIBUTION', amount: '200', specialOfferingId: 4, specialOffering: { isActive: true, offeringCode: 'BUILD2024', name: 'Building' } }
+      ]
+    };
+
+    const updates = await walletService.calculateWalletUpdates(payment, new Prisma.Decimal('1500.25'));
+
+    expect(summarize(updates)).toEqual([
+      ['TITHE', 'welfare', '250.5'],
+      ['TITHE', null, '749.5'],
+      ['OFFERING', null, '300.25'],
+      ['SPECIAL_OFFERING', 'BUILD2024', '200']
+    ]);
+    updates.forEach(update => expect(update.paymentId).toBe(7));
+    const credited = updates.reduce((sum, update) => sum.plus(update.amount), new Prisma.Decimal(0));
+    expect(credited.toString()).toBe('1500.25');
+  });
+});
+
+// In-memory transaction client: wallets, an append-only ledger and the advisory locks taken
+const createLedgerTx = ({ wallets = [], payments = [], withdrawals = [] } = {}) => {
+  const state = { wallets: wallets.map(wallet => ({ ...wallet })), ledger: [], locks: [] };
+  const applyChange = (current, change) => {
+    if (change === undefined) return current;
+    if (change.increment !== undefined) return new Prisma.Decimal(current.toString()).plus(change.increment);
+    if (change.decrement !== undefined) return new Prisma.Decimal(current.toString()).minus(change.decrement);
+    return change;
+  };
+  const applyUpdate = (wallet, data) => {
+    ['balance', 'totalDeposits', 'totalWithdrawals'].forEach(field => {
+      wallet[field] = applyChange(wallet[field], data[field]);
+    });
+    return { ...wallet };
+  };
+  const withWallet = (entry) => ({ ...entry, wallet: state.wallets.find(wallet => wallet.id === entry.walletId) });
+  const sumByWallet = (entries) => {
+    const sums = new Map();
+    entries.forEach(entry => sums.set(entry.walletId, (sums.get(entry.walletId) || new Prisma.Decimal(0)).plus(entry.amount)));
+    return [...sums].map(([walletId, amount]) => ({ walletId, _sum: { amount } }));
+  };
+
+  return {
+    state,
+    $executeRaw: async (strings, lockId) => {
+      state.locks.push(lockId);
+      return 1;
+    },
+    payment: {
+      findUnique: async ({ where }) => payments.find(payment => payment.id === where.id) || null
+    },
+    wallet: {
+      findUnique: async ({ where }) => state.wallets.find(wallet => wallet.id === where.id) || null,
+      update: async ({ where, data }) => applyUpdate(state.wallets.find(wallet => wallet.id === where.id), data),
+      upsert: async ({ where, create, update }) => {
+        const existing = state.wallets.find(wallet => wallet.uniqueKey === where.uniqueKey);
+        if (existing) return applyUpdate(existing, update);
+        const created = { id: state.wallets.length + 1, ...create };
+        state.wallets.push(created);
+        return { ...created };
+      }
+    },
+    walletLedgerEntry: {
+      findFirst: async ({ where }) => state.ledger.find(entry => entry.paymentId === where.paymentId && entry.entryType === where.entryType) || null,
+      findMany: async ({ where }) => state.ledger
+        .filter(entry => entry.paymentId === where.paymentId && entry.entryType === where.entryType && entry.walletId !== null)
+        .map(withWallet),
+      createMany: async ({ data }) => {
+        data.forEach(entry => state.ledger.push({ id: state.ledger.length + 1, ...entry }));
+        return { count: data.length };
+      },
+      groupBy: async ({ where }) => sumByWallet(state.ledger.filter(entry => entry.walletId !== null &&
+        (where.amount.gt !== undefined ? entry.amount.gt(where.amount.gt) : entry.amount.lt(where.amount.lt))))
+    },
+    withdrawalRequest: {
+      findUnique: async ({ where }) => {
+        const withdrawal = withdrawals.find(request => request.id === where.id);
+        return withdrawal ? { ...withdrawal, wallet: state.wallets.find(wallet => wallet.id === withdrawal.walletId) } : null;
+      },
+      update: async ({ where, data }) => Object.assign(withdrawals.find(request => request.id === where.id), data)
+    }
+  };
+};
+
+const wallet = (id, walletType, subType, balance) => ({
+  id,
+  walletType,
+  subType,
+  uniqueKey: walletService.generateUniqueKey(walletType, subType),
+  balance: new Prisma.Decimal(balance),
+  totalDeposits: new Prisma.Decimal(balance),
+  totalWithdrawals: new Prisma.Decimal(0),
+  isActive: true
+});
+
+// Ledger rows as plain values: [entryType, account, walletId, amount]
+const journalLines = (tx) => tx.state.ledger.map(entry => [entry.entryType, entry.account, entry.walletId, entry.amount.toString()]);
+
+describe('ledger postings', () => {
+  const tithePayment = {
+    id: 10,
+    status: 'COMPLETED',
+    isExpense: false,
+    isAdjustment: false,
+    paymentType: 'TITHE',
+    amount: new Prisma.Decimal('1000.00'),
+    titheDistributionSDA: { welfare: 250 },
+    lines: []
+  };
+
+  test('credits a payment once and books a balanced deposit journal', async () => {
+    const tx = createLedgerTx({ payments: [tithePayment] });
+
+    const updated = await walletService.updateWalletsForPayment(10, tx);
+
+    expect(updated.map(w => [w.uniqueKey, w.balance.toString()])).toEqual([['TITHE-welfare', '250'], ['TITHE-NULL', '750']]);
+    expect(journalLines(tx)).toEqual([
+      ['DEPOSIT', 'WALLET', 1, '250'],
+      ['DEPOSIT', 'WALLET', 2, '750'],
+      ['DEPOSIT', 'EXTERNAL:CONTRIBUTIONS', null, '-1000']
+    ]);
+    expect(new Set(tx.state.ledger.map(entry => entry.journalId)).size).toBe(1);
+
+    expect(await walletService.updateWalletsForPayment(10, tx)).toBeNull();
+    expect(tx.state.ledger).toHaveLength(3);
+  });
+
+  test('skips payments that are not completed, expenses and adjustment entries', async () => {
+    const tx = createLedgerTx({
+      payments: [
+        { ...tithePayment, id: 11, status: 'PENDING' },
+        { ...tithePayment, id: 12, isExpense: true },
+        { ...tithePayment, id: 13, isAdjustment: true }
+      ]
+    });
+
+    for (const id of [11, 12, 13]) {
+      expect(await walletService.updateWalletsForPayment(id, tx)).toBeNull();
+    }
+    expect(tx.state.ledger).toEqual([]);
+  });
+
+  test('refuses an unbalanced journal without a contra account', async () => {
+    await expect(walletService.postLedgerJournal(createLedgerTx(), {
+      entryType: 'TRANSFER',
+      lines: [{ wallet: { id: 1, balance: 0 }, amount: new Prisma.Decimal('-10') }]
+    })).rejects.toThrow(/wallet lines sum to -10/);
+  });
+
+  test('derives wallet totals from the ledger', async () => {
+    const tx = createLedgerTx({ payments: [tithePayment] });
+    await walletService.updateWalletsForPayment(10, tx);
+    await walletService.postLedgerJournal(tx, {
+      entryType: 'WITHDRAWAL',
+      lines: [{ wallet: tx.state.wallets[0], amount: new Prisma.Decimal('-100.50') }],
+      contraAccount: walletService.LEDGER_ACCOUNTS.DISBURSEMENTS
+    });
+
+    const totals = await walletService.getLedgerTotals(tx);
+
+    expect(Object.fromEntries([...totals].map(([id, entry]) => [id, [entry.totalDeposits, entry.totalWithdrawals, entry.balance].map(String)]))).toEqual({
+      1: ['250', '100.5', '149.5'],
+      2: ['750', '0', '750']
+    });
+  });
+
+  test('reverses exactly what a payment credited, sub-wallet by sub-wallet', async () => {
+    const tx = createLedgerTx({ payments: [tithePayment] });
+    await walletService.updateWalletsForPayment(10, tx);
+
+    const updated = await walletService.reversePaymentPostings(10, 20, tx);
+
+    expect(updated.map(w => [w.uniqueKey, w.balance.toString()])).toEqual([['TITHE-welfare', '0'], ['TITHE-NULL', '0']]);
+    expect(journalLines(tx).slice(3)).toEqual([
+      ['REVERSAL', 'WALLET', 1, '-250'],
+      ['REVERSAL', 'WALLET', 2, '-750'],
+      ['REVERSAL', 'EXTERNAL:CONTRIBUTIONS', null, '1000']
+    ]);
+    expect(tx.state.ledger.slice(3).every(entry => entry.paymentId === 20)).toBe(true);
+  });
+
+  test('refuses a reversal the wallet can no longer cover', async () => {
+    const tx = createLedgerTx({ payments: [tithePayment] });
+    await walletService.updateWalletsForPayment(10, tx);
+    tx.state.wallets[1].balance = new Prisma.Decimal('100');
+
+    await expect(walletService.reversePaymentPostings(10, 20, tx)).rejects.toThrow('Insufficient funds in TITHE/general wallet');
+  });
+
+  test('spreads an adjustment over the original wallets and keeps the rounding remainder on the last', async () => {
+    const adjustment = { id: 30, status: 'COMPLETED', isExpense: false, isAdjustment: true, adjustmentOfId: 10, amount: new Prisma.Decimal('-100.01'), lines: [] };
+    const tx = createLedgerTx({ payments: [tithePayment, adjustment] });
+    await walletService.updateWalletsForPayment(10, tx);
+
+    await walletService.postPaymentAdjustment(30, tx);
+
+    expect(journalLines(tx).slice(3)).toEqual([
+      ['ADJUSTMENT', 'WALLET', 1, '-25'],
+      ['ADJUSTMENT', 'WALLET', 2, '-75.01'],
+      ['ADJUSTMENT', 'EXTERNAL:CONTRIBUTIONS', null, '100.01']
+    ]);
+    expect(tx.state.wallets.map(w => w.balance.toString())).toEqual(['225', '674.99']);
+  });
+});
+
+describe('processWithdrawal', () => {
+  const approvedWithdrawal = (overrides = {}) => ({
+    id: 40,
+    walletId: 1,
+    amount: new Prisma.Decimal('300'),
+    status: 'PENDING',
+    requestType: 'WITHDRAWAL',
+    currentApprovals: 3,
+    requiredApprovals: 3,
+    purpose: 'Utilities',
+    withdrawalReference: 'WD-40',
+    remittanceId: null,
+    ...overrides
+  });
+
+  test('debits the wallet under its lock and journals the disbursement', async () => {
+    const tx = createLedgerTx({ wallets: [wallet(1, 'OFFERING', null, '1000')], withdrawals: [approvedWithdrawal()] });
+
+    const result = await walletService.processWithdrawal(40, tx);
+
+    expect(result.withdrawal.status).toBe('COMPLETED');
+    expect(result.wallet.balance.toString()).toBe('700');
+    expect(tx.state.locks).toEqual([walletService.generateLockId('OFFERING-NULL')]);
+    expect(journalLines(tx)).toEqual([
+      ['WITHDRAWAL', 'WALLET', 1, '-300'],
+      ['WITHDRAWAL', 'EXTERNAL:DISBURSEMENTS', null, '300']
+    ]);
+    expect(tx.state.ledger[0].withdrawalRequestId).toBe(40);
+  });
+
+  test('refuses withdrawals that are short of approvals or overdraw the wallet', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const tx = createLedgerTx({
+      wallets: [wallet(1, 'OFFERING', null, '100')],
+      withdrawals: [approvedWithdrawal({ currentApprovals: 2 }), approvedWithdrawal({ id: 41 })]
+    });
+
+    await expect(walletService.processWithdrawal(40, tx)).rejects.toThrow('Insufficient approvals for withdrawal');
+    await expect(walletService.processWithdrawal(41, tx)).rejects.toThrow('Insufficient wallet balance for withdrawal');
+    console.error.mockRestore();
+  });
+});
+
+describe('processTransfer', () => {
+  const approvedTransfer = (overrides = {}) => ({
+    id: 50,
+    walletId: 1,
+    destinationWalletId: 2,
+    amount: new Prisma.Decimal('400'),
+    status: 'PENDING',
+    requestType: 'TRANSFER',
+    currentApprovals: 3,
+    requiredApprovals: 3,
+    purpose: 'Rebalance',
+    withdrawalReference: 'TR-50',
+    ...overrides
+  });
+
+  test('moves funds in one balanced journal with both wallet locks taken in a fixed order', async () => {
+    const wallets = [wallet(1, 'OFFERING', null, '1000'), wallet(2, 'DONATION', null, '50')];
+    const tx = createLedgerTx({ wallets, withdrawals: [approvedTransfer()] });
+
+    const result = await walletService.processWithdrawal(50, tx);
+
+    expect(result.withdrawal.status).toBe('COMPLETED');
+    expect([result.wallet.balance, result.destinationWallet.balance].map(String)).toEqual(['600', '450']);
+    expect(journalLines(tx)).toEqual([
+      ['TRANSFER', 'WALLET', 1, '-400'],
+      ['TRANSFER', 'WALLET', 2, '400']
+    ]);
+    expect(tx.state.ledger.every(entry => entry.withdrawalRequestId === 50)).toBe(true);
+
+    const pairLocks = [walletService.generateLockId('OFFERING-NULL'), walletService.generateLockId('DONATION-NULL')].sort((a, b) => a - b);
+    expect(tx.state.locks.slice(0, 2)).toEqual(pairLocks);
+
+    // The opposite transfer takes the same locks in the same order
+    const reverseTx = createLedgerTx({ wallets, withdrawals: [approvedTransfer({ walletId: 2, destinationWalletId: 1, amount: new Prisma.Decimal('10') })] });
+    await walletService.processWithdrawal(50, reverseTx);
+    expect(reverseTx.state.locks.slice(0, 2)).toEqual(pairLocks);
+  });
+
+  test('refuses an inactive destination or a source that cannot cover the amount', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const inactiveTx = createLedgerTx({
+      wallets: [wallet(1, 'OFFERING', null, '1000'), { ...wallet(2, 'DONATION', null, '0'), isActive: false }],
+      withdrawals: [approvedTransfer()]
+    });
+    await expect(walletService.processWithdrawal(50, inactiveTx)).rejects.toThrow('Destination wallet not found or inactive');
+
+    const shortTx = createLedgerTx({
+      wallets: [wallet(1, 'OFFERING', null, '100'), wallet(2, 'DONATION', null, '0')],
+      withdrawals: [approvedTransfer()]
+    });
+    await expect(walletService.processWithdrawal(50, shortTx)).rejects.toThrow('Insufficient funds in OFFERING/general wallet');
+    expect(shortTx.state.ledger).toEqual([]);
+    console.error.mockRestore();
+  });
+});